@@ -0,0 +1,60 @@
+import * as http from 'node:http';
+import type SSGS from './index.js';
+export type AdminServerOptions = {
+    port: number;
+    host?: string;
+    token: string;
+};
+/**
+ * An HTTP admin API for an SSGS server, every request needs the bearer token
+ *
+ * GET  /gateways                     connected gateways with their address, last seen time and pending message counts
+ * GET  /gateways/authorizing         gateways whose authorization is being checked
+ * GET  /seals                        the latest state of every seal
+ * GET  /seals/:uid                   the latest state of one seal
+ * GET  /events                       a Server-Sent Events stream of updates, connection events and delivery results
+ * GET  /metrics                      the server metrics in Prometheus text format
+ * GET  /blocklist                    the blocked addresses and when their blocks expire
+ * DELETE /blocklist/:address         lifts the block of an address
+ * POST /gateways/:uid/send           queues the request body (raw bytes, or JSON { "payload": "<hex>" }) for the gateway,
+ *                                    answers 202 with a message ID at once, the result follows as a 'delivery' event
+ * POST /gateways/:uid/disconnect     removes the gateway's session
+ */
+export declare class AdminServer {
+    readonly http: http.Server;
+    private ssgs;
+    private options;
+    private tokenDigest;
+    private routes;
+    private streams;
+    private keepaliveTimer;
+    /**
+     * @constructor
+     * @param {SSGS} ssgs - the server to administer
+     * @param {AdminServerOptions} options - where to listen and the bearer token
+     */
+    constructor(ssgs: SSGS, options: AdminServerOptions);
+    /**
+     * @method
+     * @async
+     * Starts listening, rejects if the port cannot be bound
+     */
+    start(): Promise<void>;
+    /**
+     * @method
+     * @async
+     * Ends the event streams and stops listening
+     */
+    stop(): Promise<void>;
+    private handle;
+    private authorized;
+    private getSeal;
+    private metrics;
+    private unblock;
+    private send;
+    private disconnect;
+    private clientFor;
+    private openStream;
+    private broadcast;
+    private json;
+}
@@ -0,0 +1,375 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+import * as http from 'node:http';
+import * as crypto from 'node:crypto';
+import { Buffer } from "node:buffer";
+import { sensorSealUpdateToJSON } from './ssgscp/ssprotocols.js';
+var ADMIN_HOST_DEFAULT = '127.0.0.1'; // only reachable from this machine unless configured otherwise
+var SSE_KEEPALIVE_MS = 15000; // a comment is sent this often so that proxies do not close idle event streams
+var MAX_BODY_BYTES = 64 * 1024;
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status: status });
+}
+/**
+ * An HTTP admin API for an SSGS server, every request needs the bearer token
+ *
+ * GET  /gateways                     connected gateways with their address, last seen time and pending message counts
+ * GET  /gateways/authorizing         gateways whose authorization is being checked
+ * GET  /seals                        the latest state of every seal
+ * GET  /seals/:uid                   the latest state of one seal
+ * GET  /events                       a Server-Sent Events stream of updates, connection events and delivery results
+ * GET  /metrics                      the server metrics in Prometheus text format
+ * GET  /blocklist                    the blocked addresses and when their blocks expire
+ * DELETE /blocklist/:address         lifts the block of an address
+ * POST /gateways/:uid/send           queues the request body (raw bytes, or JSON { "payload": "<hex>" }) for the gateway,
+ *                                    answers 202 with a message ID at once, the result follows as a 'delivery' event
+ * POST /gateways/:uid/disconnect     removes the gateway's session
+ */
+var AdminServer = /** @class */ (function () {
+    /**
+     * @constructor
+     * @param {SSGS} ssgs - the server to administer
+     * @param {AdminServerOptions} options - where to listen and the bearer token
+     */
+    function AdminServer(ssgs, options) {
+        var _this = this;
+        if (!options || typeof options.token !== 'string' || options.token.length < 16)
+            throw new TypeError('SSGS Admin: a token of at least 16 characters is required');
+        this.ssgs = ssgs;
+        this.options = options;
+        this.tokenDigest = crypto.createHash('sha256').update(options.token).digest();
+        this.streams = new Set();
+        this.keepaliveTimer = null;
+        this.http = http.createServer(function (req, res) { return _this.handle(req, res); });
+        this.routes = [
+            { method: 'GET', pattern: /^\/gateways$/, handler: function (req, res) { return _this.json(res, 200, _this.ssgs.connectedClients.map(gatewayToJSON)); } },
+            { method: 'GET', pattern: /^\/gateways\/authorizing$/, handler: function (req, res) { return _this.json(res, 200, _this.ssgs.checkingAuthorizationFor.map(function (check) { return ({ gatewayUID: check.gatewayUID.toString('hex'), since: check.timestamp }); })); } },
+            { method: 'GET', pattern: /^\/seals$/, handler: function (req, res) { return _this.json(res, 200, _this.ssgs.listSeals().map(sealToJSON)); } },
+            { method: 'GET', pattern: /^\/seals\/([0-9a-f]{8})$/, handler: function (req, res, params) { return _this.getSeal(res, params[0]); } },
+            { method: 'GET', pattern: /^\/events$/, handler: function (req, res) { return _this.openStream(req, res); } },
+            { method: 'GET', pattern: /^\/metrics$/, handler: function (req, res) { return _this.metrics(res); } },
+            { method: 'GET', pattern: /^\/blocklist$/, handler: function (req, res) { return _this.json(res, 200, _this.ssgs.rateLimiter.blocklist()); } },
+            { method: 'DELETE', pattern: /^\/blocklist\/([^/]+)$/, handler: function (req, res, params) { return _this.unblock(res, params[0]); } },
+            { method: 'POST', pattern: /^\/gateways\/([0-9a-f]{8})\/send$/, handler: function (req, res, params) { return _this.send(req, res, params[0]); } },
+            { method: 'POST', pattern: /^\/gateways\/([0-9a-f]{8})\/disconnect$/, handler: function (req, res, params) { return _this.disconnect(res, params[0]); } }
+        ];
+        ssgs.on('sealupdate', function (update) { return _this.broadcast('sealupdate', sensorSealUpdateToJSON(update)); });
+        ssgs.on('connection', function (client) { return _this.broadcast('connection', gatewayToJSON(client)); });
+        ssgs.on('reconnect', function (client) { return _this.broadcast('reconnect', gatewayToJSON(client)); });
+        ssgs.on('disconnect', function (client) { return _this.broadcast('disconnect', gatewayToJSON(client)); });
+        ssgs.on('authfailure', function (failure) { var _a, _b; return _this.broadcast('authfailure', __assign(__assign({}, failure), { gatewayUID: (_b = (_a = failure.gatewayUID) === null || _a === void 0 ? void 0 : _a.toString('hex')) !== null && _b !== void 0 ? _b : null })); });
+        ssgs.on('blocked', function (entry) { return _this.broadcast('blocked', entry); });
+        ssgs.on('unblocked', function (entry) { return _this.broadcast('unblocked', entry); });
+    }
+    /**
+     * @method
+     * @async
+     * Starts listening, rejects if the port cannot be bound
+     */
+    AdminServer.prototype.start = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var _this = this;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0: return [4 /*yield*/, new Promise(function (resolve, reject) {
+                            var _a;
+                            _this.http.once('error', reject);
+                            _this.http.listen(_this.options.port, (_a = _this.options.host) !== null && _a !== void 0 ? _a : ADMIN_HOST_DEFAULT, function () {
+                                _this.http.off('error', reject);
+                                resolve();
+                            });
+                        })];
+                    case 1:
+                        _a.sent();
+                        this.http.on('error', function (err) { return _this.ssgs.emitError(err); });
+                        this.keepaliveTimer = setInterval(function () {
+                            for (var _i = 0, _a = Array.from(_this.streams); _i < _a.length; _i++) {
+                                var stream = _a[_i];
+                                stream.write(': keepalive\n\n');
+                            }
+                        }, SSE_KEEPALIVE_MS);
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @async
+     * Ends the event streams and stops listening
+     */
+    AdminServer.prototype.stop = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var _i, _a, stream;
+            var _this = this;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        clearInterval(this.keepaliveTimer);
+                        this.keepaliveTimer = null;
+                        for (_i = 0, _a = Array.from(this.streams); _i < _a.length; _i++) {
+                            stream = _a[_i];
+                            stream.end();
+                        }
+                        this.streams.clear();
+                        if (!this.http.listening)
+                            return [2 /*return*/];
+                        return [4 /*yield*/, new Promise(function (resolve) {
+                                _this.http.close(function () { return resolve(); });
+                                _this.http.closeIdleConnections();
+                            })];
+                    case 1:
+                        _b.sent();
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    AdminServer.prototype.handle = function (req, res) {
+        return __awaiter(this, void 0, void 0, function () {
+            var path_1, matching, route, err_1;
+            var _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        _b.trys.push([0, 2, , 3]);
+                        if (!this.authorized(req))
+                            throw httpError(401, 'missing or invalid bearer token');
+                        path_1 = new URL((_a = req.url) !== null && _a !== void 0 ? _a : '/', 'http://localhost').pathname.toLowerCase();
+                        matching = this.routes.filter(function (route) { return route.pattern.test(path_1); });
+                        if (matching.length === 0)
+                            throw httpError(404, 'not found');
+                        route = matching.find(function (route) { return route.method === req.method; });
+                        if (!route) {
+                            res.setHeader('Allow', matching.map(function (route) { return route.method; }).join(', '));
+                            throw httpError(405, 'method not allowed');
+                        }
+                        return [4 /*yield*/, route.handler(req, res, route.pattern.exec(path_1).slice(1))];
+                    case 1:
+                        _b.sent();
+                        return [3 /*break*/, 3];
+                    case 2:
+                        err_1 = _b.sent();
+                        if (res.headersSent) {
+                            res.destroy();
+                            return [2 /*return*/];
+                        }
+                        if (typeof err_1.status === 'number') {
+                            if (err_1.status === 401)
+                                res.setHeader('WWW-Authenticate', 'Bearer');
+                            this.json(res, err_1.status, { error: err_1.message });
+                            return [2 /*return*/];
+                        }
+                        this.ssgs.emitError(err_1);
+                        this.json(res, 500, { error: 'internal error' });
+                        return [3 /*break*/, 3];
+                    case 3: return [2 /*return*/];
+                }
+            });
+        });
+    };
+    AdminServer.prototype.authorized = function (req) {
+        var _a;
+        var match = /^Bearer (.+)$/.exec((_a = req.headers.authorization) !== null && _a !== void 0 ? _a : '');
+        if (!match)
+            return false;
+        var digest = crypto.createHash('sha256').update(match[1]).digest();
+        return crypto.timingSafeEqual(digest, this.tokenDigest);
+    };
+    AdminServer.prototype.getSeal = function (res, uid) {
+        var seal = this.ssgs.getSeal(uid);
+        if (!seal)
+            throw httpError(404, 'seal ' + uid + ' has not been heard');
+        this.json(res, 200, sealToJSON(seal));
+    };
+    AdminServer.prototype.metrics = function (res) {
+        var body = this.ssgs.metrics.render();
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+        res.end(body);
+    };
+    AdminServer.prototype.unblock = function (res, address) {
+        var decoded;
+        try {
+            decoded = decodeURIComponent(address);
+        }
+        catch (e) {
+            throw httpError(400, 'invalid address');
+        }
+        if (!this.ssgs.rateLimiter.unblock(decoded))
+            throw httpError(404, 'address ' + decoded + ' is not blocked');
+        this.json(res, 200, { unblocked: true });
+    };
+    AdminServer.prototype.send = function (req, res, uid) {
+        return __awaiter(this, void 0, void 0, function () {
+            var client, body, payload, parsed, messageID, gatewayUID;
+            var _this = this;
+            var _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        client = this.clientFor(uid);
+                        return [4 /*yield*/, readBody(req)];
+                    case 1:
+                        body = _b.sent();
+                        payload = body;
+                        if (((_a = req.headers['content-type']) !== null && _a !== void 0 ? _a : '').startsWith('application/json')) {
+                            parsed = void 0;
+                            try {
+                                parsed = JSON.parse(body.toString('utf8'));
+                            }
+                            catch (e) {
+                                throw httpError(400, 'invalid JSON');
+                            }
+                            if (typeof (parsed === null || parsed === void 0 ? void 0 : parsed.payload) !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(parsed.payload))
+                                throw httpError(400, 'expected { "payload": "<hex>" }');
+                            payload = Buffer.from(parsed.payload, 'hex');
+                        }
+                        if (payload.length === 0)
+                            throw httpError(400, 'empty payload');
+                        messageID = crypto.randomUUID();
+                        gatewayUID = client.gatewayUID.toString('hex');
+                        client.send(payload).then(function (receivedOk) { return _this.broadcast('delivery', { messageID: messageID, gatewayUID: gatewayUID, receivedOk: receivedOk }); });
+                        this.json(res, 202, { messageID: messageID });
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    AdminServer.prototype.disconnect = function (res, uid) {
+        this.ssgs.removeClient(this.clientFor(uid));
+        this.json(res, 200, { disconnected: true });
+    };
+    AdminServer.prototype.clientFor = function (uid) {
+        var client = this.ssgs.getClientByGatewayUID(Buffer.from(uid, 'hex'));
+        if (!client)
+            throw httpError(404, 'gateway ' + uid + ' is not connected');
+        return client;
+    };
+    AdminServer.prototype.openStream = function (req, res) {
+        var _this = this;
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(': connected\n\n');
+        this.streams.add(res);
+        req.on('close', function () { return _this.streams.delete(res); });
+    };
+    AdminServer.prototype.broadcast = function (event, data) {
+        if (this.streams.size === 0)
+            return;
+        var message = 'event: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n';
+        for (var _i = 0, _a = Array.from(this.streams); _i < _a.length; _i++) {
+            var stream = _a[_i];
+            stream.write(message);
+        }
+    };
+    AdminServer.prototype.json = function (res, status, body) {
+        var data = JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) });
+        res.end(data);
+    };
+    return AdminServer;
+}());
+export { AdminServer };
+function gatewayToJSON(client) {
+    return {
+        gatewayUID: client.gatewayUID.toString('hex'),
+        remoteAddress: client.remoteAddress,
+        sourcePort: client.sourcePort,
+        transport: client.transport.name,
+        protocolVersion: client.protocolVersion,
+        lastSeen: client.lastSeen,
+        connected: client.connected,
+        reconnectCount: client.reconnectCount,
+        sentMessages: client.sentMessages.length,
+        queuedMessages: client.sendQueue.length,
+        srtt: client.srtt,
+        retransmissionTimeout: client.retransmissionTimeout
+    };
+}
+function sealToJSON(seal) {
+    var _a, _b;
+    return {
+        sensorSealUID: seal.sensorSealUID.toString('hex'),
+        latest: seal.latest ? sensorSealUpdateToJSON(seal.latest) : null,
+        firstSeen: seal.firstSeen,
+        lastReceived: seal.lastReceived,
+        lastHeard: seal.lastHeard,
+        lastGatewayUID: (_b = (_a = seal.lastGatewayUID) === null || _a === void 0 ? void 0 : _a.toString('hex')) !== null && _b !== void 0 ? _b : null,
+        gateways: Object.fromEntries(seal.gateways),
+        status: seal.status,
+        stats: seal.stats
+    };
+}
+function readBody(req) {
+    return new Promise(function (resolve, reject) {
+        var chunks = [];
+        var length = 0;
+        req.on('data', function (chunk) {
+            length += chunk.length;
+            if (length > MAX_BODY_BYTES) {
+                req.removeAllListeners('data');
+                req.resume(); // discard the rest so that the response can still be read
+                reject(httpError(413, 'request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', function () { return resolve(Buffer.concat(chunks)); });
+        req.on('error', reject);
+    });
+}
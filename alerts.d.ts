@@ -0,0 +1,100 @@
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+import { SensorSealUpdate } from './ssgscp/ssprotocols.js';
+export type AlertField = 'temperature' | 'vibration' | 'rpm' | 'voltage';
+export type AlertRule = {
+    id: string;
+    field: AlertField;
+    above?: number;
+    below?: number;
+    rateAbove?: number;
+    rateBelow?: number;
+    hysteresis?: number;
+    forMs?: number;
+    seals?: Array<string>;
+    gateways?: Array<string>;
+    severity?: 'info' | 'warning' | 'critical';
+    message?: string;
+};
+export type Alert = {
+    rule: AlertRule;
+    sensorSealUID: Buffer;
+    gatewayUID: Buffer;
+    value: number;
+    since: number;
+    raisedAt: number;
+    clearedAt: number | null;
+};
+export type AlertEvents = {
+    alert: [alert: Alert];
+    alertcleared: [alert: Alert];
+};
+/**
+ * Evaluates threshold, hysteresis, minimum duration and rate of change rules against Sensor Seal updates
+ * Each rule keeps one state per seal so an alert is raised once and cleared once, however many updates trip it
+ * Conditions are only evaluated when an update arrives, a reading that is not present leaves the state unchanged
+ */
+export declare class AlertEngine extends EventEmitter<AlertEvents> {
+    private rules;
+    private states;
+    private previous;
+    /**
+     * @constructor
+     * @param {Array<AlertRule>} rules - the initial rules
+     */
+    constructor(rules?: Array<AlertRule>);
+    /**
+     * @method
+     * @param {AlertRule} rule - the rule to add, replaces a rule with the same ID
+     * Validates and adds a rule, throws a TypeError if the rule is invalid
+     */
+    addRule(rule: AlertRule): void;
+    /**
+     * @method
+     * @param {string} id - the ID of the rule to remove
+     * @returns {boolean} - true if the rule existed
+     * Removes a rule, its active alerts are cleared
+     */
+    removeRule(id: string): boolean;
+    /**
+     * @method
+     * @returns {Array<AlertRule>} - the rules in the order they were added
+     */
+    listRules(): Array<AlertRule>;
+    /**
+     * @method
+     * @param {string} json - a JSON array of rules, or an object with a rules array
+     * Replaces every rule with the rules in the JSON, nothing changes if any rule is invalid
+     */
+    loadJSON(json: string): void;
+    /**
+     * @method
+     * @async
+     * @param {string} filePath - the path to a JSON rules file
+     * Replaces every rule with the rules in the file, see loadJSON()
+     */
+    loadFile(filePath: string): Promise<void>;
+    /**
+     * @method
+     * @returns {Array<Alert>} - the alerts that are currently raised
+     */
+    active(): Array<Alert>;
+    /**
+     * @method
+     * @param {SensorSealUpdate} update - a de-duplicated Sensor Seal update
+     * @param {Array<string>} gatewayUIDs - the hex UIDs of the gateways that have heard the seal, default is the gateway that relayed the update
+     * @param {number} now - the time the update was received
+     * Evaluates every rule that applies to the seal, emitting 'alert' and 'alertcleared' as conditions change
+     */
+    evaluate(update: SensorSealUpdate, gatewayUIDs?: Array<string>, now?: number): void;
+    /**
+     * @method
+     * @static
+     * @param {AlertRule} rule - the rule to check
+     * Throws a TypeError describing the first problem with the rule
+     */
+    static validateRule(rule: AlertRule): void;
+    private static trips;
+    private static clears;
+    private static reportedValue;
+}
@@ -0,0 +1,311 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+import * as fs from 'node:fs/promises';
+import { EventEmitter } from 'node:events';
+import { SealRegistry } from './seals.js';
+var ALERT_FIELDS = ['temperature', 'vibration', 'rpm', 'voltage'];
+var ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+var RATE_PER_MS = 60000; // rates of change are measured per minute
+/**
+ * Evaluates threshold, hysteresis, minimum duration and rate of change rules against Sensor Seal updates
+ * Each rule keeps one state per seal so an alert is raised once and cleared once, however many updates trip it
+ * Conditions are only evaluated when an update arrives, a reading that is not present leaves the state unchanged
+ */
+var AlertEngine = /** @class */ (function (_super) {
+    __extends(AlertEngine, _super);
+    /**
+     * @constructor
+     * @param {Array<AlertRule>} rules - the initial rules
+     */
+    function AlertEngine(rules) {
+        var _this = _super.call(this) || this;
+        _this.rules = new Map();
+        _this.states = new Map();
+        _this.previous = new Map();
+        for (var _i = 0, _a = rules !== null && rules !== void 0 ? rules : []; _i < _a.length; _i++) {
+            var rule = _a[_i];
+            _this.addRule(rule);
+        }
+        return _this;
+    }
+    /**
+     * @method
+     * @param {AlertRule} rule - the rule to add, replaces a rule with the same ID
+     * Validates and adds a rule, throws a TypeError if the rule is invalid
+     */
+    AlertEngine.prototype.addRule = function (rule) {
+        AlertEngine.validateRule(rule);
+        if (this.rules.has(rule.id))
+            this.removeRule(rule.id);
+        this.rules.set(rule.id, rule);
+    };
+    /**
+     * @method
+     * @param {string} id - the ID of the rule to remove
+     * @returns {boolean} - true if the rule existed
+     * Removes a rule, its active alerts are cleared
+     */
+    AlertEngine.prototype.removeRule = function (id) {
+        var _this = this;
+        if (!this.rules.delete(id))
+            return false;
+        var now = Date.now();
+        this.states.forEach(function (state, key) {
+            if (!key.startsWith(id + '/'))
+                return;
+            _this.states.delete(key);
+            if (state.alert)
+                _this.emit('alertcleared', __assign(__assign({}, state.alert), { clearedAt: now }));
+        });
+        return true;
+    };
+    /**
+     * @method
+     * @returns {Array<AlertRule>} - the rules in the order they were added
+     */
+    AlertEngine.prototype.listRules = function () {
+        return Array.from(this.rules.values());
+    };
+    /**
+     * @method
+     * @param {string} json - a JSON array of rules, or an object with a rules array
+     * Replaces every rule with the rules in the JSON, nothing changes if any rule is invalid
+     */
+    AlertEngine.prototype.loadJSON = function (json) {
+        var parsed = JSON.parse(json);
+        var rules = Array.isArray(parsed) ? parsed : parsed === null || parsed === void 0 ? void 0 : parsed.rules;
+        if (!Array.isArray(rules))
+            throw new TypeError('SSGS Alerts: expected an array of rules or an object with a rules array');
+        var ids = new Set();
+        for (var _i = 0, rules_1 = rules; _i < rules_1.length; _i++) {
+            var rule = rules_1[_i];
+            AlertEngine.validateRule(rule);
+            if (ids.has(rule.id))
+                throw new TypeError('SSGS Alerts: duplicate rule ID ' + rule.id);
+            ids.add(rule.id);
+        }
+        for (var _a = 0, _b = Array.from(this.rules.keys()); _a < _b.length; _a++) {
+            var id = _b[_a];
+            this.removeRule(id);
+        }
+        for (var _c = 0, rules_2 = rules; _c < rules_2.length; _c++) {
+            var rule = rules_2[_c];
+            this.addRule(rule);
+        }
+    };
+    /**
+     * @method
+     * @async
+     * @param {string} filePath - the path to a JSON rules file
+     * Replaces every rule with the rules in the file, see loadJSON()
+     */
+    AlertEngine.prototype.loadFile = function (filePath) {
+        return __awaiter(this, void 0, void 0, function () {
+            var _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        _a = this.loadJSON;
+                        return [4 /*yield*/, fs.readFile(filePath, 'utf8')];
+                    case 1:
+                        _a.apply(this, [_b.sent()]);
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @returns {Array<Alert>} - the alerts that are currently raised
+     */
+    AlertEngine.prototype.active = function () {
+        var alerts = [];
+        this.states.forEach(function (state) {
+            if (state.alert)
+                alerts.push(state.alert);
+        });
+        return alerts;
+    };
+    /**
+     * @method
+     * @param {SensorSealUpdate} update - a de-duplicated Sensor Seal update
+     * @param {Array<string>} gatewayUIDs - the hex UIDs of the gateways that have heard the seal, default is the gateway that relayed the update
+     * @param {number} now - the time the update was received
+     * Evaluates every rule that applies to the seal, emitting 'alert' and 'alertcleared' as conditions change
+     */
+    AlertEngine.prototype.evaluate = function (update, gatewayUIDs, now) {
+        var _this = this;
+        if (now === void 0) { now = Date.now(); }
+        var sealKey = SealRegistry.key(update.sensorSealUID);
+        var heardBy = gatewayUIDs !== null && gatewayUIDs !== void 0 ? gatewayUIDs : [SealRegistry.key(update.viaGatewayUID)];
+        var previous = this.previous.get(sealKey);
+        this.rules.forEach(function (rule) {
+            var _a, _b, _c;
+            if (rule.seals && !rule.seals.some(function (uid) { return SealRegistry.key(uid) === sealKey; }))
+                return;
+            if (rule.gateways && !rule.gateways.some(function (uid) { return heardBy.indexOf(SealRegistry.key(uid)) !== -1; }))
+                return;
+            var value = update[rule.field];
+            if (value === null || value === undefined)
+                return;
+            // rates need an earlier reading of the same field
+            var rate = null;
+            var previousValue = previous === null || previous === void 0 ? void 0 : previous.update[rule.field];
+            if (previousValue !== null && previousValue !== undefined && now > previous.timestamp)
+                rate = (value - previousValue) * RATE_PER_MS / (now - previous.timestamp);
+            var key = rule.id + '/' + sealKey;
+            var state = (_a = _this.states.get(key)) !== null && _a !== void 0 ? _a : { since: null, alert: null };
+            _this.states.set(key, state);
+            if (state.alert) {
+                if (AlertEngine.clears(rule, value, rate)) {
+                    // the raised alert may still be held by listeners, the cleared one is a copy
+                    var cleared = __assign(__assign({}, state.alert), { gatewayUID: update.viaGatewayUID, value: AlertEngine.reportedValue(rule, value, rate), clearedAt: now });
+                    state.alert = null;
+                    state.since = null;
+                    _this.emit('alertcleared', cleared);
+                }
+                return;
+            }
+            if (!AlertEngine.trips(rule, value, rate)) {
+                state.since = null;
+                return;
+            }
+            state.since = (_b = state.since) !== null && _b !== void 0 ? _b : now;
+            if (now - state.since < ((_c = rule.forMs) !== null && _c !== void 0 ? _c : 0))
+                return;
+            state.alert = {
+                rule: rule,
+                sensorSealUID: update.sensorSealUID,
+                gatewayUID: update.viaGatewayUID,
+                value: AlertEngine.reportedValue(rule, value, rate),
+                since: state.since,
+                raisedAt: now,
+                clearedAt: null
+            };
+            _this.emit('alert', state.alert);
+        });
+        this.previous.set(sealKey, { timestamp: now, update: update });
+    };
+    /**
+     * @method
+     * @static
+     * @param {AlertRule} rule - the rule to check
+     * Throws a TypeError describing the first problem with the rule
+     */
+    AlertEngine.validateRule = function (rule) {
+        var _a, _b;
+        if (!rule || typeof rule !== 'object')
+            throw new TypeError('SSGS Alerts: a rule must be an object');
+        if (typeof rule.id !== 'string' || rule.id.length === 0 || rule.id.indexOf('/') !== -1)
+            throw new TypeError('SSGS Alerts: a rule needs a non-empty id without a /');
+        if (ALERT_FIELDS.indexOf(rule.field) === -1)
+            throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has field ' + rule.field + ', expected one of ' + ALERT_FIELDS.join(', '));
+        var conditions = ['above', 'below', 'rateAbove', 'rateBelow'].filter(function (name) { return rule[name] !== undefined; });
+        if (conditions.length === 0)
+            throw new TypeError('SSGS Alerts: rule ' + rule.id + ' needs at least one of above, below, rateAbove or rateBelow');
+        for (var _i = 0, _c = conditions.concat(['hysteresis', 'forMs']); _i < _c.length; _i++) {
+            var name_1 = _c[_i];
+            if (rule[name_1] !== undefined && (typeof rule[name_1] !== 'number' || !Number.isFinite(rule[name_1])))
+                throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has a non-numeric ' + name_1);
+        }
+        if (((_a = rule.hysteresis) !== null && _a !== void 0 ? _a : 0) < 0 || ((_b = rule.forMs) !== null && _b !== void 0 ? _b : 0) < 0)
+            throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has a negative hysteresis or forMs');
+        for (var _d = 0, _e = ['seals', 'gateways']; _d < _e.length; _d++) {
+            var name_2 = _e[_d];
+            if (rule[name_2] !== undefined && (!Array.isArray(rule[name_2]) || rule[name_2].some(function (uid) { return typeof uid !== 'string'; })))
+                throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has ' + name_2 + ' that is not an array of hex UIDs');
+        }
+        if (rule.severity !== undefined && ALERT_SEVERITIES.indexOf(rule.severity) === -1)
+            throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has severity ' + rule.severity + ', expected one of ' + ALERT_SEVERITIES.join(', '));
+    };
+    // whether any of the rule's conditions holds
+    AlertEngine.trips = function (rule, value, rate) {
+        return (rule.above !== undefined && value > rule.above)
+            || (rule.below !== undefined && value < rule.below)
+            || (rule.rateAbove !== undefined && rate !== null && rate > rule.rateAbove)
+            || (rule.rateBelow !== undefined && rate !== null && -rate > rule.rateBelow);
+    };
+    // whether every condition is back past its threshold by the hysteresis, an unknown rate does not hold a rate alert
+    AlertEngine.clears = function (rule, value, rate) {
+        var _a;
+        var hysteresis = (_a = rule.hysteresis) !== null && _a !== void 0 ? _a : 0;
+        return !(rule.above !== undefined && value > rule.above - hysteresis)
+            && !(rule.below !== undefined && value < rule.below + hysteresis)
+            && !(rule.rateAbove !== undefined && rate !== null && rate > rule.rateAbove - hysteresis)
+            && !(rule.rateBelow !== undefined && rate !== null && -rate > rule.rateBelow - hysteresis);
+    };
+    // rate only rules report the rate, other rules the reading
+    AlertEngine.reportedValue = function (rule, value, rate) {
+        var rateOnly = rule.above === undefined && rule.below === undefined;
+        return rateOnly && rate !== null ? rate : value;
+    };
+    return AlertEngine;
+}(EventEmitter));
+export { AlertEngine };
@@ -0,0 +1,105 @@
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+import type { Client } from './index.js';
+export type FirmwareUpdateOptions = {
+    retries?: number;
+    inFlight?: number;
+    blocksPerMessage?: number;
+    restartOnReconnect?: boolean;
+};
+export type FirmwareUpdateState = 'running' | 'paused' | 'completed' | 'failed' | 'cancelled';
+export type FirmwareProgress = {
+    version: number;
+    sentBlocks: number;
+    totalBlocks: number;
+    fraction: number;
+};
+export type FirmwareUpdateEvents = {
+    progress: [progress: FirmwareProgress];
+    paused: [];
+    resumed: [];
+    restarted: [];
+    completed: [];
+    failed: [err: Error];
+    cancelled: [];
+};
+export type FirmwareRolloutResult = {
+    client: Client;
+    success: boolean;
+    error?: Error;
+};
+/**
+ * Sends a firmware image to a gateway as a sequence of WFU_PACKET messages
+ * Created by Client.updateFirmware(), progress is reported through the events in FirmwareUpdateEvents
+ */
+export declare class FirmwareUpdate extends EventEmitter<FirmwareUpdateEvents> {
+    readonly client: Client;
+    readonly version: number;
+    readonly totalBlocks: number;
+    readonly finished: Promise<boolean>;
+    state: FirmwareUpdateState;
+    sentBlocks: number;
+    error: Error | null;
+    private messages;
+    private retries;
+    private inFlight;
+    private cursor;
+    private generation;
+    private resumeWaiters;
+    private restartOnReconnect;
+    private reconnectCount;
+    private ondisconnect;
+    /**
+     * @constructor
+     * @param {Client} client - the gateway to update
+     * @param {Buffer} image - the firmware image
+     * @param {number} version - the u16 firmware version
+     * @param {FirmwareUpdateOptions} options - retry and pacing options
+     * The update starts straight away
+     */
+    constructor(client: Client, image: Buffer, version: number, options?: FirmwareUpdateOptions);
+    /**
+     * @method
+     * Stops sending further messages, messages already in flight are still awaited
+     */
+    pause(): void;
+    /**
+     * @method
+     * Continues a paused update
+     */
+    resume(): void;
+    /**
+     * @method
+     * Starts sending the image again from the first block, e.g. after the gateway restarted and lost its partial image
+     * Called automatically when the gateway reconnects unless restartOnReconnect is false
+     */
+    restart(): void;
+    /**
+     * @method
+     * Abandons the update, finished resolves to false
+     */
+    cancel(): void;
+    /**
+     * @returns {FirmwareProgress} - the current progress
+     */
+    get progress(): FirmwareProgress;
+    private run;
+    private worker;
+    private checkReconnected;
+    private get stopped();
+    private fail;
+    private wakeWorkers;
+}
+/**
+ * @function
+ * @param {Array<Client>} clients - the gateways to update
+ * @param {Buffer} image - the firmware image
+ * @param {number} version - the u16 firmware version
+ * @param {object} options - FirmwareUpdateOptions plus concurrency (how many gateways are updated at once) and onstart (called with each FirmwareUpdate as it starts)
+ * @returns {Promise<Array<FirmwareRolloutResult>>} - the outcome for each gateway, in the order of clients
+ * Pushes the same image to a set of gateways, at most concurrency at a time
+ */
+export declare function rolloutFirmware(clients: Array<Client>, image: Buffer, version: number, options?: FirmwareUpdateOptions & {
+    concurrency?: number;
+    onstart?: (update: FirmwareUpdate) => void;
+}): Promise<Array<FirmwareRolloutResult>>;
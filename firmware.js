@@ -0,0 +1,377 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+import SSEncoder from './ssgscp/ssencoder.js';
+import { WFU_BLOCK_LEN_BYTES, WFU_MAX_BLOCKS_PER_MESSAGE } from './ssgscp/ssencoder.js';
+var WFU_MAX_TOTAL_BLOCKS = 0xffff;
+var FIRMWARE_RETRIES_DEFAULT = 3; // how many times a message is re-sent after send() resolves to false
+var FIRMWARE_IN_FLIGHT_DEFAULT = 4; // how many WFU messages are awaited at once per gateway
+var FIRMWARE_CONCURRENCY_DEFAULT = 4; // how many gateways are updated at once by SSGS.updateFirmware()
+/**
+ * Sends a firmware image to a gateway as a sequence of WFU_PACKET messages
+ * Created by Client.updateFirmware(), progress is reported through the events in FirmwareUpdateEvents
+ */
+var FirmwareUpdate = /** @class */ (function (_super) {
+    __extends(FirmwareUpdate, _super);
+    /**
+     * @constructor
+     * @param {Client} client - the gateway to update
+     * @param {Buffer} image - the firmware image
+     * @param {number} version - the u16 firmware version
+     * @param {FirmwareUpdateOptions} options - retry and pacing options
+     * The update starts straight away
+     */
+    function FirmwareUpdate(client, image, version, options) {
+        var _a, _b, _c, _d;
+        var _this = _super.call(this) || this;
+        var blocksPerMessage = (_a = options === null || options === void 0 ? void 0 : options.blocksPerMessage) !== null && _a !== void 0 ? _a : WFU_MAX_BLOCKS_PER_MESSAGE;
+        if (!Number.isInteger(blocksPerMessage) || blocksPerMessage < 1 || blocksPerMessage > WFU_MAX_BLOCKS_PER_MESSAGE)
+            throw new RangeError('SSGS Firmware: blocksPerMessage must be between 1 and ' + WFU_MAX_BLOCKS_PER_MESSAGE);
+        _this.messages = packWFUMessages(image, version, blocksPerMessage);
+        _this.client = client;
+        _this.version = version;
+        _this.totalBlocks = Math.ceil(image.length / WFU_BLOCK_LEN_BYTES);
+        _this.state = 'running';
+        _this.sentBlocks = 0;
+        _this.error = null;
+        _this.retries = (_b = options === null || options === void 0 ? void 0 : options.retries) !== null && _b !== void 0 ? _b : FIRMWARE_RETRIES_DEFAULT;
+        _this.inFlight = Math.max(1, (_c = options === null || options === void 0 ? void 0 : options.inFlight) !== null && _c !== void 0 ? _c : FIRMWARE_IN_FLIGHT_DEFAULT);
+        _this.cursor = 0;
+        _this.generation = 0;
+        _this.resumeWaiters = [];
+        // the 'reconnect' event is delayed, so the client's reconnectCount is checked after every message instead
+        _this.restartOnReconnect = (_d = options === null || options === void 0 ? void 0 : options.restartOnReconnect) !== null && _d !== void 0 ? _d : true;
+        _this.reconnectCount = client.reconnectCount;
+        _this.ondisconnect = function () { return _this.fail(new Error('SSGS Firmware: gateway disconnected')); };
+        client.on('disconnect', _this.ondisconnect);
+        _this.finished = _this.run();
+        return _this;
+    }
+    /**
+     * @method
+     * Stops sending further messages, messages already in flight are still awaited
+     */
+    FirmwareUpdate.prototype.pause = function () {
+        if (this.state !== 'running')
+            return;
+        this.state = 'paused';
+        this.emit('paused');
+    };
+    /**
+     * @method
+     * Continues a paused update
+     */
+    FirmwareUpdate.prototype.resume = function () {
+        if (this.state !== 'paused')
+            return;
+        this.state = 'running';
+        this.wakeWorkers();
+        this.emit('resumed');
+    };
+    /**
+     * @method
+     * Starts sending the image again from the first block, e.g. after the gateway restarted and lost its partial image
+     * Called automatically when the gateway reconnects unless restartOnReconnect is false
+     */
+    FirmwareUpdate.prototype.restart = function () {
+        if (this.state !== 'running' && this.state !== 'paused')
+            return;
+        this.generation++;
+        this.reconnectCount = this.client.reconnectCount;
+        this.cursor = 0;
+        this.sentBlocks = 0;
+        this.wakeWorkers();
+        this.emit('restarted');
+    };
+    /**
+     * @method
+     * Abandons the update, finished resolves to false
+     */
+    FirmwareUpdate.prototype.cancel = function () {
+        if (this.state !== 'running' && this.state !== 'paused')
+            return;
+        this.state = 'cancelled';
+        this.wakeWorkers();
+        this.emit('cancelled');
+    };
+    Object.defineProperty(FirmwareUpdate.prototype, "progress", {
+        /**
+         * @returns {FirmwareProgress} - the current progress
+         */
+        get: function () {
+            return {
+                version: this.version,
+                sentBlocks: this.sentBlocks,
+                totalBlocks: this.totalBlocks,
+                fraction: this.totalBlocks > 0 ? this.sentBlocks / this.totalBlocks : 1
+            };
+        },
+        enumerable: false,
+        configurable: true
+    });
+    FirmwareUpdate.prototype.run = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var generation, workers, i;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        _a.trys.push([0, , 5, 6]);
+                        _a.label = 1;
+                    case 1:
+                        generation = this.generation;
+                        workers = [];
+                        for (i = 0; i < this.inFlight; i++) {
+                            workers.push(this.worker(generation));
+                        }
+                        return [4 /*yield*/, Promise.all(workers)];
+                    case 2:
+                        _a.sent();
+                        if (this.generation === generation && !this.checkReconnected()) // not restarted while the workers were running
+                            return [3 /*break*/, 4];
+                        _a.label = 3;
+                    case 3: return [3 /*break*/, 1];
+                    case 4: return [3 /*break*/, 6];
+                    case 5:
+                        this.client.off('disconnect', this.ondisconnect);
+                        return [7 /*endfinally*/];
+                    case 6:
+                        if (this.stopped)
+                            return [2 /*return*/, false];
+                        this.state = 'completed';
+                        this.emit('completed');
+                        return [2 /*return*/, true];
+                }
+            });
+        });
+    };
+    // sends messages until there are none left, the pass is restarted or the update stops
+    FirmwareUpdate.prototype.worker = function (generation) {
+        return __awaiter(this, void 0, void 0, function () {
+            var message, delivered, attempt;
+            var _this = this;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        if (!(this.generation === generation && this.cursor < this.messages.length)) return [3 /*break*/, 8];
+                        _a.label = 1;
+                    case 1:
+                        if (!(this.state === 'paused' && this.generation === generation)) return [3 /*break*/, 3];
+                        return [4 /*yield*/, new Promise(function (resolve) { return _this.resumeWaiters.push(resolve); })];
+                    case 2:
+                        _a.sent();
+                        return [3 /*break*/, 1];
+                    case 3:
+                        if (this.stopped || this.generation !== generation || this.cursor >= this.messages.length)
+                            return [2 /*return*/];
+                        message = this.messages[this.cursor++];
+                        delivered = false;
+                        attempt = 0;
+                        _a.label = 4;
+                    case 4:
+                        if (!(attempt <= this.retries && !delivered)) return [3 /*break*/, 7];
+                        return [4 /*yield*/, this.client.send(message.payload)];
+                    case 5:
+                        delivered = _a.sent();
+                        if (this.stopped || this.generation !== generation || this.checkReconnected())
+                            return [2 /*return*/];
+                        _a.label = 6;
+                    case 6:
+                        attempt++;
+                        return [3 /*break*/, 4];
+                    case 7:
+                        if (!delivered) {
+                            this.fail(new Error('SSGS Firmware: WFU message was not acknowledged after ' + (this.retries + 1) + ' attempts'));
+                            return [2 /*return*/];
+                        }
+                        this.sentBlocks += message.blockCount;
+                        this.emit('progress', this.progress);
+                        return [3 /*break*/, 0];
+                    case 8: return [2 /*return*/];
+                }
+            });
+        });
+    };
+    // restarts the update if the gateway has restarted since the current pass began, returns true if it did
+    FirmwareUpdate.prototype.checkReconnected = function () {
+        if (!this.restartOnReconnect || this.client.reconnectCount === this.reconnectCount || this.stopped)
+            return false;
+        this.restart();
+        return true;
+    };
+    Object.defineProperty(FirmwareUpdate.prototype, "stopped", {
+        // whether the update has failed or been cancelled
+        get: function () {
+            return this.state === 'failed' || this.state === 'cancelled';
+        },
+        enumerable: false,
+        configurable: true
+    });
+    FirmwareUpdate.prototype.fail = function (err) {
+        if (this.state !== 'running' && this.state !== 'paused')
+            return;
+        this.state = 'failed';
+        this.error = err;
+        this.wakeWorkers();
+        this.emit('failed', err);
+    };
+    FirmwareUpdate.prototype.wakeWorkers = function () {
+        for (var _i = 0, _a = this.resumeWaiters.splice(0); _i < _a.length; _i++) {
+            var resolve = _a[_i];
+            resolve();
+        }
+    };
+    return FirmwareUpdate;
+}(EventEmitter));
+export { FirmwareUpdate };
+/**
+ * @function
+ * @param {Array<Client>} clients - the gateways to update
+ * @param {Buffer} image - the firmware image
+ * @param {number} version - the u16 firmware version
+ * @param {object} options - FirmwareUpdateOptions plus concurrency (how many gateways are updated at once) and onstart (called with each FirmwareUpdate as it starts)
+ * @returns {Promise<Array<FirmwareRolloutResult>>} - the outcome for each gateway, in the order of clients
+ * Pushes the same image to a set of gateways, at most concurrency at a time
+ */
+export function rolloutFirmware(clients, image, version, options) {
+    return __awaiter(this, void 0, void 0, function () {
+        var results, next, worker, workers, i;
+        var _this = this;
+        var _a, _b;
+        return __generator(this, function (_c) {
+            switch (_c.label) {
+                case 0:
+                    // validate the image once up front rather than failing every gateway
+                    packWFUMessages(image, version, (_a = options === null || options === void 0 ? void 0 : options.blocksPerMessage) !== null && _a !== void 0 ? _a : WFU_MAX_BLOCKS_PER_MESSAGE);
+                    results = new Array(clients.length);
+                    next = 0;
+                    worker = function () { return __awaiter(_this, void 0, void 0, function () {
+                        var index, client, update, success;
+                        var _a;
+                        return __generator(this, function (_b) {
+                            switch (_b.label) {
+                                case 0:
+                                    if (!(next < clients.length)) return [3 /*break*/, 2];
+                                    index = next++;
+                                    client = clients[index];
+                                    if (!client.connected) {
+                                        results[index] = { client: client, success: false, error: new Error('SSGS Firmware: gateway is not connected') };
+                                        return [3 /*break*/, 0];
+                                    }
+                                    update = client.updateFirmware(image, version, options);
+                                    (_a = options === null || options === void 0 ? void 0 : options.onstart) === null || _a === void 0 ? void 0 : _a.call(options, update);
+                                    return [4 /*yield*/, update.finished];
+                                case 1:
+                                    success = _b.sent();
+                                    results[index] = __assign({ client: client, success: success }, (update.error ? { error: update.error } : {}));
+                                    return [3 /*break*/, 0];
+                                case 2: return [2 /*return*/];
+                            }
+                        });
+                    }); };
+                    workers = [];
+                    for (i = 0; i < Math.max(1, (_b = options === null || options === void 0 ? void 0 : options.concurrency) !== null && _b !== void 0 ? _b : FIRMWARE_CONCURRENCY_DEFAULT); i++) {
+                        workers.push(worker());
+                    }
+                    return [4 /*yield*/, Promise.all(workers)];
+                case 1:
+                    _c.sent();
+                    return [2 /*return*/, results];
+            }
+        });
+    });
+}
+/**
+ * @function
+ * @param {Buffer} image - the firmware image
+ * @param {number} version - the u16 firmware version
+ * @param {number} blocksPerMessage - how many blocks to pack into each message
+ * @returns {Array<{ payload: Buffer, blockCount: number }>} - the WFU_PACKET payloads
+ * Splits an image into 32 byte blocks and packs them into WFU_PACKET payloads with SSEncoder.wfuPacket()
+ * The last block is padded with 0xff (erased flash)
+ */
+function packWFUMessages(image, version, blocksPerMessage) {
+    if (!Buffer.isBuffer(image) || image.length == 0)
+        throw new TypeError('SSGS Firmware: image must be a non-empty Buffer');
+    if (!Number.isInteger(version) || version < 0 || version > 0xffff)
+        throw new RangeError('SSGS Firmware: version must be a 16-bit unsigned integer');
+    var totalBlocks = Math.ceil(image.length / WFU_BLOCK_LEN_BYTES);
+    if (totalBlocks > WFU_MAX_TOTAL_BLOCKS)
+        throw new RangeError('SSGS Firmware: image is too large, at most ' + WFU_MAX_TOTAL_BLOCKS * WFU_BLOCK_LEN_BYTES + ' bytes');
+    var messages = [];
+    for (var firstBlock = 0; firstBlock < totalBlocks; firstBlock += blocksPerMessage) {
+        var blocks = [];
+        for (var blockNum = firstBlock; blockNum < Math.min(firstBlock + blocksPerMessage, totalBlocks); blockNum++) {
+            blocks.push({ blockNum: blockNum, data: image.subarray(blockNum * WFU_BLOCK_LEN_BYTES, (blockNum + 1) * WFU_BLOCK_LEN_BYTES) });
+        }
+        messages.push({ payload: SSEncoder.wfuPacket({ version: version, totalBlocks: totalBlocks, blocks: blocks }), blockCount: blocks.length });
+    }
+    return messages;
+}
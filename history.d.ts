@@ -0,0 +1,72 @@
+import { Buffer } from "node:buffer";
+import { SensorSealUpdate } from './ssgscp/ssprotocols.js';
+export type HistoryStoreOptions = {
+    directory: string;
+    maxFileBytes?: number;
+    rotateIntervalMs?: number;
+    retentionMs?: number;
+    maxTotalBytes?: number;
+};
+export type HistoryQuery = {
+    from?: number | Date;
+    to?: number | Date;
+    fields?: Array<string>;
+    downsample?: number;
+};
+export type HistoryPoint = {
+    timestamp: number;
+    updateID?: number;
+    gatewayUID?: string;
+    count?: number;
+    [field: string]: number | string | null;
+};
+/**
+ * Appends Sensor Seal updates to NDJSON files rotated by size and age, and queries them by seal and time range
+ * Writes are serialized so the files only ever grow by whole lines, a line cut short by a crash is skipped when querying
+ */
+export declare class HistoryStore {
+    directory: string;
+    maxFileBytes: number;
+    rotateIntervalMs: number;
+    retentionMs: number;
+    maxTotalBytes: number;
+    ready: Promise<void>;
+    private files;
+    private handle;
+    private queue;
+    private closed;
+    private opened;
+    /**
+     * @constructor
+     * @param {HistoryStoreOptions} options - where to write the files and when to rotate and delete them
+     */
+    constructor(options: HistoryStoreOptions);
+    /**
+     * @method
+     * @async
+     * @param {SensorSealUpdate} update - the update to store
+     * @param {number} now - the time the update was received
+     * @returns {Promise<void>} - resolves once the update has been written, rejects if it could not be
+     */
+    append(update: SensorSealUpdate, now?: number): Promise<void>;
+    /**
+     * @method
+     * @async
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @param {HistoryQuery} query - the time range, fields and downsampling
+     * @returns {Promise<Array<HistoryPoint>>} - the stored updates of the seal in receive order
+     */
+    query(sensorSealUID: Buffer | string, query?: HistoryQuery): Promise<Array<HistoryPoint>>;
+    /**
+     * @method
+     * @async
+     * Waits for pending writes and closes the current file, later appends reject
+     */
+    close(): Promise<void>;
+    private enqueue;
+    private open;
+    private rotateIfNeeded;
+    private applyRetention;
+    private readFile;
+    private static field;
+}
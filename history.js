@@ -0,0 +1,450 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+var __asyncValues = (this && this.__asyncValues) || function (o) {
+    if (!Symbol.asyncIterator) throw new TypeError("Symbol.asyncIterator is not defined.");
+    var m = o[Symbol.asyncIterator], i;
+    return m ? m.call(o) : (o = typeof __values === "function" ? __values(o) : o[Symbol.iterator](), i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i);
+    function verb(n) { i[n] = o[n] && function (v) { return new Promise(function (resolve, reject) { v = o[n](v), settle(resolve, reject, v.done, v.value); }); }; }
+    function settle(resolve, reject, d, v) { Promise.resolve(v).then(function(v) { resolve({ value: v, done: d }); }, reject); }
+};
+import * as fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as readline from 'node:readline';
+import { createReadStream } from 'node:fs';
+import { Buffer } from "node:buffer";
+import { SealRegistry } from './seals.js';
+var HISTORY_MAX_FILE_BYTES_DEFAULT = 16 * 1024 * 1024; // start a new file once the current one reaches this size
+var HISTORY_ROTATE_INTERVAL_MS_DEFAULT = 24 * 60 * 60 * 1000; // start a new file at least this often
+var HISTORY_RETENTION_MS_DEFAULT = 30 * 24 * 60 * 60 * 1000; // delete files whose updates are all older than this
+var HISTORY_FILE_PATTERN = /^updates-(\d+)\.ndjson$/; // files are named after the time their first update was written
+var HISTORY_DEFAULT_FIELDS = ['temperature', 'vibration', 'rpm', 'voltage'];
+/**
+ * Appends Sensor Seal updates to NDJSON files rotated by size and age, and queries them by seal and time range
+ * Writes are serialized so the files only ever grow by whole lines, a line cut short by a crash is skipped when querying
+ */
+var HistoryStore = /** @class */ (function () {
+    /**
+     * @constructor
+     * @param {HistoryStoreOptions} options - where to write the files and when to rotate and delete them
+     */
+    function HistoryStore(options) {
+        var _this = this;
+        var _a, _b, _c, _d;
+        if (!options || typeof options.directory !== 'string')
+            throw new TypeError('SSGS History: a directory is required');
+        this.directory = options.directory;
+        this.maxFileBytes = (_a = options.maxFileBytes) !== null && _a !== void 0 ? _a : HISTORY_MAX_FILE_BYTES_DEFAULT;
+        this.rotateIntervalMs = (_b = options.rotateIntervalMs) !== null && _b !== void 0 ? _b : HISTORY_ROTATE_INTERVAL_MS_DEFAULT;
+        this.retentionMs = (_c = options.retentionMs) !== null && _c !== void 0 ? _c : HISTORY_RETENTION_MS_DEFAULT;
+        this.maxTotalBytes = (_d = options.maxTotalBytes) !== null && _d !== void 0 ? _d : Infinity;
+        this.files = [];
+        this.handle = null;
+        this.closed = false;
+        this.opened = false;
+        this.queue = Promise.resolve();
+        this.ready = this.enqueue(function () { return _this.open(); });
+        this.ready.catch(function () { }); // reported to whoever awaits ready, and by the operations that follow
+    }
+    /**
+     * @method
+     * @async
+     * @param {SensorSealUpdate} update - the update to store
+     * @param {number} now - the time the update was received
+     * @returns {Promise<void>} - resolves once the update has been written, rejects if it could not be
+     */
+    HistoryStore.prototype.append = function (update, now) {
+        var _this = this;
+        if (now === void 0) { now = Date.now(); }
+        var record = {
+            t: now,
+            seal: SealRegistry.key(update.sensorSealUID),
+            gw: SealRegistry.key(update.viaGatewayUID),
+            id: update.updateID,
+            v: update.ssrbVersion,
+            temperature: update.temperature,
+            vibration: update.vibration,
+            rpm: update.rpm,
+            voltage: update.voltage
+        };
+        if (update.extra)
+            record.extra = update.extra;
+        var line = Buffer.from(JSON.stringify(record) + '\n', 'utf8');
+        return this.enqueue(function () { return __awaiter(_this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        if (this.closed)
+                            throw new Error('SSGS History: the store is closed');
+                        return [4 /*yield*/, this.open()];
+                    case 1:
+                        _a.sent();
+                        return [4 /*yield*/, this.rotateIfNeeded(now, line.length)];
+                    case 2:
+                        _a.sent();
+                        return [4 /*yield*/, this.handle.write(line)];
+                    case 3:
+                        _a.sent();
+                        this.files[this.files.length - 1].bytes += line.length;
+                        return [2 /*return*/];
+                }
+            });
+        }); });
+    };
+    /**
+     * @method
+     * @async
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @param {HistoryQuery} query - the time range, fields and downsampling
+     * @returns {Promise<Array<HistoryPoint>>} - the stored updates of the seal in receive order
+     */
+    HistoryStore.prototype.query = function (sensorSealUID, query) {
+        return __awaiter(this, void 0, void 0, function () {
+            var seal, from, to, fields, downsample, files, records, _i, files_1, file, err_1, points, sums, bucket, finishBucket, _a, records_1, record, start, _b, fields_1, field, _c, fields_2, field, value;
+            var _this = this;
+            var _d, _e;
+            return __generator(this, function (_f) {
+                switch (_f.label) {
+                    case 0:
+                        seal = SealRegistry.key(sensorSealUID);
+                        from = (query === null || query === void 0 ? void 0 : query.from) !== undefined ? Number(query.from) : -Infinity;
+                        to = (query === null || query === void 0 ? void 0 : query.to) !== undefined ? Number(query.to) : Infinity;
+                        fields = (_d = query === null || query === void 0 ? void 0 : query.fields) !== null && _d !== void 0 ? _d : HISTORY_DEFAULT_FIELDS;
+                        downsample = (_e = query === null || query === void 0 ? void 0 : query.downsample) !== null && _e !== void 0 ? _e : 0;
+                        if (downsample < 0 || !Number.isFinite(downsample))
+                            throw new RangeError('SSGS History: downsample must be a positive number of milliseconds');
+                        return [4 /*yield*/, this.enqueue(function () { return __awaiter(_this, void 0, void 0, function () {
+                                var _this = this;
+                                return __generator(this, function (_a) {
+                                    switch (_a.label) {
+                                        case 0: return [4 /*yield*/, this.open()];
+                                        case 1:
+                                            _a.sent();
+                                            if (!this.handle) return [3 /*break*/, 3];
+                                            return [4 /*yield*/, this.handle.datasync().catch(function () { })];
+                                        case 2:
+                                            _a.sent();
+                                            _a.label = 3;
+                                        case 3: return [2 /*return*/, this.files.filter(function (file, i) { return file.start <= to && (i === _this.files.length - 1 || _this.files[i + 1].start >= from); })];
+                                    }
+                                });
+                            }); })];
+                    case 1:
+                        files = _f.sent();
+                        records = [];
+                        _i = 0, files_1 = files;
+                        _f.label = 2;
+                    case 2:
+                        if (!(_i < files_1.length)) return [3 /*break*/, 7];
+                        file = files_1[_i];
+                        _f.label = 3;
+                    case 3:
+                        _f.trys.push([3, 5, , 6]);
+                        return [4 /*yield*/, this.readFile(file.path, function (record) {
+                                if (record.seal === seal && record.t >= from && record.t <= to)
+                                    records.push(record);
+                            })];
+                    case 4:
+                        _f.sent();
+                        return [3 /*break*/, 6];
+                    case 5:
+                        err_1 = _f.sent();
+                        if (err_1.code !== 'ENOENT') // deleted by retention while we were reading
+                            throw err_1;
+                        return [3 /*break*/, 6];
+                    case 6:
+                        _i++;
+                        return [3 /*break*/, 2];
+                    case 7:
+                        // files are in order but reordered writes within a file are not guaranteed to be
+                        records.sort(function (a, b) { return a.t - b.t; });
+                        if (!downsample) {
+                            return [2 /*return*/, records.map(function (record) {
+                                    var point = { timestamp: record.t, updateID: record.id, gatewayUID: record.gw };
+                                    for (var _i = 0, fields_3 = fields; _i < fields_3.length; _i++) {
+                                        var field = fields_3[_i];
+                                        point[field] = HistoryStore.field(record, field);
+                                    }
+                                    return point;
+                                })];
+                        }
+                        points = [];
+                        sums = {};
+                        bucket = null;
+                        finishBucket = function () {
+                            for (var _i = 0, fields_4 = fields; _i < fields_4.length; _i++) {
+                                var field = fields_4[_i];
+                                bucket[field] = sums[field].count > 0 ? sums[field].sum / sums[field].count : null;
+                            }
+                            points.push(bucket);
+                        };
+                        for (_a = 0, records_1 = records; _a < records_1.length; _a++) {
+                            record = records_1[_a];
+                            start = Math.floor(record.t / downsample) * downsample;
+                            if (!bucket || bucket.timestamp !== start) {
+                                if (bucket)
+                                    finishBucket();
+                                bucket = { timestamp: start, count: 0 };
+                                for (_b = 0, fields_1 = fields; _b < fields_1.length; _b++) {
+                                    field = fields_1[_b];
+                                    sums[field] = { sum: 0, count: 0 };
+                                }
+                            }
+                            bucket.count = bucket.count + 1;
+                            for (_c = 0, fields_2 = fields; _c < fields_2.length; _c++) {
+                                field = fields_2[_c];
+                                value = HistoryStore.field(record, field);
+                                if (typeof value === 'number') {
+                                    sums[field].sum += value;
+                                    sums[field].count++;
+                                }
+                            }
+                        }
+                        if (bucket)
+                            finishBucket();
+                        return [2 /*return*/, points];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @async
+     * Waits for pending writes and closes the current file, later appends reject
+     */
+    HistoryStore.prototype.close = function () {
+        var _this = this;
+        return this.enqueue(function () { return __awaiter(_this, void 0, void 0, function () {
+            var _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        this.closed = true;
+                        return [4 /*yield*/, ((_a = this.handle) === null || _a === void 0 ? void 0 : _a.close())];
+                    case 1:
+                        _b.sent();
+                        this.handle = null;
+                        return [2 /*return*/];
+                }
+            });
+        }); });
+    };
+    // runs the operation after every operation queued before it, a failed operation does not stop the ones after it
+    HistoryStore.prototype.enqueue = function (operation) {
+        var result = this.queue.then(operation);
+        this.queue = result.then(function () { }, function () { });
+        return result;
+    };
+    // creates the directory, finds the existing files and applies the retention limits, does nothing once it has succeeded
+    HistoryStore.prototype.open = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var _i, _a, name_1, match, filePath, stat;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        if (this.opened)
+                            return [2 /*return*/];
+                        this.files = [];
+                        return [4 /*yield*/, fs.mkdir(this.directory, { recursive: true })];
+                    case 1:
+                        _b.sent();
+                        _i = 0;
+                        return [4 /*yield*/, fs.readdir(this.directory)];
+                    case 2:
+                        _a = _b.sent();
+                        _b.label = 3;
+                    case 3:
+                        if (!(_i < _a.length)) return [3 /*break*/, 6];
+                        name_1 = _a[_i];
+                        match = HISTORY_FILE_PATTERN.exec(name_1);
+                        if (!match)
+                            return [3 /*break*/, 5];
+                        filePath = path.join(this.directory, name_1);
+                        return [4 /*yield*/, fs.stat(filePath)];
+                    case 4:
+                        stat = _b.sent();
+                        this.files.push({ path: filePath, start: Number(match[1]), bytes: stat.size });
+                        _b.label = 5;
+                    case 5:
+                        _i++;
+                        return [3 /*break*/, 3];
+                    case 6:
+                        this.files.sort(function (a, b) { return a.start - b.start; });
+                        return [4 /*yield*/, this.applyRetention(Date.now())];
+                    case 7:
+                        _b.sent();
+                        this.opened = true;
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    HistoryStore.prototype.rotateIfNeeded = function (now, lineBytes) {
+        return __awaiter(this, void 0, void 0, function () {
+            var current, full, old, _a, _b, start, file, _c;
+            var _d, _e;
+            return __generator(this, function (_f) {
+                switch (_f.label) {
+                    case 0:
+                        current = this.files[this.files.length - 1];
+                        full = current && current.bytes > 0 && current.bytes + lineBytes > this.maxFileBytes;
+                        old = current && now - current.start >= this.rotateIntervalMs;
+                        if (!(current && !full && !old)) return [3 /*break*/, 4];
+                        _a = this;
+                        if (!((_d = this.handle) !== null && _d !== void 0)) return [3 /*break*/, 1];
+                        _b = _d;
+                        return [3 /*break*/, 3];
+                    case 1: return [4 /*yield*/, fs.open(current.path, 'a')];
+                    case 2:
+                        _b = _f.sent();
+                        _f.label = 3;
+                    case 3:
+                        _a.handle = _b;
+                        return [2 /*return*/];
+                    case 4: return [4 /*yield*/, ((_e = this.handle) === null || _e === void 0 ? void 0 : _e.close())];
+                    case 5:
+                        _f.sent();
+                        this.handle = null;
+                        start = current ? Math.max(now, current.start + 1) : now;
+                        file = { path: path.join(this.directory, 'updates-' + start + '.ndjson'), start: start, bytes: 0 };
+                        _c = this;
+                        return [4 /*yield*/, fs.open(file.path, 'a')];
+                    case 6:
+                        _c.handle = _f.sent();
+                        this.files.push(file);
+                        return [4 /*yield*/, this.applyRetention(now)];
+                    case 7:
+                        _f.sent();
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    // deletes files that are past the retention period or over the size limit, never the current file
+    HistoryStore.prototype.applyRetention = function (now) {
+        return __awaiter(this, void 0, void 0, function () {
+            var totalBytes, oldest, expired;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        totalBytes = this.files.reduce(function (total, file) { return total + file.bytes; }, 0);
+                        _a.label = 1;
+                    case 1:
+                        if (!(this.files.length > 1)) return [3 /*break*/, 3];
+                        oldest = this.files[0];
+                        expired = this.files[1].start < now - this.retentionMs;
+                        if (!expired && totalBytes <= this.maxTotalBytes)
+                            return [3 /*break*/, 3];
+                        return [4 /*yield*/, fs.rm(oldest.path, { force: true })];
+                    case 2:
+                        _a.sent();
+                        this.files.shift();
+                        totalBytes -= oldest.bytes;
+                        return [3 /*break*/, 1];
+                    case 3: return [2 /*return*/];
+                }
+            });
+        });
+    };
+    HistoryStore.prototype.readFile = function (filePath, onrecord) {
+        return __awaiter(this, void 0, void 0, function () {
+            var lines, _a, lines_1, lines_1_1, line, e_1_1;
+            var _b, e_1, _c, _d;
+            return __generator(this, function (_e) {
+                switch (_e.label) {
+                    case 0:
+                        lines = readline.createInterface({ input: createReadStream(filePath, { encoding: 'utf8' }), crlfDelay: Infinity });
+                        _e.label = 1;
+                    case 1:
+                        _e.trys.push([1, 6, 7, 12]);
+                        _a = true, lines_1 = __asyncValues(lines);
+                        _e.label = 2;
+                    case 2: return [4 /*yield*/, lines_1.next()];
+                    case 3:
+                        if (!(lines_1_1 = _e.sent(), _b = lines_1_1.done, !_b)) return [3 /*break*/, 5];
+                        _d = lines_1_1.value;
+                        _a = false;
+                        line = _d;
+                        if (line.length === 0)
+                            return [3 /*break*/, 4];
+                        try {
+                            onrecord(JSON.parse(line));
+                        }
+                        catch (e) {
+                            // a line cut short by a crash or a full disk
+                        }
+                        _e.label = 4;
+                    case 4:
+                        _a = true;
+                        return [3 /*break*/, 2];
+                    case 5: return [3 /*break*/, 12];
+                    case 6:
+                        e_1_1 = _e.sent();
+                        e_1 = { error: e_1_1 };
+                        return [3 /*break*/, 12];
+                    case 7:
+                        _e.trys.push([7, , 10, 11]);
+                        if (!(!_a && !_b && (_c = lines_1.return))) return [3 /*break*/, 9];
+                        return [4 /*yield*/, _c.call(lines_1)];
+                    case 8:
+                        _e.sent();
+                        _e.label = 9;
+                    case 9: return [3 /*break*/, 11];
+                    case 10:
+                        if (e_1) throw e_1.error;
+                        return [7 /*endfinally*/];
+                    case 11: return [7 /*endfinally*/];
+                    case 12: return [2 /*return*/];
+                }
+            });
+        });
+    };
+    HistoryStore.field = function (record, field) {
+        var _a, _b, _c;
+        if (HISTORY_DEFAULT_FIELDS.indexOf(field) !== -1)
+            return (_a = record[field]) !== null && _a !== void 0 ? _a : null;
+        return (_c = (_b = record.extra) === null || _b === void 0 ? void 0 : _b[field]) !== null && _c !== void 0 ? _c : null;
+    };
+    return HistoryStore;
+}());
+export { HistoryStore };
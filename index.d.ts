@@ -1,60 +1,252 @@
 import * as dgram from 'node:dgram';
+import { EventEmitter } from 'node:events';
+import { ParsedSSGSCPPacket, SSGSCPSession, ReplayWindow } from './ssgscp/ssgscp.js';
 import { PacketType } from './ssgscp/ssgscp.js';
 import { MessageSubtype } from './ssgscp/ssgscp.js';
 import { SensorSealUpdate } from './ssgscp/ssprotocols.js';
 import { ParsedMessage } from './ssgscp/ssprotocols.js';
+import { WakeupScanResult, WakeupScanSeal } from './ssgscp/ssprotocols.js';
+import { SSRBLayout, SSRBField, SSRBFieldType } from './ssgscp/ssprotocols.js';
+import { MessageData, MessageType, MessageTypeDefinition } from './ssgscp/ssprotocols.js';
+import { decodeWakeupScanV1 } from './ssgscp/ssprotocols.js';
+import SSEncoder from './ssgscp/ssencoder.js';
+import { GatewayKeyStore } from './keystore.js';
+import { GatewayKeyEntry } from './keystore.js';
+import { MemoryKeyStore, JSONFileKeyStore, EncryptedFileKeyStore } from './keystore.js';
+import { FirmwareUpdate, FirmwareUpdateOptions, FirmwareRolloutResult } from './firmware.js';
+import { TerminalStream, ExecOptions } from './terminal.js';
+import { AlertEngine, Alert, AlertRule, AlertField } from './alerts.js';
+import { HistoryStore, HistoryStoreOptions, HistoryQuery, HistoryPoint } from './history.js';
+import { MQTTBridge, MQTTBridgeOptions } from './mqttbridge.js';
+import { MQTTClient, MQTTClientOptions, MQTTQoS } from './mqtt.js';
+import { AdminServer, AdminServerOptions } from './admin.js';
+import { SSGSMetrics, Counter, Gauge, Histogram, MetricLabels, DatagramRejectReason, DeliveryFailureReason } from './metrics.js';
+import { SealRegistry, SealState, SealStats, SealStatus, SealRecordResult, SealLivenessChange } from './seals.js';
+import { Transport, TransportPeer, TransportEvents, UDPTransport, UDPTransportOptions } from './transport.js';
+import { WSSTransport, WSSTransportOptions } from './wss.js';
+import { SSGSLogger, Logger, LogLevel, LogFields, SSGSLoggerOptions } from './logger.js';
+import { RateLimiter, RateLimiterOptions, RateLimiterEvents, RateLimitResult, TokenBucketOptions, BlockedAddress } from './ratelimit.js';
 import { Buffer } from "node:buffer";
-type ConfigFile = {
-    key: string;
-    authorized_gateways: Array<{
-        uid: string;
-        key: string;
-    }>;
-};
-type AuthorizedGateway = {
-    gatewayUID: Buffer;
-    key: Buffer;
-};
 type SentMessage = {
     packetID: number;
     timestamp: number;
-    packet: Buffer;
+    packet: Buffer | null;
+    fields: ParsedSSGSCPPacket | null;
     resolve: (receivedOk: boolean) => void;
     receivedOk: boolean;
     retransmissionCount: number;
+    timeout: number;
 };
-export type Client = {
+type QueuedMessage = {
+    packetType: PacketType;
+    payload: Buffer;
+    resolve: (receivedOk: boolean) => void;
+};
+export type AuthFailure = {
+    gatewayUID: Buffer;
+    remoteAddress: string;
+    port: number;
+    transport: string;
+    reason: 'unauthorized' | 'invalid-key' | 'parse-error' | 'bad-auth-code' | 'legacy-protocol';
+};
+export type ClientEvents = {
+    message: [message: ParsedMessage];
+    update: [update: SensorSealUpdate];
+    wakeupscan: [scan: WakeupScanResult];
+    reconnect: [];
+    disconnect: [];
+    drain: [];
+    error: [err: Error];
+};
+export type SSGSEvents = {
+    connection: [client: Client];
+    message: [message: ParsedMessage, client: Client];
+    update: [update: SensorSealUpdate, client: Client];
+    sealupdate: [update: SensorSealUpdate, seal: SealState];
+    updatesmissed: [seal: SealState, missed: number, previousUpdateID: number];
+    sealreset: [seal: SealState, previousUpdateID: number];
+    sealstale: [seal: SealState, reason: SealLivenessChange['reason']];
+    sealoffline: [seal: SealState, reason: SealLivenessChange['reason']];
+    sealonline: [seal: SealState];
+    alert: [alert: Alert];
+    alertcleared: [alert: Alert];
+    wakeupscan: [scan: WakeupScanResult, client: Client];
+    reconnect: [client: Client];
+    disconnect: [client: Client];
+    authfailure: [failure: AuthFailure];
+    blocked: [entry: BlockedAddress];
+    unblocked: [entry: BlockedAddress];
+    error: [err: Error];
+};
+/**
+ * The client (gateway) state machine
+ * Emits the events listed in ClientEvents, the on* properties are kept for backwards compatibility
+ * and are called alongside any listeners added with on()
+ */
+export declare class Client extends EventEmitter<ClientEvents> {
     gatewayUID: Buffer;
     sourcePort: number;
     remoteAddress: string;
+    transport: Transport;
     lastSeen: number;
     connected: boolean;
+    reconnectCount: number;
     sendPacketID: number;
     retransmissionTimeout: number;
+    srtt: number | null;
+    rttvar: number | null;
     sentMessages: Array<SentMessage>;
+    sendQueue: Array<QueuedMessage>;
     receivedMessageIDsFIFO: Array<number>;
     key: Buffer;
+    session: SSGSCPSession | null;
     _processSeq: number;
+    _drainPending: boolean;
+    _reconnectTimers: Set<ReturnType<typeof setTimeout>>;
     onmessage: (update: ParsedMessage) => void;
     onupdate: (update: SensorSealUpdate) => void;
+    onwakeupscan: (scan: WakeupScanResult) => void;
     onreconnect: () => void;
     ondisconnect: () => void;
+    private server;
+    /**
+     * @constructor
+     * @param {SSGS} server - the server the client is connected to
+     * @param {Buffer} gatewayUID - the client (gateway) UID
+     * @param {TransportPeer} rinfo - the remote address information of the CONN packet
+     * @param {Buffer} key - the encryption key
+     */
+    constructor(server: SSGS, gatewayUID: Buffer, rinfo: TransportPeer, key: Buffer);
     /**
      * @method
      * @param {Buffer} payload - the payload to send to the client
      * @returns {Promise<boolean>} - whether the message was received ok
      * Sends a MSGCONF packet to the client and returns a promise resolving to whether the message was
      * received ok or false after it has been retransmitted RETRANSMISSION_COUNT_MAX times
+     * If the send window is full the message waits in the send queue, so awaiting send() applies backpressure
      */
-    send: (payload: Buffer) => Promise<boolean>;
-};
+    send(payload: Buffer): Promise<boolean>;
+    /**
+     * @method
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Asks the gateway to restart (GATEWAY_RESTART)
+     */
+    restart(): Promise<boolean>;
+    /**
+     * @method
+     * @param {Buffer} params - the radio parameters encoded as the gateway firmware expects them, at most 254 bytes
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Sets the gateway's radio parameters (SET_RADIO_PARAMS), the payload is sent as it is since SSGSCP does not define its layout
+     */
+    setRadioParams(params: Buffer): Promise<boolean>;
+    /**
+     * @method
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Resets the gateway's radio parameters to their default values (RESET_RADIO_PARAMS)
+     */
+    resetRadioParams(): Promise<boolean>;
+    /**
+     * @method
+     * @param {Buffer} packet - the raw radio packet, at most 254 bytes
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Asks the gateway to transmit a radio packet (SEND_PACKET)
+     */
+    sendRadioPacket(packet: Buffer): Promise<boolean>;
+    /**
+     * @method
+     * @param {number} messageType - a built-in or registered message subtype
+     * @param {any} data - the message data accepted by the subtype's encoder
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Encodes a message with SSEncoder.encode, including subtypes registered with SSGS.registerMessageType, and sends it
+     */
+    sendMessage<T>(messageType: MessageSubtype | MessageType<T> | number, data?: T): Promise<boolean>;
+    /**
+     * @method
+     * @param {string} input - the terminal input, e.g. 'echo hello world\n', at most 254 bytes when UTF-8 encoded
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Sends input to the gateway's remote terminal service (REMOTE_TERMINAL_INPUT), output arrives as REMOTE_TERMINAL_OUTPUT messages
+     */
+    terminalInput(input: string): Promise<boolean>;
+    /**
+     * @method
+     * @returns {TerminalStream} - a Duplex stream, write terminal input to it and read the terminal output from it
+     * Opens a stream to the gateway's remote terminal service, input of any length is split into messages
+     * Use terminal.exec(command) to run a single command and collect its output
+     */
+    openTerminal(): TerminalStream;
+    /**
+     * @method
+     * @param {Buffer} image - the firmware image
+     * @param {number} version - the u16 firmware version
+     * @param {FirmwareUpdateOptions} options - retry and pacing options
+     * @returns {FirmwareUpdate} - the running update, await its finished promise or listen for its events
+     * Splits the image into 32 byte blocks and sends them to the gateway in WFU_PACKET messages
+     * The update can be paused and resumed and starts again from the first block if the gateway reconnects
+     */
+    updateFirmware(image: Buffer, version: number, options?: FirmwareUpdateOptions): FirmwareUpdate;
+    /**
+     * @returns {number} - the number of messages that are queued or in flight
+     */
+    get pendingCount(): number;
+    /**
+     * @returns {1 | 2} - the SSGSCP version the gateway connected with
+     */
+    get protocolVersion(): 1 | 2;
+    /**
+     * @returns {TransportPeer} - the address and transport packets to the client are sent to
+     */
+    get peer(): TransportPeer;
+    /**
+     * @method
+     * @param {number} rtt - the measured round trip time in milliseconds
+     * Updates the RTT estimate and retransmission timeout as described in RFC 6298
+     * Samples must only be taken from messages that were not retransmitted (Karn's rule)
+     */
+    sampleRTT(rtt: number): void;
+    /**
+     * @method
+     * Forgets the RTT estimate, used when the gateway restarts
+     */
+    resetRTT(): void;
+}
 type ssgsOptions = {
     debug?: boolean;
+    logger?: Logger;
+    logLevel?: LogLevel;
+    redactLogs?: boolean;
+    closeDrainTimeoutMs?: number;
+    watchConfig?: boolean;
+    keyStore?: GatewayKeyStore;
+    sendWindow?: number;
+    sendQueueMaxLen?: number;
+    sealDuplicateWindowMs?: number;
+    sealReportIntervalMs?: number;
+    alertRules?: Array<AlertRule>;
+    history?: HistoryStoreOptions;
+    mqtt?: MQTTBridgeOptions;
+    admin?: AdminServerOptions;
+    udp?: boolean;
+    bind?: Array<{
+        address?: string;
+        port?: number;
+        ipv6Only?: boolean;
+    }>;
+    wss?: WSSTransportOptions;
+    transports?: Array<Transport>;
+    rateLimit?: RateLimiterOptions;
+    silentReject?: boolean;
+    legacyProtocol?: 'allow' | 'deny' | ((gatewayUID: Buffer) => boolean);
+    pinProtocolV2?: boolean;
 };
-declare class SSGS {
+/**
+ * The Sensor Seal Gateway Server
+ * Emits the events listed in SSGSEvents, the onconnection property is kept for backwards compatibility
+ */
+declare class SSGS extends EventEmitter<SSGSEvents> {
     /**
      * @param {Client} client - the new authorized client that has connected
      * The callback function that is called when a new client (gateway) has connected and is authenticated
+     * Equivalent to listening for the 'connection' event
      */
     onconnection: (client: Client) => void;
     /**
@@ -62,40 +254,96 @@ declare class SSGS {
      * @param {string} remoteAddress - the IP address of the gateway that is attempting to connect
      * @param {number} port - the UDP source port number of the gateway that is attempting to connect
      * @returns {Buffer | null} - the key of the gateway if it should be authorized, null otherwise
-     * The callback function that is called when an unauthorized gateway (not in config file) attempts to connect
+     * The callback function that is called when a gateway that is not in the key store attempts to connect
      * Return the key of the gateway if it should be authorized, null otherwise
      * If this function is not set, all unauthorized gateways will be rejected
+     * Kept for backwards compatibility, implementing a GatewayKeyStore is preferred
      */
     onconnectionattempt: (gatewayUID: Buffer, remoteAddress: string, port: number) => Promise<Buffer | null>;
     port: number;
     configFilePath: string;
-    socket: dgram.Socket;
-    configFile: ConfigFile;
-    authorizedGateways: Array<AuthorizedGateway>;
+    transports: Array<Transport>;
+    keyStore: GatewayKeyStore;
     connectedClients: Array<Client>;
     checkingAuthorizationFor: Array<{
         gatewayUID: Buffer;
         timestamp: number;
     }>;
+    closeDrainTimeoutMs: number;
+    sendWindow: number;
+    sendQueueMaxLen: number;
+    watchConfig: boolean;
+    seals: SealRegistry;
+    alerts: AlertEngine;
+    historyStore: HistoryStore | null;
+    mqtt: MQTTBridge | null;
+    admin: AdminServer | null;
+    metrics: SSGSMetrics;
+    logger: SSGSLogger;
+    rateLimiter: RateLimiter;
+    silentReject: boolean;
+    legacyProtocol: 'allow' | 'deny' | ((gatewayUID: Buffer) => boolean);
+    pinProtocolV2: boolean;
+    private protocolV2GatewayUIDs;
+    private connNonces;
+    closing: boolean;
+    private started;
+    private closed;
+    private tickTimer;
+    private transportsOpen;
+    private configWatcher;
+    private configReloadTimer;
     /**
      * @constructor
      * @param {number} port - the UDP port number to listen for SSGSCP packets, default is 1818
      * @param {function} onmessage - the callback function to handle incoming messages
-     * @param {string} configFilePath - the path to the SSGS configuration file, default is './authorized.json'
+     * @param {string} configFilePath - the path to the SSGS configuration file, default is './authorized.json', ignored if options.keyStore is set
      */
-    constructor(port: number, onconnection: (client: Client) => void, configFilePath?: string, options?: ssgsOptions);
+    constructor(port?: number, onconnection?: (client: Client) => void, configFilePath?: string, options?: ssgsOptions);
     /**
      * @method
      * @async
-     * Starts the SSGS server by loading the configuration file and listening for incoming messages on the specified UDP port
+     * Starts the SSGS server by loading the key store and listening for incoming messages on the specified UDP port
+     * and any other transports, a transport that cannot be started is reported with the 'error' event
      */
     begin(): Promise<void>;
+    /**
+     * @method
+     * @async
+     * @param {number} drainTimeoutMs - how long to wait for pending messages to be acknowledged, default is options.closeDrainTimeoutMs
+     * @returns {Promise<void>} - resolves once the socket is closed
+     * Gracefully shuts down the SSGS server: rejects new connections, waits up to drainTimeoutMs for pending messages
+     * to be acknowledged (retransmitting them as usual), stops the tick timer, resolves any remaining send() promises
+     * with false, disconnects every client (calling ondisconnect) and closes the socket so that the event loop can exit
+     * Calling close() more than once returns the same promise
+     */
+    close(drainTimeoutMs?: number): Promise<void>;
+    private shutdown;
+    /**
+     * @method
+     * @returns {dgram.Socket | null} - the first UDP socket, null if UDP is disabled or the server has not started
+     */
+    get socket(): dgram.Socket | null;
+    /**
+     * @method
+     * @returns {Promise<void>} - resolves once every transport has been closed
+     * Closes the transports if they are still open
+     */
+    private closeTransports;
+    /**
+     * @method
+     * @param {Buffer} packet - the packed SSGSCP packet to send
+     * @param {TransportPeer} peer - the destination address and the transport to send it over
+     * Sends a packet if the transports are still open, packets produced by handlers that finish after close() are dropped
+     */
+    private sendDatagram;
     /**
      * @method
      * @returns {void}
      * Ticks the connected clients to check for required retransmissions
      * This function should be called periodically, e.g. every 200ms
-     * Sends at most 10 retransmissions per client per tick
+     * Sends at most 10 retransmissions per client per tick, each retransmission doubles the timeout of the message
+     * Also checks the liveness of the Sensor Seals that have an expected reporting interval
      */
     tickClients(): void;
     /**
@@ -105,16 +353,105 @@ declare class SSGS {
      * Removes the client from the connectedClients list and calls the ondisconnect callback function
      */
     removeClient(client: Client): void;
+    /**
+     * @method
+     * @param {Error} err - the error to report
+     * @param {Client} client - the client the error relates to, if any
+     * Emits an 'error' event on the client and the server, errors with no listeners are logged instead of thrown
+     */
+    emitError(err: Error, client?: Client): void;
+    /**
+     * @method
+     * @param {TransportPeer} rinfo - the remote address information of the rejected packet
+     * @param {Buffer} gatewayUID - the UID of the rejected gateway
+     * @param {AuthFailure['reason']} reason - why the gateway was rejected
+     * @param {1 | 2} version - the SSGSCP version of the rejected packet, the CONNFAIL is sent in the same version
+     * Sends a CONNFAIL packet to the gateway and emits an 'authfailure' event
+     */
+    rejectGateway(rinfo: TransportPeer, gatewayUID: Buffer, reason: AuthFailure['reason'], version?: 1 | 2): void;
+    /**
+     * @method
+     * @async
+     * @param {TransportPeer} rinfo - the remote address information of the rejected packet
+     * @param {Buffer} gatewayUID - the gateway UID the packet claims
+     * @param {DatagramRejectReason} reason - why the packet was rejected
+     * @param {1 | 2} version - the SSGSCP version of the rejected packet, the CONNFAIL is sent in the same version
+     * @param {boolean} authenticated - whether the packet was authenticated with the gateway's key
+     * Answers a packet that is rejected without being an authentication failure with CONNFAIL. With silentReject set, a packet
+     * that was not authenticated is only answered if its gateway UID is connected or in the key store
+     */
+    private rejectDatagram;
+    /**
+     * @method
+     * @param {Buffer} gatewayUID - the UID of the gateway that sent an authenticated SSGSCP v2 CONN
+     * @param {Buffer} nonce - the gateway nonce of the CONN
+     * @returns {boolean} - true if the nonce is new and has been recorded, false if an earlier CONN used it
+     * A CONN only authenticates the PSK, so a captured one stays valid. Without this check replaying it would replace
+     * the gateway's live session with one nobody can use
+     */
+    private acceptConnNonce;
+    /**
+     * @method
+     * @param {Buffer} gatewayUID - the UID of a gateway sending SSGSCP v1 packets
+     * @returns {boolean} - whether the legacyProtocol option and the gateway's minProtocol let the gateway use v1
+     */
+    acceptsProtocolV1(gatewayUID: Buffer): boolean;
+    /**
+     * @method
+     * @param {Buffer} gatewayUID - the UID of a gateway that has connected with SSGSCP v2
+     * Refuses the gateway v1 from now on and records minProtocol 2 in the key store so that this survives a restart
+     * Gateways authorized by onconnectionattempt are not in the key store and are only pinned until the server restarts
+     */
+    private pinToProtocolV2;
+    /**
+     * @method
+     * @param {Array<GatewayKeyEntry>} entries - every gateway in the key store
+     * Applies the minProtocol of each gateway, a store without setMinProtocol() cannot unpin gateways pinned since the start
+     */
+    private loadMinProtocols;
     /**
      * @method
      * @param {Client} client - the client to send the message to
      * @param {PacketType} packetType - the type of packet to send
      * @param {Buffer} payload - the payload of the packet
-     * @returns {void}
+     * @returns {Promise<boolean>} - whether the message was received ok
      * Sends a message to the specified client
-     * The message is added to the sentMessages list and will be retransmitted if no RCPTOK packet is received within the retransmission timeout
+     * The message is added to the client's send queue and transmitted once there are fewer than sendWindow messages in flight.
+     * It is then added to the sentMessages list and will be retransmitted if no RCPTOK packet is received within the retransmission timeout.
+     * Resolves to false straight away if the send queue is full
      */
     sendMSG(client: Client, packetType: PacketType, payload: Buffer): Promise<boolean>;
+    /**
+     * @method
+     * @param {Client} client - the client whose send queue should be serviced
+     * Moves messages from the send queue into the send window while there is room and transmits them
+     * Emits 'drain' on the client once nothing is queued or in flight
+     */
+    private transmitQueued;
+    /**
+     * @method
+     * @async
+     * @param {Client} client - the client to send the message to
+     * @param {SentMessage} sentMessage - the entry in the client's sentMessages list
+     * @param {QueuedMessage} queuedMessage - the message to pack
+     * Packs and transmits a message that has been given a slot in the send window
+     */
+    private transmitMessage;
+    /**
+     * @method
+     * @async
+     * @param {Client} client - the client the message was sent to
+     * @param {SentMessage} sentMessage - the message that was not acknowledged in time
+     * Sends a message again, v1 packets as they are and v2 packets packed again since the gateway drops sequence numbers it has seen
+     */
+    private retransmit;
+    /**
+     * @method
+     * @param {Client} client - the client whose messages should be failed
+     * @param {boolean} includeQueued - whether messages that have not been transmitted yet should also be failed
+     * Resolves the promises of in-flight (and optionally queued) messages to false and clears them
+     */
+    private failPendingMessages;
     /**
      * @method
      * @param {Buffer} gatewayUID - the gateway UID to check
@@ -137,57 +474,134 @@ declare class SSGS {
     /**
          * @method
          * @param {object} parsedPacket - the parsed packet object from SSGSCP.parseSSGSCP
-         * @param {object} rinfo - the remote address information from the UDP socket
+         * @param {TransportPeer} rinfo - the remote address information from the transport
          * Processes the incoming packet and calls the onmessage callback function
          */
-    process(datagram: Buffer, rinfo: dgram.RemoteInfo): Promise<void>;
+    process(datagram: Buffer, rinfo: TransportPeer): Promise<void>;
+    private processDatagram;
     /**
      * @method
-     * @param {object} rinfo - the remote address information from the UDP socket
+     * @param {TransportPeer} rinfo - the remote address information from the transport
+     * @param {1 | 2} version - the SSGSCP version the gateway used, default is 1
      * Sends a CONNFAIL packet to the remote address to indicate a connection failure
      */
-    sendCONNFAIL(rinfo: dgram.RemoteInfo, gatewayUID: Buffer): Promise<void>;
+    sendCONNFAIL(rinfo: TransportPeer, gatewayUID: Buffer, version?: 1 | 2): Promise<void>;
     /**
      * @method
-     * @param {object} rinfo - the remote address information from the UDP socket
+     * @param {TransportPeer} rinfo - the remote address information from the transport
+     * @param {SSGSCPSession} session - the v2 session the CONN opened, null for v1
      * Sends a CONNACPT packet to the remote address to indicate a connection success
-     * This packet is sent in response to a CONN packet
+     * This packet is sent in response to a CONN packet, in v2 it carries the server's session nonce
      */
-    sendCONNACPT(rinfo: dgram.RemoteInfo, key: Buffer, gatewayUID: Buffer): Promise<void>;
+    sendCONNACPT(rinfo: TransportPeer, key: Buffer, gatewayUID: Buffer, session?: SSGSCPSession | null): Promise<void>;
     /**
      * @method
      * @param {number} packetID - the packet ID to send
-     * @param {object} rinfo - the remote address information from the UDP socket
+     * @param {TransportPeer} rinfo - the remote address information from the transport
+     * @param {SSGSCPSession} session - the v2 session of the gateway, null for v1
      * Sends a RCPTOK packet to the remote address to indicate that the packet with the given packet ID was received correctly
      */
-    sendRCPTOK(packetID: number, rinfo: dgram.RemoteInfo, key: Buffer, gatewayUID: Buffer): Promise<void>;
+    sendRCPTOK(packetID: number, rinfo: TransportPeer, key: Buffer, gatewayUID: Buffer, session?: SSGSCPSession | null): Promise<void>;
     /**
      * @method
      * @param {Buffer} gatewayUID - the gateway UID to check
-     * @returns {boolean} - true if the gateway UID is authorized, false otherwise
-     * Checks if the gateway UID is authorized in the configuration file
+     * @returns {Client | null} - the client object if the gateway UID is connected, null otherwise
+     * Checks if the gateway UID is connected and returns the client object if it is
      */
-    isAuthorizedGateway(gatewayUID: Buffer): boolean;
+    getClientByGatewayUID(gatewayUID: Buffer): Client | null;
     /**
      * @method
-     * @param {Buffer} gatewayUID - the gateway UID to check
-     * @returns {Buffer | null} - the key for the gateway UID if it is authorized, null otherwise
-     * Checks if the gateway UID is authorized in the configuration file and returns the key if it is
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string such as '4dec5dfa'
+     * @returns {SealState | undefined} - the latest state of the seal, or undefined if no gateway has heard it
      */
-    getGatewayKey(gatewayUID: Buffer): Buffer | null;
+    getSeal(sensorSealUID: Buffer | string): SealState | undefined;
     /**
      * @method
-     * @param {Buffer} gatewayUID - the gateway UID to check
-     * @returns {Client | null} - the client object if the gateway UID is connected, null otherwise
-     * Checks if the gateway UID is connected and returns the client object if it is
+     * @returns {Array<SealState>} - the latest state of every seal heard by any gateway
      */
-    getClientByGatewayUID(gatewayUID: Buffer): Client | null;
+    listSeals(): Array<SealState>;
+    /**
+     * @method
+     * @async
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string such as '4dec5dfa'
+     * @param {HistoryQuery} query - the time range, the fields to return and the downsampling bucket size in milliseconds
+     * @returns {Promise<Array<HistoryPoint>>} - the stored updates of the seal in receive order, or averaged buckets when downsampling
+     * Queries the local update history, requires the history option
+     */
+    history(sensorSealUID: Buffer | string, query?: HistoryQuery): Promise<Array<HistoryPoint>>;
+    /**
+     * @method
+     * @async
+     * @returns {Promise<void>} - resolves once the new configuration is in force, rejects if the file is missing or malformed
+     * Reloads the key store (re-reading the configuration file) and applies the changes in place without dropping sessions
+     * Newly added gateways are admitted on their next CONN. Connected clients whose UID was removed from the store, or
+     * whose key changed, are disconnected with removeClient(). Clients authorized through onconnectionattempt are
+     * only affected if the store now lists them with a different key.
+     * If the file cannot be read or parsed the previous configuration stays in force
+     */
+    reloadConfig(): Promise<void>;
+    /**
+     * @method
+     * @async
+     * @param {Buffer} gatewayUID - the UID of the gateway to authorize
+     * @param {Buffer} key - the 32 byte pre-shared key of the gateway
+     * @param {string} description - an optional description
+     * Adds the gateway to the key store, a connected client using a different key is disconnected
+     */
+    authorizeGateway(gatewayUID: Buffer, key: Buffer, description?: string): Promise<void>;
     /**
      * @method
-     * @param {string} configFilePath - the path to the SSGS configuration file
-     * Loads and parses the configuration file and sets up the authorized gateways and key properties
+     * @async
+     * @param {Buffer} gatewayUID - the UID of the gateway to revoke
+     * @returns {Promise<boolean>} - true if the gateway was in the key store
+     * Removes the gateway from the key store and disconnects it if it is connected
+     */
+    revokeGateway(gatewayUID: Buffer): Promise<boolean>;
+    /**
+     * @method
+     * @async
+     * @param {Array<Client>} clients - the gateways to update
+     * @param {Buffer} image - the firmware image
+     * @param {number} version - the u16 firmware version
+     * @param {object} options - FirmwareUpdateOptions plus concurrency (how many gateways are updated at once, default 4)
+     *                           and onstart (called with each FirmwareUpdate as it starts)
+     * @returns {Promise<Array<FirmwareRolloutResult>>} - the outcome for each gateway, in the order of clients
+     * Pushes the same firmware image to a set of gateways
+     */
+    updateFirmware(clients: Array<Client>, image: Buffer, version: number, options?: FirmwareUpdateOptions & {
+        concurrency?: number;
+        onstart?: (update: FirmwareUpdate) => void;
+    }): Promise<Array<FirmwareRolloutResult>>;
+    /**
+     * @method
+     * Starts watching the key store file and reloads it when it changes
+     * The directory is watched rather than the file so that editors that save by renaming are handled
+     */
+    private watchConfigFile;
+    /**
+     * @method
+     * Stops watching the configuration file
+     */
+    private unwatchConfigFile;
+    /**
+     * @method
+     * @static
+     * @param {number} subtype - the u8 message subtype used by the custom gateway firmware
+     * @param {MessageTypeDefinition} definition - the name and the decoder and/or encoder of the message type
+     * @returns {MessageType} - a handle, messageType.is(message) narrows a received message to the decoded type
+     * Registers a custom message subtype, decoded messages are delivered to onmessage and 'message' listeners
+     * and client.sendMessage(messageType, data) sends them with the encoder
+     */
+    static registerMessageType<T>(subtype: number, definition: MessageTypeDefinition<T>): MessageType<T>;
+    /**
+     * @method
+     * @static
+     * @param {number} ssrbVersion - the u8 SSRB version sent by the Sensor Seal firmware
+     * @param {SSRBLayout} layout - the presence flags and fields that follow the SSRB header in this version
+     * Registers or replaces the field layout used to decode SSRB updates of the given version
+     * Versions newer than every registered version are decoded with the newest registered layout
      */
-    loadConfig(configFilePath: string): Promise<void>;
+    static registerSSRBVersion(ssrbVersion: number, layout: SSRBLayout): void;
     /**
      * @method
      * @static
@@ -210,4 +624,22 @@ declare class SSGS {
 export default SSGS;
 export { MessageSubtype };
 export { SensorSealUpdate };
-export { ParsedMessage };
+export { ParsedMessage, MessageData };
+export { MessageType, MessageTypeDefinition };
+export { WakeupScanResult, WakeupScanSeal, decodeWakeupScanV1 };
+export { SSRBLayout, SSRBField, SSRBFieldType };
+export { SSEncoder };
+export { GatewayKeyStore, GatewayKeyEntry };
+export { MemoryKeyStore, JSONFileKeyStore, EncryptedFileKeyStore };
+export { FirmwareUpdate, FirmwareUpdateOptions, FirmwareRolloutResult };
+export { TerminalStream, ExecOptions };
+export { AlertEngine, Alert, AlertRule, AlertField };
+export { HistoryStore, HistoryStoreOptions, HistoryQuery, HistoryPoint };
+export { MQTTBridge, MQTTBridgeOptions, MQTTClient, MQTTClientOptions, MQTTQoS };
+export { AdminServer, AdminServerOptions };
+export { Transport, TransportPeer, TransportEvents, UDPTransport, UDPTransportOptions, WSSTransport, WSSTransportOptions };
+export { SSGSMetrics, Counter, Gauge, Histogram, MetricLabels, DatagramRejectReason, DeliveryFailureReason };
+export { SealRegistry, SealState, SealStats, SealStatus, SealRecordResult, SealLivenessChange };
+export { SSGSLogger, Logger, LogLevel, LogFields, SSGSLoggerOptions };
+export { SSGSCPSession, ReplayWindow };
+export { RateLimiter, RateLimiterOptions, RateLimiterEvents, RateLimitResult, TokenBucketOptions, BlockedAddress };
@@ -5,6 +5,32 @@
  * This source code is licensed under the MIT license found in the
  * LICENSE file in the root directory of this repository.
  */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
 var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
     function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
     return new (P || (P = Promise))(function (resolve, reject) {
@@ -41,119 +67,565 @@ var __generator = (this && this.__generator) || function (thisArg, body) {
         if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
     }
 };
-var __SSGS_DEBUG = false;
+var __spreadArray = (this && this.__spreadArray) || function (to, from, pack) {
+    if (pack || arguments.length === 2) for (var i = 0, l = from.length, ar; i < l; i++) {
+        if (ar || !(i in from)) {
+            if (!ar) ar = Array.prototype.slice.call(from, 0, i);
+            ar[i] = from[i];
+        }
+    }
+    return to.concat(ar || Array.prototype.slice.call(from));
+};
 var RECV_MSG_FIFO_MAX_LEN = 100;
-var SENT_MSG_LIST_MAX_LEN = 100;
+var SEND_WINDOW_DEFAULT = 16; // the default maximum number of unacknowledged messages in flight per client
+var SEND_QUEUE_MAX_LEN_DEFAULT = 1000; // the default maximum number of messages waiting for the window per client
 var RETRANSMISSION_COUNT_MAX = 10;
-var RETRANSMISSION_TIMEOUT_MS = 2000;
+var RETRANSMISSION_TIMEOUT_MS = 2000; // the initial retransmission timeout, used until the first RTT sample is taken
+var RTO_MIN_MS = 500; // lower bound of the retransmission timeout
+var RTO_MAX_MS = 10000; // upper bound of the retransmission timeout, also caps the exponential backoff
+var RTT_ALPHA = 1 / 8; // SRTT gain, RFC 6298
+var RTT_BETA = 1 / 4; // RTTVAR gain, RFC 6298
 var LAST_SEEN_TIMEOUT_MS = 30000; // if a client has not been seen for this long, it is removed from the connectedClients list
 var RETRANSMISSIONS_PER_CLIENT_PER_TICK = 10;
 var NUM_PACKET_IDS = 65536; // 2^16
 var AUTH_CHECK_TIMEOUT_MS = 5000; // if a client is not authorized within this time, it is removed from the checkingAuthorizationFor list
-import * as dgram from 'node:dgram';
-import * as fs from 'node:fs/promises';
+var TICK_INTERVAL_MS = 200;
+var CLOSE_DRAIN_TIMEOUT_MS = 2000; // how long close() waits for pending messages to be acknowledged before giving up on them
+var CONFIG_WATCH_DEBOUNCE_MS = 250; // editors often write a file in several steps, wait for them to settle before reloading
+var CONN_NONCES_PER_GATEWAY = 1024; // how many SSGSCP v2 CONN nonces are remembered per gateway to reject replayed CONNs
+import * as crypto from 'node:crypto';
+import * as path from 'node:path';
+import { watch } from 'node:fs';
+import { EventEmitter } from 'node:events';
 import { SSGSCP } from './ssgscp/ssgscp.js';
+import { ReplayWindow } from './ssgscp/ssgscp.js';
 import SSProtocols from './ssgscp/ssprotocols.js';
+import { decodeWakeupScanV1 } from './ssgscp/ssprotocols.js';
+import SSEncoder from './ssgscp/ssencoder.js';
+import { MemoryKeyStore, JSONFileKeyStore, EncryptedFileKeyStore } from './keystore.js';
+import { FirmwareUpdate, rolloutFirmware } from './firmware.js';
+import { TerminalStream } from './terminal.js';
+import { AlertEngine } from './alerts.js';
+import { HistoryStore } from './history.js';
+import { MQTTBridge } from './mqttbridge.js';
+import { MQTTClient } from './mqtt.js';
+import { AdminServer } from './admin.js';
+import { SSGSMetrics, Counter, Gauge, Histogram } from './metrics.js';
+import { SealRegistry } from './seals.js';
+import { Transport, UDPTransport } from './transport.js';
+import { WSSTransport } from './wss.js';
+import { SSGSLogger } from './logger.js';
+import { RateLimiter } from './ratelimit.js';
 import { assert } from 'node:console';
 import { Buffer } from "node:buffer";
-var SSGS = /** @class */ (function () {
+/**
+ * The client (gateway) state machine
+ * Emits the events listed in ClientEvents, the on* properties are kept for backwards compatibility
+ * and are called alongside any listeners added with on()
+ */
+var Client = /** @class */ (function (_super) {
+    __extends(Client, _super);
+    /**
+     * @constructor
+     * @param {SSGS} server - the server the client is connected to
+     * @param {Buffer} gatewayUID - the client (gateway) UID
+     * @param {TransportPeer} rinfo - the remote address information of the CONN packet
+     * @param {Buffer} key - the encryption key
+     */
+    function Client(server, gatewayUID, rinfo, key) {
+        var _this = _super.call(this) || this;
+        _this.server = server;
+        _this.gatewayUID = gatewayUID;
+        _this.sourcePort = rinfo.port;
+        _this.remoteAddress = rinfo.address;
+        _this.transport = rinfo.transport;
+        _this.lastSeen = Date.now();
+        _this.connected = true;
+        _this.reconnectCount = 0;
+        _this.sendPacketID = 0;
+        _this.retransmissionTimeout = RETRANSMISSION_TIMEOUT_MS;
+        _this.srtt = null;
+        _this.rttvar = null;
+        _this.sentMessages = [];
+        _this.sendQueue = [];
+        _this.receivedMessageIDsFIFO = [];
+        _this.key = key;
+        _this.session = null;
+        _this._processSeq = 0;
+        _this._drainPending = false;
+        _this._reconnectTimers = new Set();
+        _this.onmessage = function (parsedMessage) { };
+        _this.onupdate = function (parsedUpdate) { };
+        _this.onwakeupscan = function (scan) { };
+        _this.onreconnect = function () { };
+        _this.ondisconnect = function () { };
+        _this.on('message', function (parsedMessage) { var _a; return (_a = _this.onmessage) === null || _a === void 0 ? void 0 : _a.call(_this, parsedMessage); });
+        _this.on('update', function (update) { var _a; return (_a = _this.onupdate) === null || _a === void 0 ? void 0 : _a.call(_this, update); });
+        _this.on('wakeupscan', function (scan) { var _a; return (_a = _this.onwakeupscan) === null || _a === void 0 ? void 0 : _a.call(_this, scan); });
+        _this.on('reconnect', function () { var _a; return (_a = _this.onreconnect) === null || _a === void 0 ? void 0 : _a.call(_this); });
+        _this.on('disconnect', function () { var _a; return (_a = _this.ondisconnect) === null || _a === void 0 ? void 0 : _a.call(_this); });
+        return _this;
+    }
+    /**
+     * @method
+     * @param {Buffer} payload - the payload to send to the client
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Sends a MSGCONF packet to the client and returns a promise resolving to whether the message was
+     * received ok or false after it has been retransmitted RETRANSMISSION_COUNT_MAX times
+     * If the send window is full the message waits in the send queue, so awaiting send() applies backpressure
+     */
+    Client.prototype.send = function (payload) {
+        return __awaiter(this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0: return [4 /*yield*/, this.server.sendMSG(this, 20 /* PacketType.MSGCONF */, payload)];
+                    case 1: return [2 /*return*/, _a.sent()];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Asks the gateway to restart (GATEWAY_RESTART)
+     */
+    Client.prototype.restart = function () {
+        return this.send(SSEncoder.restart());
+    };
+    /**
+     * @method
+     * @param {Buffer} params - the radio parameters encoded as the gateway firmware expects them, at most 254 bytes
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Sets the gateway's radio parameters (SET_RADIO_PARAMS), the payload is sent as it is since SSGSCP does not define its layout
+     */
+    Client.prototype.setRadioParams = function (params) {
+        return this.send(SSEncoder.setRadioParams(params));
+    };
+    /**
+     * @method
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Resets the gateway's radio parameters to their default values (RESET_RADIO_PARAMS)
+     */
+    Client.prototype.resetRadioParams = function () {
+        return this.send(SSEncoder.resetRadioParams());
+    };
+    /**
+     * @method
+     * @param {Buffer} packet - the raw radio packet, at most 254 bytes
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Asks the gateway to transmit a radio packet (SEND_PACKET)
+     */
+    Client.prototype.sendRadioPacket = function (packet) {
+        return this.send(SSEncoder.sendPacket(packet));
+    };
+    /**
+     * @method
+     * @param {number} messageType - a built-in or registered message subtype
+     * @param {any} data - the message data accepted by the subtype's encoder
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Encodes a message with SSEncoder.encode, including subtypes registered with SSGS.registerMessageType, and sends it
+     */
+    Client.prototype.sendMessage = function (messageType, data) {
+        var subtype = typeof messageType === 'object' ? messageType.subtype : messageType;
+        return this.send(SSEncoder.encode(subtype, data));
+    };
+    /**
+     * @method
+     * @param {string} input - the terminal input, e.g. 'echo hello world\n', at most 254 bytes when UTF-8 encoded
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Sends input to the gateway's remote terminal service (REMOTE_TERMINAL_INPUT), output arrives as REMOTE_TERMINAL_OUTPUT messages
+     */
+    Client.prototype.terminalInput = function (input) {
+        return this.send(SSEncoder.terminalInput(input));
+    };
+    /**
+     * @method
+     * @returns {TerminalStream} - a Duplex stream, write terminal input to it and read the terminal output from it
+     * Opens a stream to the gateway's remote terminal service, input of any length is split into messages
+     * Use terminal.exec(command) to run a single command and collect its output
+     */
+    Client.prototype.openTerminal = function () {
+        return new TerminalStream(this);
+    };
+    /**
+     * @method
+     * @param {Buffer} image - the firmware image
+     * @param {number} version - the u16 firmware version
+     * @param {FirmwareUpdateOptions} options - retry and pacing options
+     * @returns {FirmwareUpdate} - the running update, await its finished promise or listen for its events
+     * Splits the image into 32 byte blocks and sends them to the gateway in WFU_PACKET messages
+     * The update can be paused and resumed and starts again from the first block if the gateway reconnects
+     */
+    Client.prototype.updateFirmware = function (image, version, options) {
+        return new FirmwareUpdate(this, image, version, options);
+    };
+    Object.defineProperty(Client.prototype, "pendingCount", {
+        /**
+         * @returns {number} - the number of messages that are queued or in flight
+         */
+        get: function () {
+            return this.sentMessages.length + this.sendQueue.length;
+        },
+        enumerable: false,
+        configurable: true
+    });
+    Object.defineProperty(Client.prototype, "protocolVersion", {
+        /**
+         * @returns {1 | 2} - the SSGSCP version the gateway connected with
+         */
+        get: function () {
+            return this.session ? 2 : 1;
+        },
+        enumerable: false,
+        configurable: true
+    });
+    Object.defineProperty(Client.prototype, "peer", {
+        /**
+         * @returns {TransportPeer} - the address and transport packets to the client are sent to
+         */
+        get: function () {
+            return { address: this.remoteAddress, port: this.sourcePort, transport: this.transport };
+        },
+        enumerable: false,
+        configurable: true
+    });
+    /**
+     * @method
+     * @param {number} rtt - the measured round trip time in milliseconds
+     * Updates the RTT estimate and retransmission timeout as described in RFC 6298
+     * Samples must only be taken from messages that were not retransmitted (Karn's rule)
+     */
+    Client.prototype.sampleRTT = function (rtt) {
+        if (this.srtt === null) {
+            this.srtt = rtt;
+            this.rttvar = rtt / 2;
+        }
+        else {
+            this.rttvar = (1 - RTT_BETA) * this.rttvar + RTT_BETA * Math.abs(this.srtt - rtt);
+            this.srtt = (1 - RTT_ALPHA) * this.srtt + RTT_ALPHA * rtt;
+        }
+        // the clock granularity is the tick interval, retransmissions cannot be scheduled more precisely than that
+        var rto = this.srtt + Math.max(TICK_INTERVAL_MS, 4 * this.rttvar);
+        this.retransmissionTimeout = Math.min(Math.max(rto, RTO_MIN_MS), RTO_MAX_MS);
+    };
+    /**
+     * @method
+     * Forgets the RTT estimate, used when the gateway restarts
+     */
+    Client.prototype.resetRTT = function () {
+        this.srtt = null;
+        this.rttvar = null;
+        this.retransmissionTimeout = RETRANSMISSION_TIMEOUT_MS;
+    };
+    return Client;
+}(EventEmitter));
+export { Client };
+/**
+ * The Sensor Seal Gateway Server
+ * Emits the events listed in SSGSEvents, the onconnection property is kept for backwards compatibility
+ */
+var SSGS = /** @class */ (function (_super) {
+    __extends(SSGS, _super);
     /**
      * @constructor
      * @param {number} port - the UDP port number to listen for SSGSCP packets, default is 1818
      * @param {function} onmessage - the callback function to handle incoming messages
-     * @param {string} configFilePath - the path to the SSGS configuration file, default is './authorized.json'
+     * @param {string} configFilePath - the path to the SSGS configuration file, default is './authorized.json', ignored if options.keyStore is set
      */
     function SSGS(port, onconnection, configFilePath, options) {
+        var _a;
         if (port === void 0) { port = 1818; }
-        var _this = this;
-        this.port = port;
-        this.onconnection = onconnection;
-        this.onconnectionattempt = function (gatewayUID, remoteAddress, port) { return __awaiter(_this, void 0, void 0, function () { return __generator(this, function (_a) {
+        var _b, _c, _d, _e, _f, _g, _h, _j, _k, _l, _m, _o, _p, _q, _r;
+        var _this = _super.call(this) || this;
+        _this.logger = new SSGSLogger((_b = options === null || options === void 0 ? void 0 : options.logger) !== null && _b !== void 0 ? _b : console, {
+            level: (_c = options === null || options === void 0 ? void 0 : options.logLevel) !== null && _c !== void 0 ? _c : ((options === null || options === void 0 ? void 0 : options.debug) ? 'debug' : (options === null || options === void 0 ? void 0 : options.logger) ? 'info' : 'warn'),
+            redact: (_d = options === null || options === void 0 ? void 0 : options.redactLogs) !== null && _d !== void 0 ? _d : true
+        });
+        _this.port = port;
+        _this.onconnection = onconnection;
+        _this.onconnectionattempt = function (gatewayUID, remoteAddress, port) { return __awaiter(_this, void 0, void 0, function () { return __generator(this, function (_a) {
             return [2 /*return*/, null];
         }); }); }; // default to rejecting all unauthorized gateways
-        this.configFilePath = configFilePath !== null && configFilePath !== void 0 ? configFilePath : './authorized.json';
-        this.socket = null;
-        this.configFile = null;
-        this.authorizedGateways = [];
-        this.connectedClients = [];
-        this.checkingAuthorizationFor = [];
-        if (options && options.debug) {
-            console.log('SSGS: Debug mode enabled');
-            __SSGS_DEBUG = true;
+        _this.configFilePath = configFilePath !== null && configFilePath !== void 0 ? configFilePath : './authorized.json';
+        _this.transports = [];
+        _this.keyStore = (_e = options === null || options === void 0 ? void 0 : options.keyStore) !== null && _e !== void 0 ? _e : new JSONFileKeyStore(_this.configFilePath, _this.logger);
+        _this.connectedClients = [];
+        _this.checkingAuthorizationFor = [];
+        _this.closeDrainTimeoutMs = (_f = options === null || options === void 0 ? void 0 : options.closeDrainTimeoutMs) !== null && _f !== void 0 ? _f : CLOSE_DRAIN_TIMEOUT_MS;
+        _this.watchConfig = (_g = options === null || options === void 0 ? void 0 : options.watchConfig) !== null && _g !== void 0 ? _g : false;
+        _this.sendWindow = Math.max(1, (_h = options === null || options === void 0 ? void 0 : options.sendWindow) !== null && _h !== void 0 ? _h : SEND_WINDOW_DEFAULT);
+        _this.sendQueueMaxLen = (_j = options === null || options === void 0 ? void 0 : options.sendQueueMaxLen) !== null && _j !== void 0 ? _j : SEND_QUEUE_MAX_LEN_DEFAULT;
+        _this.seals = new SealRegistry(options === null || options === void 0 ? void 0 : options.sealDuplicateWindowMs, options === null || options === void 0 ? void 0 : options.sealReportIntervalMs);
+        _this.alerts = new AlertEngine(options === null || options === void 0 ? void 0 : options.alertRules);
+        _this.rateLimiter = new RateLimiter(options === null || options === void 0 ? void 0 : options.rateLimit);
+        _this.silentReject = (_k = options === null || options === void 0 ? void 0 : options.silentReject) !== null && _k !== void 0 ? _k : false;
+        _this.legacyProtocol = (_l = options === null || options === void 0 ? void 0 : options.legacyProtocol) !== null && _l !== void 0 ? _l : 'allow';
+        _this.pinProtocolV2 = (_m = options === null || options === void 0 ? void 0 : options.pinProtocolV2) !== null && _m !== void 0 ? _m : true;
+        _this.protocolV2GatewayUIDs = new Set();
+        _this.connNonces = new Map();
+        _this.metrics = new SSGSMetrics(_this);
+        _this.historyStore = (options === null || options === void 0 ? void 0 : options.history) ? new HistoryStore(options.history) : null;
+        _this.mqtt = (options === null || options === void 0 ? void 0 : options.mqtt) ? new MQTTBridge(_this, options.mqtt) : null;
+        _this.admin = (options === null || options === void 0 ? void 0 : options.admin) ? new AdminServer(_this, options.admin) : null;
+        _this.configWatcher = null;
+        _this.configReloadTimer = null;
+        if ((_o = options === null || options === void 0 ? void 0 : options.udp) !== null && _o !== void 0 ? _o : true) {
+            for (var _i = 0, _s = (_p = options === null || options === void 0 ? void 0 : options.bind) !== null && _p !== void 0 ? _p : [{}]; _i < _s.length; _i++) {
+                var bind = _s[_i];
+                _this.transports.push(new UDPTransport(__assign(__assign({}, bind), { port: (_q = bind.port) !== null && _q !== void 0 ? _q : port })));
+            }
         }
-        this.begin();
+        if (options === null || options === void 0 ? void 0 : options.wss)
+            _this.transports.push(new WSSTransport(options.wss));
+        (_a = _this.transports).push.apply(_a, ((_r = options === null || options === void 0 ? void 0 : options.transports) !== null && _r !== void 0 ? _r : []));
+        _this.closing = false;
+        _this.closed = null;
+        _this.tickTimer = null;
+        _this.transportsOpen = false;
+        _this.on('connection', function (client) { var _a; return (_a = _this.onconnection) === null || _a === void 0 ? void 0 : _a.call(_this, client); });
+        _this.alerts.on('alert', function (alert) { return _this.emit('alert', alert); });
+        _this.alerts.on('alertcleared', function (alert) { return _this.emit('alertcleared', alert); });
+        _this.rateLimiter.on('blocked', function (entry) {
+            _this.logger.warn('Address blocked', { remoteAddress: entry.address, reason: entry.reason, until: new Date(entry.until).toISOString() });
+            _this.metrics.addressBlocks.inc({ reason: entry.reason });
+            _this.emit('blocked', entry);
+        });
+        _this.rateLimiter.on('unblocked', function (entry) {
+            _this.logger.info('Address unblocked', { remoteAddress: entry.address });
+            _this.emit('unblocked', entry);
+        });
+        _this.logger.debug('Debug logging enabled');
+        _this.started = _this.begin();
+        return _this;
     }
     /**
      * @method
      * @async
-     * Starts the SSGS server by loading the configuration file and listening for incoming messages on the specified UDP port
+     * Starts the SSGS server by loading the key store and listening for incoming messages on the specified UDP port
+     * and any other transports, a transport that cannot be started is reported with the 'error' event
      */
     SSGS.prototype.begin = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var _a, _loop_1, _i, _b, transport;
+            var _this = this;
+            var _c, _d, _e, _f, _g;
+            return __generator(this, function (_h) {
+                switch (_h.label) {
+                    case 0: return [4 /*yield*/, ((_d = (_c = this.keyStore).reload) === null || _d === void 0 ? void 0 : _d.call(_c))];
+                    case 1:
+                        _h.sent();
+                        _a = this.loadMinProtocols;
+                        return [4 /*yield*/, this.keyStore.list()];
+                    case 2:
+                        _a.apply(this, [_h.sent()]);
+                        if (this.watchConfig)
+                            this.watchConfigFile();
+                        (_e = this.historyStore) === null || _e === void 0 ? void 0 : _e.ready.catch(function (err) { return _this.emitError(err); });
+                        (_f = this.mqtt) === null || _f === void 0 ? void 0 : _f.start();
+                        (_g = this.admin) === null || _g === void 0 ? void 0 : _g.start().catch(function (err) { return _this.emitError(err); });
+                        _loop_1 = function (transport) {
+                            transport.on('packet', function (packet, peer) {
+                                _this.process(packet, peer).catch(function (err) { return _this.emitError(err); });
+                            });
+                            transport.on('senderror', function (err, peer) { return _this.logger.debug('Could not send packet', { remoteAddress: peer.address, port: peer.port, transport: transport.name, err: err }); });
+                            transport.on('error', function (err) { return _this.emitError(err); });
+                        };
+                        for (_i = 0, _b = this.transports; _i < _b.length; _i++) {
+                            transport = _b[_i];
+                            _loop_1(transport);
+                        }
+                        this.transportsOpen = true;
+                        return [4 /*yield*/, Promise.all(this.transports.map(function (transport) { return transport.start().catch(function (err) { return _this.emitError(err); }); }))];
+                    case 3:
+                        _h.sent();
+                        this.tickTimer = setInterval(function () { return _this.tickClients(); }, TICK_INTERVAL_MS);
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @async
+     * @param {number} drainTimeoutMs - how long to wait for pending messages to be acknowledged, default is options.closeDrainTimeoutMs
+     * @returns {Promise<void>} - resolves once the socket is closed
+     * Gracefully shuts down the SSGS server: rejects new connections, waits up to drainTimeoutMs for pending messages
+     * to be acknowledged (retransmitting them as usual), stops the tick timer, resolves any remaining send() promises
+     * with false, disconnects every client (calling ondisconnect) and closes the socket so that the event loop can exit
+     * Calling close() more than once returns the same promise
+     */
+    SSGS.prototype.close = function (drainTimeoutMs) {
+        if (!this.closed)
+            this.closed = this.shutdown(drainTimeoutMs !== null && drainTimeoutMs !== void 0 ? drainTimeoutMs : this.closeDrainTimeoutMs);
+        return this.closed;
+    };
+    SSGS.prototype.shutdown = function (drainTimeoutMs) {
+        return __awaiter(this, void 0, void 0, function () {
+            var e_1, deadline, _i, _a, client;
+            var _this = this;
+            var _b, _c, _d;
+            return __generator(this, function (_e) {
+                switch (_e.label) {
+                    case 0:
+                        this.closing = true;
+                        _e.label = 1;
+                    case 1:
+                        _e.trys.push([1, 3, , 4]);
+                        return [4 /*yield*/, this.started];
+                    case 2:
+                        _e.sent();
+                        return [3 /*break*/, 4];
+                    case 3:
+                        e_1 = _e.sent();
+                        return [3 /*break*/, 4];
+                    case 4:
+                        this.unwatchConfigFile();
+                        deadline = Date.now() + drainTimeoutMs;
+                        _e.label = 5;
+                    case 5:
+                        if (!(Date.now() < deadline && this.connectedClients.some(function (c) { return c.pendingCount > 0; }))) return [3 /*break*/, 7];
+                        return [4 /*yield*/, new Promise(function (resolve) { return setTimeout(resolve, Math.min(TICK_INTERVAL_MS, Math.max(deadline - Date.now(), 0))); })];
+                    case 6:
+                        _e.sent();
+                        return [3 /*break*/, 5];
+                    case 7:
+                        if (this.tickTimer) {
+                            clearInterval(this.tickTimer);
+                            this.tickTimer = null;
+                        }
+                        // removeClient() resolves whatever is left to false
+                        for (_i = 0, _a = __spreadArray([], this.connectedClients, true); _i < _a.length; _i++) {
+                            client = _a[_i];
+                            this.removeClient(client);
+                        }
+                        this.checkingAuthorizationFor = [];
+                        return [4 /*yield*/, this.closeTransports()];
+                    case 8:
+                        _e.sent();
+                        return [4 /*yield*/, ((_b = this.historyStore) === null || _b === void 0 ? void 0 : _b.close().catch(function (err) { return _this.emitError(err); }))];
+                    case 9:
+                        _e.sent();
+                        return [4 /*yield*/, ((_c = this.mqtt) === null || _c === void 0 ? void 0 : _c.stop(drainTimeoutMs))];
+                    case 10:
+                        _e.sent(); // after removing the clients so that their offline status is published
+                        return [4 /*yield*/, ((_d = this.admin) === null || _d === void 0 ? void 0 : _d.stop())];
+                    case 11:
+                        _e.sent(); // last so that event streams see the disconnects
+                        this.logger.info('Server closed');
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    Object.defineProperty(SSGS.prototype, "socket", {
+        /**
+         * @method
+         * @returns {dgram.Socket | null} - the first UDP socket, null if UDP is disabled or the server has not started
+         */
+        get: function () {
+            var udp = this.transports.find(function (transport) { return transport instanceof UDPTransport; });
+            return udp ? udp.socket : null;
+        },
+        enumerable: false,
+        configurable: true
+    });
+    /**
+     * @method
+     * @returns {Promise<void>} - resolves once every transport has been closed
+     * Closes the transports if they are still open
+     */
+    SSGS.prototype.closeTransports = function () {
         return __awaiter(this, void 0, void 0, function () {
             var _this = this;
             return __generator(this, function (_a) {
                 switch (_a.label) {
-                    case 0: return [4 /*yield*/, this.loadConfig(this.configFilePath)];
+                    case 0:
+                        if (!this.transportsOpen)
+                            return [2 /*return*/];
+                        this.transportsOpen = false;
+                        return [4 /*yield*/, Promise.all(this.transports.map(function (transport) { return transport.close().catch(function (err) { return _this.emitError(err); }); }))];
                     case 1:
                         _a.sent();
-                        this.socket = dgram.createSocket('udp4');
-                        this.socket.on('error', function (err) {
-                            console.error('Internal SSGS Server Error:', err.message);
-                            _this.socket.close();
-                        });
-                        this.socket.on('message', function (datagram, rinfo) {
-                            _this.process(datagram, rinfo);
-                        });
-                        this.socket.bind(this.port);
-                        setInterval(function () { return _this.tickClients(); }, 200);
                         return [2 /*return*/];
                 }
             });
         });
     };
+    /**
+     * @method
+     * @param {Buffer} packet - the packed SSGSCP packet to send
+     * @param {TransportPeer} peer - the destination address and the transport to send it over
+     * Sends a packet if the transports are still open, packets produced by handlers that finish after close() are dropped
+     */
+    SSGS.prototype.sendDatagram = function (packet, peer) {
+        if (!this.transportsOpen)
+            return;
+        peer.transport.send(packet, peer);
+    };
     /**
      * @method
      * @returns {void}
      * Ticks the connected clients to check for required retransmissions
      * This function should be called periodically, e.g. every 200ms
-     * Sends at most 10 retransmissions per client per tick
+     * Sends at most 10 retransmissions per client per tick, each retransmission doubles the timeout of the message
+     * Also checks the liveness of the Sensor Seals that have an expected reporting interval
      */
     SSGS.prototype.tickClients = function () {
+        var _this = this;
+        var endTimer = this.metrics.tickDuration.startTimer();
         var now = Date.now();
-        for (var _i = 0, _a = this.connectedClients; _i < _a.length; _i++) {
-            var client = _a[_i];
+        var _loop_2 = function (client) {
             // loop over the sent messages and check if any need to be retransmitted, limit to RETRANSMISSIONS_PER_CLIENT_PER_TICK messages per client per tick
             var retransmittedCount = 0;
-            for (var _b = 0, _c = client.sentMessages; _b < _c.length; _b++) {
-                var sentMessage = _c[_b];
-                if (retransmittedCount < RETRANSMISSIONS_PER_CLIENT_PER_TICK && now - sentMessage.timestamp > client.retransmissionTimeout) {
+            // iterate over a copy since failed messages are removed from the list, the list is never longer than the send window
+            for (var _d = 0, _e = __spreadArray([], client.sentMessages, true); _d < _e.length; _d++) {
+                var sentMessage = _e[_d];
+                if (!sentMessage.packet) // still being packed
+                    continue;
+                if (retransmittedCount < RETRANSMISSIONS_PER_CLIENT_PER_TICK && now - sentMessage.timestamp > sentMessage.timeout) {
                     // retransmit the message
-                    this.socket.send(new Uint8Array(sentMessage.packet), client.sourcePort, client.remoteAddress, function (err) {
-                        if (err)
-                            logIfSSGSDebug('Error: Could not send packet: ' + err);
-                    });
-                    logIfSSGSDebug('Retransmitting packet to client ' + SSGS.uidToString(client.gatewayUID) + ': ' + sentMessage.packetID + ', num pending: ' + client.sentMessages.length);
+                    this_1.retransmit(client, sentMessage).catch(function (err) { return _this.emitError(err, client); });
+                    this_1.metrics.retransmissions.inc();
+                    this_1.logger.debug('Retransmitting packet', { gatewayUID: client.gatewayUID, packetID: sentMessage.packetID, pending: client.sentMessages.length });
                     sentMessage.timestamp = Date.now();
                     sentMessage.retransmissionCount++;
+                    sentMessage.timeout = Math.min(sentMessage.timeout * 2, RTO_MAX_MS); // exponential backoff
                     // if the message has been retransmitted more than RETRANSMISSION_COUNT_MAX times, remove it from the list and resolve the promise to false
                     if (sentMessage.retransmissionCount > RETRANSMISSION_COUNT_MAX) {
                         sentMessage.resolve(false);
                         client.sentMessages.splice(client.sentMessages.indexOf(sentMessage), 1);
+                        this_1.metrics.deliveryFailures.inc({ reason: 'timeout' });
                     }
                     retransmittedCount++;
                 }
             }
+            // failed messages free up room in the window
+            this_1.transmitQueued(client);
             // remove the client if it has not been seen for LAST_SEEN_TIMEOUT_MS
             if (now - client.lastSeen > LAST_SEEN_TIMEOUT_MS) {
-                this.removeClient(client);
-                logIfSSGSDebug('Client ' + SSGS.uidToString(client.gatewayUID) + ' removed due to inactivity');
+                this_1.removeClient(client);
+                this_1.logger.info('Client removed due to inactivity', { gatewayUID: client.gatewayUID, remoteAddress: client.remoteAddress });
             }
+        };
+        var this_1 = this;
+        for (var _i = 0, _a = this.connectedClients; _i < _a.length; _i++) {
+            var client = _a[_i];
+            _loop_2(client);
+        }
+        this.rateLimiter.prune(now);
+        // check the seals after the clients so that a gateway that just timed out no longer counts as reachable
+        var connectedGatewayUIDs = this.connectedClients.map(function (client) { return client.gatewayUID.toString('hex'); });
+        for (var _b = 0, _c = this.seals.checkLiveness(now, function (gatewayUID) { return connectedGatewayUIDs.indexOf(gatewayUID) !== -1; }); _b < _c.length; _b++) {
+            var change = _c[_b];
+            this.logger.info('Seal is ' + change.status, { sensorSealUID: change.seal.sensorSealUID, reason: change.reason });
+            this.emit(change.status === 'offline' ? 'sealoffline' : 'sealstale', change.seal, change.reason);
         }
         for (var i = 0; i < this.checkingAuthorizationFor.length; i++) {
             if (now - this.checkingAuthorizationFor[i].timestamp > AUTH_CHECK_TIMEOUT_MS) {
                 this.checkingAuthorizationFor.splice(i, 1);
             }
         }
+        endTimer();
     };
     /**
      * @method
@@ -163,78 +635,325 @@ var SSGS = /** @class */ (function () {
      */
     SSGS.prototype.removeClient = function (client) {
         var index = this.connectedClients.indexOf(client);
+        if (index == -1) // already removed
+            return;
         this.connectedClients.splice(index, 1);
         client.connected = false;
-        client.ondisconnect();
+        client._reconnectTimers.forEach(function (reconnectTimer) { return clearTimeout(reconnectTimer); });
+        client._reconnectTimers.clear();
+        this.failPendingMessages(client, true);
+        client.emit('disconnect');
+        this.emit('disconnect', client);
+    };
+    /**
+     * @method
+     * @param {Error} err - the error to report
+     * @param {Client} client - the client the error relates to, if any
+     * Emits an 'error' event on the client and the server, errors with no listeners are logged instead of thrown
+     */
+    SSGS.prototype.emitError = function (err, client) {
+        if (client && client.listenerCount('error') > 0)
+            client.emit('error', err);
+        if (this.listenerCount('error') > 0)
+            this.emit('error', err);
+        else
+            this.logger.error('Internal SSGS Server Error', { gatewayUID: client === null || client === void 0 ? void 0 : client.gatewayUID, err: err });
+    };
+    /**
+     * @method
+     * @param {TransportPeer} rinfo - the remote address information of the rejected packet
+     * @param {Buffer} gatewayUID - the UID of the rejected gateway
+     * @param {AuthFailure['reason']} reason - why the gateway was rejected
+     * @param {1 | 2} version - the SSGSCP version of the rejected packet, the CONNFAIL is sent in the same version
+     * Sends a CONNFAIL packet to the gateway and emits an 'authfailure' event
+     */
+    SSGS.prototype.rejectGateway = function (rinfo, gatewayUID, reason, version) {
+        if (version === void 0) { version = 1; }
+        this.metrics.datagramsRejected.inc({ reason: reason });
+        this.rateLimiter.recordFailure(rinfo.address, gatewayUID);
+        if (this.silentReject && reason === 'unauthorized')
+            this.metrics.connfailsSuppressed.inc();
+        else
+            this.sendCONNFAIL(rinfo, gatewayUID, version);
+        this.emit('authfailure', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, port: rinfo.port, transport: rinfo.transport.name, reason: reason });
+    };
+    /**
+     * @method
+     * @async
+     * @param {TransportPeer} rinfo - the remote address information of the rejected packet
+     * @param {Buffer} gatewayUID - the gateway UID the packet claims
+     * @param {DatagramRejectReason} reason - why the packet was rejected
+     * @param {1 | 2} version - the SSGSCP version of the rejected packet, the CONNFAIL is sent in the same version
+     * @param {boolean} authenticated - whether the packet was authenticated with the gateway's key
+     * Answers a packet that is rejected without being an authentication failure with CONNFAIL. With silentReject set, a packet
+     * that was not authenticated is only answered if its gateway UID is connected or in the key store
+     */
+    SSGS.prototype.rejectDatagram = function (rinfo, gatewayUID, reason, version, authenticated) {
+        return __awaiter(this, void 0, void 0, function () {
+            var key;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        this.metrics.datagramsRejected.inc({ reason: reason });
+                        if (!(this.silentReject && !authenticated && !this.connectedClients.some(function (c) { return SSGS.gatewayUIDsMatch(c.gatewayUID, gatewayUID); }))) return [3 /*break*/, 2];
+                        return [4 /*yield*/, this.keyStore.lookup(gatewayUID).catch(function () { return null; })];
+                    case 1:
+                        key = _a.sent();
+                        if (!key) {
+                            this.metrics.connfailsSuppressed.inc();
+                            return [2 /*return*/];
+                        }
+                        _a.label = 2;
+                    case 2: return [4 /*yield*/, this.sendCONNFAIL(rinfo, gatewayUID, version)];
+                    case 3:
+                        _a.sent();
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @param {Buffer} gatewayUID - the UID of the gateway that sent an authenticated SSGSCP v2 CONN
+     * @param {Buffer} nonce - the gateway nonce of the CONN
+     * @returns {boolean} - true if the nonce is new and has been recorded, false if an earlier CONN used it
+     * A CONN only authenticates the PSK, so a captured one stays valid. Without this check replaying it would replace
+     * the gateway's live session with one nobody can use
+     */
+    SSGS.prototype.acceptConnNonce = function (gatewayUID, nonce) {
+        var _a;
+        var uid = gatewayUID.toString('hex');
+        var nonces = (_a = this.connNonces.get(uid)) !== null && _a !== void 0 ? _a : new Set();
+        var hexNonce = nonce.toString('hex');
+        if (nonces.has(hexNonce))
+            return false;
+        nonces.add(hexNonce);
+        if (nonces.size > CONN_NONCES_PER_GATEWAY)
+            nonces.delete(nonces.values().next().value);
+        this.connNonces.set(uid, nonces);
+        return true;
+    };
+    /**
+     * @method
+     * @param {Buffer} gatewayUID - the UID of a gateway sending SSGSCP v1 packets
+     * @returns {boolean} - whether the legacyProtocol option and the gateway's minProtocol let the gateway use v1
+     */
+    SSGS.prototype.acceptsProtocolV1 = function (gatewayUID) {
+        if (this.protocolV2GatewayUIDs.has(gatewayUID.toString('hex')))
+            return false;
+        if (typeof this.legacyProtocol === 'function')
+            return this.legacyProtocol(gatewayUID);
+        return this.legacyProtocol !== 'deny';
+    };
+    /**
+     * @method
+     * @param {Buffer} gatewayUID - the UID of a gateway that has connected with SSGSCP v2
+     * Refuses the gateway v1 from now on and records minProtocol 2 in the key store so that this survives a restart
+     * Gateways authorized by onconnectionattempt are not in the key store and are only pinned until the server restarts
+     */
+    SSGS.prototype.pinToProtocolV2 = function (gatewayUID) {
+        var _this = this;
+        var _a, _b;
+        var uid = gatewayUID.toString('hex');
+        if (this.protocolV2GatewayUIDs.has(uid))
+            return;
+        this.protocolV2GatewayUIDs.add(uid);
+        (_b = (_a = this.keyStore).setMinProtocol) === null || _b === void 0 ? void 0 : _b.call(_a, gatewayUID, 2).catch(function (err) {
+            _this.emitError(new Error('SSGS Key Store: could not record minProtocol for gateway UID ' + SSGS.uidToString(gatewayUID) + ': ' + err.message));
+        });
+    };
+    /**
+     * @method
+     * @param {Array<GatewayKeyEntry>} entries - every gateway in the key store
+     * Applies the minProtocol of each gateway, a store without setMinProtocol() cannot unpin gateways pinned since the start
+     */
+    SSGS.prototype.loadMinProtocols = function (entries) {
+        for (var _i = 0, entries_1 = entries; _i < entries_1.length; _i++) {
+            var entry = entries_1[_i];
+            var uid = entry.gatewayUID.toString('hex');
+            if (entry.minProtocol === 2)
+                this.protocolV2GatewayUIDs.add(uid);
+            else if (this.keyStore.setMinProtocol)
+                this.protocolV2GatewayUIDs.delete(uid);
+        }
     };
     /**
      * @method
      * @param {Client} client - the client to send the message to
      * @param {PacketType} packetType - the type of packet to send
      * @param {Buffer} payload - the payload of the packet
-     * @returns {void}
+     * @returns {Promise<boolean>} - whether the message was received ok
      * Sends a message to the specified client
-     * The message is added to the sentMessages list and will be retransmitted if no RCPTOK packet is received within the retransmission timeout
+     * The message is added to the client's send queue and transmitted once there are fewer than sendWindow messages in flight.
+     * It is then added to the sentMessages list and will be retransmitted if no RCPTOK packet is received within the retransmission timeout.
+     * Resolves to false straight away if the send queue is full
      */
     SSGS.prototype.sendMSG = function (client, packetType, payload) {
         return __awaiter(this, void 0, void 0, function () {
-            var packet, packedPacket, resolve, promise, sentMessage;
+            var endTimer, promise, receivedOk;
             return __generator(this, function (_a) {
                 switch (_a.label) {
+                    case 0:
+                        if (!this.transportsOpen || !client.connected) {
+                            this.metrics.deliveryFailures.inc({ reason: 'not-connected' });
+                            return [2 /*return*/, false];
+                        }
+                        if (client.sendQueue.length >= this.sendQueueMaxLen) {
+                            this.logger.warn('Send queue full, dropping message', { gatewayUID: client.gatewayUID, queued: client.sendQueue.length });
+                            this.metrics.deliveryFailures.inc({ reason: 'queue-full' });
+                            return [2 /*return*/, false];
+                        }
+                        endTimer = this.metrics.deliveryDuration.startTimer();
+                        promise = new Promise(function (resolve) {
+                            client.sendQueue.push({ packetType: packetType, payload: payload, resolve: resolve });
+                        });
+                        client._drainPending = true;
+                        this.transmitQueued(client);
+                        return [4 /*yield*/, promise];
+                    case 1:
+                        receivedOk = _a.sent();
+                        if (receivedOk) {
+                            this.metrics.messagesDelivered.inc();
+                            endTimer();
+                        }
+                        return [2 /*return*/, receivedOk];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @param {Client} client - the client whose send queue should be serviced
+     * Moves messages from the send queue into the send window while there is room and transmits them
+     * Emits 'drain' on the client once nothing is queued or in flight
+     */
+    SSGS.prototype.transmitQueued = function (client) {
+        while (client.connected && this.transportsOpen && client.sendQueue.length > 0 && client.sentMessages.length < this.sendWindow) {
+            var queuedMessage = client.sendQueue.shift();
+            // add the sent message to the sentMessages list straight away so that it occupies its slot in the window
+            // and the packet ID is assigned in queue order, the packet is filled in once it has been packed
+            var sentMessage = {
+                packetID: client.sendPacketID,
+                timestamp: Date.now(), // the timestamp of when the message was sent
+                packet: null,
+                fields: null,
+                resolve: queuedMessage.resolve, // called when the RCPTOK packet is received
+                receivedOk: false, // set to true when the RCPTOK packet is received
+                retransmissionCount: 0, // the number of times the message has been retransmitted
+                timeout: client.retransmissionTimeout // backed off on each retransmission
+            };
+            client.sentMessages.push(sentMessage);
+            // increment the packet ID
+            client.sendPacketID = (client.sendPacketID + 1) % NUM_PACKET_IDS;
+            this.transmitMessage(client, sentMessage, queuedMessage);
+        }
+        if (client.connected && client._drainPending && client.pendingCount === 0) {
+            client._drainPending = false;
+            client.emit('drain');
+        }
+    };
+    /**
+     * @method
+     * @async
+     * @param {Client} client - the client to send the message to
+     * @param {SentMessage} sentMessage - the entry in the client's sentMessages list
+     * @param {QueuedMessage} queuedMessage - the message to pack
+     * Packs and transmits a message that has been given a slot in the send window
+     */
+    SSGS.prototype.transmitMessage = function (client, sentMessage, queuedMessage) {
+        return __awaiter(this, void 0, void 0, function () {
+            var packet, packedPacket, _a, index;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
                     case 0:
                         packet = {
-                            packetType: packetType,
+                            packetType: queuedMessage.packetType,
                             gatewayUID: client.gatewayUID,
-                            packetID: client.sendPacketID,
-                            payload: payload
+                            packetID: sentMessage.packetID,
+                            payload: queuedMessage.payload
                         };
-                        logIfSSGSDebug('Send to client: ' + JSON.stringify(packet));
-                        return [4 /*yield*/, SSGSCP.packSSGSCP(packet, client.key)];
+                        this.logger.debug('Sending packet', { gatewayUID: packet.gatewayUID, packetID: packet.packetID, packetType: packet.packetType, payload: packet.payload });
+                        if (!client.session) return [3 /*break*/, 2];
+                        return [4 /*yield*/, SSGSCP.packSSGSCPv2(packet, client.session)];
                     case 1:
-                        packedPacket = _a.sent();
+                        _a = _b.sent();
+                        return [3 /*break*/, 4];
+                    case 2: return [4 /*yield*/, SSGSCP.packSSGSCP(packet, client.key)];
+                    case 3:
+                        _a = _b.sent();
+                        _b.label = 4;
+                    case 4:
+                        packedPacket = _a;
+                        index = client.sentMessages.indexOf(sentMessage);
+                        if (index == -1)
+                            return [2 /*return*/];
                         if (!packedPacket) {
-                            logIfSSGSDebug('Error: Could not pack packet: ' + SSGSCP.errMsg);
+                            this.logger.error('Could not pack packet', { gatewayUID: client.gatewayUID, packetID: sentMessage.packetID, reason: SSGSCP.errMsg });
+                            client.sentMessages.splice(index, 1);
+                            sentMessage.resolve(false);
+                            this.metrics.deliveryFailures.inc({ reason: 'pack-error' });
+                            this.transmitQueued(client);
                             return [2 /*return*/];
                         }
-                        this.socket.send(new Uint8Array(packedPacket), client.sourcePort, client.remoteAddress, function (err) {
-                            if (err) {
-                                logIfSSGSDebug('Error: Could not send packet: ' + err);
-                            }
-                        });
-                        promise = new Promise(function (res, rej) {
-                            resolve = res;
-                        });
-                        sentMessage = {
-                            packetID: client.sendPacketID,
-                            timestamp: Date.now(), // the timestamp of when the message was sent
-                            packet: packedPacket,
-                            resolve: resolve, // called when the RCPTOK packet is received
-                            receivedOk: false, // set to true when the RCPTOK packet is received
-                            retransmissionCount: 0 // the number of times the message has been retransmitted
-                        };
-                        client.sentMessages.push(sentMessage);
-                        // increment the packet ID
-                        client.sendPacketID = (client.sendPacketID + 1) % NUM_PACKET_IDS;
-                        // if the sentMessages list is too long, remove the oldest message
-                        // if (client.sentMessages.length > SENT_MSG_LIST_MAX_LEN) {
-                        //     client.sentMessages.shift();
-                        // }
-                        // Workaround: instead, if the sentMessages list is too long, remove the client so that it can reconnect
-                        // if the number of sent messages is equal to SENT_MSG_LIST_MAX_LEN, this indicates there is a serious
-                        // problem with the client or network (high latency), so we remove the client to try and resolve the issue
-                        // This needs to be addressed properly in the future
-                        if (client.sentMessages.length > SENT_MSG_LIST_MAX_LEN) {
-                            this.removeClient(client);
-                            logIfSSGSDebug('Client ' + SSGS.uidToString(client.gatewayUID) + ' removed due to too many pending messages. It should reconnect after some time.');
+                        sentMessage.packet = packedPacket;
+                        sentMessage.fields = packet;
+                        sentMessage.timestamp = Date.now();
+                        this.sendDatagram(packedPacket, client.peer);
+                        this.metrics.packetSent(queuedMessage.packetType);
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @async
+     * @param {Client} client - the client the message was sent to
+     * @param {SentMessage} sentMessage - the message that was not acknowledged in time
+     * Sends a message again, v1 packets as they are and v2 packets packed again since the gateway drops sequence numbers it has seen
+     */
+    SSGS.prototype.retransmit = function (client, sentMessage) {
+        return __awaiter(this, void 0, void 0, function () {
+            var session, packedPacket;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        session = client.session;
+                        if (!session) {
+                            this.sendDatagram(sentMessage.packet, client.peer);
+                            return [2 /*return*/];
                         }
-                        return [4 /*yield*/, promise];
-                    case 2: 
-                    // return the promise that will be resolved when the RCPTOK packet is received
-                    return [2 /*return*/, _a.sent()];
+                        return [4 /*yield*/, SSGSCP.packSSGSCPv2(sentMessage.fields, session)];
+                    case 1:
+                        packedPacket = _a.sent();
+                        // the session may have been replaced, or the message acknowledged or cleared, while it was being packed
+                        if (packedPacket && client.session === session && client.sentMessages.indexOf(sentMessage) !== -1)
+                            this.sendDatagram(packedPacket, client.peer);
+                        return [2 /*return*/];
                 }
             });
         });
     };
+    /**
+     * @method
+     * @param {Client} client - the client whose messages should be failed
+     * @param {boolean} includeQueued - whether messages that have not been transmitted yet should also be failed
+     * Resolves the promises of in-flight (and optionally queued) messages to false and clears them
+     */
+    SSGS.prototype.failPendingMessages = function (client, includeQueued) {
+        var failed = __spreadArray([], client.sentMessages, true);
+        client.sentMessages = [];
+        if (includeQueued) {
+            failed.push.apply(failed, client.sendQueue);
+            client.sendQueue = [];
+        }
+        for (var _i = 0, failed_1 = failed; _i < failed_1.length; _i++) {
+            var message = failed_1[_i];
+            message.resolve(false);
+        }
+        if (failed.length > 0)
+            this.metrics.deliveryFailures.inc({ reason: 'cleared' }, failed.length);
+    };
     /**
      * @method
      * @param {Buffer} gatewayUID - the gateway UID to check
@@ -271,270 +990,460 @@ var SSGS = /** @class */ (function () {
     /**
          * @method
          * @param {object} parsedPacket - the parsed packet object from SSGSCP.parseSSGSCP
-         * @param {object} rinfo - the remote address information from the UDP socket
+         * @param {TransportPeer} rinfo - the remote address information from the transport
          * Processes the incoming packet and calls the onmessage callback function
          */
     SSGS.prototype.process = function (datagram, rinfo) {
         return __awaiter(this, void 0, void 0, function () {
-            var gatewayUID, client, callbackProvidedKey, failed, key, myProcessSeq, parsedPacket, newClient_1, isStaleHandler, addressChanged, _i, _a, msg, sentMessage, index, parsedMessage, pingPongSequenceNumber, payload;
+            var endTimer;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        this.metrics.datagramsReceived.inc();
+                        endTimer = this.metrics.processDuration.startTimer();
+                        _a.label = 1;
+                    case 1:
+                        _a.trys.push([1, , 3, 4]);
+                        return [4 /*yield*/, this.processDatagram(datagram, rinfo)];
+                    case 2:
+                        _a.sent();
+                        return [3 /*break*/, 4];
+                    case 3:
+                        endTimer();
+                        return [7 /*endfinally*/];
+                    case 4: return [2 /*return*/];
+                }
+            });
+        });
+    };
+    SSGS.prototype.processDatagram = function (datagram, rinfo) {
+        return __awaiter(this, void 0, void 0, function () {
+            var gatewayUID, client, limited, version, isHandshake, session, key, failureReason, e_2, myProcessSeq, parsedPacket, newSession, newClient, isStaleHandler, addressChanged, _a, reconnectTimer_1, sentMessage, index, parsedMessage, pingPongSequenceNumber, payload, recorded;
             var _this = this;
-            var _b, _c;
-            return __generator(this, function (_d) {
-                switch (_d.label) {
+            var _b, _c, _d, _e;
+            return __generator(this, function (_f) {
+                switch (_f.label) {
                     case 0:
                         gatewayUID = SSGSCP.parsePacketGatewayUID(datagram);
                         if (!gatewayUID) {
-                            logIfSSGSDebug('Error: Could not parse gateway UID from packet');
+                            this.logger.debug('Could not parse gateway UID from packet', { remoteAddress: rinfo.address, port: rinfo.port, reason: SSGSCP.errMsg });
+                            this.metrics.datagramsRejected.inc({ reason: 'bad-header' });
                             return [2 /*return*/];
                         }
                         client = this.connectedClients.find(function (c) { return SSGS.gatewayUIDsMatch(c.gatewayUID, gatewayUID); });
-                        callbackProvidedKey = null;
-                        if (!(!client && !this.isCheckingAuthorizationFor(gatewayUID))) return [3 /*break*/, 2];
+                        limited = client ? (this.rateLimiter.isBlocked(rinfo.address) ? 'blocked' : null) : this.rateLimiter.check(rinfo.address, gatewayUID);
+                        if (limited) {
+                            this.logger.trace('Dropping datagram', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, reason: limited });
+                            this.metrics.datagramsRejected.inc({ reason: limited });
+                            return [2 /*return*/];
+                        }
+                        version = SSGSCP.packetVersion(datagram);
+                        isHandshake = version === 2 && SSGSCP.isHandshake(datagram);
+                        session = (_b = client === null || client === void 0 ? void 0 : client.session) !== null && _b !== void 0 ? _b : null;
+                        if (version === 1 && !this.acceptsProtocolV1(gatewayUID)) {
+                            this.logger.info('Rejecting SSGSCP v1 gateway', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                            this.rejectGateway(rinfo, gatewayUID, 'legacy-protocol');
+                            return [2 /*return*/];
+                        }
+                        if (!(!client && this.closing)) return [3 /*break*/, 2];
+                        this.logger.debug('Rejecting gateway, server is closing', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                        return [4 /*yield*/, this.rejectDatagram(rinfo, gatewayUID, 'closing', version, false)];
+                    case 1:
+                        _f.sent();
+                        return [2 /*return*/];
+                    case 2:
+                        if (!(version === 2 && !isHandshake && !session)) return [3 /*break*/, 4];
+                        this.logger.debug('Rejecting SSGSCP v2 packet without a session', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                        return [4 /*yield*/, this.rejectDatagram(rinfo, gatewayUID, 'unknown-client', version, false)];
+                    case 3:
+                        _f.sent();
+                        return [2 /*return*/];
+                    case 4:
+                        key = (_c = client === null || client === void 0 ? void 0 : client.key) !== null && _c !== void 0 ? _c : null;
+                        failureReason = null;
+                        if (!(!client && !this.isCheckingAuthorizationFor(gatewayUID))) return [3 /*break*/, 10];
                         this.setCheckingAuthorizationFor(gatewayUID);
-                        if (!!this.isAuthorizedGateway(gatewayUID)) return [3 /*break*/, 2];
-                        logIfSSGSDebug('Connecting gateway is not authorized in config, trying onconnectionattempt callback');
+                        _f.label = 5;
+                    case 5:
+                        _f.trys.push([5, 7, , 8]);
+                        return [4 /*yield*/, this.keyStore.lookup(gatewayUID)];
+                    case 6:
+                        key = _f.sent();
+                        return [3 /*break*/, 8];
+                    case 7:
+                        e_2 = _f.sent();
+                        this.emitError(new Error('SSGS Key Store: lookup failed for gateway UID ' + SSGS.uidToString(gatewayUID) + ': ' + e_2.message));
+                        this.metrics.datagramsRejected.inc({ reason: 'key-store-error' });
+                        this.removeCheckingAuthorizationFor(gatewayUID);
+                        return [2 /*return*/];
+                    case 8:
+                        if (!!key) return [3 /*break*/, 10];
+                        this.logger.debug('Connecting gateway is not in the key store, trying onconnectionattempt callback', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
                         return [4 /*yield*/, this.onconnectionattempt(gatewayUID, rinfo.address, rinfo.port)];
-                    case 1:
-                        callbackProvidedKey = _d.sent();
-                        failed = false;
-                        if (!callbackProvidedKey) {
-                            logIfSSGSDebug('onconnectionattempt did not authorize gateway UID: ' + SSGS.uidToString(gatewayUID) + ' from address: ' + rinfo.address);
-                            failed = true;
-                        }
-                        else if (callbackProvidedKey.length != SSGSCP.PSK_LEN_BYTES) {
-                            logIfSSGSDebug('onconnectionattempt provided invalid PSK for gateway UID: ' + SSGS.uidToString(gatewayUID));
-                            failed = true;
-                        }
-                        if (failed) {
-                            this.sendCONNFAIL(rinfo, gatewayUID);
+                    case 9:
+                        key = _f.sent();
+                        if (!key) {
+                            this.logger.info('onconnectionattempt did not authorize gateway', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                            failureReason = 'unauthorized';
+                        }
+                        else if (key.length != SSGSCP.PSK_LEN_BYTES) {
+                            this.logger.warn('onconnectionattempt provided a key of the wrong length', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                            failureReason = 'invalid-key';
+                        }
+                        else {
+                            this.logger.info('onconnectionattempt authorized gateway', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                        }
+                        if (failureReason) {
+                            this.rejectGateway(rinfo, gatewayUID, failureReason, version);
                             this.removeCheckingAuthorizationFor(gatewayUID);
                             return [2 /*return*/];
                         }
-                        logIfSSGSDebug('onconnectionattempt authorized gateway UID: ' + SSGS.uidToString(gatewayUID) + ' from address: ' + rinfo.address);
-                        _d.label = 2;
-                    case 2:
-                        key = (_c = (_b = this.getGatewayKey(gatewayUID)) !== null && _b !== void 0 ? _b : callbackProvidedKey) !== null && _c !== void 0 ? _c : client === null || client === void 0 ? void 0 : client.key;
+                        _f.label = 10;
+                    case 10:
                         if (!key) {
-                            // Only log if we aren't currently checking auth (prevent log spam during auth process)
-                            // But if we are here and have no key, we failed.
-                            logIfSSGSDebug('Error: Could not find key for gateway UID: ' + SSGS.uidToString(gatewayUID));
-                            this.removeCheckingAuthorizationFor(gatewayUID);
+                            // Another handler is still authorizing this gateway, leave its flag in place and drop this packet,
+                            // the gateway retransmits until it receives CONNACPT
+                            this.logger.debug('Dropping packet, authorization in progress', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                            this.metrics.datagramsRejected.inc({ reason: 'authorizing' });
                             return [2 /*return*/];
                         }
                         if (client) {
                             client._processSeq = (client._processSeq || 0) + 1;
                             myProcessSeq = client._processSeq;
                         }
+                        if (!(version === 1)) return [3 /*break*/, 12];
                         return [4 /*yield*/, SSGSCP.parseSSGSCP(datagram, key)];
-                    case 3:
-                        parsedPacket = _d.sent();
+                    case 11:
+                        parsedPacket = _f.sent();
+                        return [3 /*break*/, 16];
+                    case 12:
+                        if (!isHandshake) return [3 /*break*/, 14];
+                        return [4 /*yield*/, SSGSCP.parseSSGSCPv2Handshake(datagram, key, 'server')];
+                    case 13:
+                        parsedPacket = _f.sent();
+                        return [3 /*break*/, 16];
+                    case 14: return [4 /*yield*/, SSGSCP.parseSSGSCPv2(datagram, session)];
+                    case 15:
+                        parsedPacket = _f.sent();
+                        _f.label = 16;
+                    case 16:
                         if (!parsedPacket) { // could not parse the packet
-                            logIfSSGSDebug(SSGS.uidToString(gatewayUID) + ': ' + 'Error: Could not parse packet: ' + SSGSCP.errMsg);
-                            this.sendCONNFAIL(rinfo, gatewayUID);
+                            this.logger.info('Could not parse packet', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, reason: SSGSCP.errMsg });
+                            this.rejectGateway(rinfo, gatewayUID, 'parse-error', version);
                             this.removeCheckingAuthorizationFor(gatewayUID);
                             return [2 /*return*/];
                         }
                         if (!parsedPacket.authSuccess) { // could not authenticate the packet using the key (invalid Message Authentication Code)
-                            logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Could not authenticate gateway');
-                            this.sendCONNFAIL(rinfo, gatewayUID);
+                            // a v2 session packet sealed with an earlier session key is not an attack on the PSK, e.g. it was in flight when the
+                            // gateway reconnected, so it is not counted towards backoff. It is dropped without a CONNFAIL, connected gateways
+                            // skip the token buckets and anyone can send junk with their UID, a gateway that lost its session reconnects when
+                            // its packets go unacknowledged
+                            if (version === 2 && !isHandshake) {
+                                this.logger.info('Dropping packet that could not be authenticated with the session key', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                                this.metrics.datagramsRejected.inc({ reason: 'bad-auth-code' });
+                                this.removeCheckingAuthorizationFor(gatewayUID);
+                                return [2 /*return*/];
+                            }
+                            this.logger.info('Could not authenticate gateway', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                            this.rejectGateway(rinfo, gatewayUID, 'bad-auth-code', version);
+                            this.removeCheckingAuthorizationFor(gatewayUID);
+                            return [2 /*return*/];
+                        }
+                        // the only v2 handshake packet a gateway sends is CONN, and within a v2 session v1 packets could only be replays of old captures
+                        if (parsedPacket.packetType !== 1 /* PacketType.CONN */ && (isHandshake || (version === 1 && session))) {
+                            this.logger.debug('Dropping packet of the wrong protocol version', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, packetType: parsedPacket.packetType, version: version });
+                            this.metrics.datagramsRejected.inc({ reason: 'protocol-mismatch' });
+                            this.removeCheckingAuthorizationFor(gatewayUID);
+                            return [2 /*return*/];
+                        }
+                        // authenticated v2 session packets are only processed once, retransmissions by the gateway carry new sequence numbers
+                        if (parsedPacket.sequence !== undefined && !session.replayWindow.accept(parsedPacket.sequence)) {
+                            this.logger.debug('Dropping replayed packet', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, sequence: parsedPacket.sequence });
+                            this.metrics.datagramsRejected.inc({ reason: 'replay' });
+                            return [2 /*return*/];
+                        }
+                        newSession = null;
+                        if (!isHandshake) return [3 /*break*/, 18];
+                        if (session && session.gatewayNonce.equals(parsedPacket.payload)) {
+                            this.sendCONNACPT(rinfo, key, gatewayUID, session);
+                            return [2 /*return*/];
+                        }
+                        if (!this.acceptConnNonce(gatewayUID, parsedPacket.payload)) {
+                            this.logger.info('Dropping replayed SSGSCP v2 CONN', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                            this.metrics.datagramsRejected.inc({ reason: 'replay' });
+                            this.removeCheckingAuthorizationFor(gatewayUID);
+                            return [2 /*return*/];
+                        }
+                        return [4 /*yield*/, SSGSCP.openSession(key, parsedPacket.payload, crypto.randomBytes(SSGSCP.NONCE_LEN_BYTES), 'server')];
+                    case 17:
+                        newSession = _f.sent();
+                        if (!newSession) {
+                            this.logger.info('Could not open SSGSCP v2 session', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, reason: SSGSCP.errMsg });
+                            this.rejectGateway(rinfo, gatewayUID, 'parse-error', version);
                             this.removeCheckingAuthorizationFor(gatewayUID);
                             return [2 /*return*/];
                         }
+                        if (this.pinProtocolV2)
+                            this.pinToProtocolV2(gatewayUID);
+                        _f.label = 18;
+                    case 18:
                         // if the client was not found initially, check again now.
                         // Another packet might have created the client while we were awaiting parseSSGSCP.
                         if (!client) {
                             client = this.connectedClients.find(function (c) { return SSGS.gatewayUIDsMatch(c.gatewayUID, gatewayUID); });
                         }
-                        // if the client is still not found, this is a new connection, so we need to add it to the connectedClients list
-                        if (!client) {
-                            if (parsedPacket.packetType === 1 /* PacketType.CONN */) {
-                                this.sendCONNACPT(rinfo, key, parsedPacket.gatewayUID);
-                                newClient_1 = {
-                                    gatewayUID: parsedPacket.gatewayUID,
-                                    sourcePort: rinfo.port,
-                                    remoteAddress: rinfo.address,
-                                    lastSeen: Date.now(),
-                                    connected: true,
-                                    sendPacketID: 0,
-                                    retransmissionTimeout: RETRANSMISSION_TIMEOUT_MS,
-                                    sentMessages: [],
-                                    receivedMessageIDsFIFO: [],
-                                    key: key,
-                                    _processSeq: 0,
-                                    onmessage: function (parsedMessage) { },
-                                    onupdate: function (parsedUpdate) { },
-                                    onreconnect: function () { },
-                                    ondisconnect: function () { },
-                                    send: function (payload) { return __awaiter(_this, void 0, void 0, function () {
-                                        return __generator(this, function (_a) {
-                                            switch (_a.label) {
-                                                case 0: return [4 /*yield*/, this.sendMSG(newClient_1, 20 /* PacketType.MSGCONF */, payload)];
-                                                case 1: return [2 /*return*/, _a.sent()];
-                                            }
-                                        });
-                                    }); }
-                                };
-                                this.connectedClients.push(newClient_1);
-                                this.onconnection(newClient_1);
-                                // CRITICAL: Now that the client is safely in the list, we remove the protection flag.
-                                this.removeCheckingAuthorizationFor(gatewayUID);
-                                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'New client connected');
-                                return [2 /*return*/];
-                            }
-                            else {
-                                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Client not found in connectedClients and packet type is not CONN');
-                                this.sendCONNFAIL(rinfo, parsedPacket.gatewayUID);
-                                this.removeCheckingAuthorizationFor(gatewayUID);
-                                return [2 /*return*/];
-                            }
-                        }
+                        if (!!client) return [3 /*break*/, 23];
+                        if (!this.closing) return [3 /*break*/, 20];
+                        this.removeCheckingAuthorizationFor(gatewayUID);
+                        return [4 /*yield*/, this.rejectDatagram(rinfo, parsedPacket.gatewayUID, 'closing', version, true)];
+                    case 19:
+                        _f.sent();
+                        return [2 /*return*/];
+                    case 20:
+                        if (!(parsedPacket.packetType === 1 /* PacketType.CONN */)) return [3 /*break*/, 21];
+                        this.sendCONNACPT(rinfo, key, parsedPacket.gatewayUID, newSession);
+                        newClient = new Client(this, parsedPacket.gatewayUID, rinfo, key);
+                        newClient.session = newSession;
+                        this.connectedClients.push(newClient);
+                        this.rateLimiter.recordSuccess(rinfo.address, gatewayUID);
+                        this.emit('connection', newClient);
+                        // CRITICAL: Now that the client is safely in the list, we remove the protection flag.
+                        this.removeCheckingAuthorizationFor(gatewayUID);
+                        this.logger.info('New client connected', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, port: rinfo.port, transport: rinfo.transport.name, version: version });
+                        return [2 /*return*/];
+                    case 21:
+                        this.logger.debug('Rejecting packet from a gateway that is not connected', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, packetType: parsedPacket.packetType });
+                        this.removeCheckingAuthorizationFor(gatewayUID);
+                        return [4 /*yield*/, this.rejectDatagram(rinfo, parsedPacket.gatewayUID, 'unknown-client', version, true)];
+                    case 22:
+                        _f.sent();
+                        return [2 /*return*/];
+                    case 23:
                         // If we found the client (either initially or after the race check), clear the auth flag just in case
                         this.removeCheckingAuthorizationFor(gatewayUID);
                         isStaleHandler = myProcessSeq !== undefined && client._processSeq !== myProcessSeq;
                         if (!isStaleHandler) {
-                            addressChanged = client.remoteAddress !== rinfo.address || client.sourcePort !== rinfo.port;
+                            addressChanged = client.remoteAddress !== rinfo.address || client.sourcePort !== rinfo.port || client.transport !== rinfo.transport;
                             if (addressChanged && client.sentMessages.length > 0) {
                                 // Address changed while messages were pending - those messages were being
                                 // retransmitted to the old address and will never be ACK'd. Clear them
                                 // and let the application layer re-send if needed.
-                                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' +
-                                    'Client address changed from ' + client.remoteAddress + ':' + client.sourcePort +
-                                    ' to ' + rinfo.address + ':' + rinfo.port +
-                                    ', clearing ' + client.sentMessages.length + ' stale pending messages');
-                                for (_i = 0, _a = client.sentMessages; _i < _a.length; _i++) {
-                                    msg = _a[_i];
-                                    msg.resolve(false);
-                                }
-                                client.sentMessages = [];
+                                this.logger.info('Client address changed, clearing stale pending messages', {
+                                    gatewayUID: gatewayUID,
+                                    previousAddress: client.remoteAddress + ':' + client.sourcePort,
+                                    remoteAddress: rinfo.address,
+                                    port: rinfo.port,
+                                    transport: rinfo.transport.name,
+                                    cleared: client.sentMessages.length
+                                });
+                                this.failPendingMessages(client, false);
                             }
                             client.lastSeen = Date.now();
                             client.remoteAddress = rinfo.address;
                             client.sourcePort = rinfo.port;
+                            client.transport = rinfo.transport;
+                            // queued messages that have not been transmitted yet go to the new address
+                            if (addressChanged)
+                                this.transmitQueued(client);
                         }
                         else {
                             // Stale handler - a newer packet already updated the address.
                             // Still update lastSeen since this packet proves the client is alive.
                             client.lastSeen = Date.now();
-                            logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' +
-                                'Skipping address update from stale handler (current: ' + client.remoteAddress + ', stale: ' + rinfo.address + ')');
-                        }
-                        logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Received packet: ' + JSON.stringify(parsedPacket));
-                        switch (parsedPacket.packetType) {
-                            // CONNACPT is sent by the server to the client to indicate that the CONN packet was received
-                            case 1 /* PacketType.CONN */: {
-                                // we already have a client state machine but receivinng this could mean that the client restarted,
-                                // so we need to reset part of the state machine
-                                client.sendPacketID = 0;
-                                client.retransmissionTimeout = RETRANSMISSION_TIMEOUT_MS; // assume RTT is 2000 ms for now
-                                client.sentMessages = [];
-                                client.receivedMessageIDsFIFO = [];
-                                client.remoteAddress = rinfo.address;
-                                client.sourcePort = rinfo.port;
-                                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Warning: Received CONN packet from already connected client, assuming client restarted');
-                                // send CONNACPT to client to indicate that we received the packet
-                                this.sendCONNACPT(rinfo, key, parsedPacket.gatewayUID);
-                                setTimeout(function () {
-                                    client.onreconnect();
-                                }, client.retransmissionTimeout);
-                                return [2 /*return*/];
+                            this.logger.debug('Skipping address update from stale handler', { gatewayUID: gatewayUID, remoteAddress: client.remoteAddress, staleAddress: rinfo.address });
+                        }
+                        this.logger.debug('Received packet', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, packetID: parsedPacket.packetID, packetType: parsedPacket.packetType, payload: parsedPacket.payload });
+                        _a = parsedPacket.packetType;
+                        switch (_a) {
+                            case 1 /* PacketType.CONN */: return [3 /*break*/, 24];
+                            case 10 /* PacketType.RCPTOK */: return [3 /*break*/, 27];
+                            case 21 /* PacketType.MSGSTATUS */: return [3 /*break*/, 28];
+                            case 20 /* PacketType.MSGCONF */: return [3 /*break*/, 29];
+                            case 2 /* PacketType.CONNACPT */: return [3 /*break*/, 30];
+                            case 3 /* PacketType.CONNFAIL */: return [3 /*break*/, 31];
+                        }
+                        return [3 /*break*/, 32];
+                    case 24:
+                        if (!this.closing) return [3 /*break*/, 26];
+                        this.logger.debug('Rejecting CONN packet, server is closing', { gatewayUID: gatewayUID, remoteAddress: rinfo.address });
+                        return [4 /*yield*/, this.rejectDatagram(rinfo, parsedPacket.gatewayUID, 'closing', version, true)];
+                    case 25:
+                        _f.sent();
+                        return [2 /*return*/];
+                    case 26:
+                        // we already have a client state machine but receivinng this could mean that the client restarted,
+                        // so we need to reset part of the state machine
+                        client.reconnectCount++;
+                        client.sendPacketID = 0;
+                        client.resetRTT(); // the path may have changed, start measuring again
+                        this.failPendingMessages(client, false); // in-flight messages were lost with the restart, queued ones are still sent
+                        client.receivedMessageIDsFIFO = [];
+                        client.session = newSession; // a v1 CONN ends a v2 session, unless pinProtocolV2 rejected it
+                        client.remoteAddress = rinfo.address;
+                        client.sourcePort = rinfo.port;
+                        client.transport = rinfo.transport;
+                        this.logger.info('Received CONN packet from already connected client, assuming client restarted', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, port: rinfo.port });
+                        // send CONNACPT to client to indicate that we received the packet
+                        this.sendCONNACPT(rinfo, key, parsedPacket.gatewayUID, newSession);
+                        this.transmitQueued(client);
+                        reconnectTimer_1 = setTimeout(function () {
+                            client._reconnectTimers.delete(reconnectTimer_1);
+                            try {
+                                client.emit('reconnect');
+                                _this.emit('reconnect', client);
                             }
-                            // RCPTOK is sent by the client or server to indicate that a packet was received correctly
-                            case 10 /* PacketType.RCPTOK */: {
-                                sentMessage = client.sentMessages.find(function (m) { return m.packetID === parsedPacket.packetID; });
-                                if (!sentMessage) {
-                                    logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Warning: Received RCPTOK for packet ID ' + parsedPacket.packetID + ' but could not find it in sentMessages');
-                                    return [2 /*return*/];
-                                }
-                                // resolve the promise that was returned by the sendMSG function
-                                sentMessage.resolve(true);
-                                // set the receivedOk flag to true
-                                sentMessage.receivedOk = true;
-                                index = client.sentMessages.indexOf(sentMessage);
-                                client.sentMessages.splice(index, 1);
-                                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Received RCPTOK for packet ID ' + parsedPacket.packetID + ', num pending: ' + client.sentMessages.length);
+                            catch (err) {
+                                _this.emitError(err, client);
+                            }
+                        }, client.retransmissionTimeout);
+                        client._reconnectTimers.add(reconnectTimer_1);
+                        return [2 /*return*/];
+                    case 27:
+                        {
+                            sentMessage = client.sentMessages.find(function (m) { return m.packetID === parsedPacket.packetID; });
+                            if (!sentMessage) {
+                                this.logger.debug('Received RCPTOK for a packet ID that is not in sentMessages', { gatewayUID: gatewayUID, packetID: parsedPacket.packetID });
                                 return [2 /*return*/];
                             }
-                            // MSGSTATUS is sent by the client to the server 
-                            case 21 /* PacketType.MSGSTATUS */: {
-                                // check for duplicate packet ID in FIFO and ignore if found, otherwise add to FIFO
-                                if (client.receivedMessageIDsFIFO.includes(parsedPacket.packetID)) {
-                                    logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Warning: Received duplicate MSGSTATUS packet ID ' + parsedPacket.packetID);
-                                    // send RCPTOK to client to indicate that we received the packet
-                                    this.sendRCPTOK(parsedPacket.packetID, rinfo, key, parsedPacket.gatewayUID);
-                                    return [2 /*return*/];
-                                }
-                                else {
-                                    client.receivedMessageIDsFIFO.push(parsedPacket.packetID);
-                                    if (client.receivedMessageIDsFIFO.length > RECV_MSG_FIFO_MAX_LEN) {
-                                        client.receivedMessageIDsFIFO.shift(); // remove the oldest packet ID, shift left
-                                    }
-                                }
+                            // only messages that were never retransmitted give an unambiguous RTT sample (Karn's rule)
+                            if (sentMessage.retransmissionCount === 0) {
+                                client.sampleRTT(Date.now() - sentMessage.timestamp);
+                                this.metrics.rtt.observe((Date.now() - sentMessage.timestamp) / 1000);
+                            }
+                            // resolve the promise that was returned by the sendMSG function
+                            sentMessage.resolve(true);
+                            // set the receivedOk flag to true
+                            sentMessage.receivedOk = true;
+                            index = client.sentMessages.indexOf(sentMessage);
+                            client.sentMessages.splice(index, 1);
+                            this.logger.debug('Received RCPTOK', { gatewayUID: gatewayUID, packetID: parsedPacket.packetID, pending: client.sentMessages.length });
+                            // room in the window, send the next queued message
+                            this.transmitQueued(client);
+                            return [2 /*return*/];
+                        }
+                        _f.label = 28;
+                    case 28:
+                        {
+                            // check for duplicate packet ID in FIFO and ignore if found, otherwise add to FIFO
+                            if (client.receivedMessageIDsFIFO.includes(parsedPacket.packetID)) {
+                                this.logger.debug('Received duplicate MSGSTATUS packet', { gatewayUID: gatewayUID, packetID: parsedPacket.packetID });
+                                this.metrics.duplicateMessages.inc();
                                 // send RCPTOK to client to indicate that we received the packet
-                                this.sendRCPTOK(parsedPacket.packetID, rinfo, key, parsedPacket.gatewayUID);
-                                parsedMessage = SSProtocols.parse(parsedPacket);
-                                if (!parsedMessage) {
-                                    logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Could not parse message: ' + parsedPacket.payload.subarray(0, 100).toString('hex'));
-                                    return [2 /*return*/];
-                                }
-                                // see if its a PING_PONG packet, if so, send a PING_PONG back with the same u8 sequence number in the payload
-                                if (parsedMessage.messageType === 1 /* MessageSubtype.PING_PONG */) {
-                                    logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Received ping request from gateway ' + SSGS.uidToString(parsedPacket.gatewayUID));
-                                    pingPongSequenceNumber = parsedMessage.data;
-                                    payload = Buffer.alloc(2);
-                                    payload.writeUInt8(1 /* MessageSubtype.PING_PONG */, 0);
-                                    payload.writeUInt8(pingPongSequenceNumber, 1);
-                                    client.send(payload);
-                                    return [2 /*return*/];
-                                }
-                                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Received message: ' + JSON.stringify(parsedMessage) + ' from gateway ' + SSGS.uidToString(parsedPacket.gatewayUID));
-                                client.onmessage(parsedMessage);
-                                if (parsedMessage.messageType === 83 /* MessageSubtype.SSRB_UPDATE */) {
-                                    client.onupdate(parsedMessage.data);
-                                }
+                                this.sendRCPTOK(parsedPacket.packetID, rinfo, key, parsedPacket.gatewayUID, client.session);
                                 return [2 /*return*/];
                             }
-                            // outbound server->gateway packet types (should never be received by server)
-                            case 20 /* PacketType.MSGCONF */: {
-                                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Server received outbound server packet: ' + parsedPacket.packetType);
-                                return [2 /*return*/];
+                            else {
+                                client.receivedMessageIDsFIFO.push(parsedPacket.packetID);
+                                if (client.receivedMessageIDsFIFO.length > RECV_MSG_FIFO_MAX_LEN) {
+                                    client.receivedMessageIDsFIFO.shift(); // remove the oldest packet ID, shift left
+                                }
                             }
-                            case 2 /* PacketType.CONNACPT */: {
-                                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Server received outbound server packet: ' + parsedPacket.packetType);
+                            // send RCPTOK to client to indicate that we received the packet
+                            this.sendRCPTOK(parsedPacket.packetID, rinfo, key, parsedPacket.gatewayUID, client.session);
+                            parsedMessage = SSProtocols.parse(parsedPacket);
+                            if (!parsedMessage) {
+                                this.logger.debug('Could not parse message', { gatewayUID: gatewayUID, packetID: parsedPacket.packetID, payload: parsedPacket.payload });
                                 return [2 /*return*/];
                             }
-                            case 3 /* PacketType.CONNFAIL */: {
-                                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Server received outbound server packet: ' + parsedPacket.packetType);
+                            // see if its a PING_PONG packet, if so, send a PING_PONG back with the same u8 sequence number in the payload
+                            if (parsedMessage.messageType === 1 /* MessageSubtype.PING_PONG */) {
+                                this.logger.debug('Received ping request', { gatewayUID: gatewayUID, sequence: parsedMessage.data });
+                                pingPongSequenceNumber = parsedMessage.data;
+                                payload = Buffer.alloc(2);
+                                payload.writeUInt8(1 /* MessageSubtype.PING_PONG */, 0);
+                                payload.writeUInt8(pingPongSequenceNumber, 1);
+                                client.send(payload);
                                 return [2 /*return*/];
                             }
-                            default: {
-                                assert(false, 'Software Error: default clause in process() should never be reached');
+                            this.logger.debug('Received message', { gatewayUID: gatewayUID, packetID: parsedPacket.packetID, messageType: (_d = parsedMessage.messageName) !== null && _d !== void 0 ? _d : parsedMessage.messageType, data: parsedMessage.data });
+                            client.emit('message', parsedMessage);
+                            this.emit('message', parsedMessage, client);
+                            if (parsedMessage.messageType === 83 /* MessageSubtype.SSRB_UPDATE */) {
+                                client.emit('update', parsedMessage.data);
+                                this.emit('update', parsedMessage.data, client);
+                                recorded = this.seals.record(parsedMessage.data);
+                                this.metrics.sealUpdates.inc({ result: recorded.duplicate ? 'duplicate' : recorded.replay ? 'replay' : 'new' });
+                                if (recorded.online)
+                                    this.emit('sealonline', recorded.seal);
+                                if (recorded.reset)
+                                    this.emit('sealreset', recorded.seal, recorded.previousUpdateID);
+                                if (recorded.missed > 0)
+                                    this.emit('updatesmissed', recorded.seal, recorded.missed, recorded.previousUpdateID);
+                                if (!recorded.duplicate && !recorded.replay) {
+                                    this.emit('sealupdate', parsedMessage.data, recorded.seal);
+                                    (_e = this.historyStore) === null || _e === void 0 ? void 0 : _e.append(parsedMessage.data).catch(function (err) { return _this.emitError(err); });
+                                }
+                                // late arrivals are older than the reading the rules last saw
+                                if (!recorded.duplicate && !recorded.replay && !recorded.reordered)
+                                    this.alerts.evaluate(parsedMessage.data, Array.from(recorded.seal.gateways.keys()));
+                            }
+                            // without a registered decoder the scan is only delivered as a raw message
+                            if (parsedMessage.messageType === 4 /* MessageSubtype.WAKEUP_SCAN */ && parsedMessage.messageName !== undefined) {
+                                client.emit('wakeupscan', parsedMessage.data);
+                                this.emit('wakeupscan', parsedMessage.data, client);
                             }
+                            return [2 /*return*/];
                         }
-                        return [2 /*return*/];
+                        _f.label = 29;
+                    case 29:
+                        {
+                            this.logger.debug('Received a packet type that only the server sends', { gatewayUID: gatewayUID, packetType: parsedPacket.packetType });
+                            return [2 /*return*/];
+                        }
+                        _f.label = 30;
+                    case 30:
+                        {
+                            this.logger.debug('Received a packet type that only the server sends', { gatewayUID: gatewayUID, packetType: parsedPacket.packetType });
+                            return [2 /*return*/];
+                        }
+                        _f.label = 31;
+                    case 31:
+                        {
+                            this.logger.debug('Received a packet type that only the server sends', { gatewayUID: gatewayUID, packetType: parsedPacket.packetType });
+                            return [2 /*return*/];
+                        }
+                        _f.label = 32;
+                    case 32:
+                        {
+                            assert(false, 'Software Error: default clause in process() should never be reached');
+                        }
+                        _f.label = 33;
+                    case 33: return [2 /*return*/];
                 }
             });
         });
     };
     /**
      * @method
-     * @param {object} rinfo - the remote address information from the UDP socket
+     * @param {TransportPeer} rinfo - the remote address information from the transport
+     * @param {1 | 2} version - the SSGSCP version the gateway used, default is 1
      * Sends a CONNFAIL packet to the remote address to indicate a connection failure
      */
-    SSGS.prototype.sendCONNFAIL = function (rinfo, gatewayUID) {
-        return __awaiter(this, void 0, void 0, function () {
-            var fields, packedPacket;
-            return __generator(this, function (_a) {
-                switch (_a.label) {
+    SSGS.prototype.sendCONNFAIL = function (rinfo_1, gatewayUID_1) {
+        return __awaiter(this, arguments, void 0, function (rinfo, gatewayUID, version) {
+            var fields, packedPacket, _a;
+            if (version === void 0) { version = 1; }
+            return __generator(this, function (_b) {
+                switch (_b.label) {
                     case 0:
                         fields = {
                             packetType: 3 /* PacketType.CONNFAIL */,
                             packetID: 0,
                             gatewayUID: gatewayUID,
                         };
-                        return [4 /*yield*/, SSGSCP.packSSGSCP(fields, Buffer.alloc(32))];
+                        if (!(version === 2)) return [3 /*break*/, 2];
+                        return [4 /*yield*/, SSGSCP.packSSGSCPv2Handshake(fields, Buffer.alloc(32), 'server')];
                     case 1:
-                        packedPacket = _a.sent();
-                        this.socket.send(new Uint8Array(packedPacket), rinfo.port, rinfo.address);
+                        _a = _b.sent();
+                        return [3 /*break*/, 4];
+                    case 2: return [4 /*yield*/, SSGSCP.packSSGSCP(fields, Buffer.alloc(32))];
+                    case 3:
+                        _a = _b.sent();
+                        _b.label = 4;
+                    case 4:
+                        packedPacket = _a;
+                        this.sendDatagram(packedPacket, rinfo);
+                        this.metrics.packetSent(3 /* PacketType.CONNFAIL */);
                         return [2 /*return*/];
                 }
             });
@@ -542,26 +1451,36 @@ var SSGS = /** @class */ (function () {
     };
     /**
      * @method
-     * @param {object} rinfo - the remote address information from the UDP socket
+     * @param {TransportPeer} rinfo - the remote address information from the transport
+     * @param {SSGSCPSession} session - the v2 session the CONN opened, null for v1
      * Sends a CONNACPT packet to the remote address to indicate a connection success
-     * This packet is sent in response to a CONN packet
+     * This packet is sent in response to a CONN packet, in v2 it carries the server's session nonce
      */
-    SSGS.prototype.sendCONNACPT = function (rinfo, key, gatewayUID) {
+    SSGS.prototype.sendCONNACPT = function (rinfo, key, gatewayUID, session) {
         return __awaiter(this, void 0, void 0, function () {
-            var fields, packedPacket;
-            return __generator(this, function (_a) {
-                switch (_a.label) {
+            var fields, packedPacket, _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
                     case 0:
                         fields = {
                             packetType: 2 /* PacketType.CONNACPT */,
                             packetID: 0,
                             gatewayUID: gatewayUID,
                         };
-                        return [4 /*yield*/, SSGSCP.packSSGSCP(fields, key)];
+                        if (!session) return [3 /*break*/, 2];
+                        return [4 /*yield*/, SSGSCP.packSSGSCPv2Handshake(__assign(__assign({}, fields), { payload: session.serverNonce }), key, 'server', session.gatewayNonce)];
                     case 1:
-                        packedPacket = _a.sent();
-                        this.socket.send(new Uint8Array(packedPacket), rinfo.port, rinfo.address);
-                        logIfSSGSDebug('Sent CONNACPT to ' + rinfo.address + ':' + rinfo.port);
+                        _a = _b.sent();
+                        return [3 /*break*/, 4];
+                    case 2: return [4 /*yield*/, SSGSCP.packSSGSCP(fields, key)];
+                    case 3:
+                        _a = _b.sent();
+                        _b.label = 4;
+                    case 4:
+                        packedPacket = _a;
+                        this.sendDatagram(packedPacket, rinfo);
+                        this.metrics.packetSent(2 /* PacketType.CONNACPT */);
+                        this.logger.debug('Sent CONNACPT', { gatewayUID: gatewayUID, remoteAddress: rinfo.address, port: rinfo.port });
                         return [2 /*return*/];
                 }
             });
@@ -570,59 +1489,39 @@ var SSGS = /** @class */ (function () {
     /**
      * @method
      * @param {number} packetID - the packet ID to send
-     * @param {object} rinfo - the remote address information from the UDP socket
+     * @param {TransportPeer} rinfo - the remote address information from the transport
+     * @param {SSGSCPSession} session - the v2 session of the gateway, null for v1
      * Sends a RCPTOK packet to the remote address to indicate that the packet with the given packet ID was received correctly
      */
-    SSGS.prototype.sendRCPTOK = function (packetID, rinfo, key, gatewayUID) {
+    SSGS.prototype.sendRCPTOK = function (packetID, rinfo, key, gatewayUID, session) {
         return __awaiter(this, void 0, void 0, function () {
-            var fields, packedPacket;
-            return __generator(this, function (_a) {
-                switch (_a.label) {
+            var fields, packedPacket, _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
                     case 0:
                         fields = {
                             packetType: 10 /* PacketType.RCPTOK */,
                             packetID: packetID,
                             gatewayUID: gatewayUID,
                         };
-                        return [4 /*yield*/, SSGSCP.packSSGSCP(fields, key)];
+                        if (!session) return [3 /*break*/, 2];
+                        return [4 /*yield*/, SSGSCP.packSSGSCPv2(fields, session)];
                     case 1:
-                        packedPacket = _a.sent();
-                        this.socket.send(new Uint8Array(packedPacket), rinfo.port, rinfo.address);
+                        _a = _b.sent();
+                        return [3 /*break*/, 4];
+                    case 2: return [4 /*yield*/, SSGSCP.packSSGSCP(fields, key)];
+                    case 3:
+                        _a = _b.sent();
+                        _b.label = 4;
+                    case 4:
+                        packedPacket = _a;
+                        this.sendDatagram(packedPacket, rinfo);
+                        this.metrics.packetSent(10 /* PacketType.RCPTOK */);
                         return [2 /*return*/];
                 }
             });
         });
     };
-    /**
-     * @method
-     * @param {Buffer} gatewayUID - the gateway UID to check
-     * @returns {boolean} - true if the gateway UID is authorized, false otherwise
-     * Checks if the gateway UID is authorized in the configuration file
-     */
-    SSGS.prototype.isAuthorizedGateway = function (gatewayUID) {
-        var matchingUIDFound = false;
-        for (var _i = 0, _a = this.authorizedGateways; _i < _a.length; _i++) {
-            var authorizedGateway = _a[_i];
-            if (SSGS.gatewayUIDsMatch(authorizedGateway.gatewayUID, gatewayUID))
-                matchingUIDFound = true;
-        }
-        return matchingUIDFound;
-    };
-    /**
-     * @method
-     * @param {Buffer} gatewayUID - the gateway UID to check
-     * @returns {Buffer | null} - the key for the gateway UID if it is authorized, null otherwise
-     * Checks if the gateway UID is authorized in the configuration file and returns the key if it is
-     */
-    SSGS.prototype.getGatewayKey = function (gatewayUID) {
-        for (var _i = 0, _a = this.authorizedGateways; _i < _a.length; _i++) {
-            var authorizedGateway = _a[_i];
-            if (SSGS.gatewayUIDsMatch(authorizedGateway.gatewayUID, gatewayUID)) {
-                return authorizedGateway.key;
-            }
-        }
-        return null;
-    };
     /**
      * @method
      * @param {Buffer} gatewayUID - the gateway UID to check
@@ -641,49 +1540,217 @@ var SSGS = /** @class */ (function () {
     };
     /**
      * @method
-     * @param {string} configFilePath - the path to the SSGS configuration file
-     * Loads and parses the configuration file and sets up the authorized gateways and key properties
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string such as '4dec5dfa'
+     * @returns {SealState | undefined} - the latest state of the seal, or undefined if no gateway has heard it
+     */
+    SSGS.prototype.getSeal = function (sensorSealUID) {
+        return this.seals.get(sensorSealUID);
+    };
+    /**
+     * @method
+     * @returns {Array<SealState>} - the latest state of every seal heard by any gateway
      */
-    SSGS.prototype.loadConfig = function (configFilePath) {
+    SSGS.prototype.listSeals = function () {
+        return this.seals.list();
+    };
+    /**
+     * @method
+     * @async
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string such as '4dec5dfa'
+     * @param {HistoryQuery} query - the time range, the fields to return and the downsampling bucket size in milliseconds
+     * @returns {Promise<Array<HistoryPoint>>} - the stored updates of the seal in receive order, or averaged buckets when downsampling
+     * Queries the local update history, requires the history option
+     */
+    SSGS.prototype.history = function (sensorSealUID, query) {
         return __awaiter(this, void 0, void 0, function () {
-            var _a, _b, _c, e_1, _i, _d, gateway, uid, key;
-            return __generator(this, function (_e) {
-                switch (_e.label) {
+            return __generator(this, function (_a) {
+                if (!this.historyStore)
+                    throw new Error('SSGS History: history is not enabled, set the history option');
+                return [2 /*return*/, this.historyStore.query(sensorSealUID, query)];
+            });
+        });
+    };
+    /**
+     * @method
+     * @async
+     * @returns {Promise<void>} - resolves once the new configuration is in force, rejects if the file is missing or malformed
+     * Reloads the key store (re-reading the configuration file) and applies the changes in place without dropping sessions
+     * Newly added gateways are admitted on their next CONN. Connected clients whose UID was removed from the store, or
+     * whose key changed, are disconnected with removeClient(). Clients authorized through onconnectionattempt are
+     * only affected if the store now lists them with a different key.
+     * If the file cannot be read or parsed the previous configuration stays in force
+     */
+    SSGS.prototype.reloadConfig = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var previousGateways, authorizedGateways, findKey, _i, _a, client, previousKey, newKey, removed, keyChanged;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
                     case 0:
-                        _e.trys.push([0, 2, , 3]);
-                        _a = this;
-                        _c = (_b = JSON).parse;
-                        return [4 /*yield*/, fs.readFile(configFilePath, 'utf8')];
+                        if (!this.keyStore.reload)
+                            return [2 /*return*/];
+                        return [4 /*yield*/, this.keyStore.list()];
                     case 1:
-                        _a.configFile = _c.apply(_b, [_e.sent()]);
-                        return [3 /*break*/, 3];
+                        previousGateways = _b.sent();
+                        return [4 /*yield*/, this.keyStore.reload()];
                     case 2:
-                        e_1 = _e.sent();
-                        if (e_1.code === 'ENOENT') {
-                            console.log('SSGS: Config file not found (' + configFilePath + '), starting with no pre-authorized gateways. Use onconnectionattempt callback to authorize dynamically.');
-                            this.configFile = { key: '', authorized_gateways: [] };
-                            this.authorizedGateways = [];
-                            return [2 /*return*/];
-                        }
-                        throw e_1; // re-throw JSON parse errors or permission errors
+                        _b.sent();
+                        return [4 /*yield*/, this.keyStore.list()];
                     case 3:
-                        this.authorizedGateways = [];
-                        // parse the authorized gateways
-                        for (_i = 0, _d = this.configFile.authorized_gateways; _i < _d.length; _i++) {
-                            gateway = _d[_i];
-                            uid = Buffer.from(gateway.uid.replace(/\s/g, ''), 'hex');
-                            if (uid.length != 4)
-                                throw new Error('SSGS Config: uid length must be 4');
-                            key = Buffer.from(gateway.key.replace(/\s/g, ''), 'hex');
-                            if (key.length != 32)
-                                throw new Error('SSGS Config: gateway key length must be 32');
-                            this.authorizedGateways.push({ gatewayUID: uid, key: key });
+                        authorizedGateways = _b.sent();
+                        this.loadMinProtocols(authorizedGateways);
+                        findKey = function (gateways, gatewayUID) { var _a, _b; return (_b = (_a = gateways.find(function (g) { return SSGS.gatewayUIDsMatch(g.gatewayUID, gatewayUID); })) === null || _a === void 0 ? void 0 : _a.key) !== null && _b !== void 0 ? _b : null; };
+                        for (_i = 0, _a = __spreadArray([], this.connectedClients, true); _i < _a.length; _i++) {
+                            client = _a[_i];
+                            previousKey = findKey(previousGateways, client.gatewayUID);
+                            newKey = findKey(authorizedGateways, client.gatewayUID);
+                            removed = previousKey && !newKey;
+                            keyChanged = newKey && !newKey.equals(client.key);
+                            if (removed || keyChanged) {
+                                this.logger.info('Client removed after config reload', { gatewayUID: client.gatewayUID, reason: removed ? 'gateway no longer authorized' : 'gateway key changed' });
+                                this.removeClient(client);
+                            }
                         }
+                        this.rateLimiter.clearBackoffs(); // newly authorized gateways should not have to wait out earlier failures
+                        this.logger.info('Config reloaded', { authorizedGateways: authorizedGateways.length });
                         return [2 /*return*/];
                 }
             });
         });
     };
+    /**
+     * @method
+     * @async
+     * @param {Buffer} gatewayUID - the UID of the gateway to authorize
+     * @param {Buffer} key - the 32 byte pre-shared key of the gateway
+     * @param {string} description - an optional description
+     * Adds the gateway to the key store, a connected client using a different key is disconnected
+     */
+    SSGS.prototype.authorizeGateway = function (gatewayUID, key, description) {
+        return __awaiter(this, void 0, void 0, function () {
+            var client;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0: return [4 /*yield*/, this.keyStore.add(gatewayUID, key, description)];
+                    case 1:
+                        _a.sent();
+                        this.rateLimiter.clearBackoffs();
+                        client = this.getClientByGatewayUID(gatewayUID);
+                        if (client && !client.key.equals(key))
+                            this.removeClient(client);
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @async
+     * @param {Buffer} gatewayUID - the UID of the gateway to revoke
+     * @returns {Promise<boolean>} - true if the gateway was in the key store
+     * Removes the gateway from the key store and disconnects it if it is connected
+     */
+    SSGS.prototype.revokeGateway = function (gatewayUID) {
+        return __awaiter(this, void 0, void 0, function () {
+            var revoked, client;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0: return [4 /*yield*/, this.keyStore.revoke(gatewayUID)];
+                    case 1:
+                        revoked = _a.sent();
+                        client = this.getClientByGatewayUID(gatewayUID);
+                        if (client)
+                            this.removeClient(client);
+                        return [2 /*return*/, revoked];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @async
+     * @param {Array<Client>} clients - the gateways to update
+     * @param {Buffer} image - the firmware image
+     * @param {number} version - the u16 firmware version
+     * @param {object} options - FirmwareUpdateOptions plus concurrency (how many gateways are updated at once, default 4)
+     *                           and onstart (called with each FirmwareUpdate as it starts)
+     * @returns {Promise<Array<FirmwareRolloutResult>>} - the outcome for each gateway, in the order of clients
+     * Pushes the same firmware image to a set of gateways
+     */
+    SSGS.prototype.updateFirmware = function (clients, image, version, options) {
+        return __awaiter(this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0: return [4 /*yield*/, rolloutFirmware(clients, image, version, options)];
+                    case 1: return [2 /*return*/, _a.sent()];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * Starts watching the key store file and reloads it when it changes
+     * The directory is watched rather than the file so that editors that save by renaming are handled
+     */
+    SSGS.prototype.watchConfigFile = function () {
+        var _this = this;
+        if (!this.keyStore.path) {
+            this.logger.warn('Key store has no backing file, watchConfig ignored');
+            return;
+        }
+        var configFileName = path.basename(this.keyStore.path);
+        try {
+            this.configWatcher = watch(path.dirname(this.keyStore.path), function (eventType, fileName) {
+                if (fileName !== configFileName)
+                    return;
+                clearTimeout(_this.configReloadTimer);
+                _this.configReloadTimer = setTimeout(function () {
+                    _this.configReloadTimer = null;
+                    _this.reloadConfig().catch(function (err) {
+                        _this.emitError(new Error('SSGS Config: reload failed, keeping previous config: ' + err.message));
+                    });
+                }, CONFIG_WATCH_DEBOUNCE_MS);
+            });
+        }
+        catch (e) {
+            this.emitError(new Error('SSGS Config: could not watch config file: ' + e.message));
+            return;
+        }
+        this.configWatcher.on('error', function (err) { return _this.emitError(err); });
+    };
+    /**
+     * @method
+     * Stops watching the configuration file
+     */
+    SSGS.prototype.unwatchConfigFile = function () {
+        var _a;
+        clearTimeout(this.configReloadTimer);
+        this.configReloadTimer = null;
+        (_a = this.configWatcher) === null || _a === void 0 ? void 0 : _a.close();
+        this.configWatcher = null;
+    };
+    /**
+     * @method
+     * @static
+     * @param {number} subtype - the u8 message subtype used by the custom gateway firmware
+     * @param {MessageTypeDefinition} definition - the name and the decoder and/or encoder of the message type
+     * @returns {MessageType} - a handle, messageType.is(message) narrows a received message to the decoded type
+     * Registers a custom message subtype, decoded messages are delivered to onmessage and 'message' listeners
+     * and client.sendMessage(messageType, data) sends them with the encoder
+     */
+    SSGS.registerMessageType = function (subtype, definition) {
+        return SSProtocols.registerMessageType(subtype, definition);
+    };
+    /**
+     * @method
+     * @static
+     * @param {number} ssrbVersion - the u8 SSRB version sent by the Sensor Seal firmware
+     * @param {SSRBLayout} layout - the presence flags and fields that follow the SSRB header in this version
+     * Registers or replaces the field layout used to decode SSRB updates of the given version
+     * Versions newer than every registered version are decoded with the newest registered layout
+     */
+    SSGS.registerSSRBVersion = function (ssrbVersion, layout) {
+        SSProtocols.registerSSRBVersion(ssrbVersion, layout);
+    };
     /**
      * @method
      * @static
@@ -726,15 +1793,21 @@ var SSGS = /** @class */ (function () {
         return uidString;
     };
     return SSGS;
-}());
+}(EventEmitter));
 ;
 export default SSGS;
-/**
- * @function
- * @param {string} info - the debug information to log
- * Logs the debug information if __SSGS_DEBUG is true
- */
-function logIfSSGSDebug(info) {
-    if (__SSGS_DEBUG)
-        console.log('SSGS Debug Info:', info);
-}
+export { decodeWakeupScanV1 };
+export { SSEncoder };
+export { MemoryKeyStore, JSONFileKeyStore, EncryptedFileKeyStore };
+export { FirmwareUpdate };
+export { TerminalStream };
+export { AlertEngine };
+export { HistoryStore };
+export { MQTTBridge, MQTTClient };
+export { AdminServer };
+export { Transport, UDPTransport, WSSTransport };
+export { SSGSMetrics, Counter, Gauge, Histogram };
+export { SealRegistry };
+export { SSGSLogger };
+export { ReplayWindow };
+export { RateLimiter };
@@ -0,0 +1,156 @@
+import { Buffer } from "node:buffer";
+import { SSGSLogger } from './logger.js';
+export type ConfigFile = {
+    key?: string;
+    authorized_gateways: Array<{
+        description?: string;
+        uid: string;
+        key: string;
+        min_protocol?: 1 | 2;
+    }>;
+    [field: string]: unknown;
+};
+export type GatewayKeyEntry = {
+    gatewayUID: Buffer;
+    key: Buffer;
+    description?: string;
+    minProtocol?: 1 | 2;
+};
+/**
+ * A source of gateway pre-shared keys consulted by SSGS.process() when an unknown gateway connects
+ * Implement this interface to authorize gateways from a database or secret manager
+ */
+export interface GatewayKeyStore {
+    readonly path?: string;
+    /**
+     * @param {Buffer} gatewayUID - the UID of the gateway
+     * @returns {Promise<Buffer | null>} - the key of the gateway if it is authorized, null otherwise
+     */
+    lookup(gatewayUID: Buffer): Promise<Buffer | null>;
+    /**
+     * @returns {Promise<Array<GatewayKeyEntry>>} - every authorized gateway
+     */
+    list(): Promise<Array<GatewayKeyEntry>>;
+    /**
+     * @param {Buffer} gatewayUID - the UID of the gateway to authorize
+     * @param {Buffer} key - the 32 byte pre-shared key of the gateway
+     * @param {string} description - an optional description
+     * Authorizes a gateway, replacing its key if it is already authorized
+     */
+    add(gatewayUID: Buffer, key: Buffer, description?: string): Promise<void>;
+    /**
+     * @param {Buffer} gatewayUID - the UID of the gateway to revoke
+     * @returns {Promise<boolean>} - true if the gateway was authorized
+     */
+    revoke(gatewayUID: Buffer): Promise<boolean>;
+    /**
+     * @param {Buffer} gatewayUID - the UID of the gateway
+     * @param {1 | 2} minProtocol - the lowest SSGSCP version the gateway may connect with
+     * @returns {Promise<boolean>} - true if the gateway is authorized
+     * Records the protocol policy of a gateway, the server sets 2 when the pinProtocolV2 option pins a gateway to v2
+     * Without this method pinned gateways are only remembered until the server restarts
+     */
+    setMinProtocol?(gatewayUID: Buffer, minProtocol: 1 | 2): Promise<boolean>;
+    /**
+     * Re-reads the backing storage, must leave the previous entries in force if it fails
+     */
+    reload?(): Promise<void>;
+}
+/**
+ * A key store held in memory only, entries are lost when the process exits
+ */
+export declare class MemoryKeyStore implements GatewayKeyStore {
+    protected entries: Map<string, GatewayKeyEntry>;
+    /**
+     * @constructor
+     * @param {Array<GatewayKeyEntry>} entries - the initially authorized gateways
+     */
+    constructor(entries?: Array<GatewayKeyEntry>);
+    lookup(gatewayUID: Buffer): Promise<Buffer | null>;
+    list(): Promise<Array<GatewayKeyEntry>>;
+    add(gatewayUID: Buffer, key: Buffer, description?: string): Promise<void>;
+    revoke(gatewayUID: Buffer): Promise<boolean>;
+    setMinProtocol(gatewayUID: Buffer, minProtocol: 1 | 2): Promise<boolean>;
+}
+/**
+ * A key store backed by a plaintext JSON file in the authorized.json format
+ * add() and revoke() write the file back to disk
+ */
+export declare class JSONFileKeyStore extends MemoryKeyStore {
+    readonly path: string;
+    protected loaded: boolean;
+    protected otherFields: {
+        [field: string]: unknown;
+    };
+    protected logger: SSGSLogger;
+    private writes;
+    /**
+     * @constructor
+     * @param {string} path - the path to the JSON file
+     * @param {SSGSLogger} logger - where to log, the server passes its own logger, default is console at info level
+     */
+    constructor(path: string, logger?: SSGSLogger);
+    /**
+     * @method
+     * @async
+     * Loads the file, a missing file is treated as an empty store the first time only
+     * A malformed file throws and leaves the previous entries in force
+     */
+    reload(): Promise<void>;
+    add(gatewayUID: Buffer, key: Buffer, description?: string): Promise<void>;
+    revoke(gatewayUID: Buffer): Promise<boolean>;
+    setMinProtocol(gatewayUID: Buffer, minProtocol: 1 | 2): Promise<boolean>;
+    /**
+     * @method
+     * @param {ConfigFile} configFile - the parsed file contents
+     * @returns {Promise<Map<string, GatewayKeyEntry>>} - the entries keyed by hex gateway UID
+     */
+    protected parse(configFile: ConfigFile): Promise<Map<string, GatewayKeyEntry>>;
+    /**
+     * @method
+     * @returns {Array<string>} - the top level fields written by serialize(), any others are kept as they were loaded
+     */
+    protected managedFields(): Array<string>;
+    /**
+     * @method
+     * @returns {Promise<ConfigFile>} - the file contents to write
+     */
+    protected serialize(): Promise<ConfigFile>;
+    /**
+     * @method
+     * Writes the store to a temporary file and renames it over the original so that readers never see a partial file
+     * Writes run one at a time since they share the temporary file, each writes the entries as they are when it starts
+     */
+    protected save(): Promise<void>;
+}
+/**
+ * A key store backed by a JSON file in the authorized.json format where every gateway key is encrypted at rest
+ * The top level "key" field holds the scrypt parameters and salt used to derive an AES-256-GCM key from the master
+ * passphrase, together with a check value so that a wrong passphrase is detected. Each gateway key is stored as
+ * "<iv>:<tag>:<ciphertext>" in hex, authenticated against its gateway UID so that entries cannot be swapped
+ */
+export declare class EncryptedFileKeyStore extends JSONFileKeyStore {
+    private passphrase;
+    private header;
+    private masterKey;
+    /**
+     * @constructor
+     * @param {string} path - the path to the encrypted JSON file
+     * @param {string} passphrase - the master passphrase
+     * @param {SSGSLogger} logger - where to log, default is console at info level
+     */
+    constructor(path: string, passphrase: string, logger?: SSGSLogger);
+    /**
+     * @method
+     * @static
+     * @async
+     * @param {string} plaintextPath - the path to an existing plaintext authorized.json file
+     * @param {string} encryptedPath - the path to write the encrypted file to, may be the same as plaintextPath
+     * @param {string} passphrase - the master passphrase
+     * Encrypts a plaintext authorized.json file so that it can be used with EncryptedFileKeyStore
+     */
+    static encryptFile(plaintextPath: string, encryptedPath: string, passphrase: string): Promise<void>;
+    protected managedFields(): Array<string>;
+    protected parse(configFile: ConfigFile): Promise<Map<string, GatewayKeyEntry>>;
+    protected serialize(): Promise<ConfigFile>;
+}
@@ -0,0 +1,554 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+import * as fs from 'node:fs/promises';
+import * as crypto from 'node:crypto';
+import { Buffer } from "node:buffer";
+import { SSGSLogger } from './logger.js';
+var UID_LEN_BYTES = 4;
+var KEY_LEN_BYTES = 32;
+var SCRYPT_N = 16384; // scrypt cost parameters used for new encrypted files, existing files carry their own
+var SCRYPT_R = 8;
+var SCRYPT_P = 1;
+var SCRYPT_MAXMEM = 64 * 1024 * 1024;
+var SALT_LEN_BYTES = 16;
+var GCM_IV_LEN_BYTES = 12;
+var GCM_TAG_LEN_BYTES = 16;
+var PASSPHRASE_CHECK_AAD = Buffer.from('SSGS key store passphrase check');
+/**
+ * A key store held in memory only, entries are lost when the process exits
+ */
+var MemoryKeyStore = /** @class */ (function () {
+    /**
+     * @constructor
+     * @param {Array<GatewayKeyEntry>} entries - the initially authorized gateways
+     */
+    function MemoryKeyStore(entries) {
+        if (entries === void 0) { entries = []; }
+        this.entries = new Map();
+        for (var _i = 0, entries_1 = entries; _i < entries_1.length; _i++) {
+            var entry = entries_1[_i];
+            validateEntry(entry.gatewayUID, entry.key);
+            this.entries.set(entry.gatewayUID.toString('hex'), __assign({}, entry));
+        }
+    }
+    MemoryKeyStore.prototype.lookup = function (gatewayUID) {
+        return __awaiter(this, void 0, void 0, function () {
+            var _a, _b;
+            return __generator(this, function (_c) {
+                return [2 /*return*/, (_b = (_a = this.entries.get(gatewayUID.toString('hex'))) === null || _a === void 0 ? void 0 : _a.key) !== null && _b !== void 0 ? _b : null];
+            });
+        });
+    };
+    MemoryKeyStore.prototype.list = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                return [2 /*return*/, Array.from(this.entries.values()).map(function (entry) { return (__assign({}, entry)); })];
+            });
+        });
+    };
+    MemoryKeyStore.prototype.add = function (gatewayUID, key, description) {
+        return __awaiter(this, void 0, void 0, function () {
+            var minProtocol;
+            var _a;
+            return __generator(this, function (_b) {
+                validateEntry(gatewayUID, key);
+                minProtocol = (_a = this.entries.get(gatewayUID.toString('hex'))) === null || _a === void 0 ? void 0 : _a.minProtocol;
+                this.entries.set(gatewayUID.toString('hex'), __assign(__assign({ gatewayUID: Buffer.from(gatewayUID), key: Buffer.from(key) }, (description !== undefined ? { description: description } : {})), (minProtocol !== undefined ? { minProtocol: minProtocol } : {})));
+                return [2 /*return*/];
+            });
+        });
+    };
+    MemoryKeyStore.prototype.revoke = function (gatewayUID) {
+        return __awaiter(this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                return [2 /*return*/, this.entries.delete(gatewayUID.toString('hex'))];
+            });
+        });
+    };
+    MemoryKeyStore.prototype.setMinProtocol = function (gatewayUID, minProtocol) {
+        return __awaiter(this, void 0, void 0, function () {
+            var entry;
+            return __generator(this, function (_a) {
+                if (minProtocol !== 1 && minProtocol !== 2)
+                    throw new Error('SSGS Key Store: minProtocol must be 1 or 2');
+                entry = this.entries.get(gatewayUID.toString('hex'));
+                if (!entry)
+                    return [2 /*return*/, false];
+                entry.minProtocol = minProtocol;
+                return [2 /*return*/, true];
+            });
+        });
+    };
+    return MemoryKeyStore;
+}());
+export { MemoryKeyStore };
+/**
+ * A key store backed by a plaintext JSON file in the authorized.json format
+ * add() and revoke() write the file back to disk
+ */
+var JSONFileKeyStore = /** @class */ (function (_super) {
+    __extends(JSONFileKeyStore, _super);
+    /**
+     * @constructor
+     * @param {string} path - the path to the JSON file
+     * @param {SSGSLogger} logger - where to log, the server passes its own logger, default is console at info level
+     */
+    function JSONFileKeyStore(path, logger) {
+        var _this = _super.call(this) || this;
+        _this.path = path;
+        _this.loaded = false;
+        _this.otherFields = {};
+        _this.logger = logger !== null && logger !== void 0 ? logger : new SSGSLogger(console);
+        _this.writes = Promise.resolve();
+        return _this;
+    }
+    /**
+     * @method
+     * @async
+     * Loads the file, a missing file is treated as an empty store the first time only
+     * A malformed file throws and leaves the previous entries in force
+     */
+    JSONFileKeyStore.prototype.reload = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var configFile, _a, _b, e_1, _c;
+            return __generator(this, function (_d) {
+                switch (_d.label) {
+                    case 0:
+                        _d.trys.push([0, 2, , 3]);
+                        _b = (_a = JSON).parse;
+                        return [4 /*yield*/, fs.readFile(this.path, 'utf8')];
+                    case 1:
+                        configFile = _b.apply(_a, [_d.sent()]);
+                        return [3 /*break*/, 3];
+                    case 2:
+                        e_1 = _d.sent();
+                        if (e_1.code === 'ENOENT' && !this.loaded) {
+                            this.logger.info('Config file not found, starting with no pre-authorized gateways, use the onconnectionattempt callback to authorize dynamically', { path: this.path });
+                            this.loaded = true;
+                            return [2 /*return*/];
+                        }
+                        throw e_1; // re-throw JSON parse errors or permission errors
+                    case 3:
+                        _c = this;
+                        return [4 /*yield*/, this.parse(configFile)];
+                    case 4:
+                        _c.entries = _d.sent();
+                        this.otherFields = omitFields(configFile, this.managedFields());
+                        this.loaded = true;
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    JSONFileKeyStore.prototype.add = function (gatewayUID, key, description) {
+        return __awaiter(this, void 0, void 0, function () {
+            var _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0: return [4 /*yield*/, _super.prototype.add.call(this, gatewayUID, key, description !== null && description !== void 0 ? description : (_a = this.entries.get(gatewayUID.toString('hex'))) === null || _a === void 0 ? void 0 : _a.description)];
+                    case 1:
+                        _b.sent();
+                        return [4 /*yield*/, this.save()];
+                    case 2:
+                        _b.sent();
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    JSONFileKeyStore.prototype.revoke = function (gatewayUID) {
+        return __awaiter(this, void 0, void 0, function () {
+            var revoked;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0: return [4 /*yield*/, _super.prototype.revoke.call(this, gatewayUID)];
+                    case 1:
+                        revoked = _a.sent();
+                        if (!revoked) return [3 /*break*/, 3];
+                        return [4 /*yield*/, this.save()];
+                    case 2:
+                        _a.sent();
+                        _a.label = 3;
+                    case 3: return [2 /*return*/, revoked];
+                }
+            });
+        });
+    };
+    JSONFileKeyStore.prototype.setMinProtocol = function (gatewayUID, minProtocol) {
+        return __awaiter(this, void 0, void 0, function () {
+            var found;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0: return [4 /*yield*/, _super.prototype.setMinProtocol.call(this, gatewayUID, minProtocol)];
+                    case 1:
+                        found = _a.sent();
+                        if (!found) return [3 /*break*/, 3];
+                        return [4 /*yield*/, this.save()];
+                    case 2:
+                        _a.sent();
+                        _a.label = 3;
+                    case 3: return [2 /*return*/, found];
+                }
+            });
+        });
+    };
+    /**
+     * @method
+     * @param {ConfigFile} configFile - the parsed file contents
+     * @returns {Promise<Map<string, GatewayKeyEntry>>} - the entries keyed by hex gateway UID
+     */
+    JSONFileKeyStore.prototype.parse = function (configFile) {
+        return __awaiter(this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                return [2 /*return*/, parseConfigFile(configFile, function (encodedKey) { return Buffer.from(encodedKey.replace(/\s/g, ''), 'hex'); })];
+            });
+        });
+    };
+    /**
+     * @method
+     * @returns {Array<string>} - the top level fields written by serialize(), any others are kept as they were loaded
+     */
+    JSONFileKeyStore.prototype.managedFields = function () {
+        return ['authorized_gateways'];
+    };
+    /**
+     * @method
+     * @returns {Promise<ConfigFile>} - the file contents to write
+     */
+    JSONFileKeyStore.prototype.serialize = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                return [2 /*return*/, __assign(__assign({}, this.otherFields), { authorized_gateways: Array.from(this.entries.values()).map(function (entry) { return (__assign(__assign(__assign({}, (entry.description !== undefined ? { description: entry.description } : {})), { uid: toSpacedHex(entry.gatewayUID), key: toSpacedHex(entry.key) }), (entry.minProtocol !== undefined ? { min_protocol: entry.minProtocol } : {}))); }) })];
+            });
+        });
+    };
+    /**
+     * @method
+     * Writes the store to a temporary file and renames it over the original so that readers never see a partial file
+     * Writes run one at a time since they share the temporary file, each writes the entries as they are when it starts
+     */
+    JSONFileKeyStore.prototype.save = function () {
+        var _this = this;
+        var result = this.writes.then(function () { return __awaiter(_this, void 0, void 0, function () {
+            var tempPath, _a, _b, _c, _d, _e;
+            return __generator(this, function (_f) {
+                switch (_f.label) {
+                    case 0:
+                        tempPath = this.path + '.tmp';
+                        _b = (_a = fs).writeFile;
+                        _c = [tempPath];
+                        _e = (_d = JSON).stringify;
+                        return [4 /*yield*/, this.serialize()];
+                    case 1: return [4 /*yield*/, _b.apply(_a, _c.concat([_e.apply(_d, [_f.sent(), null, 4]) + '\n', { mode: 384 }]))];
+                    case 2:
+                        _f.sent();
+                        return [4 /*yield*/, fs.rename(tempPath, this.path)];
+                    case 3:
+                        _f.sent();
+                        return [2 /*return*/];
+                }
+            });
+        }); });
+        this.writes = result.then(function () { }, function () { }); // a failed write does not stop the ones after it
+        return result;
+    };
+    return JSONFileKeyStore;
+}(MemoryKeyStore));
+export { JSONFileKeyStore };
+/**
+ * A key store backed by a JSON file in the authorized.json format where every gateway key is encrypted at rest
+ * The top level "key" field holds the scrypt parameters and salt used to derive an AES-256-GCM key from the master
+ * passphrase, together with a check value so that a wrong passphrase is detected. Each gateway key is stored as
+ * "<iv>:<tag>:<ciphertext>" in hex, authenticated against its gateway UID so that entries cannot be swapped
+ */
+var EncryptedFileKeyStore = /** @class */ (function (_super) {
+    __extends(EncryptedFileKeyStore, _super);
+    /**
+     * @constructor
+     * @param {string} path - the path to the encrypted JSON file
+     * @param {string} passphrase - the master passphrase
+     * @param {SSGSLogger} logger - where to log, default is console at info level
+     */
+    function EncryptedFileKeyStore(path, passphrase, logger) {
+        var _this = _super.call(this, path, logger) || this;
+        if (!passphrase)
+            throw new Error('SSGS Config: a master passphrase is required for an encrypted key store');
+        _this.passphrase = passphrase;
+        _this.header = null;
+        _this.masterKey = null;
+        return _this;
+    }
+    /**
+     * @method
+     * @static
+     * @async
+     * @param {string} plaintextPath - the path to an existing plaintext authorized.json file
+     * @param {string} encryptedPath - the path to write the encrypted file to, may be the same as plaintextPath
+     * @param {string} passphrase - the master passphrase
+     * Encrypts a plaintext authorized.json file so that it can be used with EncryptedFileKeyStore
+     */
+    EncryptedFileKeyStore.encryptFile = function (plaintextPath, encryptedPath, passphrase) {
+        return __awaiter(this, void 0, void 0, function () {
+            var plaintext, encrypted, _a, _b, _c, _d;
+            return __generator(this, function (_e) {
+                switch (_e.label) {
+                    case 0:
+                        plaintext = new JSONFileKeyStore(plaintextPath);
+                        return [4 /*yield*/, plaintext.reload()];
+                    case 1:
+                        _e.sent();
+                        encrypted = new EncryptedFileKeyStore(encryptedPath, passphrase);
+                        encrypted.loaded = true;
+                        _a = encrypted;
+                        _b = omitFields;
+                        return [4 /*yield*/, fs.readFile(plaintextPath, 'utf8').then(JSON.parse, function () { return ({}); })];
+                    case 2:
+                        _a.otherFields = _b.apply(void 0, [_e.sent(), encrypted.managedFields()]); // a missing file is an empty store
+                        _c = encrypted;
+                        _d = Map.bind;
+                        return [4 /*yield*/, plaintext.list()];
+                    case 3:
+                        _c.entries = new (_d.apply(Map, [void 0, (_e.sent()).map(function (entry) { return [entry.gatewayUID.toString('hex'), entry]; })]))();
+                        return [4 /*yield*/, encrypted.save()];
+                    case 4:
+                        _e.sent();
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    EncryptedFileKeyStore.prototype.managedFields = function () {
+        return ['key', 'authorized_gateways'];
+    };
+    EncryptedFileKeyStore.prototype.parse = function (configFile) {
+        return __awaiter(this, void 0, void 0, function () {
+            var header, masterKey, entries;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        if (!(configFile === null || configFile === void 0 ? void 0 : configFile.key)) {
+                            if (Array.isArray(configFile === null || configFile === void 0 ? void 0 : configFile.authorized_gateways) && configFile.authorized_gateways.length > 0)
+                                throw new Error('SSGS Config: key store file is not encrypted, convert it with EncryptedFileKeyStore.encryptFile()');
+                            return [2 /*return*/, parseConfigFile(configFile, function () { return null; })];
+                        }
+                        header = parseScryptHeader(configFile.key);
+                        return [4 /*yield*/, deriveMasterKey(this.passphrase, header)];
+                    case 1:
+                        masterKey = _a.sent();
+                        if (!decryptGCM(masterKey, header.checkIV, header.checkTag, Buffer.alloc(0), PASSPHRASE_CHECK_AAD))
+                            throw new Error('SSGS Config: wrong master passphrase for encrypted key store');
+                        entries = parseConfigFile(configFile, function (encodedKey, gatewayUID) {
+                            var parts = encodedKey.split(':').map(function (part) { return Buffer.from(part, 'hex'); });
+                            if (parts.length != 3)
+                                throw new Error('SSGS Config: encrypted gateway key must be formatted as <iv>:<tag>:<ciphertext>');
+                            var key = decryptGCM(masterKey, parts[0], parts[1], parts[2], gatewayUID);
+                            if (!key)
+                                throw new Error('SSGS Config: could not decrypt key for gateway ' + gatewayUID.toString('hex'));
+                            return key;
+                        });
+                        this.header = header;
+                        this.masterKey = masterKey;
+                        return [2 /*return*/, entries];
+                }
+            });
+        });
+    };
+    EncryptedFileKeyStore.prototype.serialize = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var header, masterKey, check;
+            var _this = this;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        if (!!this.masterKey) return [3 /*break*/, 2];
+                        header = {
+                            N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P,
+                            salt: crypto.randomBytes(SALT_LEN_BYTES),
+                            checkIV: null, checkTag: null
+                        };
+                        return [4 /*yield*/, deriveMasterKey(this.passphrase, header)];
+                    case 1:
+                        masterKey = _a.sent();
+                        check = encryptGCM(masterKey, Buffer.alloc(0), PASSPHRASE_CHECK_AAD);
+                        header.checkIV = check.iv;
+                        header.checkTag = check.tag;
+                        this.header = header;
+                        this.masterKey = masterKey;
+                        _a.label = 2;
+                    case 2: return [2 /*return*/, __assign(__assign({}, this.otherFields), { key: formatScryptHeader(this.header), authorized_gateways: Array.from(this.entries.values()).map(function (entry) {
+                                var encrypted = encryptGCM(_this.masterKey, entry.key, entry.gatewayUID);
+                                return __assign(__assign(__assign({}, (entry.description !== undefined ? { description: entry.description } : {})), { uid: toSpacedHex(entry.gatewayUID), key: [encrypted.iv, encrypted.tag, encrypted.ciphertext].map(function (b) { return b.toString('hex'); }).join(':') }), (entry.minProtocol !== undefined ? { min_protocol: entry.minProtocol } : {}));
+                            }) })];
+                }
+            });
+        });
+    };
+    return EncryptedFileKeyStore;
+}(JSONFileKeyStore));
+export { EncryptedFileKeyStore };
+/**
+ * @function
+ * @param {ConfigFile} configFile - the parsed file contents
+ * @param {function} decodeKey - converts the stored key string of a gateway to its 32 byte key
+ * @returns {Map<string, GatewayKeyEntry>} - the entries keyed by hex gateway UID
+ * Validates the authorized_gateways section of a configuration file, throws if it is malformed
+ */
+function parseConfigFile(configFile, decodeKey) {
+    if (!configFile || !Array.isArray(configFile.authorized_gateways))
+        throw new Error('SSGS Config: authorized_gateways must be an array');
+    var entries = new Map();
+    for (var _i = 0, _a = configFile.authorized_gateways; _i < _a.length; _i++) {
+        var gateway = _a[_i];
+        if (typeof (gateway === null || gateway === void 0 ? void 0 : gateway.uid) !== 'string' || typeof (gateway === null || gateway === void 0 ? void 0 : gateway.key) !== 'string')
+            throw new Error('SSGS Config: uid and key must be hex strings');
+        // Parse the hex-formatted string and obtain a byte array
+        var uid = Buffer.from(gateway.uid.replace(/\s/g, ''), 'hex');
+        if (uid.length != UID_LEN_BYTES)
+            throw new Error('SSGS Config: uid length must be 4');
+        var key = decodeKey(gateway.key, uid);
+        if (key.length != KEY_LEN_BYTES)
+            throw new Error('SSGS Config: gateway key length must be 32');
+        if (gateway.min_protocol !== undefined && gateway.min_protocol !== 1 && gateway.min_protocol !== 2)
+            throw new Error('SSGS Config: min_protocol must be 1 or 2');
+        entries.set(uid.toString('hex'), __assign(__assign({ gatewayUID: uid, key: key }, (gateway.description !== undefined ? { description: gateway.description } : {})), (gateway.min_protocol !== undefined ? { minProtocol: gateway.min_protocol } : {})));
+    }
+    return entries;
+}
+// a shallow copy of the parsed file without the given top level fields
+function omitFields(configFile, fields) {
+    var other = {};
+    for (var _i = 0, _a = Object.keys(configFile !== null && configFile !== void 0 ? configFile : {}); _i < _a.length; _i++) {
+        var field = _a[_i];
+        if (fields.indexOf(field) === -1)
+            other[field] = configFile[field];
+    }
+    return other;
+}
+function validateEntry(gatewayUID, key) {
+    if (!gatewayUID || gatewayUID.length != UID_LEN_BYTES)
+        throw new Error('SSGS Key Store: gateway UID length must be 4');
+    if (!key || key.length != KEY_LEN_BYTES)
+        throw new Error('SSGS Key Store: gateway key length must be 32');
+}
+// formats bytes the same way as the example authorized.json, e.g. "4d ec 5d fa"
+function toSpacedHex(buffer) {
+    return Array.from(buffer).map(function (b) { return b.toString(16).padStart(2, '0'); }).join(' ');
+}
+// the header is formatted as scrypt:<N>:<r>:<p>:<salt>:<check iv>:<check tag>
+function formatScryptHeader(header) {
+    return ['scrypt', header.N, header.r, header.p, header.salt.toString('hex'), header.checkIV.toString('hex'), header.checkTag.toString('hex')].join(':');
+}
+function parseScryptHeader(value) {
+    var parts = value.split(':');
+    if (parts.length != 7 || parts[0] !== 'scrypt')
+        throw new Error('SSGS Config: unsupported key store header, expected scrypt:<N>:<r>:<p>:<salt>:<iv>:<tag>');
+    var _a = parts.slice(1, 4).map(function (part) { return parseInt(part, 10); }), N = _a[0], r = _a[1], p = _a[2];
+    if (!(N > 1) || !(r > 0) || !(p > 0))
+        throw new Error('SSGS Config: invalid scrypt parameters in key store header');
+    return {
+        N: N,
+        r: r,
+        p: p,
+        salt: Buffer.from(parts[4], 'hex'),
+        checkIV: Buffer.from(parts[5], 'hex'),
+        checkTag: Buffer.from(parts[6], 'hex')
+    };
+}
+function deriveMasterKey(passphrase, header) {
+    return new Promise(function (resolve, reject) {
+        crypto.scrypt(passphrase, header.salt, KEY_LEN_BYTES, { N: header.N, r: header.r, p: header.p, maxmem: SCRYPT_MAXMEM }, function (err, derivedKey) {
+            if (err)
+                reject(err);
+            else
+                resolve(derivedKey);
+        });
+    });
+}
+function encryptGCM(key, plaintext, aad) {
+    var iv = crypto.randomBytes(GCM_IV_LEN_BYTES);
+    var cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: GCM_TAG_LEN_BYTES });
+    cipher.setAAD(aad);
+    var ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv: iv, tag: cipher.getAuthTag(), ciphertext: ciphertext };
+}
+// returns null if the tag does not verify
+function decryptGCM(key, iv, tag, ciphertext, aad) {
+    if (iv.length != GCM_IV_LEN_BYTES || tag.length != GCM_TAG_LEN_BYTES)
+        return null;
+    try {
+        var decipher = crypto.createDecipheriv('aes-256-gcm', key, iv, { authTagLength: GCM_TAG_LEN_BYTES });
+        decipher.setAAD(aad);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    }
+    catch (e) {
+        return null;
+    }
+}
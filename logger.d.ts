@@ -0,0 +1,64 @@
+import { Buffer } from "node:buffer";
+import { PacketType } from './ssgscp/ssgscp.js';
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'silent';
+/**
+ * Anything with pino style level methods, called as logger[level](fields, message)
+ * pino, bunyan and console all work, console is given a formatted line instead
+ */
+export type Logger = {
+    trace?: (...args: Array<any>) => void;
+    debug: (...args: Array<any>) => void;
+    info: (...args: Array<any>) => void;
+    warn: (...args: Array<any>) => void;
+    error: (...args: Array<any>) => void;
+};
+export type LogFields = {
+    gatewayUID?: Buffer | string;
+    remoteAddress?: string;
+    port?: number;
+    transport?: string;
+    packetID?: number;
+    packetType?: PacketType;
+    err?: Error;
+    [field: string]: any;
+};
+export type SSGSLoggerOptions = {
+    level?: LogLevel;
+    redact?: boolean;
+    bindings?: LogFields;
+};
+/**
+ * The logger of one SSGS instance
+ * Filters by level, turns Buffers and packet types into readable fields and redacts key material and payloads
+ */
+export declare class SSGSLogger {
+    level: LogLevel;
+    redact: boolean;
+    private sink;
+    private bindings;
+    /**
+     * @constructor
+     * @param {Logger} sink - where records are written, e.g. a pino logger or console
+     * @param {SSGSLoggerOptions} options - the level, redaction and fields added to every record
+     */
+    constructor(sink: Logger, options?: SSGSLoggerOptions);
+    /**
+     * @method
+     * @param {LogFields} bindings - fields added to every record of the child
+     * @returns {SSGSLogger} - a logger writing to the same sink with the same level and redaction
+     */
+    child(bindings: LogFields): SSGSLogger;
+    /**
+     * @method
+     * @param {LogLevel} level - the level to check
+     * @returns {boolean} - whether records of the level are logged, to skip building expensive fields
+     */
+    enabled(level: LogLevel): boolean;
+    trace(message: string, fields?: LogFields): void;
+    debug(message: string, fields?: LogFields): void;
+    info(message: string, fields?: LogFields): void;
+    warn(message: string, fields?: LogFields): void;
+    error(message: string, fields?: LogFields): void;
+    private log;
+    private format;
+}
@@ -0,0 +1,110 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
+import { Buffer } from "node:buffer";
+import { SSGSCP } from './ssgscp/ssgscp.js';
+var LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'silent'];
+var REDACTED_FIELDS = ['key', 'psk', 'payload', 'data', 'packet']; // never logged unless redaction is turned off
+/**
+ * The logger of one SSGS instance
+ * Filters by level, turns Buffers and packet types into readable fields and redacts key material and payloads
+ */
+var SSGSLogger = /** @class */ (function () {
+    /**
+     * @constructor
+     * @param {Logger} sink - where records are written, e.g. a pino logger or console
+     * @param {SSGSLoggerOptions} options - the level, redaction and fields added to every record
+     */
+    function SSGSLogger(sink, options) {
+        var _a, _b, _c;
+        if ((options === null || options === void 0 ? void 0 : options.level) !== undefined && LOG_LEVELS.indexOf(options.level) === -1)
+            throw new TypeError('SSGS Logger: unknown level ' + options.level + ', expected one of ' + LOG_LEVELS.join(', '));
+        this.sink = sink;
+        this.level = (_a = options === null || options === void 0 ? void 0 : options.level) !== null && _a !== void 0 ? _a : 'info';
+        this.redact = (_b = options === null || options === void 0 ? void 0 : options.redact) !== null && _b !== void 0 ? _b : true;
+        this.bindings = (_c = options === null || options === void 0 ? void 0 : options.bindings) !== null && _c !== void 0 ? _c : {};
+    }
+    /**
+     * @method
+     * @param {LogFields} bindings - fields added to every record of the child
+     * @returns {SSGSLogger} - a logger writing to the same sink with the same level and redaction
+     */
+    SSGSLogger.prototype.child = function (bindings) {
+        return new SSGSLogger(this.sink, { level: this.level, redact: this.redact, bindings: __assign(__assign({}, this.bindings), bindings) });
+    };
+    /**
+     * @method
+     * @param {LogLevel} level - the level to check
+     * @returns {boolean} - whether records of the level are logged, to skip building expensive fields
+     */
+    SSGSLogger.prototype.enabled = function (level) {
+        return level !== 'silent' && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    };
+    SSGSLogger.prototype.trace = function (message, fields) {
+        this.log('trace', message, fields);
+    };
+    SSGSLogger.prototype.debug = function (message, fields) {
+        this.log('debug', message, fields);
+    };
+    SSGSLogger.prototype.info = function (message, fields) {
+        this.log('info', message, fields);
+    };
+    SSGSLogger.prototype.warn = function (message, fields) {
+        this.log('warn', message, fields);
+    };
+    SSGSLogger.prototype.error = function (message, fields) {
+        this.log('error', message, fields);
+    };
+    SSGSLogger.prototype.log = function (level, message, fields) {
+        var _a;
+        if (!this.enabled(level))
+            return;
+        var record = this.format(__assign(__assign({}, this.bindings), fields));
+        var write = (level === 'trace' ? (_a = this.sink.trace) !== null && _a !== void 0 ? _a : this.sink.debug : this.sink[level]).bind(this.sink);
+        if (this.sink !== console) {
+            write(record, message);
+            return;
+        }
+        // console gets a single line, errors by their message
+        var pairs = Object.keys(record).map(function (name) {
+            var value = name === 'err' && record[name] instanceof Object ? record[name].message : record[name];
+            return name + '=' + (typeof value === 'string' ? value : JSON.stringify(value));
+        });
+        write('SSGS ' + level + ': ' + message + (pairs.length > 0 ? ' ' + pairs.join(' ') : ''));
+    };
+    SSGSLogger.prototype.format = function (fields) {
+        var record = {};
+        for (var _i = 0, _a = Object.keys(fields); _i < _a.length; _i++) {
+            var name_1 = _a[_i];
+            var value = fields[name_1];
+            if (value === undefined)
+                continue;
+            if (this.redact && REDACTED_FIELDS.indexOf(name_1) !== -1)
+                record[name_1] = '[redacted' + ((value === null || value === void 0 ? void 0 : value.length) !== undefined ? ' ' + value.length + ' bytes' : '') + ']';
+            else if (name_1 === 'packetType' && typeof value === 'number')
+                record[name_1] = SSGSCP.packetTypeName(value);
+            else if (Buffer.isBuffer(value))
+                record[name_1] = value.toString('hex');
+            else
+                record[name_1] = value;
+        }
+        return record;
+    };
+    return SSGSLogger;
+}());
+export { SSGSLogger };
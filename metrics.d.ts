@@ -0,0 +1,116 @@
+import { PacketType } from './ssgscp/ssgscp.js';
+import type SSGS from './index.js';
+export type MetricLabels = Record<string, string>;
+export type DatagramRejectReason = 'bad-header' | 'unauthorized' | 'invalid-key' | 'parse-error' | 'bad-auth-code' | 'unknown-client' | 'closing' | 'authorizing' | 'key-store-error' | 'blocked' | 'rate-limited' | 'backoff' | 'legacy-protocol' | 'protocol-mismatch' | 'replay';
+export type DeliveryFailureReason = 'timeout' | 'queue-full' | 'not-connected' | 'pack-error' | 'cleared';
+interface Metric {
+    name: string;
+    help: string;
+    type: 'counter' | 'gauge' | 'histogram';
+    render(): Array<string>;
+}
+/**
+ * A Prometheus counter, a value per label set that only goes up
+ */
+export declare class Counter implements Metric {
+    readonly name: string;
+    readonly help: string;
+    readonly type = "counter";
+    private values;
+    constructor(name: string, help: string);
+    /**
+     * @method
+     * @param {MetricLabels} labels - the label set to increment, default is no labels
+     * @param {number} by - the amount to add, default is 1
+     */
+    inc(labels?: MetricLabels, by?: number): void;
+    /**
+     * @method
+     * @param {MetricLabels} labels - the label set to read, default is no labels
+     * @returns {number} - the current value, 0 if the label set has not been incremented
+     */
+    get(labels?: MetricLabels): number;
+    render(): Array<string>;
+}
+/**
+ * A Prometheus gauge whose values are read when the metrics are rendered
+ */
+export declare class Gauge implements Metric {
+    readonly name: string;
+    readonly help: string;
+    readonly type = "gauge";
+    private collect;
+    /**
+     * @constructor
+     * @param {string} name - the metric name
+     * @param {string} help - the HELP text
+     * @param {function} collect - returns the current value of every label set
+     */
+    constructor(name: string, help: string, collect: () => Array<{
+        labels?: MetricLabels;
+        value: number;
+    }>);
+    render(): Array<string>;
+}
+/**
+ * A Prometheus histogram with fixed buckets and no labels
+ */
+export declare class Histogram implements Metric {
+    readonly name: string;
+    readonly help: string;
+    readonly type = "histogram";
+    readonly buckets: Array<number>;
+    private counts;
+    private sum;
+    private count;
+    constructor(name: string, help: string, buckets?: Array<number>);
+    /**
+     * @method
+     * @param {number} value - the observed value
+     */
+    observe(value: number): void;
+    /**
+     * @method
+     * @returns {function} - call it to observe the seconds elapsed since startTimer() was called
+     */
+    startTimer(): () => void;
+    render(): Array<string>;
+}
+/**
+ * The protocol and gateway health metrics of an SSGS server
+ * Counters and histograms are updated by the server as packets are processed, gauges are read when rendered
+ */
+export declare class SSGSMetrics {
+    datagramsReceived: Counter;
+    datagramsRejected: Counter;
+    packetsSent: Counter;
+    retransmissions: Counter;
+    messagesDelivered: Counter;
+    deliveryFailures: Counter;
+    duplicateMessages: Counter;
+    sealUpdates: Counter;
+    addressBlocks: Counter;
+    connfailsSuppressed: Counter;
+    processDuration: Histogram;
+    tickDuration: Histogram;
+    deliveryDuration: Histogram;
+    rtt: Histogram;
+    private metrics;
+    /**
+     * @constructor
+     * @param {SSGS} server - the server whose gateways are reported by the gauges
+     */
+    constructor(server: SSGS);
+    /**
+     * @method
+     * @param {PacketType} packetType - the type of the packet that was sent
+     * Counts a packet sent to a gateway, retransmissions are counted separately
+     */
+    packetSent(packetType: PacketType): void;
+    /**
+     * @method
+     * @returns {string} - every metric in the Prometheus text exposition format (version 0.0.4)
+     */
+    render(): string;
+}
+export {};
@@ -0,0 +1,228 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+import { SSGSCP } from './ssgscp/ssgscp.js';
+var DURATION_BUCKETS_SECONDS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+var RTT_BUCKETS_SECONDS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+/**
+ * A Prometheus counter, a value per label set that only goes up
+ */
+var Counter = /** @class */ (function () {
+    function Counter(name, help) {
+        this.type = 'counter';
+        this.name = name;
+        this.help = help;
+        this.values = new Map();
+    }
+    /**
+     * @method
+     * @param {MetricLabels} labels - the label set to increment, default is no labels
+     * @param {number} by - the amount to add, default is 1
+     */
+    Counter.prototype.inc = function (labels, by) {
+        var _a;
+        if (labels === void 0) { labels = {}; }
+        if (by === void 0) { by = 1; }
+        var key = renderLabels(labels);
+        var entry = (_a = this.values.get(key)) !== null && _a !== void 0 ? _a : { labels: labels, value: 0 };
+        entry.value += by;
+        this.values.set(key, entry);
+    };
+    /**
+     * @method
+     * @param {MetricLabels} labels - the label set to read, default is no labels
+     * @returns {number} - the current value, 0 if the label set has not been incremented
+     */
+    Counter.prototype.get = function (labels) {
+        var _a, _b;
+        if (labels === void 0) { labels = {}; }
+        return (_b = (_a = this.values.get(renderLabels(labels))) === null || _a === void 0 ? void 0 : _a.value) !== null && _b !== void 0 ? _b : 0;
+    };
+    Counter.prototype.render = function () {
+        var _this = this;
+        if (this.values.size === 0)
+            return [this.name + ' 0'];
+        return Array.from(this.values.entries()).map(function (_a) {
+            var key = _a[0], entry = _a[1];
+            return _this.name + key + ' ' + formatValue(entry.value);
+        });
+    };
+    return Counter;
+}());
+export { Counter };
+/**
+ * A Prometheus gauge whose values are read when the metrics are rendered
+ */
+var Gauge = /** @class */ (function () {
+    /**
+     * @constructor
+     * @param {string} name - the metric name
+     * @param {string} help - the HELP text
+     * @param {function} collect - returns the current value of every label set
+     */
+    function Gauge(name, help, collect) {
+        this.type = 'gauge';
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+    Gauge.prototype.render = function () {
+        var _this = this;
+        return this.collect().map(function (sample) { var _a; return _this.name + renderLabels((_a = sample.labels) !== null && _a !== void 0 ? _a : {}) + ' ' + formatValue(sample.value); });
+    };
+    return Gauge;
+}());
+export { Gauge };
+/**
+ * A Prometheus histogram with fixed buckets and no labels
+ */
+var Histogram = /** @class */ (function () {
+    function Histogram(name, help, buckets) {
+        if (buckets === void 0) { buckets = DURATION_BUCKETS_SECONDS; }
+        this.type = 'histogram';
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.counts = new Array(buckets.length + 1).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+    /**
+     * @method
+     * @param {number} value - the observed value
+     */
+    Histogram.prototype.observe = function (value) {
+        var i = 0;
+        while (i < this.buckets.length && value > this.buckets[i])
+            i++;
+        this.counts[i]++;
+        this.sum += value;
+        this.count++;
+    };
+    /**
+     * @method
+     * @returns {function} - call it to observe the seconds elapsed since startTimer() was called
+     */
+    Histogram.prototype.startTimer = function () {
+        var _this = this;
+        var start = process.hrtime.bigint();
+        return function () { return _this.observe(Number(process.hrtime.bigint() - start) / 1e9); };
+    };
+    Histogram.prototype.render = function () {
+        var lines = [];
+        var cumulative = 0;
+        for (var i = 0; i < this.buckets.length; i++) {
+            cumulative += this.counts[i];
+            lines.push(this.name + '_bucket{le="' + formatValue(this.buckets[i]) + '"} ' + cumulative);
+        }
+        lines.push(this.name + '_bucket{le="+Inf"} ' + this.count);
+        lines.push(this.name + '_sum ' + formatValue(this.sum));
+        lines.push(this.name + '_count ' + this.count);
+        return lines;
+    };
+    return Histogram;
+}());
+export { Histogram };
+/**
+ * The protocol and gateway health metrics of an SSGS server
+ * Counters and histograms are updated by the server as packets are processed, gauges are read when rendered
+ */
+var SSGSMetrics = /** @class */ (function () {
+    /**
+     * @constructor
+     * @param {SSGS} server - the server whose gateways are reported by the gauges
+     */
+    function SSGSMetrics(server) {
+        this.datagramsReceived = new Counter('ssgs_datagrams_received_total', 'Datagrams received on the SSGSCP socket.');
+        this.datagramsRejected = new Counter('ssgs_datagrams_rejected_total', 'Datagrams that were dropped or answered with CONNFAIL, by reason.');
+        this.packetsSent = new Counter('ssgs_packets_sent_total', 'SSGSCP packets sent, by packet type, excluding retransmissions.');
+        this.retransmissions = new Counter('ssgs_retransmissions_total', 'MSGCONF packets retransmitted because no RCPTOK was received in time.');
+        this.messagesDelivered = new Counter('ssgs_messages_delivered_total', 'Messages to gateways that were acknowledged with RCPTOK.');
+        this.deliveryFailures = new Counter('ssgs_delivery_failures_total', 'Messages to gateways that were not delivered, by reason.');
+        this.duplicateMessages = new Counter('ssgs_duplicate_messages_total', 'MSGSTATUS packets with a packet ID that had already been received.');
+        this.sealUpdates = new Counter('ssgs_sensor_seal_updates_total', 'Sensor Seal updates relayed by gateways, by result (new, duplicate or replay).');
+        this.addressBlocks = new Counter('ssgs_address_blocks_total', 'Addresses added to the blocklist, by reason.');
+        this.connfailsSuppressed = new Counter('ssgs_connfails_suppressed_total', 'CONNFAIL packets not sent to unauthorized gateway UIDs because silentReject is set.');
+        this.processDuration = new Histogram('ssgs_process_duration_seconds', 'Time taken to process a received datagram, including key lookups.');
+        this.tickDuration = new Histogram('ssgs_tick_duration_seconds', 'Time taken by each retransmission and liveness tick.');
+        this.deliveryDuration = new Histogram('ssgs_delivery_duration_seconds', 'Time from sending a message to a gateway until it was acknowledged.', RTT_BUCKETS_SECONDS);
+        this.rtt = new Histogram('ssgs_rtt_seconds', 'Round trip time samples of messages that were not retransmitted.', RTT_BUCKETS_SECONDS);
+        this.metrics = [
+            this.datagramsReceived,
+            this.datagramsRejected,
+            this.packetsSent,
+            this.retransmissions,
+            this.messagesDelivered,
+            this.deliveryFailures,
+            this.duplicateMessages,
+            this.sealUpdates,
+            this.addressBlocks,
+            this.connfailsSuppressed,
+            new Gauge('ssgs_connected_gateways', 'Gateways that are connected and authenticated.', function () { return [{ value: server.connectedClients.length }]; }),
+            new Gauge('ssgs_connected_gateways_by_protocol', 'Connected gateways by SSGSCP version.', function () { return [1, 2].map(function (version) { return ({
+                labels: { version: String(version) },
+                value: server.connectedClients.filter(function (client) { return client.protocolVersion === version; }).length
+            }); }); }),
+            new Gauge('ssgs_authorizing_gateways', 'Gateways whose authorization is being checked.', function () { return [{ value: server.checkingAuthorizationFor.length }]; }),
+            new Gauge('ssgs_blocked_addresses', 'Addresses on the blocklist.', function () { return [{ value: server.rateLimiter.blocklist().length }]; }),
+            new Gauge('ssgs_gateway_srtt_seconds', 'Smoothed round trip time per connected gateway, absent until the first sample.', function () { return server.connectedClients
+                .filter(function (client) { return client.srtt !== null; })
+                .map(function (client) { return ({ labels: { gateway: client.gatewayUID.toString('hex') }, value: client.srtt / 1000 }); }); }),
+            new Gauge('ssgs_gateway_pending_messages', 'Messages in flight or queued per connected gateway.', function () { return server.connectedClients
+                .map(function (client) { return ({ labels: { gateway: client.gatewayUID.toString('hex') }, value: client.pendingCount }); }); }),
+            new Gauge('ssgs_sensor_seals', 'Sensor Seals in the registry, by liveness status.', function () {
+                var counts = { online: 0, stale: 0, offline: 0 };
+                for (var _i = 0, _a = server.listSeals(); _i < _a.length; _i++) {
+                    var seal = _a[_i];
+                    counts[seal.status]++;
+                }
+                return Object.keys(counts).map(function (status) { return ({ labels: { status: status }, value: counts[status] }); });
+            }),
+            this.processDuration,
+            this.tickDuration,
+            this.deliveryDuration,
+            this.rtt
+        ];
+    }
+    /**
+     * @method
+     * @param {PacketType} packetType - the type of the packet that was sent
+     * Counts a packet sent to a gateway, retransmissions are counted separately
+     */
+    SSGSMetrics.prototype.packetSent = function (packetType) {
+        this.packetsSent.inc({ type: SSGSCP.packetTypeName(packetType) });
+    };
+    /**
+     * @method
+     * @returns {string} - every metric in the Prometheus text exposition format (version 0.0.4)
+     */
+    SSGSMetrics.prototype.render = function () {
+        var lines = [];
+        for (var _i = 0, _a = this.metrics; _i < _a.length; _i++) {
+            var metric = _a[_i];
+            lines.push('# HELP ' + metric.name + ' ' + metric.help);
+            lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+            lines.push.apply(lines, metric.render());
+        }
+        return lines.join('\n') + '\n';
+    };
+    return SSGSMetrics;
+}());
+export { SSGSMetrics };
+function renderLabels(labels) {
+    var names = Object.keys(labels).sort();
+    if (names.length === 0)
+        return '';
+    return '{' + names.map(function (name) { return name + '="' + String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"'; }).join(',') + '}';
+}
+function formatValue(value) {
+    if (value === Infinity)
+        return '+Inf';
+    if (value === -Infinity)
+        return '-Inf';
+    return String(value);
+}
@@ -0,0 +1,100 @@
+import * as tls from 'node:tls';
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+export type MQTTQoS = 0 | 1 | 2;
+export type MQTTClientOptions = {
+    clientId?: string;
+    username?: string;
+    password?: string;
+    protocolVersion?: 4 | 5;
+    keepalive?: number;
+    cleanSession?: boolean;
+    reconnectPeriodMs?: number;
+    offlineBufferMaxLen?: number;
+    will?: {
+        topic: string;
+        payload: Buffer | string;
+        qos?: MQTTQoS;
+        retain?: boolean;
+    };
+    tls?: tls.ConnectionOptions;
+};
+export type MQTTClientEvents = {
+    connect: [];
+    close: [];
+    message: [topic: string, payload: Buffer, retained: boolean];
+    error: [err: Error];
+};
+/**
+ * A small MQTT 3.1.1 and 5 client covering what the SSGS MQTT bridge needs
+ * Publishes with QoS 0, 1 and 2, subscribes, keeps the connection alive and reconnects when it is lost
+ * Publishes made while disconnected are buffered, unacknowledged QoS 1 and 2 publishes are resent after reconnecting
+ */
+export declare class MQTTClient extends EventEmitter<MQTTClientEvents> {
+    readonly url: URL;
+    connected: boolean;
+    private options;
+    private clientId;
+    private socket;
+    private received;
+    private nextPacketID;
+    private inflight;
+    private pendingSubscribes;
+    private offline;
+    private subscriptions;
+    private ended;
+    private reconnectTimer;
+    private connectTimer;
+    private pingTimer;
+    private lastPacketSent;
+    /**
+     * @constructor
+     * @param {string} url - the broker URL, mqtt://host[:port] or mqtts://host[:port]
+     * @param {MQTTClientOptions} options - the connection options
+     */
+    constructor(url: string, options?: MQTTClientOptions);
+    /**
+     * @method
+     * Connects to the broker, and keeps reconnecting until end() is called
+     */
+    connect(): void;
+    /**
+     * @method
+     * @param {string} topic - the topic to publish to
+     * @param {Buffer | string} payload - the message
+     * @param {object} options - the QoS (default 0) and whether the broker should retain the message (default false)
+     * @returns {Promise<void>} - resolves once the message was written (QoS 0) or acknowledged (QoS 1 and 2)
+     * Publishes a message, or buffers it until the client is connected
+     */
+    publish(topic: string, payload: Buffer | string, options?: {
+        qos?: MQTTQoS;
+        retain?: boolean;
+    }): Promise<void>;
+    /**
+     * @method
+     * @param {string} topicFilter - the topic filter, may contain + and # wildcards
+     * @param {MQTTQoS} qos - the maximum QoS to receive messages with, default is 0
+     * Subscribes to a topic filter, now if connected and again on every reconnection
+     */
+    subscribe(topicFilter: string, qos?: MQTTQoS): void;
+    /**
+     * @method
+     * @async
+     * @param {number} timeoutMs - how long to wait for buffered and unacknowledged publishes, default is 2000
+     * Waits for pending publishes, then disconnects and stops reconnecting, publishes still pending are rejected
+     */
+    end(timeoutMs?: number): Promise<void>;
+    private get version5();
+    private onclose;
+    private onconnack;
+    private bufferOffline;
+    private sendPublish;
+    private allocatePacketID;
+    private connectPacket;
+    private subscribePacket;
+    private ackBody;
+    private packet;
+    private writePacket;
+    private readPackets;
+    private handlePacket;
+}
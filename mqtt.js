@@ -0,0 +1,540 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+import * as net from 'node:net';
+import * as tls from 'node:tls';
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+var MQTT_PORT = 1883;
+var MQTTS_PORT = 8883;
+var KEEPALIVE_S_DEFAULT = 60;
+var RECONNECT_PERIOD_MS_DEFAULT = 5000;
+var CONNECT_TIMEOUT_MS = 10000; // how long to wait for CONNACK before giving up on a connection attempt
+var OFFLINE_BUFFER_MAX_LEN_DEFAULT = 1000;
+var MAX_PACKET_ID = 0xffff;
+;
+/**
+ * A small MQTT 3.1.1 and 5 client covering what the SSGS MQTT bridge needs
+ * Publishes with QoS 0, 1 and 2, subscribes, keeps the connection alive and reconnects when it is lost
+ * Publishes made while disconnected are buffered, unacknowledged QoS 1 and 2 publishes are resent after reconnecting
+ */
+var MQTTClient = /** @class */ (function (_super) {
+    __extends(MQTTClient, _super);
+    /**
+     * @constructor
+     * @param {string} url - the broker URL, mqtt://host[:port] or mqtts://host[:port]
+     * @param {MQTTClientOptions} options - the connection options
+     */
+    function MQTTClient(url, options) {
+        var _a;
+        var _this = _super.call(this) || this;
+        _this.url = new URL(url);
+        if (_this.url.protocol !== 'mqtt:' && _this.url.protocol !== 'mqtts:')
+            throw new TypeError('SSGS MQTT: broker URL must start with mqtt:// or mqtts://');
+        _this.options = options !== null && options !== void 0 ? options : {};
+        _this.clientId = (_a = _this.options.clientId) !== null && _a !== void 0 ? _a : 'ssgs-' + Math.random().toString(16).slice(2, 10);
+        _this.connected = false;
+        _this.socket = null;
+        _this.received = Buffer.alloc(0);
+        _this.nextPacketID = 1;
+        _this.inflight = new Map();
+        _this.pendingSubscribes = new Map();
+        _this.offline = [];
+        _this.subscriptions = new Map();
+        _this.ended = false;
+        _this.reconnectTimer = null;
+        _this.connectTimer = null;
+        _this.pingTimer = null;
+        _this.lastPacketSent = 0;
+        return _this;
+    }
+    /**
+     * @method
+     * Connects to the broker, and keeps reconnecting until end() is called
+     */
+    MQTTClient.prototype.connect = function () {
+        var _this = this;
+        if (this.ended || this.socket)
+            return;
+        var port = Number(this.url.port) || (this.url.protocol === 'mqtts:' ? MQTTS_PORT : MQTT_PORT);
+        var host = this.url.hostname.replace(/^\[|\]$/g, ''); // IPv6 literals are bracketed in URLs
+        var socket = this.url.protocol === 'mqtts:'
+            ? tls.connect(__assign({ host: host, port: port, servername: net.isIP(host) ? undefined : host }, this.options.tls))
+            : net.connect({ host: host, port: port });
+        this.socket = socket;
+        this.received = Buffer.alloc(0);
+        this.connectTimer = setTimeout(function () { return socket.destroy(new Error('SSGS MQTT: timed out waiting for CONNACK')); }, CONNECT_TIMEOUT_MS);
+        socket.once(this.url.protocol === 'mqtts:' ? 'secureConnect' : 'connect', function () { return socket.write(_this.connectPacket()); });
+        socket.on('data', function (data) {
+            _this.received = Buffer.concat([_this.received, data]);
+            try {
+                _this.readPackets();
+            }
+            catch (err) {
+                socket.destroy(err);
+            }
+        });
+        socket.on('error', function (err) { return _this.emit('error', err); });
+        socket.on('close', function () { return _this.onclose(socket); });
+    };
+    /**
+     * @method
+     * @param {string} topic - the topic to publish to
+     * @param {Buffer | string} payload - the message
+     * @param {object} options - the QoS (default 0) and whether the broker should retain the message (default false)
+     * @returns {Promise<void>} - resolves once the message was written (QoS 0) or acknowledged (QoS 1 and 2)
+     * Publishes a message, or buffers it until the client is connected
+     */
+    MQTTClient.prototype.publish = function (topic, payload, options) {
+        var _this = this;
+        if (this.ended)
+            return Promise.reject(new Error('SSGS MQTT: the client has been ended'));
+        return new Promise(function (resolve, reject) {
+            var _a, _b;
+            var publish = {
+                packetID: 0,
+                topic: topic,
+                payload: Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8'),
+                qos: (_a = options === null || options === void 0 ? void 0 : options.qos) !== null && _a !== void 0 ? _a : 0,
+                retain: (_b = options === null || options === void 0 ? void 0 : options.retain) !== null && _b !== void 0 ? _b : false,
+                released: false,
+                resolve: resolve,
+                reject: reject
+            };
+            if (!_this.connected) {
+                _this.bufferOffline(publish);
+                return;
+            }
+            _this.sendPublish(publish, false);
+        });
+    };
+    /**
+     * @method
+     * @param {string} topicFilter - the topic filter, may contain + and # wildcards
+     * @param {MQTTQoS} qos - the maximum QoS to receive messages with, default is 0
+     * Subscribes to a topic filter, now if connected and again on every reconnection
+     */
+    MQTTClient.prototype.subscribe = function (topicFilter, qos) {
+        if (qos === void 0) { qos = 0; }
+        this.subscriptions.set(topicFilter, qos);
+        if (this.connected)
+            this.writePacket(this.subscribePacket([[topicFilter, qos]]));
+    };
+    /**
+     * @method
+     * @async
+     * @param {number} timeoutMs - how long to wait for buffered and unacknowledged publishes, default is 2000
+     * Waits for pending publishes, then disconnects and stops reconnecting, publishes still pending are rejected
+     */
+    MQTTClient.prototype.end = function () {
+        return __awaiter(this, arguments, void 0, function (timeoutMs) {
+            var deadline, socket, err, _i, _a, publish;
+            if (timeoutMs === void 0) { timeoutMs = 2000; }
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        deadline = Date.now() + timeoutMs;
+                        _b.label = 1;
+                    case 1:
+                        if (!(this.connected && (this.inflight.size > 0 || this.offline.length > 0) && Date.now() < deadline)) return [3 /*break*/, 3];
+                        return [4 /*yield*/, new Promise(function (resolve) { return setTimeout(resolve, 50); })];
+                    case 2:
+                        _b.sent();
+                        return [3 /*break*/, 1];
+                    case 3:
+                        this.ended = true;
+                        clearTimeout(this.reconnectTimer);
+                        this.reconnectTimer = null;
+                        if (this.connected)
+                            this.writePacket(this.packet(14 /* MQTTPacketType.DISCONNECT */, 0, this.version5 ? Buffer.from([0, 0]) : Buffer.alloc(0)));
+                        socket = this.socket;
+                        if (!socket) return [3 /*break*/, 5];
+                        return [4 /*yield*/, new Promise(function (resolve) {
+                                socket.once('close', function () { return resolve(); });
+                                socket.end();
+                                setTimeout(function () { return socket.destroy(); }, 1000).unref();
+                            })];
+                    case 4:
+                        _b.sent();
+                        _b.label = 5;
+                    case 5:
+                        err = new Error('SSGS MQTT: the client was ended before the message was delivered');
+                        for (_i = 0, _a = Array.from(this.inflight.values()).concat(this.offline); _i < _a.length; _i++) {
+                            publish = _a[_i];
+                            publish.reject(err);
+                        }
+                        this.inflight.clear();
+                        this.offline = [];
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    Object.defineProperty(MQTTClient.prototype, "version5", {
+        get: function () {
+            return this.options.protocolVersion === 5;
+        },
+        enumerable: false,
+        configurable: true
+    });
+    MQTTClient.prototype.onclose = function (socket) {
+        var _this = this;
+        var _a;
+        if (this.socket !== socket)
+            return;
+        var wasConnected = this.connected;
+        this.socket = null;
+        this.connected = false;
+        this.pendingSubscribes.clear(); // every subscription is sent again once we reconnect
+        clearTimeout(this.connectTimer);
+        this.connectTimer = null;
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        if (wasConnected)
+            this.emit('close');
+        // unacknowledged publishes are resent from the offline buffer once we reconnect
+        if (!this.ended) {
+            this.reconnectTimer = setTimeout(function () {
+                _this.reconnectTimer = null;
+                _this.connect();
+            }, (_a = this.options.reconnectPeriodMs) !== null && _a !== void 0 ? _a : RECONNECT_PERIOD_MS_DEFAULT);
+        }
+    };
+    MQTTClient.prototype.onconnack = function () {
+        var _this = this;
+        var _a;
+        clearTimeout(this.connectTimer);
+        this.connectTimer = null;
+        this.connected = true;
+        this.lastPacketSent = Date.now();
+        var keepaliveMs = ((_a = this.options.keepalive) !== null && _a !== void 0 ? _a : KEEPALIVE_S_DEFAULT) * 1000;
+        if (keepaliveMs > 0) {
+            this.pingTimer = setInterval(function () {
+                if (Date.now() - _this.lastPacketSent >= keepaliveMs / 2)
+                    _this.writePacket(_this.packet(12 /* MQTTPacketType.PINGREQ */, 0, Buffer.alloc(0)));
+            }, keepaliveMs / 4);
+        }
+        if (this.subscriptions.size > 0)
+            this.writePacket(this.subscribePacket(Array.from(this.subscriptions.entries())));
+        // resend what was in flight when the connection was lost, then what was published while offline
+        var inflight = Array.from(this.inflight.values());
+        for (var _i = 0, inflight_1 = inflight; _i < inflight_1.length; _i++) {
+            var publish = inflight_1[_i];
+            if (publish.released)
+                this.writePacket(this.packet(6 /* MQTTPacketType.PUBREL */, 2, this.ackBody(publish.packetID)));
+            else
+                this.sendPublish(publish, true);
+        }
+        var offline = this.offline;
+        this.offline = [];
+        for (var _b = 0, offline_1 = offline; _b < offline_1.length; _b++) {
+            var publish = offline_1[_b];
+            this.sendPublish(publish, false);
+        }
+        this.emit('connect');
+    };
+    MQTTClient.prototype.bufferOffline = function (publish) {
+        var _a;
+        this.offline.push(publish);
+        if (this.offline.length > ((_a = this.options.offlineBufferMaxLen) !== null && _a !== void 0 ? _a : OFFLINE_BUFFER_MAX_LEN_DEFAULT))
+            this.offline.shift().reject(new Error('SSGS MQTT: offline buffer full, the oldest message was dropped'));
+    };
+    MQTTClient.prototype.sendPublish = function (publish, dup) {
+        if (publish.qos > 0 && publish.packetID === 0) {
+            publish.packetID = this.allocatePacketID();
+            this.inflight.set(publish.packetID, publish);
+        }
+        var topic = encodeString(publish.topic);
+        var parts = [topic];
+        if (publish.qos > 0)
+            parts.push(u16(publish.packetID));
+        if (this.version5)
+            parts.push(Buffer.from([0])); // no properties
+        parts.push(publish.payload);
+        var flags = (dup ? 0x08 : 0) | (publish.qos << 1) | (publish.retain ? 0x01 : 0);
+        this.writePacket(this.packet(3 /* MQTTPacketType.PUBLISH */, flags, Buffer.concat(parts)));
+        if (publish.qos === 0)
+            publish.resolve();
+    };
+    MQTTClient.prototype.allocatePacketID = function () {
+        for (var i = 0; i < MAX_PACKET_ID; i++) {
+            var packetID = this.nextPacketID;
+            this.nextPacketID = this.nextPacketID % MAX_PACKET_ID + 1;
+            if (!this.inflight.has(packetID) && !this.pendingSubscribes.has(packetID))
+                return packetID;
+        }
+        throw new Error('SSGS MQTT: no free packet identifiers');
+    };
+    MQTTClient.prototype.connectPacket = function () {
+        var _a, _b, _c;
+        var opts = this.options;
+        var flags = ((_a = opts.cleanSession) !== null && _a !== void 0 ? _a : true) ? 0x02 : 0;
+        if (opts.will)
+            flags |= 0x04 | (((_b = opts.will.qos) !== null && _b !== void 0 ? _b : 0) << 3) | (opts.will.retain ? 0x20 : 0);
+        if (opts.password !== undefined)
+            flags |= 0x40;
+        if (opts.username !== undefined)
+            flags |= 0x80;
+        var parts = [
+            encodeString('MQTT'),
+            Buffer.from([this.version5 ? 5 : 4, flags]),
+            u16((_c = opts.keepalive) !== null && _c !== void 0 ? _c : KEEPALIVE_S_DEFAULT)
+        ];
+        if (this.version5)
+            parts.push(Buffer.from([0])); // no properties
+        parts.push(encodeString(this.clientId));
+        if (opts.will) {
+            if (this.version5)
+                parts.push(Buffer.from([0])); // no will properties
+            parts.push(encodeString(opts.will.topic));
+            var payload = Buffer.isBuffer(opts.will.payload) ? opts.will.payload : Buffer.from(opts.will.payload, 'utf8');
+            parts.push(u16(payload.length), payload);
+        }
+        if (opts.username !== undefined)
+            parts.push(encodeString(opts.username));
+        if (opts.password !== undefined)
+            parts.push(encodeString(opts.password));
+        return this.packet(1 /* MQTTPacketType.CONNECT */, 0, Buffer.concat(parts));
+    };
+    MQTTClient.prototype.subscribePacket = function (subscriptions) {
+        // the packet ID is reserved until the SUBACK arrives so that no publish reuses it in the meantime
+        var packetID = this.allocatePacketID();
+        this.pendingSubscribes.set(packetID, subscriptions.map(function (_a) {
+            var topicFilter = _a[0];
+            return topicFilter;
+        }));
+        var parts = [u16(packetID)];
+        if (this.version5)
+            parts.push(Buffer.from([0])); // no properties
+        for (var _i = 0, subscriptions_1 = subscriptions; _i < subscriptions_1.length; _i++) {
+            var _a = subscriptions_1[_i], topicFilter = _a[0], qos = _a[1];
+            parts.push(encodeString(topicFilter), Buffer.from([qos]));
+        }
+        return this.packet(8 /* MQTTPacketType.SUBSCRIBE */, 2, Buffer.concat(parts));
+    };
+    MQTTClient.prototype.ackBody = function (packetID) {
+        return u16(packetID); // a success reason code and no properties may be omitted in MQTT 5
+    };
+    MQTTClient.prototype.packet = function (type, flags, body) {
+        return Buffer.concat([Buffer.from([(type << 4) | flags]), encodeVarint(body.length), body]);
+    };
+    MQTTClient.prototype.writePacket = function (packet) {
+        if (!this.socket || this.socket.destroyed)
+            return;
+        this.lastPacketSent = Date.now();
+        this.socket.write(packet);
+    };
+    // parses every complete packet in the receive buffer
+    MQTTClient.prototype.readPackets = function () {
+        for (;;) {
+            if (this.received.length < 2)
+                return;
+            // the remaining length is a variable byte integer of at most 4 bytes
+            var length_1 = 0;
+            var multiplier = 1;
+            var offset = 1;
+            for (;;) {
+                if (offset >= this.received.length)
+                    return;
+                if (offset > 4)
+                    throw new Error('SSGS MQTT: malformed remaining length');
+                var byte = this.received[offset++];
+                length_1 += (byte & 0x7f) * multiplier;
+                multiplier *= 128;
+                if (!(byte & 0x80))
+                    break;
+            }
+            if (this.received.length < offset + length_1)
+                return;
+            var header = this.received[0];
+            var body = this.received.subarray(offset, offset + length_1);
+            this.received = this.received.subarray(offset + length_1);
+            this.handlePacket(header >> 4, header & 0x0f, body);
+        }
+    };
+    MQTTClient.prototype.handlePacket = function (type, flags, body) {
+        var _a, _b;
+        switch (type) {
+            case 2 /* MQTTPacketType.CONNACK */: {
+                var reasonCode = body[1];
+                if (reasonCode !== 0) {
+                    this.emit('error', new Error('SSGS MQTT: broker refused the connection, reason code ' + reasonCode));
+                    (_a = this.socket) === null || _a === void 0 ? void 0 : _a.destroy();
+                    return;
+                }
+                this.onconnack();
+                return;
+            }
+            case 3 /* MQTTPacketType.PUBLISH */: {
+                var qos = ((flags >> 1) & 0x03);
+                var retained = (flags & 0x01) !== 0;
+                var topicLength = body.readUInt16BE(0);
+                var topic = body.subarray(2, 2 + topicLength).toString('utf8');
+                var offset = 2 + topicLength;
+                var packetID = 0;
+                if (qos > 0) {
+                    packetID = body.readUInt16BE(offset);
+                    offset += 2;
+                }
+                if (this.version5) {
+                    var properties = decodeVarint(body, offset);
+                    offset = properties.next + properties.value;
+                }
+                // QoS 2 messages are delivered on PUBLISH, a resent PUBLISH may deliver twice
+                if (qos === 1)
+                    this.writePacket(this.packet(4 /* MQTTPacketType.PUBACK */, 0, this.ackBody(packetID)));
+                else if (qos === 2)
+                    this.writePacket(this.packet(5 /* MQTTPacketType.PUBREC */, 0, this.ackBody(packetID)));
+                this.emit('message', topic, Buffer.from(body.subarray(offset)), retained);
+                return;
+            }
+            case 4 /* MQTTPacketType.PUBACK */:
+            case 7 /* MQTTPacketType.PUBCOMP */: {
+                var packetID = body.readUInt16BE(0);
+                var publish = this.inflight.get(packetID);
+                if (!publish)
+                    return;
+                this.inflight.delete(packetID);
+                var reasonCode = body.length > 2 ? body[2] : 0;
+                if (reasonCode >= 0x80)
+                    publish.reject(new Error('SSGS MQTT: broker rejected the publish to ' + publish.topic + ', reason code ' + reasonCode));
+                else
+                    publish.resolve();
+                return;
+            }
+            case 5 /* MQTTPacketType.PUBREC */: {
+                var packetID = body.readUInt16BE(0);
+                var publish = this.inflight.get(packetID);
+                if (publish)
+                    publish.released = true;
+                this.writePacket(this.packet(6 /* MQTTPacketType.PUBREL */, 2, this.ackBody(packetID)));
+                return;
+            }
+            case 6 /* MQTTPacketType.PUBREL */: {
+                this.writePacket(this.packet(7 /* MQTTPacketType.PUBCOMP */, 0, this.ackBody(body.readUInt16BE(0))));
+                return;
+            }
+            case 9 /* MQTTPacketType.SUBACK */: {
+                var packetID = body.readUInt16BE(0);
+                var topicFilters = this.pendingSubscribes.get(packetID);
+                if (!topicFilters)
+                    return;
+                this.pendingSubscribes.delete(packetID);
+                var offset_1 = 2;
+                if (this.version5) {
+                    var properties = decodeVarint(body, offset_1);
+                    offset_1 = properties.next + properties.value;
+                }
+                var refused = topicFilters.filter(function (topicFilter, i) { return body[offset_1 + i] >= 0x80; });
+                if (refused.length > 0)
+                    this.emit('error', new Error('SSGS MQTT: broker refused the subscription to ' + refused.join(', ')));
+                return;
+            }
+            case 14 /* MQTTPacketType.DISCONNECT */: {
+                this.emit('error', new Error('SSGS MQTT: broker disconnected' + (body.length > 0 ? ', reason code ' + body[0] : '')));
+                (_b = this.socket) === null || _b === void 0 ? void 0 : _b.destroy();
+                return;
+            }
+        }
+    };
+    return MQTTClient;
+}(EventEmitter));
+export { MQTTClient };
+function u16(value) {
+    var buf = Buffer.alloc(2);
+    buf.writeUInt16BE(value, 0);
+    return buf;
+}
+function encodeString(value) {
+    var data = Buffer.from(value, 'utf8');
+    return Buffer.concat([u16(data.length), data]);
+}
+function encodeVarint(value) {
+    var bytes = [];
+    do {
+        var byte = value % 128;
+        value = Math.floor(value / 128);
+        if (value > 0)
+            byte |= 0x80;
+        bytes.push(byte);
+    } while (value > 0);
+    return Buffer.from(bytes);
+}
+function decodeVarint(data, offset) {
+    var value = 0;
+    var multiplier = 1;
+    for (var i = 0; i < 4; i++) {
+        var byte = data[offset + i];
+        value += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+        if (!(byte & 0x80))
+            return { value: value, next: offset + i + 1 };
+    }
+    throw new Error('SSGS MQTT: malformed variable byte integer');
+}
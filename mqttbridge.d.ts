@@ -0,0 +1,50 @@
+import { MQTTClient, MQTTClientOptions, MQTTQoS } from './mqtt.js';
+import type SSGS from './index.js';
+export type MQTTBridgeOptions = MQTTClientOptions & {
+    url: string;
+    qos?: MQTTQoS;
+    updateTopic?: string;
+    statusTopic?: string | null;
+    bridgeStatusTopic?: string | null;
+    downlinkTopic?: string;
+};
+/**
+ * Publishes Sensor Seal updates and gateway status to an MQTT broker and optionally forwards downlinks from it
+ * Updates are published as JSON for every gateway that relays them, gateway status is retained so that
+ * subscribers joining later see which gateways are connected
+ * A gateway status is only current while the retained bridge status is 'online', the broker publishes the bridge's
+ * 'offline' will if the connection is lost, and 'online' gateway statuses left by an earlier run are set to 'offline'
+ */
+export declare class MQTTBridge {
+    readonly client: MQTTClient;
+    private server;
+    private options;
+    private downlinkPattern;
+    private statusPattern;
+    private errorReported;
+    /**
+     * @constructor
+     * @param {SSGS} server - the server whose updates and gateways are bridged
+     * @param {MQTTBridgeOptions} options - the broker and topic options
+     */
+    constructor(server: SSGS, options: MQTTBridgeOptions);
+    /**
+     * @method
+     * Connects to the broker, publishes made before the connection is up are buffered
+     */
+    start(): void;
+    /**
+     * @method
+     * @async
+     * @param {number} timeoutMs - how long to wait for pending publishes
+     * Publishes the bridge's 'offline' status, waits for pending publishes and disconnects from the broker
+     */
+    stop(timeoutMs?: number): Promise<void>;
+    private get qos();
+    private get bridgeStatusTopic();
+    private publishUpdate;
+    private publishStatus;
+    private publishBridgeStatus;
+    private onstatus;
+    private ondownlink;
+}
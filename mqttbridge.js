@@ -0,0 +1,218 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+import { Buffer } from "node:buffer";
+import { MQTTClient } from './mqtt.js';
+import { sensorSealUpdateToJSON } from './ssgscp/ssprotocols.js';
+import { SealRegistry } from './seals.js';
+var UPDATE_TOPIC_DEFAULT = 'ssgs/{gateway}/{seal}';
+var STATUS_TOPIC_DEFAULT = 'ssgs/{gateway}/status';
+var BRIDGE_STATUS_TOPIC_DEFAULT = 'ssgs/bridge/status';
+/**
+ * Publishes Sensor Seal updates and gateway status to an MQTT broker and optionally forwards downlinks from it
+ * Updates are published as JSON for every gateway that relays them, gateway status is retained so that
+ * subscribers joining later see which gateways are connected
+ * A gateway status is only current while the retained bridge status is 'online', the broker publishes the bridge's
+ * 'offline' will if the connection is lost, and 'online' gateway statuses left by an earlier run are set to 'offline'
+ */
+var MQTTBridge = /** @class */ (function () {
+    /**
+     * @constructor
+     * @param {SSGS} server - the server whose updates and gateways are bridged
+     * @param {MQTTBridgeOptions} options - the broker and topic options
+     */
+    function MQTTBridge(server, options) {
+        var _this = this;
+        var _a, _b;
+        if (options.downlinkTopic !== undefined && options.downlinkTopic.indexOf('{gateway}') === -1)
+            throw new TypeError('SSGS MQTT: downlinkTopic must contain {gateway}');
+        if (options.statusTopic && options.statusTopic.indexOf('{gateway}') === -1)
+            throw new TypeError('SSGS MQTT: statusTopic must contain {gateway}');
+        this.server = server;
+        this.options = options;
+        this.client = new MQTTClient(options.url, this.bridgeStatusTopic === null ? options : __assign(__assign({}, options), { will: { topic: this.bridgeStatusTopic, payload: 'offline', qos: this.qos, retain: true } }));
+        this.errorReported = false;
+        this.downlinkPattern = options.downlinkTopic ? gatewayTopicPattern(options.downlinkTopic) : null;
+        this.statusPattern = options.statusTopic === null ? null : gatewayTopicPattern((_a = options.statusTopic) !== null && _a !== void 0 ? _a : STATUS_TOPIC_DEFAULT);
+        server.on('update', function (update) { return _this.publishUpdate(update); });
+        server.on('connection', function (client) { return _this.publishStatus(client, 'online'); });
+        server.on('reconnect', function (client) { return _this.publishStatus(client, 'online'); });
+        server.on('disconnect', function (client) { return _this.publishStatus(client, 'offline'); });
+        this.client.on('message', function (topic, payload, retained) {
+            _this.onstatus(topic, payload, retained);
+            _this.ondownlink(topic, payload);
+        });
+        // report the first error of an outage rather than every failed reconnection attempt
+        this.client.on('connect', function () {
+            _this.errorReported = false;
+            _this.publishBridgeStatus('online');
+        });
+        this.client.on('error', function (err) {
+            if (_this.errorReported)
+                return;
+            _this.errorReported = true;
+            _this.server.emitError(err);
+        });
+        if (options.downlinkTopic)
+            this.client.subscribe(options.downlinkTopic.replace('{gateway}', '+'), this.qos);
+        // the retained gateway statuses are received once on every connection, see onstatus()
+        if (this.statusPattern)
+            this.client.subscribe(((_b = options.statusTopic) !== null && _b !== void 0 ? _b : STATUS_TOPIC_DEFAULT).replace('{gateway}', '+'), this.qos);
+    }
+    /**
+     * @method
+     * Connects to the broker, publishes made before the connection is up are buffered
+     */
+    MQTTBridge.prototype.start = function () {
+        this.client.connect();
+    };
+    /**
+     * @method
+     * @async
+     * @param {number} timeoutMs - how long to wait for pending publishes
+     * Publishes the bridge's 'offline' status, waits for pending publishes and disconnects from the broker
+     */
+    MQTTBridge.prototype.stop = function (timeoutMs) {
+        return __awaiter(this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        this.publishBridgeStatus('offline');
+                        return [4 /*yield*/, this.client.end(timeoutMs)];
+                    case 1:
+                        _a.sent();
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    Object.defineProperty(MQTTBridge.prototype, "qos", {
+        get: function () {
+            var _a;
+            return (_a = this.options.qos) !== null && _a !== void 0 ? _a : 1;
+        },
+        enumerable: false,
+        configurable: true
+    });
+    Object.defineProperty(MQTTBridge.prototype, "bridgeStatusTopic", {
+        get: function () {
+            return this.options.bridgeStatusTopic === undefined ? BRIDGE_STATUS_TOPIC_DEFAULT : this.options.bridgeStatusTopic;
+        },
+        enumerable: false,
+        configurable: true
+    });
+    MQTTBridge.prototype.publishUpdate = function (update) {
+        var _this = this;
+        var _a;
+        var topic = ((_a = this.options.updateTopic) !== null && _a !== void 0 ? _a : UPDATE_TOPIC_DEFAULT)
+            .replace('{gateway}', SealRegistry.key(update.viaGatewayUID))
+            .replace('{seal}', SealRegistry.key(update.sensorSealUID));
+        var payload = JSON.stringify(__assign(__assign({}, sensorSealUpdateToJSON(update)), { timestamp: Date.now() }));
+        this.client.publish(topic, payload, { qos: this.qos }).catch(function (err) { return _this.server.emitError(err); });
+    };
+    MQTTBridge.prototype.publishStatus = function (client, status) {
+        var _this = this;
+        var _a;
+        if (this.options.statusTopic === null)
+            return;
+        var topic = ((_a = this.options.statusTopic) !== null && _a !== void 0 ? _a : STATUS_TOPIC_DEFAULT).replace('{gateway}', SealRegistry.key(client.gatewayUID));
+        this.client.publish(topic, status, { qos: this.qos, retain: true }).catch(function (err) { return _this.server.emitError(err); });
+    };
+    // the will is not published on a clean disconnect, so stop() publishes 'offline' itself
+    MQTTBridge.prototype.publishBridgeStatus = function (status) {
+        var _this = this;
+        if (this.bridgeStatusTopic === null)
+            return;
+        this.client.publish(this.bridgeStatusTopic, status, { qos: this.qos, retain: true }).catch(function (err) {
+            if (status === 'online')
+                _this.server.emitError(err);
+        });
+    };
+    // a retained 'online' status of a gateway that is not connected was left by an earlier run that did not stop cleanly
+    MQTTBridge.prototype.onstatus = function (topic, payload, retained) {
+        var _this = this;
+        var _a;
+        var match = (_a = this.statusPattern) === null || _a === void 0 ? void 0 : _a.exec(topic);
+        if (!match || !retained || payload.toString('utf8') !== 'online')
+            return;
+        if (this.server.getClientByGatewayUID(Buffer.from(match[1], 'hex')))
+            return;
+        this.client.publish(topic, 'offline', { qos: this.qos, retain: true }).catch(function (err) { return _this.server.emitError(err); });
+    };
+    MQTTBridge.prototype.ondownlink = function (topic, payload) {
+        var _this = this;
+        var _a;
+        var match = (_a = this.downlinkPattern) === null || _a === void 0 ? void 0 : _a.exec(topic);
+        if (!match)
+            return;
+        var client = this.server.getClientByGatewayUID(Buffer.from(match[1], 'hex'));
+        if (!client) {
+            this.server.emitError(new Error('SSGS MQTT: downlink for gateway ' + match[1] + ' which is not connected'));
+            return;
+        }
+        client.send(payload).then(function (receivedOk) {
+            if (!receivedOk)
+                _this.server.emitError(new Error('SSGS MQTT: downlink to gateway ' + match[1] + ' was not acknowledged'), client);
+        });
+    };
+    return MQTTBridge;
+}());
+export { MQTTBridge };
+// matches a topic made from a template containing {gateway} and captures the gateway UID
+function gatewayTopicPattern(template) {
+    return new RegExp('^' + escapeRegExp(template).replace('\\{gateway\\}', '([0-9a-fA-F]{8})') + '$');
+}
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,114 @@
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+export type TokenBucketOptions = {
+    rate: number;
+    burst: number;
+};
+export type RateLimiterOptions = {
+    perAddress?: TokenBucketOptions | null;
+    perGateway?: TokenBucketOptions | null;
+    total?: TokenBucketOptions | null;
+    backoffBaseMs?: number;
+    backoffMaxMs?: number;
+    blockThreshold?: number;
+    blockWindowMs?: number;
+    blockDurationMs?: number;
+};
+export type RateLimitResult = 'blocked' | 'rate-limited' | 'backoff';
+export type BlockedAddress = {
+    address: string;
+    reason: string;
+    since: number;
+    until: number;
+};
+export type RateLimiterEvents = {
+    blocked: [entry: BlockedAddress];
+    unblocked: [entry: BlockedAddress];
+};
+/**
+ * Protects the server from unauthenticated traffic
+ * Datagrams from gateways without a session are checked against the blocklist, the backoff of their address and UID,
+ * and token buckets per address, per UID and in total before the key store or onconnectionattempt is consulted
+ * Every structure is keyed by data an attacker controls, prune() drops entries that no longer hold anything back
+ */
+export declare class RateLimiter extends EventEmitter<RateLimiterEvents> {
+    private options;
+    private addressBuckets;
+    private gatewayBuckets;
+    private totalBucket;
+    private backoffs;
+    private failures;
+    private blocks;
+    /**
+     * @constructor
+     * @param {RateLimiterOptions} options - the limits, every one has a default
+     */
+    constructor(options?: RateLimiterOptions);
+    /**
+     * @method
+     * @param {string} address - the source IP address of the datagram
+     * @param {number} now - the current time
+     * @returns {boolean} - whether the address is blocked, every datagram from a blocked address is dropped
+     */
+    isBlocked(address: string, now?: number): boolean;
+    /**
+     * @method
+     * @param {string} address - the source IP address of the datagram
+     * @param {Buffer} gatewayUID - the gateway UID in the datagram's header
+     * @param {number} now - the current time
+     * @returns {RateLimitResult | null} - why the attempt must be dropped, null if it may go ahead
+     * Checks an attempt by a gateway that has no session, an attempt that goes ahead takes a token from every bucket
+     */
+    check(address: string, gatewayUID: Buffer, now?: number): RateLimitResult | null;
+    /**
+     * @method
+     * @param {string} address - the source IP address of the failed attempt
+     * @param {Buffer} gatewayUID - the gateway UID of the failed attempt
+     * @param {number} now - the current time
+     * Starts or lengthens the backoff of the address and UID, and blocks the address once it reaches the block threshold
+     */
+    recordFailure(address: string, gatewayUID: Buffer, now?: number): void;
+    /**
+     * @method
+     * @param {string} address - the source IP address of the gateway
+     * @param {Buffer} gatewayUID - the UID of the gateway that connected
+     * Clears the backoff of a gateway that has connected
+     */
+    recordSuccess(address: string, gatewayUID: Buffer): void;
+    /**
+     * @method
+     * Forgets every backoff, e.g. after gateways were added to the key store
+     */
+    clearBackoffs(): void;
+    /**
+     * @method
+     * @param {string} address - the IP address to block
+     * @param {number} durationMs - how long to block it for, default is the blockDurationMs option
+     * @param {string} reason - passed through to the 'blocked' event, default is 'manual'
+     * @param {number} now - the current time
+     * Blocks an address, or extends its block, emitting 'blocked'
+     */
+    block(address: string, durationMs?: number, reason?: string, now?: number): void;
+    /**
+     * @method
+     * @param {string} address - the IP address to unblock
+     * @returns {boolean} - true if the address was blocked
+     * Lifts a block, emitting 'unblocked'
+     */
+    unblock(address: string): boolean;
+    /**
+     * @method
+     * @returns {Array<BlockedAddress>} - the addresses that are blocked
+     */
+    blocklist(): Array<BlockedAddress>;
+    /**
+     * @method
+     * @param {number} now - the current time
+     * Lifts expired blocks and drops buckets, backoffs and failure counts that no longer limit anything
+     */
+    prune(now?: number): void;
+    private bucketFor;
+    private static take;
+    private static pruneBuckets;
+    private static pairKey;
+}
@@ -0,0 +1,241 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+import { EventEmitter } from 'node:events';
+var PER_ADDRESS_DEFAULT = { rate: 10, burst: 20 };
+var PER_GATEWAY_DEFAULT = { rate: 2, burst: 10 }; // gateways retransmit CONN about once a second
+var TOTAL_DEFAULT = { rate: 200, burst: 400 }; // caps key store lookups when source addresses are spoofed
+var BACKOFF_BASE_MS_DEFAULT = 1000;
+var BACKOFF_MAX_MS_DEFAULT = 60000;
+var BLOCK_THRESHOLD_DEFAULT = 20; // backoff limits one gateway UID to a few failures a minute, this many means UIDs are being scanned
+var BLOCK_WINDOW_MS_DEFAULT = 60000;
+var BLOCK_DURATION_MS_DEFAULT = 10 * 60000;
+/**
+ * Protects the server from unauthenticated traffic
+ * Datagrams from gateways without a session are checked against the blocklist, the backoff of their address and UID,
+ * and token buckets per address, per UID and in total before the key store or onconnectionattempt is consulted
+ * Every structure is keyed by data an attacker controls, prune() drops entries that no longer hold anything back
+ */
+var RateLimiter = /** @class */ (function (_super) {
+    __extends(RateLimiter, _super);
+    /**
+     * @constructor
+     * @param {RateLimiterOptions} options - the limits, every one has a default
+     */
+    function RateLimiter(options) {
+        var _a;
+        var _this = _super.call(this) || this;
+        for (var _i = 0, _b = ['perAddress', 'perGateway', 'total']; _i < _b.length; _i++) {
+            var name_1 = _b[_i];
+            var bucket = options === null || options === void 0 ? void 0 : options[name_1];
+            if (bucket && (!(bucket.rate > 0) || !(bucket.burst >= 1)))
+                throw new TypeError('SSGS Rate Limiter: ' + name_1 + ' needs a rate above 0 and a burst of at least 1');
+        }
+        _this.options = options !== null && options !== void 0 ? options : {};
+        _this.addressBuckets = new Map();
+        _this.gatewayBuckets = new Map();
+        _this.totalBucket = { tokens: ((_a = _this.options.total) !== null && _a !== void 0 ? _a : TOTAL_DEFAULT).burst, updated: Date.now() };
+        _this.backoffs = new Map();
+        _this.failures = new Map();
+        _this.blocks = new Map();
+        return _this;
+    }
+    /**
+     * @method
+     * @param {string} address - the source IP address of the datagram
+     * @param {number} now - the current time
+     * @returns {boolean} - whether the address is blocked, every datagram from a blocked address is dropped
+     */
+    RateLimiter.prototype.isBlocked = function (address, now) {
+        if (now === void 0) { now = Date.now(); }
+        var entry = this.blocks.get(address);
+        return entry !== undefined && now < entry.until;
+    };
+    /**
+     * @method
+     * @param {string} address - the source IP address of the datagram
+     * @param {Buffer} gatewayUID - the gateway UID in the datagram's header
+     * @param {number} now - the current time
+     * @returns {RateLimitResult | null} - why the attempt must be dropped, null if it may go ahead
+     * Checks an attempt by a gateway that has no session, an attempt that goes ahead takes a token from every bucket
+     */
+    RateLimiter.prototype.check = function (address, gatewayUID, now) {
+        if (now === void 0) { now = Date.now(); }
+        if (this.isBlocked(address, now))
+            return 'blocked';
+        var backoff = this.backoffs.get(RateLimiter.pairKey(address, gatewayUID));
+        if (backoff && now < backoff.until)
+            return 'backoff';
+        var perAddress = this.options.perAddress === undefined ? PER_ADDRESS_DEFAULT : this.options.perAddress;
+        var perGateway = this.options.perGateway === undefined ? PER_GATEWAY_DEFAULT : this.options.perGateway;
+        var total = this.options.total === undefined ? TOTAL_DEFAULT : this.options.total;
+        if (perAddress && !RateLimiter.take(this.bucketFor(this.addressBuckets, address, perAddress, now), perAddress, now))
+            return 'rate-limited';
+        if (perGateway && !RateLimiter.take(this.bucketFor(this.gatewayBuckets, gatewayUID.toString('hex'), perGateway, now), perGateway, now))
+            return 'rate-limited';
+        if (total && !RateLimiter.take(this.totalBucket, total, now))
+            return 'rate-limited';
+        return null;
+    };
+    /**
+     * @method
+     * @param {string} address - the source IP address of the failed attempt
+     * @param {Buffer} gatewayUID - the gateway UID of the failed attempt
+     * @param {number} now - the current time
+     * Starts or lengthens the backoff of the address and UID, and blocks the address once it reaches the block threshold
+     */
+    RateLimiter.prototype.recordFailure = function (address, gatewayUID, now) {
+        var _a, _b, _c, _d, _e, _f;
+        if (now === void 0) { now = Date.now(); }
+        var baseMs = (_a = this.options.backoffBaseMs) !== null && _a !== void 0 ? _a : BACKOFF_BASE_MS_DEFAULT;
+        var maxMs = (_b = this.options.backoffMaxMs) !== null && _b !== void 0 ? _b : BACKOFF_MAX_MS_DEFAULT;
+        var key = RateLimiter.pairKey(address, gatewayUID);
+        var backoff = (_c = this.backoffs.get(key)) !== null && _c !== void 0 ? _c : { failures: 0, until: 0 };
+        backoff.failures++;
+        backoff.until = now + Math.min(baseMs * Math.pow(2, Math.min(backoff.failures - 1, 30)), maxMs);
+        this.backoffs.set(key, backoff);
+        var threshold = (_d = this.options.blockThreshold) !== null && _d !== void 0 ? _d : BLOCK_THRESHOLD_DEFAULT;
+        if (threshold <= 0 || this.isBlocked(address, now))
+            return;
+        var windowMs = (_e = this.options.blockWindowMs) !== null && _e !== void 0 ? _e : BLOCK_WINDOW_MS_DEFAULT;
+        var failures = this.failures.get(address);
+        if (!failures || now - failures.windowStart > windowMs) {
+            failures = { count: 0, windowStart: now };
+            this.failures.set(address, failures);
+        }
+        if (++failures.count >= threshold) {
+            this.failures.delete(address);
+            this.block(address, (_f = this.options.blockDurationMs) !== null && _f !== void 0 ? _f : BLOCK_DURATION_MS_DEFAULT, 'auth-failures', now);
+        }
+    };
+    /**
+     * @method
+     * @param {string} address - the source IP address of the gateway
+     * @param {Buffer} gatewayUID - the UID of the gateway that connected
+     * Clears the backoff of a gateway that has connected
+     */
+    RateLimiter.prototype.recordSuccess = function (address, gatewayUID) {
+        this.backoffs.delete(RateLimiter.pairKey(address, gatewayUID));
+    };
+    /**
+     * @method
+     * Forgets every backoff, e.g. after gateways were added to the key store
+     */
+    RateLimiter.prototype.clearBackoffs = function () {
+        this.backoffs.clear();
+    };
+    /**
+     * @method
+     * @param {string} address - the IP address to block
+     * @param {number} durationMs - how long to block it for, default is the blockDurationMs option
+     * @param {string} reason - passed through to the 'blocked' event, default is 'manual'
+     * @param {number} now - the current time
+     * Blocks an address, or extends its block, emitting 'blocked'
+     */
+    RateLimiter.prototype.block = function (address, durationMs, reason, now) {
+        var _a;
+        if (durationMs === void 0) { durationMs = (_a = this.options.blockDurationMs) !== null && _a !== void 0 ? _a : BLOCK_DURATION_MS_DEFAULT; }
+        if (reason === void 0) { reason = 'manual'; }
+        if (now === void 0) { now = Date.now(); }
+        var entry = { address: address, reason: reason, since: now, until: now + durationMs };
+        this.blocks.set(address, entry);
+        this.emit('blocked', entry);
+    };
+    /**
+     * @method
+     * @param {string} address - the IP address to unblock
+     * @returns {boolean} - true if the address was blocked
+     * Lifts a block, emitting 'unblocked'
+     */
+    RateLimiter.prototype.unblock = function (address) {
+        var entry = this.blocks.get(address);
+        if (!entry)
+            return false;
+        this.blocks.delete(address);
+        this.failures.delete(address);
+        this.emit('unblocked', entry);
+        return true;
+    };
+    /**
+     * @method
+     * @returns {Array<BlockedAddress>} - the addresses that are blocked
+     */
+    RateLimiter.prototype.blocklist = function () {
+        return Array.from(this.blocks.values());
+    };
+    /**
+     * @method
+     * @param {number} now - the current time
+     * Lifts expired blocks and drops buckets, backoffs and failure counts that no longer limit anything
+     */
+    RateLimiter.prototype.prune = function (now) {
+        var _this = this;
+        var _a, _b;
+        if (now === void 0) { now = Date.now(); }
+        for (var _i = 0, _c = Array.from(this.blocks.values()); _i < _c.length; _i++) {
+            var entry = _c[_i];
+            if (now >= entry.until)
+                this.unblock(entry.address);
+        }
+        var maxMs = (_a = this.options.backoffMaxMs) !== null && _a !== void 0 ? _a : BACKOFF_MAX_MS_DEFAULT;
+        this.backoffs.forEach(function (backoff, key) {
+            if (now >= backoff.until + maxMs) // the failures are forgotten once the gateway has been quiet for a while
+                _this.backoffs.delete(key);
+        });
+        var windowMs = (_b = this.options.blockWindowMs) !== null && _b !== void 0 ? _b : BLOCK_WINDOW_MS_DEFAULT;
+        this.failures.forEach(function (failures, address) {
+            if (now - failures.windowStart > windowMs)
+                _this.failures.delete(address);
+        });
+        RateLimiter.pruneBuckets(this.addressBuckets, this.options.perAddress === undefined ? PER_ADDRESS_DEFAULT : this.options.perAddress, now);
+        RateLimiter.pruneBuckets(this.gatewayBuckets, this.options.perGateway === undefined ? PER_GATEWAY_DEFAULT : this.options.perGateway, now);
+    };
+    RateLimiter.prototype.bucketFor = function (buckets, key, options, now) {
+        var bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: options.burst, updated: now };
+            buckets.set(key, bucket);
+        }
+        return bucket;
+    };
+    // refills the bucket for the time since it was last updated and takes a token if there is one
+    RateLimiter.take = function (bucket, options, now) {
+        bucket.tokens = Math.min(options.burst, bucket.tokens + Math.max(0, now - bucket.updated) * options.rate / 1000);
+        bucket.updated = now;
+        if (bucket.tokens < 1)
+            return false;
+        bucket.tokens--;
+        return true;
+    };
+    // a bucket that would be full again is the same as no bucket
+    RateLimiter.pruneBuckets = function (buckets, options, now) {
+        buckets.forEach(function (bucket, key) {
+            if (!options || bucket.tokens + (now - bucket.updated) * options.rate / 1000 >= options.burst)
+                buckets.delete(key);
+        });
+    };
+    RateLimiter.pairKey = function (address, gatewayUID) {
+        return address + '|' + gatewayUID.toString('hex');
+    };
+    return RateLimiter;
+}(EventEmitter));
+export { RateLimiter };
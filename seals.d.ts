@@ -0,0 +1,115 @@
+import { Buffer } from "node:buffer";
+import { SensorSealUpdate } from './ssgscp/ssprotocols.js';
+export type SealStatus = 'online' | 'stale' | 'offline';
+export type SealState = {
+    sensorSealUID: Buffer;
+    latest: SensorSealUpdate;
+    firstSeen: number;
+    lastReceived: number;
+    lastHeard: number;
+    lastGatewayUID: Buffer;
+    gateways: Map<string, number>;
+    updateCount: number;
+    duplicateCount: number;
+    stats: SealStats;
+    status: SealStatus;
+    reportIntervalMs: number | null;
+};
+export type SealLivenessChange = {
+    seal: SealState;
+    status: SealStatus;
+    previousStatus: SealStatus;
+    reason: 'silent' | 'no-gateway';
+};
+export type SealStats = {
+    highestUpdateID: number | null;
+    received: number;
+    missed: number;
+    reordered: number;
+    replays: number;
+    resets: number;
+    lossRate: number;
+    lastGap: number;
+    lastGapAt: number | null;
+};
+export type SealRecordResult = {
+    seal: SealState;
+    duplicate: boolean;
+    replay: boolean;
+    reordered: boolean;
+    reset: boolean;
+    previousUpdateID: number | null;
+    missed: number;
+    online: boolean;
+};
+/**
+ * Tracks the latest state of every Sensor Seal heard by any gateway
+ * The same update relayed by several gateways is recorded once, the other copies only update which gateways heard the seal
+ */
+export declare class SealRegistry {
+    duplicateWindowMs: number;
+    reportIntervalMs: number | null;
+    private seals;
+    private reportIntervals;
+    /**
+     * @constructor
+     * @param {number} duplicateWindowMs - an update ID heard again within this period is treated as a duplicate, default is SEAL_DUPLICATE_WINDOW_MS_DEFAULT
+     * @param {number} reportIntervalMs - how often seals are expected to report, default is null (liveness is not monitored)
+     */
+    constructor(duplicateWindowMs?: number, reportIntervalMs?: number | null);
+    /**
+     * @method
+     * @param {SensorSealUpdate} update - the update received from a gateway
+     * @param {number} now - the time the update was received
+     * @returns {SealRecordResult} - the seal's state and whether the update was a duplicate
+     */
+    record(update: SensorSealUpdate, now?: number): SealRecordResult;
+    private trackSequence;
+    private resetSequence;
+    private restartSequence;
+    private updateLossRate;
+    /**
+     * @method
+     * @param {number} now - the current time
+     * @param {function} gatewayConnected - returns whether the gateway with the given hex UID is connected
+     * @returns {Array<SealLivenessChange>} - the seals that became stale or offline since the last check
+     * Compares the time each monitored seal was last heard with its reporting interval
+     */
+    checkLiveness(now: number, gatewayConnected: (gatewayUID: string) => boolean): Array<SealLivenessChange>;
+    /**
+     * @method
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @param {number | null} reportIntervalMs - how often the seal is expected to report, 0 to stop monitoring it, null to use the registry default
+     * Sets the expected reporting interval of a seal, the seal does not have to have been heard yet
+     */
+    setReportInterval(sensorSealUID: Buffer | string, reportIntervalMs: number | null): void;
+    /**
+     * @method
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @returns {SealState | undefined} - the state of the seal, or undefined if it has not been heard
+     */
+    get(sensorSealUID: Buffer | string): SealState | undefined;
+    /**
+     * @method
+     * @returns {Array<SealState>} - the state of every seal that has been heard, in the order they were first heard
+     */
+    list(): Array<SealState>;
+    /**
+     * @method
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @returns {boolean} - whether the seal was known
+     * Forgets a seal, e.g. one that has been decommissioned
+     */
+    delete(sensorSealUID: Buffer | string): boolean;
+    /**
+     * @returns {number} - the number of seals that have been heard
+     */
+    get size(): number;
+    /**
+     * @method
+     * @static
+     * @param {Buffer | string} uid - a UID as a Buffer or hex string, e.g. '4dec5dfa' or '[4d ec 5d fa]'
+     * @returns {string} - the lowercase hex string used as the key of the registry
+     */
+    static key(uid: Buffer | string): string;
+}
@@ -0,0 +1,270 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+import { Buffer } from "node:buffer";
+var SEAL_DUPLICATE_WINDOW_MS_DEFAULT = 30000; // an update ID heard again within this period is a copy relayed by another gateway
+var SEAL_RECENT_UPDATE_IDS_MAX_LEN = 16; // the number of update IDs remembered per seal for de-duplication
+var SEAL_SEQUENCE_WINDOW = 32; // update IDs up to this far behind the highest one received are late arrivals, not replays
+var SEAL_RESET_MAX_UPDATE_ID = 16; // a seal that goes back to an update ID this low, not received recently, has restarted its counter (rebooted)
+var SEAL_RESET_CONFIRM_COUNT = 3; // this many consecutive stale update IDs in sequence also mean the counter was restarted
+var SEAL_MAX_GAP = 65536; // a jump forward larger than this is a counter reset rather than lost updates
+var SEAL_STALE_INTERVALS = 1.5; // a seal is stale once it has been silent for this many reporting intervals
+var SEAL_OFFLINE_INTERVALS = 3; // a seal is offline once it has been silent for this many reporting intervals
+/**
+ * Tracks the latest state of every Sensor Seal heard by any gateway
+ * The same update relayed by several gateways is recorded once, the other copies only update which gateways heard the seal
+ */
+var SealRegistry = /** @class */ (function () {
+    /**
+     * @constructor
+     * @param {number} duplicateWindowMs - an update ID heard again within this period is treated as a duplicate, default is SEAL_DUPLICATE_WINDOW_MS_DEFAULT
+     * @param {number} reportIntervalMs - how often seals are expected to report, default is null (liveness is not monitored)
+     */
+    function SealRegistry(duplicateWindowMs, reportIntervalMs) {
+        this.duplicateWindowMs = duplicateWindowMs !== null && duplicateWindowMs !== void 0 ? duplicateWindowMs : SEAL_DUPLICATE_WINDOW_MS_DEFAULT;
+        this.reportIntervalMs = reportIntervalMs !== null && reportIntervalMs !== void 0 ? reportIntervalMs : null;
+        this.seals = new Map();
+        this.reportIntervals = new Map();
+    }
+    /**
+     * @method
+     * @param {SensorSealUpdate} update - the update received from a gateway
+     * @param {number} now - the time the update was received
+     * @returns {SealRecordResult} - the seal's state and whether the update was a duplicate
+     */
+    SealRegistry.prototype.record = function (update, now) {
+        var _this = this;
+        var _a;
+        if (now === void 0) { now = Date.now(); }
+        var key = SealRegistry.key(update.sensorSealUID);
+        var entry = this.seals.get(key);
+        if (!entry) {
+            entry = {
+                state: {
+                    sensorSealUID: Buffer.from(update.sensorSealUID),
+                    latest: null,
+                    firstSeen: now,
+                    lastReceived: now,
+                    lastHeard: now,
+                    lastGatewayUID: null,
+                    gateways: new Map(),
+                    updateCount: 0,
+                    duplicateCount: 0,
+                    stats: {
+                        highestUpdateID: null,
+                        received: 0,
+                        missed: 0,
+                        reordered: 0,
+                        replays: 0,
+                        resets: 0,
+                        lossRate: 0,
+                        lastGap: 0,
+                        lastGapAt: null
+                    },
+                    status: 'online',
+                    reportIntervalMs: (_a = this.reportIntervals.get(key)) !== null && _a !== void 0 ? _a : null
+                },
+                recentUpdateIDs: [],
+                receivedWindow: 0,
+                staleRun: null
+            };
+            this.seals.set(key, entry);
+        }
+        var state = entry.state;
+        state.lastHeard = now;
+        state.lastGatewayUID = update.viaGatewayUID;
+        state.gateways.set(SealRegistry.key(update.viaGatewayUID), now);
+        var result = {
+            seal: state,
+            duplicate: false,
+            replay: false,
+            reordered: false,
+            reset: false,
+            previousUpdateID: state.stats.highestUpdateID,
+            missed: 0,
+            online: state.status !== 'online'
+        };
+        // any copy of an update shows that the seal is alive
+        state.status = 'online';
+        result.duplicate = entry.recentUpdateIDs.some(function (recent) { return recent.updateID === update.updateID && now - recent.timestamp <= _this.duplicateWindowMs; });
+        if (result.duplicate) {
+            state.duplicateCount++;
+            return result;
+        }
+        // a late copy heard after the duplicate window is still known, it must not be taken for a restarted counter
+        var heardBefore = entry.recentUpdateIDs.some(function (recent) { return recent.updateID === update.updateID; });
+        entry.recentUpdateIDs.push({ updateID: update.updateID, timestamp: now });
+        if (entry.recentUpdateIDs.length > SEAL_RECENT_UPDATE_IDS_MAX_LEN) {
+            entry.recentUpdateIDs.shift(); // remove the oldest update ID, shift left
+        }
+        this.trackSequence(entry, update.updateID, now, result, heardBefore);
+        if (result.replay)
+            return result;
+        // a late arrival is older than the reading we already hold
+        if (!result.reordered)
+            state.latest = update;
+        state.lastReceived = now;
+        state.updateCount++;
+        return result;
+    };
+    // classifies the update ID against the highest one received and updates the seal's statistics
+    SealRegistry.prototype.trackSequence = function (entry, updateID, now, result, heardBefore) {
+        var stats = entry.state.stats;
+        if (stats.highestUpdateID === null) {
+            this.restartSequence(entry, updateID);
+            return;
+        }
+        // update IDs are u32 counters, compare them modulo 2^32 so that wrapping around is not a reset
+        var ahead = (updateID - stats.highestUpdateID) >>> 0;
+        var behind = (stats.highestUpdateID - updateID) >>> 0;
+        if (ahead !== 0 && ahead < 0x80000000) {
+            if (ahead > SEAL_MAX_GAP) {
+                this.resetSequence(entry, updateID, result);
+                return;
+            }
+            result.missed = ahead - 1;
+            entry.receivedWindow = ahead >= SEAL_SEQUENCE_WINDOW ? 1 : ((entry.receivedWindow << ahead) | 1) >>> 0;
+            entry.staleRun = null;
+            stats.highestUpdateID = updateID;
+            stats.received++;
+            if (result.missed > 0) {
+                stats.missed += result.missed;
+                stats.lastGap = result.missed;
+                stats.lastGapAt = now;
+            }
+            this.updateLossRate(stats);
+            return;
+        }
+        // a late arrival that was counted as missed when the gap was seen
+        if (behind < SEAL_SEQUENCE_WINDOW && !(entry.receivedWindow & (1 << behind))) {
+            entry.receivedWindow = (entry.receivedWindow | (1 << behind)) >>> 0;
+            result.reordered = true;
+            stats.reordered++;
+            stats.received++;
+            stats.missed = Math.max(0, stats.missed - 1);
+            this.updateLossRate(stats);
+            return;
+        }
+        // a low update ID that was not received recently, or a run of stale IDs that continue each other, means the seal started counting again
+        // an ID still covered by the receive window or the recent IDs is a late copy, a seal that restarts below it is confirmed by the run
+        var covered = heardBefore || (behind < SEAL_SEQUENCE_WINDOW && (entry.receivedWindow & (1 << behind)) !== 0);
+        var run = entry.staleRun && entry.staleRun.updateID + 1 === updateID ? entry.staleRun.count + 1 : 1;
+        if ((updateID <= SEAL_RESET_MAX_UPDATE_ID && !covered) || run >= SEAL_RESET_CONFIRM_COUNT) {
+            this.resetSequence(entry, updateID, result);
+            return;
+        }
+        entry.staleRun = { updateID: updateID, count: run };
+        result.replay = true;
+        stats.replays++;
+    };
+    SealRegistry.prototype.resetSequence = function (entry, updateID, result) {
+        result.reset = true;
+        entry.state.stats.resets++;
+        this.restartSequence(entry, updateID);
+    };
+    SealRegistry.prototype.restartSequence = function (entry, updateID) {
+        entry.receivedWindow = 1;
+        entry.staleRun = null;
+        entry.state.stats.highestUpdateID = updateID;
+        entry.state.stats.received++;
+        this.updateLossRate(entry.state.stats);
+    };
+    SealRegistry.prototype.updateLossRate = function (stats) {
+        stats.lossRate = stats.missed === 0 ? 0 : stats.missed / (stats.received + stats.missed);
+    };
+    /**
+     * @method
+     * @param {number} now - the current time
+     * @param {function} gatewayConnected - returns whether the gateway with the given hex UID is connected
+     * @returns {Array<SealLivenessChange>} - the seals that became stale or offline since the last check
+     * Compares the time each monitored seal was last heard with its reporting interval
+     */
+    SealRegistry.prototype.checkLiveness = function (now, gatewayConnected) {
+        var _this = this;
+        var changes = [];
+        this.seals.forEach(function (entry) {
+            var _a;
+            var state = entry.state;
+            var interval = (_a = state.reportIntervalMs) !== null && _a !== void 0 ? _a : _this.reportIntervalMs;
+            if (!interval || state.status === 'offline')
+                return;
+            var silentFor = now - state.lastHeard;
+            var status = state.status;
+            if (silentFor > interval * SEAL_OFFLINE_INTERVALS)
+                status = 'offline';
+            else if (silentFor > interval * SEAL_STALE_INTERVALS)
+                status = 'stale';
+            if (status === state.status)
+                return;
+            var reachable = Array.from(state.gateways.keys()).some(function (gatewayUID) { return gatewayConnected(gatewayUID); });
+            changes.push({ seal: state, status: status, previousStatus: state.status, reason: reachable ? 'silent' : 'no-gateway' });
+            state.status = status;
+        });
+        return changes;
+    };
+    /**
+     * @method
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @param {number | null} reportIntervalMs - how often the seal is expected to report, 0 to stop monitoring it, null to use the registry default
+     * Sets the expected reporting interval of a seal, the seal does not have to have been heard yet
+     */
+    SealRegistry.prototype.setReportInterval = function (sensorSealUID, reportIntervalMs) {
+        var key = SealRegistry.key(sensorSealUID);
+        this.reportIntervals.set(key, reportIntervalMs);
+        var entry = this.seals.get(key);
+        if (entry)
+            entry.state.reportIntervalMs = reportIntervalMs;
+    };
+    /**
+     * @method
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @returns {SealState | undefined} - the state of the seal, or undefined if it has not been heard
+     */
+    SealRegistry.prototype.get = function (sensorSealUID) {
+        var _a;
+        return (_a = this.seals.get(SealRegistry.key(sensorSealUID))) === null || _a === void 0 ? void 0 : _a.state;
+    };
+    /**
+     * @method
+     * @returns {Array<SealState>} - the state of every seal that has been heard, in the order they were first heard
+     */
+    SealRegistry.prototype.list = function () {
+        return Array.from(this.seals.values()).map(function (entry) { return entry.state; });
+    };
+    /**
+     * @method
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @returns {boolean} - whether the seal was known
+     * Forgets a seal, e.g. one that has been decommissioned
+     */
+    SealRegistry.prototype.delete = function (sensorSealUID) {
+        return this.seals.delete(SealRegistry.key(sensorSealUID));
+    };
+    Object.defineProperty(SealRegistry.prototype, "size", {
+        /**
+         * @returns {number} - the number of seals that have been heard
+         */
+        get: function () {
+            return this.seals.size;
+        },
+        enumerable: false,
+        configurable: true
+    });
+    /**
+     * @method
+     * @static
+     * @param {Buffer | string} uid - a UID as a Buffer or hex string, e.g. '4dec5dfa' or '[4d ec 5d fa]'
+     * @returns {string} - the lowercase hex string used as the key of the registry
+     */
+    SealRegistry.key = function (uid) {
+        if (Buffer.isBuffer(uid))
+            return uid.toString('hex');
+        return String(uid).replace(/[\s:\[\]-]/g, '').toLowerCase();
+    };
+    return SealRegistry;
+}());
+export { SealRegistry };
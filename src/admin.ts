@@ -0,0 +1,337 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import * as http from 'node:http';
+import * as crypto from 'node:crypto';
+import { Buffer } from "node:buffer";
+
+import { sensorSealUpdateToJSON } from './ssgscp/ssprotocols.js';
+import { SealState } from './seals.js';
+import type SSGS from './index.js';
+import type { Client } from './index.js';
+
+const ADMIN_HOST_DEFAULT = '127.0.0.1'; // only reachable from this machine unless configured otherwise
+const SSE_KEEPALIVE_MS = 15000; // a comment is sent this often so that proxies do not close idle event streams
+const MAX_BODY_BYTES = 64 * 1024;
+
+export type AdminServerOptions = {
+    port: number; // the TCP port to listen on
+    host?: string; // the address to listen on, default is 127.0.0.1
+    token: string; // the bearer token every request must carry in its Authorization header
+};
+
+type Route = {
+    method: string;
+    pattern: RegExp; // matched against the path, captures are passed to the handler
+    handler: (req: http.IncomingMessage, res: http.ServerResponse, params: Array<string>) => Promise<void> | void;
+};
+
+type HttpError = Error & { status: number }; // an error answered with its status code and message
+
+function httpError(status: number, message: string): HttpError {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * An HTTP admin API for an SSGS server, every request needs the bearer token
+ *
+ * GET  /gateways                     connected gateways with their address, last seen time and pending message counts
+ * GET  /gateways/authorizing         gateways whose authorization is being checked
+ * GET  /seals                        the latest state of every seal
+ * GET  /seals/:uid                   the latest state of one seal
+ * GET  /events                       a Server-Sent Events stream of updates, connection events and delivery results
+ * GET  /metrics                      the server metrics in Prometheus text format
+ * GET  /blocklist                    the blocked addresses and when their blocks expire
+ * DELETE /blocklist/:address         lifts the block of an address
+ * POST /gateways/:uid/send           queues the request body (raw bytes, or JSON { "payload": "<hex>" }) for the gateway,
+ *                                    answers 202 with a message ID at once, the result follows as a 'delivery' event
+ * POST /gateways/:uid/disconnect     removes the gateway's session
+ */
+export class AdminServer {
+    readonly http: http.Server; // the underlying HTTP server
+    private ssgs: SSGS;
+    private options: AdminServerOptions;
+    private tokenDigest: Buffer; // the SHA-256 of the token, compared in constant time
+    private routes: Array<Route>;
+    private streams: Set<http.ServerResponse>; // open event streams
+    private keepaliveTimer: ReturnType<typeof setInterval> | null;
+
+    /**
+     * @constructor
+     * @param {SSGS} ssgs - the server to administer
+     * @param {AdminServerOptions} options - where to listen and the bearer token
+     */
+    constructor(ssgs: SSGS, options: AdminServerOptions) {
+        if (!options || typeof options.token !== 'string' || options.token.length < 16)
+            throw new TypeError('SSGS Admin: a token of at least 16 characters is required');
+
+        this.ssgs = ssgs;
+        this.options = options;
+        this.tokenDigest = crypto.createHash('sha256').update(options.token).digest();
+        this.streams = new Set();
+        this.keepaliveTimer = null;
+        this.http = http.createServer((req, res) => this.handle(req, res));
+
+        this.routes = [
+            { method: 'GET', pattern: /^\/gateways$/, handler: (req, res) => this.json(res, 200, this.ssgs.connectedClients.map(gatewayToJSON)) },
+            { method: 'GET', pattern: /^\/gateways\/authorizing$/, handler: (req, res) => this.json(res, 200, this.ssgs.checkingAuthorizationFor.map((check) => ({ gatewayUID: check.gatewayUID.toString('hex'), since: check.timestamp }))) },
+            { method: 'GET', pattern: /^\/seals$/, handler: (req, res) => this.json(res, 200, this.ssgs.listSeals().map(sealToJSON)) },
+            { method: 'GET', pattern: /^\/seals\/([0-9a-f]{8})$/, handler: (req, res, params) => this.getSeal(res, params[0]) },
+            { method: 'GET', pattern: /^\/events$/, handler: (req, res) => this.openStream(req, res) },
+            { method: 'GET', pattern: /^\/metrics$/, handler: (req, res) => this.metrics(res) },
+            { method: 'GET', pattern: /^\/blocklist$/, handler: (req, res) => this.json(res, 200, this.ssgs.rateLimiter.blocklist()) },
+            { method: 'DELETE', pattern: /^\/blocklist\/([^/]+)$/, handler: (req, res, params) => this.unblock(res, params[0]) },
+            { method: 'POST', pattern: /^\/gateways\/([0-9a-f]{8})\/send$/, handler: (req, res, params) => this.send(req, res, params[0]) },
+            { method: 'POST', pattern: /^\/gateways\/([0-9a-f]{8})\/disconnect$/, handler: (req, res, params) => this.disconnect(res, params[0]) }
+        ];
+
+        ssgs.on('sealupdate', (update) => this.broadcast('sealupdate', sensorSealUpdateToJSON(update)));
+        ssgs.on('connection', (client) => this.broadcast('connection', gatewayToJSON(client)));
+        ssgs.on('reconnect', (client) => this.broadcast('reconnect', gatewayToJSON(client)));
+        ssgs.on('disconnect', (client) => this.broadcast('disconnect', gatewayToJSON(client)));
+        ssgs.on('authfailure', (failure) => this.broadcast('authfailure', { ...failure, gatewayUID: failure.gatewayUID?.toString('hex') ?? null }));
+        ssgs.on('blocked', (entry) => this.broadcast('blocked', entry));
+        ssgs.on('unblocked', (entry) => this.broadcast('unblocked', entry));
+    }
+
+    /**
+     * @method
+     * @async
+     * Starts listening, rejects if the port cannot be bound
+     */
+    async start() {
+        await new Promise<void>((resolve, reject) => {
+            this.http.once('error', reject);
+            this.http.listen(this.options.port, this.options.host ?? ADMIN_HOST_DEFAULT, () => {
+                this.http.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.http.on('error', (err) => this.ssgs.emitError(err));
+        this.keepaliveTimer = setInterval(() => {
+            for (const stream of Array.from(this.streams))
+                stream.write(': keepalive\n\n');
+        }, SSE_KEEPALIVE_MS);
+    }
+
+    /**
+     * @method
+     * @async
+     * Ends the event streams and stops listening
+     */
+    async stop() {
+        clearInterval(this.keepaliveTimer);
+        this.keepaliveTimer = null;
+
+        for (const stream of Array.from(this.streams))
+            stream.end();
+        this.streams.clear();
+
+        if (!this.http.listening)
+            return;
+
+        await new Promise<void>((resolve) => {
+            this.http.close(() => resolve());
+            this.http.closeIdleConnections();
+        });
+    }
+
+    private async handle(req: http.IncomingMessage, res: http.ServerResponse) {
+        try {
+            if (!this.authorized(req))
+                throw httpError(401, 'missing or invalid bearer token');
+
+            const path = new URL(req.url ?? '/', 'http://localhost').pathname.toLowerCase();
+            const matching = this.routes.filter((route) => route.pattern.test(path));
+            if (matching.length === 0)
+                throw httpError(404, 'not found');
+
+            const route = matching.find((route) => route.method === req.method);
+            if (!route) {
+                res.setHeader('Allow', matching.map((route) => route.method).join(', '));
+                throw httpError(405, 'method not allowed');
+            }
+
+            await route.handler(req, res, route.pattern.exec(path).slice(1));
+        } catch (err) {
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+
+            if (typeof err.status === 'number') {
+                if (err.status === 401)
+                    res.setHeader('WWW-Authenticate', 'Bearer');
+                this.json(res, err.status, { error: err.message });
+                return;
+            }
+
+            this.ssgs.emitError(err);
+            this.json(res, 500, { error: 'internal error' });
+        }
+    }
+
+    private authorized(req: http.IncomingMessage): boolean {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization ?? '');
+        if (!match)
+            return false;
+
+        const digest = crypto.createHash('sha256').update(match[1]).digest();
+        return crypto.timingSafeEqual(digest, this.tokenDigest);
+    }
+
+    private getSeal(res: http.ServerResponse, uid: string) {
+        const seal = this.ssgs.getSeal(uid);
+        if (!seal)
+            throw httpError(404, 'seal ' + uid + ' has not been heard');
+
+        this.json(res, 200, sealToJSON(seal));
+    }
+
+    private metrics(res: http.ServerResponse) {
+        const body = this.ssgs.metrics.render();
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+        res.end(body);
+    }
+
+    private unblock(res: http.ServerResponse, address: string) {
+        let decoded: string;
+        try {
+            decoded = decodeURIComponent(address);
+        } catch (e) {
+            throw httpError(400, 'invalid address');
+        }
+
+        if (!this.ssgs.rateLimiter.unblock(decoded))
+            throw httpError(404, 'address ' + decoded + ' is not blocked');
+
+        this.json(res, 200, { unblocked: true });
+    }
+
+    private async send(req: http.IncomingMessage, res: http.ServerResponse, uid: string) {
+        const client = this.clientFor(uid);
+        const body = await readBody(req);
+
+        let payload = body;
+        if ((req.headers['content-type'] ?? '').startsWith('application/json')) {
+            let parsed;
+            try {
+                parsed = JSON.parse(body.toString('utf8'));
+            } catch (e) {
+                throw httpError(400, 'invalid JSON');
+            }
+
+            if (typeof parsed?.payload !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(parsed.payload))
+                throw httpError(400, 'expected { "payload": "<hex>" }');
+
+            payload = Buffer.from(parsed.payload, 'hex');
+        }
+
+        if (payload.length === 0)
+            throw httpError(400, 'empty payload');
+
+        // send() only settles once the gateway acknowledges or every retransmission has failed, far too long to hold a request open
+        const messageID = crypto.randomUUID();
+        const gatewayUID = client.gatewayUID.toString('hex');
+        client.send(payload).then((receivedOk) => this.broadcast('delivery', { messageID, gatewayUID, receivedOk }));
+
+        this.json(res, 202, { messageID });
+    }
+
+    private disconnect(res: http.ServerResponse, uid: string) {
+        this.ssgs.removeClient(this.clientFor(uid));
+        this.json(res, 200, { disconnected: true });
+    }
+
+    private clientFor(uid: string): Client {
+        const client = this.ssgs.getClientByGatewayUID(Buffer.from(uid, 'hex'));
+        if (!client)
+            throw httpError(404, 'gateway ' + uid + ' is not connected');
+
+        return client;
+    }
+
+    private openStream(req: http.IncomingMessage, res: http.ServerResponse) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        this.streams.add(res);
+        req.on('close', () => this.streams.delete(res));
+    }
+
+    private broadcast(event: string, data: object) {
+        if (this.streams.size === 0)
+            return;
+
+        const message = 'event: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n';
+        for (const stream of Array.from(this.streams))
+            stream.write(message);
+    }
+
+    private json(res: http.ServerResponse, status: number, body: any) {
+        const data = JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) });
+        res.end(data);
+    }
+}
+
+function gatewayToJSON(client: Client) {
+    return {
+        gatewayUID: client.gatewayUID.toString('hex'),
+        remoteAddress: client.remoteAddress,
+        sourcePort: client.sourcePort,
+        transport: client.transport.name,
+        protocolVersion: client.protocolVersion,
+        lastSeen: client.lastSeen,
+        connected: client.connected,
+        reconnectCount: client.reconnectCount,
+        sentMessages: client.sentMessages.length,
+        queuedMessages: client.sendQueue.length,
+        srtt: client.srtt,
+        retransmissionTimeout: client.retransmissionTimeout
+    };
+}
+
+function sealToJSON(seal: SealState) {
+    return {
+        sensorSealUID: seal.sensorSealUID.toString('hex'),
+        latest: seal.latest ? sensorSealUpdateToJSON(seal.latest) : null,
+        firstSeen: seal.firstSeen,
+        lastReceived: seal.lastReceived,
+        lastHeard: seal.lastHeard,
+        lastGatewayUID: seal.lastGatewayUID?.toString('hex') ?? null,
+        gateways: Object.fromEntries(seal.gateways),
+        status: seal.status,
+        stats: seal.stats
+    };
+}
+
+function readBody(req: http.IncomingMessage): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+        const chunks: Array<Buffer> = [];
+        let length = 0;
+
+        req.on('data', (chunk: Buffer) => {
+            length += chunk.length;
+            if (length > MAX_BODY_BYTES) {
+                req.removeAllListeners('data');
+                req.resume(); // discard the rest so that the response can still be read
+                reject(httpError(413, 'request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
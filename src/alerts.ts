@@ -0,0 +1,309 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import * as fs from 'node:fs/promises';
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+
+import { SensorSealUpdate } from './ssgscp/ssprotocols.js';
+import { SealRegistry } from './seals.js';
+
+const ALERT_FIELDS = ['temperature', 'vibration', 'rpm', 'voltage'];
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+const RATE_PER_MS = 60000; // rates of change are measured per minute
+
+export type AlertField = 'temperature' | 'vibration' | 'rpm' | 'voltage';
+
+export type AlertRule = {
+    id: string; // a unique name for the rule, e.g. 'bearing-overheat'
+    field: AlertField; // the SensorSealUpdate reading the rule watches
+    above?: number; // trips while the reading is above this value
+    below?: number; // trips while the reading is below this value
+    rateAbove?: number; // trips while the reading rises faster than this many units per minute
+    rateBelow?: number; // trips while the reading falls faster than this many units per minute, a positive number
+    hysteresis?: number; // an active alert only clears once the reading (or rate) is back past the threshold by this much, default is 0
+    forMs?: number; // the condition must hold for this long before the alert is raised, default is 0
+    seals?: Array<string>; // only apply to these hex sensor seal UIDs, default is every seal
+    gateways?: Array<string>; // only apply to seals heard by these hex gateway UIDs, default is every gateway
+    severity?: 'info' | 'warning' | 'critical'; // passed through to the alert, default is 'warning'
+    message?: string; // passed through to the alert
+};
+
+export type Alert = {
+    rule: AlertRule; // the rule that raised the alert
+    sensorSealUID: Buffer; // the UID of the seal the alert is about
+    gatewayUID: Buffer; // the UID of the gateway that relayed the update that raised or cleared the alert
+    value: number; // the reading (or rate per minute for rate rules) when the alert was raised or cleared
+    since: number; // the timestamp the condition started to hold
+    raisedAt: number; // the timestamp the alert was raised
+    clearedAt: number | null; // the timestamp the alert was cleared, null while it is active
+};
+
+export type AlertEvents = {
+    alert: [alert: Alert]; // a rule's condition has held for its minimum duration, raised once until it clears
+    alertcleared: [alert: Alert]; // the condition of an active alert no longer holds, including hysteresis, a copy of the raised alert
+};
+
+type RuleState = {
+    since: number | null; // when the condition started to hold, null if it does not
+    alert: Alert | null; // the active alert, null if none is raised
+};
+
+/**
+ * Evaluates threshold, hysteresis, minimum duration and rate of change rules against Sensor Seal updates
+ * Each rule keeps one state per seal so an alert is raised once and cleared once, however many updates trip it
+ * Conditions are only evaluated when an update arrives, a reading that is not present leaves the state unchanged
+ */
+export class AlertEngine extends EventEmitter<AlertEvents> {
+    private rules: Map<string, AlertRule>; // keyed by rule ID
+    private states: Map<string, RuleState>; // keyed by rule ID and hex sensor seal UID
+    private previous: Map<string, { timestamp: number, update: SensorSealUpdate }>; // the previous update per hex seal UID, for rates of change
+
+    /**
+     * @constructor
+     * @param {Array<AlertRule>} rules - the initial rules
+     */
+    constructor(rules?: Array<AlertRule>) {
+        super();
+        this.rules = new Map();
+        this.states = new Map();
+        this.previous = new Map();
+
+        for (const rule of rules ?? [])
+            this.addRule(rule);
+    }
+
+    /**
+     * @method
+     * @param {AlertRule} rule - the rule to add, replaces a rule with the same ID
+     * Validates and adds a rule, throws a TypeError if the rule is invalid
+     */
+    addRule(rule: AlertRule) {
+        AlertEngine.validateRule(rule);
+
+        if (this.rules.has(rule.id))
+            this.removeRule(rule.id);
+
+        this.rules.set(rule.id, rule);
+    }
+
+    /**
+     * @method
+     * @param {string} id - the ID of the rule to remove
+     * @returns {boolean} - true if the rule existed
+     * Removes a rule, its active alerts are cleared
+     */
+    removeRule(id: string): boolean {
+        if (!this.rules.delete(id))
+            return false;
+
+        const now = Date.now();
+        this.states.forEach((state, key) => {
+            if (!key.startsWith(id + '/'))
+                return;
+
+            this.states.delete(key);
+            if (state.alert)
+                this.emit('alertcleared', { ...state.alert, clearedAt: now });
+        });
+
+        return true;
+    }
+
+    /**
+     * @method
+     * @returns {Array<AlertRule>} - the rules in the order they were added
+     */
+    listRules(): Array<AlertRule> {
+        return Array.from(this.rules.values());
+    }
+
+    /**
+     * @method
+     * @param {string} json - a JSON array of rules, or an object with a rules array
+     * Replaces every rule with the rules in the JSON, nothing changes if any rule is invalid
+     */
+    loadJSON(json: string) {
+        const parsed = JSON.parse(json);
+        const rules: Array<AlertRule> = Array.isArray(parsed) ? parsed : parsed?.rules;
+
+        if (!Array.isArray(rules))
+            throw new TypeError('SSGS Alerts: expected an array of rules or an object with a rules array');
+
+        const ids = new Set<string>();
+        for (const rule of rules) {
+            AlertEngine.validateRule(rule);
+            if (ids.has(rule.id))
+                throw new TypeError('SSGS Alerts: duplicate rule ID ' + rule.id);
+            ids.add(rule.id);
+        }
+
+        for (const id of Array.from(this.rules.keys()))
+            this.removeRule(id);
+
+        for (const rule of rules)
+            this.addRule(rule);
+    }
+
+    /**
+     * @method
+     * @async
+     * @param {string} filePath - the path to a JSON rules file
+     * Replaces every rule with the rules in the file, see loadJSON()
+     */
+    async loadFile(filePath: string) {
+        this.loadJSON(await fs.readFile(filePath, 'utf8'));
+    }
+
+    /**
+     * @method
+     * @returns {Array<Alert>} - the alerts that are currently raised
+     */
+    active(): Array<Alert> {
+        const alerts: Array<Alert> = [];
+        this.states.forEach((state) => {
+            if (state.alert)
+                alerts.push(state.alert);
+        });
+
+        return alerts;
+    }
+
+    /**
+     * @method
+     * @param {SensorSealUpdate} update - a de-duplicated Sensor Seal update
+     * @param {Array<string>} gatewayUIDs - the hex UIDs of the gateways that have heard the seal, default is the gateway that relayed the update
+     * @param {number} now - the time the update was received
+     * Evaluates every rule that applies to the seal, emitting 'alert' and 'alertcleared' as conditions change
+     */
+    evaluate(update: SensorSealUpdate, gatewayUIDs?: Array<string>, now: number = Date.now()) {
+        const sealKey = SealRegistry.key(update.sensorSealUID);
+        const heardBy = gatewayUIDs ?? [SealRegistry.key(update.viaGatewayUID)];
+        const previous = this.previous.get(sealKey);
+
+        this.rules.forEach((rule) => {
+            if (rule.seals && !rule.seals.some((uid) => SealRegistry.key(uid) === sealKey))
+                return;
+
+            if (rule.gateways && !rule.gateways.some((uid) => heardBy.indexOf(SealRegistry.key(uid)) !== -1))
+                return;
+
+            const value = update[rule.field];
+            if (value === null || value === undefined)
+                return;
+
+            // rates need an earlier reading of the same field
+            let rate: number | null = null;
+            const previousValue = previous?.update[rule.field];
+            if (previousValue !== null && previousValue !== undefined && now > previous.timestamp)
+                rate = (value - previousValue) * RATE_PER_MS / (now - previous.timestamp);
+
+            const key = rule.id + '/' + sealKey;
+            const state = this.states.get(key) ?? { since: null, alert: null };
+            this.states.set(key, state);
+
+            if (state.alert) {
+                if (AlertEngine.clears(rule, value, rate)) {
+                    // the raised alert may still be held by listeners, the cleared one is a copy
+                    const cleared: Alert = {
+                        ...state.alert,
+                        gatewayUID: update.viaGatewayUID,
+                        value: AlertEngine.reportedValue(rule, value, rate),
+                        clearedAt: now
+                    };
+                    state.alert = null;
+                    state.since = null;
+                    this.emit('alertcleared', cleared);
+                }
+                return;
+            }
+
+            if (!AlertEngine.trips(rule, value, rate)) {
+                state.since = null;
+                return;
+            }
+
+            state.since = state.since ?? now;
+            if (now - state.since < (rule.forMs ?? 0))
+                return;
+
+            state.alert = {
+                rule,
+                sensorSealUID: update.sensorSealUID,
+                gatewayUID: update.viaGatewayUID,
+                value: AlertEngine.reportedValue(rule, value, rate),
+                since: state.since,
+                raisedAt: now,
+                clearedAt: null
+            };
+            this.emit('alert', state.alert);
+        });
+
+        this.previous.set(sealKey, { timestamp: now, update });
+    }
+
+    /**
+     * @method
+     * @static
+     * @param {AlertRule} rule - the rule to check
+     * Throws a TypeError describing the first problem with the rule
+     */
+    static validateRule(rule: AlertRule) {
+        if (!rule || typeof rule !== 'object')
+            throw new TypeError('SSGS Alerts: a rule must be an object');
+
+        if (typeof rule.id !== 'string' || rule.id.length === 0 || rule.id.indexOf('/') !== -1)
+            throw new TypeError('SSGS Alerts: a rule needs a non-empty id without a /');
+
+        if (ALERT_FIELDS.indexOf(rule.field) === -1)
+            throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has field ' + rule.field + ', expected one of ' + ALERT_FIELDS.join(', '));
+
+        const conditions = ['above', 'below', 'rateAbove', 'rateBelow'].filter((name) => rule[name] !== undefined);
+        if (conditions.length === 0)
+            throw new TypeError('SSGS Alerts: rule ' + rule.id + ' needs at least one of above, below, rateAbove or rateBelow');
+
+        for (const name of conditions.concat(['hysteresis', 'forMs'])) {
+            if (rule[name] !== undefined && (typeof rule[name] !== 'number' || !Number.isFinite(rule[name])))
+                throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has a non-numeric ' + name);
+        }
+
+        if ((rule.hysteresis ?? 0) < 0 || (rule.forMs ?? 0) < 0)
+            throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has a negative hysteresis or forMs');
+
+        for (const name of ['seals', 'gateways']) {
+            if (rule[name] !== undefined && (!Array.isArray(rule[name]) || rule[name].some((uid) => typeof uid !== 'string')))
+                throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has ' + name + ' that is not an array of hex UIDs');
+        }
+
+        if (rule.severity !== undefined && ALERT_SEVERITIES.indexOf(rule.severity) === -1)
+            throw new TypeError('SSGS Alerts: rule ' + rule.id + ' has severity ' + rule.severity + ', expected one of ' + ALERT_SEVERITIES.join(', '));
+    }
+
+    // whether any of the rule's conditions holds
+    private static trips(rule: AlertRule, value: number, rate: number | null): boolean {
+        return (rule.above !== undefined && value > rule.above)
+            || (rule.below !== undefined && value < rule.below)
+            || (rule.rateAbove !== undefined && rate !== null && rate > rule.rateAbove)
+            || (rule.rateBelow !== undefined && rate !== null && -rate > rule.rateBelow);
+    }
+
+    // whether every condition is back past its threshold by the hysteresis, an unknown rate does not hold a rate alert
+    private static clears(rule: AlertRule, value: number, rate: number | null): boolean {
+        const hysteresis = rule.hysteresis ?? 0;
+        return !(rule.above !== undefined && value > rule.above - hysteresis)
+            && !(rule.below !== undefined && value < rule.below + hysteresis)
+            && !(rule.rateAbove !== undefined && rate !== null && rate > rule.rateAbove - hysteresis)
+            && !(rule.rateBelow !== undefined && rate !== null && -rate > rule.rateBelow - hysteresis);
+    }
+
+    // rate only rules report the rate, other rules the reading
+    private static reportedValue(rule: AlertRule, value: number, rate: number | null): number {
+        const rateOnly = rule.above === undefined && rule.below === undefined;
+        return rateOnly && rate !== null ? rate : value;
+    }
+}
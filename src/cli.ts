@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+// ssgs-terminal: starts a server and attaches stdin/stdout to the remote terminal of one gateway
+// Usage: ssgs-terminal <gateway UID, e.g. 4dec5dfa> [--port 1818] [--config ./authorized.json] [--debug]
+
+import { parseArgs } from 'node:util';
+import { Buffer } from "node:buffer";
+
+import SSGS from './index.js';
+import { Client, TerminalStream } from './index.js';
+
+const USAGE = 'Usage: ssgs-terminal <gateway UID, e.g. 4dec5dfa> [--port 1818] [--config ./authorized.json] [--debug]';
+
+let args: ReturnType<typeof parse>;
+try {
+    args = parse();
+} catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+function parse() {
+    return parseArgs({
+        allowPositionals: true,
+        options: {
+            port: { type: 'string', short: 'p', default: '1818' },
+            config: { type: 'string', short: 'c', default: './authorized.json' },
+            debug: { type: 'boolean', short: 'd', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+}
+
+if (args.values.help || args.positionals.length !== 1) {
+    console.error(USAGE);
+    process.exit(args.values.help ? 0 : 1);
+}
+
+const uid = Buffer.from(args.positionals[0].replace(/[\s:\[\]-]/g, ''), 'hex');
+const port = Number(args.values.port);
+
+if (uid.length !== 4) {
+    console.error('ssgs-terminal: the gateway UID must be 4 bytes in hex, e.g. 4dec5dfa');
+    process.exit(1);
+}
+
+if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error('ssgs-terminal: invalid port ' + args.values.port);
+    process.exit(1);
+}
+
+const server = new SSGS(port, undefined, args.values.config, { debug: args.values.debug });
+let terminal: TerminalStream = null;
+let quitting = false;
+
+console.error('ssgs-terminal: waiting for gateway ' + SSGS.uidToString(uid) + ' on port ' + port);
+
+// attach to the gateway every time it connects, a reconnect keeps the same client and the terminal stays open
+server.on('connection', (client: Client) => {
+    if (!SSGS.gatewayUIDsMatch(client.gatewayUID, uid))
+        return;
+
+    console.error('ssgs-terminal: connected to ' + SSGS.uidToString(uid) + ' at ' + client.remoteAddress + ':' + client.sourcePort);
+
+    terminal = client.openTerminal();
+    terminal.pipe(process.stdout, { end: false });
+    terminal.on('error', (err) => console.error('ssgs-terminal: ' + err.message));
+    terminal.on('end', () => {
+        if (quitting)
+            return;
+
+        console.error('ssgs-terminal: gateway disconnected, waiting for it to connect again');
+        process.stdin.unpipe();
+        terminal = null;
+    });
+
+    process.stdin.pipe(terminal, { end: false });
+});
+
+server.on('error', (err) => console.error('ssgs-terminal: ' + err.message));
+
+const quit = () => {
+    quitting = true;
+    terminal?.end();
+    server.close().then(() => process.exit(0));
+};
+
+process.stdin.on('end', quit);
+process.on('SIGINT', quit);
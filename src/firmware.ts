@@ -0,0 +1,342 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+
+import SSEncoder from './ssgscp/ssencoder.js';
+import { WFU_BLOCK_LEN_BYTES, WFU_MAX_BLOCKS_PER_MESSAGE } from './ssgscp/ssencoder.js';
+import type { Client } from './index.js';
+
+const WFU_MAX_TOTAL_BLOCKS = 0xffff;
+
+const FIRMWARE_RETRIES_DEFAULT = 3; // how many times a message is re-sent after send() resolves to false
+const FIRMWARE_IN_FLIGHT_DEFAULT = 4; // how many WFU messages are awaited at once per gateway
+const FIRMWARE_CONCURRENCY_DEFAULT = 4; // how many gateways are updated at once by SSGS.updateFirmware()
+
+export type FirmwareUpdateOptions = {
+    retries?: number; // how many times a message is re-sent after it could not be delivered, default is FIRMWARE_RETRIES_DEFAULT
+    inFlight?: number; // how many WFU messages are awaited at once, default is FIRMWARE_IN_FLIGHT_DEFAULT
+    blocksPerMessage?: number; // how many blocks are packed into each message, default and maximum is the number that fits in an SSGSCP payload
+    restartOnReconnect?: boolean; // start again from the first block when the gateway reconnects (it has restarted), default is true
+};
+
+export type FirmwareUpdateState = 'running' | 'paused' | 'completed' | 'failed' | 'cancelled';
+
+export type FirmwareProgress = {
+    version: number; // the firmware version being sent
+    sentBlocks: number; // the number of blocks acknowledged by the gateway
+    totalBlocks: number; // the number of blocks in the image
+    fraction: number; // sentBlocks / totalBlocks
+};
+
+export type FirmwareUpdateEvents = {
+    progress: [progress: FirmwareProgress]; // a WFU message was acknowledged
+    paused: [];
+    resumed: [];
+    restarted: []; // the gateway reconnected and the update started again from the first block
+    completed: []; // every block was acknowledged
+    failed: [err: Error]; // a message could not be delivered after all retries, or the gateway disconnected
+    cancelled: [];
+};
+
+export type FirmwareRolloutResult = {
+    client: Client; // the gateway that was updated
+    success: boolean; // whether every block was acknowledged
+    error?: Error; // why the update failed
+};
+
+/**
+ * Sends a firmware image to a gateway as a sequence of WFU_PACKET messages
+ * Created by Client.updateFirmware(), progress is reported through the events in FirmwareUpdateEvents
+ */
+export class FirmwareUpdate extends EventEmitter<FirmwareUpdateEvents> {
+    readonly client: Client; // the gateway being updated
+    readonly version: number; // the firmware version
+    readonly totalBlocks: number; // the number of 32 byte blocks in the image
+    readonly finished: Promise<boolean>; // resolves to true once the update has completed, false if it failed or was cancelled
+    state: FirmwareUpdateState;
+    sentBlocks: number; // the number of blocks acknowledged by the gateway
+    error: Error | null; // why the update failed
+
+    private messages: Array<{ payload: Buffer, blockCount: number }>; // the packed WFU payloads
+    private retries: number;
+    private inFlight: number;
+    private cursor: number; // the index of the next message to send
+    private generation: number; // incremented on restart so that workers of the previous pass stop
+    private resumeWaiters: Array<() => void>; // workers waiting for resume()
+    private restartOnReconnect: boolean;
+    private reconnectCount: number; // the client's reconnectCount when the current pass started
+    private ondisconnect: () => void;
+
+    /**
+     * @constructor
+     * @param {Client} client - the gateway to update
+     * @param {Buffer} image - the firmware image
+     * @param {number} version - the u16 firmware version
+     * @param {FirmwareUpdateOptions} options - retry and pacing options
+     * The update starts straight away
+     */
+    constructor(client: Client, image: Buffer, version: number, options?: FirmwareUpdateOptions) {
+        super();
+
+        const blocksPerMessage = options?.blocksPerMessage ?? WFU_MAX_BLOCKS_PER_MESSAGE;
+        if (!Number.isInteger(blocksPerMessage) || blocksPerMessage < 1 || blocksPerMessage > WFU_MAX_BLOCKS_PER_MESSAGE)
+            throw new RangeError('SSGS Firmware: blocksPerMessage must be between 1 and ' + WFU_MAX_BLOCKS_PER_MESSAGE);
+
+        this.messages = packWFUMessages(image, version, blocksPerMessage);
+        this.client = client;
+        this.version = version;
+        this.totalBlocks = Math.ceil(image.length / WFU_BLOCK_LEN_BYTES);
+        this.state = 'running';
+        this.sentBlocks = 0;
+        this.error = null;
+        this.retries = options?.retries ?? FIRMWARE_RETRIES_DEFAULT;
+        this.inFlight = Math.max(1, options?.inFlight ?? FIRMWARE_IN_FLIGHT_DEFAULT);
+        this.cursor = 0;
+        this.generation = 0;
+        this.resumeWaiters = [];
+
+        // the 'reconnect' event is delayed, so the client's reconnectCount is checked after every message instead
+        this.restartOnReconnect = options?.restartOnReconnect ?? true;
+        this.reconnectCount = client.reconnectCount;
+        this.ondisconnect = () => this.fail(new Error('SSGS Firmware: gateway disconnected'));
+        client.on('disconnect', this.ondisconnect);
+
+        this.finished = this.run();
+    }
+
+    /**
+     * @method
+     * Stops sending further messages, messages already in flight are still awaited
+     */
+    pause() {
+        if (this.state !== 'running')
+            return;
+
+        this.state = 'paused';
+        this.emit('paused');
+    }
+
+    /**
+     * @method
+     * Continues a paused update
+     */
+    resume() {
+        if (this.state !== 'paused')
+            return;
+
+        this.state = 'running';
+        this.wakeWorkers();
+        this.emit('resumed');
+    }
+
+    /**
+     * @method
+     * Starts sending the image again from the first block, e.g. after the gateway restarted and lost its partial image
+     * Called automatically when the gateway reconnects unless restartOnReconnect is false
+     */
+    restart() {
+        if (this.state !== 'running' && this.state !== 'paused')
+            return;
+
+        this.generation++;
+        this.reconnectCount = this.client.reconnectCount;
+        this.cursor = 0;
+        this.sentBlocks = 0;
+        this.wakeWorkers();
+        this.emit('restarted');
+    }
+
+    /**
+     * @method
+     * Abandons the update, finished resolves to false
+     */
+    cancel() {
+        if (this.state !== 'running' && this.state !== 'paused')
+            return;
+
+        this.state = 'cancelled';
+        this.wakeWorkers();
+        this.emit('cancelled');
+    }
+
+    /**
+     * @returns {FirmwareProgress} - the current progress
+     */
+    get progress(): FirmwareProgress {
+        return {
+            version: this.version,
+            sentBlocks: this.sentBlocks,
+            totalBlocks: this.totalBlocks,
+            fraction: this.totalBlocks > 0 ? this.sentBlocks / this.totalBlocks : 1
+        };
+    }
+
+    private async run(): Promise<boolean> {
+        try {
+            for (; ;) {
+                const generation = this.generation;
+                const workers = [];
+                for (let i = 0; i < this.inFlight; i++) {
+                    workers.push(this.worker(generation));
+                }
+                await Promise.all(workers);
+
+                if (this.generation === generation && !this.checkReconnected()) // not restarted while the workers were running
+                    break;
+            }
+        } finally {
+            this.client.off('disconnect', this.ondisconnect);
+        }
+
+        if (this.stopped)
+            return false;
+
+        this.state = 'completed';
+        this.emit('completed');
+        return true;
+    }
+
+    // sends messages until there are none left, the pass is restarted or the update stops
+    private async worker(generation: number) {
+        while (this.generation === generation && this.cursor < this.messages.length) {
+            while (this.state === 'paused' && this.generation === generation) {
+                await new Promise<void>((resolve) => this.resumeWaiters.push(resolve));
+            }
+
+            if (this.stopped || this.generation !== generation || this.cursor >= this.messages.length)
+                return;
+
+            const message = this.messages[this.cursor++];
+
+            let delivered = false;
+            for (let attempt = 0; attempt <= this.retries && !delivered; attempt++) {
+                delivered = await this.client.send(message.payload);
+
+                if (this.stopped || this.generation !== generation || this.checkReconnected())
+                    return;
+            }
+
+            if (!delivered) {
+                this.fail(new Error('SSGS Firmware: WFU message was not acknowledged after ' + (this.retries + 1) + ' attempts'));
+                return;
+            }
+
+            this.sentBlocks += message.blockCount;
+            this.emit('progress', this.progress);
+        }
+    }
+
+    // restarts the update if the gateway has restarted since the current pass began, returns true if it did
+    private checkReconnected(): boolean {
+        if (!this.restartOnReconnect || this.client.reconnectCount === this.reconnectCount || this.stopped)
+            return false;
+
+        this.restart();
+        return true;
+    }
+
+    // whether the update has failed or been cancelled
+    private get stopped(): boolean {
+        return this.state === 'failed' || this.state === 'cancelled';
+    }
+
+    private fail(err: Error) {
+        if (this.state !== 'running' && this.state !== 'paused')
+            return;
+
+        this.state = 'failed';
+        this.error = err;
+        this.wakeWorkers();
+        this.emit('failed', err);
+    }
+
+    private wakeWorkers() {
+        for (const resolve of this.resumeWaiters.splice(0)) {
+            resolve();
+        }
+    }
+}
+
+/**
+ * @function
+ * @param {Array<Client>} clients - the gateways to update
+ * @param {Buffer} image - the firmware image
+ * @param {number} version - the u16 firmware version
+ * @param {object} options - FirmwareUpdateOptions plus concurrency (how many gateways are updated at once) and onstart (called with each FirmwareUpdate as it starts)
+ * @returns {Promise<Array<FirmwareRolloutResult>>} - the outcome for each gateway, in the order of clients
+ * Pushes the same image to a set of gateways, at most concurrency at a time
+ */
+export async function rolloutFirmware(clients: Array<Client>, image: Buffer, version: number, options?: FirmwareUpdateOptions & { concurrency?: number, onstart?: (update: FirmwareUpdate) => void }): Promise<Array<FirmwareRolloutResult>> {
+    // validate the image once up front rather than failing every gateway
+    packWFUMessages(image, version, options?.blocksPerMessage ?? WFU_MAX_BLOCKS_PER_MESSAGE);
+
+    const results: Array<FirmwareRolloutResult> = new Array(clients.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < clients.length) {
+            const index = next++;
+            const client = clients[index];
+
+            if (!client.connected) {
+                results[index] = { client, success: false, error: new Error('SSGS Firmware: gateway is not connected') };
+                continue;
+            }
+
+            const update = client.updateFirmware(image, version, options);
+            options?.onstart?.(update);
+            const success = await update.finished;
+            results[index] = { client, success, ...(update.error ? { error: update.error } : {}) };
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.max(1, options?.concurrency ?? FIRMWARE_CONCURRENCY_DEFAULT); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
+
+/**
+ * @function
+ * @param {Buffer} image - the firmware image
+ * @param {number} version - the u16 firmware version
+ * @param {number} blocksPerMessage - how many blocks to pack into each message
+ * @returns {Array<{ payload: Buffer, blockCount: number }>} - the WFU_PACKET payloads
+ * Splits an image into 32 byte blocks and packs them into WFU_PACKET payloads with SSEncoder.wfuPacket()
+ * The last block is padded with 0xff (erased flash)
+ */
+function packWFUMessages(image: Buffer, version: number, blocksPerMessage: number): Array<{ payload: Buffer, blockCount: number }> {
+    if (!Buffer.isBuffer(image) || image.length == 0)
+        throw new TypeError('SSGS Firmware: image must be a non-empty Buffer');
+
+    if (!Number.isInteger(version) || version < 0 || version > 0xffff)
+        throw new RangeError('SSGS Firmware: version must be a 16-bit unsigned integer');
+
+    const totalBlocks = Math.ceil(image.length / WFU_BLOCK_LEN_BYTES);
+    if (totalBlocks > WFU_MAX_TOTAL_BLOCKS)
+        throw new RangeError('SSGS Firmware: image is too large, at most ' + WFU_MAX_TOTAL_BLOCKS * WFU_BLOCK_LEN_BYTES + ' bytes');
+
+    const messages: Array<{ payload: Buffer, blockCount: number }> = [];
+
+    for (let firstBlock = 0; firstBlock < totalBlocks; firstBlock += blocksPerMessage) {
+        const blocks: Array<{ blockNum: number, data: Buffer }> = [];
+
+        for (let blockNum = firstBlock; blockNum < Math.min(firstBlock + blocksPerMessage, totalBlocks); blockNum++) {
+            blocks.push({ blockNum, data: image.subarray(blockNum * WFU_BLOCK_LEN_BYTES, (blockNum + 1) * WFU_BLOCK_LEN_BYTES) });
+        }
+
+        messages.push({ payload: SSEncoder.wfuPacket({ version, totalBlocks, blocks }), blockCount: blocks.length });
+    }
+
+    return messages;
+}
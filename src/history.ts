@@ -0,0 +1,326 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import * as fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as readline from 'node:readline';
+import { createReadStream } from 'node:fs';
+import { Buffer } from "node:buffer";
+
+import { SensorSealUpdate } from './ssgscp/ssprotocols.js';
+import { SealRegistry } from './seals.js';
+
+const HISTORY_MAX_FILE_BYTES_DEFAULT = 16 * 1024 * 1024; // start a new file once the current one reaches this size
+const HISTORY_ROTATE_INTERVAL_MS_DEFAULT = 24 * 60 * 60 * 1000; // start a new file at least this often
+const HISTORY_RETENTION_MS_DEFAULT = 30 * 24 * 60 * 60 * 1000; // delete files whose updates are all older than this
+const HISTORY_FILE_PATTERN = /^updates-(\d+)\.ndjson$/; // files are named after the time their first update was written
+const HISTORY_DEFAULT_FIELDS = ['temperature', 'vibration', 'rpm', 'voltage'];
+
+export type HistoryStoreOptions = {
+    directory: string; // the directory the NDJSON files are written to, created if it does not exist
+    maxFileBytes?: number; // rotate the current file once it reaches this size, default is 16 MiB
+    rotateIntervalMs?: number; // rotate the current file once it is this old, default is 1 day
+    retentionMs?: number; // delete files whose updates are all older than this, default is 30 days
+    maxTotalBytes?: number; // delete the oldest files once all files together exceed this size, default is no limit
+};
+
+export type HistoryQuery = {
+    from?: number | Date; // the earliest receive time to return, default is the start of the history
+    to?: number | Date; // the latest receive time to return, default is now
+    fields?: Array<string>; // the readings to return, default is temperature, vibration, rpm and voltage, extra fields may be named too
+    downsample?: number; // average the readings into buckets of this many milliseconds, default is every update
+};
+
+export type HistoryPoint = {
+    timestamp: number; // the receive time of the update, or the start of the bucket when downsampling
+    updateID?: number; // the update ID, not set when downsampling
+    gatewayUID?: string; // the hex UID of the gateway that relayed the update, not set when downsampling
+    count?: number; // the number of updates averaged into the bucket, only set when downsampling
+    [field: string]: number | string | null; // the requested readings, null if not present (or if no update in the bucket had it)
+};
+
+type HistoryRecord = {
+    t: number; // the receive time
+    seal: string; // the hex sensor seal UID
+    gw: string; // the hex gateway UID
+    id: number; // the update ID
+    v: number; // the SSRB version
+    [field: string]: any; // the readings, and extra for fields outside of the standard ones
+};
+
+type HistoryFile = {
+    path: string; // the path to the file
+    start: number; // the time of the first update in the file
+    bytes: number; // the size of the file
+};
+
+/**
+ * Appends Sensor Seal updates to NDJSON files rotated by size and age, and queries them by seal and time range
+ * Writes are serialized so the files only ever grow by whole lines, a line cut short by a crash is skipped when querying
+ */
+export class HistoryStore {
+    directory: string; // the directory the files are written to
+    maxFileBytes: number; // the size at which the current file is rotated
+    rotateIntervalMs: number; // the age at which the current file is rotated
+    retentionMs: number; // files whose updates are all older than this are deleted
+    maxTotalBytes: number; // the oldest files are deleted once all files together exceed this size
+    ready: Promise<void>; // resolves once the directory has been opened, rejects if it could not be, later operations try again
+    private files: Array<HistoryFile>; // the files in the directory, oldest first, the last one is written to
+    private handle: fs.FileHandle | null; // the open handle of the current file
+    private queue: Promise<void>; // the chain of pending operations, each waits for the one before it
+    private closed: boolean; // set once close() has been called
+    private opened: boolean; // whether open() has succeeded
+
+    /**
+     * @constructor
+     * @param {HistoryStoreOptions} options - where to write the files and when to rotate and delete them
+     */
+    constructor(options: HistoryStoreOptions) {
+        if (!options || typeof options.directory !== 'string')
+            throw new TypeError('SSGS History: a directory is required');
+
+        this.directory = options.directory;
+        this.maxFileBytes = options.maxFileBytes ?? HISTORY_MAX_FILE_BYTES_DEFAULT;
+        this.rotateIntervalMs = options.rotateIntervalMs ?? HISTORY_ROTATE_INTERVAL_MS_DEFAULT;
+        this.retentionMs = options.retentionMs ?? HISTORY_RETENTION_MS_DEFAULT;
+        this.maxTotalBytes = options.maxTotalBytes ?? Infinity;
+        this.files = [];
+        this.handle = null;
+        this.closed = false;
+        this.opened = false;
+        this.queue = Promise.resolve();
+        this.ready = this.enqueue(() => this.open());
+        this.ready.catch(() => { }); // reported to whoever awaits ready, and by the operations that follow
+    }
+
+    /**
+     * @method
+     * @async
+     * @param {SensorSealUpdate} update - the update to store
+     * @param {number} now - the time the update was received
+     * @returns {Promise<void>} - resolves once the update has been written, rejects if it could not be
+     */
+    append(update: SensorSealUpdate, now: number = Date.now()): Promise<void> {
+        const record: HistoryRecord = {
+            t: now,
+            seal: SealRegistry.key(update.sensorSealUID),
+            gw: SealRegistry.key(update.viaGatewayUID),
+            id: update.updateID,
+            v: update.ssrbVersion,
+            temperature: update.temperature,
+            vibration: update.vibration,
+            rpm: update.rpm,
+            voltage: update.voltage
+        };
+
+        if (update.extra)
+            record.extra = update.extra;
+
+        const line = Buffer.from(JSON.stringify(record) + '\n', 'utf8');
+        return this.enqueue(async () => {
+            if (this.closed)
+                throw new Error('SSGS History: the store is closed');
+
+            await this.open();
+            await this.rotateIfNeeded(now, line.length);
+            await this.handle.write(line);
+            this.files[this.files.length - 1].bytes += line.length;
+        });
+    }
+
+    /**
+     * @method
+     * @async
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @param {HistoryQuery} query - the time range, fields and downsampling
+     * @returns {Promise<Array<HistoryPoint>>} - the stored updates of the seal in receive order
+     */
+    async query(sensorSealUID: Buffer | string, query?: HistoryQuery): Promise<Array<HistoryPoint>> {
+        const seal = SealRegistry.key(sensorSealUID);
+        const from = query?.from !== undefined ? Number(query.from) : -Infinity;
+        const to = query?.to !== undefined ? Number(query.to) : Infinity;
+        const fields = query?.fields ?? HISTORY_DEFAULT_FIELDS;
+        const downsample = query?.downsample ?? 0;
+
+        if (downsample < 0 || !Number.isFinite(downsample))
+            throw new RangeError('SSGS History: downsample must be a positive number of milliseconds');
+
+        // wait for writes queued before the query, and take a snapshot of the files that may hold the range
+        const files = await this.enqueue(async () => {
+            await this.open();
+            if (this.handle)
+                await this.handle.datasync().catch(() => { });
+
+            return this.files.filter((file, i) => file.start <= to && (i === this.files.length - 1 || this.files[i + 1].start >= from));
+        });
+
+        const records: Array<HistoryRecord> = [];
+        for (const file of files) {
+            try {
+                await this.readFile(file.path, (record) => {
+                    if (record.seal === seal && record.t >= from && record.t <= to)
+                        records.push(record);
+                });
+            } catch (err) {
+                if (err.code !== 'ENOENT') // deleted by retention while we were reading
+                    throw err;
+            }
+        }
+
+        // files are in order but reordered writes within a file are not guaranteed to be
+        records.sort((a, b) => a.t - b.t);
+
+        if (!downsample) {
+            return records.map((record) => {
+                const point: HistoryPoint = { timestamp: record.t, updateID: record.id, gatewayUID: record.gw };
+                for (const field of fields)
+                    point[field] = HistoryStore.field(record, field);
+                return point;
+            });
+        }
+
+        const points: Array<HistoryPoint> = [];
+        const sums: Record<string, { sum: number, count: number }> = {};
+        let bucket: HistoryPoint = null;
+
+        const finishBucket = () => {
+            for (const field of fields)
+                bucket[field] = sums[field].count > 0 ? sums[field].sum / sums[field].count : null;
+            points.push(bucket);
+        };
+
+        for (const record of records) {
+            const start = Math.floor(record.t / downsample) * downsample;
+            if (!bucket || bucket.timestamp !== start) {
+                if (bucket)
+                    finishBucket();
+
+                bucket = { timestamp: start, count: 0 };
+                for (const field of fields)
+                    sums[field] = { sum: 0, count: 0 };
+            }
+
+            bucket.count = <number>bucket.count + 1;
+            for (const field of fields) {
+                const value = HistoryStore.field(record, field);
+                if (typeof value === 'number') {
+                    sums[field].sum += value;
+                    sums[field].count++;
+                }
+            }
+        }
+
+        if (bucket)
+            finishBucket();
+
+        return points;
+    }
+
+    /**
+     * @method
+     * @async
+     * Waits for pending writes and closes the current file, later appends reject
+     */
+    close(): Promise<void> {
+        return this.enqueue(async () => {
+            this.closed = true;
+            await this.handle?.close();
+            this.handle = null;
+        });
+    }
+
+    // runs the operation after every operation queued before it, a failed operation does not stop the ones after it
+    private enqueue<T>(operation: () => Promise<T>): Promise<T> {
+        const result = this.queue.then(operation);
+        this.queue = result.then(() => { }, () => { });
+        return result;
+    }
+
+    // creates the directory, finds the existing files and applies the retention limits, does nothing once it has succeeded
+    private async open() {
+        if (this.opened)
+            return;
+
+        this.files = [];
+        await fs.mkdir(this.directory, { recursive: true });
+
+        for (const name of await fs.readdir(this.directory)) {
+            const match = HISTORY_FILE_PATTERN.exec(name);
+            if (!match)
+                continue;
+
+            const filePath = path.join(this.directory, name);
+            const stat = await fs.stat(filePath);
+            this.files.push({ path: filePath, start: Number(match[1]), bytes: stat.size });
+        }
+
+        this.files.sort((a, b) => a.start - b.start);
+        await this.applyRetention(Date.now());
+        this.opened = true;
+    }
+
+    private async rotateIfNeeded(now: number, lineBytes: number) {
+        const current = this.files[this.files.length - 1];
+        const full = current && current.bytes > 0 && current.bytes + lineBytes > this.maxFileBytes;
+        const old = current && now - current.start >= this.rotateIntervalMs;
+
+        if (current && !full && !old) {
+            this.handle = this.handle ?? await fs.open(current.path, 'a');
+            return;
+        }
+
+        await this.handle?.close();
+        this.handle = null;
+
+        // two rotations within the same millisecond would share a name
+        const start = current ? Math.max(now, current.start + 1) : now;
+        const file: HistoryFile = { path: path.join(this.directory, 'updates-' + start + '.ndjson'), start, bytes: 0 };
+        this.handle = await fs.open(file.path, 'a');
+        this.files.push(file);
+
+        await this.applyRetention(now);
+    }
+
+    // deletes files that are past the retention period or over the size limit, never the current file
+    private async applyRetention(now: number) {
+        let totalBytes = this.files.reduce((total, file) => total + file.bytes, 0);
+
+        while (this.files.length > 1) {
+            const oldest = this.files[0];
+            const expired = this.files[1].start < now - this.retentionMs; // every update in the oldest file is older than the next file's first
+            if (!expired && totalBytes <= this.maxTotalBytes)
+                break;
+
+            await fs.rm(oldest.path, { force: true });
+            this.files.shift();
+            totalBytes -= oldest.bytes;
+        }
+    }
+
+    private async readFile(filePath: string, onrecord: (record: HistoryRecord) => void) {
+        const lines = readline.createInterface({ input: createReadStream(filePath, { encoding: 'utf8' }), crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (line.length === 0)
+                continue;
+
+            try {
+                onrecord(JSON.parse(line));
+            } catch (e) {
+                // a line cut short by a crash or a full disk
+            }
+        }
+    }
+
+    private static field(record: HistoryRecord, field: string): number | null {
+        if (HISTORY_DEFAULT_FIELDS.indexOf(field) !== -1)
+            return record[field] ?? null;
+
+        return record.extra?.[field] ?? null;
+    }
+}
@@ -6,86 +6,388 @@
  * LICENSE file in the root directory of this repository.
  */
 
-let __SSGS_DEBUG: boolean = false;
-
 const RECV_MSG_FIFO_MAX_LEN = 100;
-const SENT_MSG_LIST_MAX_LEN = 100;
+const SEND_WINDOW_DEFAULT = 16; // the default maximum number of unacknowledged messages in flight per client
+const SEND_QUEUE_MAX_LEN_DEFAULT = 1000; // the default maximum number of messages waiting for the window per client
 const RETRANSMISSION_COUNT_MAX = 10;
-const RETRANSMISSION_TIMEOUT_MS = 2000;
+const RETRANSMISSION_TIMEOUT_MS = 2000; // the initial retransmission timeout, used until the first RTT sample is taken
+const RTO_MIN_MS = 500; // lower bound of the retransmission timeout
+const RTO_MAX_MS = 10000; // upper bound of the retransmission timeout, also caps the exponential backoff
+const RTT_ALPHA = 1 / 8; // SRTT gain, RFC 6298
+const RTT_BETA = 1 / 4; // RTTVAR gain, RFC 6298
 const LAST_SEEN_TIMEOUT_MS = 30000; // if a client has not been seen for this long, it is removed from the connectedClients list
 const RETRANSMISSIONS_PER_CLIENT_PER_TICK = 10;
 const NUM_PACKET_IDS = 65536; // 2^16
 const AUTH_CHECK_TIMEOUT_MS = 5000; // if a client is not authorized within this time, it is removed from the checkingAuthorizationFor list
+const TICK_INTERVAL_MS = 200;
+const CLOSE_DRAIN_TIMEOUT_MS = 2000; // how long close() waits for pending messages to be acknowledged before giving up on them
+const CONFIG_WATCH_DEBOUNCE_MS = 250; // editors often write a file in several steps, wait for them to settle before reloading
+const CONN_NONCES_PER_GATEWAY = 1024; // how many SSGSCP v2 CONN nonces are remembered per gateway to reject replayed CONNs
 
 import * as dgram from 'node:dgram';
-import * as fs from 'node:fs/promises';
+import * as crypto from 'node:crypto';
+import * as path from 'node:path';
+import { watch, FSWatcher } from 'node:fs';
+import { EventEmitter } from 'node:events';
 
 import { SSGSCP } from './ssgscp/ssgscp.js';
-import { ParsedSSGSCPPacket } from './ssgscp/ssgscp.js';
+import { ParsedSSGSCPPacket, SSGSCPSession, ReplayWindow } from './ssgscp/ssgscp.js';
 import { PacketType } from './ssgscp/ssgscp.js';
 
 import { MessageSubtype } from './ssgscp/ssgscp.js';
 import { SensorSealUpdate } from './ssgscp/ssprotocols.js';
 import { ParsedMessage } from './ssgscp/ssprotocols.js';
+import { WakeupScanResult, WakeupScanSeal } from './ssgscp/ssprotocols.js';
+import { SSRBLayout, SSRBField, SSRBFieldType } from './ssgscp/ssprotocols.js';
+import { MessageData, MessageType, MessageTypeDefinition } from './ssgscp/ssprotocols.js';
 import SSProtocols from './ssgscp/ssprotocols.js';
+import { decodeWakeupScanV1 } from './ssgscp/ssprotocols.js';
+import SSEncoder from './ssgscp/ssencoder.js';
 
-import { assert } from 'node:console';
-import { Buffer } from "node:buffer";
+import { GatewayKeyStore } from './keystore.js';
+import { GatewayKeyEntry } from './keystore.js';
+import { MemoryKeyStore, JSONFileKeyStore, EncryptedFileKeyStore } from './keystore.js';
 
+import { FirmwareUpdate, FirmwareUpdateOptions, FirmwareRolloutResult, rolloutFirmware } from './firmware.js';
 
-type ConfigFile = {
-    key: string;
-    authorized_gateways: Array<{ uid: string, key: string }>;
-};
+import { TerminalStream, ExecOptions } from './terminal.js';
+
+import { AlertEngine, Alert, AlertRule, AlertField } from './alerts.js';
+
+import { HistoryStore, HistoryStoreOptions, HistoryQuery, HistoryPoint } from './history.js';
+
+import { MQTTBridge, MQTTBridgeOptions } from './mqttbridge.js';
+import { MQTTClient, MQTTClientOptions, MQTTQoS } from './mqtt.js';
+
+import { AdminServer, AdminServerOptions } from './admin.js';
+
+import { SSGSMetrics, Counter, Gauge, Histogram, MetricLabels, DatagramRejectReason, DeliveryFailureReason } from './metrics.js';
+
+import { SealRegistry, SealState, SealStats, SealStatus, SealRecordResult, SealLivenessChange } from './seals.js';
+
+import { Transport, TransportPeer, TransportEvents, UDPTransport, UDPTransportOptions } from './transport.js';
+import { WSSTransport, WSSTransportOptions } from './wss.js';
+
+import { SSGSLogger, Logger, LogLevel, LogFields, SSGSLoggerOptions } from './logger.js';
+
+import { RateLimiter, RateLimiterOptions, RateLimiterEvents, RateLimitResult, TokenBucketOptions, BlockedAddress } from './ratelimit.js';
+
+import { assert } from 'node:console';
+import { Buffer } from "node:buffer";
 
-type AuthorizedGateway = {
-    gatewayUID: Buffer;
-    key: Buffer;
-};
 
 type SentMessage = {
     packetID: number; // the packet ID of the message
     timestamp: number; // the timestamp of when the message was sent
-    packet: Buffer; // the packed SSGSCP packet
+    packet: Buffer | null; // the packed SSGSCP packet, null until packing has finished
+    fields: ParsedSSGSCPPacket | null; // the unpacked packet, retransmissions in a v2 session are packed again with a new sequence number
     resolve: (receivedOk: boolean) => void; // the resolve function of the promise
     receivedOk: boolean; // whether the message was received ok
     retransmissionCount: number; // the number of times the message has been retransmitted
+    timeout: number; // the retransmission timeout of this message, doubled on each retransmission
+};
+
+type QueuedMessage = {
+    packetType: PacketType; // the type of packet to send
+    payload: Buffer; // the payload of the packet
+    resolve: (receivedOk: boolean) => void; // the resolve function of the promise returned by sendMSG
+};
+
+export type AuthFailure = {
+    gatewayUID: Buffer; // the UID of the gateway that failed to connect
+    remoteAddress: string; // the IP address the attempt came from
+    port: number; // the UDP source port the attempt came from
+    transport: string; // the name of the transport the attempt came over, e.g. 'udp' or 'wss'
+    reason: 'unauthorized' | 'invalid-key' | 'parse-error' | 'bad-auth-code' | 'legacy-protocol'; // why the gateway was rejected
 };
 
-export type Client = { // the client state machine
+export type ClientEvents = {
+    message: [message: ParsedMessage]; // a message was received from the gateway
+    update: [update: SensorSealUpdate]; // a Sensor Seal update was received from the gateway
+    wakeupscan: [scan: WakeupScanResult]; // the gateway reported the result of a wakeup scan
+    reconnect: []; // the gateway reconnected to its existing session (it restarted)
+    disconnect: []; // the session was removed, the client object is now stale
+    drain: []; // every queued and in-flight message has been acknowledged or has failed
+    error: [err: Error]; // an error occurred while handling this client
+};
+
+export type SSGSEvents = {
+    connection: [client: Client]; // a new gateway has connected and is authenticated
+    message: [message: ParsedMessage, client: Client]; // a message was received from any gateway
+    update: [update: SensorSealUpdate, client: Client]; // a Sensor Seal update was received via any gateway
+    sealupdate: [update: SensorSealUpdate, seal: SealState]; // a Sensor Seal update, emitted once no matter how many gateways relayed it
+    updatesmissed: [seal: SealState, missed: number, previousUpdateID: number]; // a seal's update IDs skipped ahead, the updates in between were not heard by any gateway
+    sealreset: [seal: SealState, previousUpdateID: number]; // a seal restarted its update ID counter, usually because it rebooted
+    sealstale: [seal: SealState, reason: SealLivenessChange['reason']]; // a seal has missed its expected reports
+    sealoffline: [seal: SealState, reason: SealLivenessChange['reason']]; // a seal has been silent for several reporting intervals
+    sealonline: [seal: SealState]; // a stale or offline seal was heard again
+    alert: [alert: Alert]; // an alert rule was tripped, see AlertEngine
+    alertcleared: [alert: Alert]; // an active alert cleared
+    wakeupscan: [scan: WakeupScanResult, client: Client]; // any gateway reported the result of a wakeup scan
+    reconnect: [client: Client]; // a gateway reconnected to its existing session
+    disconnect: [client: Client]; // a gateway session was removed
+    authfailure: [failure: AuthFailure]; // a gateway could not be authenticated, it was sent a CONNFAIL unless silentReject applies
+    blocked: [entry: BlockedAddress]; // an address was blocked, every datagram from it is dropped until the block expires
+    unblocked: [entry: BlockedAddress]; // a block expired or was lifted
+    error: [err: Error]; // an internal error occurred, if there is no listener it is logged at error level
+};
+
+/**
+ * The client (gateway) state machine
+ * Emits the events listed in ClientEvents, the on* properties are kept for backwards compatibility
+ * and are called alongside any listeners added with on()
+ */
+export class Client extends EventEmitter<ClientEvents> {
     gatewayUID: Buffer; // the client (gateway) UID
     sourcePort: number; // the UDP port number the client is sending from (ephemeral port)
     remoteAddress: string; // the IP address of the client
+    transport: Transport; // the transport the client is reachable through, transport.name is e.g. 'udp' or 'wss'
     lastSeen: number; // the timestamp of the last time the client sent a message
     connected: boolean; // whether the client is connected and authenticated
+    reconnectCount: number; // incremented as soon as a CONN from the gateway resets the session, before the 'reconnect' event
     sendPacketID: number; // the packet ID of the next message to send to the client
-    retransmissionTimeout: number; // the retransmission timeout in milliseconds
-    sentMessages: Array<SentMessage>; // the list of sent messages
+    retransmissionTimeout: number; // the retransmission timeout (RTO) in milliseconds, derived from the RTT estimate
+    srtt: number | null; // the smoothed round trip time in milliseconds, null until the first sample
+    rttvar: number | null; // the round trip time variation in milliseconds, null until the first sample
+    sentMessages: Array<SentMessage>; // the list of sent messages awaiting RCPTOK, at most sendWindow long
+    sendQueue: Array<QueuedMessage>; // messages waiting for room in the send window
     receivedMessageIDsFIFO: Array<number>; // the list of received message IDs, needed for duplicate detection, max length is RECV_MSG_FIFO_MAX_LEN
     key: Buffer; // the encryption key
+    session: SSGSCPSession | null; // the SSGSCP v2 session, null for gateways using SSGSCP v1
     _processSeq: number; // monotonic counter to detect stale async handlers after await points
+    _drainPending: boolean; // whether a message has been queued since the last 'drain' event
+    _reconnectTimers: Set<ReturnType<typeof setTimeout>>; // the pending 'reconnect' events, cleared when the client is removed
     onmessage: (update: ParsedMessage) => void; // the callback function to handle incoming messages from the gateway
     onupdate: (update: SensorSealUpdate) => void; // the callback function to handle incoming Sensor Seal updates
+    onwakeupscan: (scan: WakeupScanResult) => void; // the callback function to handle wakeup scan results
     onreconnect: () => void; // the callback function to handle a client reconnecting
     ondisconnect: () => void; // the callback function to handle a client disconnecting
+    private server: SSGS; // the server this client is connected to
+
+    /**
+     * @constructor
+     * @param {SSGS} server - the server the client is connected to
+     * @param {Buffer} gatewayUID - the client (gateway) UID
+     * @param {TransportPeer} rinfo - the remote address information of the CONN packet
+     * @param {Buffer} key - the encryption key
+     */
+    constructor(server: SSGS, gatewayUID: Buffer, rinfo: TransportPeer, key: Buffer) {
+        super();
+        this.server = server;
+        this.gatewayUID = gatewayUID;
+        this.sourcePort = rinfo.port;
+        this.remoteAddress = rinfo.address;
+        this.transport = rinfo.transport;
+        this.lastSeen = Date.now();
+        this.connected = true;
+        this.reconnectCount = 0;
+        this.sendPacketID = 0;
+        this.retransmissionTimeout = RETRANSMISSION_TIMEOUT_MS;
+        this.srtt = null;
+        this.rttvar = null;
+        this.sentMessages = [];
+        this.sendQueue = [];
+        this.receivedMessageIDsFIFO = [];
+        this.key = key;
+        this.session = null;
+        this._processSeq = 0;
+        this._drainPending = false;
+        this._reconnectTimers = new Set();
+        this.onmessage = (parsedMessage: ParsedMessage) => { };
+        this.onupdate = (parsedUpdate: SensorSealUpdate) => { };
+        this.onwakeupscan = (scan: WakeupScanResult) => { };
+        this.onreconnect = () => { };
+        this.ondisconnect = () => { };
+
+        this.on('message', (parsedMessage) => this.onmessage?.(parsedMessage));
+        this.on('update', (update) => this.onupdate?.(update));
+        this.on('wakeupscan', (scan) => this.onwakeupscan?.(scan));
+        this.on('reconnect', () => this.onreconnect?.());
+        this.on('disconnect', () => this.ondisconnect?.());
+    }
+
     /**
      * @method
      * @param {Buffer} payload - the payload to send to the client
      * @returns {Promise<boolean>} - whether the message was received ok
      * Sends a MSGCONF packet to the client and returns a promise resolving to whether the message was 
      * received ok or false after it has been retransmitted RETRANSMISSION_COUNT_MAX times
+     * If the send window is full the message waits in the send queue, so awaiting send() applies backpressure
+     */
+    async send(payload: Buffer): Promise<boolean> {
+        return await this.server.sendMSG(this, PacketType.MSGCONF, payload);
+    }
+
+    /**
+     * @method
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Asks the gateway to restart (GATEWAY_RESTART)
      */
-    send: (payload: Buffer) => Promise<boolean>; // the function to send a CONF packet to the client
+    restart(): Promise<boolean> {
+        return this.send(SSEncoder.restart());
+    }
+
+    /**
+     * @method
+     * @param {Buffer} params - the radio parameters encoded as the gateway firmware expects them, at most 254 bytes
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Sets the gateway's radio parameters (SET_RADIO_PARAMS), the payload is sent as it is since SSGSCP does not define its layout
+     */
+    setRadioParams(params: Buffer): Promise<boolean> {
+        return this.send(SSEncoder.setRadioParams(params));
+    }
+
+    /**
+     * @method
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Resets the gateway's radio parameters to their default values (RESET_RADIO_PARAMS)
+     */
+    resetRadioParams(): Promise<boolean> {
+        return this.send(SSEncoder.resetRadioParams());
+    }
+
+    /**
+     * @method
+     * @param {Buffer} packet - the raw radio packet, at most 254 bytes
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Asks the gateway to transmit a radio packet (SEND_PACKET)
+     */
+    sendRadioPacket(packet: Buffer): Promise<boolean> {
+        return this.send(SSEncoder.sendPacket(packet));
+    }
+
+    /**
+     * @method
+     * @param {number} messageType - a built-in or registered message subtype
+     * @param {any} data - the message data accepted by the subtype's encoder
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Encodes a message with SSEncoder.encode, including subtypes registered with SSGS.registerMessageType, and sends it
+     */
+    sendMessage<T>(messageType: MessageSubtype | MessageType<T> | number, data?: T): Promise<boolean> {
+        const subtype = typeof messageType === 'object' ? messageType.subtype : messageType;
+        return this.send(SSEncoder.encode(subtype, data));
+    }
+
+    /**
+     * @method
+     * @param {string} input - the terminal input, e.g. 'echo hello world\n', at most 254 bytes when UTF-8 encoded
+     * @returns {Promise<boolean>} - whether the message was received ok
+     * Sends input to the gateway's remote terminal service (REMOTE_TERMINAL_INPUT), output arrives as REMOTE_TERMINAL_OUTPUT messages
+     */
+    terminalInput(input: string): Promise<boolean> {
+        return this.send(SSEncoder.terminalInput(input));
+    }
+
+    /**
+     * @method
+     * @returns {TerminalStream} - a Duplex stream, write terminal input to it and read the terminal output from it
+     * Opens a stream to the gateway's remote terminal service, input of any length is split into messages
+     * Use terminal.exec(command) to run a single command and collect its output
+     */
+    openTerminal(): TerminalStream {
+        return new TerminalStream(this);
+    }
+
+    /**
+     * @method
+     * @param {Buffer} image - the firmware image
+     * @param {number} version - the u16 firmware version
+     * @param {FirmwareUpdateOptions} options - retry and pacing options
+     * @returns {FirmwareUpdate} - the running update, await its finished promise or listen for its events
+     * Splits the image into 32 byte blocks and sends them to the gateway in WFU_PACKET messages
+     * The update can be paused and resumed and starts again from the first block if the gateway reconnects
+     */
+    updateFirmware(image: Buffer, version: number, options?: FirmwareUpdateOptions): FirmwareUpdate {
+        return new FirmwareUpdate(this, image, version, options);
+    }
+
+    /**
+     * @returns {number} - the number of messages that are queued or in flight
+     */
+    get pendingCount(): number {
+        return this.sentMessages.length + this.sendQueue.length;
+    }
+
+    /**
+     * @returns {1 | 2} - the SSGSCP version the gateway connected with
+     */
+    get protocolVersion(): 1 | 2 {
+        return this.session ? 2 : 1;
+    }
+
+    /**
+     * @returns {TransportPeer} - the address and transport packets to the client are sent to
+     */
+    get peer(): TransportPeer {
+        return { address: this.remoteAddress, port: this.sourcePort, transport: this.transport };
+    }
+
+    /**
+     * @method
+     * @param {number} rtt - the measured round trip time in milliseconds
+     * Updates the RTT estimate and retransmission timeout as described in RFC 6298
+     * Samples must only be taken from messages that were not retransmitted (Karn's rule)
+     */
+    sampleRTT(rtt: number) {
+        if (this.srtt === null) {
+            this.srtt = rtt;
+            this.rttvar = rtt / 2;
+        } else {
+            this.rttvar = (1 - RTT_BETA) * this.rttvar + RTT_BETA * Math.abs(this.srtt - rtt);
+            this.srtt = (1 - RTT_ALPHA) * this.srtt + RTT_ALPHA * rtt;
+        }
+
+        // the clock granularity is the tick interval, retransmissions cannot be scheduled more precisely than that
+        const rto = this.srtt + Math.max(TICK_INTERVAL_MS, 4 * this.rttvar);
+        this.retransmissionTimeout = Math.min(Math.max(rto, RTO_MIN_MS), RTO_MAX_MS);
+    }
+
+    /**
+     * @method
+     * Forgets the RTT estimate, used when the gateway restarts
+     */
+    resetRTT() {
+        this.srtt = null;
+        this.rttvar = null;
+        this.retransmissionTimeout = RETRANSMISSION_TIMEOUT_MS;
+    }
 }
 
 type ssgsOptions = {
-    debug?: boolean;
+    debug?: boolean; // log at debug level, same as logLevel: 'debug'
+    logger?: Logger; // where log records are written, e.g. a pino logger, default is console
+    logLevel?: LogLevel; // the lowest level that is logged, default is 'debug' with debug set, 'info' with a logger and 'warn' otherwise
+    redactLogs?: boolean; // replace keys and packet payloads in log records with their length, default is true
+    closeDrainTimeoutMs?: number; // how long close() waits for pending messages to be acknowledged, default is CLOSE_DRAIN_TIMEOUT_MS
+    watchConfig?: boolean; // reload the configuration file automatically when it changes, default is false
+    keyStore?: GatewayKeyStore; // where gateway keys are looked up, default is a JSONFileKeyStore reading configFilePath
+    sendWindow?: number; // the maximum number of unacknowledged messages in flight per client, default is SEND_WINDOW_DEFAULT
+    sendQueueMaxLen?: number; // the maximum number of messages waiting for the window per client, further sends resolve to false, default is SEND_QUEUE_MAX_LEN_DEFAULT
+    sealDuplicateWindowMs?: number; // a seal update ID relayed again within this period is treated as a duplicate, default is 30 seconds
+    sealReportIntervalMs?: number; // how often seals are expected to report, enables the sealstale and sealoffline events, default is no monitoring
+    alertRules?: Array<AlertRule>; // the initial alert rules, more can be added with server.alerts
+    history?: HistoryStoreOptions; // store every de-duplicated Sensor Seal update in local files for server.history(), default is no history
+    mqtt?: MQTTBridgeOptions; // publish updates and gateway status to an MQTT broker, default is no bridge
+    admin?: AdminServerOptions; // serve the HTTP admin API, default is no admin API
+    udp?: boolean; // listen for SSGSCP over UDP, default is true
+    bind?: Array<{ address?: string, port?: number, ipv6Only?: boolean }>; // the UDP sockets to listen on, all feeding the same clients, e.g. [{ address: '::' }] for dual-stack, a missing port is the port passed to the constructor, default is every IPv4 address
+    wss?: WSSTransportOptions; // also accept SSGSCP over WebSocket Secure, for sites where UDP is blocked, default is UDP only
+    transports?: Array<Transport>; // further transports to accept SSGSCP packets on
+    rateLimit?: RateLimiterOptions; // limits on connection attempts by gateways without a session, see RateLimiter for the defaults
+    silentReject?: boolean; // do not answer gateway UIDs that are neither connected nor in the key store with CONNFAIL, so that spoofed sources get no reply, default is false
+    legacyProtocol?: 'allow' | 'deny' | ((gatewayUID: Buffer) => boolean); // whether gateways using SSGSCP v1 are accepted, a function decides per gateway, default is 'allow'
+    pinProtocolV2?: boolean; // reject SSGSCP v1 from gateways that have connected with v2, recorded as minProtocol in the key store, default is true
 };
 
-class SSGS {
+/**
+ * The Sensor Seal Gateway Server
+ * Emits the events listed in SSGSEvents, the onconnection property is kept for backwards compatibility
+ */
+class SSGS extends EventEmitter<SSGSEvents> {
     /**
      * @param {Client} client - the new authorized client that has connected
      * The callback function that is called when a new client (gateway) has connected and is authenticated
+     * Equivalent to listening for the 'connection' event
      */
     onconnection: (client: Client) => void;
 
@@ -94,65 +396,229 @@ class SSGS {
      * @param {string} remoteAddress - the IP address of the gateway that is attempting to connect
      * @param {number} port - the UDP source port number of the gateway that is attempting to connect
      * @returns {Buffer | null} - the key of the gateway if it should be authorized, null otherwise
-     * The callback function that is called when an unauthorized gateway (not in config file) attempts to connect
+     * The callback function that is called when a gateway that is not in the key store attempts to connect
      * Return the key of the gateway if it should be authorized, null otherwise
      * If this function is not set, all unauthorized gateways will be rejected
+     * Kept for backwards compatibility, implementing a GatewayKeyStore is preferred
      */
     onconnectionattempt: (gatewayUID: Buffer, remoteAddress: string, port: number) => Promise<Buffer | null>;
 
     port: number; // the UDP port number to listen for SSGSCP packets
     configFilePath: string; // the path to the SSGS configuration file
-    socket: dgram.Socket; // the UDP socket
-    configFile: ConfigFile; // the configuration file object
-    authorizedGateways: Array<AuthorizedGateway>; // the list of authorized gateways
+    transports: Array<Transport>; // the transports gateways connect over, a UDP transport per bound socket and optionally WSS
+    keyStore: GatewayKeyStore; // the source of gateway keys
     connectedClients: Array<Client>; // the list of connected clients
     checkingAuthorizationFor: Array<{ gatewayUID: Buffer, timestamp: number }>; // the list of gateways that are being checked for authorization
+    closeDrainTimeoutMs: number; // the default drain period used by close()
+    sendWindow: number; // the maximum number of unacknowledged messages in flight per client
+    sendQueueMaxLen: number; // the maximum number of messages waiting for the window per client
+    watchConfig: boolean; // whether the configuration file is reloaded when it changes
+    seals: SealRegistry; // the latest state of every Sensor Seal heard by any gateway
+    alerts: AlertEngine; // evaluates alert rules against every de-duplicated Sensor Seal update
+    historyStore: HistoryStore | null; // the local update history, null unless the history option is set
+    mqtt: MQTTBridge | null; // the MQTT bridge, null unless the mqtt option is set
+    admin: AdminServer | null; // the HTTP admin API, null unless the admin option is set
+    metrics: SSGSMetrics; // protocol and gateway health metrics, metrics.render() gives the Prometheus text format
+    logger: SSGSLogger; // the structured logger of this server, use logger.child() to log with the server's level and redaction
+    rateLimiter: RateLimiter; // rate limits, backoff and the blocklist for gateways without a session
+    silentReject: boolean; // whether gateway UIDs that are not authorized are left without a CONNFAIL
+    legacyProtocol: 'allow' | 'deny' | ((gatewayUID: Buffer) => boolean); // whether gateways using SSGSCP v1 are accepted
+    pinProtocolV2: boolean; // whether gateways that have used SSGSCP v2 are refused v1
+    private protocolV2GatewayUIDs: Set<string>; // the hex UIDs of gateways refused SSGSCP v1, by their key store minProtocol or pinProtocolV2
+    private connNonces: Map<string, Set<string>>; // the hex nonces of the SSGSCP v2 CONNs accepted from each gateway, oldest first
+    closing: boolean; // set once close() has been called, no new connections are accepted from then on
+    private started: Promise<void>; // resolves once begin() has started the transports
+    private closed: Promise<void> | null; // the shutdown promise returned by close()
+    private tickTimer: ReturnType<typeof setInterval> | null; // the timer driving tickClients()
+    private transportsOpen: boolean; // whether the transports are started and not yet closed
+    private configWatcher: FSWatcher | null; // watches the configuration file directory when watchConfig is set
+    private configReloadTimer: ReturnType<typeof setTimeout> | null; // debounces configuration file change notifications
 
     /**
      * @constructor
      * @param {number} port - the UDP port number to listen for SSGSCP packets, default is 1818
      * @param {function} onmessage - the callback function to handle incoming messages
-     * @param {string} configFilePath - the path to the SSGS configuration file, default is './authorized.json'
+     * @param {string} configFilePath - the path to the SSGS configuration file, default is './authorized.json', ignored if options.keyStore is set
      */
-    constructor(port: number = 1818, onconnection: (client: Client) => void, configFilePath?: string, options?: ssgsOptions) {
+    constructor(port: number = 1818, onconnection?: (client: Client) => void, configFilePath?: string, options?: ssgsOptions) {
+        super();
+        this.logger = new SSGSLogger(options?.logger ?? console, {
+            level: options?.logLevel ?? (options?.debug ? 'debug' : options?.logger ? 'info' : 'warn'),
+            redact: options?.redactLogs ?? true
+        });
         this.port = port;
         this.onconnection = onconnection;
         this.onconnectionattempt = async (gatewayUID, remoteAddress, port) => { return null; }; // default to rejecting all unauthorized gateways
         this.configFilePath = configFilePath ?? './authorized.json';
-        this.socket = null;
-        this.configFile = null;
-        this.authorizedGateways = [];
+        this.transports = [];
+        this.keyStore = options?.keyStore ?? new JSONFileKeyStore(this.configFilePath, this.logger);
         this.connectedClients = [];
         this.checkingAuthorizationFor = [];
-
-        if (options && options.debug) {
-            console.log('SSGS: Debug mode enabled');
-            __SSGS_DEBUG = true;
+        this.closeDrainTimeoutMs = options?.closeDrainTimeoutMs ?? CLOSE_DRAIN_TIMEOUT_MS;
+        this.watchConfig = options?.watchConfig ?? false;
+        this.sendWindow = Math.max(1, options?.sendWindow ?? SEND_WINDOW_DEFAULT);
+        this.sendQueueMaxLen = options?.sendQueueMaxLen ?? SEND_QUEUE_MAX_LEN_DEFAULT;
+        this.seals = new SealRegistry(options?.sealDuplicateWindowMs, options?.sealReportIntervalMs);
+        this.alerts = new AlertEngine(options?.alertRules);
+        this.rateLimiter = new RateLimiter(options?.rateLimit);
+        this.silentReject = options?.silentReject ?? false;
+        this.legacyProtocol = options?.legacyProtocol ?? 'allow';
+        this.pinProtocolV2 = options?.pinProtocolV2 ?? true;
+        this.protocolV2GatewayUIDs = new Set();
+        this.connNonces = new Map();
+        this.metrics = new SSGSMetrics(this);
+        this.historyStore = options?.history ? new HistoryStore(options.history) : null;
+        this.mqtt = options?.mqtt ? new MQTTBridge(this, options.mqtt) : null;
+        this.admin = options?.admin ? new AdminServer(this, options.admin) : null;
+        this.configWatcher = null;
+        this.configReloadTimer = null;
+
+        if (options?.udp ?? true) {
+            for (const bind of options?.bind ?? [{}])
+                this.transports.push(new UDPTransport({ ...bind, port: bind.port ?? port }));
         }
+        if (options?.wss)
+            this.transports.push(new WSSTransport(options.wss));
+        this.transports.push(...(options?.transports ?? []));
+        this.closing = false;
+        this.closed = null;
+        this.tickTimer = null;
+        this.transportsOpen = false;
+
+        this.on('connection', (client) => this.onconnection?.(client));
+        this.alerts.on('alert', (alert) => this.emit('alert', alert));
+        this.alerts.on('alertcleared', (alert) => this.emit('alertcleared', alert));
+        this.rateLimiter.on('blocked', (entry) => {
+            this.logger.warn('Address blocked', { remoteAddress: entry.address, reason: entry.reason, until: new Date(entry.until).toISOString() });
+            this.metrics.addressBlocks.inc({ reason: entry.reason });
+            this.emit('blocked', entry);
+        });
+        this.rateLimiter.on('unblocked', (entry) => {
+            this.logger.info('Address unblocked', { remoteAddress: entry.address });
+            this.emit('unblocked', entry);
+        });
 
-        this.begin();
+        this.logger.debug('Debug logging enabled');
+
+        this.started = this.begin();
     }
 
     /**
      * @method
      * @async
-     * Starts the SSGS server by loading the configuration file and listening for incoming messages on the specified UDP port
+     * Starts the SSGS server by loading the key store and listening for incoming messages on the specified UDP port
+     * and any other transports, a transport that cannot be started is reported with the 'error' event
      */
     async begin() {
-        await this.loadConfig(this.configFilePath);
-        this.socket = dgram.createSocket('udp4');
+        await this.keyStore.reload?.();
+        this.loadMinProtocols(await this.keyStore.list());
+
+        if (this.watchConfig)
+            this.watchConfigFile();
+
+        this.historyStore?.ready.catch((err) => this.emitError(err));
+        this.mqtt?.start();
+        this.admin?.start().catch((err) => this.emitError(err));
+
+        for (const transport of this.transports) {
+            transport.on('packet', (packet, peer) => {
+                this.process(packet, peer).catch((err) => this.emitError(err));
+            });
+            transport.on('senderror', (err, peer) => this.logger.debug('Could not send packet', { remoteAddress: peer.address, port: peer.port, transport: transport.name, err }));
+            transport.on('error', (err) => this.emitError(err));
+        }
 
-        this.socket.on('error', (err) => {
-            console.error('Internal SSGS Server Error:', err.message);
-            this.socket.close();
-        });
+        this.transportsOpen = true;
+        await Promise.all(this.transports.map((transport) => transport.start().catch((err) => this.emitError(err))));
+        this.tickTimer = setInterval(() => this.tickClients(), TICK_INTERVAL_MS);
+    }
 
-        this.socket.on('message', (datagram: Buffer, rinfo: dgram.RemoteInfo) => {
-            this.process(datagram, rinfo);
-        });
+    /**
+     * @method
+     * @async
+     * @param {number} drainTimeoutMs - how long to wait for pending messages to be acknowledged, default is options.closeDrainTimeoutMs
+     * @returns {Promise<void>} - resolves once the socket is closed
+     * Gracefully shuts down the SSGS server: rejects new connections, waits up to drainTimeoutMs for pending messages
+     * to be acknowledged (retransmitting them as usual), stops the tick timer, resolves any remaining send() promises
+     * with false, disconnects every client (calling ondisconnect) and closes the socket so that the event loop can exit
+     * Calling close() more than once returns the same promise
+     */
+    close(drainTimeoutMs?: number): Promise<void> {
+        if (!this.closed)
+            this.closed = this.shutdown(drainTimeoutMs ?? this.closeDrainTimeoutMs);
+
+        return this.closed;
+    }
+
+    private async shutdown(drainTimeoutMs: number) {
+        this.closing = true;
 
-        this.socket.bind(this.port);
-        setInterval(() => this.tickClients(), 200);
+        // wait for begin() so that we do not race the transports being started, a failed start leaves nothing to close
+        try {
+            await this.started;
+        } catch (e) { }
+
+        this.unwatchConfigFile();
+
+        // give the gateways a chance to acknowledge messages that are still in flight or queued,
+        // the tick timer keeps running meanwhile so that lost messages are retransmitted
+        const deadline = Date.now() + drainTimeoutMs;
+        while (Date.now() < deadline && this.connectedClients.some((c) => c.pendingCount > 0)) {
+            await new Promise((resolve) => setTimeout(resolve, Math.min(TICK_INTERVAL_MS, Math.max(deadline - Date.now(), 0))));
+        }
+
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+
+        // removeClient() resolves whatever is left to false
+        for (const client of [...this.connectedClients]) {
+            this.removeClient(client);
+        }
+
+        this.checkingAuthorizationFor = [];
+
+        await this.closeTransports();
+        await this.historyStore?.close().catch((err) => this.emitError(err));
+        await this.mqtt?.stop(drainTimeoutMs); // after removing the clients so that their offline status is published
+        await this.admin?.stop(); // last so that event streams see the disconnects
+        this.logger.info('Server closed');
+    }
+
+    /**
+     * @method
+     * @returns {dgram.Socket | null} - the first UDP socket, null if UDP is disabled or the server has not started
+     */
+    get socket(): dgram.Socket | null {
+        const udp = this.transports.find((transport) => transport instanceof UDPTransport);
+        return udp ? (<UDPTransport>udp).socket : null;
+    }
+
+    /**
+     * @method
+     * @returns {Promise<void>} - resolves once every transport has been closed
+     * Closes the transports if they are still open
+     */
+    private async closeTransports() {
+        if (!this.transportsOpen)
+            return;
+
+        this.transportsOpen = false;
+        await Promise.all(this.transports.map((transport) => transport.close().catch((err) => this.emitError(err))));
+    }
+
+    /**
+     * @method
+     * @param {Buffer} packet - the packed SSGSCP packet to send
+     * @param {TransportPeer} peer - the destination address and the transport to send it over
+     * Sends a packet if the transports are still open, packets produced by handlers that finish after close() are dropped
+     */
+    private sendDatagram(packet: Buffer, peer: TransportPeer) {
+        if (!this.transportsOpen)
+            return;
+
+        peer.transport.send(packet, peer);
     }
 
     /**
@@ -160,50 +626,69 @@ class SSGS {
      * @returns {void}
      * Ticks the connected clients to check for required retransmissions
      * This function should be called periodically, e.g. every 200ms
-     * Sends at most 10 retransmissions per client per tick
+     * Sends at most 10 retransmissions per client per tick, each retransmission doubles the timeout of the message
+     * Also checks the liveness of the Sensor Seals that have an expected reporting interval
      */
     tickClients() {
+        const endTimer = this.metrics.tickDuration.startTimer();
         const now = Date.now();
 
         for (const client of this.connectedClients) {
             // loop over the sent messages and check if any need to be retransmitted, limit to RETRANSMISSIONS_PER_CLIENT_PER_TICK messages per client per tick
             let retransmittedCount = 0;
 
-            for (const sentMessage of client.sentMessages) {
-                if (retransmittedCount < RETRANSMISSIONS_PER_CLIENT_PER_TICK && now - sentMessage.timestamp > client.retransmissionTimeout) {
+            // iterate over a copy since failed messages are removed from the list, the list is never longer than the send window
+            for (const sentMessage of [...client.sentMessages]) {
+                if (!sentMessage.packet) // still being packed
+                    continue;
+
+                if (retransmittedCount < RETRANSMISSIONS_PER_CLIENT_PER_TICK && now - sentMessage.timestamp > sentMessage.timeout) {
                     // retransmit the message
-                    this.socket.send(new Uint8Array(sentMessage.packet), client.sourcePort, client.remoteAddress, (err) => {
-                        if (err)
-                            logIfSSGSDebug('Error: Could not send packet: ' + err);
-                    });
-                    logIfSSGSDebug('Retransmitting packet to client ' + SSGS.uidToString(client.gatewayUID) + ': ' + sentMessage.packetID + ', num pending: ' + client.sentMessages.length);
+                    this.retransmit(client, sentMessage).catch((err) => this.emitError(err, client));
+                    this.metrics.retransmissions.inc();
+                    this.logger.debug('Retransmitting packet', { gatewayUID: client.gatewayUID, packetID: sentMessage.packetID, pending: client.sentMessages.length });
                     sentMessage.timestamp = Date.now();
                     sentMessage.retransmissionCount++;
+                    sentMessage.timeout = Math.min(sentMessage.timeout * 2, RTO_MAX_MS); // exponential backoff
 
                     // if the message has been retransmitted more than RETRANSMISSION_COUNT_MAX times, remove it from the list and resolve the promise to false
                     if (sentMessage.retransmissionCount > RETRANSMISSION_COUNT_MAX) {
                         sentMessage.resolve(false);
                         client.sentMessages.splice(client.sentMessages.indexOf(sentMessage), 1);
+                        this.metrics.deliveryFailures.inc({ reason: 'timeout' });
                     }
 
                     retransmittedCount++;
                 }
             }
 
+            // failed messages free up room in the window
+            this.transmitQueued(client);
+
             // remove the client if it has not been seen for LAST_SEEN_TIMEOUT_MS
             if (now - client.lastSeen > LAST_SEEN_TIMEOUT_MS) {
                 this.removeClient(client);
-                logIfSSGSDebug('Client ' + SSGS.uidToString(client.gatewayUID) + ' removed due to inactivity');
+                this.logger.info('Client removed due to inactivity', { gatewayUID: client.gatewayUID, remoteAddress: client.remoteAddress });
             }
 
         }
 
+        this.rateLimiter.prune(now);
+
+        // check the seals after the clients so that a gateway that just timed out no longer counts as reachable
+        const connectedGatewayUIDs = this.connectedClients.map((client) => client.gatewayUID.toString('hex'));
+        for (const change of this.seals.checkLiveness(now, (gatewayUID) => connectedGatewayUIDs.indexOf(gatewayUID) !== -1)) {
+            this.logger.info('Seal is ' + change.status, { sensorSealUID: change.seal.sensorSealUID, reason: change.reason });
+            this.emit(change.status === 'offline' ? 'sealoffline' : 'sealstale', change.seal, change.reason);
+        }
+
         for (let i = 0; i < this.checkingAuthorizationFor.length; i++) {
             if (now - this.checkingAuthorizationFor[i].timestamp > AUTH_CHECK_TIMEOUT_MS) {
                 this.checkingAuthorizationFor.splice(i, 1);
             }
         }
 
+        endTimer();
     }
 
     /**
@@ -214,80 +699,316 @@ class SSGS {
      */
     removeClient(client: Client) {
         const index = this.connectedClients.indexOf(client);
+        if (index == -1) // already removed
+            return;
+
         this.connectedClients.splice(index, 1);
         client.connected = false;
-        client.ondisconnect();
+
+        client._reconnectTimers.forEach((reconnectTimer) => clearTimeout(reconnectTimer));
+        client._reconnectTimers.clear();
+
+        this.failPendingMessages(client, true);
+        client.emit('disconnect');
+        this.emit('disconnect', client);
     }
 
+    /**
+     * @method
+     * @param {Error} err - the error to report
+     * @param {Client} client - the client the error relates to, if any
+     * Emits an 'error' event on the client and the server, errors with no listeners are logged instead of thrown
+     */
+    emitError(err: Error, client?: Client) {
+        if (client && client.listenerCount('error') > 0)
+            client.emit('error', err);
+
+        if (this.listenerCount('error') > 0)
+            this.emit('error', err);
+        else
+            this.logger.error('Internal SSGS Server Error', { gatewayUID: client?.gatewayUID, err });
+    }
+
+    /**
+     * @method
+     * @param {TransportPeer} rinfo - the remote address information of the rejected packet
+     * @param {Buffer} gatewayUID - the UID of the rejected gateway
+     * @param {AuthFailure['reason']} reason - why the gateway was rejected
+     * @param {1 | 2} version - the SSGSCP version of the rejected packet, the CONNFAIL is sent in the same version
+     * Sends a CONNFAIL packet to the gateway and emits an 'authfailure' event
+     */
+    rejectGateway(rinfo: TransportPeer, gatewayUID: Buffer, reason: AuthFailure['reason'], version: 1 | 2 = 1) {
+        this.metrics.datagramsRejected.inc({ reason });
+        this.rateLimiter.recordFailure(rinfo.address, gatewayUID);
+
+        if (this.silentReject && reason === 'unauthorized')
+            this.metrics.connfailsSuppressed.inc();
+        else
+            this.sendCONNFAIL(rinfo, gatewayUID, version);
+
+        this.emit('authfailure', { gatewayUID, remoteAddress: rinfo.address, port: rinfo.port, transport: rinfo.transport.name, reason });
+    }
+
+
+    /**
+     * @method
+     * @async
+     * @param {TransportPeer} rinfo - the remote address information of the rejected packet
+     * @param {Buffer} gatewayUID - the gateway UID the packet claims
+     * @param {DatagramRejectReason} reason - why the packet was rejected
+     * @param {1 | 2} version - the SSGSCP version of the rejected packet, the CONNFAIL is sent in the same version
+     * @param {boolean} authenticated - whether the packet was authenticated with the gateway's key
+     * Answers a packet that is rejected without being an authentication failure with CONNFAIL. With silentReject set, a packet
+     * that was not authenticated is only answered if its gateway UID is connected or in the key store
+     */
+    private async rejectDatagram(rinfo: TransportPeer, gatewayUID: Buffer, reason: DatagramRejectReason, version: 1 | 2, authenticated: boolean) {
+        this.metrics.datagramsRejected.inc({ reason });
+
+        if (this.silentReject && !authenticated && !this.connectedClients.some((c) => SSGS.gatewayUIDsMatch(c.gatewayUID, gatewayUID))) {
+            const key = await this.keyStore.lookup(gatewayUID).catch(() => null);
+            if (!key) {
+                this.metrics.connfailsSuppressed.inc();
+                return;
+            }
+        }
+
+        await this.sendCONNFAIL(rinfo, gatewayUID, version);
+    }
+
+    /**
+     * @method
+     * @param {Buffer} gatewayUID - the UID of the gateway that sent an authenticated SSGSCP v2 CONN
+     * @param {Buffer} nonce - the gateway nonce of the CONN
+     * @returns {boolean} - true if the nonce is new and has been recorded, false if an earlier CONN used it
+     * A CONN only authenticates the PSK, so a captured one stays valid. Without this check replaying it would replace
+     * the gateway's live session with one nobody can use
+     */
+    private acceptConnNonce(gatewayUID: Buffer, nonce: Buffer): boolean {
+        const uid = gatewayUID.toString('hex');
+        const nonces = this.connNonces.get(uid) ?? new Set<string>();
+        const hexNonce = nonce.toString('hex');
+
+        if (nonces.has(hexNonce))
+            return false;
+
+        nonces.add(hexNonce);
+        if (nonces.size > CONN_NONCES_PER_GATEWAY)
+            nonces.delete(nonces.values().next().value);
+
+        this.connNonces.set(uid, nonces);
+        return true;
+    }
+
+    /**
+     * @method
+     * @param {Buffer} gatewayUID - the UID of a gateway sending SSGSCP v1 packets
+     * @returns {boolean} - whether the legacyProtocol option and the gateway's minProtocol let the gateway use v1
+     */
+    acceptsProtocolV1(gatewayUID: Buffer): boolean {
+        if (this.protocolV2GatewayUIDs.has(gatewayUID.toString('hex')))
+            return false;
+
+        if (typeof this.legacyProtocol === 'function')
+            return this.legacyProtocol(gatewayUID);
+
+        return this.legacyProtocol !== 'deny';
+    }
+
+    /**
+     * @method
+     * @param {Buffer} gatewayUID - the UID of a gateway that has connected with SSGSCP v2
+     * Refuses the gateway v1 from now on and records minProtocol 2 in the key store so that this survives a restart
+     * Gateways authorized by onconnectionattempt are not in the key store and are only pinned until the server restarts
+     */
+    private pinToProtocolV2(gatewayUID: Buffer) {
+        const uid = gatewayUID.toString('hex');
+        if (this.protocolV2GatewayUIDs.has(uid))
+            return;
+
+        this.protocolV2GatewayUIDs.add(uid);
+        this.keyStore.setMinProtocol?.(gatewayUID, 2).catch((err) => {
+            this.emitError(new Error('SSGS Key Store: could not record minProtocol for gateway UID ' + SSGS.uidToString(gatewayUID) + ': ' + err.message));
+        });
+    }
+
+    /**
+     * @method
+     * @param {Array<GatewayKeyEntry>} entries - every gateway in the key store
+     * Applies the minProtocol of each gateway, a store without setMinProtocol() cannot unpin gateways pinned since the start
+     */
+    private loadMinProtocols(entries: Array<GatewayKeyEntry>) {
+        for (const entry of entries) {
+            const uid = entry.gatewayUID.toString('hex');
+            if (entry.minProtocol === 2)
+                this.protocolV2GatewayUIDs.add(uid);
+            else if (this.keyStore.setMinProtocol)
+                this.protocolV2GatewayUIDs.delete(uid);
+        }
+    }
 
     /**
      * @method
      * @param {Client} client - the client to send the message to
      * @param {PacketType} packetType - the type of packet to send
      * @param {Buffer} payload - the payload of the packet
-     * @returns {void}
+     * @returns {Promise<boolean>} - whether the message was received ok
      * Sends a message to the specified client
-     * The message is added to the sentMessages list and will be retransmitted if no RCPTOK packet is received within the retransmission timeout
+     * The message is added to the client's send queue and transmitted once there are fewer than sendWindow messages in flight.
+     * It is then added to the sentMessages list and will be retransmitted if no RCPTOK packet is received within the retransmission timeout.
+     * Resolves to false straight away if the send queue is full
      */
     async sendMSG(client: Client, packetType: PacketType, payload: Buffer): Promise<boolean> {
+        if (!this.transportsOpen || !client.connected) {
+            this.metrics.deliveryFailures.inc({ reason: 'not-connected' });
+            return false;
+        }
+
+        if (client.sendQueue.length >= this.sendQueueMaxLen) {
+            this.logger.warn('Send queue full, dropping message', { gatewayUID: client.gatewayUID, queued: client.sendQueue.length });
+            this.metrics.deliveryFailures.inc({ reason: 'queue-full' });
+            return false;
+        }
+
+        const endTimer = this.metrics.deliveryDuration.startTimer();
+
+        // create a promise that will be resolved when the RCPTOK packet is received
+        const promise = new Promise<boolean>((resolve) => {
+            client.sendQueue.push({ packetType, payload, resolve });
+        });
+        client._drainPending = true;
+
+        this.transmitQueued(client);
+
+        // return the promise that will be resolved when the RCPTOK packet is received, failures are counted where they are resolved
+        const receivedOk = await promise;
+        if (receivedOk) {
+            this.metrics.messagesDelivered.inc();
+            endTimer();
+        }
+
+        return receivedOk;
+    }
+
+    /**
+     * @method
+     * @param {Client} client - the client whose send queue should be serviced
+     * Moves messages from the send queue into the send window while there is room and transmits them
+     * Emits 'drain' on the client once nothing is queued or in flight
+     */
+    private transmitQueued(client: Client) {
+        while (client.connected && this.transportsOpen && client.sendQueue.length > 0 && client.sentMessages.length < this.sendWindow) {
+            const queuedMessage = client.sendQueue.shift();
+
+            // add the sent message to the sentMessages list straight away so that it occupies its slot in the window
+            // and the packet ID is assigned in queue order, the packet is filled in once it has been packed
+            const sentMessage: SentMessage = {
+                packetID: client.sendPacketID,
+                timestamp: Date.now(), // the timestamp of when the message was sent
+                packet: null,
+                fields: null,
+                resolve: queuedMessage.resolve, // called when the RCPTOK packet is received
+                receivedOk: false, // set to true when the RCPTOK packet is received
+                retransmissionCount: 0, // the number of times the message has been retransmitted
+                timeout: client.retransmissionTimeout // backed off on each retransmission
+            };
+
+            client.sentMessages.push(sentMessage);
+
+            // increment the packet ID
+            client.sendPacketID = (client.sendPacketID + 1) % NUM_PACKET_IDS;
+
+            this.transmitMessage(client, sentMessage, queuedMessage);
+        }
+
+        if (client.connected && client._drainPending && client.pendingCount === 0) {
+            client._drainPending = false;
+            client.emit('drain');
+        }
+    }
+
+    /**
+     * @method
+     * @async
+     * @param {Client} client - the client to send the message to
+     * @param {SentMessage} sentMessage - the entry in the client's sentMessages list
+     * @param {QueuedMessage} queuedMessage - the message to pack
+     * Packs and transmits a message that has been given a slot in the send window
+     */
+    private async transmitMessage(client: Client, sentMessage: SentMessage, queuedMessage: QueuedMessage) {
         const packet: ParsedSSGSCPPacket = {
-            packetType,
+            packetType: queuedMessage.packetType,
             gatewayUID: client.gatewayUID,
-            packetID: client.sendPacketID,
-            payload
+            packetID: sentMessage.packetID,
+            payload: queuedMessage.payload
         };
 
-        logIfSSGSDebug('Send to client: ' + JSON.stringify(packet));
+        this.logger.debug('Sending packet', { gatewayUID: packet.gatewayUID, packetID: packet.packetID, packetType: packet.packetType, payload: packet.payload });
+
+        const packedPacket = client.session ? await SSGSCP.packSSGSCPv2(packet, client.session) : await SSGSCP.packSSGSCP(packet, client.key);
+
+        // the message may have been cleared (client removed, reconnected or changed address) while it was being packed
+        const index = client.sentMessages.indexOf(sentMessage);
+        if (index == -1)
+            return;
 
-        const packedPacket = await SSGSCP.packSSGSCP(packet, client.key);
         if (!packedPacket) {
-            logIfSSGSDebug('Error: Could not pack packet: ' + SSGSCP.errMsg);
+            this.logger.error('Could not pack packet', { gatewayUID: client.gatewayUID, packetID: sentMessage.packetID, reason: SSGSCP.errMsg });
+            client.sentMessages.splice(index, 1);
+            sentMessage.resolve(false);
+            this.metrics.deliveryFailures.inc({ reason: 'pack-error' });
+            this.transmitQueued(client);
             return;
         }
 
-        this.socket.send(new Uint8Array(packedPacket), client.sourcePort, client.remoteAddress, (err) => {
-            if (err) {
-                logIfSSGSDebug('Error: Could not send packet: ' + err);
-            }
-        });
+        sentMessage.packet = packedPacket;
+        sentMessage.fields = packet;
+        sentMessage.timestamp = Date.now();
+        this.sendDatagram(packedPacket, client.peer);
+        this.metrics.packetSent(queuedMessage.packetType);
+    }
 
-        // create a promise that will be resolved when the RCPTOK packet is received
-        let resolve: (receivedOk: boolean) => void;
-        const promise = new Promise<boolean>((res, rej) => {
-            resolve = res;
-        });
+    /**
+     * @method
+     * @async
+     * @param {Client} client - the client the message was sent to
+     * @param {SentMessage} sentMessage - the message that was not acknowledged in time
+     * Sends a message again, v1 packets as they are and v2 packets packed again since the gateway drops sequence numbers it has seen
+     */
+    private async retransmit(client: Client, sentMessage: SentMessage) {
+        const session = client.session;
+        if (!session) {
+            this.sendDatagram(sentMessage.packet, client.peer);
+            return;
+        }
 
-        // add the sent message to the sentMessages list
-        const sentMessage: SentMessage = {
-            packetID: client.sendPacketID,
-            timestamp: Date.now(), // the timestamp of when the message was sent
-            packet: packedPacket,
-            resolve, // called when the RCPTOK packet is received
-            receivedOk: false, // set to true when the RCPTOK packet is received
-            retransmissionCount: 0 // the number of times the message has been retransmitted
-        };
+        const packedPacket = await SSGSCP.packSSGSCPv2(sentMessage.fields, session);
 
-        client.sentMessages.push(sentMessage);
+        // the session may have been replaced, or the message acknowledged or cleared, while it was being packed
+        if (packedPacket && client.session === session && client.sentMessages.indexOf(sentMessage) !== -1)
+            this.sendDatagram(packedPacket, client.peer);
+    }
 
-        // increment the packet ID
-        client.sendPacketID = (client.sendPacketID + 1) % NUM_PACKET_IDS;
+    /**
+     * @method
+     * @param {Client} client - the client whose messages should be failed
+     * @param {boolean} includeQueued - whether messages that have not been transmitted yet should also be failed
+     * Resolves the promises of in-flight (and optionally queued) messages to false and clears them
+     */
+    private failPendingMessages(client: Client, includeQueued: boolean) {
+        const failed: Array<{ resolve: (receivedOk: boolean) => void }> = [...client.sentMessages];
+        client.sentMessages = [];
 
-        // if the sentMessages list is too long, remove the oldest message
-        // if (client.sentMessages.length > SENT_MSG_LIST_MAX_LEN) {
-        //     client.sentMessages.shift();
-        // }
+        if (includeQueued) {
+            failed.push(...client.sendQueue);
+            client.sendQueue = [];
+        }
 
-        // Workaround: instead, if the sentMessages list is too long, remove the client so that it can reconnect
-        // if the number of sent messages is equal to SENT_MSG_LIST_MAX_LEN, this indicates there is a serious
-        // problem with the client or network (high latency), so we remove the client to try and resolve the issue
-        // This needs to be addressed properly in the future
-        if (client.sentMessages.length > SENT_MSG_LIST_MAX_LEN) {
-            this.removeClient(client);
-            logIfSSGSDebug('Client ' + SSGS.uidToString(client.gatewayUID) + ' removed due to too many pending messages. It should reconnect after some time.');
+        for (const message of failed) {
+            message.resolve(false);
         }
 
-        // return the promise that will be resolved when the RCPTOK packet is received
-        return await promise;
+        if (failed.length > 0)
+            this.metrics.deliveryFailures.inc({ reason: 'cleared' }, failed.length);
     }
 
     /**
@@ -330,21 +1051,67 @@ class SSGS {
     /**
          * @method
          * @param {object} parsedPacket - the parsed packet object from SSGSCP.parseSSGSCP
-         * @param {object} rinfo - the remote address information from the UDP socket
+         * @param {TransportPeer} rinfo - the remote address information from the transport
          * Processes the incoming packet and calls the onmessage callback function
          */
-    async process(datagram: Buffer, rinfo: dgram.RemoteInfo) {
+    async process(datagram: Buffer, rinfo: TransportPeer) {
+        this.metrics.datagramsReceived.inc();
+        const endTimer = this.metrics.processDuration.startTimer();
+
+        try {
+            await this.processDatagram(datagram, rinfo);
+        } finally {
+            endTimer();
+        }
+    }
+
+    private async processDatagram(datagram: Buffer, rinfo: TransportPeer) {
 
         const gatewayUID = SSGSCP.parsePacketGatewayUID(datagram);
         if (!gatewayUID) {
-            logIfSSGSDebug('Error: Could not parse gateway UID from packet');
+            this.logger.debug('Could not parse gateway UID from packet', { remoteAddress: rinfo.address, port: rinfo.port, reason: SSGSCP.errMsg });
+            this.metrics.datagramsRejected.inc({ reason: 'bad-header' });
             return;
         }
 
         // try find the Client state machine for this gateway client (in connectedClients)
         let client = this.connectedClients.find((c) => SSGS.gatewayUIDsMatch(c.gatewayUID, gatewayUID));
 
-        let callbackProvidedKey: Buffer | null = null;
+        // blocked addresses are dropped outright, gateways without a session are rate limited before their key is looked up
+        const limited = client ? (this.rateLimiter.isBlocked(rinfo.address) ? 'blocked' : null) : this.rateLimiter.check(rinfo.address, gatewayUID);
+        if (limited) {
+            this.logger.trace('Dropping datagram', { gatewayUID, remoteAddress: rinfo.address, reason: limited });
+            this.metrics.datagramsRejected.inc({ reason: limited });
+            return;
+        }
+
+        const version = SSGSCP.packetVersion(datagram);
+        const isHandshake = version === 2 && SSGSCP.isHandshake(datagram); // a v2 CONN, read with the handshake key
+        const session = client?.session ?? null; // the v2 session the packet belongs to, if it is a session packet
+
+        if (version === 1 && !this.acceptsProtocolV1(gatewayUID)) {
+            this.logger.info('Rejecting SSGSCP v1 gateway', { gatewayUID, remoteAddress: rinfo.address });
+            this.rejectGateway(rinfo, gatewayUID, 'legacy-protocol');
+            return;
+        }
+
+        // the server is shutting down, do not start authorizing new gateways
+        if (!client && this.closing) {
+            this.logger.debug('Rejecting gateway, server is closing', { gatewayUID, remoteAddress: rinfo.address });
+            await this.rejectDatagram(rinfo, gatewayUID, 'closing', version, false);
+            return;
+        }
+
+        // a v2 session packet can only be read with its session, e.g. after a server restart the gateway has to send CONN again
+        if (version === 2 && !isHandshake && !session) {
+            this.logger.debug('Rejecting SSGSCP v2 packet without a session', { gatewayUID, remoteAddress: rinfo.address });
+            await this.rejectDatagram(rinfo, gatewayUID, 'unknown-client', version, false);
+            return;
+        }
+
+        // connected clients keep using the key of their session, key store changes are applied by reloadConfig() and revokeGateway()
+        let key: Buffer | null = client?.key ?? null;
+        let failureReason: AuthFailure['reason'] | null = null;
 
         if (!client && !this.isCheckingAuthorizationFor(gatewayUID)) { // client not found, check if gateway is authorized
             this.setCheckingAuthorizationFor(gatewayUID);
@@ -352,39 +1119,45 @@ class SSGS {
             // Note: We keep the CheckingAuthorizationFor flag active until the very end of the connection process
             // to prevent race conditions where multiple CONN packets try to authorize simultaneously.
 
-            if (!this.isAuthorizedGateway(gatewayUID)) {
-                logIfSSGSDebug('Connecting gateway is not authorized in config, trying onconnectionattempt callback');
+            try {
+                key = await this.keyStore.lookup(gatewayUID);
+            } catch (e: any) {
+                this.emitError(new Error('SSGS Key Store: lookup failed for gateway UID ' + SSGS.uidToString(gatewayUID) + ': ' + e.message));
+                this.metrics.datagramsRejected.inc({ reason: 'key-store-error' });
+                this.removeCheckingAuthorizationFor(gatewayUID);
+                return;
+            }
 
-                callbackProvidedKey = await this.onconnectionattempt(gatewayUID, rinfo.address, rinfo.port);
+            if (!key) {
+                this.logger.debug('Connecting gateway is not in the key store, trying onconnectionattempt callback', { gatewayUID, remoteAddress: rinfo.address });
 
-                let failed = false;
+                key = await this.onconnectionattempt(gatewayUID, rinfo.address, rinfo.port);
 
-                if (!callbackProvidedKey) {
-                    logIfSSGSDebug('onconnectionattempt did not authorize gateway UID: ' + SSGS.uidToString(gatewayUID) + ' from address: ' + rinfo.address);
-                    failed = true;
-                } else if (callbackProvidedKey.length != SSGSCP.PSK_LEN_BYTES) {
-                    logIfSSGSDebug('onconnectionattempt provided invalid PSK for gateway UID: ' + SSGS.uidToString(gatewayUID));
-                    failed = true;
+                if (!key) {
+                    this.logger.info('onconnectionattempt did not authorize gateway', { gatewayUID, remoteAddress: rinfo.address });
+                    failureReason = 'unauthorized';
+                } else if (key.length != SSGSCP.PSK_LEN_BYTES) {
+                    this.logger.warn('onconnectionattempt provided a key of the wrong length', { gatewayUID, remoteAddress: rinfo.address });
+                    failureReason = 'invalid-key';
+                } else {
+                    this.logger.info('onconnectionattempt authorized gateway', { gatewayUID, remoteAddress: rinfo.address });
                 }
 
-                if (failed) {
-                    this.sendCONNFAIL(rinfo, gatewayUID);
+                if (failureReason) {
+                    this.rejectGateway(rinfo, gatewayUID, failureReason, version);
                     this.removeCheckingAuthorizationFor(gatewayUID);
                     return;
                 }
 
-                logIfSSGSDebug('onconnectionattempt authorized gateway UID: ' + SSGS.uidToString(gatewayUID) + ' from address: ' + rinfo.address);
                 // CRITICAL: We do NOT removeCheckingAuthorizationFor here. We wait until the client is added.
             }
         }
 
-        // first try get the key from the config file, if not found, try get it from the callback, if not found, try get it from the client object (if it exists)
-        const key = this.getGatewayKey(gatewayUID) ?? callbackProvidedKey ?? client?.key;
         if (!key) {
-            // Only log if we aren't currently checking auth (prevent log spam during auth process)
-            // But if we are here and have no key, we failed.
-            logIfSSGSDebug('Error: Could not find key for gateway UID: ' + SSGS.uidToString(gatewayUID));
-            this.removeCheckingAuthorizationFor(gatewayUID);
+            // Another handler is still authorizing this gateway, leave its flag in place and drop this packet,
+            // the gateway retransmits until it receives CONNACPT
+            this.logger.debug('Dropping packet, authorization in progress', { gatewayUID, remoteAddress: rinfo.address });
+            this.metrics.datagramsRejected.inc({ reason: 'authorizing' });
             return;
         }
 
@@ -399,24 +1172,83 @@ class SSGS {
             myProcessSeq = client._processSeq;
         }
 
-        // try parse the packet using the key
+        // try parse the packet using the key, v2 handshake packets use a key derived from it and session packets the session key
         // This is ASYNC - the event loop yields here, so other packet handlers can run.
-        const parsedPacket = await SSGSCP.parseSSGSCP(datagram, key);
+        let parsedPacket: ParsedSSGSCPPacket | null;
+        if (version === 1)
+            parsedPacket = await SSGSCP.parseSSGSCP(datagram, key);
+        else if (isHandshake)
+            parsedPacket = await SSGSCP.parseSSGSCPv2Handshake(datagram, key, 'server');
+        else
+            parsedPacket = await SSGSCP.parseSSGSCPv2(datagram, session);
 
         if (!parsedPacket) { // could not parse the packet
-            logIfSSGSDebug(SSGS.uidToString(gatewayUID) + ': ' + 'Error: Could not parse packet: ' + SSGSCP.errMsg);
-            this.sendCONNFAIL(rinfo, gatewayUID);
+            this.logger.info('Could not parse packet', { gatewayUID, remoteAddress: rinfo.address, reason: SSGSCP.errMsg });
+            this.rejectGateway(rinfo, gatewayUID, 'parse-error', version);
             this.removeCheckingAuthorizationFor(gatewayUID);
             return;
         }
 
         if (!parsedPacket.authSuccess) { // could not authenticate the packet using the key (invalid Message Authentication Code)
-            logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Could not authenticate gateway');
-            this.sendCONNFAIL(rinfo, gatewayUID);
+            // a v2 session packet sealed with an earlier session key is not an attack on the PSK, e.g. it was in flight when the
+            // gateway reconnected, so it is not counted towards backoff. It is dropped without a CONNFAIL, connected gateways
+            // skip the token buckets and anyone can send junk with their UID, a gateway that lost its session reconnects when
+            // its packets go unacknowledged
+            if (version === 2 && !isHandshake) {
+                this.logger.info('Dropping packet that could not be authenticated with the session key', { gatewayUID, remoteAddress: rinfo.address });
+                this.metrics.datagramsRejected.inc({ reason: 'bad-auth-code' });
+                this.removeCheckingAuthorizationFor(gatewayUID);
+                return;
+            }
+
+            this.logger.info('Could not authenticate gateway', { gatewayUID, remoteAddress: rinfo.address });
+            this.rejectGateway(rinfo, gatewayUID, 'bad-auth-code', version);
+            this.removeCheckingAuthorizationFor(gatewayUID);
+            return;
+        }
+
+        // the only v2 handshake packet a gateway sends is CONN, and within a v2 session v1 packets could only be replays of old captures
+        if (parsedPacket.packetType !== PacketType.CONN && (isHandshake || (version === 1 && session))) {
+            this.logger.debug('Dropping packet of the wrong protocol version', { gatewayUID, remoteAddress: rinfo.address, packetType: parsedPacket.packetType, version });
+            this.metrics.datagramsRejected.inc({ reason: 'protocol-mismatch' });
             this.removeCheckingAuthorizationFor(gatewayUID);
             return;
         }
 
+        // authenticated v2 session packets are only processed once, retransmissions by the gateway carry new sequence numbers
+        if (parsedPacket.sequence !== undefined && !session.replayWindow.accept(parsedPacket.sequence)) {
+            this.logger.debug('Dropping replayed packet', { gatewayUID, remoteAddress: rinfo.address, sequence: parsedPacket.sequence });
+            this.metrics.datagramsRejected.inc({ reason: 'replay' });
+            return;
+        }
+
+        // a v2 CONN opens a new session, unless it repeats the CONN of the current session (the CONNACPT was lost, or it is a replay)
+        let newSession: SSGSCPSession | null = null;
+        if (isHandshake) {
+            if (session && session.gatewayNonce.equals(parsedPacket.payload)) {
+                this.sendCONNACPT(rinfo, key, gatewayUID, session);
+                return;
+            }
+
+            if (!this.acceptConnNonce(gatewayUID, parsedPacket.payload)) {
+                this.logger.info('Dropping replayed SSGSCP v2 CONN', { gatewayUID, remoteAddress: rinfo.address });
+                this.metrics.datagramsRejected.inc({ reason: 'replay' });
+                this.removeCheckingAuthorizationFor(gatewayUID);
+                return;
+            }
+
+            newSession = await SSGSCP.openSession(key, parsedPacket.payload, crypto.randomBytes(SSGSCP.NONCE_LEN_BYTES), 'server');
+            if (!newSession) {
+                this.logger.info('Could not open SSGSCP v2 session', { gatewayUID, remoteAddress: rinfo.address, reason: SSGSCP.errMsg });
+                this.rejectGateway(rinfo, gatewayUID, 'parse-error', version);
+                this.removeCheckingAuthorizationFor(gatewayUID);
+                return;
+            }
+
+            if (this.pinProtocolV2)
+                this.pinToProtocolV2(gatewayUID);
+        }
+
         // if the client was not found initially, check again now.
         // Another packet might have created the client while we were awaiting parseSSGSCP.
         if (!client) {
@@ -425,41 +1257,30 @@ class SSGS {
 
         // if the client is still not found, this is a new connection, so we need to add it to the connectedClients list
         if (!client) {
+            if (this.closing) { // close() was called while we were awaiting parseSSGSCP
+                this.removeCheckingAuthorizationFor(gatewayUID);
+                await this.rejectDatagram(rinfo, parsedPacket.gatewayUID, 'closing', version, true);
+                return;
+            }
+
             if (parsedPacket.packetType === PacketType.CONN) {
-                this.sendCONNACPT(rinfo, key, parsedPacket.gatewayUID);
-                const newClient: Client = {
-                    gatewayUID: parsedPacket.gatewayUID,
-                    sourcePort: rinfo.port,
-                    remoteAddress: rinfo.address,
-                    lastSeen: Date.now(),
-                    connected: true,
-                    sendPacketID: 0,
-                    retransmissionTimeout: RETRANSMISSION_TIMEOUT_MS,
-                    sentMessages: [],
-                    receivedMessageIDsFIFO: [],
-                    key: key,
-                    _processSeq: 0,
-                    onmessage: (parsedMessage: ParsedMessage) => { },
-                    onupdate: (parsedUpdate: SensorSealUpdate) => { },
-                    onreconnect: () => { },
-                    ondisconnect: () => { },
-                    send: async (payload: Buffer) => {
-                        return await this.sendMSG(newClient, PacketType.MSGCONF, payload);
-                    }
-                };
+                this.sendCONNACPT(rinfo, key, parsedPacket.gatewayUID, newSession);
+                const newClient = new Client(this, parsedPacket.gatewayUID, rinfo, key);
+                newClient.session = newSession;
 
                 this.connectedClients.push(newClient);
-                this.onconnection(newClient);
+                this.rateLimiter.recordSuccess(rinfo.address, gatewayUID);
+                this.emit('connection', newClient);
 
                 // CRITICAL: Now that the client is safely in the list, we remove the protection flag.
                 this.removeCheckingAuthorizationFor(gatewayUID);
 
-                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'New client connected');
+                this.logger.info('New client connected', { gatewayUID, remoteAddress: rinfo.address, port: rinfo.port, transport: rinfo.transport.name, version });
                 return;
             } else {
-                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Client not found in connectedClients and packet type is not CONN');
-                this.sendCONNFAIL(rinfo, parsedPacket.gatewayUID);
+                this.logger.debug('Rejecting packet from a gateway that is not connected', { gatewayUID, remoteAddress: rinfo.address, packetType: parsedPacket.packetType });
                 this.removeCheckingAuthorizationFor(gatewayUID);
+                await this.rejectDatagram(rinfo, parsedPacket.gatewayUID, 'unknown-client', version, true);
                 return;
             }
         }
@@ -474,55 +1295,78 @@ class SSGS {
 
         if (!isStaleHandler) {
             // Check if the client's address/port actually changed
-            const addressChanged = client.remoteAddress !== rinfo.address || client.sourcePort !== rinfo.port;
+            const addressChanged = client.remoteAddress !== rinfo.address || client.sourcePort !== rinfo.port || client.transport !== rinfo.transport;
 
             if (addressChanged && client.sentMessages.length > 0) {
                 // Address changed while messages were pending - those messages were being
                 // retransmitted to the old address and will never be ACK'd. Clear them
                 // and let the application layer re-send if needed.
-                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' +
-                    'Client address changed from ' + client.remoteAddress + ':' + client.sourcePort +
-                    ' to ' + rinfo.address + ':' + rinfo.port +
-                    ', clearing ' + client.sentMessages.length + ' stale pending messages');
-                for (const msg of client.sentMessages) {
-                    msg.resolve(false);
-                }
-                client.sentMessages = [];
+                this.logger.info('Client address changed, clearing stale pending messages', {
+                    gatewayUID,
+                    previousAddress: client.remoteAddress + ':' + client.sourcePort,
+                    remoteAddress: rinfo.address,
+                    port: rinfo.port,
+                    transport: rinfo.transport.name,
+                    cleared: client.sentMessages.length
+                });
+                this.failPendingMessages(client, false);
             }
 
             client.lastSeen = Date.now();
             client.remoteAddress = rinfo.address;
             client.sourcePort = rinfo.port;
+            client.transport = rinfo.transport;
+
+            // queued messages that have not been transmitted yet go to the new address
+            if (addressChanged)
+                this.transmitQueued(client);
         } else {
             // Stale handler - a newer packet already updated the address.
             // Still update lastSeen since this packet proves the client is alive.
             client.lastSeen = Date.now();
-            logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' +
-                'Skipping address update from stale handler (current: ' + client.remoteAddress + ', stale: ' + rinfo.address + ')');
+            this.logger.debug('Skipping address update from stale handler', { gatewayUID, remoteAddress: client.remoteAddress, staleAddress: rinfo.address });
         }
 
-        logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Received packet: ' + JSON.stringify(parsedPacket));
+        this.logger.debug('Received packet', { gatewayUID, remoteAddress: rinfo.address, packetID: parsedPacket.packetID, packetType: parsedPacket.packetType, payload: parsedPacket.payload });
 
         switch (parsedPacket.packetType) {
             // CONNACPT is sent by the server to the client to indicate that the CONN packet was received
             case PacketType.CONN: {
+                if (this.closing) {
+                    this.logger.debug('Rejecting CONN packet, server is closing', { gatewayUID, remoteAddress: rinfo.address });
+                    await this.rejectDatagram(rinfo, parsedPacket.gatewayUID, 'closing', version, true);
+                    return;
+                }
+
                 // we already have a client state machine but receivinng this could mean that the client restarted,
                 // so we need to reset part of the state machine
+                client.reconnectCount++;
                 client.sendPacketID = 0;
-                client.retransmissionTimeout = RETRANSMISSION_TIMEOUT_MS; // assume RTT is 2000 ms for now
-                client.sentMessages = [];
+                client.resetRTT(); // the path may have changed, start measuring again
+                this.failPendingMessages(client, false); // in-flight messages were lost with the restart, queued ones are still sent
                 client.receivedMessageIDsFIFO = [];
+                client.session = newSession; // a v1 CONN ends a v2 session, unless pinProtocolV2 rejected it
                 client.remoteAddress = rinfo.address;
                 client.sourcePort = rinfo.port;
+                client.transport = rinfo.transport;
 
-                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Warning: Received CONN packet from already connected client, assuming client restarted');
+                this.logger.info('Received CONN packet from already connected client, assuming client restarted', { gatewayUID, remoteAddress: rinfo.address, port: rinfo.port });
 
                 // send CONNACPT to client to indicate that we received the packet
-                this.sendCONNACPT(rinfo, key, parsedPacket.gatewayUID);
-
-                setTimeout(() => {
-                    client.onreconnect();
+                this.sendCONNACPT(rinfo, key, parsedPacket.gatewayUID, newSession);
+                this.transmitQueued(client);
+
+                // emitted outside process(), so errors thrown by listeners are caught here
+                const reconnectTimer = setTimeout(() => {
+                    client._reconnectTimers.delete(reconnectTimer);
+                    try {
+                        client.emit('reconnect');
+                        this.emit('reconnect', client);
+                    } catch (err) {
+                        this.emitError(err, client);
+                    }
                 }, client.retransmissionTimeout);
+                client._reconnectTimers.add(reconnectTimer);
 
                 return;
             }
@@ -533,10 +1377,16 @@ class SSGS {
                 const sentMessage = client.sentMessages.find((m) => m.packetID === parsedPacket.packetID);
 
                 if (!sentMessage) {
-                    logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Warning: Received RCPTOK for packet ID ' + parsedPacket.packetID + ' but could not find it in sentMessages');
+                    this.logger.debug('Received RCPTOK for a packet ID that is not in sentMessages', { gatewayUID, packetID: parsedPacket.packetID });
                     return;
                 }
 
+                // only messages that were never retransmitted give an unambiguous RTT sample (Karn's rule)
+                if (sentMessage.retransmissionCount === 0) {
+                    client.sampleRTT(Date.now() - sentMessage.timestamp);
+                    this.metrics.rtt.observe((Date.now() - sentMessage.timestamp) / 1000);
+                }
+
                 // resolve the promise that was returned by the sendMSG function
                 sentMessage.resolve(true);
 
@@ -546,8 +1396,10 @@ class SSGS {
                 const index = client.sentMessages.indexOf(sentMessage);
                 client.sentMessages.splice(index, 1);
 
-                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Received RCPTOK for packet ID ' + parsedPacket.packetID + ', num pending: ' + client.sentMessages.length);
+                this.logger.debug('Received RCPTOK', { gatewayUID, packetID: parsedPacket.packetID, pending: client.sentMessages.length });
 
+                // room in the window, send the next queued message
+                this.transmitQueued(client);
 
                 return;
             }
@@ -556,10 +1408,11 @@ class SSGS {
             case PacketType.MSGSTATUS: {
                 // check for duplicate packet ID in FIFO and ignore if found, otherwise add to FIFO
                 if (client.receivedMessageIDsFIFO.includes(parsedPacket.packetID)) {
-                    logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Warning: Received duplicate MSGSTATUS packet ID ' + parsedPacket.packetID);
+                    this.logger.debug('Received duplicate MSGSTATUS packet', { gatewayUID, packetID: parsedPacket.packetID });
+                    this.metrics.duplicateMessages.inc();
 
                     // send RCPTOK to client to indicate that we received the packet
-                    this.sendRCPTOK(parsedPacket.packetID, rinfo, key, parsedPacket.gatewayUID);
+                    this.sendRCPTOK(parsedPacket.packetID, rinfo, key, parsedPacket.gatewayUID, client.session);
 
                     return;
                 } else {
@@ -570,19 +1423,19 @@ class SSGS {
                 }
 
                 // send RCPTOK to client to indicate that we received the packet
-                this.sendRCPTOK(parsedPacket.packetID, rinfo, key, parsedPacket.gatewayUID);
+                this.sendRCPTOK(parsedPacket.packetID, rinfo, key, parsedPacket.gatewayUID, client.session);
 
                 // try parse from a variety of SSGSCP MSG payload formats
                 const parsedMessage = SSProtocols.parse(parsedPacket);
 
                 if (!parsedMessage) {
-                    logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Could not parse message: ' + parsedPacket.payload.subarray(0, 100).toString('hex'));
+                    this.logger.debug('Could not parse message', { gatewayUID, packetID: parsedPacket.packetID, payload: parsedPacket.payload });
                     return;
                 }
 
                 // see if its a PING_PONG packet, if so, send a PING_PONG back with the same u8 sequence number in the payload
                 if (parsedMessage.messageType === MessageSubtype.PING_PONG) {
-                    logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Received ping request from gateway ' + SSGS.uidToString(parsedPacket.gatewayUID));
+                    this.logger.debug('Received ping request', { gatewayUID, sequence: parsedMessage.data });
                     const pingPongSequenceNumber = parsedMessage.data as number;
                     const payload = Buffer.alloc(2);
                     payload.writeUInt8(MessageSubtype.PING_PONG, 0);
@@ -591,11 +1444,39 @@ class SSGS {
                     return;
                 }
 
-                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Received message: ' + JSON.stringify(parsedMessage) + ' from gateway ' + SSGS.uidToString(parsedPacket.gatewayUID));
-                client.onmessage(parsedMessage);
+                this.logger.debug('Received message', { gatewayUID, packetID: parsedPacket.packetID, messageType: parsedMessage.messageName ?? parsedMessage.messageType, data: parsedMessage.data });
+                client.emit('message', parsedMessage);
+                this.emit('message', parsedMessage, client);
 
                 if (parsedMessage.messageType === MessageSubtype.SSRB_UPDATE) {
-                    client.onupdate(<SensorSealUpdate>parsedMessage.data);
+                    client.emit('update', <SensorSealUpdate>parsedMessage.data);
+                    this.emit('update', <SensorSealUpdate>parsedMessage.data, client);
+
+                    const recorded = this.seals.record(<SensorSealUpdate>parsedMessage.data);
+                    this.metrics.sealUpdates.inc({ result: recorded.duplicate ? 'duplicate' : recorded.replay ? 'replay' : 'new' });
+                    if (recorded.online)
+                        this.emit('sealonline', recorded.seal);
+
+                    if (recorded.reset)
+                        this.emit('sealreset', recorded.seal, recorded.previousUpdateID);
+
+                    if (recorded.missed > 0)
+                        this.emit('updatesmissed', recorded.seal, recorded.missed, recorded.previousUpdateID);
+
+                    if (!recorded.duplicate && !recorded.replay) {
+                        this.emit('sealupdate', <SensorSealUpdate>parsedMessage.data, recorded.seal);
+                        this.historyStore?.append(<SensorSealUpdate>parsedMessage.data).catch((err) => this.emitError(err));
+                    }
+
+                    // late arrivals are older than the reading the rules last saw
+                    if (!recorded.duplicate && !recorded.replay && !recorded.reordered)
+                        this.alerts.evaluate(<SensorSealUpdate>parsedMessage.data, Array.from(recorded.seal.gateways.keys()));
+                }
+
+                // without a registered decoder the scan is only delivered as a raw message
+                if (parsedMessage.messageType === MessageSubtype.WAKEUP_SCAN && parsedMessage.messageName !== undefined) {
+                    client.emit('wakeupscan', <WakeupScanResult>parsedMessage.data);
+                    this.emit('wakeupscan', <WakeupScanResult>parsedMessage.data, client);
                 }
 
                 return;
@@ -604,15 +1485,15 @@ class SSGS {
 
             // outbound server->gateway packet types (should never be received by server)
             case PacketType.MSGCONF: {
-                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Server received outbound server packet: ' + parsedPacket.packetType);
+                this.logger.debug('Received a packet type that only the server sends', { gatewayUID, packetType: parsedPacket.packetType });
                 return;
             }
             case PacketType.CONNACPT: {
-                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Server received outbound server packet: ' + parsedPacket.packetType);
+                this.logger.debug('Received a packet type that only the server sends', { gatewayUID, packetType: parsedPacket.packetType });
                 return;
             }
             case PacketType.CONNFAIL: {
-                logIfSSGSDebug(SSGS.uidToString(parsedPacket.gatewayUID) + ': ' + 'Error: Server received outbound server packet: ' + parsedPacket.packetType);
+                this.logger.debug('Received a packet type that only the server sends', { gatewayUID, packetType: parsedPacket.packetType });
                 return;
             }
             default: {
@@ -623,10 +1504,11 @@ class SSGS {
 
     /**
      * @method
-     * @param {object} rinfo - the remote address information from the UDP socket
+     * @param {TransportPeer} rinfo - the remote address information from the transport
+     * @param {1 | 2} version - the SSGSCP version the gateway used, default is 1
      * Sends a CONNFAIL packet to the remote address to indicate a connection failure
      */
-    async sendCONNFAIL(rinfo: dgram.RemoteInfo, gatewayUID: Buffer) {
+    async sendCONNFAIL(rinfo: TransportPeer, gatewayUID: Buffer, version: 1 | 2 = 1) {
         const fields: ParsedSSGSCPPacket = {
             packetType: PacketType.CONNFAIL,
             packetID: 0,
@@ -635,133 +1517,260 @@ class SSGS {
 
         // CONNFAIL packets are not encrypted
 
-        const packedPacket = await SSGSCP.packSSGSCP(fields, Buffer.alloc(32));
-        this.socket.send(new Uint8Array(packedPacket), rinfo.port, rinfo.address);
+        const packedPacket = version === 2
+            ? await SSGSCP.packSSGSCPv2Handshake(fields, Buffer.alloc(32), 'server')
+            : await SSGSCP.packSSGSCP(fields, Buffer.alloc(32));
+        this.sendDatagram(packedPacket, rinfo);
+        this.metrics.packetSent(PacketType.CONNFAIL);
     }
 
     /**
      * @method
-     * @param {object} rinfo - the remote address information from the UDP socket
+     * @param {TransportPeer} rinfo - the remote address information from the transport
+     * @param {SSGSCPSession} session - the v2 session the CONN opened, null for v1
      * Sends a CONNACPT packet to the remote address to indicate a connection success
-     * This packet is sent in response to a CONN packet
+     * This packet is sent in response to a CONN packet, in v2 it carries the server's session nonce
      */
-    async sendCONNACPT(rinfo: dgram.RemoteInfo, key: Buffer, gatewayUID: Buffer) {
+    async sendCONNACPT(rinfo: TransportPeer, key: Buffer, gatewayUID: Buffer, session?: SSGSCPSession | null) {
         const fields: ParsedSSGSCPPacket = {
             packetType: PacketType.CONNACPT,
             packetID: 0,
             gatewayUID: gatewayUID,
         };
 
-        const packedPacket = await SSGSCP.packSSGSCP(fields, key);
-        this.socket.send(new Uint8Array(packedPacket), rinfo.port, rinfo.address);
-        logIfSSGSDebug('Sent CONNACPT to ' + rinfo.address + ':' + rinfo.port);
+        const packedPacket = session
+            ? await SSGSCP.packSSGSCPv2Handshake({ ...fields, payload: session.serverNonce }, key, 'server', session.gatewayNonce)
+            : await SSGSCP.packSSGSCP(fields, key);
+        this.sendDatagram(packedPacket, rinfo);
+        this.metrics.packetSent(PacketType.CONNACPT);
+        this.logger.debug('Sent CONNACPT', { gatewayUID, remoteAddress: rinfo.address, port: rinfo.port });
     }
 
     /**
      * @method
      * @param {number} packetID - the packet ID to send
-     * @param {object} rinfo - the remote address information from the UDP socket
+     * @param {TransportPeer} rinfo - the remote address information from the transport
+     * @param {SSGSCPSession} session - the v2 session of the gateway, null for v1
      * Sends a RCPTOK packet to the remote address to indicate that the packet with the given packet ID was received correctly
      */
-    async sendRCPTOK(packetID: number, rinfo: dgram.RemoteInfo, key: Buffer, gatewayUID: Buffer) {
+    async sendRCPTOK(packetID: number, rinfo: TransportPeer, key: Buffer, gatewayUID: Buffer, session?: SSGSCPSession | null) {
         const fields: ParsedSSGSCPPacket = {
             packetType: PacketType.RCPTOK,
             packetID: packetID,
             gatewayUID: gatewayUID,
         };
 
-        const packedPacket = await SSGSCP.packSSGSCP(fields, key);
-        this.socket.send(new Uint8Array(packedPacket), rinfo.port, rinfo.address);
+        const packedPacket = session ? await SSGSCP.packSSGSCPv2(fields, session) : await SSGSCP.packSSGSCP(fields, key);
+        this.sendDatagram(packedPacket, rinfo);
+        this.metrics.packetSent(PacketType.RCPTOK);
     }
 
     /**
      * @method
      * @param {Buffer} gatewayUID - the gateway UID to check
-     * @returns {boolean} - true if the gateway UID is authorized, false otherwise
-     * Checks if the gateway UID is authorized in the configuration file
+     * @returns {Client | null} - the client object if the gateway UID is connected, null otherwise
+     * Checks if the gateway UID is connected and returns the client object if it is
      */
-    isAuthorizedGateway(gatewayUID: Buffer): boolean {
-        let matchingUIDFound = false;
-        for (const authorizedGateway of this.authorizedGateways) {
-            if (SSGS.gatewayUIDsMatch(authorizedGateway.gatewayUID, gatewayUID))
-                matchingUIDFound = true;
+    getClientByGatewayUID(gatewayUID: Buffer): Client | null {
+        // TODO: optimize this using a binary search hash table
+        for (const client of this.connectedClients) {
+            if (SSGS.gatewayUIDsMatch(client.gatewayUID, gatewayUID)) {
+                return client;
+            }
         }
 
-        return matchingUIDFound;
+        return null;
     }
 
     /**
      * @method
-     * @param {Buffer} gatewayUID - the gateway UID to check
-     * @returns {Buffer | null} - the key for the gateway UID if it is authorized, null otherwise
-     * Checks if the gateway UID is authorized in the configuration file and returns the key if it is
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string such as '4dec5dfa'
+     * @returns {SealState | undefined} - the latest state of the seal, or undefined if no gateway has heard it
      */
-    getGatewayKey(gatewayUID: Buffer): Buffer | null {
-        for (const authorizedGateway of this.authorizedGateways) {
-            if (SSGS.gatewayUIDsMatch(authorizedGateway.gatewayUID, gatewayUID)) {
-                return authorizedGateway.key;
-            }
-        }
+    getSeal(sensorSealUID: Buffer | string): SealState | undefined {
+        return this.seals.get(sensorSealUID);
+    }
 
-        return null;
+    /**
+     * @method
+     * @returns {Array<SealState>} - the latest state of every seal heard by any gateway
+     */
+    listSeals(): Array<SealState> {
+        return this.seals.list();
     }
 
     /**
      * @method
-     * @param {Buffer} gatewayUID - the gateway UID to check
-     * @returns {Client | null} - the client object if the gateway UID is connected, null otherwise
-     * Checks if the gateway UID is connected and returns the client object if it is
+     * @async
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string such as '4dec5dfa'
+     * @param {HistoryQuery} query - the time range, the fields to return and the downsampling bucket size in milliseconds
+     * @returns {Promise<Array<HistoryPoint>>} - the stored updates of the seal in receive order, or averaged buckets when downsampling
+     * Queries the local update history, requires the history option
      */
-    getClientByGatewayUID(gatewayUID: Buffer): Client | null {
-        // TODO: optimize this using a binary search hash table
-        for (const client of this.connectedClients) {
-            if (SSGS.gatewayUIDsMatch(client.gatewayUID, gatewayUID)) {
-                return client;
-            }
-        }
+    async history(sensorSealUID: Buffer | string, query?: HistoryQuery): Promise<Array<HistoryPoint>> {
+        if (!this.historyStore)
+            throw new Error('SSGS History: history is not enabled, set the history option');
 
-        return null;
+        return this.historyStore.query(sensorSealUID, query);
     }
 
     /**
      * @method
-     * @param {string} configFilePath - the path to the SSGS configuration file 
-     * Loads and parses the configuration file and sets up the authorized gateways and key properties
+     * @async
+     * @returns {Promise<void>} - resolves once the new configuration is in force, rejects if the file is missing or malformed
+     * Reloads the key store (re-reading the configuration file) and applies the changes in place without dropping sessions
+     * Newly added gateways are admitted on their next CONN. Connected clients whose UID was removed from the store, or
+     * whose key changed, are disconnected with removeClient(). Clients authorized through onconnectionattempt are
+     * only affected if the store now lists them with a different key.
+     * If the file cannot be read or parsed the previous configuration stays in force
      */
-    async loadConfig(configFilePath: string) {
-        // load the config file - if it doesn't exist, start with no pre-authorized gateways
-        // (connections can still be authorized dynamically via the onconnectionattempt callback)
-        try {
-            this.configFile = JSON.parse(await fs.readFile(configFilePath, 'utf8'));
-        } catch (e: any) {
-            if (e.code === 'ENOENT') {
-                console.log('SSGS: Config file not found (' + configFilePath + '), starting with no pre-authorized gateways. Use onconnectionattempt callback to authorize dynamically.');
-                this.configFile = { key: '', authorized_gateways: [] };
-                this.authorizedGateways = [];
-                return;
+    async reloadConfig(): Promise<void> {
+        if (!this.keyStore.reload)
+            return;
+
+        const previousGateways = await this.keyStore.list();
+        await this.keyStore.reload();
+        const authorizedGateways = await this.keyStore.list();
+        this.loadMinProtocols(authorizedGateways);
+
+        const findKey = (gateways: Array<GatewayKeyEntry>, gatewayUID: Buffer) =>
+            gateways.find((g) => SSGS.gatewayUIDsMatch(g.gatewayUID, gatewayUID))?.key ?? null;
+
+        for (const client of [...this.connectedClients]) {
+            const previousKey = findKey(previousGateways, client.gatewayUID);
+            const newKey = findKey(authorizedGateways, client.gatewayUID);
+
+            const removed = previousKey && !newKey;
+            const keyChanged = newKey && !newKey.equals(client.key);
+
+            if (removed || keyChanged) {
+                this.logger.info('Client removed after config reload', { gatewayUID: client.gatewayUID, reason: removed ? 'gateway no longer authorized' : 'gateway key changed' });
+                this.removeClient(client);
             }
-            throw e; // re-throw JSON parse errors or permission errors
         }
-        this.authorizedGateways = [];
 
-        // parse the authorized gateways
-        for (const gateway of this.configFile.authorized_gateways) {
-            // Parse the hex-formatted string and obtain a byte array
-            const uid = Buffer.from(gateway.uid.replace(/\s/g, ''), 'hex');
+        this.rateLimiter.clearBackoffs(); // newly authorized gateways should not have to wait out earlier failures
+        this.logger.info('Config reloaded', { authorizedGateways: authorizedGateways.length });
+    }
 
-            if (uid.length != 4)
-                throw new Error('SSGS Config: uid length must be 4');
+    /**
+     * @method
+     * @async
+     * @param {Buffer} gatewayUID - the UID of the gateway to authorize
+     * @param {Buffer} key - the 32 byte pre-shared key of the gateway
+     * @param {string} description - an optional description
+     * Adds the gateway to the key store, a connected client using a different key is disconnected
+     */
+    async authorizeGateway(gatewayUID: Buffer, key: Buffer, description?: string) {
+        await this.keyStore.add(gatewayUID, key, description);
+        this.rateLimiter.clearBackoffs();
+
+        const client = this.getClientByGatewayUID(gatewayUID);
+        if (client && !client.key.equals(key))
+            this.removeClient(client);
+    }
+
+    /**
+     * @method
+     * @async
+     * @param {Buffer} gatewayUID - the UID of the gateway to revoke
+     * @returns {Promise<boolean>} - true if the gateway was in the key store
+     * Removes the gateway from the key store and disconnects it if it is connected
+     */
+    async revokeGateway(gatewayUID: Buffer): Promise<boolean> {
+        const revoked = await this.keyStore.revoke(gatewayUID);
+
+        const client = this.getClientByGatewayUID(gatewayUID);
+        if (client)
+            this.removeClient(client);
+
+        return revoked;
+    }
+
+    /**
+     * @method
+     * @async
+     * @param {Array<Client>} clients - the gateways to update
+     * @param {Buffer} image - the firmware image
+     * @param {number} version - the u16 firmware version
+     * @param {object} options - FirmwareUpdateOptions plus concurrency (how many gateways are updated at once, default 4)
+     *                           and onstart (called with each FirmwareUpdate as it starts)
+     * @returns {Promise<Array<FirmwareRolloutResult>>} - the outcome for each gateway, in the order of clients
+     * Pushes the same firmware image to a set of gateways
+     */
+    async updateFirmware(clients: Array<Client>, image: Buffer, version: number, options?: FirmwareUpdateOptions & { concurrency?: number, onstart?: (update: FirmwareUpdate) => void }): Promise<Array<FirmwareRolloutResult>> {
+        return await rolloutFirmware(clients, image, version, options);
+    }
+
+    /**
+     * @method
+     * Starts watching the key store file and reloads it when it changes
+     * The directory is watched rather than the file so that editors that save by renaming are handled
+     */
+    private watchConfigFile() {
+        if (!this.keyStore.path) {
+            this.logger.warn('Key store has no backing file, watchConfig ignored');
+            return;
+        }
 
-            // Parse the hex-formatted key string (256-bit key) and obtain a byte array
-            const key = Buffer.from(gateway.key.replace(/\s/g, ''), 'hex');
+        const configFileName = path.basename(this.keyStore.path);
 
-            if (key.length != 32)
-                throw new Error('SSGS Config: gateway key length must be 32');
+        try {
+            this.configWatcher = watch(path.dirname(this.keyStore.path), (eventType, fileName) => {
+                if (fileName !== configFileName)
+                    return;
 
-            this.authorizedGateways.push({ gatewayUID: uid, key: key });
+                clearTimeout(this.configReloadTimer);
+                this.configReloadTimer = setTimeout(() => {
+                    this.configReloadTimer = null;
+                    this.reloadConfig().catch((err) => {
+                        this.emitError(new Error('SSGS Config: reload failed, keeping previous config: ' + err.message));
+                    });
+                }, CONFIG_WATCH_DEBOUNCE_MS);
+            });
+        } catch (e: any) {
+            this.emitError(new Error('SSGS Config: could not watch config file: ' + e.message));
+            return;
         }
+
+        this.configWatcher.on('error', (err) => this.emitError(err));
     }
 
+    /**
+     * @method
+     * Stops watching the configuration file
+     */
+    private unwatchConfigFile() {
+        clearTimeout(this.configReloadTimer);
+        this.configReloadTimer = null;
+        this.configWatcher?.close();
+        this.configWatcher = null;
+    }
+
+    /**
+     * @method
+     * @static
+     * @param {number} subtype - the u8 message subtype used by the custom gateway firmware
+     * @param {MessageTypeDefinition} definition - the name and the decoder and/or encoder of the message type
+     * @returns {MessageType} - a handle, messageType.is(message) narrows a received message to the decoded type
+     * Registers a custom message subtype, decoded messages are delivered to onmessage and 'message' listeners
+     * and client.sendMessage(messageType, data) sends them with the encoder
+     */
+    static registerMessageType<T>(subtype: number, definition: MessageTypeDefinition<T>): MessageType<T> {
+        return SSProtocols.registerMessageType(subtype, definition);
+    }
+
+    /**
+     * @method
+     * @static
+     * @param {number} ssrbVersion - the u8 SSRB version sent by the Sensor Seal firmware
+     * @param {SSRBLayout} layout - the presence flags and fields that follow the SSRB header in this version
+     * Registers or replaces the field layout used to decode SSRB updates of the given version
+     * Versions newer than every registered version are decoded with the newest registered layout
+     */
+    static registerSSRBVersion(ssrbVersion: number, layout: SSRBLayout) {
+        SSProtocols.registerSSRBVersion(ssrbVersion, layout);
+    }
 
     /**
      * @method
@@ -815,15 +1824,23 @@ class SSGS {
 export default SSGS;
 export { MessageSubtype };
 export { SensorSealUpdate };
-export { ParsedMessage };
-
+export { ParsedMessage, MessageData };
+export { MessageType, MessageTypeDefinition };
+export { WakeupScanResult, WakeupScanSeal, decodeWakeupScanV1 };
+export { SSRBLayout, SSRBField, SSRBFieldType };
+export { SSEncoder };
+export { GatewayKeyStore, GatewayKeyEntry };
+export { MemoryKeyStore, JSONFileKeyStore, EncryptedFileKeyStore };
+export { FirmwareUpdate, FirmwareUpdateOptions, FirmwareRolloutResult };
+export { TerminalStream, ExecOptions };
+export { AlertEngine, Alert, AlertRule, AlertField };
+export { HistoryStore, HistoryStoreOptions, HistoryQuery, HistoryPoint };
+export { MQTTBridge, MQTTBridgeOptions, MQTTClient, MQTTClientOptions, MQTTQoS };
+export { AdminServer, AdminServerOptions };
+export { Transport, TransportPeer, TransportEvents, UDPTransport, UDPTransportOptions, WSSTransport, WSSTransportOptions };
+export { SSGSMetrics, Counter, Gauge, Histogram, MetricLabels, DatagramRejectReason, DeliveryFailureReason };
+export { SealRegistry, SealState, SealStats, SealStatus, SealRecordResult, SealLivenessChange };
+export { SSGSLogger, Logger, LogLevel, LogFields, SSGSLoggerOptions };
+export { SSGSCPSession, ReplayWindow };
+export { RateLimiter, RateLimiterOptions, RateLimiterEvents, RateLimitResult, TokenBucketOptions, BlockedAddress };
 
-/**
- * @function
- * @param {string} info - the debug information to log 
- * Logs the debug information if __SSGS_DEBUG is true
- */
-function logIfSSGSDebug(info: any) {
-    if (__SSGS_DEBUG)
-        console.log('SSGS Debug Info:', info);
-}
@@ -0,0 +1,508 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import * as fs from 'node:fs/promises';
+import * as crypto from 'node:crypto';
+import { Buffer } from "node:buffer";
+
+import { SSGSLogger } from './logger.js';
+
+const UID_LEN_BYTES = 4;
+const KEY_LEN_BYTES = 32;
+
+const SCRYPT_N = 16384; // scrypt cost parameters used for new encrypted files, existing files carry their own
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const SALT_LEN_BYTES = 16;
+const GCM_IV_LEN_BYTES = 12;
+const GCM_TAG_LEN_BYTES = 16;
+const PASSPHRASE_CHECK_AAD = Buffer.from('SSGS key store passphrase check');
+
+export type ConfigFile = {
+    key?: string; // not used by the plaintext store, holds the scrypt parameters, salt and passphrase check of an encrypted store
+    authorized_gateways: Array<{ description?: string, uid: string, key: string, min_protocol?: 1 | 2 }>;
+    [field: string]: unknown; // other fields are kept when the file is written back
+};
+
+export type GatewayKeyEntry = {
+    gatewayUID: Buffer; // the 4 byte gateway UID
+    key: Buffer; // the 32 byte pre-shared key
+    description?: string; // an optional human readable description
+    minProtocol?: 1 | 2; // the lowest SSGSCP version the gateway may connect with, 2 refuses v1, default is 1
+};
+
+/**
+ * A source of gateway pre-shared keys consulted by SSGS.process() when an unknown gateway connects
+ * Implement this interface to authorize gateways from a database or secret manager
+ */
+export interface GatewayKeyStore {
+    readonly path?: string; // the backing file, if any, watched when the watchConfig option is set
+
+    /**
+     * @param {Buffer} gatewayUID - the UID of the gateway
+     * @returns {Promise<Buffer | null>} - the key of the gateway if it is authorized, null otherwise
+     */
+    lookup(gatewayUID: Buffer): Promise<Buffer | null>;
+
+    /**
+     * @returns {Promise<Array<GatewayKeyEntry>>} - every authorized gateway
+     */
+    list(): Promise<Array<GatewayKeyEntry>>;
+
+    /**
+     * @param {Buffer} gatewayUID - the UID of the gateway to authorize
+     * @param {Buffer} key - the 32 byte pre-shared key of the gateway
+     * @param {string} description - an optional description
+     * Authorizes a gateway, replacing its key if it is already authorized
+     */
+    add(gatewayUID: Buffer, key: Buffer, description?: string): Promise<void>;
+
+    /**
+     * @param {Buffer} gatewayUID - the UID of the gateway to revoke
+     * @returns {Promise<boolean>} - true if the gateway was authorized
+     */
+    revoke(gatewayUID: Buffer): Promise<boolean>;
+
+    /**
+     * @param {Buffer} gatewayUID - the UID of the gateway
+     * @param {1 | 2} minProtocol - the lowest SSGSCP version the gateway may connect with
+     * @returns {Promise<boolean>} - true if the gateway is authorized
+     * Records the protocol policy of a gateway, the server sets 2 when the pinProtocolV2 option pins a gateway to v2
+     * Without this method pinned gateways are only remembered until the server restarts
+     */
+    setMinProtocol?(gatewayUID: Buffer, minProtocol: 1 | 2): Promise<boolean>;
+
+    /**
+     * Re-reads the backing storage, must leave the previous entries in force if it fails
+     */
+    reload?(): Promise<void>;
+}
+
+/**
+ * A key store held in memory only, entries are lost when the process exits
+ */
+export class MemoryKeyStore implements GatewayKeyStore {
+    protected entries: Map<string, GatewayKeyEntry>; // keyed by the hex gateway UID
+
+    /**
+     * @constructor
+     * @param {Array<GatewayKeyEntry>} entries - the initially authorized gateways
+     */
+    constructor(entries: Array<GatewayKeyEntry> = []) {
+        this.entries = new Map();
+        for (const entry of entries) {
+            validateEntry(entry.gatewayUID, entry.key);
+            this.entries.set(entry.gatewayUID.toString('hex'), { ...entry });
+        }
+    }
+
+    async lookup(gatewayUID: Buffer): Promise<Buffer | null> {
+        return this.entries.get(gatewayUID.toString('hex'))?.key ?? null;
+    }
+
+    async list(): Promise<Array<GatewayKeyEntry>> {
+        return Array.from(this.entries.values()).map((entry) => ({ ...entry }));
+    }
+
+    async add(gatewayUID: Buffer, key: Buffer, description?: string): Promise<void> {
+        validateEntry(gatewayUID, key);
+        const minProtocol = this.entries.get(gatewayUID.toString('hex'))?.minProtocol; // a new key does not lift the protocol pin
+
+        this.entries.set(gatewayUID.toString('hex'), {
+            gatewayUID: Buffer.from(gatewayUID),
+            key: Buffer.from(key),
+            ...(description !== undefined ? { description } : {}),
+            ...(minProtocol !== undefined ? { minProtocol } : {})
+        });
+    }
+
+    async revoke(gatewayUID: Buffer): Promise<boolean> {
+        return this.entries.delete(gatewayUID.toString('hex'));
+    }
+
+    async setMinProtocol(gatewayUID: Buffer, minProtocol: 1 | 2): Promise<boolean> {
+        if (minProtocol !== 1 && minProtocol !== 2)
+            throw new Error('SSGS Key Store: minProtocol must be 1 or 2');
+
+        const entry = this.entries.get(gatewayUID.toString('hex'));
+        if (!entry)
+            return false;
+
+        entry.minProtocol = minProtocol;
+        return true;
+    }
+}
+
+/**
+ * A key store backed by a plaintext JSON file in the authorized.json format
+ * add() and revoke() write the file back to disk
+ */
+export class JSONFileKeyStore extends MemoryKeyStore {
+    readonly path: string;
+    protected loaded: boolean; // whether the file has been loaded at least once
+    protected otherFields: { [field: string]: unknown }; // the top level fields of the loaded file that the store does not manage
+    protected logger: SSGSLogger;
+    private writes: Promise<void>; // the chain of pending writes, each waits for the one before it
+
+    /**
+     * @constructor
+     * @param {string} path - the path to the JSON file
+     * @param {SSGSLogger} logger - where to log, the server passes its own logger, default is console at info level
+     */
+    constructor(path: string, logger?: SSGSLogger) {
+        super();
+        this.path = path;
+        this.loaded = false;
+        this.otherFields = {};
+        this.logger = logger ?? new SSGSLogger(console);
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * @method
+     * @async
+     * Loads the file, a missing file is treated as an empty store the first time only
+     * A malformed file throws and leaves the previous entries in force
+     */
+    async reload(): Promise<void> {
+        let configFile: ConfigFile;
+
+        try {
+            configFile = JSON.parse(await fs.readFile(this.path, 'utf8'));
+        } catch (e: any) {
+            if (e.code === 'ENOENT' && !this.loaded) {
+                this.logger.info('Config file not found, starting with no pre-authorized gateways, use the onconnectionattempt callback to authorize dynamically', { path: this.path });
+                this.loaded = true;
+                return;
+            }
+            throw e; // re-throw JSON parse errors or permission errors
+        }
+
+        this.entries = await this.parse(configFile);
+        this.otherFields = omitFields(configFile, this.managedFields());
+        this.loaded = true;
+    }
+
+    async add(gatewayUID: Buffer, key: Buffer, description?: string): Promise<void> {
+        await super.add(gatewayUID, key, description ?? this.entries.get(gatewayUID.toString('hex'))?.description);
+        await this.save();
+    }
+
+    async revoke(gatewayUID: Buffer): Promise<boolean> {
+        const revoked = await super.revoke(gatewayUID);
+        if (revoked)
+            await this.save();
+
+        return revoked;
+    }
+
+    async setMinProtocol(gatewayUID: Buffer, minProtocol: 1 | 2): Promise<boolean> {
+        const found = await super.setMinProtocol(gatewayUID, minProtocol);
+        if (found)
+            await this.save();
+
+        return found;
+    }
+
+    /**
+     * @method
+     * @param {ConfigFile} configFile - the parsed file contents
+     * @returns {Promise<Map<string, GatewayKeyEntry>>} - the entries keyed by hex gateway UID
+     */
+    protected async parse(configFile: ConfigFile): Promise<Map<string, GatewayKeyEntry>> {
+        return parseConfigFile(configFile, (encodedKey) => Buffer.from(encodedKey.replace(/\s/g, ''), 'hex'));
+    }
+
+    /**
+     * @method
+     * @returns {Array<string>} - the top level fields written by serialize(), any others are kept as they were loaded
+     */
+    protected managedFields(): Array<string> {
+        return ['authorized_gateways'];
+    }
+
+    /**
+     * @method
+     * @returns {Promise<ConfigFile>} - the file contents to write
+     */
+    protected async serialize(): Promise<ConfigFile> {
+        return {
+            ...this.otherFields,
+            authorized_gateways: Array.from(this.entries.values()).map((entry) => ({
+                ...(entry.description !== undefined ? { description: entry.description } : {}),
+                uid: toSpacedHex(entry.gatewayUID),
+                key: toSpacedHex(entry.key),
+                ...(entry.minProtocol !== undefined ? { min_protocol: entry.minProtocol } : {})
+            }))
+        };
+    }
+
+    /**
+     * @method
+     * Writes the store to a temporary file and renames it over the original so that readers never see a partial file
+     * Writes run one at a time since they share the temporary file, each writes the entries as they are when it starts
+     */
+    protected save(): Promise<void> {
+        const result = this.writes.then(async () => {
+            const tempPath = this.path + '.tmp';
+            await fs.writeFile(tempPath, JSON.stringify(await this.serialize(), null, 4) + '\n', { mode: 0o600 });
+            await fs.rename(tempPath, this.path);
+        });
+
+        this.writes = result.then(() => { }, () => { }); // a failed write does not stop the ones after it
+        return result;
+    }
+}
+
+/**
+ * A key store backed by a JSON file in the authorized.json format where every gateway key is encrypted at rest
+ * The top level "key" field holds the scrypt parameters and salt used to derive an AES-256-GCM key from the master
+ * passphrase, together with a check value so that a wrong passphrase is detected. Each gateway key is stored as
+ * "<iv>:<tag>:<ciphertext>" in hex, authenticated against its gateway UID so that entries cannot be swapped
+ */
+export class EncryptedFileKeyStore extends JSONFileKeyStore {
+    private passphrase: string;
+    private header: ScryptHeader | null; // the parameters of the loaded file
+    private masterKey: Buffer | null; // the key derived from the passphrase
+
+    /**
+     * @constructor
+     * @param {string} path - the path to the encrypted JSON file
+     * @param {string} passphrase - the master passphrase
+     * @param {SSGSLogger} logger - where to log, default is console at info level
+     */
+    constructor(path: string, passphrase: string, logger?: SSGSLogger) {
+        super(path, logger);
+
+        if (!passphrase)
+            throw new Error('SSGS Config: a master passphrase is required for an encrypted key store');
+
+        this.passphrase = passphrase;
+        this.header = null;
+        this.masterKey = null;
+    }
+
+    /**
+     * @method
+     * @static
+     * @async
+     * @param {string} plaintextPath - the path to an existing plaintext authorized.json file
+     * @param {string} encryptedPath - the path to write the encrypted file to, may be the same as plaintextPath
+     * @param {string} passphrase - the master passphrase
+     * Encrypts a plaintext authorized.json file so that it can be used with EncryptedFileKeyStore
+     */
+    static async encryptFile(plaintextPath: string, encryptedPath: string, passphrase: string) {
+        const plaintext = new JSONFileKeyStore(plaintextPath);
+        await plaintext.reload();
+
+        const encrypted = new EncryptedFileKeyStore(encryptedPath, passphrase);
+        encrypted.loaded = true;
+        encrypted.otherFields = omitFields(await fs.readFile(plaintextPath, 'utf8').then(JSON.parse, () => ({})), encrypted.managedFields()); // a missing file is an empty store
+        encrypted.entries = new Map((await plaintext.list()).map((entry) => [entry.gatewayUID.toString('hex'), entry]));
+        await encrypted.save();
+    }
+
+    protected managedFields(): Array<string> {
+        return ['key', 'authorized_gateways'];
+    }
+
+    protected async parse(configFile: ConfigFile): Promise<Map<string, GatewayKeyEntry>> {
+        if (!configFile?.key) {
+            if (Array.isArray(configFile?.authorized_gateways) && configFile.authorized_gateways.length > 0)
+                throw new Error('SSGS Config: key store file is not encrypted, convert it with EncryptedFileKeyStore.encryptFile()');
+
+            return parseConfigFile(configFile, () => null);
+        }
+
+        const header = parseScryptHeader(configFile.key);
+        const masterKey = await deriveMasterKey(this.passphrase, header);
+
+        if (!decryptGCM(masterKey, header.checkIV, header.checkTag, Buffer.alloc(0), PASSPHRASE_CHECK_AAD))
+            throw new Error('SSGS Config: wrong master passphrase for encrypted key store');
+
+        const entries = parseConfigFile(configFile, (encodedKey, gatewayUID) => {
+            const parts = encodedKey.split(':').map((part) => Buffer.from(part, 'hex'));
+            if (parts.length != 3)
+                throw new Error('SSGS Config: encrypted gateway key must be formatted as <iv>:<tag>:<ciphertext>');
+
+            const key = decryptGCM(masterKey, parts[0], parts[1], parts[2], gatewayUID);
+            if (!key)
+                throw new Error('SSGS Config: could not decrypt key for gateway ' + gatewayUID.toString('hex'));
+
+            return key;
+        });
+
+        this.header = header;
+        this.masterKey = masterKey;
+        return entries;
+    }
+
+    protected async serialize(): Promise<ConfigFile> {
+        if (!this.masterKey) { // new file, generate the salt and passphrase check
+            const header: ScryptHeader = {
+                N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P,
+                salt: crypto.randomBytes(SALT_LEN_BYTES),
+                checkIV: null, checkTag: null
+            };
+
+            const masterKey = await deriveMasterKey(this.passphrase, header);
+            const check = encryptGCM(masterKey, Buffer.alloc(0), PASSPHRASE_CHECK_AAD);
+            header.checkIV = check.iv;
+            header.checkTag = check.tag;
+
+            this.header = header;
+            this.masterKey = masterKey;
+        }
+
+        return {
+            ...this.otherFields,
+            key: formatScryptHeader(this.header),
+            authorized_gateways: Array.from(this.entries.values()).map((entry) => {
+                const encrypted = encryptGCM(this.masterKey, entry.key, entry.gatewayUID);
+                return {
+                    ...(entry.description !== undefined ? { description: entry.description } : {}),
+                    uid: toSpacedHex(entry.gatewayUID),
+                    key: [encrypted.iv, encrypted.tag, encrypted.ciphertext].map((b) => b.toString('hex')).join(':'),
+                    ...(entry.minProtocol !== undefined ? { min_protocol: entry.minProtocol } : {})
+                };
+            })
+        };
+    }
+}
+
+type ScryptHeader = {
+    N: number;
+    r: number;
+    p: number;
+    salt: Buffer;
+    checkIV: Buffer; // IV of the empty plaintext encrypted with PASSPHRASE_CHECK_AAD
+    checkTag: Buffer; // GCM tag of the same, verifies the passphrase
+};
+
+/**
+ * @function
+ * @param {ConfigFile} configFile - the parsed file contents
+ * @param {function} decodeKey - converts the stored key string of a gateway to its 32 byte key
+ * @returns {Map<string, GatewayKeyEntry>} - the entries keyed by hex gateway UID
+ * Validates the authorized_gateways section of a configuration file, throws if it is malformed
+ */
+function parseConfigFile(configFile: ConfigFile, decodeKey: (encodedKey: string, gatewayUID: Buffer) => Buffer): Map<string, GatewayKeyEntry> {
+    if (!configFile || !Array.isArray(configFile.authorized_gateways))
+        throw new Error('SSGS Config: authorized_gateways must be an array');
+
+    const entries = new Map<string, GatewayKeyEntry>();
+
+    for (const gateway of configFile.authorized_gateways) {
+        if (typeof gateway?.uid !== 'string' || typeof gateway?.key !== 'string')
+            throw new Error('SSGS Config: uid and key must be hex strings');
+
+        // Parse the hex-formatted string and obtain a byte array
+        const uid = Buffer.from(gateway.uid.replace(/\s/g, ''), 'hex');
+
+        if (uid.length != UID_LEN_BYTES)
+            throw new Error('SSGS Config: uid length must be 4');
+
+        const key = decodeKey(gateway.key, uid);
+
+        if (key.length != KEY_LEN_BYTES)
+            throw new Error('SSGS Config: gateway key length must be 32');
+
+        if (gateway.min_protocol !== undefined && gateway.min_protocol !== 1 && gateway.min_protocol !== 2)
+            throw new Error('SSGS Config: min_protocol must be 1 or 2');
+
+        entries.set(uid.toString('hex'), {
+            gatewayUID: uid,
+            key,
+            ...(gateway.description !== undefined ? { description: gateway.description } : {}),
+            ...(gateway.min_protocol !== undefined ? { minProtocol: gateway.min_protocol } : {})
+        });
+    }
+
+    return entries;
+}
+
+// a shallow copy of the parsed file without the given top level fields
+function omitFields(configFile: ConfigFile, fields: Array<string>): { [field: string]: unknown } {
+    const other: { [field: string]: unknown } = {};
+    for (const field of Object.keys(configFile ?? {})) {
+        if (fields.indexOf(field) === -1)
+            other[field] = configFile[field];
+    }
+
+    return other;
+}
+
+function validateEntry(gatewayUID: Buffer, key: Buffer) {
+    if (!gatewayUID || gatewayUID.length != UID_LEN_BYTES)
+        throw new Error('SSGS Key Store: gateway UID length must be 4');
+
+    if (!key || key.length != KEY_LEN_BYTES)
+        throw new Error('SSGS Key Store: gateway key length must be 32');
+}
+
+// formats bytes the same way as the example authorized.json, e.g. "4d ec 5d fa"
+function toSpacedHex(buffer: Buffer): string {
+    return Array.from(buffer).map((b) => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+// the header is formatted as scrypt:<N>:<r>:<p>:<salt>:<check iv>:<check tag>
+function formatScryptHeader(header: ScryptHeader): string {
+    return ['scrypt', header.N, header.r, header.p, header.salt.toString('hex'), header.checkIV.toString('hex'), header.checkTag.toString('hex')].join(':');
+}
+
+function parseScryptHeader(value: string): ScryptHeader {
+    const parts = value.split(':');
+    if (parts.length != 7 || parts[0] !== 'scrypt')
+        throw new Error('SSGS Config: unsupported key store header, expected scrypt:<N>:<r>:<p>:<salt>:<iv>:<tag>');
+
+    const [N, r, p] = parts.slice(1, 4).map((part) => parseInt(part, 10));
+    if (!(N > 1) || !(r > 0) || !(p > 0))
+        throw new Error('SSGS Config: invalid scrypt parameters in key store header');
+
+    return {
+        N, r, p,
+        salt: Buffer.from(parts[4], 'hex'),
+        checkIV: Buffer.from(parts[5], 'hex'),
+        checkTag: Buffer.from(parts[6], 'hex')
+    };
+}
+
+function deriveMasterKey(passphrase: string, header: ScryptHeader): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, header.salt, KEY_LEN_BYTES, { N: header.N, r: header.r, p: header.p, maxmem: SCRYPT_MAXMEM }, (err, derivedKey) => {
+            if (err)
+                reject(err);
+            else
+                resolve(derivedKey);
+        });
+    });
+}
+
+function encryptGCM(key: Buffer, plaintext: Buffer, aad: Buffer): { iv: Buffer, tag: Buffer, ciphertext: Buffer } {
+    const iv = crypto.randomBytes(GCM_IV_LEN_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: GCM_TAG_LEN_BYTES });
+    cipher.setAAD(aad);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+// returns null if the tag does not verify
+function decryptGCM(key: Buffer, iv: Buffer, tag: Buffer, ciphertext: Buffer, aad: Buffer): Buffer | null {
+    if (iv.length != GCM_IV_LEN_BYTES || tag.length != GCM_TAG_LEN_BYTES)
+        return null;
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv, { authTagLength: GCM_TAG_LEN_BYTES });
+        decipher.setAAD(aad);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (e) {
+        return null;
+    }
+}
@@ -0,0 +1,150 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { Buffer } from "node:buffer";
+
+import { SSGSCP, PacketType } from './ssgscp/ssgscp.js';
+
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'silent'];
+const REDACTED_FIELDS = ['key', 'psk', 'payload', 'data', 'packet']; // never logged unless redaction is turned off
+
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Anything with pino style level methods, called as logger[level](fields, message)
+ * pino, bunyan and console all work, console is given a formatted line instead
+ */
+export type Logger = {
+    trace?: (...args: Array<any>) => void;
+    debug: (...args: Array<any>) => void;
+    info: (...args: Array<any>) => void;
+    warn: (...args: Array<any>) => void;
+    error: (...args: Array<any>) => void;
+};
+
+export type LogFields = {
+    gatewayUID?: Buffer | string; // logged as hex
+    remoteAddress?: string;
+    port?: number;
+    transport?: string;
+    packetID?: number;
+    packetType?: PacketType; // logged by name
+    err?: Error;
+    [field: string]: any;
+};
+
+export type SSGSLoggerOptions = {
+    level?: LogLevel; // the lowest level that is passed to the logger, default is 'info'
+    redact?: boolean; // replace keys and packet payloads with their length, default is true
+    bindings?: LogFields; // fields added to every record
+};
+
+/**
+ * The logger of one SSGS instance
+ * Filters by level, turns Buffers and packet types into readable fields and redacts key material and payloads
+ */
+export class SSGSLogger {
+    level: LogLevel; // the lowest level that is logged
+    redact: boolean; // whether keys and payloads are replaced by their length
+    private sink: Logger;
+    private bindings: LogFields;
+
+    /**
+     * @constructor
+     * @param {Logger} sink - where records are written, e.g. a pino logger or console
+     * @param {SSGSLoggerOptions} options - the level, redaction and fields added to every record
+     */
+    constructor(sink: Logger, options?: SSGSLoggerOptions) {
+        if (options?.level !== undefined && LOG_LEVELS.indexOf(options.level) === -1)
+            throw new TypeError('SSGS Logger: unknown level ' + options.level + ', expected one of ' + LOG_LEVELS.join(', '));
+
+        this.sink = sink;
+        this.level = options?.level ?? 'info';
+        this.redact = options?.redact ?? true;
+        this.bindings = options?.bindings ?? {};
+    }
+
+    /**
+     * @method
+     * @param {LogFields} bindings - fields added to every record of the child
+     * @returns {SSGSLogger} - a logger writing to the same sink with the same level and redaction
+     */
+    child(bindings: LogFields): SSGSLogger {
+        return new SSGSLogger(this.sink, { level: this.level, redact: this.redact, bindings: { ...this.bindings, ...bindings } });
+    }
+
+    /**
+     * @method
+     * @param {LogLevel} level - the level to check
+     * @returns {boolean} - whether records of the level are logged, to skip building expensive fields
+     */
+    enabled(level: LogLevel): boolean {
+        return level !== 'silent' && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    trace(message: string, fields?: LogFields) {
+        this.log('trace', message, fields);
+    }
+
+    debug(message: string, fields?: LogFields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message: string, fields?: LogFields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message: string, fields?: LogFields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message: string, fields?: LogFields) {
+        this.log('error', message, fields);
+    }
+
+    private log(level: Exclude<LogLevel, 'silent'>, message: string, fields?: LogFields) {
+        if (!this.enabled(level))
+            return;
+
+        const record = this.format({ ...this.bindings, ...fields });
+        const write = (level === 'trace' ? this.sink.trace ?? this.sink.debug : this.sink[level]).bind(this.sink);
+
+        if (this.sink !== console) {
+            write(record, message);
+            return;
+        }
+
+        // console gets a single line, errors by their message
+        const pairs = Object.keys(record).map((name) => {
+            const value = name === 'err' && record[name] instanceof Object ? record[name].message : record[name];
+            return name + '=' + (typeof value === 'string' ? value : JSON.stringify(value));
+        });
+        write('SSGS ' + level + ': ' + message + (pairs.length > 0 ? ' ' + pairs.join(' ') : ''));
+    }
+
+    private format(fields: LogFields): Record<string, any> {
+        const record: Record<string, any> = {};
+
+        for (const name of Object.keys(fields)) {
+            const value = fields[name];
+            if (value === undefined)
+                continue;
+
+            if (this.redact && REDACTED_FIELDS.indexOf(name) !== -1)
+                record[name] = '[redacted' + (value?.length !== undefined ? ' ' + value.length + ' bytes' : '') + ']';
+            else if (name === 'packetType' && typeof value === 'number')
+                record[name] = SSGSCP.packetTypeName(value);
+            else if (Buffer.isBuffer(value))
+                record[name] = value.toString('hex');
+            else
+                record[name] = value;
+        }
+
+        return record;
+    }
+}
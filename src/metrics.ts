@@ -0,0 +1,274 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { SSGSCP, PacketType } from './ssgscp/ssgscp.js';
+import type SSGS from './index.js';
+
+const DURATION_BUCKETS_SECONDS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const RTT_BUCKETS_SECONDS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export type MetricLabels = Record<string, string>;
+
+export type DatagramRejectReason = 'bad-header' | 'unauthorized' | 'invalid-key' | 'parse-error' | 'bad-auth-code' | 'unknown-client' | 'closing' | 'authorizing' | 'key-store-error' | 'blocked' | 'rate-limited' | 'backoff' | 'legacy-protocol' | 'protocol-mismatch' | 'replay';
+export type DeliveryFailureReason = 'timeout' | 'queue-full' | 'not-connected' | 'pack-error' | 'cleared';
+
+interface Metric {
+    name: string;
+    help: string;
+    type: 'counter' | 'gauge' | 'histogram';
+    render(): Array<string>; // the sample lines in Prometheus text format
+}
+
+/**
+ * A Prometheus counter, a value per label set that only goes up
+ */
+export class Counter implements Metric {
+    readonly name: string;
+    readonly help: string;
+    readonly type = 'counter';
+    private values: Map<string, { labels: MetricLabels, value: number }>; // keyed by the rendered label set
+
+    constructor(name: string, help: string) {
+        this.name = name;
+        this.help = help;
+        this.values = new Map();
+    }
+
+    /**
+     * @method
+     * @param {MetricLabels} labels - the label set to increment, default is no labels
+     * @param {number} by - the amount to add, default is 1
+     */
+    inc(labels: MetricLabels = {}, by: number = 1) {
+        const key = renderLabels(labels);
+        const entry = this.values.get(key) ?? { labels, value: 0 };
+        entry.value += by;
+        this.values.set(key, entry);
+    }
+
+    /**
+     * @method
+     * @param {MetricLabels} labels - the label set to read, default is no labels
+     * @returns {number} - the current value, 0 if the label set has not been incremented
+     */
+    get(labels: MetricLabels = {}): number {
+        return this.values.get(renderLabels(labels))?.value ?? 0;
+    }
+
+    render(): Array<string> {
+        if (this.values.size === 0)
+            return [this.name + ' 0'];
+
+        return Array.from(this.values.entries()).map(([key, entry]) => this.name + key + ' ' + formatValue(entry.value));
+    }
+}
+
+/**
+ * A Prometheus gauge whose values are read when the metrics are rendered
+ */
+export class Gauge implements Metric {
+    readonly name: string;
+    readonly help: string;
+    readonly type = 'gauge';
+    private collect: () => Array<{ labels?: MetricLabels, value: number }>;
+
+    /**
+     * @constructor
+     * @param {string} name - the metric name
+     * @param {string} help - the HELP text
+     * @param {function} collect - returns the current value of every label set
+     */
+    constructor(name: string, help: string, collect: () => Array<{ labels?: MetricLabels, value: number }>) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    render(): Array<string> {
+        return this.collect().map((sample) => this.name + renderLabels(sample.labels ?? {}) + ' ' + formatValue(sample.value));
+    }
+}
+
+/**
+ * A Prometheus histogram with fixed buckets and no labels
+ */
+export class Histogram implements Metric {
+    readonly name: string;
+    readonly help: string;
+    readonly type = 'histogram';
+    readonly buckets: Array<number>; // the upper bounds, ascending, +Inf is implied
+    private counts: Array<number>; // the observations per bucket, not cumulative, the last one is +Inf
+    private sum: number;
+    private count: number;
+
+    constructor(name: string, help: string, buckets: Array<number> = DURATION_BUCKETS_SECONDS) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.counts = new Array(buckets.length + 1).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    /**
+     * @method
+     * @param {number} value - the observed value
+     */
+    observe(value: number) {
+        let i = 0;
+        while (i < this.buckets.length && value > this.buckets[i])
+            i++;
+
+        this.counts[i]++;
+        this.sum += value;
+        this.count++;
+    }
+
+    /**
+     * @method
+     * @returns {function} - call it to observe the seconds elapsed since startTimer() was called
+     */
+    startTimer(): () => void {
+        const start = process.hrtime.bigint();
+        return () => this.observe(Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    render(): Array<string> {
+        const lines: Array<string> = [];
+        let cumulative = 0;
+
+        for (let i = 0; i < this.buckets.length; i++) {
+            cumulative += this.counts[i];
+            lines.push(this.name + '_bucket{le="' + formatValue(this.buckets[i]) + '"} ' + cumulative);
+        }
+
+        lines.push(this.name + '_bucket{le="+Inf"} ' + this.count);
+        lines.push(this.name + '_sum ' + formatValue(this.sum));
+        lines.push(this.name + '_count ' + this.count);
+        return lines;
+    }
+}
+
+/**
+ * The protocol and gateway health metrics of an SSGS server
+ * Counters and histograms are updated by the server as packets are processed, gauges are read when rendered
+ */
+export class SSGSMetrics {
+    datagramsReceived: Counter; // every datagram handed to process()
+    datagramsRejected: Counter; // datagrams dropped or answered with CONNFAIL, by reason
+    packetsSent: Counter; // CONNACPT, CONNFAIL, RCPTOK and MSGCONF packets sent, by type, retransmissions excluded
+    retransmissions: Counter; // MSGCONF packets sent again because no RCPTOK arrived in time
+    messagesDelivered: Counter; // sendMSG() calls that resolved to true
+    deliveryFailures: Counter; // sendMSG() calls that resolved to false, by reason
+    duplicateMessages: Counter; // MSGSTATUS packets whose packet ID had already been received
+    sealUpdates: Counter; // SSRB updates relayed by any gateway, by whether they were new, duplicates or replays
+    addressBlocks: Counter; // addresses added to the blocklist, by reason
+    connfailsSuppressed: Counter; // CONNFAIL packets not sent to unauthorized gateway UIDs because silentReject is set
+    processDuration: Histogram; // how long process() took per datagram, including key lookups
+    tickDuration: Histogram; // how long tickClients() took
+    deliveryDuration: Histogram; // how long delivered messages took from sendMSG() to RCPTOK
+    rtt: Histogram; // RTT samples of messages that were not retransmitted
+    private metrics: Array<Metric>;
+
+    /**
+     * @constructor
+     * @param {SSGS} server - the server whose gateways are reported by the gauges
+     */
+    constructor(server: SSGS) {
+        this.datagramsReceived = new Counter('ssgs_datagrams_received_total', 'Datagrams received on the SSGSCP socket.');
+        this.datagramsRejected = new Counter('ssgs_datagrams_rejected_total', 'Datagrams that were dropped or answered with CONNFAIL, by reason.');
+        this.packetsSent = new Counter('ssgs_packets_sent_total', 'SSGSCP packets sent, by packet type, excluding retransmissions.');
+        this.retransmissions = new Counter('ssgs_retransmissions_total', 'MSGCONF packets retransmitted because no RCPTOK was received in time.');
+        this.messagesDelivered = new Counter('ssgs_messages_delivered_total', 'Messages to gateways that were acknowledged with RCPTOK.');
+        this.deliveryFailures = new Counter('ssgs_delivery_failures_total', 'Messages to gateways that were not delivered, by reason.');
+        this.duplicateMessages = new Counter('ssgs_duplicate_messages_total', 'MSGSTATUS packets with a packet ID that had already been received.');
+        this.sealUpdates = new Counter('ssgs_sensor_seal_updates_total', 'Sensor Seal updates relayed by gateways, by result (new, duplicate or replay).');
+        this.addressBlocks = new Counter('ssgs_address_blocks_total', 'Addresses added to the blocklist, by reason.');
+        this.connfailsSuppressed = new Counter('ssgs_connfails_suppressed_total', 'CONNFAIL packets not sent to unauthorized gateway UIDs because silentReject is set.');
+        this.processDuration = new Histogram('ssgs_process_duration_seconds', 'Time taken to process a received datagram, including key lookups.');
+        this.tickDuration = new Histogram('ssgs_tick_duration_seconds', 'Time taken by each retransmission and liveness tick.');
+        this.deliveryDuration = new Histogram('ssgs_delivery_duration_seconds', 'Time from sending a message to a gateway until it was acknowledged.', RTT_BUCKETS_SECONDS);
+        this.rtt = new Histogram('ssgs_rtt_seconds', 'Round trip time samples of messages that were not retransmitted.', RTT_BUCKETS_SECONDS);
+
+        this.metrics = [
+            this.datagramsReceived,
+            this.datagramsRejected,
+            this.packetsSent,
+            this.retransmissions,
+            this.messagesDelivered,
+            this.deliveryFailures,
+            this.duplicateMessages,
+            this.sealUpdates,
+            this.addressBlocks,
+            this.connfailsSuppressed,
+            new Gauge('ssgs_connected_gateways', 'Gateways that are connected and authenticated.', () => [{ value: server.connectedClients.length }]),
+            new Gauge('ssgs_connected_gateways_by_protocol', 'Connected gateways by SSGSCP version.', () => [1, 2].map((version) => ({
+                labels: { version: String(version) },
+                value: server.connectedClients.filter((client) => client.protocolVersion === version).length
+            }))),
+            new Gauge('ssgs_authorizing_gateways', 'Gateways whose authorization is being checked.', () => [{ value: server.checkingAuthorizationFor.length }]),
+            new Gauge('ssgs_blocked_addresses', 'Addresses on the blocklist.', () => [{ value: server.rateLimiter.blocklist().length }]),
+            new Gauge('ssgs_gateway_srtt_seconds', 'Smoothed round trip time per connected gateway, absent until the first sample.', () => server.connectedClients
+                .filter((client) => client.srtt !== null)
+                .map((client) => ({ labels: { gateway: client.gatewayUID.toString('hex') }, value: client.srtt / 1000 }))),
+            new Gauge('ssgs_gateway_pending_messages', 'Messages in flight or queued per connected gateway.', () => server.connectedClients
+                .map((client) => ({ labels: { gateway: client.gatewayUID.toString('hex') }, value: client.pendingCount }))),
+            new Gauge('ssgs_sensor_seals', 'Sensor Seals in the registry, by liveness status.', () => {
+                const counts = { online: 0, stale: 0, offline: 0 };
+                for (const seal of server.listSeals())
+                    counts[seal.status]++;
+                return Object.keys(counts).map((status) => ({ labels: { status }, value: counts[status] }));
+            }),
+            this.processDuration,
+            this.tickDuration,
+            this.deliveryDuration,
+            this.rtt
+        ];
+    }
+
+    /**
+     * @method
+     * @param {PacketType} packetType - the type of the packet that was sent
+     * Counts a packet sent to a gateway, retransmissions are counted separately
+     */
+    packetSent(packetType: PacketType) {
+        this.packetsSent.inc({ type: SSGSCP.packetTypeName(packetType) });
+    }
+
+    /**
+     * @method
+     * @returns {string} - every metric in the Prometheus text exposition format (version 0.0.4)
+     */
+    render(): string {
+        const lines: Array<string> = [];
+        for (const metric of this.metrics) {
+            lines.push('# HELP ' + metric.name + ' ' + metric.help);
+            lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+            lines.push(...metric.render());
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+function renderLabels(labels: MetricLabels): string {
+    const names = Object.keys(labels).sort();
+    if (names.length === 0)
+        return '';
+
+    return '{' + names.map((name) => name + '="' + String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"').join(',') + '}';
+}
+
+function formatValue(value: number): string {
+    if (value === Infinity)
+        return '+Inf';
+    if (value === -Infinity)
+        return '-Inf';
+
+    return String(value);
+}
@@ -0,0 +1,572 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import * as net from 'node:net';
+import * as tls from 'node:tls';
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+
+const MQTT_PORT = 1883;
+const MQTTS_PORT = 8883;
+const KEEPALIVE_S_DEFAULT = 60;
+const RECONNECT_PERIOD_MS_DEFAULT = 5000;
+const CONNECT_TIMEOUT_MS = 10000; // how long to wait for CONNACK before giving up on a connection attempt
+const OFFLINE_BUFFER_MAX_LEN_DEFAULT = 1000;
+const MAX_PACKET_ID = 0xffff;
+
+// MQTT control packet types, the high nibble of the fixed header
+const enum MQTTPacketType {
+    CONNECT = 1,
+    CONNACK = 2,
+    PUBLISH = 3,
+    PUBACK = 4,
+    PUBREC = 5,
+    PUBREL = 6,
+    PUBCOMP = 7,
+    SUBSCRIBE = 8,
+    SUBACK = 9,
+    PINGREQ = 12,
+    PINGRESP = 13,
+    DISCONNECT = 14
+};
+
+export type MQTTQoS = 0 | 1 | 2;
+
+export type MQTTClientOptions = {
+    clientId?: string; // the client identifier, default is a random 'ssgs-' identifier
+    username?: string; // the user name, if the broker requires one
+    password?: string; // the password, if the broker requires one
+    protocolVersion?: 4 | 5; // 4 for MQTT 3.1.1, 5 for MQTT 5, default is 4
+    keepalive?: number; // the keep alive interval in seconds, default is 60
+    cleanSession?: boolean; // start a clean session (clean start in MQTT 5), default is true
+    reconnectPeriodMs?: number; // the delay before reconnecting after the connection is lost, default is 5 seconds
+    offlineBufferMaxLen?: number; // the maximum number of publishes held while disconnected, the oldest are dropped, default is 1000
+    will?: { topic: string, payload: Buffer | string, qos?: MQTTQoS, retain?: boolean }; // published by the broker if the connection is lost
+    tls?: tls.ConnectionOptions; // extra TLS options for mqtts:// URLs, e.g. a CA certificate
+};
+
+export type MQTTClientEvents = {
+    connect: []; // the broker accepted the connection
+    close: []; // the connection was lost or closed, the client reconnects unless end() was called
+    message: [topic: string, payload: Buffer, retained: boolean]; // a message was published to a subscribed topic, retained if the broker stored it before the subscription
+    error: [err: Error]; // a connection or protocol error, the client keeps reconnecting
+};
+
+type PendingPublish = {
+    packetID: number; // the packet identifier, 0 for QoS 0
+    topic: string;
+    payload: Buffer;
+    qos: MQTTQoS;
+    retain: boolean;
+    released: boolean; // QoS 2: PUBREC was received and PUBREL sent
+    resolve: () => void;
+    reject: (err: Error) => void;
+};
+
+/**
+ * A small MQTT 3.1.1 and 5 client covering what the SSGS MQTT bridge needs
+ * Publishes with QoS 0, 1 and 2, subscribes, keeps the connection alive and reconnects when it is lost
+ * Publishes made while disconnected are buffered, unacknowledged QoS 1 and 2 publishes are resent after reconnecting
+ */
+export class MQTTClient extends EventEmitter<MQTTClientEvents> {
+    readonly url: URL; // the broker URL, mqtt://host:port or mqtts://host:port
+    connected: boolean; // whether the broker has accepted the connection
+    private options: MQTTClientOptions;
+    private clientId: string;
+    private socket: net.Socket | null;
+    private received: Buffer; // bytes received that do not form a complete packet yet
+    private nextPacketID: number;
+    private inflight: Map<number, PendingPublish>; // QoS 1 and 2 publishes awaiting acknowledgement, keyed by packet ID
+    private pendingSubscribes: Map<number, Array<string>>; // the topic filters of SUBSCRIBEs awaiting SUBACK, keyed by packet ID
+    private offline: Array<PendingPublish>; // publishes waiting for a connection
+    private subscriptions: Map<string, MQTTQoS>; // topic filters to subscribe to on every connection
+    private ended: boolean;
+    private reconnectTimer: ReturnType<typeof setTimeout> | null;
+    private connectTimer: ReturnType<typeof setTimeout> | null; // gives up on a connection attempt that gets no CONNACK
+    private pingTimer: ReturnType<typeof setInterval> | null;
+    private lastPacketSent: number;
+
+    /**
+     * @constructor
+     * @param {string} url - the broker URL, mqtt://host[:port] or mqtts://host[:port]
+     * @param {MQTTClientOptions} options - the connection options
+     */
+    constructor(url: string, options?: MQTTClientOptions) {
+        super();
+        this.url = new URL(url);
+        if (this.url.protocol !== 'mqtt:' && this.url.protocol !== 'mqtts:')
+            throw new TypeError('SSGS MQTT: broker URL must start with mqtt:// or mqtts://');
+
+        this.options = options ?? {};
+        this.clientId = this.options.clientId ?? 'ssgs-' + Math.random().toString(16).slice(2, 10);
+        this.connected = false;
+        this.socket = null;
+        this.received = Buffer.alloc(0);
+        this.nextPacketID = 1;
+        this.inflight = new Map();
+        this.pendingSubscribes = new Map();
+        this.offline = [];
+        this.subscriptions = new Map();
+        this.ended = false;
+        this.reconnectTimer = null;
+        this.connectTimer = null;
+        this.pingTimer = null;
+        this.lastPacketSent = 0;
+    }
+
+    /**
+     * @method
+     * Connects to the broker, and keeps reconnecting until end() is called
+     */
+    connect() {
+        if (this.ended || this.socket)
+            return;
+
+        const port = Number(this.url.port) || (this.url.protocol === 'mqtts:' ? MQTTS_PORT : MQTT_PORT);
+        const host = this.url.hostname.replace(/^\[|\]$/g, ''); // IPv6 literals are bracketed in URLs
+
+        const socket = this.url.protocol === 'mqtts:'
+            ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ...this.options.tls })
+            : net.connect({ host, port });
+
+        this.socket = socket;
+        this.received = Buffer.alloc(0);
+
+        this.connectTimer = setTimeout(() => socket.destroy(new Error('SSGS MQTT: timed out waiting for CONNACK')), CONNECT_TIMEOUT_MS);
+        socket.once(this.url.protocol === 'mqtts:' ? 'secureConnect' : 'connect', () => socket.write(this.connectPacket()));
+        socket.on('data', (data: Buffer) => {
+            this.received = Buffer.concat([this.received, data]);
+            try {
+                this.readPackets();
+            } catch (err) {
+                socket.destroy(err);
+            }
+        });
+        socket.on('error', (err) => this.emit('error', err));
+        socket.on('close', () => this.onclose(socket));
+    }
+
+    /**
+     * @method
+     * @param {string} topic - the topic to publish to
+     * @param {Buffer | string} payload - the message
+     * @param {object} options - the QoS (default 0) and whether the broker should retain the message (default false)
+     * @returns {Promise<void>} - resolves once the message was written (QoS 0) or acknowledged (QoS 1 and 2)
+     * Publishes a message, or buffers it until the client is connected
+     */
+    publish(topic: string, payload: Buffer | string, options?: { qos?: MQTTQoS, retain?: boolean }): Promise<void> {
+        if (this.ended)
+            return Promise.reject(new Error('SSGS MQTT: the client has been ended'));
+
+        return new Promise((resolve, reject) => {
+            const publish: PendingPublish = {
+                packetID: 0,
+                topic,
+                payload: Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8'),
+                qos: options?.qos ?? 0,
+                retain: options?.retain ?? false,
+                released: false,
+                resolve,
+                reject
+            };
+
+            if (!this.connected) {
+                this.bufferOffline(publish);
+                return;
+            }
+
+            this.sendPublish(publish, false);
+        });
+    }
+
+    /**
+     * @method
+     * @param {string} topicFilter - the topic filter, may contain + and # wildcards
+     * @param {MQTTQoS} qos - the maximum QoS to receive messages with, default is 0
+     * Subscribes to a topic filter, now if connected and again on every reconnection
+     */
+    subscribe(topicFilter: string, qos: MQTTQoS = 0) {
+        this.subscriptions.set(topicFilter, qos);
+        if (this.connected)
+            this.writePacket(this.subscribePacket([[topicFilter, qos]]));
+    }
+
+    /**
+     * @method
+     * @async
+     * @param {number} timeoutMs - how long to wait for buffered and unacknowledged publishes, default is 2000
+     * Waits for pending publishes, then disconnects and stops reconnecting, publishes still pending are rejected
+     */
+    async end(timeoutMs: number = 2000) {
+        const deadline = Date.now() + timeoutMs;
+        while (this.connected && (this.inflight.size > 0 || this.offline.length > 0) && Date.now() < deadline)
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+        this.ended = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.connected)
+            this.writePacket(this.packet(MQTTPacketType.DISCONNECT, 0, this.version5 ? Buffer.from([0, 0]) : Buffer.alloc(0)));
+
+        const socket = this.socket;
+        if (socket) {
+            await new Promise<void>((resolve) => {
+                socket.once('close', () => resolve());
+                socket.end();
+                setTimeout(() => socket.destroy(), 1000).unref();
+            });
+        }
+
+        const err = new Error('SSGS MQTT: the client was ended before the message was delivered');
+        for (const publish of Array.from(this.inflight.values()).concat(this.offline))
+            publish.reject(err);
+
+        this.inflight.clear();
+        this.offline = [];
+    }
+
+    private get version5(): boolean {
+        return this.options.protocolVersion === 5;
+    }
+
+    private onclose(socket: net.Socket) {
+        if (this.socket !== socket)
+            return;
+
+        const wasConnected = this.connected;
+        this.socket = null;
+        this.connected = false;
+        this.pendingSubscribes.clear(); // every subscription is sent again once we reconnect
+        clearTimeout(this.connectTimer);
+        this.connectTimer = null;
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+
+        if (wasConnected)
+            this.emit('close');
+
+        // unacknowledged publishes are resent from the offline buffer once we reconnect
+        if (!this.ended) {
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.connect();
+            }, this.options.reconnectPeriodMs ?? RECONNECT_PERIOD_MS_DEFAULT);
+        }
+    }
+
+    private onconnack() {
+        clearTimeout(this.connectTimer);
+        this.connectTimer = null;
+        this.connected = true;
+        this.lastPacketSent = Date.now();
+
+        const keepaliveMs = (this.options.keepalive ?? KEEPALIVE_S_DEFAULT) * 1000;
+        if (keepaliveMs > 0) {
+            this.pingTimer = setInterval(() => {
+                if (Date.now() - this.lastPacketSent >= keepaliveMs / 2)
+                    this.writePacket(this.packet(MQTTPacketType.PINGREQ, 0, Buffer.alloc(0)));
+            }, keepaliveMs / 4);
+        }
+
+        if (this.subscriptions.size > 0)
+            this.writePacket(this.subscribePacket(Array.from(this.subscriptions.entries())));
+
+        // resend what was in flight when the connection was lost, then what was published while offline
+        const inflight = Array.from(this.inflight.values());
+        for (const publish of inflight) {
+            if (publish.released)
+                this.writePacket(this.packet(MQTTPacketType.PUBREL, 2, this.ackBody(publish.packetID)));
+            else
+                this.sendPublish(publish, true);
+        }
+
+        const offline = this.offline;
+        this.offline = [];
+        for (const publish of offline)
+            this.sendPublish(publish, false);
+
+        this.emit('connect');
+    }
+
+    private bufferOffline(publish: PendingPublish) {
+        this.offline.push(publish);
+        if (this.offline.length > (this.options.offlineBufferMaxLen ?? OFFLINE_BUFFER_MAX_LEN_DEFAULT))
+            this.offline.shift().reject(new Error('SSGS MQTT: offline buffer full, the oldest message was dropped'));
+    }
+
+    private sendPublish(publish: PendingPublish, dup: boolean) {
+        if (publish.qos > 0 && publish.packetID === 0) {
+            publish.packetID = this.allocatePacketID();
+            this.inflight.set(publish.packetID, publish);
+        }
+
+        const topic = encodeString(publish.topic);
+        const parts = [topic];
+        if (publish.qos > 0)
+            parts.push(u16(publish.packetID));
+        if (this.version5)
+            parts.push(Buffer.from([0])); // no properties
+        parts.push(publish.payload);
+
+        const flags = (dup ? 0x08 : 0) | (publish.qos << 1) | (publish.retain ? 0x01 : 0);
+        this.writePacket(this.packet(MQTTPacketType.PUBLISH, flags, Buffer.concat(parts)));
+
+        if (publish.qos === 0)
+            publish.resolve();
+    }
+
+    private allocatePacketID(): number {
+        for (let i = 0; i < MAX_PACKET_ID; i++) {
+            const packetID = this.nextPacketID;
+            this.nextPacketID = this.nextPacketID % MAX_PACKET_ID + 1;
+            if (!this.inflight.has(packetID) && !this.pendingSubscribes.has(packetID))
+                return packetID;
+        }
+
+        throw new Error('SSGS MQTT: no free packet identifiers');
+    }
+
+    private connectPacket(): Buffer {
+        const opts = this.options;
+        let flags = (opts.cleanSession ?? true) ? 0x02 : 0;
+        if (opts.will)
+            flags |= 0x04 | ((opts.will.qos ?? 0) << 3) | (opts.will.retain ? 0x20 : 0);
+        if (opts.password !== undefined)
+            flags |= 0x40;
+        if (opts.username !== undefined)
+            flags |= 0x80;
+
+        const parts = [
+            encodeString('MQTT'),
+            Buffer.from([this.version5 ? 5 : 4, flags]),
+            u16(opts.keepalive ?? KEEPALIVE_S_DEFAULT)
+        ];
+        if (this.version5)
+            parts.push(Buffer.from([0])); // no properties
+
+        parts.push(encodeString(this.clientId));
+        if (opts.will) {
+            if (this.version5)
+                parts.push(Buffer.from([0])); // no will properties
+            parts.push(encodeString(opts.will.topic));
+            const payload = Buffer.isBuffer(opts.will.payload) ? opts.will.payload : Buffer.from(opts.will.payload, 'utf8');
+            parts.push(u16(payload.length), payload);
+        }
+        if (opts.username !== undefined)
+            parts.push(encodeString(opts.username));
+        if (opts.password !== undefined)
+            parts.push(encodeString(opts.password));
+
+        return this.packet(MQTTPacketType.CONNECT, 0, Buffer.concat(parts));
+    }
+
+    private subscribePacket(subscriptions: Array<[string, MQTTQoS]>): Buffer {
+        // the packet ID is reserved until the SUBACK arrives so that no publish reuses it in the meantime
+        const packetID = this.allocatePacketID();
+        this.pendingSubscribes.set(packetID, subscriptions.map(([topicFilter]) => topicFilter));
+
+        const parts = [u16(packetID)];
+        if (this.version5)
+            parts.push(Buffer.from([0])); // no properties
+
+        for (const [topicFilter, qos] of subscriptions)
+            parts.push(encodeString(topicFilter), Buffer.from([qos]));
+
+        return this.packet(MQTTPacketType.SUBSCRIBE, 2, Buffer.concat(parts));
+    }
+
+    private ackBody(packetID: number): Buffer {
+        return u16(packetID); // a success reason code and no properties may be omitted in MQTT 5
+    }
+
+    private packet(type: MQTTPacketType, flags: number, body: Buffer): Buffer {
+        return Buffer.concat([Buffer.from([(type << 4) | flags]), encodeVarint(body.length), body]);
+    }
+
+    private writePacket(packet: Buffer) {
+        if (!this.socket || this.socket.destroyed)
+            return;
+
+        this.lastPacketSent = Date.now();
+        this.socket.write(packet);
+    }
+
+    // parses every complete packet in the receive buffer
+    private readPackets() {
+        for (;;) {
+            if (this.received.length < 2)
+                return;
+
+            // the remaining length is a variable byte integer of at most 4 bytes
+            let length = 0;
+            let multiplier = 1;
+            let offset = 1;
+            for (; ;) {
+                if (offset >= this.received.length)
+                    return;
+                if (offset > 4)
+                    throw new Error('SSGS MQTT: malformed remaining length');
+
+                const byte = this.received[offset++];
+                length += (byte & 0x7f) * multiplier;
+                multiplier *= 128;
+                if (!(byte & 0x80))
+                    break;
+            }
+
+            if (this.received.length < offset + length)
+                return;
+
+            const header = this.received[0];
+            const body = this.received.subarray(offset, offset + length);
+            this.received = this.received.subarray(offset + length);
+
+            this.handlePacket(header >> 4, header & 0x0f, body);
+        }
+    }
+
+    private handlePacket(type: number, flags: number, body: Buffer) {
+        switch (type) {
+            case MQTTPacketType.CONNACK: {
+                const reasonCode = body[1];
+                if (reasonCode !== 0) {
+                    this.emit('error', new Error('SSGS MQTT: broker refused the connection, reason code ' + reasonCode));
+                    this.socket?.destroy();
+                    return;
+                }
+
+                this.onconnack();
+                return;
+            }
+
+            case MQTTPacketType.PUBLISH: {
+                const qos = <MQTTQoS>((flags >> 1) & 0x03);
+                const retained = (flags & 0x01) !== 0;
+                const topicLength = body.readUInt16BE(0);
+                const topic = body.subarray(2, 2 + topicLength).toString('utf8');
+                let offset = 2 + topicLength;
+
+                let packetID = 0;
+                if (qos > 0) {
+                    packetID = body.readUInt16BE(offset);
+                    offset += 2;
+                }
+
+                if (this.version5) {
+                    const properties = decodeVarint(body, offset);
+                    offset = properties.next + properties.value;
+                }
+
+                // QoS 2 messages are delivered on PUBLISH, a resent PUBLISH may deliver twice
+                if (qos === 1)
+                    this.writePacket(this.packet(MQTTPacketType.PUBACK, 0, this.ackBody(packetID)));
+                else if (qos === 2)
+                    this.writePacket(this.packet(MQTTPacketType.PUBREC, 0, this.ackBody(packetID)));
+
+                this.emit('message', topic, Buffer.from(body.subarray(offset)), retained);
+                return;
+            }
+
+            case MQTTPacketType.PUBACK:
+            case MQTTPacketType.PUBCOMP: {
+                const packetID = body.readUInt16BE(0);
+                const publish = this.inflight.get(packetID);
+                if (!publish)
+                    return;
+
+                this.inflight.delete(packetID);
+                const reasonCode = body.length > 2 ? body[2] : 0;
+                if (reasonCode >= 0x80)
+                    publish.reject(new Error('SSGS MQTT: broker rejected the publish to ' + publish.topic + ', reason code ' + reasonCode));
+                else
+                    publish.resolve();
+                return;
+            }
+
+            case MQTTPacketType.PUBREC: {
+                const packetID = body.readUInt16BE(0);
+                const publish = this.inflight.get(packetID);
+                if (publish)
+                    publish.released = true;
+
+                this.writePacket(this.packet(MQTTPacketType.PUBREL, 2, this.ackBody(packetID)));
+                return;
+            }
+
+            case MQTTPacketType.PUBREL: {
+                this.writePacket(this.packet(MQTTPacketType.PUBCOMP, 0, this.ackBody(body.readUInt16BE(0))));
+                return;
+            }
+
+            case MQTTPacketType.SUBACK: {
+                const packetID = body.readUInt16BE(0);
+                const topicFilters = this.pendingSubscribes.get(packetID);
+                if (!topicFilters)
+                    return;
+
+                this.pendingSubscribes.delete(packetID);
+
+                let offset = 2;
+                if (this.version5) {
+                    const properties = decodeVarint(body, offset);
+                    offset = properties.next + properties.value;
+                }
+
+                const refused = topicFilters.filter((topicFilter, i) => body[offset + i] >= 0x80);
+                if (refused.length > 0)
+                    this.emit('error', new Error('SSGS MQTT: broker refused the subscription to ' + refused.join(', ')));
+                return;
+            }
+
+            case MQTTPacketType.DISCONNECT: {
+                this.emit('error', new Error('SSGS MQTT: broker disconnected' + (body.length > 0 ? ', reason code ' + body[0] : '')));
+                this.socket?.destroy();
+                return;
+            }
+        }
+    }
+}
+
+function u16(value: number): Buffer {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(value, 0);
+    return buf;
+}
+
+function encodeString(value: string): Buffer {
+    const data = Buffer.from(value, 'utf8');
+    return Buffer.concat([u16(data.length), data]);
+}
+
+function encodeVarint(value: number): Buffer {
+    const bytes: Array<number> = [];
+    do {
+        let byte = value % 128;
+        value = Math.floor(value / 128);
+        if (value > 0)
+            byte |= 0x80;
+        bytes.push(byte);
+    } while (value > 0);
+
+    return Buffer.from(bytes);
+}
+
+function decodeVarint(data: Buffer, offset: number): { value: number, next: number } {
+    let value = 0;
+    let multiplier = 1;
+    for (let i = 0; i < 4; i++) {
+        const byte = data[offset + i];
+        value += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+        if (!(byte & 0x80))
+            return { value, next: offset + i + 1 };
+    }
+
+    throw new Error('SSGS MQTT: malformed variable byte integer');
+}
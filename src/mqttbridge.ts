@@ -0,0 +1,191 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { Buffer } from "node:buffer";
+
+import { MQTTClient, MQTTClientOptions, MQTTQoS } from './mqtt.js';
+import { SensorSealUpdate, sensorSealUpdateToJSON } from './ssgscp/ssprotocols.js';
+import { SealRegistry } from './seals.js';
+import type SSGS from './index.js';
+import type { Client } from './index.js';
+
+const UPDATE_TOPIC_DEFAULT = 'ssgs/{gateway}/{seal}';
+const STATUS_TOPIC_DEFAULT = 'ssgs/{gateway}/status';
+const BRIDGE_STATUS_TOPIC_DEFAULT = 'ssgs/bridge/status';
+
+export type MQTTBridgeOptions = MQTTClientOptions & {
+    url: string; // the broker URL, e.g. mqtt://localhost:1883 or mqtts://broker.example.com
+    qos?: MQTTQoS; // the QoS of update and status publishes, default is 1
+    updateTopic?: string; // the topic template of Sensor Seal updates, {gateway} and {seal} are replaced by hex UIDs, default is 'ssgs/{gateway}/{seal}'
+    statusTopic?: string | null; // the topic template of the retained gateway status ('online' or 'offline'), must contain {gateway}, default is 'ssgs/{gateway}/status', null to disable
+    bridgeStatusTopic?: string | null; // the topic of the retained bridge status, 'offline' is also the will, default is 'ssgs/bridge/status', null to disable
+    downlinkTopic?: string; // a topic template containing {gateway}, payloads published to it are sent to that gateway with client.send(), default is none
+};
+
+/**
+ * Publishes Sensor Seal updates and gateway status to an MQTT broker and optionally forwards downlinks from it
+ * Updates are published as JSON for every gateway that relays them, gateway status is retained so that
+ * subscribers joining later see which gateways are connected
+ * A gateway status is only current while the retained bridge status is 'online', the broker publishes the bridge's
+ * 'offline' will if the connection is lost, and 'online' gateway statuses left by an earlier run are set to 'offline'
+ */
+export class MQTTBridge {
+    readonly client: MQTTClient; // the connection to the broker
+    private server: SSGS;
+    private options: MQTTBridgeOptions;
+    private downlinkPattern: RegExp | null; // matches downlink topics and captures the gateway UID
+    private statusPattern: RegExp | null; // matches gateway status topics and captures the gateway UID
+    private errorReported: boolean; // whether a connection error has been reported since the last successful connection
+
+    /**
+     * @constructor
+     * @param {SSGS} server - the server whose updates and gateways are bridged
+     * @param {MQTTBridgeOptions} options - the broker and topic options
+     */
+    constructor(server: SSGS, options: MQTTBridgeOptions) {
+        if (options.downlinkTopic !== undefined && options.downlinkTopic.indexOf('{gateway}') === -1)
+            throw new TypeError('SSGS MQTT: downlinkTopic must contain {gateway}');
+
+        if (options.statusTopic && options.statusTopic.indexOf('{gateway}') === -1)
+            throw new TypeError('SSGS MQTT: statusTopic must contain {gateway}');
+
+        this.server = server;
+        this.options = options;
+        this.client = new MQTTClient(options.url, this.bridgeStatusTopic === null ? options : {
+            ...options,
+            will: { topic: this.bridgeStatusTopic, payload: 'offline', qos: this.qos, retain: true }
+        });
+        this.errorReported = false;
+        this.downlinkPattern = options.downlinkTopic ? gatewayTopicPattern(options.downlinkTopic) : null;
+        this.statusPattern = options.statusTopic === null ? null : gatewayTopicPattern(options.statusTopic ?? STATUS_TOPIC_DEFAULT);
+
+        server.on('update', (update) => this.publishUpdate(update));
+        server.on('connection', (client) => this.publishStatus(client, 'online'));
+        server.on('reconnect', (client) => this.publishStatus(client, 'online'));
+        server.on('disconnect', (client) => this.publishStatus(client, 'offline'));
+
+        this.client.on('message', (topic, payload, retained) => {
+            this.onstatus(topic, payload, retained);
+            this.ondownlink(topic, payload);
+        });
+
+        // report the first error of an outage rather than every failed reconnection attempt
+        this.client.on('connect', () => {
+            this.errorReported = false;
+            this.publishBridgeStatus('online');
+        });
+        this.client.on('error', (err) => {
+            if (this.errorReported)
+                return;
+
+            this.errorReported = true;
+            this.server.emitError(err);
+        });
+
+        if (options.downlinkTopic)
+            this.client.subscribe(options.downlinkTopic.replace('{gateway}', '+'), this.qos);
+
+        // the retained gateway statuses are received once on every connection, see onstatus()
+        if (this.statusPattern)
+            this.client.subscribe((options.statusTopic ?? STATUS_TOPIC_DEFAULT).replace('{gateway}', '+'), this.qos);
+    }
+
+    /**
+     * @method
+     * Connects to the broker, publishes made before the connection is up are buffered
+     */
+    start() {
+        this.client.connect();
+    }
+
+    /**
+     * @method
+     * @async
+     * @param {number} timeoutMs - how long to wait for pending publishes
+     * Publishes the bridge's 'offline' status, waits for pending publishes and disconnects from the broker
+     */
+    async stop(timeoutMs?: number) {
+        this.publishBridgeStatus('offline');
+        await this.client.end(timeoutMs);
+    }
+
+    private get qos(): MQTTQoS {
+        return this.options.qos ?? 1;
+    }
+
+    private get bridgeStatusTopic(): string | null {
+        return this.options.bridgeStatusTopic === undefined ? BRIDGE_STATUS_TOPIC_DEFAULT : this.options.bridgeStatusTopic;
+    }
+
+    private publishUpdate(update: SensorSealUpdate) {
+        const topic = (this.options.updateTopic ?? UPDATE_TOPIC_DEFAULT)
+            .replace('{gateway}', SealRegistry.key(update.viaGatewayUID))
+            .replace('{seal}', SealRegistry.key(update.sensorSealUID));
+
+        const payload = JSON.stringify({ ...sensorSealUpdateToJSON(update), timestamp: Date.now() });
+
+        this.client.publish(topic, payload, { qos: this.qos }).catch((err) => this.server.emitError(err));
+    }
+
+    private publishStatus(client: Client, status: 'online' | 'offline') {
+        if (this.options.statusTopic === null)
+            return;
+
+        const topic = (this.options.statusTopic ?? STATUS_TOPIC_DEFAULT).replace('{gateway}', SealRegistry.key(client.gatewayUID));
+        this.client.publish(topic, status, { qos: this.qos, retain: true }).catch((err) => this.server.emitError(err));
+    }
+
+    // the will is not published on a clean disconnect, so stop() publishes 'offline' itself
+    private publishBridgeStatus(status: 'online' | 'offline') {
+        if (this.bridgeStatusTopic === null)
+            return;
+
+        this.client.publish(this.bridgeStatusTopic, status, { qos: this.qos, retain: true }).catch((err) => {
+            if (status === 'online')
+                this.server.emitError(err);
+        });
+    }
+
+    // a retained 'online' status of a gateway that is not connected was left by an earlier run that did not stop cleanly
+    private onstatus(topic: string, payload: Buffer, retained: boolean) {
+        const match = this.statusPattern?.exec(topic);
+        if (!match || !retained || payload.toString('utf8') !== 'online')
+            return;
+
+        if (this.server.getClientByGatewayUID(Buffer.from(match[1], 'hex')))
+            return;
+
+        this.client.publish(topic, 'offline', { qos: this.qos, retain: true }).catch((err) => this.server.emitError(err));
+    }
+
+    private ondownlink(topic: string, payload: Buffer) {
+        const match = this.downlinkPattern?.exec(topic);
+        if (!match)
+            return;
+
+        const client = this.server.getClientByGatewayUID(Buffer.from(match[1], 'hex'));
+        if (!client) {
+            this.server.emitError(new Error('SSGS MQTT: downlink for gateway ' + match[1] + ' which is not connected'));
+            return;
+        }
+
+        client.send(payload).then((receivedOk) => {
+            if (!receivedOk)
+                this.server.emitError(new Error('SSGS MQTT: downlink to gateway ' + match[1] + ' was not acknowledged'), client);
+        });
+    }
+}
+
+// matches a topic made from a template containing {gateway} and captures the gateway UID
+function gatewayTopicPattern(template: string): RegExp {
+    return new RegExp('^' + escapeRegExp(template).replace('\\{gateway\\}', '([0-9a-fA-F]{8})') + '$');
+}
+
+function escapeRegExp(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
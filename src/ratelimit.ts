@@ -0,0 +1,289 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+
+const PER_ADDRESS_DEFAULT: TokenBucketOptions = { rate: 10, burst: 20 };
+const PER_GATEWAY_DEFAULT: TokenBucketOptions = { rate: 2, burst: 10 }; // gateways retransmit CONN about once a second
+const TOTAL_DEFAULT: TokenBucketOptions = { rate: 200, burst: 400 }; // caps key store lookups when source addresses are spoofed
+const BACKOFF_BASE_MS_DEFAULT = 1000;
+const BACKOFF_MAX_MS_DEFAULT = 60000;
+const BLOCK_THRESHOLD_DEFAULT = 20; // backoff limits one gateway UID to a few failures a minute, this many means UIDs are being scanned
+const BLOCK_WINDOW_MS_DEFAULT = 60000;
+const BLOCK_DURATION_MS_DEFAULT = 10 * 60000;
+
+export type TokenBucketOptions = {
+    rate: number; // tokens added per second
+    burst: number; // the most tokens the bucket holds, and so the largest burst allowed
+};
+
+export type RateLimiterOptions = {
+    perAddress?: TokenBucketOptions | null; // attempts per source IP address, default is 10 per second with bursts of 20, null for no limit
+    perGateway?: TokenBucketOptions | null; // attempts per gateway UID, default is 2 per second with bursts of 10, null for no limit
+    total?: TokenBucketOptions | null; // attempts from every source together, default is 200 per second with bursts of 400, null for no limit
+    backoffBaseMs?: number; // how long a gateway UID is ignored from an address after its first authentication failure, doubled for each further failure, default is 1000
+    backoffMaxMs?: number; // the longest backoff, default is 60000
+    blockThreshold?: number; // authentication failures from one address within blockWindowMs that block it, default is 20, 0 never blocks
+    blockWindowMs?: number; // default is 60000
+    blockDurationMs?: number; // how long an address is blocked, default is 10 minutes
+};
+
+export type RateLimitResult = 'blocked' | 'rate-limited' | 'backoff'; // why a datagram was dropped
+
+export type BlockedAddress = {
+    address: string; // the IP address that is blocked
+    reason: string; // 'auth-failures', or the reason passed to block()
+    since: number; // the timestamp the address was blocked
+    until: number; // the timestamp the block expires
+};
+
+export type RateLimiterEvents = {
+    blocked: [entry: BlockedAddress]; // an address was added to the blocklist
+    unblocked: [entry: BlockedAddress]; // a block expired or was lifted with unblock()
+};
+
+type Bucket = {
+    tokens: number; // may be fractional
+    updated: number; // the timestamp tokens was last brought up to date
+};
+
+type Backoff = {
+    failures: number; // consecutive authentication failures
+    until: number; // attempts are dropped until this timestamp
+};
+
+/**
+ * Protects the server from unauthenticated traffic
+ * Datagrams from gateways without a session are checked against the blocklist, the backoff of their address and UID,
+ * and token buckets per address, per UID and in total before the key store or onconnectionattempt is consulted
+ * Every structure is keyed by data an attacker controls, prune() drops entries that no longer hold anything back
+ */
+export class RateLimiter extends EventEmitter<RateLimiterEvents> {
+    private options: RateLimiterOptions;
+    private addressBuckets: Map<string, Bucket>;
+    private gatewayBuckets: Map<string, Bucket>; // keyed by hex gateway UID
+    private totalBucket: Bucket;
+    private backoffs: Map<string, Backoff>; // keyed by address and hex gateway UID
+    private failures: Map<string, { count: number, windowStart: number }>; // authentication failures per address in the current window
+    private blocks: Map<string, BlockedAddress>; // keyed by address
+
+    /**
+     * @constructor
+     * @param {RateLimiterOptions} options - the limits, every one has a default
+     */
+    constructor(options?: RateLimiterOptions) {
+        super();
+
+        for (const name of ['perAddress', 'perGateway', 'total']) {
+            const bucket: TokenBucketOptions | null | undefined = options?.[name];
+            if (bucket && (!(bucket.rate > 0) || !(bucket.burst >= 1)))
+                throw new TypeError('SSGS Rate Limiter: ' + name + ' needs a rate above 0 and a burst of at least 1');
+        }
+
+        this.options = options ?? {};
+        this.addressBuckets = new Map();
+        this.gatewayBuckets = new Map();
+        this.totalBucket = { tokens: (this.options.total ?? TOTAL_DEFAULT).burst, updated: Date.now() };
+        this.backoffs = new Map();
+        this.failures = new Map();
+        this.blocks = new Map();
+    }
+
+    /**
+     * @method
+     * @param {string} address - the source IP address of the datagram
+     * @param {number} now - the current time
+     * @returns {boolean} - whether the address is blocked, every datagram from a blocked address is dropped
+     */
+    isBlocked(address: string, now: number = Date.now()): boolean {
+        const entry = this.blocks.get(address);
+        return entry !== undefined && now < entry.until;
+    }
+
+    /**
+     * @method
+     * @param {string} address - the source IP address of the datagram
+     * @param {Buffer} gatewayUID - the gateway UID in the datagram's header
+     * @param {number} now - the current time
+     * @returns {RateLimitResult | null} - why the attempt must be dropped, null if it may go ahead
+     * Checks an attempt by a gateway that has no session, an attempt that goes ahead takes a token from every bucket
+     */
+    check(address: string, gatewayUID: Buffer, now: number = Date.now()): RateLimitResult | null {
+        if (this.isBlocked(address, now))
+            return 'blocked';
+
+        const backoff = this.backoffs.get(RateLimiter.pairKey(address, gatewayUID));
+        if (backoff && now < backoff.until)
+            return 'backoff';
+
+        const perAddress = this.options.perAddress === undefined ? PER_ADDRESS_DEFAULT : this.options.perAddress;
+        const perGateway = this.options.perGateway === undefined ? PER_GATEWAY_DEFAULT : this.options.perGateway;
+        const total = this.options.total === undefined ? TOTAL_DEFAULT : this.options.total;
+
+        if (perAddress && !RateLimiter.take(this.bucketFor(this.addressBuckets, address, perAddress, now), perAddress, now))
+            return 'rate-limited';
+        if (perGateway && !RateLimiter.take(this.bucketFor(this.gatewayBuckets, gatewayUID.toString('hex'), perGateway, now), perGateway, now))
+            return 'rate-limited';
+        if (total && !RateLimiter.take(this.totalBucket, total, now))
+            return 'rate-limited';
+
+        return null;
+    }
+
+    /**
+     * @method
+     * @param {string} address - the source IP address of the failed attempt
+     * @param {Buffer} gatewayUID - the gateway UID of the failed attempt
+     * @param {number} now - the current time
+     * Starts or lengthens the backoff of the address and UID, and blocks the address once it reaches the block threshold
+     */
+    recordFailure(address: string, gatewayUID: Buffer, now: number = Date.now()) {
+        const baseMs = this.options.backoffBaseMs ?? BACKOFF_BASE_MS_DEFAULT;
+        const maxMs = this.options.backoffMaxMs ?? BACKOFF_MAX_MS_DEFAULT;
+        const key = RateLimiter.pairKey(address, gatewayUID);
+        const backoff = this.backoffs.get(key) ?? { failures: 0, until: 0 };
+        backoff.failures++;
+        backoff.until = now + Math.min(baseMs * Math.pow(2, Math.min(backoff.failures - 1, 30)), maxMs);
+        this.backoffs.set(key, backoff);
+
+        const threshold = this.options.blockThreshold ?? BLOCK_THRESHOLD_DEFAULT;
+        if (threshold <= 0 || this.isBlocked(address, now))
+            return;
+
+        const windowMs = this.options.blockWindowMs ?? BLOCK_WINDOW_MS_DEFAULT;
+        let failures = this.failures.get(address);
+        if (!failures || now - failures.windowStart > windowMs) {
+            failures = { count: 0, windowStart: now };
+            this.failures.set(address, failures);
+        }
+
+        if (++failures.count >= threshold) {
+            this.failures.delete(address);
+            this.block(address, this.options.blockDurationMs ?? BLOCK_DURATION_MS_DEFAULT, 'auth-failures', now);
+        }
+    }
+
+    /**
+     * @method
+     * @param {string} address - the source IP address of the gateway
+     * @param {Buffer} gatewayUID - the UID of the gateway that connected
+     * Clears the backoff of a gateway that has connected
+     */
+    recordSuccess(address: string, gatewayUID: Buffer) {
+        this.backoffs.delete(RateLimiter.pairKey(address, gatewayUID));
+    }
+
+    /**
+     * @method
+     * Forgets every backoff, e.g. after gateways were added to the key store
+     */
+    clearBackoffs() {
+        this.backoffs.clear();
+    }
+
+    /**
+     * @method
+     * @param {string} address - the IP address to block
+     * @param {number} durationMs - how long to block it for, default is the blockDurationMs option
+     * @param {string} reason - passed through to the 'blocked' event, default is 'manual'
+     * @param {number} now - the current time
+     * Blocks an address, or extends its block, emitting 'blocked'
+     */
+    block(address: string, durationMs: number = this.options.blockDurationMs ?? BLOCK_DURATION_MS_DEFAULT, reason: string = 'manual', now: number = Date.now()) {
+        const entry: BlockedAddress = { address, reason, since: now, until: now + durationMs };
+        this.blocks.set(address, entry);
+        this.emit('blocked', entry);
+    }
+
+    /**
+     * @method
+     * @param {string} address - the IP address to unblock
+     * @returns {boolean} - true if the address was blocked
+     * Lifts a block, emitting 'unblocked'
+     */
+    unblock(address: string): boolean {
+        const entry = this.blocks.get(address);
+        if (!entry)
+            return false;
+
+        this.blocks.delete(address);
+        this.failures.delete(address);
+        this.emit('unblocked', entry);
+        return true;
+    }
+
+    /**
+     * @method
+     * @returns {Array<BlockedAddress>} - the addresses that are blocked
+     */
+    blocklist(): Array<BlockedAddress> {
+        return Array.from(this.blocks.values());
+    }
+
+    /**
+     * @method
+     * @param {number} now - the current time
+     * Lifts expired blocks and drops buckets, backoffs and failure counts that no longer limit anything
+     */
+    prune(now: number = Date.now()) {
+        for (const entry of Array.from(this.blocks.values())) {
+            if (now >= entry.until)
+                this.unblock(entry.address);
+        }
+
+        const maxMs = this.options.backoffMaxMs ?? BACKOFF_MAX_MS_DEFAULT;
+        this.backoffs.forEach((backoff, key) => {
+            if (now >= backoff.until + maxMs) // the failures are forgotten once the gateway has been quiet for a while
+                this.backoffs.delete(key);
+        });
+
+        const windowMs = this.options.blockWindowMs ?? BLOCK_WINDOW_MS_DEFAULT;
+        this.failures.forEach((failures, address) => {
+            if (now - failures.windowStart > windowMs)
+                this.failures.delete(address);
+        });
+
+        RateLimiter.pruneBuckets(this.addressBuckets, this.options.perAddress === undefined ? PER_ADDRESS_DEFAULT : this.options.perAddress, now);
+        RateLimiter.pruneBuckets(this.gatewayBuckets, this.options.perGateway === undefined ? PER_GATEWAY_DEFAULT : this.options.perGateway, now);
+    }
+
+    private bucketFor(buckets: Map<string, Bucket>, key: string, options: TokenBucketOptions, now: number): Bucket {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: options.burst, updated: now };
+            buckets.set(key, bucket);
+        }
+
+        return bucket;
+    }
+
+    // refills the bucket for the time since it was last updated and takes a token if there is one
+    private static take(bucket: Bucket, options: TokenBucketOptions, now: number): boolean {
+        bucket.tokens = Math.min(options.burst, bucket.tokens + Math.max(0, now - bucket.updated) * options.rate / 1000);
+        bucket.updated = now;
+
+        if (bucket.tokens < 1)
+            return false;
+
+        bucket.tokens--;
+        return true;
+    }
+
+    // a bucket that would be full again is the same as no bucket
+    private static pruneBuckets(buckets: Map<string, Bucket>, options: TokenBucketOptions | null, now: number) {
+        buckets.forEach((bucket, key) => {
+            if (!options || bucket.tokens + (now - bucket.updated) * options.rate / 1000 >= options.burst)
+                buckets.delete(key);
+        });
+    }
+
+    private static pairKey(address: string, gatewayUID: Buffer): string {
+        return address + '|' + gatewayUID.toString('hex');
+    }
+}
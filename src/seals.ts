@@ -0,0 +1,360 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { Buffer } from "node:buffer";
+
+import { SensorSealUpdate } from './ssgscp/ssprotocols.js';
+
+const SEAL_DUPLICATE_WINDOW_MS_DEFAULT = 30000; // an update ID heard again within this period is a copy relayed by another gateway
+const SEAL_RECENT_UPDATE_IDS_MAX_LEN = 16; // the number of update IDs remembered per seal for de-duplication
+const SEAL_SEQUENCE_WINDOW = 32; // update IDs up to this far behind the highest one received are late arrivals, not replays
+const SEAL_RESET_MAX_UPDATE_ID = 16; // a seal that goes back to an update ID this low, not received recently, has restarted its counter (rebooted)
+const SEAL_RESET_CONFIRM_COUNT = 3; // this many consecutive stale update IDs in sequence also mean the counter was restarted
+const SEAL_MAX_GAP = 65536; // a jump forward larger than this is a counter reset rather than lost updates
+const SEAL_STALE_INTERVALS = 1.5; // a seal is stale once it has been silent for this many reporting intervals
+const SEAL_OFFLINE_INTERVALS = 3; // a seal is offline once it has been silent for this many reporting intervals
+
+export type SealStatus = 'online' | 'stale' | 'offline';
+
+export type SealState = {
+    sensorSealUID: Buffer; // the UID of the sensor seal
+    latest: SensorSealUpdate; // the most recent de-duplicated update
+    firstSeen: number; // the timestamp of the first update received from the seal
+    lastReceived: number; // the timestamp of the most recent de-duplicated update
+    lastHeard: number; // the timestamp the seal was last heard by any gateway, including duplicate copies
+    lastGatewayUID: Buffer; // the UID of the gateway that heard the seal most recently
+    gateways: Map<string, number>; // the gateways that have heard the seal, hex gateway UID -> timestamp it last heard the seal
+    updateCount: number; // the number of de-duplicated updates received
+    duplicateCount: number; // the number of copies relayed by further gateways
+    stats: SealStats; // update ID sequence and delivery statistics
+    status: SealStatus; // 'stale' or 'offline' once the seal has missed its expected reports, 'online' otherwise
+    reportIntervalMs: number | null; // how often the seal is expected to report, 0 if it is not monitored, null to use the registry default
+};
+
+export type SealLivenessChange = {
+    seal: SealState; // the seal whose status changed
+    status: SealStatus; // the new status
+    previousStatus: SealStatus; // the status before the change
+    reason: 'silent' | 'no-gateway'; // 'no-gateway' if none of the gateways that heard the seal is connected, so the seal itself may be fine
+};
+
+export type SealStats = {
+    highestUpdateID: number | null; // the highest update ID received since the last counter reset, null until the first update
+    received: number; // the number of updates received in sequence tracking, excluding duplicates and replays
+    missed: number; // the number of update IDs that were skipped and have not arrived late
+    reordered: number; // the number of updates that arrived after a higher update ID
+    replays: number; // the number of stale update IDs that were heard again and ignored
+    resets: number; // the number of times the seal restarted its update ID counter
+    lossRate: number; // missed / (received + missed), 0 until an update is missed
+    lastGap: number; // the number of updates missed in the most recent gap, 0 if none has been missed
+    lastGapAt: number | null; // the timestamp of the most recent gap, null if none has been missed
+};
+
+export type SealRecordResult = {
+    seal: SealState; // the state of the seal after recording the update
+    duplicate: boolean; // whether the update is a copy of one already recorded
+    replay: boolean; // whether the update ID is stale (received before or too old), replays are not recorded as the latest state
+    reordered: boolean; // whether the update arrived after a higher update ID
+    reset: boolean; // whether the seal restarted its update ID counter, previousUpdateID is the last ID before the restart
+    previousUpdateID: number | null; // the highest update ID received before this update
+    missed: number; // the number of update IDs skipped by this update
+    online: boolean; // whether the seal was stale or offline before this update
+};
+
+type SealEntry = {
+    state: SealState;
+    recentUpdateIDs: Array<{ updateID: number, timestamp: number }>; // FIFO of recent update IDs, at most SEAL_RECENT_UPDATE_IDS_MAX_LEN long
+    receivedWindow: number; // bit i is set if update ID highestUpdateID - i has been received
+    staleRun: { updateID: number, count: number } | null; // consecutive stale update IDs that are in sequence with each other
+};
+
+/**
+ * Tracks the latest state of every Sensor Seal heard by any gateway
+ * The same update relayed by several gateways is recorded once, the other copies only update which gateways heard the seal
+ */
+export class SealRegistry {
+    duplicateWindowMs: number; // an update ID heard again within this period is treated as a duplicate
+    reportIntervalMs: number | null; // how often seals are expected to report unless set per seal, null disables liveness monitoring
+    private seals: Map<string, SealEntry>; // keyed by hex sensor seal UID
+    private reportIntervals: Map<string, number | null>; // per seal reporting intervals, kept for seals that have not been heard yet
+
+    /**
+     * @constructor
+     * @param {number} duplicateWindowMs - an update ID heard again within this period is treated as a duplicate, default is SEAL_DUPLICATE_WINDOW_MS_DEFAULT
+     * @param {number} reportIntervalMs - how often seals are expected to report, default is null (liveness is not monitored)
+     */
+    constructor(duplicateWindowMs?: number, reportIntervalMs?: number | null) {
+        this.duplicateWindowMs = duplicateWindowMs ?? SEAL_DUPLICATE_WINDOW_MS_DEFAULT;
+        this.reportIntervalMs = reportIntervalMs ?? null;
+        this.seals = new Map();
+        this.reportIntervals = new Map();
+    }
+
+    /**
+     * @method
+     * @param {SensorSealUpdate} update - the update received from a gateway
+     * @param {number} now - the time the update was received
+     * @returns {SealRecordResult} - the seal's state and whether the update was a duplicate
+     */
+    record(update: SensorSealUpdate, now: number = Date.now()): SealRecordResult {
+        const key = SealRegistry.key(update.sensorSealUID);
+        let entry = this.seals.get(key);
+
+        if (!entry) {
+            entry = {
+                state: {
+                    sensorSealUID: Buffer.from(update.sensorSealUID),
+                    latest: null,
+                    firstSeen: now,
+                    lastReceived: now,
+                    lastHeard: now,
+                    lastGatewayUID: null,
+                    gateways: new Map(),
+                    updateCount: 0,
+                    duplicateCount: 0,
+                    stats: {
+                        highestUpdateID: null,
+                        received: 0,
+                        missed: 0,
+                        reordered: 0,
+                        replays: 0,
+                        resets: 0,
+                        lossRate: 0,
+                        lastGap: 0,
+                        lastGapAt: null
+                    },
+                    status: 'online',
+                    reportIntervalMs: this.reportIntervals.get(key) ?? null
+                },
+                recentUpdateIDs: [],
+                receivedWindow: 0,
+                staleRun: null
+            };
+            this.seals.set(key, entry);
+        }
+
+        const state = entry.state;
+        state.lastHeard = now;
+        state.lastGatewayUID = update.viaGatewayUID;
+        state.gateways.set(SealRegistry.key(update.viaGatewayUID), now);
+
+        const result: SealRecordResult = {
+            seal: state,
+            duplicate: false,
+            replay: false,
+            reordered: false,
+            reset: false,
+            previousUpdateID: state.stats.highestUpdateID,
+            missed: 0,
+            online: state.status !== 'online'
+        };
+
+        // any copy of an update shows that the seal is alive
+        state.status = 'online';
+
+        result.duplicate = entry.recentUpdateIDs.some((recent) => recent.updateID === update.updateID && now - recent.timestamp <= this.duplicateWindowMs);
+        if (result.duplicate) {
+            state.duplicateCount++;
+            return result;
+        }
+
+        // a late copy heard after the duplicate window is still known, it must not be taken for a restarted counter
+        const heardBefore = entry.recentUpdateIDs.some((recent) => recent.updateID === update.updateID);
+
+        entry.recentUpdateIDs.push({ updateID: update.updateID, timestamp: now });
+        if (entry.recentUpdateIDs.length > SEAL_RECENT_UPDATE_IDS_MAX_LEN) {
+            entry.recentUpdateIDs.shift(); // remove the oldest update ID, shift left
+        }
+
+        this.trackSequence(entry, update.updateID, now, result, heardBefore);
+        if (result.replay)
+            return result;
+
+        // a late arrival is older than the reading we already hold
+        if (!result.reordered)
+            state.latest = update;
+
+        state.lastReceived = now;
+        state.updateCount++;
+        return result;
+    }
+
+    // classifies the update ID against the highest one received and updates the seal's statistics
+    private trackSequence(entry: SealEntry, updateID: number, now: number, result: SealRecordResult, heardBefore: boolean) {
+        const stats = entry.state.stats;
+
+        if (stats.highestUpdateID === null) {
+            this.restartSequence(entry, updateID);
+            return;
+        }
+
+        // update IDs are u32 counters, compare them modulo 2^32 so that wrapping around is not a reset
+        const ahead = (updateID - stats.highestUpdateID) >>> 0;
+        const behind = (stats.highestUpdateID - updateID) >>> 0;
+
+        if (ahead !== 0 && ahead < 0x80000000) {
+            if (ahead > SEAL_MAX_GAP) {
+                this.resetSequence(entry, updateID, result);
+                return;
+            }
+
+            result.missed = ahead - 1;
+            entry.receivedWindow = ahead >= SEAL_SEQUENCE_WINDOW ? 1 : ((entry.receivedWindow << ahead) | 1) >>> 0;
+            entry.staleRun = null;
+            stats.highestUpdateID = updateID;
+            stats.received++;
+
+            if (result.missed > 0) {
+                stats.missed += result.missed;
+                stats.lastGap = result.missed;
+                stats.lastGapAt = now;
+            }
+
+            this.updateLossRate(stats);
+            return;
+        }
+
+        // a late arrival that was counted as missed when the gap was seen
+        if (behind < SEAL_SEQUENCE_WINDOW && !(entry.receivedWindow & (1 << behind))) {
+            entry.receivedWindow = (entry.receivedWindow | (1 << behind)) >>> 0;
+            result.reordered = true;
+            stats.reordered++;
+            stats.received++;
+            stats.missed = Math.max(0, stats.missed - 1);
+            this.updateLossRate(stats);
+            return;
+        }
+
+        // a low update ID that was not received recently, or a run of stale IDs that continue each other, means the seal started counting again
+        // an ID still covered by the receive window or the recent IDs is a late copy, a seal that restarts below it is confirmed by the run
+        const covered = heardBefore || (behind < SEAL_SEQUENCE_WINDOW && (entry.receivedWindow & (1 << behind)) !== 0);
+        const run = entry.staleRun && entry.staleRun.updateID + 1 === updateID ? entry.staleRun.count + 1 : 1;
+        if ((updateID <= SEAL_RESET_MAX_UPDATE_ID && !covered) || run >= SEAL_RESET_CONFIRM_COUNT) {
+            this.resetSequence(entry, updateID, result);
+            return;
+        }
+
+        entry.staleRun = { updateID, count: run };
+        result.replay = true;
+        stats.replays++;
+    }
+
+    private resetSequence(entry: SealEntry, updateID: number, result: SealRecordResult) {
+        result.reset = true;
+        entry.state.stats.resets++;
+        this.restartSequence(entry, updateID);
+    }
+
+    private restartSequence(entry: SealEntry, updateID: number) {
+        entry.receivedWindow = 1;
+        entry.staleRun = null;
+        entry.state.stats.highestUpdateID = updateID;
+        entry.state.stats.received++;
+        this.updateLossRate(entry.state.stats);
+    }
+
+    private updateLossRate(stats: SealStats) {
+        stats.lossRate = stats.missed === 0 ? 0 : stats.missed / (stats.received + stats.missed);
+    }
+
+    /**
+     * @method
+     * @param {number} now - the current time
+     * @param {function} gatewayConnected - returns whether the gateway with the given hex UID is connected
+     * @returns {Array<SealLivenessChange>} - the seals that became stale or offline since the last check
+     * Compares the time each monitored seal was last heard with its reporting interval
+     */
+    checkLiveness(now: number, gatewayConnected: (gatewayUID: string) => boolean): Array<SealLivenessChange> {
+        const changes: Array<SealLivenessChange> = [];
+
+        this.seals.forEach((entry) => {
+            const state = entry.state;
+            const interval = state.reportIntervalMs ?? this.reportIntervalMs;
+            if (!interval || state.status === 'offline')
+                return;
+
+            const silentFor = now - state.lastHeard;
+            let status: SealStatus = state.status;
+            if (silentFor > interval * SEAL_OFFLINE_INTERVALS)
+                status = 'offline';
+            else if (silentFor > interval * SEAL_STALE_INTERVALS)
+                status = 'stale';
+
+            if (status === state.status)
+                return;
+
+            const reachable = Array.from(state.gateways.keys()).some((gatewayUID) => gatewayConnected(gatewayUID));
+            changes.push({ seal: state, status, previousStatus: state.status, reason: reachable ? 'silent' : 'no-gateway' });
+            state.status = status;
+        });
+
+        return changes;
+    }
+
+    /**
+     * @method
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @param {number | null} reportIntervalMs - how often the seal is expected to report, 0 to stop monitoring it, null to use the registry default
+     * Sets the expected reporting interval of a seal, the seal does not have to have been heard yet
+     */
+    setReportInterval(sensorSealUID: Buffer | string, reportIntervalMs: number | null) {
+        const key = SealRegistry.key(sensorSealUID);
+        this.reportIntervals.set(key, reportIntervalMs);
+
+        const entry = this.seals.get(key);
+        if (entry)
+            entry.state.reportIntervalMs = reportIntervalMs;
+    }
+
+    /**
+     * @method
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @returns {SealState | undefined} - the state of the seal, or undefined if it has not been heard
+     */
+    get(sensorSealUID: Buffer | string): SealState | undefined {
+        return this.seals.get(SealRegistry.key(sensorSealUID))?.state;
+    }
+
+    /**
+     * @method
+     * @returns {Array<SealState>} - the state of every seal that has been heard, in the order they were first heard
+     */
+    list(): Array<SealState> {
+        return Array.from(this.seals.values()).map((entry) => entry.state);
+    }
+
+    /**
+     * @method
+     * @param {Buffer | string} sensorSealUID - the UID of the seal, as a Buffer or hex string
+     * @returns {boolean} - whether the seal was known
+     * Forgets a seal, e.g. one that has been decommissioned
+     */
+    delete(sensorSealUID: Buffer | string): boolean {
+        return this.seals.delete(SealRegistry.key(sensorSealUID));
+    }
+
+    /**
+     * @returns {number} - the number of seals that have been heard
+     */
+    get size(): number {
+        return this.seals.size;
+    }
+
+    /**
+     * @method
+     * @static
+     * @param {Buffer | string} uid - a UID as a Buffer or hex string, e.g. '4dec5dfa' or '[4d ec 5d fa]'
+     * @returns {string} - the lowercase hex string used as the key of the registry
+     */
+    static key(uid: Buffer | string): string {
+        if (Buffer.isBuffer(uid))
+            return uid.toString('hex');
+
+        return String(uid).replace(/[\s:\[\]-]/g, '').toLowerCase();
+    }
+}
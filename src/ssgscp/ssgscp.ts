@@ -10,6 +10,13 @@
 import * as crypto from 'node:crypto';
 import { Buffer } from "node:buffer";
 
+const V2_HEADER_LEN = 18; // identifier, sequence number and gateway UID, authenticated as associated data
+const V2_TAG_LEN = 16; // the AES-GCM authentication tag
+const V2_NONCE_LEN = 16; // the random session nonces exchanged in CONN and CONNACPT
+const V2_HANDSHAKE_FLAG = 0x80; // set in the first sequence number byte of CONN, CONNACPT and CONNFAIL, whose sequence numbers are random
+const V2_MAX_SEQUENCE = 0x1fffffffffffff; // a session ends long before its sequence numbers stop being exact in a double
+const REPLAY_WINDOW_DEFAULT = 1024;
+
 
 // Define the SSGSCP packet types
 export const enum PacketType {
@@ -41,9 +48,17 @@ export const enum MessageSubtype {
 
 
 
+// The direction of an SSGSCP v2 packet, part of its AES-GCM nonce so that both ends can use the same key
+export const enum Direction {
+    GATEWAY_TO_SERVER = 1,
+    SERVER_TO_GATEWAY = 2
+};
+
 // Define the SSGSCP packet fields
 export type ParsedSSGSCPPacket = {
-    authSuccess?: true | false, // true if the encryption authentication code is valid ([0, 1, 2, 3]), false if not
+    authSuccess?: true | false, // true if the packet was authenticated (v1: the encryption authentication code is [0, 1, 2, 3], v2: the AES-GCM tag is valid), false if not
+    version?: 1 | 2, // the protocol version of a parsed packet
+    sequence?: number, // v2 only, the sequence number of a session packet, to be checked against the session's replay window
     packetType?: PacketType, // the packet type
     encryptionAuthenticationCode?: Buffer | Buffer, // the encryption authentication code
     gatewayUID?: Buffer | Buffer, // the gateway UID
@@ -51,6 +66,65 @@ export type ParsedSSGSCPPacket = {
     payload?: Buffer | Buffer // the packet payload
 };
 
+/**
+ * An SSGSCP v2 session, set up by the CONN and CONNACPT handshake
+ * The session key is derived from the PSK and both nonces, so packets captured in one session cannot be replayed in another
+ */
+export type SSGSCPSession = {
+    role: 'server' | 'gateway'; // which end of the session this is, decides the direction of sent and received packets
+    gatewayNonce: Buffer; // the 16 random bytes sent by the gateway in CONN
+    serverNonce: Buffer; // the 16 random bytes sent by the server in CONNACPT
+    key: crypto.webcrypto.CryptoKey; // the AES-256-GCM session key
+    sendSequence: number; // the sequence number of the next packet sent
+    replayWindow: ReplayWindow; // the sequence numbers received so far
+};
+
+/**
+ * A sliding window of the sequence numbers received in a session, as in IPsec and DTLS
+ * Sequence numbers may arrive out of order within the window, anything older than the window or seen before is a replay
+ */
+export class ReplayWindow {
+    readonly size: number; // how far behind the highest sequence number a packet may arrive
+    private highest: number; // the highest sequence number accepted, -1 before the first
+    private seen: Uint8Array; // whether each sequence number in the window was received, indexed by sequence number modulo size
+
+    /**
+     * @constructor
+     * @param {number} size - the window size, default is 1024
+     */
+    constructor(size: number = REPLAY_WINDOW_DEFAULT) {
+        this.size = size;
+        this.highest = -1;
+        this.seen = new Uint8Array(size);
+    }
+
+    /**
+     * @method
+     * @param {number} sequence - the sequence number of an authenticated packet
+     * @returns {boolean} - true if the sequence number is new and has been recorded, false if the packet is a replay or too old
+     */
+    accept(sequence: number): boolean {
+        if (sequence < 0 || sequence > V2_MAX_SEQUENCE || Math.floor(sequence) !== sequence)
+            return false;
+
+        if (sequence > this.highest) {
+            // the slots the window slides over belong to sequence numbers that were never received
+            for (let s = Math.max(this.highest + 1, sequence - this.size + 1); s < sequence; s++)
+                this.seen[s % this.size] = 0;
+
+            this.highest = sequence;
+            this.seen[sequence % this.size] = 1;
+            return true;
+        }
+
+        if (this.highest - sequence >= this.size || this.seen[sequence % this.size])
+            return false;
+
+        this.seen[sequence % this.size] = 1;
+        return true;
+    }
+}
+
 /**
  * This class defines various static methods for parsing and constructing
  * SSGSCP packets
@@ -58,7 +132,10 @@ export type ParsedSSGSCPPacket = {
 export class SSGSCP {
 
     static readonly PACKET_IDENTIFIER = Buffer.from([83, 83, 71, 83, 67, 80]); // Packet Identifier is 6 bytes, "SSGSCP"
+    static readonly PACKET_IDENTIFIER_V2 = Buffer.from([83, 83, 71, 83, 67, 50]); // "SSGSC2", v2 packets are told apart from v1 by their identifier
+    static readonly NONCE_LEN_BYTES = V2_NONCE_LEN;
     static readonly PSK_LEN_BYTES = 32 as const;
+    static readonly MAX_PAYLOAD_LEN_BYTES = 255 as const; // the payload length field is a single byte
  
     /**
     * Packs and encrypts SSGSCP fields into their packet form
@@ -89,6 +166,12 @@ export class SSGSCP {
             packet.payload = Buffer.alloc(0);
         }
 
+        // Ensure the payload length fits in the 1 byte payload length field
+        if (packet.payload.length > SSGSCP.MAX_PAYLOAD_LEN_BYTES) {
+            this.errMsg = 'payload field should be at most ' + SSGSCP.MAX_PAYLOAD_LEN_BYTES + ' bytes';
+            return null;
+        }
+
         // we want it padded to 4 bytes
         const encryptedPortionPlaintextUnpaddedLength = 8 + packet.payload.length;
         const encryptedPortionPlaintext = Buffer.alloc(encryptedPortionPlaintextUnpaddedLength + (4 - encryptedPortionPlaintextUnpaddedLength % 4));
@@ -213,6 +296,144 @@ export class SSGSCP {
         };
     }
 
+    /*
+     * SSGSCP v2 packets are authenticated with AES-256-GCM:
+     *
+     *   "SSGSC2" (6) | sequence number (8, big endian) | gateway UID (4) | AES-GCM( packet type (1) | packet ID (2) | payload ) | tag (16)
+     *
+     * The 18 byte header is the associated data, so the UID and sequence number cannot be altered either. The nonce is
+     * the direction (4 bytes, big endian) followed by the sequence number. CONN, CONNACPT and CONNFAIL are handshake packets:
+     * their sequence number is random with the high bit set, and they are encrypted with a handshake key derived from the PSK.
+     * CONN carries the gateway's 16 byte nonce and CONNACPT the server's, CONNACPT also authenticates the gateway's nonce so that
+     * it only answers that CONN. Every other packet is encrypted with the session key derived from the PSK and both nonces,
+     * with sequence numbers counting up from 0 in each direction.
+     */
+
+    /**
+     * Derives the key SSGSCP v2 handshake packets are encrypted with
+     * @static
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway
+     * @returns {CryptoKey} the AES-256-GCM handshake key
+     */
+    static async handshakeKey(psk: Buffer): Promise<crypto.webcrypto.CryptoKey> {
+        return SSGSCP.deriveKey(psk, Buffer.alloc(0), 'SSGSCP v2 handshake');
+    }
+
+    /**
+     * Sets up an SSGSCP v2 session once both nonces are known
+     * @static
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway
+     * @param {Buffer} gatewayNonce the nonce from the gateway's CONN
+     * @param {Buffer} serverNonce the nonce from the server's CONNACPT
+     * @param {'server' | 'gateway'} role which end of the session this is
+     * @param {number} replayWindowSize the replay window size, default is 1024
+     * @returns {SSGSCPSession} the session, or null if a nonce has the wrong length
+     */
+    static async openSession(psk: Buffer, gatewayNonce: Buffer, serverNonce: Buffer, role: 'server' | 'gateway', replayWindowSize?: number): Promise<SSGSCPSession | null> {
+        if (gatewayNonce.length !== V2_NONCE_LEN || serverNonce.length !== V2_NONCE_LEN) {
+            this.errMsg = 'session nonces should be ' + V2_NONCE_LEN + ' bytes';
+            return null;
+        }
+
+        return {
+            role,
+            gatewayNonce,
+            serverNonce,
+            key: await SSGSCP.deriveKey(psk, Buffer.concat([gatewayNonce, serverNonce]), 'SSGSCP v2 session'),
+            sendSequence: 0,
+            replayWindow: new ReplayWindow(replayWindowSize)
+        };
+    }
+
+    /**
+     * Packs and encrypts an SSGSCP v2 session packet, using and incrementing the session's send sequence number
+     * @static
+     * @param {Object} packet the SSGSCP packet fields (packetType, gatewayUID, packetID, payload)
+     * @param {SSGSCPSession} session the session to send the packet in
+     * @returns {Buffer} the packed packet, or null if a field is invalid
+     */
+    static async packSSGSCPv2(packet: ParsedSSGSCPPacket, session: SSGSCPSession): Promise<Buffer | null> {
+        const sequence = Buffer.alloc(8);
+        sequence.writeUInt32BE(Math.floor(session.sendSequence / 0x100000000), 0);
+        sequence.writeUInt32BE(session.sendSequence >>> 0, 4);
+        session.sendSequence++;
+
+        const direction = session.role === 'server' ? Direction.SERVER_TO_GATEWAY : Direction.GATEWAY_TO_SERVER;
+        return SSGSCP.sealV2(packet, session.key, sequence, direction, Buffer.alloc(0));
+    }
+
+    /**
+     * Packs and encrypts an SSGSCP v2 handshake packet (CONN, CONNACPT or CONNFAIL) with the handshake key
+     * @static
+     * @param {Object} packet the SSGSCP packet fields, CONN and CONNACPT carry a 16 byte nonce as their payload
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway, CONNFAIL is sent with an all zero key as in v1
+     * @param {'server' | 'gateway'} role which end is sending the packet
+     * @param {Buffer} associatedData authenticated along with the header, the gateway's nonce for CONNACPT
+     * @returns {Buffer} the packed packet, or null if a field is invalid
+     */
+    static async packSSGSCPv2Handshake(packet: ParsedSSGSCPPacket, psk: Buffer, role: 'server' | 'gateway', associatedData: Buffer = Buffer.alloc(0)): Promise<Buffer | null> {
+        const sequence = crypto.randomBytes(8);
+        sequence[0] |= V2_HANDSHAKE_FLAG;
+
+        const direction = role === 'server' ? Direction.SERVER_TO_GATEWAY : Direction.GATEWAY_TO_SERVER;
+        return SSGSCP.sealV2(packet, await SSGSCP.handshakeKey(psk), sequence, direction, associatedData);
+    }
+
+    /**
+     * Tries to parse and authenticate an SSGSCP v2 session packet
+     * The sequence number is returned, not recorded: accept it with session.replayWindow once the packet is to be processed
+     * @static
+     * @param {Buffer} datagram the datagram containing the packet
+     * @param {SSGSCPSession} session the session the packet belongs to
+     * @returns {Object} the parsed fields, authSuccess is false if the tag is invalid, null if the packet cannot be parsed
+     */
+    static async parseSSGSCPv2(datagram: Buffer, session: SSGSCPSession): Promise<ParsedSSGSCPPacket | null> {
+        if (SSGSCP.packetVersion(datagram) !== 2 || SSGSCP.isHandshake(datagram)) {
+            this.errMsg = 'not an SSGSCP v2 session packet';
+            return null;
+        }
+
+        const direction = session.role === 'server' ? Direction.GATEWAY_TO_SERVER : Direction.SERVER_TO_GATEWAY;
+        return SSGSCP.openV2(datagram, session.key, direction, Buffer.alloc(0));
+    }
+
+    /**
+     * Tries to parse and authenticate an SSGSCP v2 handshake packet
+     * @static
+     * @param {Buffer} datagram the datagram containing the packet
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway
+     * @param {'server' | 'gateway'} role which end is receiving the packet
+     * @param {Buffer} associatedData the associated data the sender authenticated, the gateway's nonce for CONNACPT
+     * @returns {Object} the parsed fields, authSuccess is false if the tag is invalid, null if the packet cannot be parsed
+     */
+    static async parseSSGSCPv2Handshake(datagram: Buffer, psk: Buffer, role: 'server' | 'gateway', associatedData: Buffer = Buffer.alloc(0)): Promise<ParsedSSGSCPPacket | null> {
+        if (SSGSCP.packetVersion(datagram) !== 2 || !SSGSCP.isHandshake(datagram)) {
+            this.errMsg = 'not an SSGSCP v2 handshake packet';
+            return null;
+        }
+
+        const direction = role === 'server' ? Direction.GATEWAY_TO_SERVER : Direction.SERVER_TO_GATEWAY;
+        return SSGSCP.openV2(datagram, await SSGSCP.handshakeKey(psk), direction, associatedData);
+    }
+
+    /**
+     * @static
+     * @param {Buffer} datagram a datagram that passed isSSGSCP()
+     * @returns {1 | 2} the protocol version of the packet, by its identifier
+     */
+    static packetVersion(datagram: Buffer): 1 | 2 {
+        return bufferContainsValues(datagram, 0, SSGSCP.PACKET_IDENTIFIER_V2) ? 2 : 1;
+    }
+
+    /**
+     * @static
+     * @param {Buffer} datagram an SSGSCP v2 datagram
+     * @returns {boolean} true if the packet is a handshake packet (CONN, CONNACPT or CONNFAIL), whose sequence number is random
+     */
+    static isHandshake(datagram: Buffer): boolean {
+        return (datagram[6] & V2_HANDSHAKE_FLAG) !== 0;
+    }
+
     /**
      * Tries to parse a UDP datagram containing an SSGSCP packet and returns the gateway UID
      * @static
@@ -234,6 +455,16 @@ export class SSGSCP {
      * @returns {boolean} true if the datagram contains a valid SSGSCP payload, false if not
      */
     static isSSGSCP(datagram: Buffer): boolean {
+        // v2 packets start with 'SSGSC2', the encrypted portion is at least 3 bytes followed by the tag
+        if (bufferContainsValues(datagram, 0, SSGSCP.PACKET_IDENTIFIER_V2)) {
+            if (datagram.length < V2_HEADER_LEN + 3 + V2_TAG_LEN) {
+                this.errMsg = 'packet length too short';
+                return false;
+            }
+
+            return true;
+        }
+
         // The SSGSCP unencrypted header portion is 18 bytes, and the encrypted 
         // portion is at least 8 bytes
         if (datagram.length < 18 + 8) {
@@ -250,6 +481,123 @@ export class SSGSCP {
         return true;
     }
 
+    /**
+     * Gets the name of a packet type, for logs and metrics
+     * @static
+     * @param {PacketType} packetType the packet type
+     * @returns {string} the name, e.g. 'CONNACPT', or the number if the packet type is unknown
+     */
+    static packetTypeName(packetType: PacketType): string {
+        switch (packetType) {
+            case PacketType.CONN: return 'CONN';
+            case PacketType.CONNACPT: return 'CONNACPT';
+            case PacketType.CONNFAIL: return 'CONNFAIL';
+            case PacketType.RCPTOK: return 'RCPTOK';
+            case PacketType.MSGCONF: return 'MSGCONF';
+            case PacketType.MSGSTATUS: return 'MSGSTATUS';
+            default: return String(packetType);
+        }
+    }
+
+    // encrypts the fields of a v2 packet and packs them behind the header
+    private static async sealV2(packet: ParsedSSGSCPPacket, key: crypto.webcrypto.CryptoKey, sequence: Buffer, direction: Direction, associatedData: Buffer): Promise<Buffer | null> {
+        if (packet.packetType < 0x00 || packet.packetType > 0xff) {
+            this.errMsg = 'packetType field should be a 8-bit unsigned integer';
+            return null;
+        }
+
+        if (!packet.gatewayUID || packet.gatewayUID.length != 4) {
+            this.errMsg = 'gatewayUID field should be a 4-byte array';
+            return null;
+        }
+
+        if (packet.packetID < 0x00 || packet.packetID > 0xffff) {
+            this.errMsg = 'packetID field should be a 16-bit unsigned integer';
+            return null;
+        }
+
+        const payload = packet.payload ?? Buffer.alloc(0);
+        if (payload.length > SSGSCP.MAX_PAYLOAD_LEN_BYTES) {
+            this.errMsg = 'payload field should be at most ' + SSGSCP.MAX_PAYLOAD_LEN_BYTES + ' bytes';
+            return null;
+        }
+
+        const header = Buffer.alloc(V2_HEADER_LEN);
+        header.set(SSGSCP.PACKET_IDENTIFIER_V2, 0);
+        header.set(sequence, 6);
+        header.set(packet.gatewayUID, 14);
+
+        const plaintext = Buffer.concat([Buffer.from([packet.packetType]), SSGSCP.setU16BE(packet.packetID ?? 0), payload]);
+
+        const ciphertext = Buffer.from(await crypto.subtle.encrypt(
+            {
+                name: "AES-GCM",
+                iv: new Uint8Array(SSGSCP.nonceV2(direction, sequence)),
+                additionalData: new Uint8Array(Buffer.concat([header, associatedData])),
+                tagLength: V2_TAG_LEN * 8
+            },
+            key,
+            plaintext
+        ));
+
+        return Buffer.concat([header, ciphertext]);
+    }
+
+    // authenticates and decrypts a v2 packet
+    private static async openV2(datagram: Buffer, key: crypto.webcrypto.CryptoKey, direction: Direction, associatedData: Buffer): Promise<ParsedSSGSCPPacket> {
+        const header = datagram.subarray(0, V2_HEADER_LEN);
+        const sequence = datagram.subarray(6, 14);
+
+        let plaintext: Buffer;
+        try {
+            plaintext = Buffer.from(await crypto.subtle.decrypt(
+                {
+                    name: "AES-GCM",
+                    iv: new Uint8Array(SSGSCP.nonceV2(direction, sequence)),
+                    additionalData: new Uint8Array(Buffer.concat([header, associatedData])),
+                    tagLength: V2_TAG_LEN * 8
+                },
+                key,
+                new Uint8Array(datagram.subarray(V2_HEADER_LEN))
+            ));
+        } catch (e) {
+            this.errMsg = 'Invalid authentication tag';
+            return {
+                authSuccess: false,
+            };
+        }
+
+        return <ParsedSSGSCPPacket>{
+            authSuccess: true,
+            version: 2,
+            sequence: SSGSCP.isHandshake(datagram) ? undefined : sequence.readUInt32BE(0) * 0x100000000 + sequence.readUInt32BE(4),
+            packetType: plaintext[0],
+            gatewayUID: datagram.subarray(14, 18),
+            packetID: SSGSCP.getU16BE(plaintext.subarray(1, 3)),
+            payload: plaintext.subarray(3)
+        };
+    }
+
+    // the 12 byte AES-GCM nonce: the direction then the sequence number
+    private static nonceV2(direction: Direction, sequence: Buffer): Buffer {
+        const nonce = Buffer.alloc(12);
+        nonce.writeUInt32BE(direction, 0);
+        nonce.set(sequence, 4);
+        return nonce;
+    }
+
+    // derives an AES-256-GCM key from the PSK with HKDF-SHA256
+    private static async deriveKey(psk: Buffer, salt: Buffer, info: string): Promise<crypto.webcrypto.CryptoKey> {
+        const baseKey = await crypto.subtle.importKey("raw", new Uint8Array(psk), "HKDF", false, ["deriveKey"]);
+        return crypto.subtle.deriveKey(
+            { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(salt), info: Buffer.from(info) },
+            baseKey,
+            { name: "AES-GCM", length: 256 },
+            false,
+            ["encrypt", "decrypt"]
+        );
+    }
+
     // obtains a 16-bit unsigned integer from a 2 byte array in big endian format
     static getU16BE(buffer: Buffer): number {
         return buffer[0] << 8 | buffer[1];
@@ -14,19 +14,94 @@ export type SensorSealUpdate = {
     sensorSealUID: Buffer; // the UID of the sensor seal that sent the update
     viaGatewayUID: Buffer; // the UID of the gateway that sent the update
     updateID: number; // the update ID of the update
+    ssrbVersion: number; // the SSRB version the update was sent with
     temperature: number | null; // the temperature value in degrees Celsius, or null if not present
     vibration: number | null; // the vibration value mm/s^2 , or null if not present
     voltage: number | null; // the generated voltage in volts, or null if not present
     rpm: number | null; // the RPM value, or null if not present
+    extra?: Record<string, number | null>; // fields declared by the SSRB layout that are not one of the above, null if not present
 };
 
-export type ParsedMessage = {
+export type SSRBFieldType = 'f32' | 'u32' | 'i32' | 'u16' | 'i16' | 'u8' | 'i8'; // little endian
+
+export type SSRBField = {
+    name: string; // 'temperature', 'vibration', 'voltage' and 'rpm' fill the SensorSealUpdate properties, other names go to extra
+    type: SSRBFieldType; // how the field is encoded
+    decimals?: number; // round the value to this many decimal places, e.g. for float readings
+};
+
+export type SSRBLayout = {
+    presenceFlags: boolean; // whether a u8 bitmask follows the update ID, bit i set means fields[i] is present
+    fields: Array<SSRBField>; // the fields that follow the header in order, absent fields still occupy their bytes
+};
+
+export type WakeupScanSeal = {
+    sensorSealUID: Buffer; // the UID of the sensor seal that answered the wakeup scan
+    rssi: number; // the received signal strength of the answer in dBm
+    snr: number; // the signal to noise ratio of the answer in dB
+};
+
+export type WakeupScanResult = {
+    viaGatewayUID: Buffer; // the UID of the gateway that performed the scan
+    scanVersion: number; // the version of the wakeup scan message format
+    seals: Array<WakeupScanSeal>; // the sensor seals discovered by the scan, empty if none answered
+};
+
+export type MessageData = SensorSealUpdate | WakeupScanResult | Buffer | string | number | null;
+
+export type ParsedMessage<T = MessageData> = {
     gatewayUID: Buffer; // the UID of the gateway that sent the update
     rawPayload: Buffer; // the raw payload contents of the SSGSCP packet
-    data: SensorSealUpdate | string | number | null; // the parsed data
+    data: T; // the parsed data, the message data after the subtype byte for unknown subtypes
     messageType: MessageSubtype; // the type of message
+    messageName?: string; // the name given to a subtype registered with registerMessageType
+};
+
+export type MessageTypeDefinition<T> = {
+    name: string; // a name for the message type, used in logs and as ParsedMessage.messageName
+    decode?: (data: Buffer, gatewayUID: Buffer) => T; // decodes the message data (after the subtype byte) received from a gateway, return null or throw if it is invalid
+    encode?: (data: T) => Buffer; // encodes the message data (without the subtype byte) sent to a gateway, throw if the data is invalid
+};
+
+export type MessageType<T> = {
+    subtype: number; // the u8 message subtype
+    name: string; // the registered name
+    is: (message: ParsedMessage<unknown>) => message is ParsedMessage<T>; // narrows a received message to this type
 };
 
+const SSRB_HEADER_LEN_BYTES = 13; // u8[4] 'SSRB', u8 version, u8[4] sensor seal UID, u32 update ID
+const SSRB_STANDARD_FIELDS = ['temperature', 'vibration', 'voltage', 'rpm'];
+const SSRB_FIELD_LEN_BYTES: Record<SSRBFieldType, number> = { f32: 4, u32: 4, i32: 4, u16: 2, i16: 2, u8: 1, i8: 1 };
+
+// the SSRB layouts by version, add new firmware versions with SSProtocols.registerSSRBVersion()
+const ssrbLayouts: Map<number, SSRBLayout> = new Map();
+
+// v2: every reading is always present, so a 0 is a real reading (a stopped shaft, 0 deg C)
+ssrbLayouts.set(2, {
+    presenceFlags: false,
+    fields: [
+        { name: 'temperature', type: 'f32', decimals: 1 },
+        { name: 'rpm', type: 'f32', decimals: 1 },
+        { name: 'vibration', type: 'u32' },
+        { name: 'voltage', type: 'u32' }
+    ]
+});
+
+// built-in subtypes per direction, these cannot be replaced by registerMessageType
+// WAKEUP_SCAN is not among them, its format is not fixed by the gateway firmware yet so the application registers its decoder
+const BUILTIN_INBOUND_SUBTYPES = [MessageSubtype.PING_PONG, MessageSubtype.REMOTE_TERMINAL_OUTPUT, MessageSubtype.SSRB_UPDATE];
+const BUILTIN_OUTBOUND_SUBTYPES = [
+    MessageSubtype.PING_PONG, MessageSubtype.REMOTE_TERMINAL_INPUT, MessageSubtype.GATEWAY_RESTART, MessageSubtype.SET_RADIO_PARAMS,
+    MessageSubtype.SEND_PACKET, MessageSubtype.RESET_RADIO_PARAMS, MessageSubtype.WFU_PACKET
+];
+
+const WAKEUP_SCAN_VERSION = 1; // the only wakeup scan format understood by decodeWakeupScanV1
+const WAKEUP_SCAN_HEADER_LEN_BYTES = 2; // u8 version, u8 num seals
+const WAKEUP_SCAN_ENTRY_LEN_BYTES = 6; // u8[4] sensor seal UID, i8 RSSI (dBm), i8 SNR (dB)
+
+// the message types registered by the application, keyed by subtype
+const messageTypes: Map<number, MessageTypeDefinition<unknown>> = new Map();
+
 function buffersEqual(a, b) {
     if (a.length !== b.length) {
         return false;
@@ -41,22 +116,27 @@ function buffersEqual(a, b) {
     return true;
 }
 
+// SSRB: u8[4] 'SSRB', u8 version, u8[4] sensor seal UID, u32 update ID, [u8 presence flags], fields [ ... ]
 function parseSSRB(parsedSSGSCP: ParsedSSGSCPPacket): SensorSealUpdate {
     // check if the packet is an SSRB packet
     const messageData = parsedSSGSCP.payload.subarray(1);
 
-    if (!buffersEqual(messageData.subarray(0, 4), [0x53, 0x53, 0x52, 0x42])) {
+    if (messageData.length < SSRB_HEADER_LEN_BYTES || !buffersEqual(messageData.subarray(0, 4), [0x53, 0x53, 0x52, 0x42])) {
         return null;
     }
 
     let offset = 4;
 
-    const roundTo1dp = (num: number) => Math.round(num * 10) / 10;
-
     const ssrbVersion = messageData[offset];
     offset += 1;
 
-    if (ssrbVersion < 2) {
+    const layout = ssrbLayoutFor(ssrbVersion);
+    if (!layout) {
+        return null;
+    }
+
+    // reject truncated frames up front, trailing bytes added by newer versions are ignored
+    if (messageData.length < SSRB_HEADER_LEN_BYTES + ssrbLayoutLength(layout)) {
         return null;
     }
 
@@ -66,33 +146,214 @@ function parseSSRB(parsedSSGSCP: ParsedSSGSCPPacket): SensorSealUpdate {
     const msgID = messageData.readUInt32LE(offset);
     offset += 4;
 
-    const temperature = roundTo1dp(messageData.readFloatLE(offset));
-    offset += 4;
-
-    const rpm = roundTo1dp(messageData.readFloatLE(offset));
-    offset += 4;
-
-    const vibration = messageData.readUInt32LE(offset);
-    offset += 4;
-
-    const voltage = messageData.readUInt32LE(offset);
+    // without presence flags every field in the layout is present, such layouts may have more than 8 fields
+    let presenceFlags = 0;
+    if (layout.presenceFlags) {
+        presenceFlags = messageData[offset];
+        offset += 1;
+    }
 
-    return <SensorSealUpdate>{
+    const update = <SensorSealUpdate>{
         sensorSealUID,
         viaGatewayUID: parsedSSGSCP.gatewayUID,
         updateID: msgID,
-        temperature: temperature === 0 ? null : temperature,
-        vibration: vibration === 0 ? null : vibration,
-        voltage: voltage === 0 ? null : voltage,
-        rpm: rpm === 0 ? null : rpm
+        ssrbVersion,
+        temperature: null,
+        vibration: null,
+        voltage: null,
+        rpm: null
+    };
+
+    for (let i = 0; i < layout.fields.length; i++) {
+        const field = layout.fields[i];
+        let value = readSSRBField(messageData, offset, field.type);
+        offset += SSRB_FIELD_LEN_BYTES[field.type];
+
+        if (layout.presenceFlags && !(presenceFlags & (1 << i))) {
+            value = null;
+        } else if (field.decimals !== undefined) {
+            const scale = Math.pow(10, field.decimals);
+            value = Math.round(value * scale) / scale;
+        }
+
+        if (SSRB_STANDARD_FIELDS.indexOf(field.name) !== -1) {
+            update[field.name] = value;
+        } else {
+            update.extra = update.extra ?? {};
+            update.extra[field.name] = value;
+        }
+    }
+
+    return update;
+}
+
+function readSSRBField(data: Buffer, offset: number, type: SSRBFieldType): number {
+    switch (type) {
+        case 'f32': return data.readFloatLE(offset);
+        case 'u32': return data.readUInt32LE(offset);
+        case 'i32': return data.readInt32LE(offset);
+        case 'u16': return data.readUInt16LE(offset);
+        case 'i16': return data.readInt16LE(offset);
+        case 'u8': return data.readUInt8(offset);
+        case 'i8': return data.readInt8(offset);
+    }
+}
+
+function ssrbLayoutLength(layout: SSRBLayout): number {
+    let length = layout.presenceFlags ? 1 : 0;
+    for (const field of layout.fields)
+        length += SSRB_FIELD_LEN_BYTES[field.type];
+
+    return length;
+}
+
+// an unregistered version newer than the newest registered one is decoded with the newest layout below it,
+// SSRB versions only ever append fields, older unregistered versions are rejected
+function ssrbLayoutFor(ssrbVersion: number): SSRBLayout | null {
+    const exact = ssrbLayouts.get(ssrbVersion);
+    if (exact)
+        return exact;
+
+    let best: number = -1;
+    ssrbLayouts.forEach((layout, version) => {
+        if (version < ssrbVersion && version > best)
+            best = version;
+    });
+
+    if (best === -1 || Array.from(ssrbLayouts.keys()).some((version) => version > ssrbVersion))
+        return null;
+
+    return ssrbLayouts.get(best);
+}
+
+/**
+ * @param {SensorSealUpdate} update - the update to convert
+ * @returns {object} - the update with its UIDs as hex strings, ready for JSON.stringify()
+ */
+export function sensorSealUpdateToJSON(update: SensorSealUpdate) {
+    return {
+        sensorSealUID: update.sensorSealUID.toString('hex'),
+        gatewayUID: update.viaGatewayUID.toString('hex'),
+        updateID: update.updateID,
+        ssrbVersion: update.ssrbVersion,
+        temperature: update.temperature,
+        vibration: update.vibration,
+        rpm: update.rpm,
+        voltage: update.voltage,
+        extra: update.extra
+    };
+}
+
+/**
+ * @param {Buffer} messageData - the message data after the subtype byte
+ * @param {Buffer} gatewayUID - the UID of the gateway that reported the scan
+ * @returns {WakeupScanResult} - the decoded scan, or null if it is not a complete version 1 scan
+ * Decodes the version 1 WAKEUP_SCAN layout proposed for the gateway firmware, which does not define the format yet:
+ * u8 version, u8 num seals, seals [ { u8[4] sensor seal UID, i8 RSSI (dBm), i8 SNR (dB) } ... ]
+ * It is not registered by default, applications whose gateways send this layout register it with registerMessageType
+ */
+export function decodeWakeupScanV1(messageData: Buffer, gatewayUID: Buffer): WakeupScanResult {
+    if (messageData.length < WAKEUP_SCAN_HEADER_LEN_BYTES) {
+        return null;
+    }
+
+    const scanVersion = messageData[0];
+    if (scanVersion !== WAKEUP_SCAN_VERSION) {
+        return null;
+    }
+
+    // reject truncated messages, trailing bytes added by newer versions are ignored
+    const numSeals = messageData[1];
+    if (messageData.length < WAKEUP_SCAN_HEADER_LEN_BYTES + numSeals * WAKEUP_SCAN_ENTRY_LEN_BYTES) {
+        return null;
+    }
+
+    const seals: Array<WakeupScanSeal> = [];
+    for (let i = 0; i < numSeals; i++) {
+        const offset = WAKEUP_SCAN_HEADER_LEN_BYTES + i * WAKEUP_SCAN_ENTRY_LEN_BYTES;
+        seals.push({
+            sensorSealUID: messageData.subarray(offset, offset + 4),
+            rssi: messageData.readInt8(offset + 4),
+            snr: messageData.readInt8(offset + 5)
+        });
+    }
+
+    return {
+        viaGatewayUID: gatewayUID,
+        scanVersion,
+        seals
     };
 }
 
 const SSProtocols = {
 
+    /**
+     * @method
+     * @param {number} ssrbVersion - the u8 SSRB version
+     * @param {SSRBLayout} layout - the presence flags and fields that follow the SSRB header in this version
+     * Registers or replaces the field layout of an SSRB version
+     */
+    registerSSRBVersion: function (ssrbVersion: number, layout: SSRBLayout) {
+        if (!Number.isInteger(ssrbVersion) || ssrbVersion < 0 || ssrbVersion > 0xff)
+            throw new RangeError('SSGS Protocols: SSRB version must be an integer between 0 and 255');
+
+        if (!layout || !Array.isArray(layout.fields) || (layout.presenceFlags && layout.fields.length > 8))
+            throw new TypeError('SSGS Protocols: an SSRB layout needs a fields array, at most 8 fields when using presence flags');
+
+        for (const field of layout.fields) {
+            if (typeof field.name !== 'string' || !Object.prototype.hasOwnProperty.call(SSRB_FIELD_LEN_BYTES, field.type))
+                throw new TypeError('SSGS Protocols: invalid SSRB field ' + JSON.stringify(field));
+        }
+
+        ssrbLayouts.set(ssrbVersion, layout);
+    },
+
+    /**
+     * @method
+     * @param {number} subtype - the u8 message subtype
+     * @param {MessageTypeDefinition} definition - the name and the decoder and/or encoder of the message type
+     * @returns {MessageType} - a handle whose is() narrows received messages to the decoded type
+     * Registers or replaces a custom message subtype, a decoder may not replace a built-in gateway -> server subtype
+     * and an encoder may not replace a built-in server -> gateway subtype
+     * A decoder registered for MessageSubtype.WAKEUP_SCAN must return a WakeupScanResult, its results are emitted as 'wakeupscan'
+     */
+    registerMessageType: function <T>(subtype: number, definition: MessageTypeDefinition<T>): MessageType<T> {
+        if (!Number.isInteger(subtype) || subtype < 1 || subtype > 0xff)
+            throw new RangeError('SSGS Protocols: message subtype must be an integer between 1 and 255');
+
+        if (!definition || typeof definition.name !== 'string' || (!definition.decode && !definition.encode))
+            throw new TypeError('SSGS Protocols: a message type needs a name and a decode and/or encode function');
+
+        if (definition.decode && BUILTIN_INBOUND_SUBTYPES.indexOf(subtype) !== -1)
+            throw new RangeError('SSGS Protocols: subtype ' + subtype + ' is already decoded by SSGS');
+
+        if (definition.encode && BUILTIN_OUTBOUND_SUBTYPES.indexOf(subtype) !== -1)
+            throw new RangeError('SSGS Protocols: subtype ' + subtype + ' is already encoded by SSGS');
+
+        messageTypes.set(subtype, definition);
+
+        return {
+            subtype,
+            name: definition.name,
+            is: (message: ParsedMessage<unknown>): message is ParsedMessage<T> => message?.messageType === subtype && message.messageName === definition.name
+        };
+    },
+
+    /**
+     * @method
+     * @param {number} subtype - the u8 message subtype
+     * @returns {MessageTypeDefinition | undefined} - the registered message type, or undefined if there is none
+     */
+    getMessageType: function (subtype: number): MessageTypeDefinition<unknown> | undefined {
+        return messageTypes.get(subtype);
+    },
 
     parse: function (parsedSSGSCP: ParsedSSGSCPPacket): ParsedMessage {
 
+        if (parsedSSGSCP.payload.length < 1) {
+            return null;
+        }
+
         const messageSubtype = parsedSSGSCP.payload[0];
         const messageData = parsedSSGSCP.payload.subarray(1);
 
@@ -123,19 +384,34 @@ const SSProtocols = {
                     data: parsedSSGSCP.payload[1],
                     messageType: MessageSubtype.PING_PONG
                 };
+        }
 
-            case MessageSubtype.WAKEUP_SCAN:
-                return {
-                    gatewayUID: parsedSSGSCP.gatewayUID,
-                    rawPayload: parsedSSGSCP.payload,
-                    data: null,
-                    messageType: MessageSubtype.WAKEUP_SCAN
-                };
-                
+        const messageType = messageTypes.get(messageSubtype);
+        if (messageType?.decode) {
+            // the decoded type is only known to the application, MessageType.is() narrows it back
+            let decoded: MessageData = null;
+            try {
+                decoded = <MessageData>messageType.decode(messageData, parsedSSGSCP.gatewayUID) ?? null;
+            } catch (err) {
+                decoded = null;
+            }
 
+            return {
+                gatewayUID: parsedSSGSCP.gatewayUID,
+                rawPayload: parsedSSGSCP.payload,
+                data: decoded,
+                messageType: decoded !== null ? messageSubtype : MessageSubtype.INVALID,
+                messageName: messageType.name
+            };
         }
 
-        return null;
+        // deliver unknown subtypes as they are so that applications can still handle them
+        return {
+            gatewayUID: parsedSSGSCP.gatewayUID,
+            rawPayload: parsedSSGSCP.payload,
+            data: messageData,
+            messageType: messageSubtype
+        };
     }
 };
 
@@ -0,0 +1,143 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { Duplex } from 'node:stream';
+import { Buffer } from "node:buffer";
+
+import { MessageSubtype } from './ssgscp/ssgscp.js';
+import { ParsedMessage } from './ssgscp/ssprotocols.js';
+import SSEncoder from './ssgscp/ssencoder.js';
+import { MAX_MESSAGE_DATA_LEN_BYTES } from './ssgscp/ssencoder.js';
+import type { Client } from './index.js';
+
+const EXEC_TIMEOUT_MS_DEFAULT = 10000; // how long exec() waits in total
+const EXEC_IDLE_MS_DEFAULT = 500; // how long the gateway must stay quiet after its last output before exec() resolves
+
+export type ExecOptions = {
+    timeout?: number; // the maximum time to wait for output in milliseconds, default is EXEC_TIMEOUT_MS_DEFAULT
+    idle?: number; // resolve once no output has arrived for this many milliseconds, default is EXEC_IDLE_MS_DEFAULT
+};
+
+/**
+ * A Duplex stream connected to a gateway's remote terminal service
+ * Writes are split into REMOTE_TERMINAL_INPUT messages of at most 254 bytes and sent one after the other,
+ * a write only completes once the gateway has acknowledged it. REMOTE_TERMINAL_OUTPUT messages are readable in
+ * the order they are received. The readable side ends when the gateway disconnects.
+ * Every terminal opened on the same client receives all of the gateway's terminal output
+ */
+export class TerminalStream extends Duplex {
+    readonly client: Client; // the gateway the terminal is connected to
+    private onmessage: (message: ParsedMessage) => void;
+    private ondisconnect: () => void;
+
+    /**
+     * @constructor
+     * @param {Client} client - the gateway to connect to
+     */
+    constructor(client: Client) {
+        super();
+        this.client = client;
+
+        this.onmessage = (message: ParsedMessage) => {
+            if (message.messageType === MessageSubtype.REMOTE_TERMINAL_OUTPUT)
+                this.push(message.rawPayload.subarray(1));
+        };
+
+        this.ondisconnect = () => {
+            this.detach();
+            this.push(null);
+        };
+
+        client.on('message', this.onmessage);
+        client.on('disconnect', this.ondisconnect);
+    }
+
+    /**
+     * @method
+     * @async
+     * @param {string} command - the command to run, a newline is appended if it does not end with one
+     * @param {ExecOptions} options - how long to wait for output
+     * @returns {Promise<string>} - the output the gateway produced until it went idle or the timeout expired
+     * Runs a command on the gateway's remote terminal and collects its output
+     */
+    async exec(command: string, options?: ExecOptions): Promise<string> {
+        const timeout = options?.timeout ?? EXEC_TIMEOUT_MS_DEFAULT;
+        const idle = options?.idle ?? EXEC_IDLE_MS_DEFAULT;
+        const chunks: Array<Buffer> = [];
+
+        return new Promise<string>((resolve, reject) => {
+            let idleTimer: ReturnType<typeof setTimeout> = null;
+
+            const finish = (err?: Error) => {
+                clearTimeout(deadline);
+                clearTimeout(idleTimer);
+                this.client.off('message', onoutput);
+                this.client.off('disconnect', finish);
+                if (err)
+                    reject(err);
+                else
+                    resolve(Buffer.concat(chunks).toString('utf8'));
+            };
+
+            // the idle timer only starts once output has started, a slow command is given until the deadline
+            const onoutput = (message: ParsedMessage) => {
+                if (message.messageType !== MessageSubtype.REMOTE_TERMINAL_OUTPUT)
+                    return;
+
+                chunks.push(message.rawPayload.subarray(1));
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(() => finish(), idle);
+            };
+
+            const deadline = setTimeout(() => finish(), timeout);
+
+            // listen on the client rather than the stream so that exec() does not consume output meant for a reader
+            this.client.on('message', onoutput);
+            this.client.on('disconnect', finish);
+
+            const input = command.endsWith('\n') ? command : command + '\n';
+            this.write(input, (err) => {
+                if (err)
+                    finish(err);
+            });
+        });
+    }
+
+    _write(chunk: Buffer, encoding: BufferEncoding, callback: (error?: Error | null) => void) {
+        this.sendInput(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding)).then(() => callback(), callback);
+    }
+
+    _read(size: number) {
+        // output is pushed as it arrives, the gateway cannot be asked to pause
+    }
+
+    _final(callback: (error?: Error | null) => void) {
+        this.detach();
+        this.push(null);
+        callback();
+    }
+
+    _destroy(err: Error | null, callback: (error?: Error | null) => void) {
+        this.detach();
+        callback(err);
+    }
+
+    // sends the input in chunks that fit in one message, waiting for each to be acknowledged
+    private async sendInput(input: Buffer) {
+        for (let offset = 0; offset < input.length; offset += MAX_MESSAGE_DATA_LEN_BYTES) {
+            const delivered = await this.client.send(SSEncoder.terminalInput(input.subarray(offset, offset + MAX_MESSAGE_DATA_LEN_BYTES)));
+            if (!delivered)
+                throw new Error('SSGS Terminal: input was not acknowledged by the gateway');
+        }
+    }
+
+    private detach() {
+        this.client.off('message', this.onmessage);
+        this.client.off('disconnect', this.ondisconnect);
+    }
+}
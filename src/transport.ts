@@ -0,0 +1,143 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import * as dgram from 'node:dgram';
+import * as net from 'node:net';
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+
+export type TransportPeer = {
+    address: string; // the IP address of the gateway
+    port: number; // the source port of the gateway (the UDP port, or the TCP port of its WebSocket connection)
+    transport: Transport; // the transport the gateway is reachable through
+};
+
+export type TransportEvents = {
+    packet: [packet: Buffer, peer: TransportPeer]; // an SSGSCP packet was received
+    senderror: [err: Error, peer: TransportPeer]; // a packet could not be sent, the session's retransmissions take care of it
+    error: [err: Error]; // the transport failed, an error while starting rejects start() instead
+};
+
+/**
+ * Carries SSGSCP packets between the server and gateways
+ * The server runs the same session logic (authentication, retransmission, duplicate detection and the client lifecycle)
+ * over every transport, a transport only has to deliver whole packets and address replies to the peer they came from
+ */
+export abstract class Transport extends EventEmitter<TransportEvents> {
+    abstract readonly name: string; // e.g. 'udp' or 'wss', reported by client.transport.name
+
+    /**
+     * @method
+     * @async
+     * Starts listening, rejects if the transport could not be started
+     */
+    abstract start(): Promise<void>;
+
+    /**
+     * @method
+     * @param {Buffer} packet - the packed SSGSCP packet
+     * @param {TransportPeer} peer - the gateway to send the packet to
+     * Sends a packet, packets to peers that are no longer reachable and packets sent after close() are dropped
+     */
+    abstract send(packet: Buffer, peer: TransportPeer): void;
+
+    /**
+     * @method
+     * @async
+     * Stops listening and releases the transport's sockets
+     */
+    abstract close(): Promise<void>;
+}
+
+export type UDPTransportOptions = {
+    port: number; // the UDP port to listen on
+    address?: string; // the local address to bind to, an IPv6 address (e.g. '::') makes an IPv6 socket, default is every IPv4 address
+    ipv6Only?: boolean; // only accept IPv6 on an IPv6 socket, default is false which also accepts IPv4 (dual-stack)
+};
+
+/**
+ * The SSGSCP transport over UDP, one packet per datagram
+ * IPv4 gateways on a dual-stack socket are reported with their IPv4 address, replies are mapped back
+ */
+export class UDPTransport extends Transport {
+    readonly name = 'udp';
+    socket: dgram.Socket | null; // the UDP socket, null until start() is called
+    private options: UDPTransportOptions;
+    private open: boolean; // whether the socket is bound and not yet closed
+
+    /**
+     * @constructor
+     * @param {UDPTransportOptions} options - the port to listen on
+     */
+    constructor(options: UDPTransportOptions) {
+        super();
+        this.options = options;
+        this.socket = null;
+        this.open = false;
+    }
+
+    /**
+     * @returns {'udp4' | 'udp6'} - the socket type, IPv6 if the bind address is an IPv6 address
+     */
+    get type(): 'udp4' | 'udp6' {
+        return net.isIPv6(this.options.address ?? '') ? 'udp6' : 'udp4';
+    }
+
+    async start() {
+        this.socket = dgram.createSocket({ type: this.type, ipv6Only: this.options.ipv6Only ?? false });
+
+        this.socket.on('message', (datagram: Buffer, rinfo: dgram.RemoteInfo) => {
+            this.emit('packet', datagram, { address: unmapIPv4(rinfo.address), port: rinfo.port, transport: this });
+        });
+
+        await new Promise<void>((resolve, reject) => {
+            this.socket.once('error', reject);
+            this.socket.bind(this.options.port, this.options.address, () => {
+                this.socket.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.open = true;
+        this.socket.on('error', (err) => {
+            this.emit('error', err);
+            this.close();
+        });
+    }
+
+    send(packet: Buffer, peer: TransportPeer) {
+        if (!this.open)
+            return;
+
+        // an IPv6 socket can only reach IPv4 gateways through their IPv4-mapped address
+        const address = this.type === 'udp6' && net.isIPv4(peer.address) ? '::ffff:' + peer.address : peer.address;
+
+        this.socket.send(new Uint8Array(packet), peer.port, address, (err) => {
+            if (err)
+                this.emit('senderror', err, peer);
+        });
+    }
+
+    close(): Promise<void> {
+        if (!this.open)
+            return Promise.resolve();
+
+        this.open = false;
+        return new Promise((resolve) => this.socket.close(() => resolve()));
+    }
+}
+
+/**
+ * @param {string} address - an IP address
+ * @returns {string} - the IPv4 address of an IPv4-mapped IPv6 address, other addresses unchanged
+ * Dual-stack sockets report IPv4 peers as IPv4-mapped IPv6 addresses, gateways are reported by their IPv4 address on every transport
+ */
+export function unmapIPv4(address: string): string {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    return mapped ? mapped[1] : address;
+}
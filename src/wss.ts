@@ -0,0 +1,331 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import * as http from 'node:http';
+import * as https from 'node:https';
+import * as net from 'node:net';
+import * as tls from 'node:tls';
+import * as crypto from 'node:crypto';
+import { Buffer } from "node:buffer";
+
+import { Transport, TransportPeer, unmapIPv4 } from './transport.js';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // RFC 6455 section 1.3
+const WS_SUBPROTOCOL = 'ssgscp'; // accepted if the gateway offers it, gateways that offer no subprotocol are accepted too
+const WS_PATH_DEFAULT = '/ssgscp';
+const WS_MAX_MESSAGE_BYTES = 64 * 1024; // far larger than any SSGSCP packet
+const WS_PING_INTERVAL_MS = 30000; // connections that have not answered a ping by the next one are closed
+const WS_CLOSE_TIMEOUT_MS = 1000; // how long close() waits for gateways to answer the close frame
+
+const enum Opcode {
+    CONTINUATION = 0x0,
+    TEXT = 0x1,
+    BINARY = 0x2,
+    CLOSE = 0x8,
+    PING = 0x9,
+    PONG = 0xa
+};
+
+export type WSSTransportOptions = {
+    port: number; // the TCP port to listen on
+    host?: string; // the address to listen on, default is every address
+    path?: string; // the HTTP path gateways connect to, default is '/ssgscp'
+    tls?: tls.SecureContextOptions & tls.TlsOptions; // the certificate and key, without them plain WebSocket is served, e.g. behind a TLS terminating proxy
+};
+
+type Connection = {
+    socket: net.Socket; // the TCP (or TLS) socket
+    peer: TransportPeer; // the address packets from this connection are reported with
+    buffer: Buffer; // received bytes that do not form a whole frame yet
+    fragments: Array<Buffer>; // the payloads of a fragmented message received so far
+    alive: boolean; // cleared on each ping, set by any frame from the gateway
+    closing: boolean; // a close frame has been sent
+};
+
+/**
+ * The SSGSCP transport over WebSocket Secure, one packet per binary message
+ * Replies are addressed by the IP address and TCP port of the gateway's connection, a gateway that reconnects
+ * gets a new port and is handled like a UDP gateway whose NAT mapping changed
+ */
+export class WSSTransport extends Transport {
+    readonly name: string; // 'wss', or 'ws' when no certificate is configured
+    readonly server: http.Server | https.Server; // the HTTP(S) server that accepts the upgrade requests
+    private options: WSSTransportOptions;
+    private connections: Map<string, Connection>; // keyed by address and port
+    private pingTimer: ReturnType<typeof setInterval> | null;
+
+    /**
+     * @constructor
+     * @param {WSSTransportOptions} options - where to listen and the TLS certificate
+     */
+    constructor(options: WSSTransportOptions) {
+        super();
+        this.options = options;
+        this.name = options.tls ? 'wss' : 'ws';
+        this.connections = new Map();
+        this.pingTimer = null;
+
+        const onrequest = (req: http.IncomingMessage, res: http.ServerResponse) => {
+            res.writeHead(426, { 'Upgrade': 'websocket', 'Content-Type': 'text/plain' });
+            res.end('SSGSCP over WebSocket only\n');
+        };
+
+        this.server = options.tls ? https.createServer(options.tls, onrequest) : http.createServer(onrequest);
+        this.server.on('upgrade', (req: http.IncomingMessage, socket: net.Socket, head: Buffer) => this.upgrade(req, socket, head));
+        this.server.on('tlsClientError', (err: Error, socket: net.Socket) => socket.destroy());
+    }
+
+    async start() {
+        await new Promise<void>((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.server.on('error', (err) => this.emit('error', err));
+        this.pingTimer = setInterval(() => this.ping(), WS_PING_INTERVAL_MS);
+    }
+
+    send(packet: Buffer, peer: TransportPeer) {
+        const connection = this.connections.get(WSSTransport.key(peer.address, peer.port));
+        if (!connection || connection.closing)
+            return;
+
+        connection.socket.write(WSSTransport.frame(Opcode.BINARY, packet));
+    }
+
+    async close() {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+
+        const closed = new Promise<void>((resolve) => {
+            if (!this.server.listening)
+                return resolve();
+
+            this.server.close(() => resolve());
+        });
+
+        // 1001: going away
+        for (const connection of Array.from(this.connections.values()))
+            this.closeConnection(connection, 1001);
+
+        // give the gateways a moment to answer, then drop whatever is left
+        const deadline = Date.now() + WS_CLOSE_TIMEOUT_MS;
+        while (this.connections.size > 0 && Date.now() < deadline)
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+        for (const connection of Array.from(this.connections.values()))
+            connection.socket.destroy();
+
+        await closed;
+    }
+
+    private upgrade(req: http.IncomingMessage, socket: net.Socket, head: Buffer) {
+        const reject = (status: number, reason: string) => {
+            socket.end('HTTP/1.1 ' + status + ' ' + reason + '\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        };
+
+        const path = new URL(req.url ?? '/', 'http://localhost').pathname;
+        if (path !== (this.options.path ?? WS_PATH_DEFAULT))
+            return reject(404, 'Not Found');
+
+        const key = req.headers['sec-websocket-key'];
+        if ((req.headers.upgrade ?? '').toLowerCase() !== 'websocket' || typeof key !== 'string' || Buffer.from(key, 'base64').length !== 16)
+            return reject(400, 'Bad Request');
+
+        if (req.headers['sec-websocket-version'] !== '13')
+            return socket.end('HTTP/1.1 426 Upgrade Required\r\nSec-WebSocket-Version: 13\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+
+        const offered = (req.headers['sec-websocket-protocol'] ?? '').split(',').map((protocol) => protocol.trim());
+        if (offered[0] !== '' && offered.indexOf(WS_SUBPROTOCOL) === -1)
+            return reject(400, 'Bad Request');
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n'
+            + 'Upgrade: websocket\r\n'
+            + 'Connection: Upgrade\r\n'
+            + 'Sec-WebSocket-Accept: ' + accept + '\r\n'
+            + (offered[0] !== '' ? 'Sec-WebSocket-Protocol: ' + WS_SUBPROTOCOL + '\r\n' : '')
+            + '\r\n');
+
+        socket.setNoDelay(true);
+
+        const connection: Connection = {
+            socket,
+            peer: { address: unmapIPv4(socket.remoteAddress), port: socket.remotePort, transport: this },
+            buffer: Buffer.alloc(0),
+            fragments: [],
+            alive: true,
+            closing: false
+        };
+
+        const connectionKey = WSSTransport.key(connection.peer.address, connection.peer.port);
+        this.connections.set(connectionKey, connection);
+
+        socket.on('data', (data: Buffer) => this.receive(connection, data));
+        socket.on('close', () => this.connections.delete(connectionKey));
+        socket.on('error', () => socket.destroy()); // the session times out like a silent UDP gateway
+
+        if (head.length > 0)
+            this.receive(connection, head);
+    }
+
+    private receive(connection: Connection, data: Buffer) {
+        if (connection.closing) // nothing more is processed once a close frame has been sent
+            return;
+
+        connection.buffer = connection.buffer.length > 0 ? Buffer.concat([connection.buffer, data]) : data;
+        connection.alive = true;
+
+        while (connection.buffer.length >= 2) {
+            const buffer = connection.buffer;
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4)
+                    return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10)
+                    return;
+                const high = buffer.readUInt32BE(2);
+                length = high === 0 ? buffer.readUInt32BE(6) : Infinity;
+                offset = 10;
+            }
+
+            // frames from clients must be masked (RFC 6455 section 5.1), reserved bits must be clear
+            if (!masked || (buffer[0] & 0x70) !== 0) {
+                this.closeConnection(connection, 1002);
+                return;
+            }
+
+            if (length > WS_MAX_MESSAGE_BYTES) {
+                this.closeConnection(connection, 1009);
+                return;
+            }
+
+            if (buffer.length < offset + 4 + length)
+                return;
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.alloc(length);
+            for (let i = 0; i < length; i++)
+                payload[i] = buffer[offset + 4 + i] ^ mask[i & 3];
+
+            connection.buffer = buffer.subarray(offset + 4 + length);
+
+            if (!this.handleFrame(connection, fin, opcode, payload))
+                return;
+        }
+    }
+
+    // handles one frame, returns false once the connection is being closed
+    private handleFrame(connection: Connection, fin: boolean, opcode: number, payload: Buffer): boolean {
+        switch (opcode) {
+            case Opcode.PING: {
+                connection.socket.write(WSSTransport.frame(Opcode.PONG, payload));
+                return true;
+            }
+            case Opcode.PONG: {
+                return true;
+            }
+            case Opcode.CLOSE: {
+                this.closeConnection(connection, 1000);
+                connection.socket.end();
+                return false;
+            }
+            case Opcode.TEXT: {
+                this.closeConnection(connection, 1003); // SSGSCP packets are binary
+                return false;
+            }
+            case Opcode.BINARY:
+            case Opcode.CONTINUATION: {
+                // a binary frame starts a message, continuation frames continue one
+                if ((opcode === Opcode.BINARY) !== (connection.fragments.length === 0)) {
+                    this.closeConnection(connection, 1002);
+                    return false;
+                }
+
+                connection.fragments.push(payload);
+                const total = connection.fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+                if (total > WS_MAX_MESSAGE_BYTES) {
+                    this.closeConnection(connection, 1009);
+                    return false;
+                }
+
+                if (!fin)
+                    return true;
+
+                const packet = connection.fragments.length === 1 ? connection.fragments[0] : Buffer.concat(connection.fragments);
+                connection.fragments = [];
+                this.emit('packet', packet, connection.peer);
+                return true;
+            }
+            default: {
+                this.closeConnection(connection, 1002);
+                return false;
+            }
+        }
+    }
+
+    private closeConnection(connection: Connection, code: number) {
+        if (connection.closing)
+            return;
+
+        connection.closing = true;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        connection.socket.write(WSSTransport.frame(Opcode.CLOSE, payload));
+
+        // the gateway should close the TCP connection once it has seen the close frame
+        setTimeout(() => connection.socket.destroy(), WS_CLOSE_TIMEOUT_MS).unref();
+    }
+
+    private ping() {
+        for (const connection of Array.from(this.connections.values())) {
+            if (!connection.alive) {
+                connection.socket.destroy();
+                continue;
+            }
+
+            connection.alive = false;
+            connection.socket.write(WSSTransport.frame(Opcode.PING, Buffer.alloc(0)));
+        }
+    }
+
+    private static frame(opcode: Opcode, payload: Buffer): Buffer {
+        let header: Buffer;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+            header.writeUInt32BE(payload.length >>> 0, 6);
+        }
+
+        header[0] = 0x80 | opcode; // FIN, server frames are never fragmented or masked
+        return Buffer.concat([header, payload]);
+    }
+
+    private static key(address: string, port: number): string {
+        return address + '|' + port;
+    }
+}
@@ -0,0 +1,31 @@
+import { MessageSubtype } from "./ssgscp.js";
+import { Buffer } from "node:buffer";
+export declare const MAX_MESSAGE_DATA_LEN_BYTES: number;
+export declare const WFU_BLOCK_LEN_BYTES = 32;
+export declare const WFU_HEADER_LEN_BYTES = 6;
+export declare const WFU_BLOCK_ENTRY_LEN_BYTES: number;
+export declare const WFU_MAX_BLOCKS_PER_MESSAGE: number;
+export type WFUPacket = {
+    version: number;
+    totalBlocks: number;
+    blocks: Array<{
+        blockNum: number;
+        data: Buffer;
+    }>;
+};
+/**
+ * Encodes server -> gateway SSGSCP MSG payloads, the counterpart of SSProtocols.parse
+ * Every function returns the complete payload (message subtype followed by the message data) ready for Client.send()
+ * and throws a TypeError or RangeError if its arguments are invalid
+ * The WFU_PACKET layout is the one documented with MessageSubtype, its multi-byte fields are big endian
+ */
+declare const SSEncoder: {
+    encode: (messageType: MessageSubtype | number, data?: unknown) => Buffer;
+    terminalInput: (input: string | Buffer) => Buffer;
+    restart: () => Buffer;
+    setRadioParams: (params: Buffer) => Buffer;
+    sendPacket: (packet: Buffer) => Buffer;
+    resetRadioParams: () => Buffer;
+    wfuPacket: (packet: WFUPacket) => Buffer;
+};
+export default SSEncoder;
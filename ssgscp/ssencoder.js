@@ -0,0 +1,119 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+import { SSGSCP } from "./ssgscp.js";
+import SSProtocols from "./ssprotocols.js";
+import { Buffer } from "node:buffer";
+// The largest message body that fits in an SSGSCP payload after the 1 byte message subtype
+export var MAX_MESSAGE_DATA_LEN_BYTES = SSGSCP.MAX_PAYLOAD_LEN_BYTES - 1;
+export var WFU_BLOCK_LEN_BYTES = 32; // each firmware block carries 32 bytes of the image
+export var WFU_HEADER_LEN_BYTES = 6; // u8 subtype, u16 FW version, u16 total num FW blocks, u8 this num FW blocks
+export var WFU_BLOCK_ENTRY_LEN_BYTES = 2 + WFU_BLOCK_LEN_BYTES; // u16 block num, u8[32] block data
+export var WFU_MAX_BLOCKS_PER_MESSAGE = Math.floor((SSGSCP.MAX_PAYLOAD_LEN_BYTES - WFU_HEADER_LEN_BYTES) / WFU_BLOCK_ENTRY_LEN_BYTES);
+/**
+ * Encodes server -> gateway SSGSCP MSG payloads, the counterpart of SSProtocols.parse
+ * Every function returns the complete payload (message subtype followed by the message data) ready for Client.send()
+ * and throws a TypeError or RangeError if its arguments are invalid
+ * The WFU_PACKET layout is the one documented with MessageSubtype, its multi-byte fields are big endian
+ */
+var SSEncoder = {
+    // data is a WFUPacket, Buffer or string for the built-in subtypes and whatever the registered encoder takes otherwise
+    encode: function (messageType, data) {
+        switch (messageType) {
+            case 2 /* MessageSubtype.REMOTE_TERMINAL_INPUT */:
+                return SSEncoder.terminalInput(data);
+            case 3 /* MessageSubtype.GATEWAY_RESTART */:
+                return SSEncoder.restart();
+            case 4 /* MessageSubtype.SET_RADIO_PARAMS */:
+                return SSEncoder.setRadioParams(data);
+            case 5 /* MessageSubtype.SEND_PACKET */:
+                return SSEncoder.sendPacket(data);
+            case 6 /* MessageSubtype.RESET_RADIO_PARAMS */:
+                return SSEncoder.resetRadioParams();
+            case 7 /* MessageSubtype.WFU_PACKET */:
+                return SSEncoder.wfuPacket(data);
+        }
+        var registered = SSProtocols.getMessageType(messageType);
+        if (registered === null || registered === void 0 ? void 0 : registered.encode) {
+            var encoded = registered.encode(data);
+            if (!Buffer.isBuffer(encoded))
+                throw new TypeError('SSGS Encoder: the encoder of ' + registered.name + ' must return a Buffer');
+            checkDataLength(encoded, registered.name);
+            return withSubtype(messageType, encoded);
+        }
+        throw new RangeError('SSGS Encoder: message subtype ' + messageType + ' cannot be sent to a gateway');
+    },
+    // REMOTE_TERMINAL_INPUT: the UTF-8 encoded input, e.g. 'echo hello world\n'
+    terminalInput: function (input) {
+        if (typeof input !== 'string' && !Buffer.isBuffer(input))
+            throw new TypeError('SSGS Encoder: terminal input must be a string or Buffer');
+        var data = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+        checkDataLength(data, 'terminal input');
+        return withSubtype(2 /* MessageSubtype.REMOTE_TERMINAL_INPUT */, data);
+    },
+    // GATEWAY_RESTART: no data
+    restart: function () {
+        return withSubtype(3 /* MessageSubtype.GATEWAY_RESTART */, Buffer.alloc(0));
+    },
+    // SET_RADIO_PARAMS: the parameters as the gateway firmware expects them, the protocol does not define their layout
+    setRadioParams: function (params) {
+        if (!Buffer.isBuffer(params) || params.length == 0)
+            throw new TypeError('SSGS Encoder: radio params must be a non-empty Buffer');
+        checkDataLength(params, 'radio params');
+        return withSubtype(4 /* MessageSubtype.SET_RADIO_PARAMS */, params);
+    },
+    // SEND_PACKET: the raw radio packet to transmit
+    sendPacket: function (packet) {
+        if (!Buffer.isBuffer(packet) || packet.length == 0)
+            throw new TypeError('SSGS Encoder: radio packet must be a non-empty Buffer');
+        checkDataLength(packet, 'radio packet');
+        return withSubtype(5 /* MessageSubtype.SEND_PACKET */, packet);
+    },
+    // RESET_RADIO_PARAMS: no data
+    resetRadioParams: function () {
+        return withSubtype(6 /* MessageSubtype.RESET_RADIO_PARAMS */, Buffer.alloc(0));
+    },
+    // WFU_PACKET: u16 FW version, u16 total num FW blocks, u8 this num FW blocks, blocks [ { u16 block num, u8[32] block data } ... ]
+    wfuPacket: function (packet) {
+        if (!packet || !Array.isArray(packet.blocks))
+            throw new TypeError('SSGS Encoder: WFU packet must have a blocks array');
+        checkInteger(packet.version, 'version', 0, 0xffff);
+        checkInteger(packet.totalBlocks, 'totalBlocks', 1, 0xffff);
+        if (packet.blocks.length < 1 || packet.blocks.length > WFU_MAX_BLOCKS_PER_MESSAGE)
+            throw new RangeError('SSGS Encoder: a WFU packet carries between 1 and ' + WFU_MAX_BLOCKS_PER_MESSAGE + ' blocks');
+        var payload = Buffer.alloc(WFU_HEADER_LEN_BYTES + packet.blocks.length * WFU_BLOCK_ENTRY_LEN_BYTES, 0xff);
+        payload.writeUInt8(7 /* MessageSubtype.WFU_PACKET */, 0);
+        payload.writeUInt16BE(packet.version, 1);
+        payload.writeUInt16BE(packet.totalBlocks, 3);
+        payload.writeUInt8(packet.blocks.length, 5);
+        for (var i = 0; i < packet.blocks.length; i++) {
+            var block = packet.blocks[i];
+            checkInteger(block.blockNum, 'blockNum', 0, packet.totalBlocks - 1);
+            if (!Buffer.isBuffer(block.data) || block.data.length > WFU_BLOCK_LEN_BYTES)
+                throw new RangeError('SSGS Encoder: WFU block data must be a Buffer of at most ' + WFU_BLOCK_LEN_BYTES + ' bytes');
+            var offset = WFU_HEADER_LEN_BYTES + i * WFU_BLOCK_ENTRY_LEN_BYTES;
+            payload.writeUInt16BE(block.blockNum, offset);
+            block.data.copy(payload, offset + 2);
+        }
+        return payload;
+    }
+};
+function withSubtype(messageType, data) {
+    var payload = Buffer.alloc(1 + data.length);
+    payload.writeUInt8(messageType, 0);
+    data.copy(payload, 1);
+    return payload;
+}
+function checkDataLength(data, name) {
+    if (data.length > MAX_MESSAGE_DATA_LEN_BYTES)
+        throw new RangeError('SSGS Encoder: ' + name + ' is ' + data.length + ' bytes, at most ' + MAX_MESSAGE_DATA_LEN_BYTES + ' fit in one message');
+}
+function checkInteger(value, name, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max)
+        throw new RangeError('SSGS Encoder: ' + name + ' must be an integer between ' + min + ' and ' + max);
+}
+export default SSEncoder;
@@ -1,3 +1,4 @@
+import * as crypto from 'node:crypto';
 import { Buffer } from "node:buffer";
 export declare const enum PacketType {
     CONN = 1,// connection request
@@ -20,21 +21,62 @@ export declare const enum MessageSubtype {
     WAKEUP_SCAN = 4,// A message from the gateway to the server containing a wakeup scan result
     SSRB_UPDATE = 83
 }
+export declare const enum Direction {
+    GATEWAY_TO_SERVER = 1,
+    SERVER_TO_GATEWAY = 2
+}
 export type ParsedSSGSCPPacket = {
     authSuccess?: true | false;
+    version?: 1 | 2;
+    sequence?: number;
     packetType?: PacketType;
     encryptionAuthenticationCode?: Buffer | Buffer;
     gatewayUID?: Buffer | Buffer;
     packetID?: number;
     payload?: Buffer | Buffer;
 };
+/**
+ * An SSGSCP v2 session, set up by the CONN and CONNACPT handshake
+ * The session key is derived from the PSK and both nonces, so packets captured in one session cannot be replayed in another
+ */
+export type SSGSCPSession = {
+    role: 'server' | 'gateway';
+    gatewayNonce: Buffer;
+    serverNonce: Buffer;
+    key: crypto.webcrypto.CryptoKey;
+    sendSequence: number;
+    replayWindow: ReplayWindow;
+};
+/**
+ * A sliding window of the sequence numbers received in a session, as in IPsec and DTLS
+ * Sequence numbers may arrive out of order within the window, anything older than the window or seen before is a replay
+ */
+export declare class ReplayWindow {
+    readonly size: number;
+    private highest;
+    private seen;
+    /**
+     * @constructor
+     * @param {number} size - the window size, default is 1024
+     */
+    constructor(size?: number);
+    /**
+     * @method
+     * @param {number} sequence - the sequence number of an authenticated packet
+     * @returns {boolean} - true if the sequence number is new and has been recorded, false if the packet is a replay or too old
+     */
+    accept(sequence: number): boolean;
+}
 /**
  * This class defines various static methods for parsing and constructing
  * SSGSCP packets
  */
 export declare class SSGSCP {
     static readonly PACKET_IDENTIFIER: Buffer<ArrayBuffer>;
+    static readonly PACKET_IDENTIFIER_V2: Buffer<ArrayBuffer>;
+    static readonly NONCE_LEN_BYTES = 16;
     static readonly PSK_LEN_BYTES: 32;
+    static readonly MAX_PAYLOAD_LEN_BYTES: 255;
     /**
     * Packs and encrypts SSGSCP fields into their packet form
     * @param {Object} packet an object containing the SSGSCP packet fields (packetType, gatewayUID, packetID, payload)
@@ -50,6 +92,73 @@ export declare class SSGSCP {
      * @returns {Object} the parsed SSGSCP packet fields or null if the packet cannot be parsed
      */
     static parseSSGSCP(datagram: Buffer, key: Buffer): Promise<ParsedSSGSCPPacket>;
+    /**
+     * Derives the key SSGSCP v2 handshake packets are encrypted with
+     * @static
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway
+     * @returns {CryptoKey} the AES-256-GCM handshake key
+     */
+    static handshakeKey(psk: Buffer): Promise<crypto.webcrypto.CryptoKey>;
+    /**
+     * Sets up an SSGSCP v2 session once both nonces are known
+     * @static
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway
+     * @param {Buffer} gatewayNonce the nonce from the gateway's CONN
+     * @param {Buffer} serverNonce the nonce from the server's CONNACPT
+     * @param {'server' | 'gateway'} role which end of the session this is
+     * @param {number} replayWindowSize the replay window size, default is 1024
+     * @returns {SSGSCPSession} the session, or null if a nonce has the wrong length
+     */
+    static openSession(psk: Buffer, gatewayNonce: Buffer, serverNonce: Buffer, role: 'server' | 'gateway', replayWindowSize?: number): Promise<SSGSCPSession | null>;
+    /**
+     * Packs and encrypts an SSGSCP v2 session packet, using and incrementing the session's send sequence number
+     * @static
+     * @param {Object} packet the SSGSCP packet fields (packetType, gatewayUID, packetID, payload)
+     * @param {SSGSCPSession} session the session to send the packet in
+     * @returns {Buffer} the packed packet, or null if a field is invalid
+     */
+    static packSSGSCPv2(packet: ParsedSSGSCPPacket, session: SSGSCPSession): Promise<Buffer | null>;
+    /**
+     * Packs and encrypts an SSGSCP v2 handshake packet (CONN, CONNACPT or CONNFAIL) with the handshake key
+     * @static
+     * @param {Object} packet the SSGSCP packet fields, CONN and CONNACPT carry a 16 byte nonce as their payload
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway, CONNFAIL is sent with an all zero key as in v1
+     * @param {'server' | 'gateway'} role which end is sending the packet
+     * @param {Buffer} associatedData authenticated along with the header, the gateway's nonce for CONNACPT
+     * @returns {Buffer} the packed packet, or null if a field is invalid
+     */
+    static packSSGSCPv2Handshake(packet: ParsedSSGSCPPacket, psk: Buffer, role: 'server' | 'gateway', associatedData?: Buffer): Promise<Buffer | null>;
+    /**
+     * Tries to parse and authenticate an SSGSCP v2 session packet
+     * The sequence number is returned, not recorded: accept it with session.replayWindow once the packet is to be processed
+     * @static
+     * @param {Buffer} datagram the datagram containing the packet
+     * @param {SSGSCPSession} session the session the packet belongs to
+     * @returns {Object} the parsed fields, authSuccess is false if the tag is invalid, null if the packet cannot be parsed
+     */
+    static parseSSGSCPv2(datagram: Buffer, session: SSGSCPSession): Promise<ParsedSSGSCPPacket | null>;
+    /**
+     * Tries to parse and authenticate an SSGSCP v2 handshake packet
+     * @static
+     * @param {Buffer} datagram the datagram containing the packet
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway
+     * @param {'server' | 'gateway'} role which end is receiving the packet
+     * @param {Buffer} associatedData the associated data the sender authenticated, the gateway's nonce for CONNACPT
+     * @returns {Object} the parsed fields, authSuccess is false if the tag is invalid, null if the packet cannot be parsed
+     */
+    static parseSSGSCPv2Handshake(datagram: Buffer, psk: Buffer, role: 'server' | 'gateway', associatedData?: Buffer): Promise<ParsedSSGSCPPacket | null>;
+    /**
+     * @static
+     * @param {Buffer} datagram a datagram that passed isSSGSCP()
+     * @returns {1 | 2} the protocol version of the packet, by its identifier
+     */
+    static packetVersion(datagram: Buffer): 1 | 2;
+    /**
+     * @static
+     * @param {Buffer} datagram an SSGSCP v2 datagram
+     * @returns {boolean} true if the packet is a handshake packet (CONN, CONNACPT or CONNFAIL), whose sequence number is random
+     */
+    static isHandshake(datagram: Buffer): boolean;
     /**
      * Tries to parse a UDP datagram containing an SSGSCP packet and returns the gateway UID
      * @static
@@ -64,6 +173,17 @@ export declare class SSGSCP {
      * @returns {boolean} true if the datagram contains a valid SSGSCP payload, false if not
      */
     static isSSGSCP(datagram: Buffer): boolean;
+    /**
+     * Gets the name of a packet type, for logs and metrics
+     * @static
+     * @param {PacketType} packetType the packet type
+     * @returns {string} the name, e.g. 'CONNACPT', or the number if the packet type is unknown
+     */
+    static packetTypeName(packetType: PacketType): string;
+    private static sealV2;
+    private static openV2;
+    private static nonceV2;
+    private static deriveKey;
     static getU16BE(buffer: Buffer): number;
     static setU16BE(value: number): Buffer;
     static errMsg: string;
@@ -43,8 +43,54 @@ var __generator = (this && this.__generator) || function (thisArg, body) {
 };
 import * as crypto from 'node:crypto';
 import { Buffer } from "node:buffer";
+var V2_HEADER_LEN = 18; // identifier, sequence number and gateway UID, authenticated as associated data
+var V2_TAG_LEN = 16; // the AES-GCM authentication tag
+var V2_NONCE_LEN = 16; // the random session nonces exchanged in CONN and CONNACPT
+var V2_HANDSHAKE_FLAG = 0x80; // set in the first sequence number byte of CONN, CONNACPT and CONNFAIL, whose sequence numbers are random
+var V2_MAX_SEQUENCE = 0x1fffffffffffff; // a session ends long before its sequence numbers stop being exact in a double
+var REPLAY_WINDOW_DEFAULT = 1024;
 ;
 ;
+;
+/**
+ * A sliding window of the sequence numbers received in a session, as in IPsec and DTLS
+ * Sequence numbers may arrive out of order within the window, anything older than the window or seen before is a replay
+ */
+var ReplayWindow = /** @class */ (function () {
+    /**
+     * @constructor
+     * @param {number} size - the window size, default is 1024
+     */
+    function ReplayWindow(size) {
+        if (size === void 0) { size = REPLAY_WINDOW_DEFAULT; }
+        this.size = size;
+        this.highest = -1;
+        this.seen = new Uint8Array(size);
+    }
+    /**
+     * @method
+     * @param {number} sequence - the sequence number of an authenticated packet
+     * @returns {boolean} - true if the sequence number is new and has been recorded, false if the packet is a replay or too old
+     */
+    ReplayWindow.prototype.accept = function (sequence) {
+        if (sequence < 0 || sequence > V2_MAX_SEQUENCE || Math.floor(sequence) !== sequence)
+            return false;
+        if (sequence > this.highest) {
+            // the slots the window slides over belong to sequence numbers that were never received
+            for (var s = Math.max(this.highest + 1, sequence - this.size + 1); s < sequence; s++)
+                this.seen[s % this.size] = 0;
+            this.highest = sequence;
+            this.seen[sequence % this.size] = 1;
+            return true;
+        }
+        if (this.highest - sequence >= this.size || this.seen[sequence % this.size])
+            return false;
+        this.seen[sequence % this.size] = 1;
+        return true;
+    };
+    return ReplayWindow;
+}());
+export { ReplayWindow };
 /**
  * This class defines various static methods for parsing and constructing
  * SSGSCP packets
@@ -82,6 +128,11 @@ var SSGSCP = /** @class */ (function () {
                         if (!packet.payload) { // If no payload is provided, set it to an empty array
                             packet.payload = Buffer.alloc(0);
                         }
+                        // Ensure the payload length fits in the 1 byte payload length field
+                        if (packet.payload.length > SSGSCP.MAX_PAYLOAD_LEN_BYTES) {
+                            this.errMsg = 'payload field should be at most ' + SSGSCP.MAX_PAYLOAD_LEN_BYTES + ' bytes';
+                            return [2 /*return*/, null];
+                        }
                         encryptedPortionPlaintextUnpaddedLength = 8 + packet.payload.length;
                         encryptedPortionPlaintext = Buffer.alloc(encryptedPortionPlaintextUnpaddedLength + (4 - encryptedPortionPlaintextUnpaddedLength % 4));
                         // Packet Type
@@ -172,6 +223,178 @@ var SSGSCP = /** @class */ (function () {
             });
         });
     };
+    /*
+     * SSGSCP v2 packets are authenticated with AES-256-GCM:
+     *
+     *   "SSGSC2" (6) | sequence number (8, big endian) | gateway UID (4) | AES-GCM( packet type (1) | packet ID (2) | payload ) | tag (16)
+     *
+     * The 18 byte header is the associated data, so the UID and sequence number cannot be altered either. The nonce is
+     * the direction (4 bytes, big endian) followed by the sequence number. CONN, CONNACPT and CONNFAIL are handshake packets:
+     * their sequence number is random with the high bit set, and they are encrypted with a handshake key derived from the PSK.
+     * CONN carries the gateway's 16 byte nonce and CONNACPT the server's, CONNACPT also authenticates the gateway's nonce so that
+     * it only answers that CONN. Every other packet is encrypted with the session key derived from the PSK and both nonces,
+     * with sequence numbers counting up from 0 in each direction.
+     */
+    /**
+     * Derives the key SSGSCP v2 handshake packets are encrypted with
+     * @static
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway
+     * @returns {CryptoKey} the AES-256-GCM handshake key
+     */
+    SSGSCP.handshakeKey = function (psk) {
+        return __awaiter(this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                return [2 /*return*/, SSGSCP.deriveKey(psk, Buffer.alloc(0), 'SSGSCP v2 handshake')];
+            });
+        });
+    };
+    /**
+     * Sets up an SSGSCP v2 session once both nonces are known
+     * @static
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway
+     * @param {Buffer} gatewayNonce the nonce from the gateway's CONN
+     * @param {Buffer} serverNonce the nonce from the server's CONNACPT
+     * @param {'server' | 'gateway'} role which end of the session this is
+     * @param {number} replayWindowSize the replay window size, default is 1024
+     * @returns {SSGSCPSession} the session, or null if a nonce has the wrong length
+     */
+    SSGSCP.openSession = function (psk, gatewayNonce, serverNonce, role, replayWindowSize) {
+        return __awaiter(this, void 0, void 0, function () {
+            var _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        if (gatewayNonce.length !== V2_NONCE_LEN || serverNonce.length !== V2_NONCE_LEN) {
+                            this.errMsg = 'session nonces should be ' + V2_NONCE_LEN + ' bytes';
+                            return [2 /*return*/, null];
+                        }
+                        _a = {
+                            role: role,
+                            gatewayNonce: gatewayNonce,
+                            serverNonce: serverNonce
+                        };
+                        return [4 /*yield*/, SSGSCP.deriveKey(psk, Buffer.concat([gatewayNonce, serverNonce]), 'SSGSCP v2 session')];
+                    case 1: return [2 /*return*/, (_a.key = _b.sent(),
+                            _a.sendSequence = 0,
+                            _a.replayWindow = new ReplayWindow(replayWindowSize),
+                            _a)];
+                }
+            });
+        });
+    };
+    /**
+     * Packs and encrypts an SSGSCP v2 session packet, using and incrementing the session's send sequence number
+     * @static
+     * @param {Object} packet the SSGSCP packet fields (packetType, gatewayUID, packetID, payload)
+     * @param {SSGSCPSession} session the session to send the packet in
+     * @returns {Buffer} the packed packet, or null if a field is invalid
+     */
+    SSGSCP.packSSGSCPv2 = function (packet, session) {
+        return __awaiter(this, void 0, void 0, function () {
+            var sequence, direction;
+            return __generator(this, function (_a) {
+                sequence = Buffer.alloc(8);
+                sequence.writeUInt32BE(Math.floor(session.sendSequence / 0x100000000), 0);
+                sequence.writeUInt32BE(session.sendSequence >>> 0, 4);
+                session.sendSequence++;
+                direction = session.role === 'server' ? 2 /* Direction.SERVER_TO_GATEWAY */ : 1 /* Direction.GATEWAY_TO_SERVER */;
+                return [2 /*return*/, SSGSCP.sealV2(packet, session.key, sequence, direction, Buffer.alloc(0))];
+            });
+        });
+    };
+    /**
+     * Packs and encrypts an SSGSCP v2 handshake packet (CONN, CONNACPT or CONNFAIL) with the handshake key
+     * @static
+     * @param {Object} packet the SSGSCP packet fields, CONN and CONNACPT carry a 16 byte nonce as their payload
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway, CONNFAIL is sent with an all zero key as in v1
+     * @param {'server' | 'gateway'} role which end is sending the packet
+     * @param {Buffer} associatedData authenticated along with the header, the gateway's nonce for CONNACPT
+     * @returns {Buffer} the packed packet, or null if a field is invalid
+     */
+    SSGSCP.packSSGSCPv2Handshake = function (packet_1, psk_1, role_1) {
+        return __awaiter(this, arguments, void 0, function (packet, psk, role, associatedData) {
+            var sequence, direction, _a, _b, _c;
+            if (associatedData === void 0) { associatedData = Buffer.alloc(0); }
+            return __generator(this, function (_d) {
+                switch (_d.label) {
+                    case 0:
+                        sequence = crypto.randomBytes(8);
+                        sequence[0] |= V2_HANDSHAKE_FLAG;
+                        direction = role === 'server' ? 2 /* Direction.SERVER_TO_GATEWAY */ : 1 /* Direction.GATEWAY_TO_SERVER */;
+                        _b = (_a = SSGSCP).sealV2;
+                        _c = [packet];
+                        return [4 /*yield*/, SSGSCP.handshakeKey(psk)];
+                    case 1: return [2 /*return*/, _b.apply(_a, _c.concat([_d.sent(), sequence, direction, associatedData]))];
+                }
+            });
+        });
+    };
+    /**
+     * Tries to parse and authenticate an SSGSCP v2 session packet
+     * The sequence number is returned, not recorded: accept it with session.replayWindow once the packet is to be processed
+     * @static
+     * @param {Buffer} datagram the datagram containing the packet
+     * @param {SSGSCPSession} session the session the packet belongs to
+     * @returns {Object} the parsed fields, authSuccess is false if the tag is invalid, null if the packet cannot be parsed
+     */
+    SSGSCP.parseSSGSCPv2 = function (datagram, session) {
+        return __awaiter(this, void 0, void 0, function () {
+            var direction;
+            return __generator(this, function (_a) {
+                if (SSGSCP.packetVersion(datagram) !== 2 || SSGSCP.isHandshake(datagram)) {
+                    this.errMsg = 'not an SSGSCP v2 session packet';
+                    return [2 /*return*/, null];
+                }
+                direction = session.role === 'server' ? 1 /* Direction.GATEWAY_TO_SERVER */ : 2 /* Direction.SERVER_TO_GATEWAY */;
+                return [2 /*return*/, SSGSCP.openV2(datagram, session.key, direction, Buffer.alloc(0))];
+            });
+        });
+    };
+    /**
+     * Tries to parse and authenticate an SSGSCP v2 handshake packet
+     * @static
+     * @param {Buffer} datagram the datagram containing the packet
+     * @param {Buffer} psk the 32 byte pre-shared key of the gateway
+     * @param {'server' | 'gateway'} role which end is receiving the packet
+     * @param {Buffer} associatedData the associated data the sender authenticated, the gateway's nonce for CONNACPT
+     * @returns {Object} the parsed fields, authSuccess is false if the tag is invalid, null if the packet cannot be parsed
+     */
+    SSGSCP.parseSSGSCPv2Handshake = function (datagram_1, psk_1, role_1) {
+        return __awaiter(this, arguments, void 0, function (datagram, psk, role, associatedData) {
+            var direction, _a, _b, _c;
+            if (associatedData === void 0) { associatedData = Buffer.alloc(0); }
+            return __generator(this, function (_d) {
+                switch (_d.label) {
+                    case 0:
+                        if (SSGSCP.packetVersion(datagram) !== 2 || !SSGSCP.isHandshake(datagram)) {
+                            this.errMsg = 'not an SSGSCP v2 handshake packet';
+                            return [2 /*return*/, null];
+                        }
+                        direction = role === 'server' ? 1 /* Direction.GATEWAY_TO_SERVER */ : 2 /* Direction.SERVER_TO_GATEWAY */;
+                        _b = (_a = SSGSCP).openV2;
+                        _c = [datagram];
+                        return [4 /*yield*/, SSGSCP.handshakeKey(psk)];
+                    case 1: return [2 /*return*/, _b.apply(_a, _c.concat([_d.sent(), direction, associatedData]))];
+                }
+            });
+        });
+    };
+    /**
+     * @static
+     * @param {Buffer} datagram a datagram that passed isSSGSCP()
+     * @returns {1 | 2} the protocol version of the packet, by its identifier
+     */
+    SSGSCP.packetVersion = function (datagram) {
+        return bufferContainsValues(datagram, 0, SSGSCP.PACKET_IDENTIFIER_V2) ? 2 : 1;
+    };
+    /**
+     * @static
+     * @param {Buffer} datagram an SSGSCP v2 datagram
+     * @returns {boolean} true if the packet is a handshake packet (CONN, CONNACPT or CONNFAIL), whose sequence number is random
+     */
+    SSGSCP.isHandshake = function (datagram) {
+        return (datagram[6] & V2_HANDSHAKE_FLAG) !== 0;
+    };
     /**
      * Tries to parse a UDP datagram containing an SSGSCP packet and returns the gateway UID
      * @static
@@ -191,6 +414,14 @@ var SSGSCP = /** @class */ (function () {
      * @returns {boolean} true if the datagram contains a valid SSGSCP payload, false if not
      */
     SSGSCP.isSSGSCP = function (datagram) {
+        // v2 packets start with 'SSGSC2', the encrypted portion is at least 3 bytes followed by the tag
+        if (bufferContainsValues(datagram, 0, SSGSCP.PACKET_IDENTIFIER_V2)) {
+            if (datagram.length < V2_HEADER_LEN + 3 + V2_TAG_LEN) {
+                this.errMsg = 'packet length too short';
+                return false;
+            }
+            return true;
+        }
         // The SSGSCP unencrypted header portion is 18 bytes, and the encrypted 
         // portion is at least 8 bytes
         if (datagram.length < 18 + 8) {
@@ -204,6 +435,129 @@ var SSGSCP = /** @class */ (function () {
         }
         return true;
     };
+    /**
+     * Gets the name of a packet type, for logs and metrics
+     * @static
+     * @param {PacketType} packetType the packet type
+     * @returns {string} the name, e.g. 'CONNACPT', or the number if the packet type is unknown
+     */
+    SSGSCP.packetTypeName = function (packetType) {
+        switch (packetType) {
+            case 1 /* PacketType.CONN */: return 'CONN';
+            case 2 /* PacketType.CONNACPT */: return 'CONNACPT';
+            case 3 /* PacketType.CONNFAIL */: return 'CONNFAIL';
+            case 10 /* PacketType.RCPTOK */: return 'RCPTOK';
+            case 20 /* PacketType.MSGCONF */: return 'MSGCONF';
+            case 21 /* PacketType.MSGSTATUS */: return 'MSGSTATUS';
+            default: return String(packetType);
+        }
+    };
+    // encrypts the fields of a v2 packet and packs them behind the header
+    SSGSCP.sealV2 = function (packet, key, sequence, direction, associatedData) {
+        return __awaiter(this, void 0, void 0, function () {
+            var payload, header, plaintext, ciphertext, _a, _b;
+            var _c, _d;
+            return __generator(this, function (_e) {
+                switch (_e.label) {
+                    case 0:
+                        if (packet.packetType < 0x00 || packet.packetType > 0xff) {
+                            this.errMsg = 'packetType field should be a 8-bit unsigned integer';
+                            return [2 /*return*/, null];
+                        }
+                        if (!packet.gatewayUID || packet.gatewayUID.length != 4) {
+                            this.errMsg = 'gatewayUID field should be a 4-byte array';
+                            return [2 /*return*/, null];
+                        }
+                        if (packet.packetID < 0x00 || packet.packetID > 0xffff) {
+                            this.errMsg = 'packetID field should be a 16-bit unsigned integer';
+                            return [2 /*return*/, null];
+                        }
+                        payload = (_c = packet.payload) !== null && _c !== void 0 ? _c : Buffer.alloc(0);
+                        if (payload.length > SSGSCP.MAX_PAYLOAD_LEN_BYTES) {
+                            this.errMsg = 'payload field should be at most ' + SSGSCP.MAX_PAYLOAD_LEN_BYTES + ' bytes';
+                            return [2 /*return*/, null];
+                        }
+                        header = Buffer.alloc(V2_HEADER_LEN);
+                        header.set(SSGSCP.PACKET_IDENTIFIER_V2, 0);
+                        header.set(sequence, 6);
+                        header.set(packet.gatewayUID, 14);
+                        plaintext = Buffer.concat([Buffer.from([packet.packetType]), SSGSCP.setU16BE((_d = packet.packetID) !== null && _d !== void 0 ? _d : 0), payload]);
+                        _b = (_a = Buffer).from;
+                        return [4 /*yield*/, crypto.subtle.encrypt({
+                                name: "AES-GCM",
+                                iv: new Uint8Array(SSGSCP.nonceV2(direction, sequence)),
+                                additionalData: new Uint8Array(Buffer.concat([header, associatedData])),
+                                tagLength: V2_TAG_LEN * 8
+                            }, key, plaintext)];
+                    case 1:
+                        ciphertext = _b.apply(_a, [_e.sent()]);
+                        return [2 /*return*/, Buffer.concat([header, ciphertext])];
+                }
+            });
+        });
+    };
+    // authenticates and decrypts a v2 packet
+    SSGSCP.openV2 = function (datagram, key, direction, associatedData) {
+        return __awaiter(this, void 0, void 0, function () {
+            var header, sequence, plaintext, _a, _b, e_1;
+            return __generator(this, function (_c) {
+                switch (_c.label) {
+                    case 0:
+                        header = datagram.subarray(0, V2_HEADER_LEN);
+                        sequence = datagram.subarray(6, 14);
+                        _c.label = 1;
+                    case 1:
+                        _c.trys.push([1, 3, , 4]);
+                        _b = (_a = Buffer).from;
+                        return [4 /*yield*/, crypto.subtle.decrypt({
+                                name: "AES-GCM",
+                                iv: new Uint8Array(SSGSCP.nonceV2(direction, sequence)),
+                                additionalData: new Uint8Array(Buffer.concat([header, associatedData])),
+                                tagLength: V2_TAG_LEN * 8
+                            }, key, new Uint8Array(datagram.subarray(V2_HEADER_LEN)))];
+                    case 2:
+                        plaintext = _b.apply(_a, [_c.sent()]);
+                        return [3 /*break*/, 4];
+                    case 3:
+                        e_1 = _c.sent();
+                        this.errMsg = 'Invalid authentication tag';
+                        return [2 /*return*/, {
+                                authSuccess: false,
+                            }];
+                    case 4: return [2 /*return*/, {
+                            authSuccess: true,
+                            version: 2,
+                            sequence: SSGSCP.isHandshake(datagram) ? undefined : sequence.readUInt32BE(0) * 0x100000000 + sequence.readUInt32BE(4),
+                            packetType: plaintext[0],
+                            gatewayUID: datagram.subarray(14, 18),
+                            packetID: SSGSCP.getU16BE(plaintext.subarray(1, 3)),
+                            payload: plaintext.subarray(3)
+                        }];
+                }
+            });
+        });
+    };
+    // the 12 byte AES-GCM nonce: the direction then the sequence number
+    SSGSCP.nonceV2 = function (direction, sequence) {
+        var nonce = Buffer.alloc(12);
+        nonce.writeUInt32BE(direction, 0);
+        nonce.set(sequence, 4);
+        return nonce;
+    };
+    // derives an AES-256-GCM key from the PSK with HKDF-SHA256
+    SSGSCP.deriveKey = function (psk, salt, info) {
+        return __awaiter(this, void 0, void 0, function () {
+            var baseKey;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0: return [4 /*yield*/, crypto.subtle.importKey("raw", new Uint8Array(psk), "HKDF", false, ["deriveKey"])];
+                    case 1:
+                        baseKey = _a.sent();
+                        return [2 /*return*/, crypto.subtle.deriveKey({ name: "HKDF", hash: "SHA-256", salt: new Uint8Array(salt), info: Buffer.from(info) }, baseKey, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"])];
+                }
+            });
+        });
+    };
     // obtains a 16-bit unsigned integer from a 2 byte array in big endian format
     SSGSCP.getU16BE = function (buffer) {
         return buffer[0] << 8 | buffer[1];
@@ -213,7 +567,10 @@ var SSGSCP = /** @class */ (function () {
         return Buffer.from([value >> 8, value & 0xff]);
     };
     SSGSCP.PACKET_IDENTIFIER = Buffer.from([83, 83, 71, 83, 67, 80]); // Packet Identifier is 6 bytes, "SSGSCP"
+    SSGSCP.PACKET_IDENTIFIER_V2 = Buffer.from([83, 83, 71, 83, 67, 50]); // "SSGSC2", v2 packets are told apart from v1 by their identifier
+    SSGSCP.NONCE_LEN_BYTES = V2_NONCE_LEN;
     SSGSCP.PSK_LEN_BYTES = 32;
+    SSGSCP.MAX_PAYLOAD_LEN_BYTES = 255; // the payload length field is a single byte
     SSGSCP.errMsg = 'no error';
     return SSGSCP;
 }());
@@ -5,18 +5,99 @@ export type SensorSealUpdate = {
     sensorSealUID: Buffer;
     viaGatewayUID: Buffer;
     updateID: number;
+    ssrbVersion: number;
     temperature: number | null;
     vibration: number | null;
     voltage: number | null;
     rpm: number | null;
+    extra?: Record<string, number | null>;
 };
-export type ParsedMessage = {
+export type SSRBFieldType = 'f32' | 'u32' | 'i32' | 'u16' | 'i16' | 'u8' | 'i8';
+export type SSRBField = {
+    name: string;
+    type: SSRBFieldType;
+    decimals?: number;
+};
+export type SSRBLayout = {
+    presenceFlags: boolean;
+    fields: Array<SSRBField>;
+};
+export type WakeupScanSeal = {
+    sensorSealUID: Buffer;
+    rssi: number;
+    snr: number;
+};
+export type WakeupScanResult = {
+    viaGatewayUID: Buffer;
+    scanVersion: number;
+    seals: Array<WakeupScanSeal>;
+};
+export type MessageData = SensorSealUpdate | WakeupScanResult | Buffer | string | number | null;
+export type ParsedMessage<T = MessageData> = {
     gatewayUID: Buffer;
     rawPayload: Buffer;
-    data: SensorSealUpdate | string | number | null;
+    data: T;
     messageType: MessageSubtype;
+    messageName?: string;
+};
+export type MessageTypeDefinition<T> = {
+    name: string;
+    decode?: (data: Buffer, gatewayUID: Buffer) => T;
+    encode?: (data: T) => Buffer;
+};
+export type MessageType<T> = {
+    subtype: number;
+    name: string;
+    is: (message: ParsedMessage<unknown>) => message is ParsedMessage<T>;
+};
+/**
+ * @param {SensorSealUpdate} update - the update to convert
+ * @returns {object} - the update with its UIDs as hex strings, ready for JSON.stringify()
+ */
+export declare function sensorSealUpdateToJSON(update: SensorSealUpdate): {
+    sensorSealUID: string;
+    gatewayUID: string;
+    updateID: number;
+    ssrbVersion: number;
+    temperature: number;
+    vibration: number;
+    rpm: number;
+    voltage: number;
+    extra: Record<string, number>;
 };
+/**
+ * @param {Buffer} messageData - the message data after the subtype byte
+ * @param {Buffer} gatewayUID - the UID of the gateway that reported the scan
+ * @returns {WakeupScanResult} - the decoded scan, or null if it is not a complete version 1 scan
+ * Decodes the version 1 WAKEUP_SCAN layout proposed for the gateway firmware, which does not define the format yet:
+ * u8 version, u8 num seals, seals [ { u8[4] sensor seal UID, i8 RSSI (dBm), i8 SNR (dB) } ... ]
+ * It is not registered by default, applications whose gateways send this layout register it with registerMessageType
+ */
+export declare function decodeWakeupScanV1(messageData: Buffer, gatewayUID: Buffer): WakeupScanResult;
 declare const SSProtocols: {
+    /**
+     * @method
+     * @param {number} ssrbVersion - the u8 SSRB version
+     * @param {SSRBLayout} layout - the presence flags and fields that follow the SSRB header in this version
+     * Registers or replaces the field layout of an SSRB version
+     */
+    registerSSRBVersion: (ssrbVersion: number, layout: SSRBLayout) => void;
+    /**
+     * @method
+     * @param {number} subtype - the u8 message subtype
+     * @param {MessageTypeDefinition} definition - the name and the decoder and/or encoder of the message type
+     * @returns {MessageType} - a handle whose is() narrows received messages to the decoded type
+     * Registers or replaces a custom message subtype, a decoder may not replace a built-in gateway -> server subtype
+     * and an encoder may not replace a built-in server -> gateway subtype
+     * A decoder registered for MessageSubtype.WAKEUP_SCAN must return a WakeupScanResult, its results are emitted as 'wakeupscan'
+     */
+    registerMessageType: <T>(subtype: number, definition: MessageTypeDefinition<T>) => MessageType<T>;
+    /**
+     * @method
+     * @param {number} subtype - the u8 message subtype
+     * @returns {MessageTypeDefinition | undefined} - the registered message type, or undefined if there is none
+     */
+    getMessageType: (subtype: number) => MessageTypeDefinition<unknown> | undefined;
     parse: (parsedSSGSCP: ParsedSSGSCPPacket) => ParsedMessage;
 };
 export default SSProtocols;
@@ -5,6 +5,33 @@
  * This source code is licensed under the MIT license found in the
  * LICENSE file in the root directory of this repository.
  */
+var SSRB_HEADER_LEN_BYTES = 13; // u8[4] 'SSRB', u8 version, u8[4] sensor seal UID, u32 update ID
+var SSRB_STANDARD_FIELDS = ['temperature', 'vibration', 'voltage', 'rpm'];
+var SSRB_FIELD_LEN_BYTES = { f32: 4, u32: 4, i32: 4, u16: 2, i16: 2, u8: 1, i8: 1 };
+// the SSRB layouts by version, add new firmware versions with SSProtocols.registerSSRBVersion()
+var ssrbLayouts = new Map();
+// v2: every reading is always present, so a 0 is a real reading (a stopped shaft, 0 deg C)
+ssrbLayouts.set(2, {
+    presenceFlags: false,
+    fields: [
+        { name: 'temperature', type: 'f32', decimals: 1 },
+        { name: 'rpm', type: 'f32', decimals: 1 },
+        { name: 'vibration', type: 'u32' },
+        { name: 'voltage', type: 'u32' }
+    ]
+});
+// built-in subtypes per direction, these cannot be replaced by registerMessageType
+// WAKEUP_SCAN is not among them, its format is not fixed by the gateway firmware yet so the application registers its decoder
+var BUILTIN_INBOUND_SUBTYPES = [1 /* MessageSubtype.PING_PONG */, 3 /* MessageSubtype.REMOTE_TERMINAL_OUTPUT */, 83 /* MessageSubtype.SSRB_UPDATE */];
+var BUILTIN_OUTBOUND_SUBTYPES = [
+    1 /* MessageSubtype.PING_PONG */, 2 /* MessageSubtype.REMOTE_TERMINAL_INPUT */, 3 /* MessageSubtype.GATEWAY_RESTART */, 4 /* MessageSubtype.SET_RADIO_PARAMS */,
+    5 /* MessageSubtype.SEND_PACKET */, 6 /* MessageSubtype.RESET_RADIO_PARAMS */, 7 /* MessageSubtype.WFU_PACKET */
+];
+var WAKEUP_SCAN_VERSION = 1; // the only wakeup scan format understood by decodeWakeupScanV1
+var WAKEUP_SCAN_HEADER_LEN_BYTES = 2; // u8 version, u8 num seals
+var WAKEUP_SCAN_ENTRY_LEN_BYTES = 6; // u8[4] sensor seal UID, i8 RSSI (dBm), i8 SNR (dB)
+// the message types registered by the application, keyed by subtype
+var messageTypes = new Map();
 function buffersEqual(a, b) {
     if (a.length !== b.length) {
         return false;
@@ -16,42 +43,210 @@ function buffersEqual(a, b) {
     }
     return true;
 }
+// SSRB: u8[4] 'SSRB', u8 version, u8[4] sensor seal UID, u32 update ID, [u8 presence flags], fields [ ... ]
 function parseSSRB(parsedSSGSCP) {
+    var _a;
     // check if the packet is an SSRB packet
     var messageData = parsedSSGSCP.payload.subarray(1);
-    if (!buffersEqual(messageData.subarray(0, 4), [0x53, 0x53, 0x52, 0x42])) {
+    if (messageData.length < SSRB_HEADER_LEN_BYTES || !buffersEqual(messageData.subarray(0, 4), [0x53, 0x53, 0x52, 0x42])) {
         return null;
     }
     var offset = 4;
-    var roundTo1dp = function (num) { return Math.round(num * 10) / 10; };
     var ssrbVersion = messageData[offset];
     offset += 1;
-    if (ssrbVersion < 2) {
+    var layout = ssrbLayoutFor(ssrbVersion);
+    if (!layout) {
+        return null;
+    }
+    // reject truncated frames up front, trailing bytes added by newer versions are ignored
+    if (messageData.length < SSRB_HEADER_LEN_BYTES + ssrbLayoutLength(layout)) {
         return null;
     }
     var sensorSealUID = messageData.subarray(offset, offset + 4);
     offset += 4;
     var msgID = messageData.readUInt32LE(offset);
     offset += 4;
-    var temperature = roundTo1dp(messageData.readFloatLE(offset));
-    offset += 4;
-    var rpm = roundTo1dp(messageData.readFloatLE(offset));
-    offset += 4;
-    var vibration = messageData.readUInt32LE(offset);
-    offset += 4;
-    var voltage = messageData.readUInt32LE(offset);
-    return {
+    // without presence flags every field in the layout is present, such layouts may have more than 8 fields
+    var presenceFlags = 0;
+    if (layout.presenceFlags) {
+        presenceFlags = messageData[offset];
+        offset += 1;
+    }
+    var update = {
         sensorSealUID: sensorSealUID,
         viaGatewayUID: parsedSSGSCP.gatewayUID,
         updateID: msgID,
-        temperature: temperature === 0 ? null : temperature,
-        vibration: vibration === 0 ? null : vibration,
-        voltage: voltage === 0 ? null : voltage,
-        rpm: rpm === 0 ? null : rpm
+        ssrbVersion: ssrbVersion,
+        temperature: null,
+        vibration: null,
+        voltage: null,
+        rpm: null
+    };
+    for (var i = 0; i < layout.fields.length; i++) {
+        var field = layout.fields[i];
+        var value = readSSRBField(messageData, offset, field.type);
+        offset += SSRB_FIELD_LEN_BYTES[field.type];
+        if (layout.presenceFlags && !(presenceFlags & (1 << i))) {
+            value = null;
+        }
+        else if (field.decimals !== undefined) {
+            var scale = Math.pow(10, field.decimals);
+            value = Math.round(value * scale) / scale;
+        }
+        if (SSRB_STANDARD_FIELDS.indexOf(field.name) !== -1) {
+            update[field.name] = value;
+        }
+        else {
+            update.extra = (_a = update.extra) !== null && _a !== void 0 ? _a : {};
+            update.extra[field.name] = value;
+        }
+    }
+    return update;
+}
+function readSSRBField(data, offset, type) {
+    switch (type) {
+        case 'f32': return data.readFloatLE(offset);
+        case 'u32': return data.readUInt32LE(offset);
+        case 'i32': return data.readInt32LE(offset);
+        case 'u16': return data.readUInt16LE(offset);
+        case 'i16': return data.readInt16LE(offset);
+        case 'u8': return data.readUInt8(offset);
+        case 'i8': return data.readInt8(offset);
+    }
+}
+function ssrbLayoutLength(layout) {
+    var length = layout.presenceFlags ? 1 : 0;
+    for (var _i = 0, _a = layout.fields; _i < _a.length; _i++) {
+        var field = _a[_i];
+        length += SSRB_FIELD_LEN_BYTES[field.type];
+    }
+    return length;
+}
+// an unregistered version newer than the newest registered one is decoded with the newest layout below it,
+// SSRB versions only ever append fields, older unregistered versions are rejected
+function ssrbLayoutFor(ssrbVersion) {
+    var exact = ssrbLayouts.get(ssrbVersion);
+    if (exact)
+        return exact;
+    var best = -1;
+    ssrbLayouts.forEach(function (layout, version) {
+        if (version < ssrbVersion && version > best)
+            best = version;
+    });
+    if (best === -1 || Array.from(ssrbLayouts.keys()).some(function (version) { return version > ssrbVersion; }))
+        return null;
+    return ssrbLayouts.get(best);
+}
+/**
+ * @param {SensorSealUpdate} update - the update to convert
+ * @returns {object} - the update with its UIDs as hex strings, ready for JSON.stringify()
+ */
+export function sensorSealUpdateToJSON(update) {
+    return {
+        sensorSealUID: update.sensorSealUID.toString('hex'),
+        gatewayUID: update.viaGatewayUID.toString('hex'),
+        updateID: update.updateID,
+        ssrbVersion: update.ssrbVersion,
+        temperature: update.temperature,
+        vibration: update.vibration,
+        rpm: update.rpm,
+        voltage: update.voltage,
+        extra: update.extra
+    };
+}
+/**
+ * @param {Buffer} messageData - the message data after the subtype byte
+ * @param {Buffer} gatewayUID - the UID of the gateway that reported the scan
+ * @returns {WakeupScanResult} - the decoded scan, or null if it is not a complete version 1 scan
+ * Decodes the version 1 WAKEUP_SCAN layout proposed for the gateway firmware, which does not define the format yet:
+ * u8 version, u8 num seals, seals [ { u8[4] sensor seal UID, i8 RSSI (dBm), i8 SNR (dB) } ... ]
+ * It is not registered by default, applications whose gateways send this layout register it with registerMessageType
+ */
+export function decodeWakeupScanV1(messageData, gatewayUID) {
+    if (messageData.length < WAKEUP_SCAN_HEADER_LEN_BYTES) {
+        return null;
+    }
+    var scanVersion = messageData[0];
+    if (scanVersion !== WAKEUP_SCAN_VERSION) {
+        return null;
+    }
+    // reject truncated messages, trailing bytes added by newer versions are ignored
+    var numSeals = messageData[1];
+    if (messageData.length < WAKEUP_SCAN_HEADER_LEN_BYTES + numSeals * WAKEUP_SCAN_ENTRY_LEN_BYTES) {
+        return null;
+    }
+    var seals = [];
+    for (var i = 0; i < numSeals; i++) {
+        var offset = WAKEUP_SCAN_HEADER_LEN_BYTES + i * WAKEUP_SCAN_ENTRY_LEN_BYTES;
+        seals.push({
+            sensorSealUID: messageData.subarray(offset, offset + 4),
+            rssi: messageData.readInt8(offset + 4),
+            snr: messageData.readInt8(offset + 5)
+        });
+    }
+    return {
+        viaGatewayUID: gatewayUID,
+        scanVersion: scanVersion,
+        seals: seals
     };
 }
 var SSProtocols = {
+    /**
+     * @method
+     * @param {number} ssrbVersion - the u8 SSRB version
+     * @param {SSRBLayout} layout - the presence flags and fields that follow the SSRB header in this version
+     * Registers or replaces the field layout of an SSRB version
+     */
+    registerSSRBVersion: function (ssrbVersion, layout) {
+        if (!Number.isInteger(ssrbVersion) || ssrbVersion < 0 || ssrbVersion > 0xff)
+            throw new RangeError('SSGS Protocols: SSRB version must be an integer between 0 and 255');
+        if (!layout || !Array.isArray(layout.fields) || (layout.presenceFlags && layout.fields.length > 8))
+            throw new TypeError('SSGS Protocols: an SSRB layout needs a fields array, at most 8 fields when using presence flags');
+        for (var _i = 0, _a = layout.fields; _i < _a.length; _i++) {
+            var field = _a[_i];
+            if (typeof field.name !== 'string' || !Object.prototype.hasOwnProperty.call(SSRB_FIELD_LEN_BYTES, field.type))
+                throw new TypeError('SSGS Protocols: invalid SSRB field ' + JSON.stringify(field));
+        }
+        ssrbLayouts.set(ssrbVersion, layout);
+    },
+    /**
+     * @method
+     * @param {number} subtype - the u8 message subtype
+     * @param {MessageTypeDefinition} definition - the name and the decoder and/or encoder of the message type
+     * @returns {MessageType} - a handle whose is() narrows received messages to the decoded type
+     * Registers or replaces a custom message subtype, a decoder may not replace a built-in gateway -> server subtype
+     * and an encoder may not replace a built-in server -> gateway subtype
+     * A decoder registered for MessageSubtype.WAKEUP_SCAN must return a WakeupScanResult, its results are emitted as 'wakeupscan'
+     */
+    registerMessageType: function (subtype, definition) {
+        if (!Number.isInteger(subtype) || subtype < 1 || subtype > 0xff)
+            throw new RangeError('SSGS Protocols: message subtype must be an integer between 1 and 255');
+        if (!definition || typeof definition.name !== 'string' || (!definition.decode && !definition.encode))
+            throw new TypeError('SSGS Protocols: a message type needs a name and a decode and/or encode function');
+        if (definition.decode && BUILTIN_INBOUND_SUBTYPES.indexOf(subtype) !== -1)
+            throw new RangeError('SSGS Protocols: subtype ' + subtype + ' is already decoded by SSGS');
+        if (definition.encode && BUILTIN_OUTBOUND_SUBTYPES.indexOf(subtype) !== -1)
+            throw new RangeError('SSGS Protocols: subtype ' + subtype + ' is already encoded by SSGS');
+        messageTypes.set(subtype, definition);
+        return {
+            subtype: subtype,
+            name: definition.name,
+            is: function (message) { return (message === null || message === void 0 ? void 0 : message.messageType) === subtype && message.messageName === definition.name; }
+        };
+    },
+    /**
+     * @method
+     * @param {number} subtype - the u8 message subtype
+     * @returns {MessageTypeDefinition | undefined} - the registered message type, or undefined if there is none
+     */
+    getMessageType: function (subtype) {
+        return messageTypes.get(subtype);
+    },
     parse: function (parsedSSGSCP) {
+        var _a;
+        if (parsedSSGSCP.payload.length < 1) {
+            return null;
+        }
         var messageSubtype = parsedSSGSCP.payload[0];
         var messageData = parsedSSGSCP.payload.subarray(1);
         switch (messageSubtype) {
@@ -80,15 +275,32 @@ var SSProtocols = {
                     data: parsedSSGSCP.payload[1],
                     messageType: 1 /* MessageSubtype.PING_PONG */
                 };
-            case 4 /* MessageSubtype.WAKEUP_SCAN */:
-                return {
-                    gatewayUID: parsedSSGSCP.gatewayUID,
-                    rawPayload: parsedSSGSCP.payload,
-                    data: null,
-                    messageType: 4 /* MessageSubtype.WAKEUP_SCAN */
-                };
         }
-        return null;
+        var messageType = messageTypes.get(messageSubtype);
+        if (messageType === null || messageType === void 0 ? void 0 : messageType.decode) {
+            // the decoded type is only known to the application, MessageType.is() narrows it back
+            var decoded = null;
+            try {
+                decoded = (_a = messageType.decode(messageData, parsedSSGSCP.gatewayUID)) !== null && _a !== void 0 ? _a : null;
+            }
+            catch (err) {
+                decoded = null;
+            }
+            return {
+                gatewayUID: parsedSSGSCP.gatewayUID,
+                rawPayload: parsedSSGSCP.payload,
+                data: decoded,
+                messageType: decoded !== null ? messageSubtype : 0 /* MessageSubtype.INVALID */,
+                messageName: messageType.name
+            };
+        }
+        // deliver unknown subtypes as they are so that applications can still handle them
+        return {
+            gatewayUID: parsedSSGSCP.gatewayUID,
+            rawPayload: parsedSSGSCP.payload,
+            data: messageData,
+            messageType: messageSubtype
+        };
     }
 };
 export default SSProtocols;
@@ -0,0 +1,39 @@
+import { Duplex } from 'node:stream';
+import { Buffer } from "node:buffer";
+import type { Client } from './index.js';
+export type ExecOptions = {
+    timeout?: number;
+    idle?: number;
+};
+/**
+ * A Duplex stream connected to a gateway's remote terminal service
+ * Writes are split into REMOTE_TERMINAL_INPUT messages of at most 254 bytes and sent one after the other,
+ * a write only completes once the gateway has acknowledged it. REMOTE_TERMINAL_OUTPUT messages are readable in
+ * the order they are received. The readable side ends when the gateway disconnects.
+ * Every terminal opened on the same client receives all of the gateway's terminal output
+ */
+export declare class TerminalStream extends Duplex {
+    readonly client: Client;
+    private onmessage;
+    private ondisconnect;
+    /**
+     * @constructor
+     * @param {Client} client - the gateway to connect to
+     */
+    constructor(client: Client);
+    /**
+     * @method
+     * @async
+     * @param {string} command - the command to run, a newline is appended if it does not end with one
+     * @param {ExecOptions} options - how long to wait for output
+     * @returns {Promise<string>} - the output the gateway produced until it went idle or the timeout expired
+     * Runs a command on the gateway's remote terminal and collects its output
+     */
+    exec(command: string, options?: ExecOptions): Promise<string>;
+    _write(chunk: Buffer, encoding: BufferEncoding, callback: (error?: Error | null) => void): void;
+    _read(size: number): void;
+    _final(callback: (error?: Error | null) => void): void;
+    _destroy(err: Error | null, callback: (error?: Error | null) => void): void;
+    private sendInput;
+    private detach;
+}
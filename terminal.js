@@ -0,0 +1,189 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+import { Duplex } from 'node:stream';
+import { Buffer } from "node:buffer";
+import SSEncoder from './ssgscp/ssencoder.js';
+import { MAX_MESSAGE_DATA_LEN_BYTES } from './ssgscp/ssencoder.js';
+var EXEC_TIMEOUT_MS_DEFAULT = 10000; // how long exec() waits in total
+var EXEC_IDLE_MS_DEFAULT = 500; // how long the gateway must stay quiet after its last output before exec() resolves
+/**
+ * A Duplex stream connected to a gateway's remote terminal service
+ * Writes are split into REMOTE_TERMINAL_INPUT messages of at most 254 bytes and sent one after the other,
+ * a write only completes once the gateway has acknowledged it. REMOTE_TERMINAL_OUTPUT messages are readable in
+ * the order they are received. The readable side ends when the gateway disconnects.
+ * Every terminal opened on the same client receives all of the gateway's terminal output
+ */
+var TerminalStream = /** @class */ (function (_super) {
+    __extends(TerminalStream, _super);
+    /**
+     * @constructor
+     * @param {Client} client - the gateway to connect to
+     */
+    function TerminalStream(client) {
+        var _this = _super.call(this) || this;
+        _this.client = client;
+        _this.onmessage = function (message) {
+            if (message.messageType === 3 /* MessageSubtype.REMOTE_TERMINAL_OUTPUT */)
+                _this.push(message.rawPayload.subarray(1));
+        };
+        _this.ondisconnect = function () {
+            _this.detach();
+            _this.push(null);
+        };
+        client.on('message', _this.onmessage);
+        client.on('disconnect', _this.ondisconnect);
+        return _this;
+    }
+    /**
+     * @method
+     * @async
+     * @param {string} command - the command to run, a newline is appended if it does not end with one
+     * @param {ExecOptions} options - how long to wait for output
+     * @returns {Promise<string>} - the output the gateway produced until it went idle or the timeout expired
+     * Runs a command on the gateway's remote terminal and collects its output
+     */
+    TerminalStream.prototype.exec = function (command, options) {
+        return __awaiter(this, void 0, void 0, function () {
+            var timeout, idle, chunks;
+            var _this = this;
+            var _a, _b;
+            return __generator(this, function (_c) {
+                timeout = (_a = options === null || options === void 0 ? void 0 : options.timeout) !== null && _a !== void 0 ? _a : EXEC_TIMEOUT_MS_DEFAULT;
+                idle = (_b = options === null || options === void 0 ? void 0 : options.idle) !== null && _b !== void 0 ? _b : EXEC_IDLE_MS_DEFAULT;
+                chunks = [];
+                return [2 /*return*/, new Promise(function (resolve, reject) {
+                        var idleTimer = null;
+                        var finish = function (err) {
+                            clearTimeout(deadline);
+                            clearTimeout(idleTimer);
+                            _this.client.off('message', onoutput);
+                            _this.client.off('disconnect', finish);
+                            if (err)
+                                reject(err);
+                            else
+                                resolve(Buffer.concat(chunks).toString('utf8'));
+                        };
+                        // the idle timer only starts once output has started, a slow command is given until the deadline
+                        var onoutput = function (message) {
+                            if (message.messageType !== 3 /* MessageSubtype.REMOTE_TERMINAL_OUTPUT */)
+                                return;
+                            chunks.push(message.rawPayload.subarray(1));
+                            clearTimeout(idleTimer);
+                            idleTimer = setTimeout(function () { return finish(); }, idle);
+                        };
+                        var deadline = setTimeout(function () { return finish(); }, timeout);
+                        // listen on the client rather than the stream so that exec() does not consume output meant for a reader
+                        _this.client.on('message', onoutput);
+                        _this.client.on('disconnect', finish);
+                        var input = command.endsWith('\n') ? command : command + '\n';
+                        _this.write(input, function (err) {
+                            if (err)
+                                finish(err);
+                        });
+                    })];
+            });
+        });
+    };
+    TerminalStream.prototype._write = function (chunk, encoding, callback) {
+        this.sendInput(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding)).then(function () { return callback(); }, callback);
+    };
+    TerminalStream.prototype._read = function (size) {
+        // output is pushed as it arrives, the gateway cannot be asked to pause
+    };
+    TerminalStream.prototype._final = function (callback) {
+        this.detach();
+        this.push(null);
+        callback();
+    };
+    TerminalStream.prototype._destroy = function (err, callback) {
+        this.detach();
+        callback(err);
+    };
+    // sends the input in chunks that fit in one message, waiting for each to be acknowledged
+    TerminalStream.prototype.sendInput = function (input) {
+        return __awaiter(this, void 0, void 0, function () {
+            var offset, delivered;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        offset = 0;
+                        _a.label = 1;
+                    case 1:
+                        if (!(offset < input.length)) return [3 /*break*/, 4];
+                        return [4 /*yield*/, this.client.send(SSEncoder.terminalInput(input.subarray(offset, offset + MAX_MESSAGE_DATA_LEN_BYTES)))];
+                    case 2:
+                        delivered = _a.sent();
+                        if (!delivered)
+                            throw new Error('SSGS Terminal: input was not acknowledged by the gateway');
+                        _a.label = 3;
+                    case 3:
+                        offset += MAX_MESSAGE_DATA_LEN_BYTES;
+                        return [3 /*break*/, 1];
+                    case 4: return [2 /*return*/];
+                }
+            });
+        });
+    };
+    TerminalStream.prototype.detach = function () {
+        this.client.off('message', this.onmessage);
+        this.client.off('disconnect', this.ondisconnect);
+    };
+    return TerminalStream;
+}(Duplex));
+export { TerminalStream };
@@ -30,10 +30,9 @@ const server = new SSGS(1818, client => {
         console.log('Gateway disconnected');
     }
 
-    // Send a message to the client
-    // 0x02 is the SSGSCP message subtype for remote terminal input
+    // Send a command to the gateway's remote terminal
     // Should receive a remote terminal output message 'hello world' from the gateway 
-    client.send(Buffer.from('\x02echo hello world\n'));
+    client.terminalInput('echo hello world\n');
     
 });
 
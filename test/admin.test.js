@@ -0,0 +1,80 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore } from '../index.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY } from './gateway.js';
+
+const PORT = 18411;
+const ADMIN_PORT = 18412;
+const TOKEN = 'admin-test-token-0123456789';
+const BASE_URL = 'http://127.0.0.1:' + ADMIN_PORT;
+
+function request(path, init) {
+    return fetch(BASE_URL + path, { ...init, headers: { Authorization: 'Bearer ' + TOKEN, ...init?.headers } });
+}
+
+// reads Server-Sent Events from a response until one of the given type arrives
+async function nextEvent(reader, type) {
+    const decoder = new TextDecoder();
+    let buffered = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done)
+            throw new Error('event stream ended');
+
+        buffered += decoder.decode(value, { stream: true });
+        for (const message of buffered.split('\n\n')) {
+            const event = /^event: (.+)\ndata: (.+)$/m.exec(message);
+            if (event && event[1] === type)
+                return JSON.parse(event[2]);
+        }
+    }
+}
+
+test('the admin API answers send at once and reports the delivery on the event stream', async (t) => {
+    const server = new SSGS(PORT, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }]),
+        admin: { port: ADMIN_PORT, token: TOKEN }
+    });
+    const gateway = new Gateway(PORT, { autoAck: false });
+    t.after(async () => {
+        gateway.close();
+        await server.close(0);
+    });
+
+    assert.equal((await gateway.connect()).packetType, 2);
+
+    const unauthorized = await fetch(BASE_URL + '/gateways');
+    assert.equal(unauthorized.status, 401);
+    await unauthorized.body.cancel();
+
+    const gateways = await (await request('/gateways')).json();
+    assert.deepEqual(gateways.map((gateway) => gateway.gatewayUID), ['4dec5dfa']);
+
+    const events = await request('/events');
+    const reader = events.body.getReader();
+    t.after(() => reader.cancel());
+
+    // the gateway has not acknowledged anything yet, the request must not wait for it
+    const sent = await request('/gateways/4dec5dfa/send', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ payload: '0241' }) });
+    assert.equal(sent.status, 202);
+    const { messageID } = await sent.json();
+
+    const message = await gateway.next((packet) => packet.packetType === 20);
+    assert.deepEqual(message.payload, Buffer.from([0x02, 0x41]));
+    await gateway.send({ packetType: 10, packetID: message.packetID });
+
+    assert.deepEqual(await nextEvent(reader, 'delivery'), { messageID, gatewayUID: '4dec5dfa', receivedOk: true });
+
+    const missing = await request('/gateways/01020304/send', { method: 'POST', body: 'x' });
+    assert.equal(missing.status, 404);
+    await missing.body.cancel();
+});
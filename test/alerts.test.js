@@ -0,0 +1,123 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { AlertEngine } from '../index.js';
+
+const SEAL_UID = Buffer.from('0a0b0c0d', 'hex');
+const OTHER_SEAL_UID = Buffer.from('01020304', 'hex');
+const GATEWAY_UID = Buffer.from('4dec5dfa', 'hex');
+const SECOND_GATEWAY_UID = Buffer.from('4dec5dfb', 'hex');
+
+function update(readings, gatewayUID = GATEWAY_UID, sensorSealUID = SEAL_UID) {
+    return { sensorSealUID, viaGatewayUID: gatewayUID, updateID: 1, ssrbVersion: 2, temperature: null, vibration: null, voltage: null, rpm: null, ...readings };
+}
+
+// an engine with the rules that records the alerts it raises and clears
+function engine(rules) {
+    const alerts = new AlertEngine(rules);
+    const events = [];
+    alerts.on('alert', (alert) => events.push(['alert', alert]));
+    alerts.on('alertcleared', (alert) => events.push(['alertcleared', alert]));
+    return { alerts, events };
+}
+
+test('an alert is raised once and only clears once the reading is back past the threshold by the hysteresis', () => {
+    const { alerts, events } = engine([{ id: 'overheat', field: 'temperature', above: 80, hysteresis: 5, severity: 'critical' }]);
+
+    alerts.evaluate(update({ temperature: 79 }), undefined, 0);
+    alerts.evaluate(update({ temperature: 81 }), undefined, 1000);
+    alerts.evaluate(update({ temperature: 90 }), undefined, 2000);
+    alerts.evaluate(update({ temperature: 76 }), undefined, 3000); // within the hysteresis
+    alerts.evaluate(update({ rpm: 1500 }), undefined, 4000); // no temperature, the state is unchanged
+    assert.deepEqual(events.map(([name, alert]) => [name, alert.value]), [['alert', 81]]);
+    assert.equal(alerts.active().length, 1);
+
+    alerts.evaluate(update({ temperature: 75 }, SECOND_GATEWAY_UID), undefined, 5000);
+    assert.deepEqual(events.map(([name, alert]) => [name, alert.value]), [['alert', 81], ['alertcleared', 75]]);
+    assert.deepEqual(alerts.active(), []);
+
+    const [[, raised], [, cleared]] = events;
+    assert.deepEqual([raised.since, raised.raisedAt, raised.clearedAt], [1000, 1000, null]);
+    assert.deepEqual([cleared.since, cleared.raisedAt, cleared.clearedAt], [1000, 1000, 5000]);
+    assert.equal(cleared.rule.severity, 'critical');
+    assert.deepEqual(cleared.gatewayUID, SECOND_GATEWAY_UID);
+});
+
+test('the alert emitted when raised is not changed when it clears', () => {
+    const { alerts, events } = engine([{ id: 'low-voltage', field: 'voltage', below: 3000 }, { id: 'stopped', field: 'rpm', below: 10 }]);
+
+    alerts.evaluate(update({ voltage: 2900, rpm: 0 }), undefined, 0);
+    const raised = events.map(([, alert]) => ({ ...alert }));
+
+    alerts.evaluate(update({ voltage: 3100 }, SECOND_GATEWAY_UID), undefined, 1000);
+    alerts.removeRule('stopped'); // active alerts of a removed rule are cleared too
+
+    assert.deepEqual(events.map(([name, alert]) => [name, alert.rule.id]), [['alert', 'low-voltage'], ['alert', 'stopped'], ['alertcleared', 'low-voltage'], ['alertcleared', 'stopped']]);
+    assert.deepEqual(events.slice(0, 2).map(([, alert]) => alert), raised);
+    assert.notEqual(events[2][1], events[0][1]);
+    assert.equal(events[2][1].clearedAt, 1000);
+    assert.equal(events[2][1].value, 3100);
+    assert.notEqual(events[3][1].clearedAt, null);
+});
+
+test('forMs raises the alert only once the condition has held that long, a reading that clears resets the clock', () => {
+    const { alerts, events } = engine([{ id: 'vibration', field: 'vibration', above: 10, forMs: 60000 }]);
+
+    alerts.evaluate(update({ vibration: 20 }), undefined, 0);
+    alerts.evaluate(update({ vibration: 20 }), undefined, 30000);
+    alerts.evaluate(update({ vibration: 5 }), undefined, 40000);
+    alerts.evaluate(update({ vibration: 20 }), undefined, 50000);
+    alerts.evaluate(update({ vibration: 20 }), undefined, 100000);
+    assert.equal(events.length, 0);
+
+    alerts.evaluate(update({ vibration: 30 }), undefined, 110000);
+    assert.deepEqual(events.map(([name, alert]) => [name, alert.since, alert.raisedAt, alert.value]), [['alert', 50000, 110000, 30]]);
+});
+
+test('rate rules compare the change per minute since the previous reading of the seal', () => {
+    const { alerts, events } = engine([
+        { id: 'heating', field: 'temperature', rateAbove: 2, hysteresis: 1 },
+        { id: 'cooling', field: 'temperature', rateBelow: 5 }
+    ]);
+
+    alerts.evaluate(update({ temperature: 20 }), undefined, 0); // no rate without an earlier reading
+    alerts.evaluate(update({ temperature: 50 }, GATEWAY_UID, OTHER_SEAL_UID), undefined, 0);
+    alerts.evaluate(update({ temperature: 21 }), undefined, 60000); // 1 per minute
+    assert.equal(events.length, 0);
+
+    alerts.evaluate(update({ temperature: 22.5 }), undefined, 90000); // 3 per minute
+    alerts.evaluate(update({ temperature: 23.5 }), undefined, 120000); // 2 per minute, within the hysteresis
+    assert.deepEqual(events.map(([name, alert]) => [name, alert.rule.id, alert.value]), [['alert', 'heating', 3]]);
+
+    alerts.evaluate(update({ temperature: 24 }), undefined, 150000); // 1 per minute
+    alerts.evaluate(update({ temperature: 21 }), undefined, 180000); // -6 per minute
+    assert.deepEqual(events.slice(1).map(([name, alert]) => [name, alert.rule.id, alert.value]), [['alertcleared', 'heating', 1], ['alert', 'cooling', -6]]);
+    assert.deepEqual(alerts.active().map((alert) => SEAL_UID.equals(alert.sensorSealUID)), [true]);
+});
+
+test('rules only apply to their seals and gateways, and invalid rules are rejected', () => {
+    const { alerts, events } = engine([
+        { id: 'one-seal', field: 'rpm', above: 100, seals: ['[0a 0b 0c 0d]'] },
+        { id: 'one-gateway', field: 'rpm', above: 100, gateways: ['4dec5dfb'] }
+    ]);
+
+    alerts.evaluate(update({ rpm: 200 }, GATEWAY_UID, OTHER_SEAL_UID), undefined, 0);
+    alerts.evaluate(update({ rpm: 200 }), undefined, 0);
+    alerts.evaluate(update({ rpm: 200 }, GATEWAY_UID, OTHER_SEAL_UID), ['4dec5dfa', '4dec5dfb'], 1000); // heard by the second gateway before
+    assert.deepEqual(events.map(([, alert]) => [alert.rule.id, alert.sensorSealUID.toString('hex')]), [['one-seal', '0a0b0c0d'], ['one-gateway', '01020304']]);
+
+    assert.throws(() => alerts.addRule({ id: 'a/b', field: 'rpm', above: 1 }), TypeError);
+    assert.throws(() => alerts.addRule({ id: 'x', field: 'humidity', above: 1 }), TypeError);
+    assert.throws(() => alerts.addRule({ id: 'x', field: 'rpm' }), TypeError);
+    assert.throws(() => alerts.addRule({ id: 'x', field: 'rpm', above: 1, hysteresis: -1 }), TypeError);
+    assert.throws(() => alerts.loadJSON(JSON.stringify([{ id: 'x', field: 'rpm', above: 1 }, { id: 'x', field: 'rpm', below: 1 }])), /duplicate rule ID/);
+    assert.deepEqual(alerts.listRules().map((rule) => rule.id), ['one-seal', 'one-gateway']);
+});
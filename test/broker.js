@@ -0,0 +1,145 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+// A fake MQTT broker for the MQTT client and bridge tests
+
+import * as net from 'node:net';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+
+export const CONNECT = 1, CONNACK = 2, PUBLISH = 3, PUBACK = 4, PUBREC = 5, PUBREL = 6, PUBCOMP = 7, SUBSCRIBE = 8, SUBACK = 9;
+
+/**
+ * A fake MQTT 3.1.1 broker that records the packets it receives
+ * CONNECT is answered with CONNACK, everything else only as the test tells it to
+ */
+export class FakeBroker {
+    constructor() {
+        this.packets = []; // every packet received
+        this.unclaimed = []; // packets received that no call to next() has returned yet
+        this.waiters = [];
+        this.sockets = [];
+        this.server = net.createServer((socket) => this.accept(socket));
+    }
+
+    async listen() {
+        this.server.listen(0, '127.0.0.1');
+        await once(this.server, 'listening');
+        return 'mqtt://127.0.0.1:' + this.server.address().port;
+    }
+
+    accept(socket) {
+        this.sockets.push(socket);
+        socket.on('error', () => { });
+
+        let received = Buffer.alloc(0);
+        socket.on('data', (data) => {
+            received = Buffer.concat([received, data]);
+            while (received.length >= 2) {
+                let length = 0, multiplier = 1, offset = 1, byte;
+                do {
+                    byte = received[offset++];
+                    length += (byte & 0x7f) * multiplier;
+                    multiplier *= 128;
+                } while (byte & 0x80);
+
+                if (received.length < offset + length)
+                    break;
+
+                const packet = { type: received[0] >> 4, flags: received[0] & 0x0f, body: received.subarray(offset, offset + length), socket };
+                received = received.subarray(offset + length);
+                this.receive(packet);
+            }
+        });
+    }
+
+    receive(packet) {
+        if (packet.type === SUBSCRIBE || packet.type === PUBLISH && packet.flags & 0x06 || packet.type === PUBREL)
+            packet.packetID = packet.body.readUInt16BE(packet.type === PUBLISH ? 2 + packet.body.readUInt16BE(0) : 0);
+
+        this.packets.push(packet);
+        if (packet.type === CONNECT)
+            this.send(packet.socket, CONNACK, 0, Buffer.from([0, 0]));
+
+        const waiter = this.waiters.find((waiter) => waiter.type === packet.type);
+        if (waiter) {
+            this.waiters.splice(this.waiters.indexOf(waiter), 1);
+            waiter.resolve(packet);
+        } else {
+            this.unclaimed.push(packet);
+        }
+    }
+
+    // the oldest unclaimed packet of the type, waiting for one if there is none
+    next(type, timeoutMs = 3000) {
+        const index = this.unclaimed.findIndex((packet) => packet.type === type);
+        if (index !== -1)
+            return Promise.resolve(this.unclaimed.splice(index, 1)[0]);
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                type,
+                resolve: (packet) => {
+                    clearTimeout(timer);
+                    resolve(packet);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                reject(new Error('timed out waiting for packet type ' + type));
+            }, timeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    send(socket, type, flags, body) {
+        socket.write(Buffer.concat([Buffer.from([(type << 4) | flags, body.length]), body]));
+    }
+
+    ack(packet, type) {
+        const body = Buffer.alloc(2);
+        body.writeUInt16BE(packet.packetID, 0);
+        this.send(packet.socket, type, type === PUBREL ? 2 : 0, type === SUBACK ? Buffer.concat([body, Buffer.from([1])]) : body);
+    }
+
+    // publishes to the client connected on the socket, retain marks a message the broker stored before the subscription
+    publish(socket, topic, payload, options) {
+        const qos = options?.qos ?? 0;
+        const topicBuffer = Buffer.from(topic);
+        const packetID = qos > 0 ? Buffer.from([0x12, 0x34]) : Buffer.alloc(0);
+        const body = Buffer.concat([Buffer.from([0, topicBuffer.length]), topicBuffer, packetID, Buffer.from(payload)]);
+        this.send(socket, PUBLISH, (qos << 1) | (options?.retain ? 0x01 : 0), body);
+    }
+
+    dropConnections() {
+        for (const socket of this.sockets.splice(0))
+            socket.destroy();
+    }
+
+    async close() {
+        this.dropConnections();
+        this.server.close();
+        await once(this.server, 'close');
+    }
+}
+
+/**
+ * @function
+ * @param {object} packet - a PUBLISH packet received by the broker from an MQTT 3.1.1 client
+ * @returns {object} - the topic, payload, QoS and retain flag of the publish
+ */
+export function parsePublish(packet) {
+    const qos = (packet.flags >> 1) & 0x03;
+    const topicLength = packet.body.readUInt16BE(0);
+    return {
+        topic: packet.body.subarray(2, 2 + topicLength).toString(),
+        payload: packet.body.subarray(2 + topicLength + (qos > 0 ? 2 : 0)),
+        qos,
+        retain: (packet.flags & 0x01) !== 0
+    };
+}
@@ -0,0 +1,106 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import SSGS, { Client, MemoryKeyStore } from '../index.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY, sleep } from './gateway.js';
+
+const PORT = 18461;
+
+async function connectedClient(t, port, gatewayOptions, serverOptions) {
+    const server = new SSGS(port, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }]),
+        ...serverOptions
+    });
+    const gateway = new Gateway(port, gatewayOptions);
+    t.after(async () => {
+        gateway.close();
+        await server.close(0);
+    });
+
+    const connected = once(server, 'connection');
+    await gateway.connect();
+    const [client] = await connected;
+    return { server, gateway, client };
+}
+
+test('RTT samples update SRTT, RTTVAR and the RTO as in RFC 6298', () => {
+    const client = new Client(null, GATEWAY_UID, { address: '127.0.0.1', port: 1818, transport: null }, GATEWAY_KEY);
+    assert.equal(client.retransmissionTimeout, 2000);
+
+    client.sampleRTT(100); // the first sample sets SRTT = R and RTTVAR = R / 2, the RTO is raised to the 500 ms minimum
+    assert.deepEqual([client.srtt, client.rttvar, client.retransmissionTimeout], [100, 50, 500]);
+
+    client.sampleRTT(1000); // RTTVAR = 3/4 * 50 + 1/4 * 900, SRTT = 7/8 * 100 + 1/8 * 1000
+    assert.deepEqual([client.srtt, client.rttvar, client.retransmissionTimeout], [212.5, 262.5, 212.5 + 4 * 262.5]);
+
+    client.sampleRTT(1000);
+    assert.deepEqual([client.srtt, client.rttvar, client.retransmissionTimeout], [310.9375, 393.75, 310.9375 + 4 * 393.75]);
+
+    client.resetRTT();
+    assert.deepEqual([client.srtt, client.rttvar, client.retransmissionTimeout], [null, null, 2000]);
+
+    client.sampleRTT(20000); // capped at the 10 s maximum
+    assert.equal(client.retransmissionTimeout, 10000);
+});
+
+test('retransmissions back off and are not sampled (Karn\'s rule), unambiguous acknowledgements are', async (t) => {
+    const { gateway, client } = await connectedClient(t, PORT, { autoAck: false });
+
+    const sent = client.send(Buffer.from([0x02, 0x41]));
+    const lost = await gateway.next((packet) => packet.packetType === 20);
+    const retransmitted = await gateway.next((packet) => packet.packetType === 20 && packet.packetID === lost.packetID);
+    assert.equal(client.sentMessages[0].retransmissionCount, 1);
+    assert.equal(client.sentMessages[0].timeout, 4000);
+
+    await gateway.send({ packetType: 10, packetID: retransmitted.packetID });
+    assert.equal(await sent, true);
+    assert.equal(client.srtt, null);
+    assert.equal(client.retransmissionTimeout, 2000);
+
+    const second = client.send(Buffer.from([0x02, 0x42]));
+    const message = await gateway.next((packet) => packet.packetType === 20);
+    await gateway.send({ packetType: 10, packetID: message.packetID });
+    assert.equal(await second, true);
+    assert.notEqual(client.srtt, null);
+    assert.equal(client.retransmissionTimeout, 500);
+});
+
+test('at most sendWindow messages are in flight, a full queue resolves false and drain follows the last acknowledgement', async (t) => {
+    const { gateway, client } = await connectedClient(t, PORT + 1, { autoAck: false }, { sendWindow: 2, sendQueueMaxLen: 3 });
+
+    let drained = 0;
+    client.on('drain', () => drained++);
+
+    const sends = [1, 2, 3, 4, 5].map((i) => client.send(Buffer.from([0x02, i])));
+    assert.equal(await client.send(Buffer.from([0x02, 6])), false); // two in flight and three queued
+    assert.equal(client.pendingCount, 5);
+
+    await sleep(100);
+    const inFlight = () => gateway.received.filter((packet) => packet.packetType === 20);
+    assert.deepEqual(inFlight().map((packet) => packet.payload[1]), [1, 2]);
+    assert.equal(client.sentMessages.length, 2);
+
+    // each acknowledgement lets one queued message through, in order
+    for (let acked = 0; acked < 5; acked++) {
+        while (inFlight().length <= acked)
+            await gateway.next((packet) => packet.packetType === 20);
+
+        assert.ok(client.sentMessages.length <= 2);
+        await gateway.send({ packetType: 10, packetID: inFlight()[acked].packetID });
+    }
+
+    assert.deepEqual(await Promise.all(sends), [true, true, true, true, true]);
+    assert.deepEqual(inFlight().map((packet) => packet.payload[1]), [1, 2, 3, 4, 5]);
+    await sleep(20);
+    assert.equal(drained, 1);
+    assert.equal(client.pendingCount, 0);
+});
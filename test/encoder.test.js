@@ -0,0 +1,53 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import SSGS, { SSEncoder } from '../index.js';
+
+test('the commands without data, terminal input and radio packets are prefixed with their subtype', () => {
+    assert.deepEqual(SSEncoder.restart(), Buffer.from([0x03]));
+    assert.deepEqual(SSEncoder.resetRadioParams(), Buffer.from([0x06]));
+    assert.deepEqual(SSEncoder.terminalInput('ls\n'), Buffer.from([0x02, 0x6c, 0x73, 0x0a]));
+    assert.deepEqual(SSEncoder.sendPacket(Buffer.from([0xaa, 0xbb])), Buffer.from([0x05, 0xaa, 0xbb]));
+
+    assert.equal(SSEncoder.terminalInput('x'.repeat(254)).length, 255);
+    assert.throws(() => SSEncoder.terminalInput('x'.repeat(255)), RangeError);
+    assert.throws(() => SSEncoder.sendPacket(Buffer.alloc(0)), TypeError);
+});
+
+test('radio params are sent as the opaque Buffer they are given', () => {
+    const params = Buffer.from([0x01, 0x02, 0x03]);
+    assert.deepEqual(SSEncoder.setRadioParams(params), Buffer.from([0x04, 0x01, 0x02, 0x03]));
+    assert.deepEqual(SSEncoder.encode(0x04, params), SSEncoder.setRadioParams(params));
+
+    assert.throws(() => SSEncoder.setRadioParams({ frequency: 868100000 }), TypeError);
+    assert.throws(() => SSEncoder.setRadioParams(Buffer.alloc(0)), TypeError);
+    assert.throws(() => SSEncoder.setRadioParams(Buffer.alloc(255)), RangeError);
+});
+
+test('WFU packets follow the documented big endian layout', () => {
+    const payload = SSEncoder.wfuPacket({ version: 0x0102, totalBlocks: 0x0304, blocks: [{ blockNum: 0x0300, data: Buffer.from([0x11, 0x22]) }] });
+
+    assert.equal(payload.length, 6 + 34);
+    assert.deepEqual(payload.subarray(0, 8), Buffer.from([0x07, 0x01, 0x02, 0x03, 0x04, 0x01, 0x03, 0x00]));
+    assert.deepEqual(payload.subarray(8), Buffer.concat([Buffer.from([0x11, 0x22]), Buffer.alloc(30, 0xff)]));
+
+    assert.throws(() => SSEncoder.wfuPacket({ version: 1, totalBlocks: 2, blocks: [{ blockNum: 2, data: Buffer.alloc(32) }] }), RangeError);
+    assert.throws(() => SSEncoder.wfuPacket({ version: 1, totalBlocks: 1, blocks: [{ blockNum: 0, data: Buffer.alloc(33) }] }), RangeError);
+    assert.throws(() => SSEncoder.wfuPacket({ version: 1, totalBlocks: 9, blocks: Array.from({ length: 8 }, (_, i) => ({ blockNum: i, data: Buffer.alloc(32) })) }), RangeError);
+});
+
+test('encode() dispatches to the built-in and registered encoders', () => {
+    const counter = SSGS.registerMessageType(0x60, { name: 'COUNTER', encode: (value) => Buffer.from([value]) });
+
+    assert.deepEqual(SSEncoder.encode(0x03), SSEncoder.restart());
+    assert.deepEqual(SSEncoder.encode(counter.subtype, 9), Buffer.from([0x60, 0x09]));
+    assert.throws(() => SSEncoder.encode(0x61), RangeError);
+});
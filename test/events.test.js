@@ -0,0 +1,128 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore, decodeWakeupScanV1 } from '../index.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY, sleep, ssrbUpdate } from './gateway.js';
+
+const PORT = 18451;
+const SEAL_UID = Buffer.from('0a0b0c0d', 'hex');
+const WAKEUP_SCAN = 0x04;
+
+function startServer(t, port, onconnection) {
+    const server = new SSGS(port, onconnection, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }])
+    });
+    const gateway = new Gateway(port);
+    t.after(async () => {
+        gateway.close();
+        await server.close(0);
+    });
+
+    return { server, gateway };
+}
+
+// a message round trip gives the client an RTT sample, which brings its RTO and so the reconnect delay down to 500 ms
+async function sampleRTT(client) {
+    assert.equal(await client.send(Buffer.from([0x02, 0x41])), true); // acknowledged by the simulated gateway
+}
+
+test('events reach both the listeners and the on* properties', async (t) => {
+    const calls = [];
+    const { server, gateway } = startServer(t, PORT, (client) => calls.push('onconnection'));
+    server.on('connection', () => calls.push('connection'));
+    server.on('update', (update) => calls.push('server update ' + update.updateID));
+
+    const connected = once(server, 'connection');
+    await gateway.connect();
+    const [client] = await connected;
+
+    client.onmessage = () => calls.push('onmessage');
+    client.on('message', () => calls.push('message'));
+    client.onupdate = (update) => calls.push('onupdate ' + update.updateID);
+    client.on('update', (update) => calls.push('update ' + update.updateID));
+    client.ondisconnect = () => calls.push('ondisconnect');
+    server.on('disconnect', (disconnected) => calls.push(disconnected === client ? 'disconnect' : 'disconnect of another client'));
+
+    await gateway.status(ssrbUpdate(SEAL_UID, 7));
+    await gateway.next((packet) => packet.packetType === 10);
+    await sleep(20);
+
+    server.removeClient(client);
+
+    assert.deepEqual(calls, ['onconnection', 'connection', 'onmessage', 'message', 'onupdate 7', 'update 7', 'server update 7', 'ondisconnect', 'disconnect']);
+});
+
+test('reconnect is emitted after a repeated CONN and a throwing listener is reported as an error', async (t) => {
+    const { server, gateway } = startServer(t, PORT + 1);
+    const connected = once(server, 'connection');
+    await gateway.connect();
+    const [client] = await connected;
+    await sampleRTT(client);
+
+    let onreconnect = 0;
+    client.onreconnect = () => onreconnect++;
+    client.on('reconnect', () => {
+        throw new Error('listener failed');
+    });
+
+    const reported = once(server, 'error');
+    await gateway.connect();
+    assert.equal(client.reconnectCount, 1);
+
+    const [err] = await reported;
+    assert.equal(err.message, 'listener failed');
+    assert.equal(onreconnect, 1);
+});
+
+test('a pending reconnect event is cancelled when the client is removed', async (t) => {
+    const { server, gateway } = startServer(t, PORT + 2);
+    const connected = once(server, 'connection');
+    await gateway.connect();
+    const [client] = await connected;
+    await sampleRTT(client);
+
+    let reconnects = 0;
+    client.on('reconnect', () => reconnects++);
+    server.on('reconnect', () => reconnects++);
+
+    await gateway.connect();
+    await server.close(0);
+    await sleep(client.retransmissionTimeout + 100);
+
+    assert.equal(reconnects, 0);
+    assert.equal(client._reconnectTimers.size, 0);
+});
+
+test('wakeupscan is only emitted once a WAKEUP_SCAN decoder is registered', async (t) => {
+    const { server, gateway } = startServer(t, PORT + 3);
+    const connected = once(server, 'connection');
+    await gateway.connect();
+    const [client] = await connected;
+
+    const scans = [], messages = [];
+    client.on('wakeupscan', (scan) => scans.push(scan));
+    client.on('message', (message) => messages.push(message));
+    const scan = Buffer.from([WAKEUP_SCAN, 1, 1, 0x0a, 0x0b, 0x0c, 0x0d, 0xb0, 0x05]);
+
+    await gateway.status(scan);
+    await gateway.next((packet) => packet.packetType === 10);
+    await sleep(20);
+    assert.equal(scans.length, 0);
+    assert.deepEqual(messages[0].data, scan.subarray(1));
+
+    SSGS.registerMessageType(WAKEUP_SCAN, { name: 'WAKEUP_SCAN', decode: decodeWakeupScanV1 });
+    await gateway.status(scan);
+    await gateway.next((packet) => packet.packetType === 10);
+    await sleep(20);
+    assert.equal(scans.length, 1);
+    assert.deepEqual(scans[0].seals.map((seal) => [seal.sensorSealUID.toString('hex'), seal.rssi, seal.snr]), [['0a0b0c0d', -80, 5]]);
+});
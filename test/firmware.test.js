@@ -0,0 +1,166 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { EventEmitter, once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore } from '../index.js';
+import { FirmwareUpdate, rolloutFirmware } from '../firmware.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY, sleep } from './gateway.js';
+
+const PORT = 18471;
+const WFU_PACKET = 0x07;
+
+async function connectedClient(t, port) {
+    const server = new SSGS(port, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }])
+    });
+    const gateway = new Gateway(port, { autoAck: false });
+    t.after(async () => {
+        gateway.close();
+        await server.close(0);
+    });
+
+    const connected = once(server, 'connection');
+    await gateway.connect();
+    const [client] = await connected;
+    return { gateway, client };
+}
+
+// the block numbers carried by a WFU_PACKET payload
+function blockNums(payload) {
+    return Array.from({ length: payload[5] }, (_, i) => payload.readUInt16BE(6 + i * 34));
+}
+
+/**
+ * Stands in for a Client where the gateway's answers have to be scripted, deliver(payload, attempt) decides each send()
+ */
+class FakeClient extends EventEmitter {
+    constructor(deliver = () => true) {
+        super();
+        this.connected = true;
+        this.reconnectCount = 0;
+        this.deliver = deliver;
+        this.sent = [];
+    }
+
+    async send(payload) {
+        this.sent.push(payload);
+        await sleep(5);
+        return this.deliver(payload, this.sent.length);
+    }
+
+    updateFirmware(image, version, options) {
+        return new FirmwareUpdate(this, image, version, options);
+    }
+}
+
+test('the image is split into 32 byte blocks, packed into WFU_PACKET messages and padded with 0xff', async (t) => {
+    const { gateway, client } = await connectedClient(t, PORT);
+    gateway.autoAck = true;
+
+    const image = Buffer.from(Array.from({ length: 100 }, (_, i) => i));
+    const update = client.updateFirmware(image, 0x0102, { blocksPerMessage: 3, inFlight: 1 });
+    const progress = [];
+    update.on('progress', (p) => progress.push(p.sentBlocks + '/' + p.totalBlocks));
+
+    assert.equal(await update.finished, true);
+    assert.equal(update.state, 'completed');
+    assert.deepEqual(progress, ['3/4', '4/4']);
+
+    const messages = gateway.received.filter((packet) => packet.packetType === 20).map((packet) => packet.payload);
+    assert.deepEqual(messages.map((payload) => [payload[0], payload.readUInt16BE(1), payload.readUInt16BE(3)]), [[WFU_PACKET, 0x0102, 4], [WFU_PACKET, 0x0102, 4]]);
+    assert.deepEqual(messages.map(blockNums), [[0, 1, 2], [3]]);
+    assert.deepEqual(messages[0].subarray(6 + 34 + 2, 6 + 34 + 2 + 32), image.subarray(32, 64));
+    assert.deepEqual(messages[1].subarray(8, 8 + 32), Buffer.concat([image.subarray(96), Buffer.alloc(28, 0xff)]));
+
+    assert.throws(() => client.updateFirmware(Buffer.alloc(0), 1), TypeError);
+    assert.throws(() => client.updateFirmware(image, 0x10000), RangeError);
+    assert.throws(() => client.updateFirmware(image, 1, { blocksPerMessage: 8 }), RangeError);
+});
+
+test('a paused update sends nothing more until it is resumed', async (t) => {
+    const { gateway, client } = await connectedClient(t, PORT + 1);
+
+    const update = client.updateFirmware(Buffer.alloc(96, 0x55), 1, { blocksPerMessage: 1, inFlight: 1 });
+    const first = await gateway.next((packet) => packet.packetType === 20);
+    update.pause();
+    assert.equal(update.state, 'paused');
+    await gateway.send({ packetType: 10, packetID: first.packetID });
+
+    await sleep(200);
+    assert.equal(gateway.received.filter((packet) => packet.packetType === 20).length, 1);
+    assert.equal(update.sentBlocks, 1);
+
+    gateway.autoAck = true;
+    update.resume();
+    assert.equal(await update.finished, true);
+    assert.deepEqual(gateway.received.filter((packet) => packet.packetType === 20).map((packet) => blockNums(packet.payload)[0]), [0, 1, 2]);
+});
+
+test('the update starts again from the first block when the gateway reconnects', async (t) => {
+    const { gateway, client } = await connectedClient(t, PORT + 2);
+
+    const update = client.updateFirmware(Buffer.alloc(96, 0x55), 1, { blocksPerMessage: 1, inFlight: 1 });
+    let restarted = 0;
+    update.on('restarted', () => restarted++);
+
+    const first = await gateway.next((packet) => packet.packetType === 20);
+    await gateway.send({ packetType: 10, packetID: first.packetID });
+    await gateway.next((packet) => packet.packetType === 20); // block 1 is in flight when the gateway restarts
+
+    gateway.autoAck = true;
+    await gateway.connect();
+    assert.equal(await update.finished, true);
+
+    assert.equal(restarted, 1);
+    assert.deepEqual(gateway.received.filter((packet) => packet.packetType === 20).map((packet) => blockNums(packet.payload)[0]), [0, 1, 0, 1, 2]);
+});
+
+test('undelivered messages are retried, and the update fails once the retries are used up or the gateway disconnects', async () => {
+    const flaky = new FakeClient((payload, attempt) => attempt > 2); // the first two attempts are lost
+    assert.equal(await flaky.updateFirmware(Buffer.alloc(32), 1, { retries: 2 }).finished, true);
+    assert.equal(flaky.sent.length, 3);
+
+    const failing = new FakeClient(() => false);
+    const update = failing.updateFirmware(Buffer.alloc(32), 1, { retries: 1 });
+    assert.equal(await update.finished, false);
+    assert.equal(update.state, 'failed');
+    assert.match(update.error.message, /not acknowledged after 2 attempts/);
+    assert.equal(failing.sent.length, 2);
+
+    const disconnecting = new FakeClient();
+    const cancelled = disconnecting.updateFirmware(Buffer.alloc(320), 1, { blocksPerMessage: 1, inFlight: 1 });
+    disconnecting.emit('disconnect');
+    assert.equal(await cancelled.finished, false);
+    assert.match(cancelled.error.message, /disconnected/);
+    assert.equal(disconnecting.listenerCount('disconnect'), 0);
+});
+
+test('a rollout updates at most concurrency gateways at a time and reports each outcome', async () => {
+    const clients = [new FakeClient(), new FakeClient(() => false), new FakeClient(), new FakeClient(), new FakeClient()];
+    clients[3].connected = false;
+
+    let running = 0, maxRunning = 0;
+    const results = await rolloutFirmware(clients, Buffer.alloc(320), 1, {
+        concurrency: 2,
+        retries: 0,
+        blocksPerMessage: 1,
+        onstart: (update) => {
+            maxRunning = Math.max(maxRunning, ++running);
+            update.finished.then(() => running--);
+        }
+    });
+
+    assert.equal(maxRunning, 2);
+    assert.deepEqual(results.map((result) => result.success), [true, false, true, false, true]);
+    assert.equal(results[1].client, clients[1]);
+    assert.match(results[3].error.message, /not connected/);
+    assert.equal(clients[3].sent.length, 0);
+});
@@ -0,0 +1,188 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+// Simulated gateways used by the tests, they speak SSGSCP to a server on 127.0.0.1 or another loopback address
+
+import * as dgram from 'node:dgram';
+import * as net from 'node:net';
+import * as crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { SSGSCP } from '../ssgscp/ssgscp.js';
+
+export const GATEWAY_UID = Buffer.from('4dec5dfa', 'hex');
+export const GATEWAY_KEY = Buffer.from('1a02d72e8ff3787f3119e64dec5dfa7bb342a366e51828df97aeefa7674d62aa', 'hex');
+
+/**
+ * @function
+ * @param {number} ms - how long to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @function
+ * @param {Buffer} sensorSealUID - the 4 byte seal UID
+ * @param {number} updateID - the update ID of the seal
+ * @returns {Buffer} - an SSRB_UPDATE message in the version 2 layout
+ */
+export function ssrbUpdate(sensorSealUID, updateID) {
+    const message = Buffer.alloc(1 + 4 + 1 + 4 + 4 + 16);
+    message[0] = 0x53;
+    message.write('SSRB', 1);
+    message[5] = 2;
+    sensorSealUID.copy(message, 6);
+    message.writeUInt32LE(updateID, 10);
+    message.writeFloatLE(21.5, 14);
+    message.writeFloatLE(1500, 18);
+    message.writeUInt32LE(3, 22);
+    message.writeUInt32LE(3300, 26);
+    return message;
+}
+
+/**
+ * A gateway speaking SSGSCP v1
+ * Packets from the server are parsed into received, MSGCONF is acknowledged with RCPTOK unless autoAck is false
+ */
+export class Gateway {
+    constructor(port, options) {
+        this.port = port;
+        this.uid = options?.uid ?? GATEWAY_UID;
+        this.key = options?.key ?? GATEWAY_KEY;
+        this.autoAck = options?.autoAck ?? true;
+        this.address = options?.address ?? '127.0.0.1'; // the server address, an IPv6 address sends from an IPv6 socket
+        this.packetID = 0;
+        this.received = [];
+        this.waiters = [];
+        this.socket = dgram.createSocket(net.isIPv6(this.address) ? 'udp6' : 'udp4');
+        this.socket.on('message', (datagram) => this.receive(datagram).catch(() => { }));
+    }
+
+    async receive(datagram) {
+        let packet = await this.parse(datagram);
+        if (!packet?.authSuccess) // CONNFAIL for an unknown gateway is packed with a zero key
+            packet = await SSGSCP.parseSSGSCP(datagram, Buffer.alloc(32));
+
+        this.received.push(packet);
+        if (packet.packetType === 20 && this.autoAck)
+            await this.send({ packetType: 10, packetID: packet.packetID });
+
+        for (const waiter of this.waiters.splice(0))
+            waiter(packet);
+    }
+
+    parse(datagram) {
+        return SSGSCP.parseSSGSCP(datagram, this.key);
+    }
+
+    pack(fields) {
+        return SSGSCP.packSSGSCP({ gatewayUID: this.uid, ...fields }, this.key);
+    }
+
+    /**
+     * @param {function} predicate - which packet to wait for
+     * @param {number} timeoutMs - rejects if no such packet arrives in time
+     * @returns {Promise<object>} - the next parsed packet from the server that matches
+     */
+    next(predicate = () => true, timeoutMs = 3000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('timed out waiting for a packet')), timeoutMs);
+            const waiter = (packet) => {
+                if (!predicate(packet))
+                    return this.waiters.push(waiter);
+
+                clearTimeout(timer);
+                resolve(packet);
+            };
+            this.waiters.push(waiter);
+        });
+    }
+
+    async send(fields) {
+        const packet = await this.pack(fields);
+        this.sendRaw(packet);
+        return packet;
+    }
+
+    sendRaw(packet) {
+        this.socket.send(packet, this.port, this.address);
+    }
+
+    /**
+     * @returns {Promise<object>} - the CONNACPT or CONNFAIL the server answered with
+     */
+    async connect() {
+        const answer = this.next((packet) => packet.packetType === 2 || packet.packetType === 3);
+        this.connPacket = await this.send({ packetType: 1, packetID: 0 });
+        return answer;
+    }
+
+    status(payload, packetID = ++this.packetID) {
+        return this.send({ packetType: 21, packetID, payload });
+    }
+
+    close() {
+        this.socket.close();
+    }
+}
+
+/**
+ * A gateway speaking SSGSCP v2, packets after the handshake use the session set up by connect()
+ * Packets that are replays within the session are received as { replay: true }
+ */
+export class GatewayV2 extends Gateway {
+    constructor(port, options) {
+        super(port, options);
+        this.session = null;
+        this.nonce = null;
+    }
+
+    async parse(datagram) {
+        if (!SSGSCP.isHandshake(datagram)) {
+            const packet = this.session ? await SSGSCP.parseSSGSCPv2(datagram, this.session) : null;
+            return packet?.authSuccess && !this.session.replayWindow.accept(packet.sequence) ? { replay: true } : packet;
+        }
+
+        let packet = await SSGSCP.parseSSGSCPv2Handshake(datagram, this.key, 'gateway', this.nonce ?? Buffer.alloc(0));
+        if (!packet?.authSuccess) // CONNFAIL is packed with a zero key and does not authenticate the gateway nonce
+            packet = await SSGSCP.parseSSGSCPv2Handshake(datagram, Buffer.alloc(32), 'gateway');
+
+        // a repeated CONNACPT answers a retransmitted CONN, the session it carries is already open
+        if (packet?.authSuccess && packet.packetType === 2 && !this.session?.serverNonce.equals(packet.payload))
+            this.session = await SSGSCP.openSession(this.key, this.nonce, packet.payload, 'gateway');
+
+        return packet;
+    }
+
+    async receive(datagram) {
+        const packet = await this.parse(datagram);
+        this.received.push(packet ?? { authSuccess: false });
+        if (packet?.packetType === 20 && this.autoAck)
+            await this.send({ packetType: 10, packetID: packet.packetID });
+
+        for (const waiter of this.waiters.splice(0))
+            waiter(packet ?? { authSuccess: false });
+    }
+
+    pack(fields) {
+        return SSGSCP.packSSGSCPv2({ gatewayUID: this.uid, ...fields }, this.session);
+    }
+
+    /**
+     * @param {Buffer} nonce - the gateway nonce to send in CONN, default is 16 random bytes
+     * @returns {Promise<object>} - the CONNACPT or CONNFAIL the server answered with
+     */
+    async connect(nonce = crypto.randomBytes(16)) {
+        this.nonce = nonce;
+        const answer = this.next((packet) => packet.packetType === 2 || packet.packetType === 3);
+        this.connPacket = await SSGSCP.packSSGSCPv2Handshake({ gatewayUID: this.uid, packetType: 1, packetID: 0, payload: nonce }, this.key, 'gateway');
+        this.sendRaw(this.connPacket);
+        return answer;
+    }
+}
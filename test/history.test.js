@@ -0,0 +1,79 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs/promises';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { Buffer } from 'node:buffer';
+import { HistoryStore } from '../index.js';
+import { GATEWAY_UID } from './gateway.js';
+
+const SEAL_UID = Buffer.from('01020304', 'hex');
+
+function update(updateID, temperature) {
+    return { sensorSealUID: SEAL_UID, viaGatewayUID: GATEWAY_UID, updateID, ssrbVersion: 2, temperature, vibration: 3, voltage: 3300, rpm: null };
+}
+
+async function tempDirectory(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ssgs-history-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('updates are queried back by seal and time range, and downsampled', async (t) => {
+    const store = new HistoryStore({ directory: path.join(await tempDirectory(t), 'history') });
+    await store.ready;
+
+    await store.append(update(1, 20), 1000);
+    await store.append(update(2, 22), 1500);
+    await store.append(update(3, 30), 2500);
+    await store.append({ ...update(1, 5), sensorSealUID: Buffer.from('0a0b0c0d', 'hex') }, 1200);
+
+    const points = await store.query('01020304', { from: 1200, fields: ['temperature', 'rpm'] });
+    assert.deepEqual(points, [
+        { timestamp: 1500, updateID: 2, gatewayUID: '4dec5dfa', temperature: 22, rpm: null },
+        { timestamp: 2500, updateID: 3, gatewayUID: '4dec5dfa', temperature: 30, rpm: null }
+    ]);
+
+    const buckets = await store.query(SEAL_UID, { fields: ['temperature'], downsample: 1000 });
+    assert.deepEqual(buckets, [{ timestamp: 1000, count: 2, temperature: 21 }, { timestamp: 2000, count: 1, temperature: 30 }]);
+
+    await store.close();
+    await assert.rejects(store.append(update(4, 1), 3000), /closed/);
+});
+
+test('files are rotated by size and the oldest are deleted past the total size limit', async (t) => {
+    const directory = await tempDirectory(t);
+    const store = new HistoryStore({ directory, maxFileBytes: 200, maxTotalBytes: 600 });
+
+    for (let i = 0; i < 20; i++)
+        await store.append(update(i, i), 1000 + i);
+
+    await store.close();
+
+    const files = (await fs.readdir(directory)).filter((name) => name.endsWith('.ndjson'));
+    assert.ok(files.length > 1 && files.length < 20, files.join());
+    assert.ok(!files.includes('updates-1000.ndjson'));
+
+    const reopened = new HistoryStore({ directory });
+    const points = await reopened.query(SEAL_UID);
+    assert.equal(points[points.length - 1].updateID, 19);
+    assert.ok(points.length < 20);
+    await reopened.close();
+});
+
+test('a directory that cannot be created rejects ready and later operations instead of crashing', async () => {
+    const store = new HistoryStore({ directory: '/dev/null/history' });
+
+    await assert.rejects(store.ready, { code: 'ENOTDIR' });
+    await assert.rejects(store.append(update(1, 20)), { code: 'ENOTDIR' });
+    await assert.rejects(store.query(SEAL_UID), { code: 'ENOTDIR' });
+    await store.close();
+});
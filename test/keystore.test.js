@@ -0,0 +1,140 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs/promises';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { Buffer } from 'node:buffer';
+import { JSONFileKeyStore, EncryptedFileKeyStore } from '../index.js';
+import { GATEWAY_UID, GATEWAY_KEY } from './gateway.js';
+
+const OTHER_UID = Buffer.from('11223344', 'hex');
+const OTHER_KEY = Buffer.alloc(32, 7);
+
+async function tempDirectory(t) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ssgs-keystore-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('JSONFileKeyStore keeps top level fields it does not manage when it writes the file', async (t) => {
+    const file = path.join(await tempDirectory(t), 'authorized.json');
+    await fs.writeFile(file, JSON.stringify({
+        key: '00 11 22',
+        comment: 'site A',
+        authorized_gateways: [{ description: 'example', uid: '4d ec 5d fa', key: GATEWAY_KEY.toString('hex') }]
+    }));
+
+    const store = new JSONFileKeyStore(file);
+    await store.reload();
+    await store.add(OTHER_UID, OTHER_KEY);
+    assert.ok(await store.revoke(GATEWAY_UID));
+
+    const written = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.equal(written.key, '00 11 22');
+    assert.equal(written.comment, 'site A');
+    assert.deepEqual(written.authorized_gateways, [{ uid: '11 22 33 44', key: Array(32).fill('07').join(' ') }]);
+});
+
+test('EncryptedFileKeyStore round-trips keys and descriptions through the encrypted file', async (t) => {
+    const file = path.join(await tempDirectory(t), 'keys.json');
+
+    const store = new EncryptedFileKeyStore(file, 'correct horse');
+    await store.reload();
+    await store.add(GATEWAY_UID, GATEWAY_KEY, 'north pump');
+    await store.add(OTHER_UID, OTHER_KEY);
+
+    const written = await fs.readFile(file, 'utf8');
+    assert.ok(!written.includes(GATEWAY_KEY.toString('hex')));
+    assert.match(JSON.parse(written).key, /^scrypt:/);
+
+    const reloaded = new EncryptedFileKeyStore(file, 'correct horse');
+    await reloaded.reload();
+    assert.deepEqual(await reloaded.lookup(GATEWAY_UID), GATEWAY_KEY);
+    assert.deepEqual(await reloaded.lookup(OTHER_UID), OTHER_KEY);
+    assert.equal((await reloaded.list()).find((entry) => entry.gatewayUID.equals(GATEWAY_UID)).description, 'north pump');
+
+    await assert.rejects(new EncryptedFileKeyStore(file, 'wrong').reload(), /wrong master passphrase/);
+});
+
+test('EncryptedFileKeyStore rejects keys moved to another gateway', async (t) => {
+    const file = path.join(await tempDirectory(t), 'keys.json');
+
+    const store = new EncryptedFileKeyStore(file, 'correct horse');
+    await store.reload();
+    await store.add(GATEWAY_UID, GATEWAY_KEY);
+    await store.add(OTHER_UID, OTHER_KEY);
+
+    const configFile = JSON.parse(await fs.readFile(file, 'utf8'));
+    [configFile.authorized_gateways[0].key, configFile.authorized_gateways[1].key] = [configFile.authorized_gateways[1].key, configFile.authorized_gateways[0].key];
+    await fs.writeFile(file, JSON.stringify(configFile));
+
+    await assert.rejects(new EncryptedFileKeyStore(file, 'correct horse').reload(), /could not decrypt key/);
+});
+
+test('encryptFile() converts a plaintext file and keeps its other fields', async (t) => {
+    const directory = await tempDirectory(t);
+    const plaintextFile = path.join(directory, 'authorized.json');
+    const encryptedFile = path.join(directory, 'keys.json');
+    await fs.writeFile(plaintextFile, JSON.stringify({
+        comment: 'site A',
+        authorized_gateways: [{ uid: '4d ec 5d fa', key: GATEWAY_KEY.toString('hex') }]
+    }));
+
+    await EncryptedFileKeyStore.encryptFile(plaintextFile, encryptedFile, 'correct horse');
+
+    const store = new EncryptedFileKeyStore(encryptedFile, 'correct horse');
+    await store.reload();
+    assert.deepEqual(await store.lookup(GATEWAY_UID), GATEWAY_KEY);
+    assert.equal(JSON.parse(await fs.readFile(encryptedFile, 'utf8')).comment, 'site A');
+
+    await assert.rejects(new EncryptedFileKeyStore(plaintextFile, 'correct horse').reload(), /not encrypted/);
+});
+
+test('min_protocol is kept across add() and written by both file stores', async (t) => {
+    const directory = await tempDirectory(t);
+    const file = path.join(directory, 'authorized.json');
+    await fs.writeFile(file, JSON.stringify({ authorized_gateways: [{ uid: '4d ec 5d fa', key: GATEWAY_KEY.toString('hex'), min_protocol: 2 }] }));
+
+    const store = new JSONFileKeyStore(file);
+    await store.reload();
+    await store.add(GATEWAY_UID, OTHER_KEY); // a new key does not lift the pin
+    assert.equal(await store.setMinProtocol(OTHER_UID, 2), false);
+    assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).authorized_gateways[0].min_protocol, 2);
+
+    const encryptedFile = path.join(directory, 'encrypted.json');
+    await EncryptedFileKeyStore.encryptFile(file, encryptedFile, 'passphrase');
+    const encrypted = new EncryptedFileKeyStore(encryptedFile, 'passphrase');
+    await encrypted.reload();
+    assert.equal((await encrypted.list())[0].minProtocol, 2);
+    assert.ok(await encrypted.setMinProtocol(GATEWAY_UID, 1));
+
+    const reloaded = new EncryptedFileKeyStore(encryptedFile, 'passphrase');
+    await reloaded.reload();
+    assert.equal((await reloaded.list())[0].minProtocol, 1);
+
+    await fs.writeFile(file, JSON.stringify({ authorized_gateways: [{ uid: '4d ec 5d fa', key: GATEWAY_KEY.toString('hex'), min_protocol: 3 }] }));
+    await assert.rejects(store.reload(), /min_protocol must be 1 or 2/);
+});
+
+test('concurrent writes are applied one at a time and the file holds the last state', async (t) => {
+    const file = path.join(await tempDirectory(t), 'authorized.json');
+    const store = new JSONFileKeyStore(file);
+    await store.reload();
+
+    const uids = Array.from({ length: 20 }, (_, i) => Buffer.from([0x10, 0, 0, i]));
+    await Promise.all(uids.map((uid) => store.add(uid, OTHER_KEY)));
+    await Promise.all(uids.map((uid, i) => store.setMinProtocol(uid, i % 2 ? 2 : 1)));
+
+    const written = JSON.parse(await fs.readFile(file, 'utf8')).authorized_gateways;
+    assert.equal(written.length, 20);
+    assert.deepEqual(written.map((gateway) => gateway.min_protocol), uids.map((uid, i) => i % 2 ? 2 : 1));
+    assert.deepEqual(await fs.readdir(path.dirname(file)), ['authorized.json']);
+});
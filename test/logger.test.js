@@ -0,0 +1,61 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { Buffer } from 'node:buffer';
+import SSGS, { SSGSLogger, JSONFileKeyStore } from '../index.js';
+
+// a pino style sink that keeps every record
+function memorySink() {
+    const records = [];
+    const sink = {};
+    for (const level of ['trace', 'debug', 'info', 'warn', 'error'])
+        sink[level] = (fields, message) => records.push({ level, message, ...fields });
+
+    return { sink, records };
+}
+
+test('records below the level are dropped, Buffers are logged as hex and keys are redacted', () => {
+    const { sink, records } = memorySink();
+    const logger = new SSGSLogger(sink, { level: 'info', bindings: { server: 'a' } });
+
+    logger.debug('hidden');
+    logger.info('Received', { gatewayUID: Buffer.from('4dec5dfa', 'hex'), packetType: 21, key: Buffer.alloc(32), payload: Buffer.alloc(5) });
+    logger.child({ component: 'test' }).warn('Child');
+
+    assert.equal(records.length, 2);
+    assert.equal(records[0].gatewayUID, '4dec5dfa');
+    assert.equal(records[0].packetType, 'MSGSTATUS');
+    assert.notDeepEqual(records[0].key, Buffer.alloc(32));
+    assert.notDeepEqual(records[0].payload, Buffer.alloc(5));
+    assert.equal(records[0].server, 'a');
+    assert.deepEqual([records[1].server, records[1].component], ['a', 'test']);
+    assert.throws(() => new SSGSLogger(sink, { level: 'verbose' }), /unknown level/);
+});
+
+test('a missing config file is reported through the key store logger', async () => {
+    const { sink, records } = memorySink();
+    const store = new JSONFileKeyStore(path.join(os.tmpdir(), 'ssgs-missing-' + process.pid + '.json'), new SSGSLogger(sink));
+
+    await store.reload();
+
+    assert.equal(records.length, 1);
+    assert.equal(records[0].level, 'info');
+    assert.match(records[0].message, /Config file not found/);
+});
+
+test('the default key store of a server logs through the server logger', async () => {
+    const { sink, records } = memorySink();
+    const server = new SSGS(18431, null, path.join(os.tmpdir(), 'ssgs-missing-' + process.pid + '.json'), { logger: sink, logLevel: 'info' });
+    await server.close(0);
+
+    assert.ok(records.some((record) => /Config file not found/.test(record.message)));
+});
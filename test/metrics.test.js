@@ -0,0 +1,96 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore, Counter, Gauge, Histogram } from '../index.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY, sleep, ssrbUpdate } from './gateway.js';
+
+const PORT = 18511;
+const SEAL_UID = Buffer.from('0a0b0c0d', 'hex');
+
+// the sample lines of one metric in the rendered text
+function samples(text, name) {
+    return text.split('\n').filter((line) => line.startsWith(name + ' ') || line.startsWith(name + '{'));
+}
+
+test('counters render one sample per label set with the labels sorted and escaped', () => {
+    const counter = new Counter('test_total', 'A test counter.');
+    assert.deepEqual(counter.render(), ['test_total 0']);
+
+    counter.inc({ reason: 'a' });
+    counter.inc({ reason: 'a' }, 2);
+    counter.inc({ zone: 'x"y', path: 'C:\\seal\nlog' });
+    counter.inc({ path: 'C:\\seal\nlog', zone: 'x"y' }); // the same label set in another order
+
+    assert.deepEqual(counter.render(), ['test_total{reason="a"} 3', 'test_total{path="C:\\\\seal\\nlog",zone="x\\"y"} 2']);
+    assert.equal(counter.get({ reason: 'a' }), 3);
+    assert.equal(counter.get({ reason: 'b' }), 0);
+
+    const gauge = new Gauge('test_gauge', 'A test gauge.', () => [{ value: 1.5 }, { labels: { gateway: '4dec5dfa' }, value: Infinity }]);
+    assert.deepEqual(gauge.render(), ['test_gauge 1.5', 'test_gauge{gateway="4dec5dfa"} +Inf']);
+});
+
+test('histogram buckets are cumulative, inclusive of their upper bound and end with +Inf', () => {
+    const histogram = new Histogram('test_seconds', 'A test histogram.', [1, 2, 5]);
+    for (const value of [0.5, 1, 3, 10])
+        histogram.observe(value);
+
+    assert.deepEqual(histogram.render(), [
+        'test_seconds_bucket{le="1"} 2',
+        'test_seconds_bucket{le="2"} 2',
+        'test_seconds_bucket{le="5"} 3',
+        'test_seconds_bucket{le="+Inf"} 4',
+        'test_seconds_sum 14.5',
+        'test_seconds_count 4'
+    ]);
+});
+
+test('the server renders every metric with HELP and TYPE and counts rejected datagrams by reason', async (t) => {
+    const server = new SSGS(PORT, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }])
+    });
+    const gateway = new Gateway(PORT);
+    const stranger = new Gateway(PORT, { uid: Buffer.from('0badc0de', 'hex') });
+    t.after(async () => {
+        gateway.close();
+        stranger.close();
+        await server.close(0);
+    });
+
+    gateway.sendRaw(Buffer.from('not an SSGSCP packet'));
+    assert.equal((await stranger.connect()).packetType, 3);
+    await gateway.status(ssrbUpdate(SEAL_UID, 1)); // before connecting
+    await gateway.next((packet) => packet.packetType === 3);
+
+    assert.equal((await gateway.connect()).packetType, 2);
+    await gateway.status(ssrbUpdate(SEAL_UID, 2));
+    await gateway.next((packet) => packet.packetType === 10);
+    await sleep(20);
+
+    const text = server.metrics.render();
+    assert.ok(text.endsWith('\n'));
+    for (const [name, type] of [['ssgs_datagrams_rejected_total', 'counter'], ['ssgs_connected_gateways', 'gauge'], ['ssgs_rtt_seconds', 'histogram']]) {
+        assert.ok(text.includes('# HELP ' + name + ' '), name);
+        assert.ok(text.includes('# TYPE ' + name + ' ' + type + '\n'), name);
+    }
+
+    assert.deepEqual(samples(text, 'ssgs_datagrams_rejected_total'), [
+        'ssgs_datagrams_rejected_total{reason="bad-header"} 1',
+        'ssgs_datagrams_rejected_total{reason="unauthorized"} 1',
+        'ssgs_datagrams_rejected_total{reason="unknown-client"} 1'
+    ]);
+    assert.deepEqual(samples(text, 'ssgs_datagrams_received_total'), ['ssgs_datagrams_received_total 5']);
+    assert.deepEqual(samples(text, 'ssgs_packets_sent_total'), ['ssgs_packets_sent_total{type="CONNFAIL"} 2', 'ssgs_packets_sent_total{type="CONNACPT"} 1', 'ssgs_packets_sent_total{type="RCPTOK"} 1']);
+    assert.deepEqual(samples(text, 'ssgs_connected_gateways'), ['ssgs_connected_gateways 1']);
+    assert.deepEqual(samples(text, 'ssgs_connected_gateways_by_protocol'), ['ssgs_connected_gateways_by_protocol{version="1"} 1', 'ssgs_connected_gateways_by_protocol{version="2"} 0']);
+    assert.deepEqual(samples(text, 'ssgs_sensor_seal_updates_total'), ['ssgs_sensor_seal_updates_total{result="new"} 1']);
+    assert.deepEqual(samples(text, 'ssgs_sensor_seals'), ['ssgs_sensor_seals{status="online"} 1', 'ssgs_sensor_seals{status="stale"} 0', 'ssgs_sensor_seals{status="offline"} 0']);
+    assert.deepEqual(samples(text, 'ssgs_process_duration_seconds_count'), ['ssgs_process_duration_seconds_count 5']);
+});
@@ -0,0 +1,163 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import { MQTTClient } from '../index.js';
+import { FakeBroker, CONNECT, PUBLISH, PUBACK, PUBREC, PUBREL, PUBCOMP, SUBSCRIBE, SUBACK } from './broker.js';
+
+async function connectedClient(t, options) {
+    const broker = new FakeBroker();
+    const client = new MQTTClient(await broker.listen(), { reconnectPeriodMs: 50, ...options });
+    client.on('error', () => { });
+    t.after(async () => {
+        await client.end(0);
+        await broker.close();
+    });
+
+    client.connect();
+    await once(client, 'connect');
+    return { broker, client };
+}
+
+test('CONNECT carries the client ID and credentials, CONNACK connects the client', async (t) => {
+    const broker = new FakeBroker();
+    const client = new MQTTClient(await broker.listen(), { clientId: 'ssgs-test', username: 'user', password: 'secret', keepalive: 30 });
+    t.after(async () => {
+        await client.end(0);
+        await broker.close();
+    });
+
+    client.connect();
+    const connect = await broker.next(CONNECT);
+    await once(client, 'connect');
+
+    assert.equal(connect.body.subarray(2, 6).toString(), 'MQTT');
+    assert.equal(connect.body[6], 4); // MQTT 3.1.1
+    assert.equal(connect.body[7], 0x80 | 0x40 | 0x02); // user name, password, clean session
+    assert.equal(connect.body.readUInt16BE(8), 30);
+    assert.ok(connect.body.includes('ssgs-test') && connect.body.includes('secret'));
+    assert.ok(client.connected);
+});
+
+test('a QoS 1 publish resolves on PUBACK', async (t) => {
+    const { broker, client } = await connectedClient(t);
+
+    const published = client.publish('ssgs/a', 'hello', { qos: 1 });
+    const publish = await broker.next(PUBLISH);
+    assert.equal((publish.flags >> 1) & 0x03, 1);
+    assert.ok(publish.body.toString().endsWith('hello'));
+
+    broker.ack(publish, PUBACK);
+    await published;
+});
+
+test('a QoS 2 publish is released on PUBREC and resolves on PUBCOMP', async (t) => {
+    const { broker, client } = await connectedClient(t);
+
+    let resolved = false;
+    const published = client.publish('ssgs/a', 'hello', { qos: 2 }).then(() => resolved = true);
+    const publish = await broker.next(PUBLISH);
+    assert.equal((publish.flags >> 1) & 0x03, 2);
+
+    broker.ack(publish, PUBREC);
+    const release = await broker.next(PUBREL);
+    assert.equal(release.packetID, publish.packetID);
+    assert.equal(resolved, false);
+
+    broker.ack(release, PUBCOMP);
+    await published;
+});
+
+test('received QoS 1 messages are acknowledged and emitted', async (t) => {
+    const { broker, client } = await connectedClient(t);
+
+    const topic = Buffer.from('ssgs/downlink');
+    const body = Buffer.concat([Buffer.from([0, topic.length]), topic, Buffer.from([0x12, 0x34]), Buffer.from('payload')]);
+    broker.send(broker.sockets[0], PUBLISH, 1 << 1, body);
+
+    const [receivedTopic, payload, retained] = await once(client, 'message');
+    assert.equal(receivedTopic, 'ssgs/downlink');
+    assert.equal(payload.toString(), 'payload');
+    assert.equal(retained, false);
+    assert.deepEqual((await broker.next(PUBACK)).body, Buffer.from([0x12, 0x34]));
+
+    // a message the broker stored before the subscription carries the retain flag
+    broker.publish(broker.sockets[0], 'ssgs/status', 'online', { retain: true });
+    assert.deepEqual((await once(client, 'message')).map(String), ['ssgs/status', 'online', 'true']);
+});
+
+test('a SUBSCRIBE keeps its packet ID until the SUBACK arrives', async (t) => {
+    const { broker, client } = await connectedClient(t);
+
+    client.subscribe('ssgs/+/downlink', 1);
+    const subscribe = await broker.next(SUBSCRIBE);
+    assert.equal(subscribe.flags, 2);
+
+    // make the SUBSCRIBE's ID the next one handed out, as happens once the IDs wrap around
+    client['nextPacketID'] = subscribe.packetID;
+    client.publish('ssgs/a', 'x', { qos: 1 });
+    const publish = await broker.next(PUBLISH);
+    assert.notEqual(publish.packetID, subscribe.packetID);
+    broker.ack(publish, PUBACK);
+
+    broker.ack(subscribe, SUBACK);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    // once acknowledged the ID is free again
+    client['nextPacketID'] = subscribe.packetID;
+    const published = client.publish('ssgs/a', 'x', { qos: 1 });
+    const reused = await broker.next(PUBLISH);
+    assert.equal(reused.packetID, subscribe.packetID);
+    broker.ack(reused, PUBACK);
+    await published;
+});
+
+test('after a reconnect the subscriptions are renewed and unacknowledged publishes are resent as duplicates', async (t) => {
+    const { broker, client } = await connectedClient(t);
+
+    client.subscribe('ssgs/+/downlink', 1);
+    broker.ack(await broker.next(SUBSCRIBE), SUBACK);
+
+    const published = client.publish('ssgs/a', 'hello', { qos: 1 });
+    const first = await broker.next(PUBLISH);
+    assert.equal(first.flags & 0x08, 0);
+
+    broker.dropConnections();
+    await once(client, 'close');
+    await once(client, 'connect');
+
+    const resubscribe = await broker.next(SUBSCRIBE);
+    assert.ok(resubscribe.body.includes('ssgs/+/downlink'));
+
+    const resent = await broker.next(PUBLISH);
+    assert.equal(resent.packetID, first.packetID);
+    assert.equal(resent.flags & 0x08, 0x08);
+
+    broker.ack(resent, PUBACK);
+    await published;
+});
+
+test('publishes made while disconnected are sent once connected', async (t) => {
+    const broker = new FakeBroker();
+    const client = new MQTTClient(await broker.listen(), { reconnectPeriodMs: 50 });
+    t.after(async () => {
+        await client.end(0);
+        await broker.close();
+    });
+
+    const published = client.publish('ssgs/a', 'early', { qos: 1 });
+    client.connect();
+
+    const publish = await broker.next(PUBLISH);
+    assert.ok(publish.body.toString().endsWith('early'));
+    broker.ack(publish, PUBACK);
+    await published;
+});
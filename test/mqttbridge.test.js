@@ -0,0 +1,147 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore, MQTTBridge } from '../index.js';
+import { FakeBroker, parsePublish, CONNECT, PUBLISH, PUBACK, SUBSCRIBE, SUBACK } from './broker.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY, sleep, ssrbUpdate } from './gateway.js';
+
+const PORT = 18501;
+const SEAL_UID = Buffer.from('0a0b0c0d', 'hex');
+
+// a server bridged to a fake broker with QoS 0, so that the broker does not have to acknowledge the publishes
+async function bridgedServer(t, port, mqttOptions) {
+    const broker = new FakeBroker();
+    const server = new SSGS(port, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }]),
+        mqtt: { url: await broker.listen(), qos: 0, reconnectPeriodMs: 50, ...mqttOptions }
+    });
+    const gateway = new Gateway(port);
+    const errors = [];
+    server.on('error', (err) => errors.push(err.message));
+    t.after(async () => {
+        gateway.close();
+        await server.close(0);
+        await broker.close();
+    });
+
+    await broker.next(CONNECT);
+    await once(server.mqtt.client, 'connect');
+    return { broker, server, gateway, errors };
+}
+
+// the next PUBLISH the broker receives, parsed
+async function nextPublish(broker) {
+    return parsePublish(await broker.next(PUBLISH));
+}
+
+test('updates and gateway statuses are published under the templated topics', async (t) => {
+    const { broker, server, gateway } = await bridgedServer(t, PORT, { updateTopic: 'plant/{gateway}/seals/{seal}', statusTopic: 'plant/{gateway}/state' });
+    assert.deepEqual(await nextPublish(broker), { topic: 'ssgs/bridge/status', payload: Buffer.from('online'), qos: 0, retain: true });
+
+    await gateway.connect();
+    assert.deepEqual(await nextPublish(broker), { topic: 'plant/4dec5dfa/state', payload: Buffer.from('online'), qos: 0, retain: true });
+
+    await gateway.status(ssrbUpdate(SEAL_UID, 9));
+    const update = await nextPublish(broker);
+    assert.equal(update.topic, 'plant/4dec5dfa/seals/0a0b0c0d');
+    assert.equal(update.retain, false);
+    const json = JSON.parse(update.payload.toString());
+    assert.deepEqual([json.sensorSealUID, json.gatewayUID, json.updateID, json.temperature], ['0a0b0c0d', '4dec5dfa', 9, 21.5]);
+    assert.equal(typeof json.timestamp, 'number');
+
+    server.removeClient(server.getClientByGatewayUID(GATEWAY_UID));
+    assert.deepEqual(await nextPublish(broker), { topic: 'plant/4dec5dfa/state', payload: Buffer.from('offline'), qos: 0, retain: true });
+
+    assert.throws(() => new MQTTBridge(server, { url: 'mqtt://127.0.0.1', statusTopic: 'plant/state' }), /statusTopic must contain \{gateway\}/);
+    assert.throws(() => new MQTTBridge(server, { url: 'mqtt://127.0.0.1', downlinkTopic: 'plant/downlink' }), /downlinkTopic must contain \{gateway\}/);
+});
+
+test('the bridge status is retained, registered as the will and set offline when the bridge stops', async (t) => {
+    const broker = new FakeBroker();
+    const server = new SSGS(PORT + 1, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }]),
+        mqtt: { url: await broker.listen(), qos: 1, bridgeStatusTopic: 'plant/bridge' }
+    });
+    t.after(() => broker.close());
+
+    // the CONNECT flags announce a retained QoS 1 will, the will topic and message follow the client ID
+    const connect = await broker.next(CONNECT);
+    assert.equal(connect.body[7] & 0x3c, 0x20 | 0x08 | 0x04);
+    const clientIdLength = connect.body.readUInt16BE(10);
+    let offset = 12 + clientIdLength;
+    const willTopicLength = connect.body.readUInt16BE(offset);
+    assert.equal(connect.body.subarray(offset + 2, offset + 2 + willTopicLength).toString(), 'plant/bridge');
+    offset += 2 + willTopicLength;
+    assert.equal(connect.body.subarray(offset + 2, offset + 2 + connect.body.readUInt16BE(offset)).toString(), 'offline');
+
+    const online = await broker.next(PUBLISH);
+    assert.deepEqual(parsePublish(online), { topic: 'plant/bridge', payload: Buffer.from('online'), qos: 1, retain: true });
+    broker.ack(online, PUBACK);
+
+    const closed = server.close(1000);
+    const offline = await broker.next(PUBLISH);
+    assert.deepEqual(parsePublish(offline), { topic: 'plant/bridge', payload: Buffer.from('offline'), qos: 1, retain: true });
+    broker.ack(offline, PUBACK);
+    await closed;
+
+    // without a bridge status topic there is no will
+    const plain = new FakeBroker();
+    const unmonitored = new SSGS(PORT + 2, null, undefined, {
+        keyStore: new MemoryKeyStore([]),
+        mqtt: { url: await plain.listen(), bridgeStatusTopic: null }
+    });
+    t.after(async () => {
+        await unmonitored.close(0);
+        await plain.close();
+    });
+    assert.equal((await plain.next(CONNECT)).body[7] & 0x04, 0);
+    await once(unmonitored.mqtt.client, 'connect');
+});
+
+test('retained online statuses of gateways that are not connected are set offline', async (t) => {
+    const { broker, gateway } = await bridgedServer(t, PORT + 3);
+    const subscribe = await broker.next(SUBSCRIBE);
+    assert.ok(subscribe.body.includes('ssgs/+/status'));
+    broker.ack(subscribe, SUBACK);
+    await nextPublish(broker); // the bridge status
+
+    await gateway.connect();
+    await nextPublish(broker); // the gateway's own status
+
+    const socket = broker.sockets[0];
+    broker.publish(socket, 'ssgs/0badc0de/status', 'online', { retain: true }); // left by an earlier run
+    broker.publish(socket, 'ssgs/4dec5dfa/status', 'online', { retain: true }); // connected
+    broker.publish(socket, 'ssgs/0badf00d/status', 'offline', { retain: true });
+    broker.publish(socket, 'ssgs/01020304/status', 'online'); // a live publish, not one stored before the subscription
+
+    assert.deepEqual(await nextPublish(broker), { topic: 'ssgs/0badc0de/status', payload: Buffer.from('offline'), qos: 0, retain: true });
+    await sleep(100);
+    assert.deepEqual(broker.unclaimed.filter((packet) => packet.type === PUBLISH), []);
+});
+
+test('downlinks are sent to the gateway named in the topic', async (t) => {
+    const { broker, gateway, errors } = await bridgedServer(t, PORT + 4, { downlinkTopic: 'plant/{gateway}/downlink' });
+    const subscribe = await broker.next(SUBSCRIBE);
+    assert.ok(subscribe.body.includes('plant/+/downlink'));
+    broker.ack(subscribe, SUBACK);
+
+    await gateway.connect();
+    broker.publish(broker.sockets[0], 'plant/4dec5dfa/downlink', Buffer.from([0x02, 0x6c, 0x73, 0x0a]), { qos: 1 });
+    const message = await gateway.next((packet) => packet.packetType === 20);
+    assert.deepEqual(message.payload, Buffer.from([0x02, 0x6c, 0x73, 0x0a]));
+
+    broker.publish(broker.sockets[0], 'plant/0badc0de/downlink', Buffer.from([0x02, 0x41]));
+    broker.publish(broker.sockets[0], 'plant/4dec5dfa/other', Buffer.from([0x02, 0x41]));
+    await sleep(100);
+    assert.deepEqual(errors, ['SSGS MQTT: downlink for gateway 0badc0de which is not connected']);
+    assert.equal(gateway.received.filter((packet) => packet.packetType === 20).length, 1);
+});
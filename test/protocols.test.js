@@ -0,0 +1,114 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import SSProtocols, { decodeWakeupScanV1 } from '../ssgscp/ssprotocols.js';
+import { GATEWAY_UID } from './gateway.js';
+
+const WAKEUP_SCAN = 0x04;
+const SSRB_UPDATE = 0x53;
+const INVALID = 0x00;
+
+function message(subtype, data) {
+    return SSProtocols.parse({ gatewayUID: GATEWAY_UID, payload: Buffer.concat([Buffer.from([subtype]), data]) });
+}
+
+test('WAKEUP_SCAN is delivered raw until a decoder is registered', () => {
+    const parsed = message(WAKEUP_SCAN, Buffer.from([1, 0]));
+
+    assert.equal(parsed.messageType, WAKEUP_SCAN);
+    assert.equal(parsed.messageName, undefined);
+    assert.deepEqual(parsed.data, Buffer.from([1, 0]));
+});
+
+test('decodeWakeupScanV1 reads version 1 scans once it is registered', () => {
+    SSProtocols.registerMessageType(WAKEUP_SCAN, { name: 'WAKEUP_SCAN', decode: decodeWakeupScanV1 });
+    const parsed = message(WAKEUP_SCAN, Buffer.from([1, 2, 0x01, 0x02, 0x03, 0x04, 0xb0, 0x05, 0x0a, 0x0b, 0x0c, 0x0d, 0xc4, 0xfe]));
+
+    assert.equal(parsed.messageType, WAKEUP_SCAN);
+    assert.equal(parsed.messageName, 'WAKEUP_SCAN');
+    assert.deepEqual(parsed.data.viaGatewayUID, GATEWAY_UID);
+    assert.equal(parsed.data.scanVersion, 1);
+    assert.deepEqual(parsed.data.seals.map((seal) => [seal.sensorSealUID.toString('hex'), seal.rssi, seal.snr]), [['01020304', -80, 5], ['0a0b0c0d', -60, -2]]);
+
+    // unknown versions and truncated scans are rejected, trailing bytes are ignored
+    assert.equal(message(WAKEUP_SCAN, Buffer.from([2, 0])).messageType, INVALID);
+    assert.equal(message(WAKEUP_SCAN, Buffer.from([1, 1, 0x01, 0x02, 0x03, 0x04, 0xb0])).messageType, INVALID);
+    assert.equal(message(WAKEUP_SCAN, Buffer.from([1, 0, 0xff])).messageType, WAKEUP_SCAN);
+});
+
+test('a decoder registered for WAKEUP_SCAN replaces the previous one', () => {
+    const scanType = SSProtocols.registerMessageType(WAKEUP_SCAN, {
+        name: 'FIRMWARE_SCAN',
+        decode: (data, gatewayUID) => ({ viaGatewayUID: gatewayUID, scanVersion: 0, seals: [{ sensorSealUID: data.subarray(0, 4), rssi: data.readInt8(4), snr: 0 }] })
+    });
+
+    const parsed = message(WAKEUP_SCAN, Buffer.from([0x01, 0x02, 0x03, 0x04, 0xb0]));
+    assert.ok(scanType.is(parsed));
+    assert.equal(parsed.messageType, WAKEUP_SCAN);
+    assert.equal(parsed.data.seals[0].rssi, -80);
+});
+
+function ssrb(version, body) {
+    const header = Buffer.alloc(13);
+    header.write('SSRB', 0);
+    header[4] = version;
+    Buffer.from('01020304', 'hex').copy(header, 5);
+    header.writeUInt32LE(42, 9);
+    return message(SSRB_UPDATE, Buffer.concat([header, body]));
+}
+
+test('SSRB version 2 updates are decoded with every reading present', () => {
+    const body = Buffer.alloc(16);
+    body.writeFloatLE(21.54, 0);
+    body.writeFloatLE(0, 4);
+    body.writeUInt32LE(3, 8);
+    body.writeUInt32LE(3300, 12);
+
+    const parsed = ssrb(2, body);
+    assert.equal(parsed.messageType, SSRB_UPDATE);
+    assert.deepEqual(parsed.data.sensorSealUID, Buffer.from('01020304', 'hex'));
+    assert.equal(parsed.data.updateID, 42);
+    assert.equal(parsed.data.ssrbVersion, 2);
+    assert.deepEqual([parsed.data.temperature, parsed.data.rpm, parsed.data.vibration, parsed.data.voltage], [21.5, 0, 3, 3300]);
+
+    assert.equal(ssrb(2, body.subarray(0, 15)).messageType, INVALID);
+    assert.equal(ssrb(1, body).messageType, INVALID);
+});
+
+test('SSRB layouts with presence flags report absent fields as null', () => {
+    SSProtocols.registerSSRBVersion(3, {
+        presenceFlags: true,
+        fields: [{ name: 'temperature', type: 'i16' }, { name: 'rpm', type: 'u16' }, { name: 'humidity', type: 'u8' }]
+    });
+
+    const parsed = ssrb(3, Buffer.from([0b101, 0xfb, 0xff, 0x10, 0x00, 55]));
+    assert.equal(parsed.data.temperature, -5);
+    assert.equal(parsed.data.rpm, null);
+    assert.deepEqual(parsed.data.extra, { humidity: 55 });
+
+    // an unregistered newer version is decoded with the newest layout below it
+    assert.equal(ssrb(4, Buffer.from([0b001, 0x01, 0x00, 0x00, 0x00, 0x00, 0xaa])).data.temperature, 1);
+});
+
+test('SSRB layouts without presence flags decode every field, even beyond the eighth', () => {
+    const fields = [];
+    for (let i = 0; i < 40; i++)
+        fields.push({ name: 'field' + i, type: 'u8' });
+
+    SSProtocols.registerSSRBVersion(10, { presenceFlags: false, fields });
+
+    const parsed = ssrb(10, Buffer.from(fields.map((field, i) => i + 1)));
+    assert.equal(parsed.messageType, SSRB_UPDATE);
+    for (let i = 0; i < 40; i++)
+        assert.equal(parsed.data.extra['field' + i], i + 1);
+
+    assert.throws(() => SSProtocols.registerSSRBVersion(11, { presenceFlags: true, fields }), /at most 8 fields/);
+});
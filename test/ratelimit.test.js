@@ -0,0 +1,88 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { RateLimiter } from '../index.js';
+
+const UID_A = Buffer.from('4dec5dfa', 'hex');
+const UID_B = Buffer.from('11223344', 'hex');
+
+test('token buckets limit attempts per address and refill over time', () => {
+    const limiter = new RateLimiter({ perAddress: { rate: 1, burst: 3 }, perGateway: null, total: null });
+
+    assert.deepEqual([1, 2, 3, 4].map((i) => limiter.check('10.0.0.1', Buffer.from([0, 0, 0, i]), 0)), [null, null, null, 'rate-limited']);
+    assert.equal(limiter.check('10.0.0.2', UID_A, 0), null); // another address has its own bucket
+    assert.equal(limiter.check('10.0.0.1', UID_A, 999), 'rate-limited');
+    assert.equal(limiter.check('10.0.0.1', UID_A, 1000), null);
+});
+
+test('the per gateway and total buckets apply across addresses', () => {
+    const limiter = new RateLimiter({ perAddress: null, perGateway: { rate: 1, burst: 2 }, total: { rate: 1, burst: 3 } });
+
+    assert.equal(limiter.check('10.0.0.1', UID_A, 0), null);
+    assert.equal(limiter.check('10.0.0.2', UID_A, 0), null);
+    assert.equal(limiter.check('10.0.0.3', UID_A, 0), 'rate-limited');
+    assert.equal(limiter.check('10.0.0.4', UID_B, 0), null);
+    assert.equal(limiter.check('10.0.0.5', Buffer.from('01020304', 'hex'), 0), 'rate-limited');
+});
+
+test('authentication failures back off the address and UID, doubling up to the maximum', () => {
+    const limiter = new RateLimiter({ backoffBaseMs: 100, backoffMaxMs: 300, blockThreshold: 0 });
+
+    limiter.recordFailure('10.0.0.1', UID_A, 0);
+    assert.equal(limiter.check('10.0.0.1', UID_A, 99), 'backoff');
+    assert.equal(limiter.check('10.0.0.1', UID_B, 99), null);
+    assert.equal(limiter.check('10.0.0.2', UID_A, 99), null);
+    assert.equal(limiter.check('10.0.0.1', UID_A, 100), null);
+
+    limiter.recordFailure('10.0.0.1', UID_A, 100);
+    assert.equal(limiter.check('10.0.0.1', UID_A, 299), 'backoff');
+    limiter.recordFailure('10.0.0.1', UID_A, 300);
+    limiter.recordFailure('10.0.0.1', UID_A, 300);
+    assert.equal(limiter.check('10.0.0.1', UID_A, 599), 'backoff');
+    assert.equal(limiter.check('10.0.0.1', UID_A, 600), null);
+
+    limiter.recordFailure('10.0.0.1', UID_A, 600);
+    limiter.recordSuccess('10.0.0.1', UID_A);
+    assert.equal(limiter.check('10.0.0.1', UID_A, 601), null);
+});
+
+test('enough failures within the window block the address until the block expires', () => {
+    const limiter = new RateLimiter({ blockThreshold: 3, blockWindowMs: 1000, blockDurationMs: 5000 });
+    const events = [];
+    limiter.on('blocked', (entry) => events.push(['blocked', entry.address, entry.reason]));
+    limiter.on('unblocked', (entry) => events.push(['unblocked', entry.address]));
+
+    limiter.recordFailure('10.0.0.1', UID_A, 0);
+    limiter.recordFailure('10.0.0.1', UID_B, 2000); // the first failure has left the window
+    limiter.recordFailure('10.0.0.1', Buffer.from('01020304', 'hex'), 2100);
+    assert.equal(limiter.isBlocked('10.0.0.1', 2100), false);
+
+    limiter.recordFailure('10.0.0.1', Buffer.from('05060708', 'hex'), 2200);
+    assert.equal(limiter.isBlocked('10.0.0.1', 2200), true);
+    assert.equal(limiter.check('10.0.0.1', Buffer.from('0a0b0c0d', 'hex'), 2300), 'blocked');
+    assert.deepEqual(limiter.blocklist().map((entry) => [entry.address, entry.until]), [['10.0.0.1', 7200]]);
+
+    limiter.prune(7200);
+    assert.equal(limiter.isBlocked('10.0.0.1', 7200), false);
+    assert.deepEqual(events, [['blocked', '10.0.0.1', 'auth-failures'], ['unblocked', '10.0.0.1']]);
+});
+
+test('manual blocks can be lifted and invalid bucket options are rejected', () => {
+    const limiter = new RateLimiter();
+
+    limiter.block('192.0.2.1', 1000, 'manual', 0);
+    assert.equal(limiter.check('192.0.2.1', UID_A, 10), 'blocked');
+    assert.equal(limiter.unblock('192.0.2.1'), true);
+    assert.equal(limiter.unblock('192.0.2.1'), false);
+    assert.equal(limiter.check('192.0.2.1', UID_A, 10), null);
+
+    assert.throws(() => new RateLimiter({ perAddress: { rate: 0, burst: 1 } }), TypeError);
+});
@@ -0,0 +1,231 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore } from '../index.js';
+import { SealRegistry } from '../seals.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY, sleep, ssrbUpdate } from './gateway.js';
+
+const PORT = 18491;
+const SEAL_UID = Buffer.from('0a0b0c0d', 'hex');
+const OTHER_SEAL_UID = Buffer.from('01020304', 'hex');
+const SECOND_GATEWAY_UID = Buffer.from('4dec5dfb', 'hex');
+const SECOND_GATEWAY_KEY = Buffer.alloc(32, 0x5a);
+
+function update(updateID, gatewayUID = GATEWAY_UID, sensorSealUID = SEAL_UID) {
+    return { sensorSealUID, viaGatewayUID: gatewayUID, updateID, ssrbVersion: 2, temperature: 21.5, vibration: 3, voltage: 3300, rpm: 1500 };
+}
+
+test('a copy relayed by a second gateway within the duplicate window is recorded once', () => {
+    const registry = new SealRegistry(1000);
+
+    const first = registry.record(update(7), 0);
+    assert.equal(first.duplicate, false);
+
+    const copy = registry.record(update(7, SECOND_GATEWAY_UID), 500);
+    assert.equal(copy.duplicate, true);
+    assert.equal(copy.seal, first.seal);
+
+    const seal = registry.get(SEAL_UID);
+    assert.equal(seal.updateCount, 1);
+    assert.equal(seal.duplicateCount, 1);
+    assert.equal(seal.stats.received, 1);
+    assert.equal(seal.latest.viaGatewayUID, GATEWAY_UID); // the copy does not replace the latest update
+    assert.deepEqual(seal.lastGatewayUID, SECOND_GATEWAY_UID);
+    assert.equal(seal.lastReceived, 0);
+    assert.equal(seal.lastHeard, 500);
+    assert.deepEqual(Array.from(seal.gateways), [[GATEWAY_UID.toString('hex'), 0], [SECOND_GATEWAY_UID.toString('hex'), 500]]);
+
+    // the next update is new again, whichever gateway relays it
+    const next = registry.record(update(8, SECOND_GATEWAY_UID), 1000);
+    assert.equal(next.duplicate, false);
+    assert.equal(seal.latest.updateID, 8);
+    assert.deepEqual(seal.gateways.get(SECOND_GATEWAY_UID.toString('hex')), 1000);
+});
+
+test('seals are looked up by Buffer or hex string and listed in the order they were first heard', () => {
+    const registry = new SealRegistry();
+    registry.record(update(1, GATEWAY_UID, OTHER_SEAL_UID), 0);
+    registry.record(update(1), 10);
+    registry.record(update(2, GATEWAY_UID, OTHER_SEAL_UID), 20);
+
+    assert.equal(registry.size, 2);
+    assert.deepEqual(registry.list().map((seal) => seal.sensorSealUID.toString('hex')), ['01020304', '0a0b0c0d']);
+    assert.equal(registry.get('[0a 0b 0c 0d]'), registry.get(SEAL_UID));
+    assert.equal(registry.get('0A:0B:0C:0D').firstSeen, 10);
+    assert.equal(registry.get('ffffffff'), undefined);
+
+    assert.equal(registry.delete('0a0b0c0d'), true);
+    assert.equal(registry.delete(SEAL_UID), false);
+    assert.equal(registry.size, 1);
+});
+
+test('getSeal and listSeals report the gateways that heard each seal', async (t) => {
+    const server = new SSGS(PORT, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }, { gatewayUID: SECOND_GATEWAY_UID, key: SECOND_GATEWAY_KEY }])
+    });
+    const first = new Gateway(PORT);
+    const second = new Gateway(PORT, { uid: SECOND_GATEWAY_UID, key: SECOND_GATEWAY_KEY });
+    t.after(async () => {
+        first.close();
+        second.close();
+        await server.close(0);
+    });
+
+    assert.equal((await first.connect()).packetType, 2);
+    assert.equal((await second.connect()).packetType, 2);
+
+    const updates = [];
+    server.on('sealupdate', (sealUpdate) => updates.push(sealUpdate.viaGatewayUID.toString('hex')));
+
+    await first.status(ssrbUpdate(SEAL_UID, 1));
+    await first.next((packet) => packet.packetType === 10);
+    await second.status(ssrbUpdate(SEAL_UID, 1));
+    await second.next((packet) => packet.packetType === 10);
+    await sleep(20);
+
+    const seal = server.getSeal('0a0b0c0d');
+    assert.deepEqual(updates, [GATEWAY_UID.toString('hex')]);
+    assert.equal(seal.duplicateCount, 1);
+    assert.deepEqual(seal.lastGatewayUID, SECOND_GATEWAY_UID);
+    assert.deepEqual(Array.from(seal.gateways.keys()), [GATEWAY_UID.toString('hex'), SECOND_GATEWAY_UID.toString('hex')]);
+    assert.deepEqual(server.listSeals(), [seal]);
+    assert.equal(server.getSeal(OTHER_SEAL_UID), undefined);
+});
+
+// records the update IDs in order, one second apart, and returns the result of each
+function recordAll(registry, updateIDs, start = 0, gatewayUID = GATEWAY_UID) {
+    return updateIDs.map((updateID, i) => registry.record(update(updateID, gatewayUID), start + i * 1000));
+}
+
+test('a gap is counted as missed and the late arrivals as reordered', () => {
+    const registry = new SealRegistry();
+    const results = recordAll(registry, [1, 2, 6, 4, 3]);
+
+    assert.deepEqual(results.map((result) => result.missed), [0, 0, 3, 0, 0]);
+    assert.deepEqual(results.map((result) => result.reordered), [false, false, false, true, true]);
+    assert.equal(results[2].previousUpdateID, 2);
+
+    const stats = registry.get(SEAL_UID).stats;
+    assert.deepEqual([stats.highestUpdateID, stats.received, stats.missed, stats.reordered, stats.lastGap, stats.lastGapAt], [6, 5, 1, 2, 3, 2000]);
+    assert.equal(stats.lossRate, 1 / 6);
+    assert.equal(registry.get(SEAL_UID).latest.updateID, 6); // late arrivals do not replace the latest reading
+});
+
+test('an update ID heard again after the duplicate window is a replay, even a low one relayed late by another gateway', () => {
+    const registry = new SealRegistry(30000);
+    recordAll(registry, Array.from({ length: 20 }, (_, i) => i + 1));
+
+    const late = registry.record(update(5, SECOND_GATEWAY_UID), 60000);
+    assert.equal(late.duplicate, false);
+    assert.equal(late.replay, true);
+    assert.equal(late.reset, false);
+
+    const highest = registry.record(update(20, SECOND_GATEWAY_UID), 61000);
+    assert.equal(highest.replay, true);
+
+    const stats = registry.get(SEAL_UID).stats;
+    assert.deepEqual([stats.highestUpdateID, stats.replays, stats.resets], [20, 2, 0]);
+    assert.equal(registry.get(SEAL_UID).latest.updateID, 20);
+});
+
+test('a stale update ID older than the receive window is a replay, not a reset', () => {
+    const registry = new SealRegistry();
+    recordAll(registry, [100, 101]);
+
+    const old = registry.record(update(50), 5000);
+    assert.equal(old.replay, true);
+    assert.equal(old.reset, false);
+    assert.equal(registry.get(SEAL_UID).stats.highestUpdateID, 101);
+});
+
+test('a seal that starts counting again is detected from a low ID or a run of stale IDs', () => {
+    const registry = new SealRegistry();
+    recordAll(registry, [5000, 5001]);
+
+    // a low ID that was not received recently is a reset straight away
+    const rebooted = registry.record(update(1), 5000);
+    assert.equal(rebooted.reset, true);
+    assert.equal(rebooted.previousUpdateID, 5001);
+    assert.equal(registry.get(SEAL_UID).stats.highestUpdateID, 1);
+
+    // a seal that restarts below IDs still held is confirmed by three IDs in sequence
+    const restarted = new SealRegistry();
+    recordAll(restarted, Array.from({ length: 20 }, (_, i) => i + 1));
+    const results = recordAll(restarted, [1, 2, 3], 60000);
+    assert.deepEqual(results.map((result) => [result.replay, result.reset]), [[true, false], [true, false], [false, true]]);
+    assert.equal(restarted.get(SEAL_UID).stats.highestUpdateID, 3);
+    assert.equal(restarted.get(SEAL_UID).stats.resets, 1);
+
+    // so is a reboot to a higher ID, and a jump forward beyond the maximum gap
+    const jumped = new SealRegistry();
+    recordAll(jumped, [1000]);
+    assert.deepEqual(recordAll(jumped, [500, 501, 502], 1000).map((result) => result.reset), [false, false, true]);
+    assert.equal(jumped.record(update(502 + 65537), 5000).reset, true);
+    assert.equal(jumped.get(SEAL_UID).stats.resets, 2);
+});
+
+test('a monitored seal goes stale, then offline, and back online with its next update', () => {
+    const registry = new SealRegistry(undefined, 10000);
+    const connected = () => true;
+    registry.record(update(1), 0);
+
+    assert.deepEqual(registry.checkLiveness(15000, connected), []); // 1.5 intervals is not yet stale
+
+    const stale = registry.checkLiveness(15001, connected);
+    assert.deepEqual(stale.map((change) => [change.status, change.previousStatus, change.reason]), [['stale', 'online', 'silent']]);
+    assert.equal(stale[0].seal, registry.get(SEAL_UID));
+    assert.deepEqual(registry.checkLiveness(20000, connected), []); // reported once
+
+    const offline = registry.checkLiveness(30001, connected);
+    assert.deepEqual(offline.map((change) => [change.status, change.previousStatus]), [['offline', 'stale']]);
+    assert.deepEqual(registry.checkLiveness(90000, connected), []);
+
+    const back = registry.record(update(2), 100000);
+    assert.equal(back.online, true);
+    assert.equal(registry.get(SEAL_UID).status, 'online');
+    assert.equal(registry.record(update(3), 101000).online, false);
+
+    // a seal silent long enough goes straight from online to offline
+    assert.deepEqual(registry.checkLiveness(200000, connected).map((change) => [change.status, change.previousStatus]), [['offline', 'online']]);
+});
+
+test('a silent seal is reported as no-gateway only when none of the gateways that heard it is connected', () => {
+    const registry = new SealRegistry(undefined, 1000);
+    registry.record(update(1), 0);
+    registry.record(update(1, SECOND_GATEWAY_UID), 100);
+    registry.record(update(1, GATEWAY_UID, OTHER_SEAL_UID), 0);
+
+    // the second gateway heard the first seal, so the seal itself is silent while that gateway is connected
+    const asked = [];
+    const changes = registry.checkLiveness(2000, (gatewayUID) => {
+        asked.push(gatewayUID);
+        return gatewayUID === SECOND_GATEWAY_UID.toString('hex');
+    });
+
+    assert.deepEqual(changes.map((change) => [change.seal.sensorSealUID.toString('hex'), change.reason]), [['0a0b0c0d', 'silent'], ['01020304', 'no-gateway']]);
+    assert.ok(asked.every((gatewayUID) => /^[0-9a-f]{8}$/.test(gatewayUID)));
+});
+
+test('per seal reporting intervals override the registry default and 0 stops monitoring a seal', () => {
+    const registry = new SealRegistry();
+    registry.setReportInterval('0a0b0c0d', 1000); // before the seal has been heard
+    registry.record(update(1), 0);
+    registry.record(update(1, GATEWAY_UID, OTHER_SEAL_UID), 0);
+
+    // the registry default is null, so only the first seal is monitored
+    assert.deepEqual(registry.checkLiveness(5000, () => true).map((change) => [change.seal.sensorSealUID.toString('hex'), change.status]), [['0a0b0c0d', 'offline']]);
+
+    registry.reportIntervalMs = 1000;
+    registry.setReportInterval(SEAL_UID, 0);
+    registry.record(update(2), 5000);
+    assert.deepEqual(registry.checkLiveness(20000, () => true).map((change) => change.seal.sensorSealUID.toString('hex')), ['01020304']);
+    assert.equal(registry.get(SEAL_UID).status, 'online');
+});
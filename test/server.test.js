@@ -0,0 +1,75 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore } from '../index.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY } from './gateway.js';
+
+const PORT = 18401;
+
+test('close() disconnects the clients, closes the socket and returns the same promise when called again', async () => {
+    const server = new SSGS(PORT, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }])
+    });
+    const gateway = new Gateway(PORT);
+
+    try {
+        const connected = new Promise((resolve) => server.once('connection', resolve));
+        assert.equal((await gateway.connect()).packetType, 2);
+        const client = await connected;
+
+        let disconnected = false;
+        client.on('disconnect', () => disconnected = true);
+
+        const closed = server.close(100);
+        assert.equal(server.close(), closed);
+        await closed;
+
+        assert.ok(disconnected);
+        assert.equal(server.connectedClients.length, 0);
+        assert.throws(() => server.socket.address(), { code: 'ERR_SOCKET_DGRAM_NOT_RUNNING' });
+    } finally {
+        gateway.close();
+        await server.close();
+    }
+});
+
+test('close() keeps retransmitting while it waits for pending messages to be acknowledged', async () => {
+    const server = new SSGS(PORT + 2, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }])
+    });
+    const gateway = new Gateway(PORT + 2, { autoAck: false });
+
+    try {
+        const connected = new Promise((resolve) => server.once('connection', resolve));
+        await gateway.connect();
+        const client = await connected;
+
+        const sent = client.send(Buffer.from([0x02, 0x41]));
+        const lost = await gateway.next((packet) => packet.packetType === 20); // not acknowledged, as if it was lost
+
+        const closed = server.close(5000);
+        const retransmitted = await gateway.next((packet) => packet.packetType === 20);
+        assert.equal(retransmitted.packetID, lost.packetID);
+        await gateway.send({ packetType: 10, packetID: retransmitted.packetID });
+
+        assert.equal(await sent, true);
+        await closed;
+    } finally {
+        gateway.close();
+        await server.close();
+    }
+});
+
+test('a server closed before it has started closes cleanly', async () => {
+    const server = new SSGS(PORT + 1, null, undefined, { keyStore: new MemoryKeyStore() });
+    await server.close();
+    assert.ok(server.closing);
+});
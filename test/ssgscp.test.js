@@ -0,0 +1,196 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs/promises';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore } from '../index.js';
+import { SSGSCP, ReplayWindow } from '../ssgscp/ssgscp.js';
+import { Gateway, GatewayV2, GATEWAY_UID, GATEWAY_KEY, sleep } from './gateway.js';
+
+const PORT = 18441;
+const UID_OFFSET = 14; // after "SSGSC2" and the 8 byte sequence number
+
+function conn(nonce) {
+    return SSGSCP.packSSGSCPv2Handshake({ gatewayUID: GATEWAY_UID, packetType: 1, packetID: 0, payload: nonce }, GATEWAY_KEY, 'gateway');
+}
+
+test('v2 handshake packets open only at the other end and only unaltered', async () => {
+    const gatewayNonce = crypto.randomBytes(16);
+    const packet = await conn(gatewayNonce);
+
+    const opened = await SSGSCP.parseSSGSCPv2Handshake(packet, GATEWAY_KEY, 'server');
+    assert.equal(opened.authSuccess, true);
+    assert.equal(opened.packetType, 1);
+    assert.deepEqual(opened.payload, gatewayNonce);
+    assert.deepEqual(opened.gatewayUID, GATEWAY_UID);
+
+    // the direction is part of the GCM nonce, so the gateway cannot be sent its own CONN back
+    assert.equal((await SSGSCP.parseSSGSCPv2Handshake(packet, GATEWAY_KEY, 'gateway')).authSuccess, false);
+    assert.equal((await SSGSCP.parseSSGSCPv2Handshake(packet, crypto.randomBytes(32), 'server')).authSuccess, false);
+
+    const tampered = Buffer.from(packet);
+    tampered[UID_OFFSET] ^= 0x01;
+    assert.equal((await SSGSCP.parseSSGSCPv2Handshake(tampered, GATEWAY_KEY, 'server')).authSuccess, false);
+
+    // CONNACPT authenticates the gateway nonce of the CONN it answers
+    const serverNonce = crypto.randomBytes(16);
+    const accept = await SSGSCP.packSSGSCPv2Handshake({ gatewayUID: GATEWAY_UID, packetType: 2, packetID: 0, payload: serverNonce }, GATEWAY_KEY, 'server', gatewayNonce);
+    assert.deepEqual((await SSGSCP.parseSSGSCPv2Handshake(accept, GATEWAY_KEY, 'gateway', gatewayNonce)).payload, serverNonce);
+    assert.equal((await SSGSCP.parseSSGSCPv2Handshake(accept, GATEWAY_KEY, 'gateway', crypto.randomBytes(16))).authSuccess, false);
+});
+
+test('v2 session packets open with the session key of the other end only', async () => {
+    const gatewayNonce = crypto.randomBytes(16), serverNonce = crypto.randomBytes(16);
+    const gateway = await SSGSCP.openSession(GATEWAY_KEY, gatewayNonce, serverNonce, 'gateway');
+    const server = await SSGSCP.openSession(GATEWAY_KEY, gatewayNonce, serverNonce, 'server');
+    const otherSession = await SSGSCP.openSession(GATEWAY_KEY, crypto.randomBytes(16), serverNonce, 'server');
+
+    const fields = { gatewayUID: GATEWAY_UID, packetType: 21, packetID: 7, payload: Buffer.from('status') };
+    const first = await SSGSCP.packSSGSCPv2(fields, gateway);
+    const second = await SSGSCP.packSSGSCPv2(fields, gateway);
+
+    const opened = await SSGSCP.parseSSGSCPv2(first, server);
+    assert.equal(opened.authSuccess, true);
+    assert.equal(opened.sequence, 0);
+    assert.equal(opened.packetID, 7);
+    assert.deepEqual(opened.payload, Buffer.from('status'));
+    assert.equal((await SSGSCP.parseSSGSCPv2(second, server)).sequence, 1);
+
+    assert.equal((await SSGSCP.parseSSGSCPv2(first, gateway)).authSuccess, false); // reflected back to the gateway
+    assert.equal((await SSGSCP.parseSSGSCPv2(first, otherSession)).authSuccess, false);
+
+    const tampered = Buffer.from(first);
+    tampered[tampered.length - 20] ^= 0x80;
+    assert.equal((await SSGSCP.parseSSGSCPv2(tampered, server)).authSuccess, false);
+
+    assert.equal(await SSGSCP.openSession(GATEWAY_KEY, Buffer.alloc(8), serverNonce, 'server'), null);
+});
+
+test('the replay window accepts each sequence number once, out of order within the window', () => {
+    const window = new ReplayWindow(8);
+    const sequences = [0, 2, 1, 2, 10, 3, 2, 9, 100, 93, 92, 93];
+
+    assert.deepEqual(sequences.map((sequence) => window.accept(sequence)),
+        [true, true, true, false, true, true, false, true, true, true, false, false]);
+    assert.equal(window.accept(-1), false);
+    assert.equal(window.accept(101.5), false);
+});
+
+test('a replayed CONN does not replace the live session and stale session packets are dropped without counting as failures', async (t) => {
+    const server = new SSGS(PORT, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }]),
+        rateLimit: { blockThreshold: 1 }
+    });
+    const gateway = new GatewayV2(PORT);
+    t.after(async () => {
+        gateway.close();
+        await server.close(0);
+    });
+
+    assert.equal((await gateway.connect()).packetType, 2);
+    const capturedConn = gateway.connPacket;
+    const oldSession = gateway.session;
+
+    assert.equal((await gateway.connect()).packetType, 2);
+    const client = server.getClientByGatewayUID(GATEWAY_UID);
+    const liveSession = client.session;
+
+    gateway.sendRaw(capturedConn);
+    await sleep(100);
+    assert.equal(client.session, liveSession);
+    assert.equal(gateway.received.filter((packet) => packet.packetType === 2).length, 2);
+
+    // the session still works
+    await gateway.status(Buffer.from([0x01]));
+    assert.equal((await gateway.next((packet) => packet.packetType === 10)).authSuccess, true);
+
+    // a packet sealed with the previous session key is dropped without a reply, and the address is not blocked
+    const answered = gateway.received.length;
+    gateway.sendRaw(await SSGSCP.packSSGSCPv2({ gatewayUID: GATEWAY_UID, packetType: 21, packetID: 50, payload: Buffer.from([0x01]) }, oldSession));
+    await sleep(100);
+    assert.equal(gateway.received.length, answered);
+    assert.equal(server.metrics.datagramsRejected.get({ reason: 'bad-auth-code' }), 1);
+    assert.equal(server.rateLimiter.isBlocked('127.0.0.1'), false);
+    assert.equal(client.session, liveSession);
+});
+
+test('silentReject leaves v1 and v2 packets from unknown gateway UIDs without a reply', async (t) => {
+    const server = new SSGS(PORT + 1, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }]),
+        silentReject: true,
+        rateLimit: { backoffBaseMs: 0 } // every packet reaches the reject path
+    });
+    const strangerV1 = new Gateway(PORT + 1, { uid: Buffer.from('0badc0de', 'hex') });
+    const strangerV2 = new GatewayV2(PORT + 1, { uid: Buffer.from('0badc0de', 'hex') });
+    const known = new GatewayV2(PORT + 1);
+    t.after(async () => {
+        strangerV1.close();
+        strangerV2.close();
+        known.close();
+        await server.close(0);
+    });
+
+    await strangerV1.send({ packetType: 1, packetID: 0 });
+    await strangerV1.status(Buffer.from([0x01]));
+    strangerV2.connect().catch(() => { });
+    strangerV2.session = await SSGSCP.openSession(crypto.randomBytes(32), crypto.randomBytes(16), crypto.randomBytes(16), 'gateway');
+    await strangerV2.status(Buffer.from([0x01]));
+    await sleep(100);
+    assert.deepEqual(strangerV1.received, []);
+    assert.deepEqual(strangerV2.received, []);
+    assert.equal(server.metrics.connfailsSuppressed.get(), 4);
+
+    // a gateway in the key store is still told to send CONN again
+    known.session = strangerV2.session;
+    const connfail = known.next((packet) => packet.packetType === 3);
+    await known.status(Buffer.from([0x01]));
+    await connfail;
+    assert.equal(server.metrics.connfailsSuppressed.get(), 4);
+});
+
+test('a gateway pinned to v2 is recorded in the key store file and stays pinned after a restart', async (t) => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ssgs-pin-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'authorized.json');
+    await fs.writeFile(file, JSON.stringify({ authorized_gateways: [{ uid: '4d ec 5d fa', key: GATEWAY_KEY.toString('hex') }] }));
+    const readEntry = async () => JSON.parse(await fs.readFile(file, 'utf8')).authorized_gateways[0];
+
+    const first = new SSGS(PORT, null, file);
+    const gatewayV2 = new GatewayV2(PORT);
+    try {
+        await first['started']; // the file is read before the socket is bound
+        assert.equal((await gatewayV2.connect()).packetType, 2);
+        for (let i = 0; i < 50 && (await readEntry()).min_protocol === undefined; i++)
+            await sleep(20);
+    } finally {
+        gatewayV2.close();
+        await first.close(0);
+    }
+
+    assert.equal((await readEntry()).min_protocol, 2);
+
+    const restarted = new SSGS(PORT, null, file);
+    const gatewayV1 = new Gateway(PORT);
+    t.after(async () => {
+        gatewayV1.close();
+        await restarted.close(0);
+    });
+    await restarted['started'];
+
+    assert.equal((await gatewayV1.connect()).packetType, 3);
+
+    // lifting the pin in the file lets the gateway use v1 again
+    await fs.writeFile(file, JSON.stringify({ authorized_gateways: [{ ...await readEntry(), min_protocol: 1 }] }));
+    await restarted.reloadConfig();
+    assert.equal((await gatewayV1.connect()).packetType, 2);
+});
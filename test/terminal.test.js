@@ -0,0 +1,180 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { spawn } from 'node:child_process';
+import * as fs from 'node:fs/promises';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore } from '../index.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY, sleep } from './gateway.js';
+
+const PORT = 18481;
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const TERMINAL_INPUT = 0x02;
+const TERMINAL_OUTPUT = 0x03;
+
+async function connectedClient(t, port, gatewayOptions) {
+    const server = new SSGS(port, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }])
+    });
+    const gateway = new Gateway(port, gatewayOptions);
+    t.after(async () => {
+        gateway.close();
+        await server.close(0);
+    });
+
+    const connected = once(server, 'connection');
+    await gateway.connect();
+    const [client] = await connected;
+    return { server, gateway, client };
+}
+
+function output(gateway, text) {
+    return gateway.status(Buffer.concat([Buffer.from([TERMINAL_OUTPUT]), Buffer.from(text)]));
+}
+
+test('a long write is split into messages of at most 254 bytes, each sent once the previous one is acknowledged', async (t) => {
+    const { gateway, client } = await connectedClient(t, PORT, { autoAck: false });
+    const terminal = client.openTerminal();
+
+    const input = Buffer.from(Array.from({ length: 600 }, (_, i) => 0x20 + i % 90));
+    let written = false;
+    const writeDone = new Promise((resolve) => terminal.write(input, () => resolve(written = true)));
+
+    const messages = [];
+    for (let i = 0; i < 3; i++) {
+        const message = await gateway.next((packet) => packet.packetType === 20);
+        await sleep(50);
+        assert.equal(gateway.received.filter((packet) => packet.packetType === 20).length, i + 1); // nothing more until the ack
+        assert.equal(written, false);
+
+        messages.push(message.payload);
+        await gateway.send({ packetType: 10, packetID: message.packetID });
+    }
+
+    assert.equal(await writeDone, true);
+    assert.deepEqual(messages.map((payload) => payload.length), [255, 255, 93]);
+    assert.ok(messages.every((payload) => payload[0] === TERMINAL_INPUT));
+    assert.deepEqual(Buffer.concat(messages.map((payload) => payload.subarray(1))), input);
+});
+
+test('output is readable in order and the readable side ends when the gateway disconnects', async (t) => {
+    const { server, gateway, client } = await connectedClient(t, PORT + 1);
+    const listeners = client.listenerCount('message');
+    const terminal = client.openTerminal();
+    const chunks = [];
+    terminal.on('data', (chunk) => chunks.push(chunk.toString()));
+    const ended = once(terminal, 'end');
+
+    await output(gateway, 'first ');
+    await gateway.next((packet) => packet.packetType === 10);
+    await output(gateway, 'second');
+    await gateway.next((packet) => packet.packetType === 10);
+    await gateway.status(Buffer.from([0x01])); // not terminal output
+    await gateway.next((packet) => packet.packetType === 10);
+    await sleep(20);
+
+    server.removeClient(client);
+    await ended;
+
+    assert.equal(chunks.join(''), 'first second');
+    assert.equal(client.listenerCount('message'), listeners); // the stream detached itself
+});
+
+test('exec() resolves once the output goes idle, or with whatever arrived when the timeout expires', async (t) => {
+    const { gateway, client } = await connectedClient(t, PORT + 2);
+    const terminal = client.openTerminal();
+    const listeners = client.listenerCount('message');
+    terminal.resume();
+
+    // the gateway answers in two parts, both within the idle time
+    gateway.next((packet) => packet.packetType === 20).then(async (packet) => {
+        assert.deepEqual(packet.payload, Buffer.from([TERMINAL_INPUT, ...Buffer.from('uptime\n')]));
+        await output(gateway, 'up ');
+        await sleep(50);
+        await output(gateway, '3 days\n');
+    });
+
+    let started = Date.now();
+    assert.equal(await terminal.exec('uptime', { idle: 200, timeout: 5000 }), 'up 3 days\n');
+    assert.ok(Date.now() - started < 2000);
+
+    // a command with no output is given until the timeout
+    started = Date.now();
+    assert.equal(await terminal.exec('true\n', { idle: 100, timeout: 400 }), '');
+    assert.ok(Date.now() - started >= 390);
+
+    // output that never goes idle is cut off at the timeout
+    let streaming = true;
+    (async () => {
+        while (streaming) {
+            await output(gateway, '.');
+            await sleep(50);
+        }
+    })();
+
+    started = Date.now();
+    const partial = await terminal.exec('yes', { idle: 200, timeout: 600 });
+    streaming = false;
+    assert.ok(Date.now() - started < 1000);
+    assert.match(partial, /^\.+$/);
+    assert.equal(client.listenerCount('message'), listeners); // exec() removed its listeners
+});
+
+test('ssgs-terminal rejects an invalid UID and bridges stdin and stdout to the gateway', async (t) => {
+    const invalid = spawn(process.execPath, [CLI, 'zz'], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    invalid.stderr.on('data', (chunk) => stderr += chunk);
+    const [code] = await once(invalid, 'exit');
+    assert.equal(code, 1);
+    assert.match(stderr, /must be 4 bytes/);
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ssgs-cli-'));
+    t.after(() => fs.rm(directory, { recursive: true, force: true }));
+    const config = path.join(directory, 'authorized.json');
+    await fs.writeFile(config, JSON.stringify({ authorized_gateways: [{ uid: '4dec5dfa', key: GATEWAY_KEY.toString('hex') }] }));
+
+    const cli = spawn(process.execPath, [CLI, '4dec5dfa', '--port', String(PORT + 3), '--config', config], { stdio: ['pipe', 'pipe', 'pipe'] });
+    const gateway = new Gateway(PORT + 3);
+    t.after(() => {
+        gateway.close();
+        if (cli.exitCode === null)
+            cli.kill();
+    });
+
+    let stdout = '';
+    stderr = '';
+    cli.stdout.on('data', (chunk) => stdout += chunk);
+    cli.stderr.on('data', (chunk) => stderr += chunk);
+
+    for (let i = 0; i < 100 && !stderr.includes('waiting for gateway'); i++)
+        await sleep(50);
+    await sleep(200); // the config file is read before the socket is bound
+
+    assert.equal((await gateway.connect()).packetType, 2);
+    for (let i = 0; i < 100 && !stderr.includes('connected to'); i++)
+        await sleep(50);
+
+    const input = gateway.next((packet) => packet.packetType === 20);
+    cli.stdin.write('ls\n');
+    assert.deepEqual((await input).payload, Buffer.from([TERMINAL_INPUT, ...Buffer.from('ls\n')]));
+
+    await output(gateway, 'readme.txt\n');
+    for (let i = 0; i < 100 && !stdout.includes('readme.txt'); i++)
+        await sleep(50);
+    assert.equal(stdout, 'readme.txt\n');
+
+    const exited = once(cli, 'exit');
+    cli.stdin.end();
+    assert.equal((await exited)[0], 0);
+});
@@ -0,0 +1,96 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as dgram from 'node:dgram';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import SSGS, { MemoryKeyStore } from '../index.js';
+import { unmapIPv4 } from '../transport.js';
+import { Gateway, GATEWAY_UID, GATEWAY_KEY } from './gateway.js';
+
+const PORT = 18521;
+const SECOND_GATEWAY_UID = Buffer.from('4dec5dfb', 'hex');
+const SECOND_GATEWAY_KEY = Buffer.alloc(32, 0x5a);
+
+// whether a UDP socket can be bound to the IPv6 loopback address, the dual-stack tests are skipped without it
+const ipv6 = await new Promise((resolve) => {
+    const socket = dgram.createSocket('udp6');
+    socket.once('error', () => resolve(false));
+    socket.bind(0, '::1', () => socket.close(() => resolve(true)));
+});
+
+function startServer(t, port, bind) {
+    const server = new SSGS(port, null, undefined, {
+        keyStore: new MemoryKeyStore([{ gatewayUID: GATEWAY_UID, key: GATEWAY_KEY }, { gatewayUID: SECOND_GATEWAY_UID, key: SECOND_GATEWAY_KEY }]),
+        bind
+    });
+    const gateways = [];
+    t.after(async () => {
+        for (const gateway of gateways)
+            gateway.close();
+        await server.close(0);
+    });
+
+    return { server, gateway: (gatewayPort, options) => gateways[gateways.push(new Gateway(gatewayPort, options)) - 1] };
+}
+
+test('IPv4-mapped addresses are reported as IPv4', () => {
+    assert.equal(unmapIPv4('::ffff:127.0.0.1'), '127.0.0.1');
+    assert.equal(unmapIPv4('::FFFF:192.0.2.7'), '192.0.2.7');
+    assert.equal(unmapIPv4('::1'), '::1');
+    assert.equal(unmapIPv4('203.0.113.7'), '203.0.113.7');
+});
+
+test('a dual-stack socket serves IPv4 and IPv6 gateways and answers IPv4 gateways at their mapped address', { skip: !ipv6 && 'IPv6 is not available' }, async (t) => {
+    const { server, gateway } = startServer(t, PORT, [{ address: '::' }]);
+    await server['started'];
+    assert.equal(server.transports[0].type, 'udp6');
+
+    const ipv4 = gateway(PORT);
+    assert.equal((await ipv4.connect()).packetType, 2);
+    const ipv4Client = server.getClientByGatewayUID(GATEWAY_UID);
+    assert.equal(ipv4Client.remoteAddress, '127.0.0.1');
+
+    const ipv6Gateway = gateway(PORT, { uid: SECOND_GATEWAY_UID, key: SECOND_GATEWAY_KEY, address: '::1' });
+    assert.equal((await ipv6Gateway.connect()).packetType, 2);
+    assert.equal(server.getClientByGatewayUID(SECOND_GATEWAY_UID).remoteAddress, '::1');
+
+    // messages to the IPv4 gateway leave the IPv6 socket for its IPv4-mapped address
+    assert.equal(await ipv4Client.send(Buffer.from([0x02, 0x41])), true);
+    assert.deepEqual(ipv4.received.filter((packet) => packet.packetType === 20).map((packet) => packet.payload), [Buffer.from([0x02, 0x41])]);
+    assert.equal(server.connectedClients.length, 2);
+});
+
+test('several bound sockets feed one client table and replies follow the gateway to the socket it last used', { skip: !ipv6 && 'IPv6 is not available' }, async (t) => {
+    const { server, gateway } = startServer(t, PORT + 1, [{ address: '127.0.0.1' }, { address: '::1', port: PORT + 2 }]);
+    await server['started'];
+    assert.deepEqual(server.transports.map((transport) => transport.type), ['udp4', 'udp6']);
+
+    const ipv4 = gateway(PORT + 1);
+    const connected = once(server, 'connection');
+    assert.equal((await ipv4.connect()).packetType, 2);
+    const [client] = await connected;
+    assert.equal(client.transport, server.transports[0]);
+
+    // the same gateway, now reaching the server over IPv6, keeps its session
+    const ipv6Gateway = gateway(PORT + 2, { address: '::1' });
+    ipv6Gateway.packetID = 100;
+    await ipv6Gateway.status(Buffer.from([0x02, 0x41]));
+    assert.equal((await ipv6Gateway.next((packet) => packet.packetType === 10)).packetID, 101);
+
+    assert.equal(server.connectedClients.length, 1);
+    assert.equal(client.remoteAddress, '::1');
+    assert.equal(client.sourcePort, ipv6Gateway.socket.address().port);
+    assert.equal(client.transport, server.transports[1]);
+
+    assert.equal(await client.send(Buffer.from([0x02, 0x42])), true);
+    assert.equal(ipv6Gateway.received.filter((packet) => packet.packetType === 20).length, 1);
+    assert.equal(ipv4.received.filter((packet) => packet.packetType === 20).length, 0);
+});
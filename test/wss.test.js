@@ -0,0 +1,161 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as net from 'node:net';
+import * as crypto from 'node:crypto';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import { WSSTransport } from '../index.js';
+import { sleep } from './gateway.js';
+
+const PORT = 18421;
+
+/**
+ * A WebSocket client on a raw TCP socket, so that the tests can send frames a browser would never send
+ */
+class RawWebSocket {
+    async open(path = '/ssgscp') {
+        this.socket = net.connect(PORT, '127.0.0.1');
+        this.received = Buffer.alloc(0);
+        this.socket.on('data', (data) => this.received = Buffer.concat([this.received, data]));
+        await once(this.socket, 'connect');
+
+        this.key = crypto.randomBytes(16).toString('base64');
+        this.socket.write('GET ' + path + ' HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n'
+            + 'Sec-WebSocket-Key: ' + this.key + '\r\nSec-WebSocket-Version: 13\r\nSec-WebSocket-Protocol: ssgscp\r\n\r\n');
+
+        while (!this.received.includes('\r\n\r\n'))
+            await once(this.socket, 'data');
+
+        const end = this.received.indexOf('\r\n\r\n') + 4;
+        const response = this.received.subarray(0, end).toString();
+        this.received = this.received.subarray(end);
+        return response;
+    }
+
+    // a frame as a client sends it, masked unless masked is false
+    static frame(opcode, payload, options) {
+        const header = [(options?.fin ?? true ? 0x80 : 0) | opcode];
+        const mask = options?.masked ?? true ? 0x80 : 0;
+        if (payload.length < 126) {
+            header.push(mask | payload.length);
+        } else {
+            header.push(mask | 126, payload.length >> 8, payload.length & 0xff);
+        }
+
+        if (!mask)
+            return Buffer.concat([Buffer.from(header), payload]);
+
+        const key = crypto.randomBytes(4);
+        return Buffer.concat([Buffer.from(header), key, payload.map((byte, i) => byte ^ key[i & 3])]);
+    }
+
+    send(frame) {
+        this.socket.write(frame);
+    }
+
+    // the next unmasked frame from the server
+    async next() {
+        for (;;) {
+            if (this.received.length >= 2 && this.received.length >= 2 + (this.received[1] & 0x7f)) {
+                const length = this.received[1] & 0x7f;
+                const frame = { opcode: this.received[0] & 0x0f, payload: this.received.subarray(2, 2 + length) };
+                this.received = this.received.subarray(2 + length);
+                return frame;
+            }
+
+            await once(this.socket, 'data');
+        }
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+}
+
+test('the WebSocket transport reassembles masked, split and fragmented binary frames into packets', async (t) => {
+    const transport = new WSSTransport({ port: PORT, host: '127.0.0.1' });
+    const packets = [];
+    transport.on('packet', (packet, peer) => packets.push({ packet, peer }));
+    await transport.start();
+
+    const ws = new RawWebSocket();
+    t.after(async () => {
+        ws.close();
+        await transport.close();
+    });
+
+    const response = await ws.open();
+    assert.match(response, /^HTTP\/1.1 101/);
+    const accept = crypto.createHash('sha1').update(ws.key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+    assert.ok(response.includes('Sec-WebSocket-Accept: ' + accept));
+    assert.ok(response.includes('Sec-WebSocket-Protocol: ssgscp'));
+
+    // one frame written a byte at a time
+    const frame = RawWebSocket.frame(0x2, Buffer.from('SSGSCP one'));
+    for (const byte of frame) {
+        ws.send(Buffer.from([byte]));
+        await sleep(1);
+    }
+
+    // a message in three fragments, with a ping in between
+    ws.send(Buffer.concat([
+        RawWebSocket.frame(0x2, Buffer.from('SSGSCP '), { fin: false }),
+        RawWebSocket.frame(0x0, Buffer.from('two'), { fin: false }),
+        RawWebSocket.frame(0x9, Buffer.from('hi')),
+        RawWebSocket.frame(0x0, Buffer.from(' parts'))
+    ]));
+
+    // a frame with a 16 bit length
+    const large = Buffer.alloc(300, 0x41);
+    ws.send(RawWebSocket.frame(0x2, large));
+
+    assert.deepEqual(await ws.next(), { opcode: 0xa, payload: Buffer.from('hi') });
+    await sleep(50);
+
+    assert.deepEqual(packets.map(({ packet }) => packet.toString()), ['SSGSCP one', 'SSGSCP two parts', large.toString()]);
+    assert.equal(packets[0].peer.address, '127.0.0.1');
+    assert.equal(packets[0].peer.transport, transport);
+
+    transport.send(Buffer.from('reply'), packets[0].peer);
+    assert.deepEqual(await ws.next(), { opcode: 0x2, payload: Buffer.from('reply') });
+});
+
+test('the WebSocket transport closes connections that break the protocol', async (t) => {
+    const transport = new WSSTransport({ port: PORT, host: '127.0.0.1' });
+    const packets = [];
+    transport.on('packet', (packet) => packets.push(packet));
+    await transport.start();
+    t.after(() => transport.close());
+
+    const cases = [
+        [RawWebSocket.frame(0x2, Buffer.from('x'), { masked: false }), 1002], // client frames must be masked
+        [RawWebSocket.frame(0x1, Buffer.from('x')), 1003], // SSGSCP packets are binary
+        [RawWebSocket.frame(0x0, Buffer.from('x')), 1002], // a continuation without a message to continue
+        [Buffer.from([0x82, 0xff, 0, 0, 0, 0, 0, 0x10, 0, 0]), 1009] // a 1 MiB frame
+    ];
+
+    for (const [frame, code] of cases) {
+        const ws = new RawWebSocket();
+        await ws.open();
+        ws.send(frame);
+
+        const close = await ws.next();
+        ws.close();
+        assert.equal(close.opcode, 0x8);
+        assert.equal(close.payload.readUInt16BE(0), code);
+    }
+
+    assert.equal(packets.length, 0);
+
+    const wrongPath = new RawWebSocket();
+    assert.match(await wrongPath.open('/other'), /^HTTP\/1.1 404/);
+    wrongPath.close();
+});
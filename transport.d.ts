@@ -0,0 +1,73 @@
+import * as dgram from 'node:dgram';
+import { EventEmitter } from 'node:events';
+import { Buffer } from "node:buffer";
+export type TransportPeer = {
+    address: string;
+    port: number;
+    transport: Transport;
+};
+export type TransportEvents = {
+    packet: [packet: Buffer, peer: TransportPeer];
+    senderror: [err: Error, peer: TransportPeer];
+    error: [err: Error];
+};
+/**
+ * Carries SSGSCP packets between the server and gateways
+ * The server runs the same session logic (authentication, retransmission, duplicate detection and the client lifecycle)
+ * over every transport, a transport only has to deliver whole packets and address replies to the peer they came from
+ */
+export declare abstract class Transport extends EventEmitter<TransportEvents> {
+    abstract readonly name: string;
+    /**
+     * @method
+     * @async
+     * Starts listening, rejects if the transport could not be started
+     */
+    abstract start(): Promise<void>;
+    /**
+     * @method
+     * @param {Buffer} packet - the packed SSGSCP packet
+     * @param {TransportPeer} peer - the gateway to send the packet to
+     * Sends a packet, packets to peers that are no longer reachable and packets sent after close() are dropped
+     */
+    abstract send(packet: Buffer, peer: TransportPeer): void;
+    /**
+     * @method
+     * @async
+     * Stops listening and releases the transport's sockets
+     */
+    abstract close(): Promise<void>;
+}
+export type UDPTransportOptions = {
+    port: number;
+    address?: string;
+    ipv6Only?: boolean;
+};
+/**
+ * The SSGSCP transport over UDP, one packet per datagram
+ * IPv4 gateways on a dual-stack socket are reported with their IPv4 address, replies are mapped back
+ */
+export declare class UDPTransport extends Transport {
+    readonly name = "udp";
+    socket: dgram.Socket | null;
+    private options;
+    private open;
+    /**
+     * @constructor
+     * @param {UDPTransportOptions} options - the port to listen on
+     */
+    constructor(options: UDPTransportOptions);
+    /**
+     * @returns {'udp4' | 'udp6'} - the socket type, IPv6 if the bind address is an IPv6 address
+     */
+    get type(): 'udp4' | 'udp6';
+    start(): Promise<void>;
+    send(packet: Buffer, peer: TransportPeer): void;
+    close(): Promise<void>;
+}
+/**
+ * @param {string} address - an IP address
+ * @returns {string} - the IPv4 address of an IPv4-mapped IPv6 address, other addresses unchanged
+ * Dual-stack sockets report IPv4 peers as IPv4-mapped IPv6 addresses, gateways are reported by their IPv4 address on every transport
+ */
+export declare function unmapIPv4(address: string): string;
@@ -0,0 +1,163 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+import * as dgram from 'node:dgram';
+import * as net from 'node:net';
+import { EventEmitter } from 'node:events';
+/**
+ * Carries SSGSCP packets between the server and gateways
+ * The server runs the same session logic (authentication, retransmission, duplicate detection and the client lifecycle)
+ * over every transport, a transport only has to deliver whole packets and address replies to the peer they came from
+ */
+var Transport = /** @class */ (function (_super) {
+    __extends(Transport, _super);
+    function Transport() {
+        return _super !== null && _super.apply(this, arguments) || this;
+    }
+    return Transport;
+}(EventEmitter));
+export { Transport };
+/**
+ * The SSGSCP transport over UDP, one packet per datagram
+ * IPv4 gateways on a dual-stack socket are reported with their IPv4 address, replies are mapped back
+ */
+var UDPTransport = /** @class */ (function (_super) {
+    __extends(UDPTransport, _super);
+    /**
+     * @constructor
+     * @param {UDPTransportOptions} options - the port to listen on
+     */
+    function UDPTransport(options) {
+        var _this = _super.call(this) || this;
+        _this.name = 'udp';
+        _this.options = options;
+        _this.socket = null;
+        _this.open = false;
+        return _this;
+    }
+    Object.defineProperty(UDPTransport.prototype, "type", {
+        /**
+         * @returns {'udp4' | 'udp6'} - the socket type, IPv6 if the bind address is an IPv6 address
+         */
+        get: function () {
+            var _a;
+            return net.isIPv6((_a = this.options.address) !== null && _a !== void 0 ? _a : '') ? 'udp6' : 'udp4';
+        },
+        enumerable: false,
+        configurable: true
+    });
+    UDPTransport.prototype.start = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var _this = this;
+            var _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        this.socket = dgram.createSocket({ type: this.type, ipv6Only: (_a = this.options.ipv6Only) !== null && _a !== void 0 ? _a : false });
+                        this.socket.on('message', function (datagram, rinfo) {
+                            _this.emit('packet', datagram, { address: unmapIPv4(rinfo.address), port: rinfo.port, transport: _this });
+                        });
+                        return [4 /*yield*/, new Promise(function (resolve, reject) {
+                                _this.socket.once('error', reject);
+                                _this.socket.bind(_this.options.port, _this.options.address, function () {
+                                    _this.socket.off('error', reject);
+                                    resolve();
+                                });
+                            })];
+                    case 1:
+                        _b.sent();
+                        this.open = true;
+                        this.socket.on('error', function (err) {
+                            _this.emit('error', err);
+                            _this.close();
+                        });
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    UDPTransport.prototype.send = function (packet, peer) {
+        var _this = this;
+        if (!this.open)
+            return;
+        // an IPv6 socket can only reach IPv4 gateways through their IPv4-mapped address
+        var address = this.type === 'udp6' && net.isIPv4(peer.address) ? '::ffff:' + peer.address : peer.address;
+        this.socket.send(new Uint8Array(packet), peer.port, address, function (err) {
+            if (err)
+                _this.emit('senderror', err, peer);
+        });
+    };
+    UDPTransport.prototype.close = function () {
+        var _this = this;
+        if (!this.open)
+            return Promise.resolve();
+        this.open = false;
+        return new Promise(function (resolve) { return _this.socket.close(function () { return resolve(); }); });
+    };
+    return UDPTransport;
+}(Transport));
+export { UDPTransport };
+/**
+ * @param {string} address - an IP address
+ * @returns {string} - the IPv4 address of an IPv4-mapped IPv6 address, other addresses unchanged
+ * Dual-stack sockets report IPv4 peers as IPv4-mapped IPv6 addresses, gateways are reported by their IPv4 address on every transport
+ */
+export function unmapIPv4(address) {
+    var mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    return mapped ? mapped[1] : address;
+}
@@ -0,0 +1,38 @@
+import * as http from 'node:http';
+import * as https from 'node:https';
+import * as tls from 'node:tls';
+import { Buffer } from "node:buffer";
+import { Transport, TransportPeer } from './transport.js';
+export type WSSTransportOptions = {
+    port: number;
+    host?: string;
+    path?: string;
+    tls?: tls.SecureContextOptions & tls.TlsOptions;
+};
+/**
+ * The SSGSCP transport over WebSocket Secure, one packet per binary message
+ * Replies are addressed by the IP address and TCP port of the gateway's connection, a gateway that reconnects
+ * gets a new port and is handled like a UDP gateway whose NAT mapping changed
+ */
+export declare class WSSTransport extends Transport {
+    readonly name: string;
+    readonly server: http.Server | https.Server;
+    private options;
+    private connections;
+    private pingTimer;
+    /**
+     * @constructor
+     * @param {WSSTransportOptions} options - where to listen and the TLS certificate
+     */
+    constructor(options: WSSTransportOptions);
+    start(): Promise<void>;
+    send(packet: Buffer, peer: TransportPeer): void;
+    close(): Promise<void>;
+    private upgrade;
+    private receive;
+    private handleFrame;
+    private closeConnection;
+    private ping;
+    private static frame;
+    private static key;
+}
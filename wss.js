@@ -0,0 +1,341 @@
+/*
+ * Lorbrand Sensor Seal Gateway Server
+ * Copyright (c) 2023-2026 Lorbrand (Pty) Ltd
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this repository.
+ */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
+    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+import * as http from 'node:http';
+import * as https from 'node:https';
+import * as crypto from 'node:crypto';
+import { Buffer } from "node:buffer";
+import { Transport, unmapIPv4 } from './transport.js';
+var WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // RFC 6455 section 1.3
+var WS_SUBPROTOCOL = 'ssgscp'; // accepted if the gateway offers it, gateways that offer no subprotocol are accepted too
+var WS_PATH_DEFAULT = '/ssgscp';
+var WS_MAX_MESSAGE_BYTES = 64 * 1024; // far larger than any SSGSCP packet
+var WS_PING_INTERVAL_MS = 30000; // connections that have not answered a ping by the next one are closed
+var WS_CLOSE_TIMEOUT_MS = 1000; // how long close() waits for gateways to answer the close frame
+;
+/**
+ * The SSGSCP transport over WebSocket Secure, one packet per binary message
+ * Replies are addressed by the IP address and TCP port of the gateway's connection, a gateway that reconnects
+ * gets a new port and is handled like a UDP gateway whose NAT mapping changed
+ */
+var WSSTransport = /** @class */ (function (_super) {
+    __extends(WSSTransport, _super);
+    /**
+     * @constructor
+     * @param {WSSTransportOptions} options - where to listen and the TLS certificate
+     */
+    function WSSTransport(options) {
+        var _this = _super.call(this) || this;
+        _this.options = options;
+        _this.name = options.tls ? 'wss' : 'ws';
+        _this.connections = new Map();
+        _this.pingTimer = null;
+        var onrequest = function (req, res) {
+            res.writeHead(426, { 'Upgrade': 'websocket', 'Content-Type': 'text/plain' });
+            res.end('SSGSCP over WebSocket only\n');
+        };
+        _this.server = options.tls ? https.createServer(options.tls, onrequest) : http.createServer(onrequest);
+        _this.server.on('upgrade', function (req, socket, head) { return _this.upgrade(req, socket, head); });
+        _this.server.on('tlsClientError', function (err, socket) { return socket.destroy(); });
+        return _this;
+    }
+    WSSTransport.prototype.start = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var _this = this;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0: return [4 /*yield*/, new Promise(function (resolve, reject) {
+                            _this.server.once('error', reject);
+                            _this.server.listen(_this.options.port, _this.options.host, function () {
+                                _this.server.off('error', reject);
+                                resolve();
+                            });
+                        })];
+                    case 1:
+                        _a.sent();
+                        this.server.on('error', function (err) { return _this.emit('error', err); });
+                        this.pingTimer = setInterval(function () { return _this.ping(); }, WS_PING_INTERVAL_MS);
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    WSSTransport.prototype.send = function (packet, peer) {
+        var connection = this.connections.get(WSSTransport.key(peer.address, peer.port));
+        if (!connection || connection.closing)
+            return;
+        connection.socket.write(WSSTransport.frame(2 /* Opcode.BINARY */, packet));
+    };
+    WSSTransport.prototype.close = function () {
+        return __awaiter(this, void 0, void 0, function () {
+            var closed, _i, _a, connection, deadline, _b, _c, connection;
+            var _this = this;
+            return __generator(this, function (_d) {
+                switch (_d.label) {
+                    case 0:
+                        clearInterval(this.pingTimer);
+                        this.pingTimer = null;
+                        closed = new Promise(function (resolve) {
+                            if (!_this.server.listening)
+                                return resolve();
+                            _this.server.close(function () { return resolve(); });
+                        });
+                        // 1001: going away
+                        for (_i = 0, _a = Array.from(this.connections.values()); _i < _a.length; _i++) {
+                            connection = _a[_i];
+                            this.closeConnection(connection, 1001);
+                        }
+                        deadline = Date.now() + WS_CLOSE_TIMEOUT_MS;
+                        _d.label = 1;
+                    case 1:
+                        if (!(this.connections.size > 0 && Date.now() < deadline)) return [3 /*break*/, 3];
+                        return [4 /*yield*/, new Promise(function (resolve) { return setTimeout(resolve, 50); })];
+                    case 2:
+                        _d.sent();
+                        return [3 /*break*/, 1];
+                    case 3:
+                        for (_b = 0, _c = Array.from(this.connections.values()); _b < _c.length; _b++) {
+                            connection = _c[_b];
+                            connection.socket.destroy();
+                        }
+                        return [4 /*yield*/, closed];
+                    case 4:
+                        _d.sent();
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
+    WSSTransport.prototype.upgrade = function (req, socket, head) {
+        var _this = this;
+        var _a, _b, _c, _d;
+        var reject = function (status, reason) {
+            socket.end('HTTP/1.1 ' + status + ' ' + reason + '\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        };
+        var path = new URL((_a = req.url) !== null && _a !== void 0 ? _a : '/', 'http://localhost').pathname;
+        if (path !== ((_b = this.options.path) !== null && _b !== void 0 ? _b : WS_PATH_DEFAULT))
+            return reject(404, 'Not Found');
+        var key = req.headers['sec-websocket-key'];
+        if (((_c = req.headers.upgrade) !== null && _c !== void 0 ? _c : '').toLowerCase() !== 'websocket' || typeof key !== 'string' || Buffer.from(key, 'base64').length !== 16)
+            return reject(400, 'Bad Request');
+        if (req.headers['sec-websocket-version'] !== '13')
+            return socket.end('HTTP/1.1 426 Upgrade Required\r\nSec-WebSocket-Version: 13\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        var offered = ((_d = req.headers['sec-websocket-protocol']) !== null && _d !== void 0 ? _d : '').split(',').map(function (protocol) { return protocol.trim(); });
+        if (offered[0] !== '' && offered.indexOf(WS_SUBPROTOCOL) === -1)
+            return reject(400, 'Bad Request');
+        var accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n'
+            + 'Upgrade: websocket\r\n'
+            + 'Connection: Upgrade\r\n'
+            + 'Sec-WebSocket-Accept: ' + accept + '\r\n'
+            + (offered[0] !== '' ? 'Sec-WebSocket-Protocol: ' + WS_SUBPROTOCOL + '\r\n' : '')
+            + '\r\n');
+        socket.setNoDelay(true);
+        var connection = {
+            socket: socket,
+            peer: { address: unmapIPv4(socket.remoteAddress), port: socket.remotePort, transport: this },
+            buffer: Buffer.alloc(0),
+            fragments: [],
+            alive: true,
+            closing: false
+        };
+        var connectionKey = WSSTransport.key(connection.peer.address, connection.peer.port);
+        this.connections.set(connectionKey, connection);
+        socket.on('data', function (data) { return _this.receive(connection, data); });
+        socket.on('close', function () { return _this.connections.delete(connectionKey); });
+        socket.on('error', function () { return socket.destroy(); }); // the session times out like a silent UDP gateway
+        if (head.length > 0)
+            this.receive(connection, head);
+    };
+    WSSTransport.prototype.receive = function (connection, data) {
+        if (connection.closing) // nothing more is processed once a close frame has been sent
+            return;
+        connection.buffer = connection.buffer.length > 0 ? Buffer.concat([connection.buffer, data]) : data;
+        connection.alive = true;
+        while (connection.buffer.length >= 2) {
+            var buffer = connection.buffer;
+            var fin = (buffer[0] & 0x80) !== 0;
+            var opcode = buffer[0] & 0x0f;
+            var masked = (buffer[1] & 0x80) !== 0;
+            var length_1 = buffer[1] & 0x7f;
+            var offset = 2;
+            if (length_1 === 126) {
+                if (buffer.length < 4)
+                    return;
+                length_1 = buffer.readUInt16BE(2);
+                offset = 4;
+            }
+            else if (length_1 === 127) {
+                if (buffer.length < 10)
+                    return;
+                var high = buffer.readUInt32BE(2);
+                length_1 = high === 0 ? buffer.readUInt32BE(6) : Infinity;
+                offset = 10;
+            }
+            // frames from clients must be masked (RFC 6455 section 5.1), reserved bits must be clear
+            if (!masked || (buffer[0] & 0x70) !== 0) {
+                this.closeConnection(connection, 1002);
+                return;
+            }
+            if (length_1 > WS_MAX_MESSAGE_BYTES) {
+                this.closeConnection(connection, 1009);
+                return;
+            }
+            if (buffer.length < offset + 4 + length_1)
+                return;
+            var mask = buffer.subarray(offset, offset + 4);
+            var payload = Buffer.alloc(length_1);
+            for (var i = 0; i < length_1; i++)
+                payload[i] = buffer[offset + 4 + i] ^ mask[i & 3];
+            connection.buffer = buffer.subarray(offset + 4 + length_1);
+            if (!this.handleFrame(connection, fin, opcode, payload))
+                return;
+        }
+    };
+    // handles one frame, returns false once the connection is being closed
+    WSSTransport.prototype.handleFrame = function (connection, fin, opcode, payload) {
+        switch (opcode) {
+            case 9 /* Opcode.PING */: {
+                connection.socket.write(WSSTransport.frame(10 /* Opcode.PONG */, payload));
+                return true;
+            }
+            case 10 /* Opcode.PONG */: {
+                return true;
+            }
+            case 8 /* Opcode.CLOSE */: {
+                this.closeConnection(connection, 1000);
+                connection.socket.end();
+                return false;
+            }
+            case 1 /* Opcode.TEXT */: {
+                this.closeConnection(connection, 1003); // SSGSCP packets are binary
+                return false;
+            }
+            case 2 /* Opcode.BINARY */:
+            case 0 /* Opcode.CONTINUATION */: {
+                // a binary frame starts a message, continuation frames continue one
+                if ((opcode === 2 /* Opcode.BINARY */) !== (connection.fragments.length === 0)) {
+                    this.closeConnection(connection, 1002);
+                    return false;
+                }
+                connection.fragments.push(payload);
+                var total = connection.fragments.reduce(function (sum, fragment) { return sum + fragment.length; }, 0);
+                if (total > WS_MAX_MESSAGE_BYTES) {
+                    this.closeConnection(connection, 1009);
+                    return false;
+                }
+                if (!fin)
+                    return true;
+                var packet = connection.fragments.length === 1 ? connection.fragments[0] : Buffer.concat(connection.fragments);
+                connection.fragments = [];
+                this.emit('packet', packet, connection.peer);
+                return true;
+            }
+            default: {
+                this.closeConnection(connection, 1002);
+                return false;
+            }
+        }
+    };
+    WSSTransport.prototype.closeConnection = function (connection, code) {
+        if (connection.closing)
+            return;
+        connection.closing = true;
+        var payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        connection.socket.write(WSSTransport.frame(8 /* Opcode.CLOSE */, payload));
+        // the gateway should close the TCP connection once it has seen the close frame
+        setTimeout(function () { return connection.socket.destroy(); }, WS_CLOSE_TIMEOUT_MS).unref();
+    };
+    WSSTransport.prototype.ping = function () {
+        for (var _i = 0, _a = Array.from(this.connections.values()); _i < _a.length; _i++) {
+            var connection = _a[_i];
+            if (!connection.alive) {
+                connection.socket.destroy();
+                continue;
+            }
+            connection.alive = false;
+            connection.socket.write(WSSTransport.frame(9 /* Opcode.PING */, Buffer.alloc(0)));
+        }
+    };
+    WSSTransport.frame = function (opcode, payload) {
+        var header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        }
+        else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        }
+        else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+            header.writeUInt32BE(payload.length >>> 0, 6);
+        }
+        header[0] = 0x80 | opcode; // FIN, server frames are never fragmented or masked
+        return Buffer.concat([header, payload]);
+    };
+    WSSTransport.key = function (address, port) {
+        return address + '|' + port;
+    };
+    return WSSTransport;
+}(Transport));
+export { WSSTransport };